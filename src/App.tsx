@@ -1,5 +1,5 @@
-import { useState, useCallback, type ReactElement } from "react";
-import { exportToPDF } from "./utils/pdfExport.js";
+import { useState, useCallback, useEffect, type ReactElement } from "react";
+import { AnalysisBundle, ExportService } from "./services/export";
 import {
   LLMConfigProvider,
   AnalysisProvider,
@@ -7,7 +7,17 @@ import {
   useAnalysis,
 } from "./contexts";
 import { ThemeProvider } from "./contexts/ThemeContext.jsx";
-import { useAnalysisOrchestrator } from "./hooks";
+import {
+  useAnalysisOrchestrator,
+  useAnalysisHistory,
+  useServiceComparison,
+  useBatchAnalysis,
+  useExtractionReview,
+  usePolicyDiscovery,
+  useUsageEstimate,
+  useAnalysisProfiles,
+  useComplianceProfiles,
+} from "./hooks";
 import {
   Header,
   Main,
@@ -20,11 +30,18 @@ import {
   Button,
   TipsModal,
   LegalDocumentModal,
+  PolicyComparison,
+  ServiceComparison,
+  HistoryBrowser,
+  BatchAnalysis,
+  ExtractionReview,
 } from "./components";
 import { ANALYSIS_STATUS } from "./utils/constants.js";
 import type {
   DocumentInput as DocumentInputType,
   AnalysisResult,
+  ExportFormat,
+  BatchSettings,
 } from "./types";
 import "./globals.css";
 
@@ -33,15 +50,64 @@ import "./globals.css";
  */
 function AppContent(): ReactElement {
   const { config, validateConfig } = useLLMConfig();
-  const { status, result, error, clearError, document } = useAnalysis();
-  const { startAnalysis, TurnstileComponent } = useAnalysisOrchestrator();
+  const {
+    status,
+    result,
+    error,
+    clearError,
+    document,
+    restoreResult,
+    completeAnalysis,
+  } = useAnalysis();
+  const {
+    startAnalysis,
+    cancelAnalysis,
+    cancelServiceComparison,
+    retryFailedSections,
+    retryingSections,
+    refreshAnalysis,
+    summarizePolicyChanges,
+    analyzeServices,
+    recommendService,
+    analyzeBatch,
+    cancelBatch,
+    TurnstileComponent,
+  } = useAnalysisOrchestrator();
+  const history = useAnalysisHistory();
+  const serviceComparison = useServiceComparison({
+    analyzeServices,
+    recommendService,
+    cancelServiceComparison,
+    onResultsSaved: history.refresh,
+  });
+  const batch = useBatchAnalysis({
+    analyzeBatch,
+    cancelBatch,
+    onResultsSaved: history.refresh,
+  });
+  const extractionReview = useExtractionReview();
+  const policyDiscovery = usePolicyDiscovery();
+  const compliance = useComplianceProfiles();
+  const analysisProfiles = useAnalysisProfiles();
+  const { estimateUsage } = useUsageEstimate(
+    compliance.profiles,
+    analysisProfiles.activeProfile,
+  );
 
   const [showConfig, setShowConfig] = useState<boolean>(false);
   const [showAbout, setShowAbout] = useState<boolean>(false);
   const [showTips, setShowTips] = useState<boolean>(false);
+  const [showHistory, setShowHistory] = useState<boolean>(false);
   const [showPrivacyPolicy, setShowPrivacyPolicy] = useState<boolean>(false);
   const [showTermsOfService, setShowTermsOfService] = useState<boolean>(false);
   const [configError, setConfigError] = useState<string | null>(null);
+  const [comparison, setComparison] = useState<{
+    previousId?: string;
+    currentId?: string;
+  } | null>(null);
+  const [comparisonResults, setComparisonResults] = useState<
+    AnalysisResult[] | null
+  >(null);
 
   // Track if user has seen the config banner (stored in localStorage)
   const [showConfigBanner, setShowConfigBanner] = useState<boolean>(() => {
@@ -93,6 +159,99 @@ function AppContent(): ReactElement {
     [config, validateConfig, startAnalysis],
   );
 
+  /**
+   * Compare the policies of several services side by side
+   */
+  const handleCompareServices = useCallback(
+    async (documents: DocumentInputType[]): Promise<void> => {
+      setConfigError(null);
+
+      // Validate LLM configuration before starting
+      const validation = validateConfig();
+      if (!validation.isValid) {
+        setConfigError(
+          "Let's configure your LLM provider first to get started!",
+        );
+        setShowConfig(true);
+        return;
+      }
+
+      window.scrollTo({ top: 0, behavior: "smooth" });
+      await serviceComparison.start(documents);
+    },
+    [validateConfig, serviceComparison],
+  );
+
+  /**
+   * Open the full report of a service from the comparison
+   */
+  const handleViewComparedResult = useCallback(
+    (comparedResult: AnalysisResult): void => {
+      restoreResult(comparedResult);
+      serviceComparison.reset();
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    },
+    [restoreResult, serviceComparison],
+  );
+
+  /**
+   * Check the LLM configuration before running a batch, opening the
+   * configuration if it is incomplete
+   */
+  const ensureBatchConfig = useCallback((): boolean => {
+    setConfigError(null);
+
+    const validation = validateConfig();
+    if (!validation.isValid) {
+      setConfigError("Let's configure your LLM provider first to get started!");
+      setShowConfig(true);
+      return false;
+    }
+    return true;
+  }, [validateConfig]);
+
+  /**
+   * Analyze a list of policy URLs as a batch
+   */
+  const handleStartBatch = useCallback(
+    async (urls: string[], settings: BatchSettings): Promise<void> => {
+      if (!ensureBatchConfig()) return;
+      window.scrollTo({ top: 0, behavior: "smooth" });
+      await batch.start(urls, settings);
+    },
+    [ensureBatchConfig, batch],
+  );
+
+  /**
+   * Continue a paused or reloaded batch
+   */
+  const handleResumeBatch = useCallback(async (): Promise<void> => {
+    if (!ensureBatchConfig()) return;
+    await batch.resume();
+  }, [ensureBatchConfig, batch]);
+
+  /**
+   * Retry the failed URLs of a batch
+   */
+  const handleRetryFailedBatch = useCallback(async (): Promise<void> => {
+    if (!ensureBatchConfig()) return;
+    await batch.retryFailed();
+  }, [ensureBatchConfig, batch]);
+
+  /**
+   * Open the full report of a URL from the batch
+   */
+  const handleViewBatchResult = useCallback(
+    async (id: string): Promise<void> => {
+      const batchResult = await history.load(id);
+      if (!batchResult) return;
+      restoreResult(batchResult);
+      batch.close();
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    },
+    [history, restoreResult, batch],
+  );
+
   /**
    * Handle retry analysis - re-run with same document
    */
@@ -117,25 +276,167 @@ function AppContent(): ReactElement {
    */
   const handleNewAnalysis = useCallback((): void => {
     // Analysis context will reset state
-    // Just scroll to top
+    // Just close compare mode and scroll to top
+    setComparison(null);
     window.scrollTo({ top: 0, behavior: "smooth" });
   }, []);
 
   /**
    * Handle export results - generates a PDF formatted like the full report
+   * unless another format is chosen
    */
   const handleExportResults = useCallback(
-    async (result: AnalysisResult): Promise<void> => {
-      await exportToPDF(result);
+    async (
+      result: AnalysisResult,
+      format: ExportFormat = "pdf",
+    ): Promise<void> => {
+      await ExportService.download(result, format);
     },
     [],
   );
 
+  /**
+   * Import a JSON bundle and show it as a completed analysis
+   * (throws a user-facing error for invalid files)
+   */
+  const handleImportAnalysis = useCallback(
+    async (file: File): Promise<void> => {
+      const imported = await AnalysisBundle.readFile(file);
+      setComparison(null);
+      completeAnalysis(imported);
+    },
+    [completeAnalysis],
+  );
+
+  /**
+   * Open compare mode with the given result as the later version
+   */
+  const handleCompareResults = useCallback((result: AnalysisResult): void => {
+    setComparison({ currentId: result.id });
+  }, []);
+
+  /**
+   * Re-analyze the latest version of a policy to compare it with an earlier one
+   */
+  const handleAnalyzeLatest = useCallback(
+    (url: string, previousId: string): void => {
+      setComparison({ previousId });
+      handleDocumentSelected({ type: "url", source: url });
+    },
+    [handleDocumentSelected],
+  );
+
+  /**
+   * Analyze the page text the user reviewed (and possibly edited)
+   */
+  const handleAnalyzeReviewed = useCallback(
+    (text: string): void => {
+      const url = extractionReview.url;
+      extractionReview.close();
+      if (!url) return;
+
+      handleDocumentSelected({
+        type: "url",
+        source: url,
+        rawText: text,
+        metadata: {
+          inputMode: "url",
+          timestamp: new Date().toISOString(),
+        },
+      });
+    },
+    [extractionReview.url, extractionReview.close, handleDocumentSelected],
+  );
+
+  // Keep compare mode pointed at the newest result after a re-analysis
+  useEffect(() => {
+    if (result?.id) {
+      setComparison((current) =>
+        current && current.currentId !== result.id
+          ? { ...current, currentId: result.id }
+          : current,
+      );
+    }
+  }, [result?.id]);
+
+  // Load the analyses compare mode can choose from: every stored analysis of
+  // the same source, plus any explicitly selected one
+  const { entries: historyEntries, loadMany: loadHistoryResults } = history;
+  useEffect(() => {
+    if (!comparison || !result) {
+      setComparisonResults(null);
+      return;
+    }
+
+    let cancelled = false;
+    const ids = historyEntries
+      .filter(
+        (entry) =>
+          entry.id !== result.id &&
+          (entry.source === result.documentMetadata?.source ||
+            entry.id === comparison.previousId),
+      )
+      .map((entry) => entry.id);
+
+    loadHistoryResults(ids)
+      .catch((err) => {
+        console.error("Failed to load analyses for comparison:", err);
+        return [];
+      })
+      .then((loaded) => {
+        // The current result is used directly since it may not be saved yet
+        if (!cancelled) setComparisonResults([result, ...loaded]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [comparison, result, historyEntries, loadHistoryResults]);
+
+  /**
+   * Reopen a past analysis from history
+   */
+  const handleOpenHistoryEntry = useCallback(
+    async (id: string): Promise<void> => {
+      const past = await history.load(id);
+      if (!past) return;
+      restoreResult(past);
+      setComparison(null);
+      setShowHistory(false);
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    },
+    [history, restoreResult],
+  );
+
+  /**
+   * Compare two past analyses, showing the later one
+   */
+  const handleCompareHistoryEntries = useCallback(
+    async (previousId: string, currentId: string): Promise<void> => {
+      const current = await history.load(currentId);
+      if (!current) return;
+      restoreResult(current);
+      setComparison({ previousId, currentId });
+      setShowHistory(false);
+    },
+    [history, restoreResult],
+  );
+
+  const hasEarlierAnalysis =
+    !!result &&
+    historyEntries.some(
+      (entry) =>
+        entry.id !== result.id &&
+        entry.source === result.documentMetadata?.source,
+    );
+
   const isAnalyzing =
     status === ANALYSIS_STATUS.EXTRACTING ||
     status === ANALYSIS_STATUS.ANALYZING;
   const hasResults = status === ANALYSIS_STATUS.COMPLETED && result;
-  const showInput = !isAnalyzing && !hasResults;
+  const isComparingServices = serviceComparison.status !== "idle";
+  const showInput =
+    !isAnalyzing && !hasResults && !isComparingServices && !batch.isOpen;
 
   return (
     <div className="app">
@@ -146,6 +447,7 @@ function AppContent(): ReactElement {
         onConfigOpen={() => setShowConfig(true)}
         onAboutOpen={() => setShowAbout(true)}
         onTipsOpen={() => setShowTips(true)}
+        onHistoryOpen={() => setShowHistory(true)}
       />
 
       {/* Configuration Banner - First-time visitors only */}
@@ -196,6 +498,32 @@ function AppContent(): ReactElement {
           </div>
         )}
 
+        {/* History Browser */}
+        {showHistory && (
+          <HistoryBrowser
+            entries={historyEntries}
+            isLoading={history.isLoading}
+            error={history.error}
+            isSupported={history.isSupported}
+            onOpen={handleOpenHistoryEntry}
+            onDelete={history.remove}
+            onCompare={handleCompareHistoryEntries}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
+
+        {/* Extraction Review Modal */}
+        {extractionReview.status !== "idle" && extractionReview.url && (
+          <ExtractionReview
+            url={extractionReview.url}
+            page={extractionReview.page}
+            error={extractionReview.error}
+            onAnalyze={handleAnalyzeReviewed}
+            onClose={extractionReview.close}
+            estimateUsage={estimateUsage}
+          />
+        )}
+
         {/* Tips Modal */}
         {showTips && (
           <div className="modal-overlay" onClick={() => setShowTips(false)}>
@@ -352,10 +680,34 @@ function AppContent(): ReactElement {
 
             <DocumentInput
               onDocumentSelected={handleDocumentSelected}
+              onPreviewUrl={extractionReview.open}
+              policyDiscovery={policyDiscovery}
+              onDiscoverPolicies={policyDiscovery.discover}
+              onDismissDiscovery={policyDiscovery.reset}
               disabled={isAnalyzing}
               analysisError={status === ANALYSIS_STATUS.ERROR ? error : null}
               onClearAnalysisError={handleRetryAnalysis}
               onTipsOpen={() => setShowTips(true)}
+              onImportAnalysis={handleImportAnalysis}
+              onCompareServices={handleCompareServices}
+              onStartBatch={handleStartBatch}
+              savedBatch={
+                batch.items.length > 0
+                  ? {
+                      total: batch.items.length,
+                      finished: batch.counts.done + batch.counts.error,
+                    }
+                  : null
+              }
+              onOpenSavedBatch={batch.open}
+              estimateUsage={estimateUsage}
+              complianceProfiles={compliance.profiles}
+              onComplianceProfilesChange={compliance.setProfiles}
+              analysisProfiles={analysisProfiles.profiles}
+              activeAnalysisProfile={analysisProfiles.activeProfile}
+              onAnalysisProfileChange={analysisProfiles.setActiveProfile}
+              onSaveAnalysisProfile={analysisProfiles.saveProfile}
+              onDeleteAnalysisProfile={analysisProfiles.deleteProfile}
             />
           </>
         )}
@@ -364,7 +716,63 @@ function AppContent(): ReactElement {
         <AnalysisSection
           onNewAnalysis={handleNewAnalysis}
           onExportResults={handleExportResults}
+          onCompareResults={
+            hasEarlierAnalysis ? handleCompareResults : undefined
+          }
+          onCancel={cancelAnalysis}
+          onRetry={handleRetryAnalysis}
+          onRetrySections={retryFailedSections}
+          retryingSections={retryingSections}
+          onRefreshResult={refreshAnalysis}
         />
+
+        {/* Compare Mode */}
+        {comparison && hasResults && comparisonResults && (
+          <PolicyComparison
+            key={`${comparison.previousId}-${comparison.currentId}`}
+            history={comparisonResults}
+            initialPreviousId={comparison.previousId}
+            initialCurrentId={comparison.currentId}
+            onSummarize={summarizePolicyChanges}
+            onAnalyzeLatest={handleAnalyzeLatest}
+            onClose={() => setComparison(null)}
+          />
+        )}
+
+        {/* Service Comparison */}
+        {isComparingServices && (
+          <ServiceComparison
+            status={serviceComparison.status}
+            progress={serviceComparison.progress}
+            outcomes={serviceComparison.outcomes}
+            comparison={serviceComparison.comparison}
+            recommendation={serviceComparison.recommendation}
+            error={serviceComparison.error}
+            isRecommending={serviceComparison.isRecommending}
+            onCancel={serviceComparison.cancel}
+            onRetryRecommendation={serviceComparison.retryRecommendation}
+            onViewResult={handleViewComparedResult}
+            onClose={serviceComparison.reset}
+          />
+        )}
+
+        {/* Batch Analysis */}
+        {batch.isOpen && (
+          <BatchAnalysis
+            status={batch.status}
+            items={batch.items}
+            settings={batch.settings}
+            counts={batch.counts}
+            error={batch.error}
+            onPause={batch.pause}
+            onResume={handleResumeBatch}
+            onRetryFailed={handleRetryFailedBatch}
+            onExport={batch.exportCsv}
+            onViewResult={handleViewBatchResult}
+            onClose={batch.close}
+            onClear={batch.clear}
+          />
+        )}
       </Main>
 
       <Footer
@@ -180,6 +180,80 @@ describe("AnalysisSection", () => {
         screen.getByText(/Extracting and explaining key terms/i),
       ).toBeInTheDocument();
     });
+
+    it("should not render a live preview before any text streams in", () => {
+      render(<AnalysisSection onNewAnalysis={mockOnNewAnalysis} />);
+
+      expect(screen.queryByText(/Live preview/i)).not.toBeInTheDocument();
+    });
+
+    it("should render streamed summary text as it arrives", () => {
+      mockUseAnalysis.mockReturnValue({
+        status: ANALYSIS_STATUS.ANALYZING,
+        result: null,
+        error: null,
+        progress: 50,
+        currentStep: "Analyzing policy (1 of 7 sections complete)...",
+        streamingSummary: { brief: "This policy **shares** your data" },
+        resetAnalysis: mockResetAnalysis,
+      });
+
+      render(<AnalysisSection onNewAnalysis={mockOnNewAnalysis} />);
+
+      expect(screen.getByText(/Live preview/i)).toBeInTheDocument();
+      expect(screen.getByText("Brief Summary")).toBeInTheDocument();
+      expect(screen.getByText("shares")).toBeInTheDocument();
+      expect(screen.queryByText("Detailed Summary")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Cancelled State", () => {
+    beforeEach(() => {
+      mockUseAnalysis.mockReturnValue({
+        status: ANALYSIS_STATUS.CANCELLED,
+        result: null,
+        error: null,
+        progress: 0,
+        currentStep: null,
+        resetAnalysis: mockResetAnalysis,
+      });
+    });
+
+    it("should explain that the analysis was stopped", () => {
+      render(<AnalysisSection onNewAnalysis={mockOnNewAnalysis} />);
+
+      expect(screen.getByTestId("progress-indicator")).toHaveTextContent(
+        "Status: cancelled",
+      );
+      expect(
+        screen.getByText(/no further requests were sent/i),
+      ).toBeInTheDocument();
+    });
+
+    it("should retry the analysis with the same document", () => {
+      const mockOnRetry = vi.fn();
+      render(
+        <AnalysisSection
+          onNewAnalysis={mockOnNewAnalysis}
+          onRetry={mockOnRetry}
+        />,
+      );
+
+      fireEvent.click(screen.getByText("Retry Analysis"));
+
+      expect(mockOnRetry).toHaveBeenCalledTimes(1);
+      expect(mockResetAnalysis).not.toHaveBeenCalled();
+    });
+
+    it("should reset when starting over", () => {
+      render(<AnalysisSection onNewAnalysis={mockOnNewAnalysis} />);
+
+      expect(screen.queryByText("Retry Analysis")).not.toBeInTheDocument();
+      fireEvent.click(screen.getByText("Start Over"));
+
+      expect(mockResetAnalysis).toHaveBeenCalled();
+      expect(mockOnNewAnalysis).toHaveBeenCalled();
+    });
   });
 
   describe("Failed State", () => {
@@ -1,10 +1,11 @@
 import { useAnalysis } from "../../contexts";
 import { ProgressIndicator } from "./ProgressIndicator";
+import { StreamingSummary } from "./StreamingSummary";
 import { ResultsDisplay } from "../Results";
-import { Card } from "../Common";
+import { Card, Button } from "../Common";
 import { ANALYSIS_STATUS } from "../../utils/constants";
 
-import type { AnalysisResult } from "../../types";
+import type { AnalysisResult, ExportFormat } from "../../types";
 
 /**
  * Props for AnalysisSection component
@@ -13,7 +14,22 @@ interface AnalysisSectionProps {
   /** Callback to start new analysis */
   onNewAnalysis?: () => void;
   /** Optional callback to export results */
-  onExportResults?: (result: AnalysisResult) => void | Promise<void>;
+  onExportResults?: (
+    result: AnalysisResult,
+    format?: ExportFormat,
+  ) => void | Promise<void>;
+  /** Optional callback to compare results with an earlier analysis */
+  onCompareResults?: (result: AnalysisResult) => void;
+  /** Callback to cancel the running analysis */
+  onCancel?: () => void;
+  /** Callback to re-run a cancelled analysis with the same document */
+  onRetry?: () => void | Promise<void>;
+  /** Callback to regenerate failed sections of the result */
+  onRetrySections?: (sections: string[]) => void | Promise<void>;
+  /** Sections currently being regenerated */
+  retryingSections?: string[];
+  /** Callback to analyze the result's document again without the cache */
+  onRefreshResult?: () => void | Promise<void>;
   /** Additional CSS classes */
   className?: string;
 }
@@ -24,10 +40,22 @@ interface AnalysisSectionProps {
 export function AnalysisSection({
   onNewAnalysis,
   onExportResults,
+  onCompareResults,
+  onCancel,
+  onRetry,
+  onRetrySections,
+  retryingSections,
+  onRefreshResult,
   className = "",
 }: AnalysisSectionProps) {
-  const { status, result, progress, currentStep, resetAnalysis } =
-    useAnalysis();
+  const {
+    status,
+    result,
+    progress,
+    currentStep,
+    streamingSummary,
+    resetAnalysis,
+  } = useAnalysis();
 
   /**
    * Handle retry
@@ -47,6 +75,10 @@ export function AnalysisSection({
           result={result}
           onNewAnalysis={handleRetry}
           onExport={onExportResults}
+          onCompare={onCompareResults}
+          onRetrySections={onRetrySections}
+          retryingSections={retryingSections}
+          onRefresh={onRefreshResult}
         />
       </div>
     );
@@ -64,8 +96,13 @@ export function AnalysisSection({
             status={status}
             progress={progress}
             currentStep={currentStep ?? undefined}
+            onCancel={onCancel}
           />
 
+          {status === ANALYSIS_STATUS.ANALYZING && streamingSummary && (
+            <StreamingSummary summary={streamingSummary} />
+          )}
+
           <div className="analysis-section__info">
             <h3 className="analysis-section__info-title">What's happening?</h3>
             <div className="analysis-section__info-content">
@@ -111,6 +148,31 @@ export function AnalysisSection({
     );
   }
 
+  // Cancelled analysis - offer to run it again
+  if (status === ANALYSIS_STATUS.CANCELLED) {
+    return (
+      <div className={`analysis-section ${className}`}>
+        <Card className="analysis-section__cancelled-card">
+          <ProgressIndicator status={status} />
+          <p className="analysis-section__cancelled-text">
+            The analysis was stopped and no further requests were sent to your
+            LLM provider.
+          </p>
+          <div className="analysis-section__cancelled-actions">
+            {onRetry && (
+              <Button variant="primary" onClick={onRetry}>
+                Retry Analysis
+              </Button>
+            )}
+            <Button variant="secondary" onClick={handleRetry}>
+              Start Over
+            </Button>
+          </div>
+        </Card>
+      </div>
+    );
+  }
+
   // Error state is now shown inline in App.jsx near the input for better visibility
   // Idle state - nothing to show
   return null;
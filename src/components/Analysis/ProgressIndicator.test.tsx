@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
-import { render, screen } from "@testing-library/react";
+import { render, screen, fireEvent } from "@testing-library/react";
 import "@testing-library/jest-dom";
 import { ProgressIndicator } from "./ProgressIndicator";
 import { ANALYSIS_STATUS } from "../../utils/constants";
@@ -11,6 +11,19 @@ vi.mock("../Common", () => ({
       Loading...
     </div>
   ),
+  Button: ({
+    children,
+    onClick,
+    ariaLabel,
+  }: {
+    children: React.ReactNode;
+    onClick?: () => void;
+    ariaLabel?: string;
+  }) => (
+    <button onClick={onClick} aria-label={ariaLabel}>
+      {children}
+    </button>
+  ),
 }));
 
 describe("ProgressIndicator", () => {
@@ -268,6 +281,58 @@ describe("ProgressIndicator", () => {
     });
   });
 
+  describe("Cancelled State", () => {
+    it("should render cancelled state with label", () => {
+      render(<ProgressIndicator status={ANALYSIS_STATUS.CANCELLED} />);
+
+      expect(screen.getByText("Analysis Cancelled")).toBeInTheDocument();
+      expect(screen.getByText("⏹️")).toBeInTheDocument();
+    });
+
+    it("should not show progress bar or cancel button", () => {
+      const { container } = render(
+        <ProgressIndicator
+          status={ANALYSIS_STATUS.CANCELLED}
+          onCancel={vi.fn()}
+        />,
+      );
+
+      expect(
+        container.querySelector(".progress-indicator__bar-container"),
+      ).not.toBeInTheDocument();
+      expect(
+        screen.queryByRole("button", { name: "Cancel analysis" }),
+      ).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Cancel Action", () => {
+    it("should show cancel button while active when onCancel is provided", () => {
+      const onCancel = vi.fn();
+      render(
+        <ProgressIndicator
+          status={ANALYSIS_STATUS.ANALYZING}
+          progress={50}
+          onCancel={onCancel}
+        />,
+      );
+
+      fireEvent.click(screen.getByRole("button", { name: "Cancel analysis" }));
+
+      expect(onCancel).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not show cancel button without onCancel", () => {
+      render(
+        <ProgressIndicator status={ANALYSIS_STATUS.EXTRACTING} progress={10} />,
+      );
+
+      expect(
+        screen.queryByRole("button", { name: "Cancel analysis" }),
+      ).not.toBeInTheDocument();
+    });
+  });
+
   describe("Accessibility", () => {
     it('should have role="status" for screen readers', () => {
       const { container } = render(
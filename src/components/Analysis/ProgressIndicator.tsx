@@ -1,5 +1,5 @@
 import { useMemo, useState, useEffect } from "react";
-import { LoadingSpinner } from "../Common";
+import { LoadingSpinner, Button } from "../Common";
 import { ANALYSIS_STATUS } from "../../utils/constants";
 import type { AnalysisStatus } from "../../types";
 
@@ -15,6 +15,8 @@ interface ProgressIndicatorProps {
   currentStep?: string;
   /** Error message if failed */
   error?: string | null;
+  /** Callback to cancel the running analysis (shows a Cancel button) */
+  onCancel?: () => void;
   /** Additional CSS classes */
   className?: string;
 }
@@ -63,6 +65,7 @@ export function ProgressIndicator({
   progress = 0,
   currentStep = "",
   error = null,
+  onCancel,
   className = "",
 }: ProgressIndicatorProps) {
   // Track elapsed time
@@ -124,6 +127,12 @@ export function ProgressIndicator({
         color: "#ef4444",
         showProgress: false,
       },
+      [ANALYSIS_STATUS.CANCELLED]: {
+        icon: "⏹️",
+        label: "Analysis Cancelled",
+        color: "#6b7280",
+        showProgress: false,
+      },
     };
 
     return configs[status] || configs[ANALYSIS_STATUS.IDLE];
@@ -184,6 +193,19 @@ export function ProgressIndicator({
             </div>
           </div>
         )}
+
+        {/* Cancel action */}
+        {isActive && onCancel && (
+          <Button
+            variant="secondary"
+            size="small"
+            onClick={onCancel}
+            ariaLabel="Cancel analysis"
+            className="progress-indicator__cancel"
+          >
+            Cancel
+          </Button>
+        )}
       </div>
 
       {/* Progress bar */}
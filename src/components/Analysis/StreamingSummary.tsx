@@ -0,0 +1,66 @@
+import ReactMarkdown from "react-markdown";
+import rehypeSanitize, { defaultSchema } from "rehype-sanitize";
+import type { AnalysisSummary, SummaryType } from "../../types";
+
+/** Custom sanitization schema - blocks javascript: links and other dangerous patterns */
+const sanitizeSchema = {
+  ...defaultSchema,
+  protocols: {
+    ...defaultSchema.protocols,
+    href: ["http", "https", "mailto"],
+  },
+};
+
+const SECTION_LABELS: Record<SummaryType, string> = {
+  brief: "Brief Summary",
+  detailed: "Detailed Summary",
+  full: "Full Analysis",
+};
+
+/**
+ * Props for StreamingSummary component
+ */
+interface StreamingSummaryProps {
+  /** Summary text received so far */
+  summary: Partial<AnalysisSummary>;
+  /** Additional CSS classes */
+  className?: string;
+}
+
+/**
+ * StreamingSummary - Live preview of summaries while the model is still writing them
+ */
+export function StreamingSummary({
+  summary,
+  className = "",
+}: StreamingSummaryProps) {
+  const sections = (Object.keys(SECTION_LABELS) as SummaryType[]).filter(
+    (section) => summary[section],
+  );
+
+  if (sections.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`streaming-summary ${className}`} aria-busy="true">
+      <h3 className="streaming-summary__title">
+        Live preview{" "}
+        <span className="streaming-summary__badge">streaming</span>
+      </h3>
+      {sections.map((section) => (
+        <section key={section} className="streaming-summary__section">
+          <h4 className="streaming-summary__section-title">
+            {SECTION_LABELS[section]}
+          </h4>
+          {/* Content - sanitized to prevent XSS from LLM output */}
+          <div className="summary-content streaming-summary__content">
+            <ReactMarkdown rehypePlugins={[[rehypeSanitize, sanitizeSchema]]}>
+              {summary[section] as string}
+            </ReactMarkdown>
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -1,2 +1,3 @@
 export { ProgressIndicator } from './ProgressIndicator';
 export { AnalysisSection } from './AnalysisSection';
+export { StreamingSummary } from './StreamingSummary';
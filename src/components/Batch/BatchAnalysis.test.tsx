@@ -0,0 +1,177 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import { BatchAnalysis } from "./BatchAnalysis";
+import { BatchQueue } from "../../services/batch/BatchQueue";
+import type { BatchItem } from "../../types";
+
+vi.mock("../Common", () => ({
+  Button: ({
+    children,
+    onClick,
+    disabled,
+    ariaLabel,
+  }: {
+    children: React.ReactNode;
+    onClick?: () => void;
+    disabled?: boolean;
+    ariaLabel?: string;
+  }) => (
+    <button onClick={onClick} disabled={disabled} aria-label={ariaLabel}>
+      {children}
+    </button>
+  ),
+}));
+
+const makeItems = (): BatchItem[] => {
+  const [done, failed, pending] = BatchQueue.createState([
+    "https://a.com/privacy",
+    "https://b.com/privacy",
+    "https://c.com/privacy",
+  ]).items;
+  return [
+    {
+      ...done,
+      status: "done",
+      attempts: 1,
+      resultId: "result-a",
+      overallScore: 82,
+      overallGrade: "B",
+      criticalRisks: 0,
+      highRisks: 1,
+    },
+    { ...failed, status: "error", attempts: 3, error: "Page not found" },
+    pending,
+  ];
+};
+
+const renderBatch = (
+  props: Partial<React.ComponentProps<typeof BatchAnalysis>> = {},
+) => {
+  const items = props.items ?? makeItems();
+  const handlers = {
+    onPause: vi.fn(),
+    onResume: vi.fn(),
+    onRetryFailed: vi.fn(),
+    onExport: vi.fn(),
+    onViewResult: vi.fn(),
+    onClose: vi.fn(),
+    onClear: vi.fn(),
+  };
+  render(
+    <BatchAnalysis
+      status="paused"
+      items={items}
+      settings={{ concurrency: 2, maxRetries: 2 }}
+      counts={BatchQueue.countByStatus(items)}
+      error={null}
+      {...handlers}
+      {...props}
+    />,
+  );
+  return handlers;
+};
+
+describe("BatchAnalysis", () => {
+  it("should show progress and the results table", () => {
+    renderBatch();
+
+    expect(screen.getByText(/2 of 3 URLs analyzed/)).toBeInTheDocument();
+    expect(
+      screen.getByText(
+        "1 done · 0 analyzing · 0 waiting to retry · 1 pending · 1 failed",
+      ),
+    ).toBeInTheDocument();
+
+    const rows = screen.getAllByRole("row");
+    expect(
+      within(rows[1]).getByText("https://a.com/privacy"),
+    ).toBeInTheDocument();
+    expect(within(rows[1]).getByText("B (82/100)")).toBeInTheDocument();
+    expect(within(rows[1]).getByText("0 / 1")).toBeInTheDocument();
+    expect(within(rows[2]).getByText("Failed")).toBeInTheDocument();
+    expect(within(rows[2]).getByText("Page not found")).toBeInTheDocument();
+    expect(within(rows[3]).getByText("Pending")).toBeInTheDocument();
+  });
+
+  it("should resume, retry failed URLs and export when paused", () => {
+    const handlers = renderBatch();
+
+    expect(screen.getByText(/This batch is paused/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Resume" }));
+    fireEvent.click(screen.getByRole("button", { name: "Retry failed (1)" }));
+    fireEvent.click(screen.getByRole("button", { name: "Export CSV" }));
+
+    expect(handlers.onResume).toHaveBeenCalled();
+    expect(handlers.onRetryFailed).toHaveBeenCalled();
+    expect(handlers.onExport).toHaveBeenCalled();
+  });
+
+  it("should only allow pausing while running", () => {
+    const handlers = renderBatch({ status: "running" });
+
+    fireEvent.click(screen.getByRole("button", { name: "Pause" }));
+
+    expect(handlers.onPause).toHaveBeenCalled();
+    expect(
+      screen.queryByRole("button", { name: "Resume" }),
+    ).not.toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: "Close" }),
+    ).not.toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: "Discard batch" }),
+    ).not.toBeInTheDocument();
+    expect(
+      screen.getByRole("button", {
+        name: "View report for https://a.com/privacy",
+      }),
+    ).toBeDisabled();
+  });
+
+  it("should open the report of a finished URL", () => {
+    const handlers = renderBatch({ status: "completed" });
+
+    fireEvent.click(
+      screen.getByRole("button", {
+        name: "View report for https://a.com/privacy",
+      }),
+    );
+
+    expect(handlers.onViewResult).toHaveBeenCalledWith("result-a");
+  });
+
+  it("should show the retry time of waiting URLs", () => {
+    const [item] = BatchQueue.createState(["https://a.com/privacy"]).items;
+    const items: BatchItem[] = [
+      {
+        ...item,
+        status: "retrying",
+        attempts: 1,
+        error: "Timeout",
+        retryAt: new Date().toISOString(),
+      },
+    ];
+
+    renderBatch({ status: "running", items });
+
+    expect(screen.getByText("Waiting to retry")).toBeInTheDocument();
+    expect(screen.getByText(/Timeout — retrying at/)).toBeInTheDocument();
+  });
+
+  it("should show run errors", () => {
+    renderBatch({ error: "Rate limited" });
+
+    expect(screen.getByRole("alert")).toHaveTextContent("Rate limited");
+    expect(screen.queryByText(/This batch is paused/)).not.toBeInTheDocument();
+  });
+
+  it("should close and discard the batch", () => {
+    const handlers = renderBatch({ status: "completed" });
+
+    fireEvent.click(screen.getByRole("button", { name: "Close" }));
+    fireEvent.click(screen.getByRole("button", { name: "Discard batch" }));
+
+    expect(handlers.onClose).toHaveBeenCalled();
+    expect(handlers.onClear).toHaveBeenCalled();
+  });
+});
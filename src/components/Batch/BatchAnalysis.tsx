@@ -0,0 +1,213 @@
+import { Button } from "../Common";
+import { BatchQueue } from "../../services/batch/BatchQueue";
+import type { BatchItem, BatchItemStatus, BatchSettings } from "../../types";
+import type { BatchStatus } from "../../hooks/useBatchAnalysis";
+
+interface BatchAnalysisProps {
+  status: BatchStatus;
+  items: BatchItem[];
+  settings: BatchSettings | null;
+  /** Number of items per status */
+  counts: Record<BatchItemStatus, number>;
+  /** Error that stopped the run */
+  error: string | null;
+  onPause: () => void;
+  onResume: () => void;
+  onRetryFailed: () => void;
+  onExport: () => void;
+  /** Opens the saved analysis of a finished item */
+  onViewResult: (resultId: string) => void;
+  /** Hides the batch; it stays saved */
+  onClose: () => void;
+  /** Discards the batch */
+  onClear: () => void;
+  className?: string;
+}
+
+/**
+ * Status details of an item: the attempt, the retry time or the error
+ */
+function describeStatus(item: BatchItem, maxRetries: number): string | null {
+  switch (item.status) {
+    case "running":
+      return item.attempts > 1
+        ? `Attempt ${item.attempts} of ${maxRetries + 1}`
+        : null;
+    case "retrying":
+      return `${item.error} — retrying at ${new Date(item.retryAt!).toLocaleTimeString()}`;
+    case "error":
+      return item.error;
+    default:
+      return null;
+  }
+}
+
+/**
+ * BatchAnalysis - Progress and results table of a batch of policy URLs
+ */
+export function BatchAnalysis({
+  status,
+  items,
+  settings,
+  counts,
+  error,
+  onPause,
+  onResume,
+  onRetryFailed,
+  onExport,
+  onViewResult,
+  onClose,
+  onClear,
+  className = "",
+}: BatchAnalysisProps) {
+  const isRunning = status === "running";
+  const finished = counts.done + counts.error;
+  const maxRetries = settings?.maxRetries ?? 0;
+
+  return (
+    <section
+      className={`card batch-analysis ${className}`}
+      aria-label="Batch analysis"
+    >
+      <div className="card__header card__header--flex">
+        <div>
+          <h2 className="card__title">
+            <span aria-hidden="true">📋</span> Batch Analysis
+          </h2>
+          <p className="card__subtitle">
+            {finished} of {items.length} URLs analyzed
+            {settings &&
+              ` · ${settings.concurrency} at a time, up to ${settings.maxRetries} ${settings.maxRetries === 1 ? "retry" : "retries"} per URL`}
+          </p>
+        </div>
+        {!isRunning && (
+          <Button variant="ghost" size="small" onClick={onClose}>
+            Close
+          </Button>
+        )}
+      </div>
+
+      <progress
+        className="batch-analysis__progress"
+        value={finished}
+        max={items.length || 1}
+        aria-label="Batch progress"
+      />
+
+      <p className="batch-analysis__counts" aria-live="polite">
+        {counts.done} done · {counts.running} analyzing · {counts.retrying}{" "}
+        waiting to retry · {counts.pending} pending · {counts.error} failed
+      </p>
+
+      {status === "paused" && !error && (
+        <p className="batch-analysis__notice">
+          This batch is paused. Resume to continue with the pending URLs.
+        </p>
+      )}
+
+      {error && (
+        <p className="batch-analysis__error" role="alert">
+          {error}
+        </p>
+      )}
+
+      <div className="batch-analysis__actions">
+        {isRunning ? (
+          <Button variant="secondary" size="small" onClick={onPause}>
+            Pause
+          </Button>
+        ) : (
+          counts.pending > 0 && (
+            <Button variant="primary" size="small" onClick={onResume}>
+              Resume
+            </Button>
+          )
+        )}
+        {!isRunning && counts.error > 0 && (
+          <Button variant="secondary" size="small" onClick={onRetryFailed}>
+            Retry failed ({counts.error})
+          </Button>
+        )}
+        <Button
+          variant="secondary"
+          size="small"
+          onClick={onExport}
+          disabled={items.length === 0}
+        >
+          Export CSV
+        </Button>
+        {!isRunning && (
+          <Button variant="ghost" size="small" onClick={onClear}>
+            Discard batch
+          </Button>
+        )}
+      </div>
+
+      <div className="batch-analysis__table-wrapper">
+        <table className="batch-analysis__table">
+          <thead>
+            <tr>
+              <th scope="col">URL</th>
+              <th scope="col">Status</th>
+              <th scope="col">Grade</th>
+              <th scope="col">Critical / high risks</th>
+              <th scope="col">
+                <span className="sr-only">Report</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item) => {
+              const details = describeStatus(item, maxRetries);
+              return (
+                <tr
+                  key={item.id}
+                  className={`batch-analysis__row batch-analysis__row--${item.status}`}
+                >
+                  <td className="batch-analysis__url" title={item.url}>
+                    {item.url}
+                  </td>
+                  <td>
+                    <span
+                      className={`batch-analysis__status batch-analysis__status--${item.status}`}
+                    >
+                      {BatchQueue.getStatusLabel(item.status)}
+                    </span>
+                    {details && (
+                      <span className="batch-analysis__status-details">
+                        {details}
+                      </span>
+                    )}
+                  </td>
+                  <td>
+                    {item.overallScore === null
+                      ? "—"
+                      : `${item.overallGrade} (${item.overallScore}/100)`}
+                  </td>
+                  <td>
+                    {item.status === "done"
+                      ? `${item.criticalRisks} / ${item.highRisks}`
+                      : "—"}
+                  </td>
+                  <td>
+                    {item.resultId && (
+                      <Button
+                        variant="ghost"
+                        size="small"
+                        onClick={() => onViewResult(item.resultId!)}
+                        disabled={isRunning}
+                        ariaLabel={`View report for ${item.url}`}
+                      >
+                        View
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
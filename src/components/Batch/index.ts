@@ -0,0 +1 @@
+export { BatchAnalysis } from './BatchAnalysis';
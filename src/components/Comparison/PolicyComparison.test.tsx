@@ -0,0 +1,179 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { PolicyComparison } from "./PolicyComparison";
+import { makeAnalysisResult } from "../../test/fixtures/analysisResult";
+import type { AnalysisResult, PrivacyScorecard } from "../../types";
+
+vi.mock("../Common", () => ({
+  Button: ({
+    children,
+    onClick,
+    disabled,
+  }: {
+    children: React.ReactNode;
+    onClick?: () => void;
+    disabled?: boolean;
+  }) => (
+    <button onClick={onClick} disabled={disabled}>
+      {children}
+    </button>
+  ),
+}));
+
+const makeScorecard = (thirdPartySharing: number, overallScore: number) =>
+  ({
+    thirdPartySharing: { score: thirdPartySharing, weight: 22, summary: "" },
+    userRights: { score: 5, weight: 18, summary: "" },
+    dataCollection: { score: 5, weight: 18, summary: "" },
+    dataRetention: { score: 5, weight: 14, summary: "" },
+    purposeClarity: { score: 5, weight: 10, summary: "" },
+    securityMeasures: { score: 5, weight: 10, summary: "" },
+    policyTransparency: { score: 5, weight: 8, summary: "" },
+    topConcerns: [],
+    positiveAspects: [],
+    overallScore,
+  }) as PrivacyScorecard;
+
+const makeResult = (
+  id: string,
+  rawText: string,
+  overrides: Partial<AnalysisResult> = {},
+): AnalysisResult =>
+  makeAnalysisResult({
+    id,
+    documentMetadata: {
+      source: "https://example.com/privacy",
+      type: "url",
+      rawText,
+    },
+    timestamp: new Date("2025-01-01"),
+    ...overrides,
+  });
+
+const current = makeResult(
+  "current",
+  "We collect your email. We sell your data to brokers.",
+  {
+    scorecard: makeScorecard(3, 50),
+    risks: [
+      {
+        id: "r1",
+        title: "Data sold to brokers",
+        description: "Your data is sold.",
+        severity: "high",
+        location: "",
+        recommendation: "",
+      },
+    ],
+  },
+);
+const previous = makeResult(
+  "previous",
+  "We collect your email. We never sell your data.",
+  { scorecard: makeScorecard(7, 65) },
+);
+
+const renderComparison = (
+  props: Partial<React.ComponentProps<typeof PolicyComparison>> = {},
+) =>
+  render(
+    <PolicyComparison
+      history={[current, previous]}
+      initialCurrentId="current"
+      onSummarize={vi.fn().mockResolvedValue("## Overview\nThings changed.")}
+      onClose={vi.fn()}
+      {...props}
+    />,
+  );
+
+describe("PolicyComparison", () => {
+  it("should preselect the earlier analysis of the same source", () => {
+    renderComparison();
+
+    expect(screen.getByLabelText("Earlier version")).toHaveValue("previous");
+    expect(screen.getByLabelText("Later version")).toHaveValue("current");
+  });
+
+  it("should show added and removed clauses", () => {
+    renderComparison();
+
+    expect(
+      screen.getByText("We sell your data to brokers."),
+    ).toBeInTheDocument();
+    expect(screen.getByText("We never sell your data.")).toBeInTheDocument();
+    expect(
+      screen.queryByText("We collect your email."),
+    ).not.toBeInTheDocument();
+  });
+
+  it("should reveal unchanged clauses when toggled", () => {
+    renderComparison();
+
+    fireEvent.click(screen.getByLabelText(/Show unchanged clauses/));
+
+    expect(screen.getByText("We collect your email.")).toBeInTheDocument();
+  });
+
+  it("should show score deltas and new risks", () => {
+    renderComparison();
+
+    expect(screen.getByText("-4")).toBeInTheDocument();
+    expect(screen.getByText("-15")).toBeInTheDocument();
+    expect(screen.getByText("Data sold to brokers")).toBeInTheDocument();
+  });
+
+  it("should ask for two different analyses", () => {
+    renderComparison({ history: [current] });
+
+    expect(
+      screen.getByText("Select two different analyses to compare."),
+    ).toBeInTheDocument();
+  });
+
+  it("should render the explanation returned by onSummarize", async () => {
+    const onSummarize = vi.fn().mockResolvedValue("## Overview\nThings changed.");
+    renderComparison({ onSummarize });
+
+    fireEvent.click(screen.getByRole("button", { name: "Explain changes" }));
+
+    expect(await screen.findByText("Things changed.")).toBeInTheDocument();
+    expect(onSummarize).toHaveBeenCalledWith(
+      expect.objectContaining({ previousId: "previous", currentId: "current" }),
+    );
+  });
+
+  it("should show an error when the explanation fails", async () => {
+    renderComparison({
+      onSummarize: vi.fn().mockRejectedValue(new Error("Model unavailable")),
+    });
+
+    fireEvent.click(screen.getByRole("button", { name: "Explain changes" }));
+
+    await waitFor(() =>
+      expect(screen.getByRole("alert")).toHaveTextContent("Model unavailable"),
+    );
+  });
+
+  it("should offer to analyze the latest version of a URL", () => {
+    const onAnalyzeLatest = vi.fn();
+    renderComparison({ onAnalyzeLatest });
+
+    fireEvent.click(
+      screen.getByRole("button", { name: "Analyze latest version" }),
+    );
+
+    expect(onAnalyzeLatest).toHaveBeenCalledWith(
+      "https://example.com/privacy",
+      "previous",
+    );
+  });
+
+  it("should call onClose", () => {
+    const onClose = vi.fn();
+    renderComparison({ onClose });
+
+    fireEvent.click(screen.getByRole("button", { name: "Close" }));
+
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,449 @@
+import { useState, useMemo, useEffect } from "react";
+import ReactMarkdown from "react-markdown";
+import rehypeSanitize, { defaultSchema } from "rehype-sanitize";
+import { Button } from "../Common";
+import { PolicyDiffer } from "../../services/analysis/PolicyDiffer";
+import { formatDate } from "../../utils/formatting";
+import type {
+  AnalysisResult,
+  ClauseChange,
+  PolicyComparison as PolicyComparisonType,
+  PrivacyRisk,
+} from "../../types";
+
+/** Custom sanitization schema - blocks javascript: links and other dangerous patterns */
+const sanitizeSchema = {
+  ...defaultSchema,
+  protocols: {
+    ...defaultSchema.protocols,
+    href: ["http", "https", "mailto"],
+  },
+};
+
+interface PolicyComparisonProps {
+  /** Analyses available for comparison (history, newest first) */
+  history: AnalysisResult[];
+  /** ID of the analysis preselected as the earlier version */
+  initialPreviousId?: string;
+  /** ID of the analysis preselected as the later version */
+  initialCurrentId?: string;
+  /** Generates the "what changed and why it matters" explanation */
+  onSummarize: (comparison: PolicyComparisonType) => Promise<string>;
+  /** Re-analyzes the current version of a URL to compare against */
+  onAnalyzeLatest?: (url: string, previousId: string) => void;
+  /** Closes compare mode */
+  onClose: () => void;
+  className?: string;
+}
+
+/**
+ * Label for an analysis in the version selectors
+ */
+function describeAnalysis(analysis: AnalysisResult): string {
+  const source = analysis.documentMetadata?.source || "Unknown source";
+  return `${source} — ${formatDate(analysis.timestamp)}`;
+}
+
+/**
+ * Picks the default earlier version: the most recent other analysis of the
+ * same source, falling back to any other analysis
+ */
+function pickPreviousId(
+  history: AnalysisResult[],
+  currentId: string | undefined,
+): string | undefined {
+  const current = history.find((entry) => entry.id === currentId);
+  const others = history.filter((entry) => entry.id !== currentId);
+  const sameSource = others.find(
+    (entry) =>
+      entry.documentMetadata?.source === current?.documentMetadata?.source,
+  );
+  return (sameSource || others[0])?.id;
+}
+
+/**
+ * PolicyComparison - Compares two analyses of the same service
+ */
+export function PolicyComparison({
+  history,
+  initialPreviousId,
+  initialCurrentId,
+  onSummarize,
+  onAnalyzeLatest,
+  onClose,
+  className = "",
+}: PolicyComparisonProps) {
+  const [currentId, setCurrentId] = useState<string | undefined>(
+    initialCurrentId || history[0]?.id,
+  );
+  const [previousId, setPreviousId] = useState<string | undefined>(
+    initialPreviousId || pickPreviousId(history, initialCurrentId || history[0]?.id),
+  );
+  const [summary, setSummary] = useState<string | null>(null);
+  const [summaryError, setSummaryError] = useState<string | null>(null);
+  const [isSummarizing, setIsSummarizing] = useState(false);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  const previous = history.find((entry) => entry.id === previousId);
+  const current = history.find((entry) => entry.id === currentId);
+
+  const comparison = useMemo(() => {
+    if (!previous || !current || previous.id === current.id) return null;
+    return PolicyDiffer.compare(previous, current);
+  }, [previous, current]);
+
+  // A new pair of versions invalidates the previous explanation
+  useEffect(() => {
+    setSummary(null);
+    setSummaryError(null);
+  }, [comparison]);
+
+  const clauseStats = useMemo(() => {
+    const stats = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+    comparison?.clauses.forEach((clause) => stats[clause.type]++);
+    return stats;
+  }, [comparison]);
+
+  /**
+   * Requests the model-generated explanation of the changes
+   */
+  const handleSummarize = async () => {
+    if (!comparison) return;
+    setIsSummarizing(true);
+    setSummaryError(null);
+    try {
+      setSummary(await onSummarize(comparison));
+    } catch (err) {
+      setSummaryError(
+        (err instanceof Error ? err.message : null) ||
+          "Failed to explain the changes",
+      );
+    } finally {
+      setIsSummarizing(false);
+    }
+  };
+
+  const previousSource = previous?.documentMetadata?.source || "";
+  const canAnalyzeLatest =
+    !!onAnalyzeLatest && !!previous && /^https?:\/\//.test(previousSource);
+
+  return (
+    <section
+      className={`card policy-comparison ${className}`}
+      aria-label="Compare policy versions"
+    >
+      <div className="card__header policy-comparison__header">
+        <div>
+          <h2 className="card__title">
+            <span aria-hidden="true">🔀</span> Compare Policy Versions
+          </h2>
+          <p className="card__subtitle">
+            See what changed between two analyses of the same service
+          </p>
+        </div>
+        <Button variant="ghost" size="small" onClick={onClose}>
+          Close
+        </Button>
+      </div>
+
+      <div className="policy-comparison__selectors">
+        <label className="policy-comparison__selector">
+          <span className="policy-comparison__selector-label">
+            Earlier version
+          </span>
+          <select
+            className="policy-comparison__select"
+            value={previousId || ""}
+            onChange={(e) => setPreviousId(e.target.value)}
+          >
+            {history.map((entry) => (
+              <option key={entry.id} value={entry.id}>
+                {describeAnalysis(entry)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="policy-comparison__selector">
+          <span className="policy-comparison__selector-label">
+            Later version
+          </span>
+          <select
+            className="policy-comparison__select"
+            value={currentId || ""}
+            onChange={(e) => setCurrentId(e.target.value)}
+          >
+            {history.map((entry) => (
+              <option key={entry.id} value={entry.id}>
+                {describeAnalysis(entry)}
+              </option>
+            ))}
+          </select>
+        </label>
+        {canAnalyzeLatest && (
+          <Button
+            variant="secondary"
+            size="small"
+            onClick={() => onAnalyzeLatest!(previousSource, previous!.id)}
+          >
+            Analyze latest version
+          </Button>
+        )}
+      </div>
+
+      {!comparison ? (
+        <p className="policy-comparison__empty">
+          Select two different analyses to compare.
+        </p>
+      ) : (
+        <>
+          {/* Model-generated explanation */}
+          <div className="policy-comparison__section">
+            <h3 className="policy-comparison__section-title">
+              What changed and why it matters
+            </h3>
+            {summary ? (
+              <div className="summary-content">
+                <ReactMarkdown
+                  rehypePlugins={[[rehypeSanitize, sanitizeSchema]]}
+                >
+                  {summary}
+                </ReactMarkdown>
+              </div>
+            ) : (
+              <Button
+                variant="primary"
+                size="small"
+                onClick={handleSummarize}
+                loading={isSummarizing}
+                disabled={isSummarizing}
+              >
+                Explain changes
+              </Button>
+            )}
+            {summaryError && (
+              <p className="policy-comparison__error" role="alert">
+                {summaryError}
+              </p>
+            )}
+          </div>
+
+          {/* Scorecard deltas */}
+          <div className="policy-comparison__section">
+            <h3 className="policy-comparison__section-title">
+              Scorecard changes
+              {comparison.overallScoreDelta !== null && (
+                <DeltaBadge delta={comparison.overallScoreDelta} />
+              )}
+            </h3>
+            <table className="policy-comparison__scores">
+              <thead>
+                <tr>
+                  <th scope="col">Category</th>
+                  <th scope="col">Earlier</th>
+                  <th scope="col">Later</th>
+                  <th scope="col">Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.scorecardDeltas.map((delta) => (
+                  <tr key={delta.category}>
+                    <th scope="row">{delta.label}</th>
+                    <td>{delta.previousScore ?? "—"}</td>
+                    <td>{delta.currentScore ?? "—"}</td>
+                    <td>
+                      {delta.delta === null ? (
+                        "—"
+                      ) : (
+                        <DeltaBadge delta={delta.delta} />
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Risk changes */}
+          <div className="policy-comparison__section">
+            <h3 className="policy-comparison__section-title">Risk changes</h3>
+            <RiskList
+              title="New risks"
+              risks={comparison.addedRisks}
+              modifier="added"
+            />
+            <RiskList
+              title="No longer identified"
+              risks={comparison.removedRisks}
+              modifier="removed"
+            />
+            {comparison.severityChanges.length > 0 && (
+              <div className="policy-comparison__risk-group">
+                <h4 className="policy-comparison__risk-group-title">
+                  Severity changed
+                </h4>
+                <ul className="policy-comparison__risk-list">
+                  {comparison.severityChanges.map(({ previous, current }) => (
+                    <li
+                      key={`${previous.id}-${current.id}`}
+                      className="policy-comparison__risk"
+                    >
+                      <span className="policy-comparison__risk-title">
+                        {current.title}
+                      </span>{" "}
+                      <SeverityBadge severity={previous.severity} /> →{" "}
+                      <SeverityBadge severity={current.severity} />
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {comparison.addedRisks.length === 0 &&
+              comparison.removedRisks.length === 0 &&
+              comparison.severityChanges.length === 0 && (
+                <p className="policy-comparison__empty">
+                  The same risks were identified in both versions.
+                </p>
+              )}
+          </div>
+
+          {/* Clause diff */}
+          <div className="policy-comparison__section">
+            <h3 className="policy-comparison__section-title">
+              Policy text changes
+            </h3>
+            {!comparison.hasText ? (
+              <p className="policy-comparison__empty">
+                The policy text was not saved for one of these analyses.
+              </p>
+            ) : (
+              <>
+                <p className="policy-comparison__stats">
+                  {clauseStats.added} added · {clauseStats.removed} removed ·{" "}
+                  {clauseStats.modified} reworded · {clauseStats.unchanged}{" "}
+                  unchanged
+                </p>
+                <label className="policy-comparison__toggle">
+                  <input
+                    type="checkbox"
+                    checked={showUnchanged}
+                    onChange={(e) => setShowUnchanged(e.target.checked)}
+                  />{" "}
+                  Show unchanged clauses
+                </label>
+                <ol className="policy-comparison__clauses">
+                  {comparison.clauses
+                    .filter(
+                      (clause) => showUnchanged || clause.type !== "unchanged",
+                    )
+                    .map((clause, index) => (
+                      <ClauseItem key={index} clause={clause} />
+                    ))}
+                </ol>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+/**
+ * DeltaBadge - Signed score change (higher scores are better)
+ */
+function DeltaBadge({ delta }: { delta: number }) {
+  const modifier = delta > 0 ? "better" : delta < 0 ? "worse" : "same";
+  const rounded = Math.round(delta * 10) / 10;
+  return (
+    <span
+      className={`policy-comparison__delta policy-comparison__delta--${modifier}`}
+    >
+      {delta > 0 ? `+${rounded}` : rounded}
+    </span>
+  );
+}
+
+/**
+ * SeverityBadge - Risk severity label
+ */
+function SeverityBadge({ severity }: { severity: PrivacyRisk["severity"] }) {
+  return (
+    <span
+      className={`policy-comparison__severity policy-comparison__severity--${severity}`}
+    >
+      {severity}
+    </span>
+  );
+}
+
+/**
+ * RiskList - Risks that were added or removed between versions
+ */
+function RiskList({
+  title,
+  risks,
+  modifier,
+}: {
+  title: string;
+  risks: PrivacyRisk[];
+  modifier: "added" | "removed";
+}) {
+  if (risks.length === 0) return null;
+  return (
+    <div className="policy-comparison__risk-group">
+      <h4 className="policy-comparison__risk-group-title">
+        {title} ({risks.length})
+      </h4>
+      <ul className="policy-comparison__risk-list">
+        {risks.map((risk) => (
+          <li
+            key={risk.id}
+            className={`policy-comparison__risk policy-comparison__risk--${modifier}`}
+          >
+            <SeverityBadge severity={risk.severity} />{" "}
+            <span className="policy-comparison__risk-title">{risk.title}</span>
+            <p className="policy-comparison__risk-description">
+              {risk.description}
+            </p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * ClauseItem - One clause in the text diff
+ */
+function ClauseItem({ clause }: { clause: ClauseChange }) {
+  const className = `policy-comparison__clause policy-comparison__clause--${clause.type}`;
+
+  if (clause.type === "modified") {
+    return (
+      <li className={className}>
+        <del className="policy-comparison__clause-before">
+          {clause.previousText}
+        </del>
+        <ins className="policy-comparison__clause-after">{clause.text}</ins>
+      </li>
+    );
+  }
+
+  if (clause.type === "added") {
+    return (
+      <li className={className}>
+        <ins>{clause.text}</ins>
+      </li>
+    );
+  }
+
+  if (clause.type === "removed") {
+    return (
+      <li className={className}>
+        <del>{clause.text}</del>
+      </li>
+    );
+  }
+
+  return <li className={className}>{clause.text}</li>;
+}
@@ -0,0 +1,236 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import { ServiceComparison } from "./ServiceComparison";
+import { makeAnalysisResult } from "../../test/fixtures/analysisResult";
+import type {
+  ServiceAnalysisOutcome,
+  ServiceComparison as ServiceComparisonType,
+  ServiceComparisonEntry,
+} from "../../types";
+
+vi.mock("../Common", () => ({
+  Button: ({
+    children,
+    onClick,
+    disabled,
+    ariaLabel,
+  }: {
+    children: React.ReactNode;
+    onClick?: () => void;
+    disabled?: boolean;
+    ariaLabel?: string;
+  }) => (
+    <button onClick={onClick} disabled={disabled} aria-label={ariaLabel}>
+      {children}
+    </button>
+  ),
+}));
+
+const makeEntry = (
+  id: string,
+  overrides: Partial<ServiceComparisonEntry> = {},
+): ServiceComparisonEntry => ({
+  id,
+  name: `${id}.com`,
+  source: `https://${id}.com/privacy`,
+  overallScore: 70,
+  overallGrade: "C",
+  categoryScores: {
+    thirdPartySharing: 5,
+    userRights: 5,
+    dataCollection: 5,
+    dataRetention: 5,
+    purposeClarity: 5,
+    securityMeasures: 5,
+    policyTransparency: 5,
+  },
+  criticalRisks: 0,
+  highRisks: 1,
+  topRisks: [],
+  rightsCoverage: { rights: ["access"], links: 0, contacts: 0 },
+  ...overrides,
+});
+
+const comparison: ServiceComparisonType = {
+  services: [
+    makeEntry("a", { overallScore: 85, overallGrade: "B" }),
+    makeEntry("b", {
+      criticalRisks: 2,
+      rightsCoverage: { rights: [], links: 0, contacts: 0 },
+    }),
+  ],
+  leaders: {
+    thirdPartySharing: [],
+    userRights: [],
+    dataCollection: [],
+    dataRetention: [],
+    purposeClarity: [],
+    securityMeasures: [],
+    policyTransparency: [],
+    overall: ["a"],
+    risks: ["a"],
+    rights: ["a"],
+  },
+};
+
+const makeResult = (id: string) =>
+  makeAnalysisResult({
+    id,
+    documentMetadata: {
+      source: `https://${id}.com/privacy`,
+      type: "url",
+      rawText: "",
+    },
+  });
+
+const outcomes: ServiceAnalysisOutcome[] = [
+  {
+    document: { type: "url", source: "https://a.com/privacy" },
+    result: makeResult("a"),
+    error: null,
+  },
+  {
+    document: { type: "url", source: "https://b.com/privacy" },
+    result: makeResult("b"),
+    error: null,
+  },
+  {
+    document: { type: "url", source: "https://c.com/privacy" },
+    result: null,
+    error: "Failed to fetch document",
+  },
+];
+
+const defaultProps = {
+  status: "completed" as const,
+  progress: [],
+  outcomes,
+  comparison,
+  recommendation: "## Recommendation\nChoose **a.com**.",
+  error: null,
+  isRecommending: false,
+  onCancel: vi.fn(),
+  onRetryRecommendation: vi.fn(),
+  onViewResult: vi.fn(),
+  onClose: vi.fn(),
+};
+
+describe("ServiceComparison", () => {
+  it("should show per-service progress while running", () => {
+    const onCancel = vi.fn();
+    render(
+      <ServiceComparison
+        {...defaultProps}
+        status="running"
+        outcomes={[]}
+        comparison={null}
+        recommendation={null}
+        progress={[
+          {
+            document: { type: "url", source: "https://a.com/privacy" },
+            progress: 40,
+            step: "Analyzing policy with AI...",
+          },
+          {
+            document: { type: "file", source: new File([""], "b.pdf") },
+            progress: 0,
+            step: null,
+          },
+        ]}
+        onCancel={onCancel}
+      />,
+    );
+
+    expect(screen.getByText("https://a.com/privacy")).toBeInTheDocument();
+    expect(screen.getByText("Analyzing policy with AI...")).toBeInTheDocument();
+    expect(screen.getByText("b.pdf")).toBeInTheDocument();
+    expect(screen.getByLabelText("Progress for service 1")).toHaveAttribute(
+      "value",
+      "40",
+    );
+
+    fireEvent.click(screen.getByRole("button", { name: "Cancel" }));
+    expect(onCancel).toHaveBeenCalled();
+  });
+
+  it("should render the comparison matrix with leaders marked", () => {
+    const { container } = render(<ServiceComparison {...defaultProps} />);
+
+    const table = screen.getByRole("table");
+    expect(
+      within(table).getByRole("columnheader", { name: "a.com" }),
+    ).toBeInTheDocument();
+
+    const overall = within(table).getByRole("row", { name: /Overall grade/ });
+    expect(overall).toHaveTextContent("B (85/100)");
+    expect(overall).toHaveTextContent("C (70/100)");
+    expect(
+      within(table).getByRole("row", { name: /Third-Party Sharing/ }),
+    ).toHaveTextContent("5/10");
+    expect(
+      within(table).getByRole("row", { name: /Critical \/ high risks/ }),
+    ).toHaveTextContent("2 / 1");
+    expect(
+      within(table).getByRole("row", { name: /Rights you can exercise/ }),
+    ).toHaveTextContent("None documented");
+    expect(
+      container.querySelectorAll(".service-comparison__cell--leader"),
+    ).toHaveLength(3);
+  });
+
+  it("should render the recommendation as markdown", () => {
+    render(<ServiceComparison {...defaultProps} />);
+
+    expect(
+      screen.getByRole("heading", { name: "Recommendation" }),
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText("a.com", { selector: "strong" }),
+    ).toBeInTheDocument();
+  });
+
+  it("should list services that could not be analyzed", () => {
+    render(<ServiceComparison {...defaultProps} />);
+
+    expect(screen.getByText("https://c.com/privacy")).toBeInTheDocument();
+    expect(screen.getByText(/Failed to fetch document/)).toBeInTheDocument();
+  });
+
+  it("should offer to generate a failed recommendation again", () => {
+    const onRetryRecommendation = vi.fn();
+    render(
+      <ServiceComparison
+        {...defaultProps}
+        recommendation={null}
+        error="Model overloaded"
+        onRetryRecommendation={onRetryRecommendation}
+      />,
+    );
+
+    expect(screen.getByRole("alert")).toHaveTextContent("Model overloaded");
+    fireEvent.click(
+      screen.getByRole("button", { name: "Recommend a service" }),
+    );
+    expect(onRetryRecommendation).toHaveBeenCalled();
+  });
+
+  it("should open the full report of a service and close", () => {
+    const onViewResult = vi.fn();
+    const onClose = vi.fn();
+    render(
+      <ServiceComparison
+        {...defaultProps}
+        onViewResult={onViewResult}
+        onClose={onClose}
+      />,
+    );
+
+    fireEvent.click(
+      screen.getByRole("button", { name: "View full report for b.com" }),
+    );
+    fireEvent.click(screen.getByRole("button", { name: "Close" }));
+
+    expect(onViewResult).toHaveBeenCalledWith(outcomes[1].result);
+    expect(onClose).toHaveBeenCalled();
+  });
+});
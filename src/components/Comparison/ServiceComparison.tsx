@@ -0,0 +1,325 @@
+import type { ReactNode } from "react";
+import ReactMarkdown from "react-markdown";
+import rehypeSanitize, { defaultSchema } from "rehype-sanitize";
+import { Button } from "../Common";
+import { SCORECARD_CATEGORY_LABELS } from "../../utils/constants";
+import type {
+  AnalysisResult,
+  ScorecardCategoryKey,
+  ServiceAnalysisOutcome,
+  ServiceComparison as ServiceComparisonType,
+  ServiceComparisonEntry,
+} from "../../types";
+import type {
+  ServiceComparisonStatus,
+  ServiceProgress,
+} from "../../hooks/useServiceComparison";
+
+/** Custom sanitization schema - blocks javascript: links and other dangerous patterns */
+const sanitizeSchema = {
+  ...defaultSchema,
+  protocols: {
+    ...defaultSchema.protocols,
+    href: ["http", "https", "mailto"],
+  },
+};
+
+const CATEGORY_KEYS = Object.keys(
+  SCORECARD_CATEGORY_LABELS,
+) as ScorecardCategoryKey[];
+
+interface ServiceComparisonProps {
+  status: ServiceComparisonStatus;
+  /** Per-service progress while running */
+  progress: ServiceProgress[];
+  /** Per-service outcomes once completed */
+  outcomes: ServiceAnalysisOutcome[];
+  /** Comparison matrix (null if fewer than two analyses succeeded) */
+  comparison: ServiceComparisonType | null;
+  /** Model-written recommendation */
+  recommendation: string | null;
+  error: string | null;
+  /** Whether the recommendation is being generated again */
+  isRecommending: boolean;
+  /** Cancels the running comparison */
+  onCancel: () => void;
+  /** Generates the recommendation again */
+  onRetryRecommendation: () => void;
+  /** Opens the full report of one compared service */
+  onViewResult: (result: AnalysisResult) => void;
+  /** Closes the comparison */
+  onClose: () => void;
+  className?: string;
+}
+
+/**
+ * Label for a document while it has no analysis yet
+ */
+function describeDocument(document: ServiceProgress["document"]): string {
+  return typeof document.source === "string"
+    ? document.source
+    : document.source.name;
+}
+
+/**
+ * ServiceComparison - Compares the policies of several services side by side
+ */
+export function ServiceComparison({
+  status,
+  progress,
+  outcomes,
+  comparison,
+  recommendation,
+  error,
+  isRecommending,
+  onCancel,
+  onRetryRecommendation,
+  onViewResult,
+  onClose,
+  className = "",
+}: ServiceComparisonProps) {
+  const isRunning = status === "running";
+  const failed = outcomes.filter((outcome) => outcome.error);
+  const resultsById = new Map(
+    outcomes.flatMap((outcome) =>
+      outcome.result ? [[outcome.result.id, outcome.result] as const] : [],
+    ),
+  );
+
+  return (
+    <section
+      className={`card service-comparison ${className}`}
+      aria-label="Compare services"
+    >
+      <div className="card__header service-comparison__header">
+        <div>
+          <h2 className="card__title">
+            <span aria-hidden="true">⚖️</span> Compare Services
+          </h2>
+          <p className="card__subtitle">
+            How the privacy policies of these services stack up
+          </p>
+        </div>
+        {isRunning ? (
+          <Button variant="secondary" size="small" onClick={onCancel}>
+            Cancel
+          </Button>
+        ) : (
+          <Button variant="ghost" size="small" onClick={onClose}>
+            Close
+          </Button>
+        )}
+      </div>
+
+      {isRunning && (
+        <ol className="service-comparison__progress" aria-live="polite">
+          {progress.map((entry, index) => (
+            <li key={index} className="service-comparison__progress-item">
+              <span className="service-comparison__progress-source">
+                {describeDocument(entry.document)}
+              </span>
+              <progress
+                className="service-comparison__progress-bar"
+                value={entry.progress}
+                max={100}
+                aria-label={`Progress for service ${index + 1}`}
+              />
+              <span className="service-comparison__progress-step">
+                {entry.step || "Waiting..."}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {status === "cancelled" && (
+        <p className="service-comparison__empty">Comparison cancelled.</p>
+      )}
+
+      {error && !isRunning && (
+        <p className="service-comparison__error" role="alert">
+          {error}
+        </p>
+      )}
+
+      {failed.length > 0 && (
+        <div className="service-comparison__section">
+          <h3 className="service-comparison__section-title">
+            Could not analyze
+          </h3>
+          <ul className="service-comparison__failures">
+            {failed.map((outcome, index) => (
+              <li key={index} className="service-comparison__failure">
+                <span className="service-comparison__failure-source">
+                  {describeDocument(outcome.document)}
+                </span>
+                : {outcome.error}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {comparison && (
+        <>
+          {/* Model-written recommendation */}
+          <div className="service-comparison__section">
+            <h3 className="service-comparison__section-title">
+              Most privacy-respecting choice
+            </h3>
+            {recommendation ? (
+              <div className="summary-content">
+                <ReactMarkdown
+                  rehypePlugins={[[rehypeSanitize, sanitizeSchema]]}
+                >
+                  {recommendation}
+                </ReactMarkdown>
+              </div>
+            ) : (
+              <Button
+                variant="primary"
+                size="small"
+                onClick={onRetryRecommendation}
+                loading={isRecommending}
+                disabled={isRecommending}
+              >
+                Recommend a service
+              </Button>
+            )}
+          </div>
+
+          {/* Comparison matrix */}
+          <div className="service-comparison__section">
+            <h3 className="service-comparison__section-title">
+              Side-by-side scores
+            </h3>
+            <div className="service-comparison__matrix-wrapper">
+              <table className="service-comparison__matrix">
+                <thead>
+                  <tr>
+                    <th scope="col">
+                      <span className="sr-only">Criterion</span>
+                    </th>
+                    {comparison.services.map((service) => (
+                      <th key={service.id} scope="col" title={service.source}>
+                        {service.name}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  <MatrixRow
+                    label="Overall grade"
+                    comparison={comparison}
+                    leaders={comparison.leaders.overall}
+                    render={(service) =>
+                      service.overallScore === null
+                        ? "—"
+                        : `${service.overallGrade} (${service.overallScore}/100)`
+                    }
+                  />
+                  {CATEGORY_KEYS.map((key) => (
+                    <MatrixRow
+                      key={key}
+                      label={SCORECARD_CATEGORY_LABELS[key]}
+                      comparison={comparison}
+                      leaders={comparison.leaders[key]}
+                      render={(service) =>
+                        service.categoryScores[key] === null
+                          ? "—"
+                          : `${service.categoryScores[key]}/10`
+                      }
+                    />
+                  ))}
+                  <MatrixRow
+                    label="Critical / high risks"
+                    comparison={comparison}
+                    leaders={comparison.leaders.risks}
+                    render={(service) =>
+                      `${service.criticalRisks} / ${service.highRisks}`
+                    }
+                  />
+                  <MatrixRow
+                    label="Rights you can exercise"
+                    comparison={comparison}
+                    leaders={comparison.leaders.rights}
+                    render={(service) =>
+                      service.rightsCoverage.rights.length === 0
+                        ? "None documented"
+                        : service.rightsCoverage.rights.join(", ")
+                    }
+                  />
+                  <tr>
+                    <th scope="row">Full report</th>
+                    {comparison.services.map((service) => {
+                      const result = resultsById.get(service.id);
+                      return (
+                        <td key={service.id}>
+                          {result && (
+                            <Button
+                              variant="ghost"
+                              size="small"
+                              onClick={() => onViewResult(result)}
+                              ariaLabel={`View full report for ${service.name}`}
+                            >
+                              View
+                            </Button>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+            <p className="service-comparison__legend">
+              <span className="service-comparison__leader-marker">★</span> Best
+              in row
+            </p>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+/**
+ * MatrixRow - One criterion across all compared services
+ */
+function MatrixRow({
+  label,
+  comparison,
+  leaders,
+  render,
+}: {
+  label: string;
+  comparison: ServiceComparisonType;
+  leaders: string[];
+  render: (service: ServiceComparisonEntry) => ReactNode;
+}) {
+  return (
+    <tr>
+      <th scope="row">{label}</th>
+      {comparison.services.map((service) => {
+        const isLeader = leaders.includes(service.id);
+        return (
+          <td
+            key={service.id}
+            className={`service-comparison__cell ${isLeader ? "service-comparison__cell--leader" : ""}`}
+          >
+            {render(service)}
+            {isLeader && (
+              <span
+                className="service-comparison__leader-marker"
+                aria-label="Best"
+              >
+                {" "}
+                ★
+              </span>
+            )}
+          </td>
+        );
+      })}
+    </tr>
+  );
+}
@@ -0,0 +1,2 @@
+export { PolicyComparison } from './PolicyComparison';
+export { ServiceComparison } from './ServiceComparison';
@@ -2,6 +2,11 @@ import { useState, useCallback } from "react";
 import { validateApiKey } from "../../utils/validation";
 import type { LLMProvider } from "../../types";
 
+const PLACEHOLDERS: Partial<Record<LLMProvider, string>> = {
+  anthropic: "sk-ant-...",
+  "openai-compatible": "Optional",
+};
+
 interface APIKeyInputProps {
   value: string;
   onChange: (value: string) => void;
@@ -13,7 +18,7 @@ interface APIKeyInputProps {
 export function APIKeyInput({
   value,
   onChange,
-  provider: _provider,
+  provider,
   disabled = false,
   className = "",
 }: APIKeyInputProps) {
@@ -58,7 +63,7 @@ export function APIKeyInput({
           value={value}
           onChange={handleChange}
           onBlur={handleBlur}
-          placeholder="sk-or-v1-..."
+          placeholder={PLACEHOLDERS[provider] ?? "sk-or-v1-..."}
           disabled={disabled}
           autoComplete="off"
           spellCheck={false}
@@ -78,6 +83,8 @@ export function APIKeyInput({
         <p className="input-error">{error}</p>
       ) : (
         <p className="input-hint">
+          {provider === "openai-compatible" &&
+            "Leave empty if your server does not require one. "}
           Your API key is stored only in your browser's session storage
         </p>
       )}
@@ -67,12 +67,14 @@ vi.mock("../../utils/constants", () => ({
       name: "OpenRouter",
       requiresApiKey: true,
       baseUrl: "https://openrouter.ai/api/v1",
+      defaultModels: ["anthropic/claude-3.5-sonnet"],
     },
     OLLAMA: {
       id: "ollama",
       name: "Ollama",
       requiresApiKey: false,
       baseUrl: "http://localhost:11434",
+      defaultModels: ["llama3.1"],
     },
     LMSTUDIO: {
       id: "lmstudio",
@@ -80,11 +82,30 @@ vi.mock("../../utils/constants", () => ({
       requiresApiKey: false,
       baseUrl: "http://localhost:1234/v1",
     },
+    OPENAI_COMPATIBLE: {
+      id: "openai-compatible",
+      name: "OpenAI-Compatible",
+      requiresApiKey: false,
+      acceptsApiKey: true,
+      baseUrl: "http://localhost:8000/v1",
+    },
   },
   DEFAULT_CONTEXT_WINDOWS: {
     ollama: 8192,
     lmstudio: 8192,
   },
+  LLM_RETRY_CONFIG: {
+    DEFAULT_MAX_RETRIES: 2,
+    MAX_RETRIES: 5,
+    DEFAULT_BASE_DELAY_MS: 1000,
+    MAX_DELAY_MS: 30000,
+    MAX_FALLBACKS: 3,
+  },
+  ENSEMBLE_CONFIG: {
+    MAX_MODELS: 2,
+    DEFAULT_DISAGREEMENT_THRESHOLD: 2,
+    MAX_DISAGREEMENT_THRESHOLD: 9,
+  },
 }));
 
 // Mock fetch for connection tests
@@ -112,6 +133,39 @@ const mockContextValue = {
 };
 
 import { useLLMConfig } from "../../contexts";
+import type { EnsembleConfig, LLMConfig, LLMFallback } from "../../types";
+
+const openRouterConfig: LLMConfig = {
+  provider: "openrouter",
+  apiKey: "test-key",
+  model: "model1",
+  temperature: 0.7,
+  maxTokens: 4000,
+  baseUrl: "https://openrouter.ai/api/v1",
+};
+
+/**
+ * Context value holding the given config, with the mocked actions
+ */
+const mockConfigContext = (
+  config: LLMConfig,
+): ReturnType<typeof useLLMConfig> => {
+  const state = { config, validationErrors: [] };
+  const actions = {
+    updateConfig: mockUpdateConfig,
+    setProvider: mockSetProvider,
+    validateConfig: mockValidateConfig,
+    resetConfig: mockResetConfig,
+  };
+  return {
+    state,
+    actions,
+    computed: { isValid: true },
+    ...state,
+    ...actions,
+    isValid: true,
+  };
+};
 
 vi.mock("../../contexts", () => ({
   useLLMConfig: vi.fn(),
@@ -531,4 +585,173 @@ describe("LLMConfigPanel", () => {
       expect(screen.getByText(/Model context window.*automatically detected from OpenRouter/i)).toBeInTheDocument();
     });
   });
+
+  describe("OpenAI-Compatible Provider", () => {
+    beforeEach(() => {
+      vi.mocked(useLLMConfig).mockReturnValue(
+        mockConfigContext({
+          ...openRouterConfig,
+          provider: "openai-compatible",
+          apiKey: "",
+          baseUrl: "http://gpu-box:8000/v1/",
+          customHeaders: { "X-Team": "privacy" },
+          contextWindow: null,
+        }),
+      );
+    });
+
+    it("should render endpoint, optional API key, headers and context window inputs", () => {
+      render(<LLMConfigPanel />);
+
+      expect(screen.getByLabelText(/Endpoint URL/i)).toHaveValue("http://gpu-box:8000/v1/");
+      expect(screen.getByTestId("api-key-input")).toBeInTheDocument();
+      expect(screen.getByLabelText(/Custom Headers/i)).toHaveValue("X-Team: privacy");
+      expect(screen.getByLabelText(/Model Context Window/i)).toHaveAttribute("placeholder", "Auto-detect");
+      expect(screen.queryByText(/Local Model Limitations/i)).not.toBeInTheDocument();
+    });
+
+    it("should parse custom headers into the config", () => {
+      render(<LLMConfigPanel />);
+
+      fireEvent.change(screen.getByLabelText(/Custom Headers/i), {
+        target: { value: "X-Team: privacy\nbad header\nOpenAI-Organization: org-1" },
+      });
+
+      expect(mockUpdateConfig).toHaveBeenCalledWith({
+        customHeaders: { "X-Team": "privacy", "OpenAI-Organization": "org-1" },
+      });
+    });
+
+    it("should test the connection by listing models", async () => {
+      (global.fetch as ReturnType<typeof vi.fn>).mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ data: [{ id: "qwen" }] }),
+      });
+
+      render(<LLMConfigPanel />);
+      fireEvent.click(screen.getByRole("button", { name: /Test Connection/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText(/Connected! 1 model\(s\) available/i)).toBeInTheDocument();
+      });
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://gpu-box:8000/v1/models",
+        expect.objectContaining({
+          headers: expect.objectContaining({ "X-Team": "privacy" }),
+        }),
+      );
+    });
+  });
+
+  describe("Reliability", () => {
+    it("should update the retry policy", () => {
+      render(<LLMConfigPanel />);
+
+      expect(screen.getByLabelText(/Retries per Provider/i)).toHaveValue(2);
+      fireEvent.change(screen.getByLabelText(/Initial Retry Delay/i), {
+        target: { value: "3" },
+      });
+
+      expect(mockUpdateConfig).toHaveBeenCalledWith({
+        retryPolicy: { maxRetries: 2, baseDelayMs: 3000 },
+      });
+    });
+
+    it("should add a fallback with the provider's defaults", () => {
+      render(<LLMConfigPanel />);
+
+      fireEvent.click(screen.getByRole("button", { name: /Add Fallback/i }));
+
+      expect(mockUpdateConfig).toHaveBeenCalledWith({
+        fallbacks: [
+          {
+            provider: "openrouter",
+            model: "anthropic/claude-3.5-sonnet",
+            baseUrl: "https://openrouter.ai/api/v1",
+            apiKey: "",
+          },
+        ],
+      });
+    });
+
+    it("should edit and remove fallbacks", () => {
+      const fallback: LLMFallback = {
+        provider: "ollama",
+        model: "llama3.1",
+        baseUrl: "http://localhost:11434",
+        apiKey: "",
+      };
+      vi.mocked(useLLMConfig).mockReturnValue(
+        mockConfigContext({
+          ...openRouterConfig,
+          fallbacks: [fallback, { ...fallback, model: "qwen2.5" }],
+        }),
+      );
+      render(<LLMConfigPanel />);
+
+      expect(screen.queryByLabelText("API Key")).not.toBeInTheDocument();
+      fireEvent.change(screen.getAllByLabelText("Model")[1], {
+        target: { value: "mistral" },
+      });
+      expect(mockUpdateConfig).toHaveBeenLastCalledWith({
+        fallbacks: [fallback, { ...fallback, model: "mistral" }],
+      });
+
+      fireEvent.click(screen.getAllByRole("button", { name: "Remove" })[0]);
+      expect(mockUpdateConfig).toHaveBeenLastCalledWith({
+        fallbacks: [{ ...fallback, model: "qwen2.5" }],
+      });
+    });
+  });
+
+  describe("Ensemble", () => {
+    it("should start the ensemble with one more model", () => {
+      render(<LLMConfigPanel />);
+
+      fireEvent.click(screen.getByLabelText(/Cross-check risks and scorecard/i));
+
+      expect(mockUpdateConfig).toHaveBeenCalledWith({
+        ensemble: {
+          enabled: true,
+          models: [
+            {
+              provider: "openrouter",
+              model: "anthropic/claude-3.5-sonnet",
+              baseUrl: "https://openrouter.ai/api/v1",
+              apiKey: "",
+            },
+          ],
+          disagreementThreshold: 2,
+        },
+      });
+    });
+
+    it("should update the disagreement threshold", () => {
+      const ensemble: EnsembleConfig = {
+        enabled: true,
+        models: [
+          {
+            provider: "ollama",
+            model: "llama3.1",
+            baseUrl: "http://localhost:11434",
+            apiKey: "",
+          },
+        ],
+        disagreementThreshold: 2,
+      };
+      vi.mocked(useLLMConfig).mockReturnValue(
+        mockConfigContext({ ...openRouterConfig, ensemble }),
+      );
+      render(<LLMConfigPanel />);
+
+      expect(screen.getByDisplayValue("llama3.1")).toBeInTheDocument();
+      fireEvent.change(screen.getByLabelText(/Disagreement Threshold/i), {
+        target: { value: "3" },
+      });
+
+      expect(mockUpdateConfig).toHaveBeenLastCalledWith({
+        ensemble: { ...ensemble, disagreementThreshold: 3 },
+      });
+    });
+  });
 });
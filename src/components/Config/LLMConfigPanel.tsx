@@ -4,8 +4,20 @@ import { ProviderSelector } from "./ProviderSelector";
 import { APIKeyInput } from "./APIKeyInput";
 import { ModelSelector } from "./ModelSelector";
 import { Button } from "../Common";
-import { LLM_PROVIDERS, DEFAULT_CONTEXT_WINDOWS } from "../../utils/constants";
-import type { LLMConfig, LLMProvider } from "../../types";
+import { OpenAICompatibleProvider } from "../../services/llm/OpenAICompatibleProvider";
+import { AnthropicProvider } from "../../services/llm/AnthropicProvider";
+import {
+  LLM_PROVIDERS,
+  DEFAULT_CONTEXT_WINDOWS,
+  LLM_RETRY_CONFIG,
+  ENSEMBLE_CONFIG,
+} from "../../utils/constants";
+import type {
+  EnsembleConfig,
+  LLMConfig,
+  LLMFallback,
+  LLMProvider,
+} from "../../types";
 
 type TestStatus = "testing" | "success" | "error";
 
@@ -21,6 +33,151 @@ const TEST_STATUS_CONFIG: Record<TestStatus, TestStatusConfig> = {
   testing: { badge: "warning", icon: "...", label: "Testing" },
 };
 
+// Providers that can serve as fallbacks (the free tier needs verification per run)
+const FALLBACK_PROVIDERS = Object.values(LLM_PROVIDERS).filter(
+  (provider): provider is NonNullable<typeof provider> =>
+    !!provider && provider.id !== "hosted-free",
+);
+
+/**
+ * Default settings for a fallback of the given provider
+ */
+function createFallback(providerId: LLMProvider): LLMFallback {
+  const provider = FALLBACK_PROVIDERS.find(({ id }) => id === providerId);
+  return {
+    provider: providerId,
+    model: provider?.defaultModels[0] ?? "",
+    baseUrl: provider?.baseUrl ?? "",
+    apiKey: "",
+  };
+}
+
+// Ensemble settings before the user first changes them
+const DEFAULT_ENSEMBLE: EnsembleConfig = {
+  enabled: false,
+  models: [],
+  disagreementThreshold: ENSEMBLE_CONFIG.DEFAULT_DISAGREEMENT_THRESHOLD,
+};
+
+interface ModelFieldsProps {
+  /** Prefix of the field ids, e.g. "fallback-0" */
+  id: string;
+  /** Heading of the fields, e.g. "Fallback 1" */
+  title: string;
+  value: LLMFallback;
+  onChange: (updates: Partial<LLMFallback>) => void;
+  onRemove: () => void;
+  disabled: boolean;
+}
+
+/**
+ * Provider, model, endpoint and API key of a fallback or ensemble model
+ */
+function ModelFields({
+  id,
+  title,
+  value,
+  onChange,
+  onRemove,
+  disabled,
+}: ModelFieldsProps) {
+  const modelProvider = FALLBACK_PROVIDERS.find(
+    ({ id: providerId }) => providerId === value.provider,
+  );
+  return (
+    <div className="fallback-list__item">
+      <div className="fallback-list__header">
+        <span className="fallback-list__order">{title}</span>
+        <Button
+          variant="ghost"
+          size="small"
+          onClick={onRemove}
+          disabled={disabled}
+          ariaLabel={`Remove ${title.toLowerCase()}`}
+        >
+          Remove
+        </Button>
+      </div>
+      <div className="form-row">
+        <div className="input-group">
+          <label htmlFor={`${id}-provider`} className="input-label">
+            Provider
+          </label>
+          <select
+            id={`${id}-provider`}
+            className="input-field"
+            value={value.provider}
+            onChange={(e) =>
+              onChange(createFallback(e.target.value as LLMProvider))
+            }
+            disabled={disabled}
+          >
+            {FALLBACK_PROVIDERS.map(({ id, name }) => (
+              <option key={id} value={id}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="input-group">
+          <label htmlFor={`${id}-model`} className="input-label">
+            Model
+          </label>
+          <input
+            type="text"
+            id={`${id}-model`}
+            className="input-field"
+            value={value.model}
+            onChange={(e) => onChange({ model: e.target.value })}
+            placeholder={modelProvider?.defaultModels[0]}
+            disabled={disabled}
+          />
+        </div>
+      </div>
+      <div className="form-row">
+        <div className="input-group">
+          <label htmlFor={`${id}-endpoint`} className="input-label">
+            Endpoint URL
+          </label>
+          <input
+            type="text"
+            id={`${id}-endpoint`}
+            className="input-field"
+            value={value.baseUrl}
+            onChange={(e) =>
+              onChange({
+                baseUrl: e.target.value,
+              })
+            }
+            placeholder={modelProvider?.baseUrl}
+            disabled={disabled}
+          />
+        </div>
+        {(modelProvider?.requiresApiKey || modelProvider?.acceptsApiKey) && (
+          <div className="input-group">
+            <label htmlFor={`${id}-api-key`} className="input-label">
+              API Key
+            </label>
+            <input
+              type="password"
+              id={`${id}-api-key`}
+              className="input-field"
+              value={value.apiKey}
+              onChange={(e) =>
+                onChange({
+                  apiKey: e.target.value,
+                })
+              }
+              autoComplete="off"
+              disabled={disabled}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
 interface LLMConfigPanelProps {
   disabled?: boolean;
   onSave?: (config: LLMConfig) => void;
@@ -39,6 +196,9 @@ export function LLMConfigPanel({
   const [validationError, setValidationError] = useState<string | null>(null);
   const [testStatus, setTestStatus] = useState<TestStatus | null>(null);
   const [testMessage, setTestMessage] = useState("");
+  const [headersText, setHeadersText] = useState(() =>
+    OpenAICompatibleProvider.formatHeaders(config.customHeaders),
+  );
 
   const handleProviderChange = useCallback(
     (providerId: LLMProvider) => {
@@ -78,6 +238,18 @@ export function LLMConfigPanel({
     [updateConfig],
   );
 
+  const handleHeadersChange = useCallback(
+    (e: React.ChangeEvent<HTMLTextAreaElement>) => {
+      setHeadersText(e.target.value);
+      updateConfig({
+        customHeaders: OpenAICompatibleProvider.parseHeaders(e.target.value),
+      });
+      setHasChanges(true);
+      setTestStatus(null);
+    },
+    [updateConfig],
+  );
+
   const handleTemperatureChange = useCallback(
     (e: React.ChangeEvent<HTMLInputElement>) => {
       updateConfig({ temperature: parseFloat(e.target.value) });
@@ -105,6 +277,88 @@ export function LLMConfigPanel({
     [updateConfig],
   );
 
+  const handleRetryPolicyChange = useCallback(
+    (e: React.ChangeEvent<HTMLInputElement>) => {
+      const value = parseInt(e.target.value);
+      if (Number.isNaN(value)) return;
+      updateConfig({
+        retryPolicy: {
+          maxRetries:
+            config.retryPolicy?.maxRetries ??
+            LLM_RETRY_CONFIG.DEFAULT_MAX_RETRIES,
+          baseDelayMs:
+            config.retryPolicy?.baseDelayMs ??
+            LLM_RETRY_CONFIG.DEFAULT_BASE_DELAY_MS,
+          [e.target.name]:
+            e.target.name === "baseDelayMs" ? value * 1000 : value,
+        },
+      });
+      setHasChanges(true);
+    },
+    [config.retryPolicy, updateConfig],
+  );
+
+  const handleAddFallback = useCallback(() => {
+    updateConfig({
+      fallbacks: [...(config.fallbacks ?? []), createFallback("openrouter")],
+    });
+    setHasChanges(true);
+  }, [config.fallbacks, updateConfig]);
+
+  const handleFallbackChange = useCallback(
+    (index: number, updates: Partial<LLMFallback>) => {
+      updateConfig({
+        fallbacks: (config.fallbacks ?? []).map((fallback, i) =>
+          i === index ? { ...fallback, ...updates } : fallback,
+        ),
+      });
+      setHasChanges(true);
+    },
+    [config.fallbacks, updateConfig],
+  );
+
+  const handleRemoveFallback = useCallback(
+    (index: number) => {
+      updateConfig({
+        fallbacks: (config.fallbacks ?? []).filter((_, i) => i !== index),
+      });
+      setHasChanges(true);
+    },
+    [config.fallbacks, updateConfig],
+  );
+
+  const handleEnsembleChange = useCallback(
+    (updates: Partial<EnsembleConfig>) => {
+      updateConfig({
+        ensemble: { ...(config.ensemble ?? DEFAULT_ENSEMBLE), ...updates },
+      });
+      setHasChanges(true);
+    },
+    [config.ensemble, updateConfig],
+  );
+
+  const handleEnsembleToggle = useCallback(
+    (e: React.ChangeEvent<HTMLInputElement>) => {
+      const models = config.ensemble?.models ?? [];
+      handleEnsembleChange({
+        enabled: e.target.checked,
+        // Start with one model to compare against
+        ...(e.target.checked &&
+          models.length === 0 && { models: [createFallback("openrouter")] }),
+      });
+    },
+    [config.ensemble, handleEnsembleChange],
+  );
+
+  const handleDisagreementThresholdChange = useCallback(
+    (e: React.ChangeEvent<HTMLInputElement>) => {
+      const value = parseFloat(e.target.value);
+      if (Number.isNaN(value)) return;
+      handleEnsembleChange({ disagreementThreshold: value });
+    },
+    [handleEnsembleChange],
+  );
+
   const handleSave = useCallback(() => {
     const validation = validateConfig();
     if (!validation.isValid) {
@@ -170,6 +424,21 @@ export function LLMConfigPanel({
             ? `Connected! ${models.length} model(s) loaded.`
             : "Connected, but no models loaded. Load a model in LM Studio first.",
         );
+      } else if (
+        config.provider === "openai-compatible" ||
+        config.provider === "anthropic"
+      ) {
+        const provider =
+          config.provider === "anthropic"
+            ? new AnthropicProvider(config)
+            : new OpenAICompatibleProvider(config);
+        const models = await provider.listModels();
+        setTestStatus("success");
+        setTestMessage(
+          models.length > 0
+            ? `Connected! ${models.length} model(s) available.`
+            : "Connected, but the server lists no models.",
+        );
       }
     } catch (error) {
       setTestStatus("error");
@@ -179,11 +448,16 @@ export function LLMConfigPanel({
     }
   }, [config, validateConfig]);
 
-  const currentProvider = LLM_PROVIDERS[config.provider.toUpperCase()];
+  const currentProvider =
+    LLM_PROVIDERS[config.provider.toUpperCase().replace("-", "_")];
   const requiresApiKey = currentProvider?.requiresApiKey ?? false;
+  const acceptsApiKey = requiresApiKey || !!currentProvider?.acceptsApiKey;
   const isHostedFree = config.provider === "hosted-free";
   const isLocalProvider =
     config.provider === "ollama" || config.provider === "lmstudio";
+  const isOpenAICompatible = config.provider === "openai-compatible";
+  const fallbacks = config.fallbacks ?? [];
+  const ensemble = config.ensemble ?? DEFAULT_ENSEMBLE;
 
   return (
     <div className={`modal ${className}`}>
@@ -225,7 +499,7 @@ export function LLMConfigPanel({
           <div className="form-section">
             <h3 className="form-section__title">API Settings</h3>
 
-            {requiresApiKey && (
+            {acceptsApiKey && (
               <APIKeyInput
                 value={config.apiKey}
                 onChange={handleApiKeyChange}
@@ -234,7 +508,7 @@ export function LLMConfigPanel({
               />
             )}
 
-            {isLocalProvider && (
+            {(isLocalProvider || isOpenAICompatible) && (
               <div className="input-group">
                 <label htmlFor="endpoint-url" className="input-label">
                   Endpoint URL
@@ -251,7 +525,31 @@ export function LLMConfigPanel({
                   disabled={disabled}
                 />
                 <p className="input-hint">
-                  Default: {currentProvider?.baseUrl}
+                  {isOpenAICompatible
+                    ? "Base URL of the API, ending in /v1 (e.g. https://api.openai.com/v1)"
+                    : `Default: ${currentProvider?.baseUrl}`}
+                </p>
+              </div>
+            )}
+
+            {isOpenAICompatible && (
+              <div className="input-group">
+                <label htmlFor="custom-headers" className="input-label">
+                  Custom Headers
+                </label>
+                <textarea
+                  id="custom-headers"
+                  className="input-field"
+                  value={headersText}
+                  onChange={handleHeadersChange}
+                  placeholder={"X-Team: privacy\nOpenAI-Organization: org-..."}
+                  rows={2}
+                  disabled={disabled}
+                  spellCheck={false}
+                />
+                <p className="input-hint">
+                  Optional. One per line as <code>Name: value</code>, sent with
+                  every request to this server.
                 </p>
               </div>
             )}
@@ -319,7 +617,7 @@ export function LLMConfigPanel({
             </div>
           </div>
 
-          {isLocalProvider && (
+          {(isLocalProvider || isOpenAICompatible) && (
             <div className="input-group" style={{ marginTop: "1rem" }}>
               <label htmlFor="context-window" className="input-label">
                 Model Context Window
@@ -329,21 +627,34 @@ export function LLMConfigPanel({
                 id="context-window"
                 className="input-field"
                 value={
-                  config.contextWindow ??
-                  DEFAULT_CONTEXT_WINDOWS[config.provider] ??
-                  8192
+                  isOpenAICompatible
+                    ? (config.contextWindow ?? "")
+                    : (config.contextWindow ??
+                      DEFAULT_CONTEXT_WINDOWS[config.provider] ??
+                      8192)
                 }
                 onChange={handleContextWindowChange}
+                placeholder={isOpenAICompatible ? "Auto-detect" : undefined}
                 step="1024"
                 min="2048"
                 max="1000000"
                 disabled={disabled}
               />
               <p className="input-hint">
-                Total capacity for document + responses. Larger documents need
-                bigger context windows. Must match your model&apos;s
-                configuration in{" "}
-                {config.provider === "ollama" ? "Ollama" : "LM Studio"}.
+                {isOpenAICompatible ? (
+                  <>
+                    Leave empty to detect it from the server&apos;s model list
+                    (vLLM and llama.cpp report it). Set it if your server does
+                    not.
+                  </>
+                ) : (
+                  <>
+                    Total capacity for document + responses. Larger documents
+                    need bigger context windows. Must match your model&apos;s
+                    configuration in{" "}
+                    {config.provider === "ollama" ? "Ollama" : "LM Studio"}.
+                  </>
+                )}
               </p>
             </div>
           )}
@@ -357,6 +668,191 @@ export function LLMConfigPanel({
               </span>
             </div>
           )}
+
+          {config.provider === "anthropic" && (
+            <div className="config-info" style={{ marginTop: "1rem" }}>
+              <span className="config-info__icon">ℹ️</span>
+              <span className="config-info__text">
+                Claude models have a 200K token context window, so most policies
+                are analyzed in a single pass.
+              </span>
+            </div>
+          )}
+        </div>
+
+        <div className="form-section">
+          <h3 className="form-section__title">Reliability</h3>
+
+          <div className="form-row">
+            <div className="input-group">
+              <label htmlFor="max-retries" className="input-label">
+                Retries per Provider
+              </label>
+              <input
+                type="number"
+                id="max-retries"
+                name="maxRetries"
+                className="input-field"
+                value={
+                  config.retryPolicy?.maxRetries ??
+                  LLM_RETRY_CONFIG.DEFAULT_MAX_RETRIES
+                }
+                onChange={handleRetryPolicyChange}
+                step="1"
+                min="0"
+                max={LLM_RETRY_CONFIG.MAX_RETRIES}
+                disabled={disabled}
+              />
+              <p className="input-hint">
+                Requests that fail because of network problems, rate limits or
+                server outages are retried before moving on to the next fallback
+              </p>
+            </div>
+
+            <div className="input-group">
+              <label htmlFor="retry-delay" className="input-label">
+                Initial Retry Delay (seconds)
+              </label>
+              <input
+                type="number"
+                id="retry-delay"
+                name="baseDelayMs"
+                className="input-field"
+                value={
+                  (config.retryPolicy?.baseDelayMs ??
+                    LLM_RETRY_CONFIG.DEFAULT_BASE_DELAY_MS) / 1000
+                }
+                onChange={handleRetryPolicyChange}
+                step="1"
+                min="0"
+                max={LLM_RETRY_CONFIG.MAX_DELAY_MS / 1000}
+                disabled={disabled}
+              />
+              <p className="input-hint">
+                Doubled after each retry. Rate-limited requests wait as long as
+                the provider asks.
+              </p>
+            </div>
+          </div>
+
+          <div className="fallback-list">
+            <p className="input-label">Fallback Providers</p>
+            <p className="input-hint">
+              Tried in order when {currentProvider?.name ?? "the provider"}{" "}
+              keeps failing. They use the same temperature and response length.
+            </p>
+
+            {fallbacks.map((fallback, index) => (
+              <ModelFields
+                key={index}
+                id={`fallback-${index}`}
+                title={`Fallback ${index + 1}`}
+                value={fallback}
+                onChange={(updates) => handleFallbackChange(index, updates)}
+                onRemove={() => handleRemoveFallback(index)}
+                disabled={disabled}
+              />
+            ))}
+
+            {fallbacks.length < LLM_RETRY_CONFIG.MAX_FALLBACKS && (
+              <Button
+                variant="secondary"
+                size="small"
+                onClick={handleAddFallback}
+                disabled={disabled}
+              >
+                + Add Fallback
+              </Button>
+            )}
+          </div>
+        </div>
+
+        <div className="form-section">
+          <h3 className="form-section__title">Ensemble</h3>
+
+          <label htmlFor="ensemble-enabled" className="ensemble-toggle">
+            <input
+              type="checkbox"
+              id="ensemble-enabled"
+              checked={ensemble.enabled}
+              onChange={handleEnsembleToggle}
+              disabled={disabled}
+            />
+            Cross-check risks and scorecard with other models
+          </label>
+          <p className="input-hint">
+            The risks and scorecard are also requested from up to{" "}
+            {ENSEMBLE_CONFIG.MAX_MODELS} more models. Risks are merged, scores
+            averaged, and risks only one model found or scores the models
+            disagree on are flagged for review. Each model adds two requests per
+            analysis, plus one to match risks worded differently; documents
+            analyzed in sections use the main model only.
+          </p>
+
+          {ensemble.enabled && (
+            <div className="fallback-list">
+              {ensemble.models.map((model, index) => (
+                <ModelFields
+                  key={index}
+                  id={`ensemble-${index}`}
+                  title={`Model ${index + 2}`}
+                  value={model}
+                  onChange={(updates) =>
+                    handleEnsembleChange({
+                      models: ensemble.models.map((item, i) =>
+                        i === index ? { ...item, ...updates } : item,
+                      ),
+                    })
+                  }
+                  onRemove={() =>
+                    handleEnsembleChange({
+                      models: ensemble.models.filter((_, i) => i !== index),
+                    })
+                  }
+                  disabled={disabled}
+                />
+              ))}
+
+              {ensemble.models.length < ENSEMBLE_CONFIG.MAX_MODELS && (
+                <Button
+                  variant="secondary"
+                  size="small"
+                  onClick={() =>
+                    handleEnsembleChange({
+                      models: [
+                        ...ensemble.models,
+                        createFallback("openrouter"),
+                      ],
+                    })
+                  }
+                  disabled={disabled}
+                >
+                  + Add Model
+                </Button>
+              )}
+
+              <div className="input-group">
+                <label htmlFor="disagreement-threshold" className="input-label">
+                  Disagreement Threshold (points out of 10)
+                </label>
+                <input
+                  type="number"
+                  id="disagreement-threshold"
+                  className="input-field"
+                  value={ensemble.disagreementThreshold}
+                  onChange={handleDisagreementThresholdChange}
+                  step="0.5"
+                  min="0"
+                  max={ENSEMBLE_CONFIG.MAX_DISAGREEMENT_THRESHOLD}
+                  disabled={disabled}
+                />
+                <p className="input-hint">
+                  Categories whose highest and lowest model scores differ by
+                  more than this are flagged
+                </p>
+              </div>
+            </div>
+          )}
         </div>
 
         {isLocalProvider && (
@@ -244,6 +244,68 @@ describe('ModelSelector', () => {
     });
   });
 
+  describe('OpenAI-Compatible Provider', () => {
+    beforeEach(() => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({
+          data: [
+            { id: 'Qwen/Qwen2.5-7B-Instruct', max_model_len: 32768 },
+            { id: 'meta-llama/Llama-3.1-8B-Instruct' },
+          ],
+        }),
+      });
+    });
+
+    it('should offer the models listed by the server', async () => {
+      renderWithProvider(<ModelSelector provider="openai-compatible" value="" onChange={mockOnChange} />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/2 available/)).toBeInTheDocument();
+      });
+
+      fireEvent.focus(screen.getByRole('textbox'));
+      fireEvent.click(screen.getByRole('option', { name: /Qwen2.5-7B-Instruct/ }));
+
+      expect(mockOnChange).toHaveBeenCalledWith('Qwen/Qwen2.5-7B-Instruct');
+    });
+
+    it('should show the context window reported for the model', async () => {
+      renderWithProvider(
+        <ModelSelector provider="openai-compatible" value="Qwen/Qwen2.5-7B-Instruct" onChange={mockOnChange} />
+      );
+
+      await waitFor(() => {
+        expect(screen.getByText(/33K context/)).toBeInTheDocument();
+      });
+    });
+
+    it('should still accept typed model IDs when listing fails', async () => {
+      global.fetch = vi.fn().mockRejectedValue(new Error('Connection refused'));
+
+      renderWithProvider(<ModelSelector provider="openai-compatible" value="" onChange={mockOnChange} />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Unable to list models/)).toBeInTheDocument();
+      });
+
+      fireEvent.change(screen.getByRole('textbox'), { target: { value: 'my-model' } });
+      expect(mockOnChange).toHaveBeenCalledWith('my-model');
+    });
+  });
+
+  describe('Anthropic Provider', () => {
+    it('should suggest Claude models before an API key is entered', () => {
+      renderWithProvider(<ModelSelector provider="anthropic" value="" onChange={mockOnChange} />);
+
+      fireEvent.focus(screen.getByRole('textbox'));
+
+      expect(screen.getByRole('option', { name: /claude-sonnet-4-5/ })).toBeInTheDocument();
+      expect(screen.getByText(/enter any Anthropic model ID/)).toBeInTheDocument();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
   describe('User Interactions', () => {
     it('should call onChange when model is selected from dropdown (OpenRouter)', async () => {
       renderWithProvider(<ModelSelector provider="openrouter" value="" onChange={mockOnChange} />);
@@ -1,7 +1,9 @@
 import { useMemo, useState, useEffect, useCallback } from "react";
 import { useLLMConfig } from "../../contexts";
 import { LLM_PROVIDERS } from "../../utils/constants";
-import type { LLMProvider } from "../../types";
+import { OpenAICompatibleProvider } from "../../services/llm/OpenAICompatibleProvider";
+import { AnthropicProvider } from "../../services/llm/AnthropicProvider";
+import type { LLMProvider, ProviderModel } from "../../types";
 
 interface RecommendedModel {
   id: string;
@@ -34,6 +36,21 @@ const OPENROUTER_RECOMMENDED_MODELS: RecommendedModel[] = [
   { id: "openai/gpt-5-mini", name: "OpenAI GPT-5 Mini" },
 ];
 
+const ANTHROPIC_SUGGESTED_MODELS: ProviderModel[] =
+  LLM_PROVIDERS.ANTHROPIC.defaultModels.map((id) => ({ id, name: id }));
+
+/**
+ * Providers whose model is typed or picked from a suggestion list rather
+ * than chosen from installed models
+ */
+function isComboboxProvider(provider: LLMProvider): boolean {
+  return (
+    provider === "openrouter" ||
+    provider === "openai-compatible" ||
+    provider === "anthropic"
+  );
+}
+
 function isValidOpenRouterModelFormat(modelId: string): boolean {
   if (!modelId || typeof modelId !== "string") return false;
   return /^[a-z0-9_-]+\/[a-z0-9._-]+$/i.test(modelId.trim());
@@ -73,6 +90,10 @@ export function ModelSelector({
   const [fetchLoading, setFetchLoading] = useState(false);
   const [fetchError, setFetchError] = useState<string | null>(null);
 
+  const [listedModels, setListedModels] = useState<ProviderModel[]>([]);
+  const [listLoading, setListLoading] = useState(false);
+  const [listError, setListError] = useState<string | null>(null);
+
   const [modelInfo, setModelInfo] = useState<ModelInfo | null>(null);
   const [validationStatus, setValidationStatus] = useState<
     "valid" | "invalid" | "checking" | null
@@ -155,6 +176,47 @@ export function ModelSelector({
     fetchModels();
   }, [provider, onChange, value, config.baseUrl]);
 
+  // List the models of OpenAI-compatible servers and the Anthropic API,
+  // debounced while the endpoint, key or headers are being typed
+  useEffect(() => {
+    setListedModels([]);
+    setListError(null);
+    setListLoading(false);
+
+    if (provider !== "openai-compatible" && provider !== "anthropic") return;
+    if (!config.baseUrl || (provider === "anthropic" && !config.apiKey)) {
+      return;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(async () => {
+      setListLoading(true);
+      const llmProvider =
+        provider === "anthropic"
+          ? new AnthropicProvider({ ...config, provider })
+          : new OpenAICompatibleProvider({ ...config, provider });
+
+      try {
+        setListedModels(await llmProvider.listModels(controller.signal));
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error(`Failed to list ${provider} models:`, err);
+        setListError(
+          provider === "anthropic"
+            ? "Unable to list Anthropic models. Check your API key."
+            : "Unable to list models. Is the server running at this endpoint?",
+        );
+      } finally {
+        if (!controller.signal.aborted) setListLoading(false);
+      }
+    }, 500);
+
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [provider, config.baseUrl, config.apiKey, config.customHeaders]);
+
   useEffect(() => {
     if (provider !== "openrouter" || !inputValue || !config.apiKey) {
       setModelInfo(null);
@@ -234,7 +296,7 @@ export function ModelSelector({
   );
 
   const handleFocus = useCallback(() => {
-    if (provider === "openrouter") {
+    if (isComboboxProvider(provider)) {
       setShowDropdown(true);
     }
   }, [provider]);
@@ -247,11 +309,19 @@ export function ModelSelector({
     if (provider === "openrouter") {
       return OPENROUTER_RECOMMENDED_MODELS;
     }
+    if (provider === "anthropic" && listedModels.length === 0) {
+      return ANTHROPIC_SUGGESTED_MODELS;
+    }
+    if (provider === "openai-compatible" || provider === "anthropic") {
+      return listedModels;
+    }
     return fetchedModels;
-  }, [provider, fetchedModels]);
+  }, [provider, fetchedModels, listedModels]);
+
+  const listedModel = listedModels.find((m) => m.id === inputValue.trim());
 
   const filteredModels = useMemo(() => {
-    if (provider !== "openrouter") {
+    if (!isComboboxProvider(provider)) {
       return availableModels;
     }
     if (!inputValue) {
@@ -396,9 +466,29 @@ export function ModelSelector({
           </div>
         )}
 
-        {!validationStatus && !inputValue && (
+        {listLoading && <p className="input-hint">Loading models...</p>}
+
+        {listError && (
+          <p className="input-error">
+            {listError} You can still type a model ID.
+          </p>
+        )}
+
+        {listedModel?.contextWindow && (
+          <div className="model-info">
+            <span className="model-info__context">
+              📝 {(listedModel.contextWindow / 1000).toFixed(0)}K context
+            </span>
+          </div>
+        )}
+
+        {!validationStatus && !inputValue && !listLoading && (
           <p className="input-hint">
-            Select a recommended model or enter any OpenRouter model ID
+            {provider === "openai-compatible"
+              ? `Select a model served at your endpoint${listedModels.length > 0 ? ` (${listedModels.length} available)` : ""} or type its ID`
+              : provider === "anthropic"
+                ? "Select a Claude model or enter any Anthropic model ID"
+                : "Select a recommended model or enter any OpenRouter model ID"}
           </p>
         )}
 
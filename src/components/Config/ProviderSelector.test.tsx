@@ -25,6 +25,19 @@ vi.mock("../../utils/constants", async (importOriginal) => {
         requiresApiKey: false,
         baseUrl: "http://localhost:1234/v1",
       },
+      OPENAI_COMPATIBLE: {
+        id: "openai-compatible",
+        name: "OpenAI-Compatible",
+        requiresApiKey: false,
+        acceptsApiKey: true,
+        baseUrl: "http://localhost:8000/v1",
+      },
+      ANTHROPIC: {
+        id: "anthropic",
+        name: "Anthropic",
+        requiresApiKey: true,
+        baseUrl: "https://api.anthropic.com/v1",
+      },
     },
   };
 });
@@ -76,6 +89,17 @@ describe("ProviderSelector", () => {
       ).toBeInTheDocument();
     });
 
+    it("should list the OpenAI-compatible and Anthropic providers", () => {
+      render(<ProviderSelector value="openrouter" onChange={mockOnChange} />);
+
+      expect(
+        screen.getByRole("option", { name: "OpenAI-Compatible" }),
+      ).toBeInTheDocument();
+      expect(
+        screen.getByRole("option", { name: "Anthropic" }),
+      ).toBeInTheDocument();
+    });
+
     it("should have the correct option selected", () => {
       render(<ProviderSelector value="ollama" onChange={mockOnChange} />);
 
@@ -129,6 +153,23 @@ describe("ProviderSelector", () => {
       ).toBeInTheDocument();
     });
 
+    it("should show OpenAI-compatible info when it is selected", () => {
+      render(
+        <ProviderSelector value="openai-compatible" onChange={mockOnChange} />,
+      );
+
+      expect(screen.getByText(/vLLM, llama.cpp/i)).toBeInTheDocument();
+    });
+
+    it("should show Anthropic info when Anthropic is selected", () => {
+      render(<ProviderSelector value="anthropic" onChange={mockOnChange} />);
+
+      expect(screen.getByText(/Claude models directly/i)).toBeInTheDocument();
+      expect(
+        screen.getByRole("link", { name: /console.anthropic.com/i }),
+      ).toBeInTheDocument();
+    });
+
     it('should have links with target="_blank" and rel="noopener noreferrer"', () => {
       render(<ProviderSelector value="openrouter" onChange={mockOnChange} />);
 
@@ -93,7 +93,7 @@ export function ProviderSelector({
             <option key={providerOption.id} value={providerOption.id}>
               {providerOption.id === "hosted-free"
                 ? "✨ Hosted Free"
-                : `${providerOption.name}${providerOption.requiresApiKey ? "" : " (Local)"}`}
+                : `${providerOption.name}${providerOption.requiresApiKey || providerOption.acceptsApiKey ? "" : " (Local)"}`}
             </option>
           ))}
       </select>
@@ -186,6 +186,26 @@ export function ProviderSelector({
               </a>
             </>
           )}
+          {value === "openai-compatible" && (
+            <>
+              Any server with an OpenAI-style API, such as vLLM, llama.cpp,
+              LiteLLM or OpenAI itself. Enter its endpoint URL, plus an API key
+              or custom headers if the server needs them.
+            </>
+          )}
+          {value === "anthropic" && (
+            <>
+              Claude models directly from Anthropic, with 200K token contexts.
+              Get your API key at{" "}
+              <a
+                href="https://console.anthropic.com/settings/keys"
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                console.anthropic.com
+              </a>
+            </>
+          )}
         </p>
       )}
     </div>
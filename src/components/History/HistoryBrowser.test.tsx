@@ -0,0 +1,171 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { HistoryBrowser } from "./HistoryBrowser";
+import type { HistoryEntry } from "../../types";
+
+vi.mock("../Common", () => ({
+  Button: ({
+    children,
+    onClick,
+    disabled,
+    ariaLabel,
+  }: {
+    children: React.ReactNode;
+    onClick?: () => void;
+    disabled?: boolean;
+    ariaLabel?: string;
+  }) => (
+    <button onClick={onClick} disabled={disabled} aria-label={ariaLabel}>
+      {children}
+    </button>
+  ),
+}));
+
+vi.mock("../../utils/formatting", () => ({
+  formatDate: vi.fn(() => "Jan 1, 2025"),
+}));
+
+const makeEntry = (overrides: Partial<HistoryEntry> = {}): HistoryEntry => ({
+  id: "1",
+  timestamp: new Date("2025-03-15T12:00:00").getTime(),
+  source: "https://example.com/privacy",
+  domain: "example.com",
+  title: "Example Privacy Policy",
+  grade: "B+",
+  overallScore: 88,
+  riskCount: 3,
+  size: 1000,
+  ...overrides,
+});
+
+const entries = [
+  makeEntry(),
+  makeEntry({
+    id: "2",
+    domain: "acme.io",
+    source: "https://acme.io/privacy",
+    title: "Acme Privacy Policy",
+    grade: "D",
+    timestamp: new Date("2025-01-10T12:00:00").getTime(),
+  }),
+];
+
+const renderBrowser = (
+  props: Partial<React.ComponentProps<typeof HistoryBrowser>> = {},
+) =>
+  render(
+    <HistoryBrowser
+      entries={entries}
+      onOpen={vi.fn()}
+      onDelete={vi.fn()}
+      onClose={vi.fn()}
+      {...props}
+    />,
+  );
+
+describe("HistoryBrowser", () => {
+  it("should list history entries", () => {
+    renderBrowser();
+
+    expect(screen.getByText("Example Privacy Policy")).toBeInTheDocument();
+    expect(screen.getByText("Acme Privacy Policy")).toBeInTheDocument();
+    expect(screen.getByText("B+")).toBeInTheDocument();
+  });
+
+  it("should filter entries by search text", () => {
+    renderBrowser();
+
+    fireEvent.change(screen.getByLabelText("Search"), {
+      target: { value: "acme" },
+    });
+
+    expect(screen.queryByText("Example Privacy Policy")).not.toBeInTheDocument();
+    expect(screen.getByText("Acme Privacy Policy")).toBeInTheDocument();
+  });
+
+  it("should filter entries by grade", () => {
+    renderBrowser();
+
+    fireEvent.change(screen.getByLabelText("Grade"), {
+      target: { value: "D" },
+    });
+
+    expect(screen.queryByText("Example Privacy Policy")).not.toBeInTheDocument();
+  });
+
+  it("should filter entries by date", () => {
+    renderBrowser();
+
+    fireEvent.change(screen.getByLabelText("From"), {
+      target: { value: "2025-03-01" },
+    });
+
+    expect(screen.getByText("Example Privacy Policy")).toBeInTheDocument();
+    expect(screen.queryByText("Acme Privacy Policy")).not.toBeInTheDocument();
+  });
+
+  it("should explain when no entries match", () => {
+    renderBrowser();
+
+    fireEvent.change(screen.getByLabelText("Search"), {
+      target: { value: "nothing" },
+    });
+
+    expect(
+      screen.getByText("No analyses match these filters."),
+    ).toBeInTheDocument();
+  });
+
+  it("should open and delete entries", () => {
+    const onOpen = vi.fn();
+    const onDelete = vi.fn();
+    renderBrowser({ onOpen, onDelete });
+
+    fireEvent.click(
+      screen.getByRole("button", { name: "Open Acme Privacy Policy" }),
+    );
+    fireEvent.click(
+      screen.getByRole("button", { name: "Delete Example Privacy Policy" }),
+    );
+
+    expect(onOpen).toHaveBeenCalledWith("2");
+    expect(onDelete).toHaveBeenCalledWith("1");
+  });
+
+  it("should compare two selected entries with the earlier one first", () => {
+    const onCompare = vi.fn();
+    renderBrowser({ onCompare });
+
+    const compareButton = screen.getByRole("button", {
+      name: /Compare selected/,
+    });
+    expect(compareButton).toBeDisabled();
+
+    fireEvent.click(
+      screen.getByLabelText("Select Example Privacy Policy for comparison"),
+    );
+    fireEvent.click(
+      screen.getByLabelText("Select Acme Privacy Policy for comparison"),
+    );
+    fireEvent.click(compareButton);
+
+    expect(onCompare).toHaveBeenCalledWith("2", "1");
+  });
+
+  it("should show a message when history is unsupported", () => {
+    renderBrowser({ isSupported: false });
+
+    expect(
+      screen.getByText(/does not support saving analysis history/),
+    ).toBeInTheDocument();
+  });
+
+  it("should close on Escape", () => {
+    const onClose = vi.fn();
+    renderBrowser({ onClose });
+
+    fireEvent.keyDown(document, { key: "Escape" });
+
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,279 @@
+import { useState, useMemo, useEffect, type ReactElement } from "react";
+import { Button } from "../Common";
+import { HistoryStore } from "../../services/history";
+import { formatDate } from "../../utils/formatting";
+import type { HistoryEntry } from "../../types";
+
+const GRADE_OPTIONS = ["A", "B", "C", "D", "F"];
+
+/**
+ * Props for HistoryBrowser component
+ */
+interface HistoryBrowserProps {
+  /** Stored analyses, newest first */
+  entries: HistoryEntry[];
+  /** Whether history is still loading */
+  isLoading?: boolean;
+  /** Error from loading history */
+  error?: string | null;
+  /** Whether the browser supports persistent history */
+  isSupported?: boolean;
+  /** Reopen a past analysis */
+  onOpen: (id: string) => void;
+  /** Delete a past analysis */
+  onDelete: (id: string) => void | Promise<void>;
+  /** Compare two past analyses (earlier first) */
+  onCompare?: (previousId: string, currentId: string) => void;
+  /** Close the browser */
+  onClose: () => void;
+  className?: string;
+}
+
+/**
+ * Converts a yyyy-mm-dd input value to a timestamp at the start or end of that day
+ */
+function parseDateInput(value: string, endOfDay: boolean): number | undefined {
+  if (!value) return undefined;
+  const date = new Date(`${value}T00:00:00`);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (endOfDay) date.setHours(23, 59, 59, 999);
+  return date.getTime();
+}
+
+/**
+ * HistoryBrowser - Modal for searching, reopening and deleting past analyses
+ */
+export function HistoryBrowser({
+  entries,
+  isLoading = false,
+  error = null,
+  isSupported = true,
+  onOpen,
+  onDelete,
+  onCompare,
+  onClose,
+  className = "",
+}: HistoryBrowserProps): ReactElement {
+  const [query, setQuery] = useState("");
+  const [grade, setGrade] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [selected, setSelected] = useState<string[]>([]);
+
+  // Handle escape key
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent): void => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [onClose]);
+
+  const filtered = useMemo(
+    () =>
+      HistoryStore.filterEntries(entries, {
+        query,
+        grades: grade ? [grade] : [],
+        from: parseDateInput(from, false),
+        to: parseDateInput(to, true),
+      }),
+    [entries, query, grade, from, to],
+  );
+
+  const hasFilters = !!(query || grade || from || to);
+
+  /**
+   * Toggles an entry for comparison, keeping at most two selected
+   */
+  const toggleSelected = (id: string) => {
+    setSelected((prev) =>
+      prev.includes(id)
+        ? prev.filter((selectedId) => selectedId !== id)
+        : [...prev, id].slice(-2),
+    );
+  };
+
+  /**
+   * Compares the two selected entries, earlier one first
+   */
+  const handleCompare = () => {
+    const [a, b] = selected
+      .map((id) => entries.find((entry) => entry.id === id))
+      .filter((entry): entry is HistoryEntry => !!entry)
+      .sort((x, y) => x.timestamp - y.timestamp);
+    if (a && b && onCompare) {
+      onCompare(a.id, b.id);
+    }
+  };
+
+  const handleDelete = async (id: string) => {
+    setSelected((prev) => prev.filter((selectedId) => selectedId !== id));
+    await onDelete(id);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className={`modal modal--history history-browser ${className}`}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="history-browser-title"
+      >
+        <div className="modal__header">
+          <h2 className="modal__title" id="history-browser-title">
+            <span aria-hidden="true">🗂️</span> Analysis History
+          </h2>
+          <button
+            type="button"
+            className="modal__close"
+            onClick={onClose}
+            aria-label="Close history"
+          >
+            <span aria-hidden="true">&times;</span>
+          </button>
+        </div>
+
+        <div className="modal__body modal__body--scrollable">
+          {!isSupported ? (
+            <p className="history-browser__empty">
+              This browser does not support saving analysis history.
+            </p>
+          ) : (
+            <>
+              <div className="history-browser__filters">
+                <label className="history-browser__filter history-browser__filter--search">
+                  <span className="history-browser__filter-label">Search</span>
+                  <input
+                    type="search"
+                    className="history-browser__input"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    placeholder="Domain or title"
+                  />
+                </label>
+                <label className="history-browser__filter">
+                  <span className="history-browser__filter-label">Grade</span>
+                  <select
+                    className="history-browser__input"
+                    value={grade}
+                    onChange={(e) => setGrade(e.target.value)}
+                  >
+                    <option value="">All grades</option>
+                    {GRADE_OPTIONS.map((option) => (
+                      <option key={option} value={option}>
+                        {option}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="history-browser__filter">
+                  <span className="history-browser__filter-label">From</span>
+                  <input
+                    type="date"
+                    className="history-browser__input"
+                    value={from}
+                    onChange={(e) => setFrom(e.target.value)}
+                  />
+                </label>
+                <label className="history-browser__filter">
+                  <span className="history-browser__filter-label">To</span>
+                  <input
+                    type="date"
+                    className="history-browser__input"
+                    value={to}
+                    onChange={(e) => setTo(e.target.value)}
+                  />
+                </label>
+              </div>
+
+              {error && (
+                <p className="history-browser__error" role="alert">
+                  {error}
+                </p>
+              )}
+
+              {isLoading ? (
+                <p className="history-browser__empty">Loading history...</p>
+              ) : filtered.length === 0 ? (
+                <p className="history-browser__empty">
+                  {hasFilters
+                    ? "No analyses match these filters."
+                    : "Analyses you run will appear here."}
+                </p>
+              ) : (
+                <ul className="history-browser__list">
+                  {filtered.map((entry) => (
+                    <li key={entry.id} className="history-browser__item">
+                      {onCompare && (
+                        <input
+                          type="checkbox"
+                          className="history-browser__select"
+                          checked={selected.includes(entry.id)}
+                          onChange={() => toggleSelected(entry.id)}
+                          aria-label={`Select ${entry.title} for comparison`}
+                        />
+                      )}
+                      <span
+                        className={`history-browser__grade history-browser__grade--${(entry.grade || "none").charAt(0).toLowerCase()}`}
+                      >
+                        {entry.grade || "—"}
+                      </span>
+                      <div className="history-browser__info">
+                        <span className="history-browser__title">
+                          {entry.title}
+                        </span>
+                        <span className="history-browser__meta">
+                          {entry.domain || entry.source} ·{" "}
+                          {formatDate(new Date(entry.timestamp))} ·{" "}
+                          {entry.riskCount}{" "}
+                          {entry.riskCount === 1 ? "risk" : "risks"}
+                        </span>
+                      </div>
+                      <div className="history-browser__actions">
+                        <Button
+                          variant="secondary"
+                          size="small"
+                          onClick={() => onOpen(entry.id)}
+                          ariaLabel={`Open ${entry.title}`}
+                        >
+                          Open
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="small"
+                          onClick={() => handleDelete(entry.id)}
+                          ariaLabel={`Delete ${entry.title}`}
+                        >
+                          <span aria-hidden="true">🗑️</span>
+                        </Button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="modal__footer">
+          {onCompare && (
+            <Button
+              variant="secondary"
+              onClick={handleCompare}
+              disabled={selected.length !== 2}
+            >
+              Compare selected ({selected.length}/2)
+            </Button>
+          )}
+          <Button variant="primary" onClick={onClose}>
+            Close
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1 @@
+export { HistoryBrowser } from './HistoryBrowser';
@@ -0,0 +1,357 @@
+import { useState, useEffect, type ReactElement } from "react";
+import { Button } from "../Common";
+import { AnalysisProfiles } from "../../services/analysis/AnalysisProfiles";
+import { ResponseParser } from "../../services/analysis/ResponseParser";
+import {
+  ANALYSIS_PROFILE_LIMITS,
+  SCORECARD_CATEGORY_LABELS,
+} from "../../utils/constants";
+import type {
+  AnalysisProfile,
+  AnalysisSectionName,
+  CustomAspect,
+  ScorecardCategoryKey,
+} from "../../types";
+
+/**
+ * Props for AnalysisProfileEditor component
+ */
+export interface AnalysisProfileEditorProps {
+  /** All profiles, the standard profile first */
+  profiles: AnalysisProfile[];
+  /** Profile to open first */
+  initialProfile: AnalysisProfile;
+  /**
+   * Saves a profile
+   * @throws Error with a user-facing message if the profile is invalid
+   */
+  onSave: (profile: AnalysisProfile) => AnalysisProfile;
+  /** Deletes a saved profile */
+  onDelete: (id: string) => void;
+  /** Makes a profile the active one */
+  onSelect: (id: string) => void;
+  onClose: () => void;
+}
+
+const CATEGORY_KEYS = Object.keys(
+  SCORECARD_CATEGORY_LABELS,
+) as ScorecardCategoryKey[];
+
+/**
+ * AnalysisProfileEditor - Creates and edits analysis profiles: the sections
+ * an analysis runs, custom questions it asks and the scorecard weights
+ */
+export function AnalysisProfileEditor({
+  profiles,
+  initialProfile,
+  onSave,
+  onDelete,
+  onSelect,
+  onClose,
+}: AnalysisProfileEditorProps): ReactElement {
+  const [draft, setDraft] = useState<AnalysisProfile>(initialProfile);
+  const [error, setError] = useState<string | null>(null);
+
+  const isStandard = AnalysisProfiles.isStandard(draft.id);
+  const isSaved = profiles.some((profile) => profile.id === draft.id);
+  const percentages = ResponseParser.normalizeWeights(draft.weights);
+
+  // Handle escape key
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent): void => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [onClose]);
+
+  const edit = (changes: Partial<AnalysisProfile>): void => {
+    setDraft((current) => ({ ...current, ...changes }));
+    setError(null);
+  };
+
+  const open = (profile: AnalysisProfile): void => {
+    setDraft(profile);
+    setError(null);
+  };
+
+  const toggleSection = (section: AnalysisSectionName): void => {
+    edit({
+      sections: draft.sections.includes(section)
+        ? draft.sections.filter((other) => other !== section)
+        : [...draft.sections, section],
+    });
+  };
+
+  const setWeight = (key: ScorecardCategoryKey, value: string): void => {
+    edit({ weights: { ...draft.weights, [key]: Number(value) } });
+  };
+
+  const editAspect = (id: string, changes: Partial<CustomAspect>): void => {
+    edit({
+      aspects: draft.aspects.map((aspect) =>
+        aspect.id === id ? { ...aspect, ...changes } : aspect,
+      ),
+    });
+  };
+
+  const addAspect = (presetName: string): void => {
+    const preset = AnalysisProfiles.aspectPresets().find(
+      (aspect) => aspect.name === presetName,
+    );
+    edit({
+      aspects: [
+        ...draft.aspects,
+        AnalysisProfiles.createAspect(preset ?? { name: "", prompt: "" }),
+      ],
+    });
+  };
+
+  const handleSave = (): void => {
+    try {
+      const saved = onSave(draft);
+      onSelect(saved.id);
+      onClose();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Could not save profile");
+    }
+  };
+
+  const handleDelete = (): void => {
+    onDelete(draft.id);
+    open(AnalysisProfiles.standard());
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal modal--profiles"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="profile-editor-title"
+      >
+        <div className="modal__header">
+          <h2 className="modal__title" id="profile-editor-title">
+            Analysis Profiles
+          </h2>
+          <button
+            type="button"
+            className="modal__close"
+            onClick={onClose}
+            aria-label="Close analysis profiles"
+          >
+            <span aria-hidden="true">&times;</span>
+          </button>
+        </div>
+
+        <div className="modal__body modal__body--scrollable">
+          <div className="profile-editor__toolbar">
+            <label htmlFor="profile-editor-profile" className="input-label">
+              Profile
+            </label>
+            <select
+              id="profile-editor-profile"
+              className="select-field"
+              value={isSaved ? draft.id : ""}
+              onChange={(e) =>
+                open(
+                  profiles.find((profile) => profile.id === e.target.value) ??
+                    AnalysisProfiles.standard(),
+                )
+              }
+            >
+              {!isSaved && <option value="">New profile</option>}
+              {profiles.map((profile) => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.name}
+                </option>
+              ))}
+            </select>
+            <Button
+              variant="secondary"
+              size="small"
+              onClick={() =>
+                open({
+                  ...AnalysisProfiles.create(
+                    isStandard ? "" : `${draft.name} copy`,
+                  ),
+                  sections: draft.sections,
+                  aspects: draft.aspects.map(({ name, prompt }) =>
+                    AnalysisProfiles.createAspect({ name, prompt }),
+                  ),
+                  weights: draft.weights,
+                })
+              }
+            >
+              {isStandard ? "New profile" : "Duplicate"}
+            </Button>
+          </div>
+
+          {isStandard && (
+            <p className="input-hint">
+              The standard profile runs every section with the default scorecard
+              weights and cannot be changed. Create a new profile to customize
+              the analysis.
+            </p>
+          )}
+
+          <fieldset className="profile-editor__group" disabled={isStandard}>
+            <label htmlFor="profile-editor-name" className="input-label">
+              Name
+            </label>
+            <input
+              id="profile-editor-name"
+              type="text"
+              className="input-field"
+              value={draft.name}
+              maxLength={ANALYSIS_PROFILE_LIMITS.MAX_NAME_LENGTH}
+              onChange={(e) => edit({ name: e.target.value })}
+              placeholder="e.g. Kids' apps"
+            />
+          </fieldset>
+
+          <fieldset className="profile-editor__group" disabled={isStandard}>
+            <legend className="input-label">Sections</legend>
+            <div className="profile-editor__options">
+              {AnalysisProfiles.sections().map(({ name, label }) => (
+                <label key={name} className="profile-editor__option">
+                  <input
+                    type="checkbox"
+                    checked={draft.sections.includes(name)}
+                    onChange={() => toggleSection(name)}
+                    disabled={AnalysisProfiles.isRequiredSection(name)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <p className="input-hint">
+              The brief summary always runs. Each section left out saves one
+              request per analysis.
+            </p>
+          </fieldset>
+
+          <fieldset className="profile-editor__group" disabled={isStandard}>
+            <legend className="input-label">Custom questions</legend>
+            {draft.aspects.map((aspect, index) => (
+              <div key={aspect.id} className="profile-editor__aspect">
+                <div className="profile-editor__aspect-header">
+                  <input
+                    type="text"
+                    className="input-field"
+                    value={aspect.name}
+                    maxLength={ANALYSIS_PROFILE_LIMITS.MAX_NAME_LENGTH}
+                    onChange={(e) =>
+                      editAspect(aspect.id, { name: e.target.value })
+                    }
+                    placeholder="Short name"
+                    aria-label={`Question ${index + 1} name`}
+                  />
+                  <Button
+                    variant="ghost"
+                    size="small"
+                    onClick={() =>
+                      edit({
+                        aspects: draft.aspects.filter(
+                          (other) => other.id !== aspect.id,
+                        ),
+                      })
+                    }
+                    ariaLabel={`Remove question ${index + 1}`}
+                  >
+                    Remove
+                  </Button>
+                </div>
+                <textarea
+                  className="input-field profile-editor__prompt"
+                  value={aspect.prompt}
+                  maxLength={ANALYSIS_PROFILE_LIMITS.MAX_PROMPT_LENGTH}
+                  onChange={(e) =>
+                    editAspect(aspect.id, { prompt: e.target.value })
+                  }
+                  rows={3}
+                  placeholder="What should the policy be checked for?"
+                  aria-label={`Question ${index + 1}`}
+                />
+              </div>
+            ))}
+            {draft.aspects.length < ANALYSIS_PROFILE_LIMITS.MAX_ASPECTS && (
+              <select
+                className="select-field profile-editor__add"
+                value=""
+                onChange={(e) => addAspect(e.target.value)}
+                aria-label="Add a question"
+              >
+                <option value="" disabled>
+                  Add a question...
+                </option>
+                <option value="blank">Blank question</option>
+                {AnalysisProfiles.aspectPresets().map(({ name }) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            )}
+            <p className="input-hint">
+              Each question is answered from the policy in its own request and
+              shown in the results.
+            </p>
+          </fieldset>
+
+          <fieldset className="profile-editor__group" disabled={isStandard}>
+            <legend className="input-label">Scorecard weights</legend>
+            <div className="profile-editor__weights">
+              {CATEGORY_KEYS.map((key) => (
+                <label key={key} className="profile-editor__weight">
+                  <span className="profile-editor__weight-label">
+                    {SCORECARD_CATEGORY_LABELS[key]}
+                  </span>
+                  <input
+                    type="number"
+                    className="input-field"
+                    min={0}
+                    max={ANALYSIS_PROFILE_LIMITS.MAX_WEIGHT}
+                    value={draft.weights[key]}
+                    onChange={(e) => setWeight(key, e.target.value)}
+                  />
+                  <span className="profile-editor__weight-share">
+                    {percentages[key]}%
+                  </span>
+                </label>
+              ))}
+            </div>
+            <p className="input-hint">
+              Weights are relative and scaled to 100%. Set a weight to 0 to
+              leave a category out of the overall grade.
+            </p>
+          </fieldset>
+
+          {error && (
+            <p className="input__error" role="alert">
+              {error}
+            </p>
+          )}
+        </div>
+
+        <div className="modal__footer">
+          {isSaved && !isStandard && (
+            <Button variant="danger" onClick={handleDelete}>
+              Delete
+            </Button>
+          )}
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleSave} disabled={isStandard}>
+            Save and Use
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import { AnalysisProfileSelector } from "./AnalysisProfileSelector";
+import { AnalysisProfiles } from "../../services/analysis/AnalysisProfiles";
+import type { AnalysisProfile } from "../../types";
+
+const kids: AnalysisProfile = {
+  ...AnalysisProfiles.standard(),
+  id: "kids",
+  name: "Kids",
+  sections: ["brief summary", "privacy risks", "privacy scorecard"],
+  aspects: [{ id: "children", name: "Children", prompt: "Is data of children collected?" }],
+};
+
+/**
+ * Renders the selector with the standard and "Kids" profiles
+ */
+function renderSelector(activeProfile: AnalysisProfile = kids) {
+  const props = {
+    profiles: [AnalysisProfiles.standard(), kids],
+    activeProfile,
+    onSelect: vi.fn(),
+    onSave: vi.fn((profile: AnalysisProfile) => profile),
+    onDelete: vi.fn(),
+  };
+  render(<AnalysisProfileSelector {...props} />);
+  return props;
+}
+
+describe("AnalysisProfileSelector", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("should describe what the active profile changes", () => {
+    renderSelector();
+
+    expect(
+      screen.getByText("Runs 3 of 8 sections, 1 custom question.")
+    ).toBeInTheDocument();
+  });
+
+  it("should select a profile", () => {
+    const props = renderSelector();
+
+    fireEvent.change(screen.getByLabelText("Analysis profile"), {
+      target: { value: "standard" },
+    });
+
+    expect(props.onSelect).toHaveBeenCalledWith("standard");
+  });
+
+  it("should not let the standard profile be edited", () => {
+    renderSelector(AnalysisProfiles.standard());
+
+    fireEvent.click(screen.getByRole("button", { name: "Manage profiles" }));
+    const dialog = screen.getByRole("dialog");
+
+    expect(within(dialog).getByLabelText("Name")).toBeDisabled();
+    expect(
+      within(dialog).getByRole("button", { name: "Save and Use" })
+    ).toBeDisabled();
+  });
+
+  it("should save an edited profile and make it active", () => {
+    const props = renderSelector();
+
+    fireEvent.click(screen.getByRole("button", { name: "Manage profiles" }));
+    const dialog = screen.getByRole("dialog");
+    fireEvent.click(within(dialog).getByLabelText("Key terms"));
+    fireEvent.change(within(dialog).getByLabelText("Add a question"), {
+      target: { value: "AI training" },
+    });
+    fireEvent.change(within(dialog).getByLabelText(/User Rights/), {
+      target: { value: "50" },
+    });
+    fireEvent.click(within(dialog).getByRole("button", { name: "Save and Use" }));
+
+    const saved = props.onSave.mock.calls[0][0];
+    expect(saved.sections).toContain("key terms");
+    expect(saved.aspects.map((aspect) => aspect.name)).toEqual([
+      "Children",
+      "AI training",
+    ]);
+    expect(saved.weights.userRights).toBe(50);
+    expect(props.onSelect).toHaveBeenCalledWith("kids");
+    expect(screen.queryByRole("dialog")).not.toBeInTheDocument();
+  });
+
+  it("should show why a profile could not be saved", () => {
+    const props = renderSelector();
+    props.onSave.mockImplementation(() => {
+      throw new Error('A profile named "Standard" already exists.');
+    });
+
+    fireEvent.click(screen.getByRole("button", { name: "Manage profiles" }));
+    fireEvent.click(screen.getByRole("button", { name: "Save and Use" }));
+
+    expect(screen.getByRole("alert")).toHaveTextContent("already exists");
+    expect(props.onSelect).not.toHaveBeenCalled();
+  });
+
+  it("should delete a saved profile", () => {
+    const props = renderSelector();
+
+    fireEvent.click(screen.getByRole("button", { name: "Manage profiles" }));
+    fireEvent.click(screen.getByRole("button", { name: "Delete" }));
+
+    expect(props.onDelete).toHaveBeenCalledWith("kids");
+  });
+});
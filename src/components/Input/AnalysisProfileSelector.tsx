@@ -0,0 +1,110 @@
+import { useState, useCallback, type ReactElement } from "react";
+import { Button } from "../Common";
+import { AnalysisProfileEditor } from "./AnalysisProfileEditor";
+import { AnalysisProfiles } from "../../services/analysis/AnalysisProfiles";
+import { SCORECARD_WEIGHTS } from "../../utils/constants";
+import type { AnalysisProfile, ScorecardCategoryKey } from "../../types";
+
+/**
+ * Props for AnalysisProfileSelector component
+ */
+export interface AnalysisProfileSelectorProps {
+  /** All profiles, the standard profile first */
+  profiles: AnalysisProfile[];
+  /** Profile new analyses run with */
+  activeProfile: AnalysisProfile;
+  /** Makes a profile the active one */
+  onSelect: (id: string) => void;
+  /**
+   * Saves a profile
+   * @throws Error with a user-facing message if the profile is invalid
+   */
+  onSave: (profile: AnalysisProfile) => AnalysisProfile;
+  /** Deletes a saved profile */
+  onDelete: (id: string) => void;
+  /** Whether the selector is disabled */
+  disabled?: boolean;
+}
+
+/**
+ * Describes what a profile changes compared with the standard analysis
+ * @param profile - Profile to describe
+ * @returns Short summary for the hint below the selector
+ */
+function describeProfile(profile: AnalysisProfile): string {
+  const parts = [
+    `Runs ${profile.sections.length} of ${AnalysisProfiles.sections().length} sections`,
+  ];
+  if (profile.aspects.length > 0) {
+    parts.push(
+      `${profile.aspects.length} custom question${profile.aspects.length === 1 ? "" : "s"}`,
+    );
+  }
+  const customWeights = (
+    Object.keys(SCORECARD_WEIGHTS) as ScorecardCategoryKey[]
+  ).some((key) => profile.weights[key] !== SCORECARD_WEIGHTS[key]);
+  if (customWeights) {
+    parts.push("custom scorecard weights");
+  }
+  return `${parts.join(", ")}.`;
+}
+
+/**
+ * AnalysisProfileSelector - Chooses the analysis profile new analyses run
+ * with and opens the profile editor
+ */
+export function AnalysisProfileSelector({
+  profiles,
+  activeProfile,
+  onSelect,
+  onSave,
+  onDelete,
+  disabled = false,
+}: AnalysisProfileSelectorProps): ReactElement {
+  const [isEditing, setIsEditing] = useState(false);
+
+  const closeEditor = useCallback(() => setIsEditing(false), []);
+
+  return (
+    <div className="profile-selector">
+      <label htmlFor="analysis-profile" className="input-label">
+        Analysis profile
+      </label>
+      <div className="profile-selector__row">
+        <select
+          id="analysis-profile"
+          className="select-field"
+          value={activeProfile.id}
+          onChange={(e) => onSelect(e.target.value)}
+          disabled={disabled}
+        >
+          {profiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name}
+            </option>
+          ))}
+        </select>
+        <Button
+          variant="secondary"
+          size="small"
+          onClick={() => setIsEditing(true)}
+          disabled={disabled}
+        >
+          Manage profiles
+        </Button>
+      </div>
+      <p className="input-hint">{describeProfile(activeProfile)}</p>
+
+      {isEditing && (
+        <AnalysisProfileEditor
+          profiles={profiles}
+          initialProfile={activeProfile}
+          onSave={onSave}
+          onDelete={onDelete}
+          onSelect={onSelect}
+          onClose={closeEditor}
+        />
+      )}
+    </div>
+  );
+}
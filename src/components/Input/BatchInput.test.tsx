@@ -0,0 +1,106 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { BatchInput } from "./BatchInput";
+
+const enterUrls = (text: string) =>
+  fireEvent.change(screen.getByLabelText("Policy URLs"), {
+    target: { value: text },
+  });
+
+describe("BatchInput", () => {
+  it("should summarize the pasted list", () => {
+    render(<BatchInput onSubmit={vi.fn()} />);
+
+    enterUrls(
+      "https://a.com/privacy\nb.com/privacy\nhttps://a.com/privacy\nftp://c.com/privacy",
+    );
+
+    expect(
+      screen.getByText(
+        "2 URLs found · 1 duplicate skipped · 1 invalid: ftp://c.com/privacy",
+      ),
+    ).toBeInTheDocument();
+    expect(
+      screen.getByRole("button", { name: "Analyze 2 URLs" }),
+    ).toBeEnabled();
+  });
+
+  it("should disable submit without URLs", () => {
+    render(<BatchInput onSubmit={vi.fn()} />);
+
+    expect(
+      screen.getByRole("button", { name: "Analyze 0 URLs" }),
+    ).toBeDisabled();
+  });
+
+  it("should submit the URLs with the chosen settings", () => {
+    const onSubmit = vi.fn();
+    render(<BatchInput onSubmit={onSubmit} />);
+    enterUrls("https://a.com/privacy\nhttps://b.com/privacy");
+    fireEvent.change(screen.getByLabelText("Analyze at once"), {
+      target: { value: "4" },
+    });
+    fireEvent.change(screen.getByLabelText("Retries per URL"), {
+      target: { value: "0" },
+    });
+
+    fireEvent.click(screen.getByRole("button", { name: "Analyze 2 URLs" }));
+
+    expect(onSubmit).toHaveBeenCalledWith(
+      ["https://a.com/privacy", "https://b.com/privacy"],
+      { concurrency: 4, maxRetries: 0 },
+    );
+  });
+
+  it("should reject lists over the batch limit", () => {
+    const onSubmit = vi.fn();
+    render(<BatchInput onSubmit={onSubmit} />);
+
+    enterUrls(
+      Array.from({ length: 101 }, (_, i) => `https://site${i}.com`).join("\n"),
+    );
+
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      "Batches are limited to 100 URLs",
+    );
+    expect(
+      screen.getByRole("button", { name: "Analyze 101 URLs" }),
+    ).toBeDisabled();
+  });
+
+  it("should load URLs from an uploaded file", async () => {
+    render(<BatchInput onSubmit={vi.fn()} />);
+    const file = new File([""], "urls.csv", { type: "text/csv" });
+    Object.defineProperty(file, "text", {
+      value: () => Promise.resolve("url\nhttps://a.com/privacy"),
+    });
+
+    fireEvent.change(screen.getByLabelText("Upload URL list"), {
+      target: { files: [file] },
+    });
+
+    await waitFor(() =>
+      expect(screen.getByLabelText("Policy URLs")).toHaveValue(
+        "url\nhttps://a.com/privacy",
+      ),
+    );
+    expect(screen.getByText("1 URL found")).toBeInTheDocument();
+  });
+
+  it("should offer to reopen a saved batch", () => {
+    const onOpenSavedBatch = vi.fn();
+    render(
+      <BatchInput
+        onSubmit={vi.fn()}
+        savedBatch={{ total: 5, finished: 3 }}
+        onOpenSavedBatch={onOpenSavedBatch}
+      />,
+    );
+
+    expect(
+      screen.getByText(/A saved batch has 3 of 5 URLs analyzed/),
+    ).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Open saved batch" }));
+    expect(onOpenSavedBatch).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,219 @@
+import {
+  useState,
+  useMemo,
+  useCallback,
+  type ChangeEvent,
+  type FormEvent,
+  type ReactElement,
+} from "react";
+import { Button } from "../Common";
+import { BatchQueue } from "../../services/batch/BatchQueue";
+import { BATCH_CONFIG } from "../../utils/constants";
+import type { BatchSettings } from "../../types";
+
+/**
+ * Progress of a saved batch that is not shown
+ */
+interface SavedBatchSummary {
+  total: number;
+  finished: number;
+}
+
+/**
+ * Props for BatchInput component
+ */
+interface BatchInputProps {
+  /** Callback with the URLs to analyze and the run settings */
+  onSubmit: (urls: string[], settings: BatchSettings) => void;
+  /** Whether input is disabled */
+  disabled?: boolean;
+  /** Saved batch that can be reopened */
+  savedBatch?: SavedBatchSummary | null;
+  /** Callback to reopen the saved batch */
+  onOpenSavedBatch?: (() => void) | null;
+  /** Additional CSS classes */
+  className?: string;
+}
+
+const CONCURRENCY_OPTIONS = Array.from(
+  { length: BATCH_CONFIG.MAX_CONCURRENCY },
+  (_, i) => i + 1,
+);
+const RETRY_OPTIONS = Array.from(
+  { length: BATCH_CONFIG.MAX_RETRIES + 1 },
+  (_, i) => i,
+);
+
+/**
+ * BatchInput - Collects a list of policy URLs to analyze one after another
+ */
+export function BatchInput({
+  onSubmit,
+  disabled = false,
+  savedBatch = null,
+  onOpenSavedBatch = null,
+  className = "",
+}: BatchInputProps): ReactElement {
+  const [text, setText] = useState("");
+  const [concurrency, setConcurrency] = useState<number>(
+    BATCH_CONFIG.DEFAULT_CONCURRENCY,
+  );
+  const [maxRetries, setMaxRetries] = useState<number>(
+    BATCH_CONFIG.DEFAULT_MAX_RETRIES,
+  );
+  const [error, setError] = useState<string | null>(null);
+
+  const parsed = useMemo(() => BatchQueue.parseUrls(text), [text]);
+  const tooMany = parsed.urls.length > BATCH_CONFIG.MAX_ITEMS;
+
+  /**
+   * Load URLs from an uploaded text or CSV file
+   */
+  const handleFileChange = useCallback(
+    async (e: ChangeEvent<HTMLInputElement>) => {
+      const file = e.target.files?.[0];
+      // Allow selecting the same file again
+      e.target.value = "";
+      if (!file) return;
+
+      setError(null);
+      try {
+        setText(await file.text());
+      } catch {
+        setError("Could not read the file. Please upload a text or CSV file.");
+      }
+    },
+    [],
+  );
+
+  const handleSubmit = useCallback(
+    (e: FormEvent) => {
+      e.preventDefault();
+      if (parsed.urls.length === 0) {
+        setError("Add at least one policy URL");
+        return;
+      }
+      if (tooMany) return;
+      setError(null);
+      onSubmit(parsed.urls, { concurrency, maxRetries });
+    },
+    [parsed, tooMany, concurrency, maxRetries, onSubmit],
+  );
+
+  return (
+    <form
+      className={`batch-input ${className}`}
+      onSubmit={handleSubmit}
+      noValidate
+    >
+      {savedBatch && onOpenSavedBatch && (
+        <p className="batch-input__saved">
+          A saved batch has {savedBatch.finished} of {savedBatch.total} URLs
+          analyzed.{" "}
+          <button
+            type="button"
+            className="tip-hint__link"
+            onClick={onOpenSavedBatch}
+            disabled={disabled}
+          >
+            Open saved batch
+          </button>
+        </p>
+      )}
+
+      <div className="input-group">
+        <label htmlFor="batch-urls" className="input-label">
+          Policy URLs
+        </label>
+        <textarea
+          id="batch-urls"
+          className={`input-field batch-input__urls ${error || tooMany ? "input-field--error" : ""}`}
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setError(null);
+          }}
+          placeholder={
+            "https://example.com/privacy\nhttps://another.example/legal/privacy"
+          }
+          rows={8}
+          disabled={disabled}
+          aria-describedby="batch-urls-hint"
+        />
+        <p id="batch-urls-hint" className="input-hint">
+          One URL per line, or upload a text or CSV file. Up to{" "}
+          {BATCH_CONFIG.MAX_ITEMS} URLs.
+        </p>
+      </div>
+
+      <div className="batch-input__file">
+        <label className="batch-input__file-label">
+          <span className="input-label">Upload a list</span>
+          <input
+            type="file"
+            accept=".txt,.csv,text/plain,text/csv"
+            onChange={handleFileChange}
+            disabled={disabled}
+            aria-label="Upload URL list"
+          />
+        </label>
+      </div>
+
+      <div className="batch-input__settings">
+        <label className="batch-input__setting">
+          <span className="input-label">Analyze at once</span>
+          <select
+            className="batch-input__select"
+            value={concurrency}
+            onChange={(e) => setConcurrency(Number(e.target.value))}
+            disabled={disabled}
+          >
+            {CONCURRENCY_OPTIONS.map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="batch-input__setting">
+          <span className="input-label">Retries per URL</span>
+          <select
+            className="batch-input__select"
+            value={maxRetries}
+            onChange={(e) => setMaxRetries(Number(e.target.value))}
+            disabled={disabled}
+          >
+            {RETRY_OPTIONS.map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <p className="batch-input__summary" aria-live="polite">
+        {parsed.urls.length} URL{parsed.urls.length === 1 ? "" : "s"} found
+        {parsed.duplicates > 0 &&
+          ` · ${parsed.duplicates} duplicate${parsed.duplicates === 1 ? "" : "s"} skipped`}
+        {parsed.invalid.length > 0 &&
+          ` · ${parsed.invalid.length} invalid: ${parsed.invalid.join(", ")}`}
+      </p>
+
+      {(error || tooMany) && (
+        <p className="input__error" role="alert">
+          {error ||
+            `Batches are limited to ${BATCH_CONFIG.MAX_ITEMS} URLs. Please split the list.`}
+        </p>
+      )}
+
+      <Button
+        type="submit"
+        variant="primary"
+        disabled={disabled || parsed.urls.length === 0 || tooMany}
+      >
+        Analyze {parsed.urls.length} URL{parsed.urls.length === 1 ? "" : "s"}
+      </Button>
+    </form>
+  );
+}
@@ -0,0 +1,63 @@
+import type { ReactElement } from "react";
+import { ComplianceProfiles } from "../../services/analysis/ComplianceProfiles";
+import type { ComplianceProfileId } from "../../types";
+
+/**
+ * Props for ComplianceProfileSelector component
+ */
+export interface ComplianceProfileSelectorProps {
+  /** Selected profiles */
+  selected: ComplianceProfileId[];
+  /** Callback with the new selection */
+  onChange: (ids: ComplianceProfileId[]) => void;
+  /** Whether the checkboxes are disabled */
+  disabled?: boolean;
+}
+
+/**
+ * ComplianceProfileSelector - Chooses the privacy laws to check the policy
+ * against in addition to the standard analysis
+ */
+export function ComplianceProfileSelector({
+  selected,
+  onChange,
+  disabled = false,
+}: ComplianceProfileSelectorProps): ReactElement {
+  /**
+   * Adds or removes a profile from the selection
+   */
+  const toggle = (id: ComplianceProfileId): void => {
+    onChange(
+      selected.includes(id)
+        ? selected.filter((other) => other !== id)
+        : [...selected, id],
+    );
+  };
+
+  return (
+    <fieldset className="compliance-selector">
+      <legend className="input-label">Compliance checklists</legend>
+      <div className="compliance-selector__options">
+        {ComplianceProfiles.list().map((profile) => (
+          <label
+            key={profile.id}
+            className="compliance-selector__option"
+            title={`${profile.law} (${profile.jurisdiction})`}
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(profile.id)}
+              onChange={() => toggle(profile.id)}
+              disabled={disabled}
+            />
+            {profile.name}
+          </label>
+        ))}
+      </div>
+      <p className="input-hint">
+        Checks the policy for the disclosures each law requires. Each checklist
+        adds one request per analysis; it is a review aid, not legal advice.
+      </p>
+    </fieldset>
+  );
+}
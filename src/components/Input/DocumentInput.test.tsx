@@ -1,17 +1,40 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
-import { render, screen, fireEvent } from "@testing-library/react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
 import { DocumentInput } from "./DocumentInput";
 import * as validation from "../../utils/validation";
+import type { PolicyCandidate } from "../../types";
 
 // Mock child components
 vi.mock("./URLInput", () => ({
-  URLInput: ({ onSubmit, disabled, error }: { onSubmit?: (url: string) => void; disabled?: boolean; error?: string }) => (
+  URLInput: ({ onSubmit, onPreview, onChoosePolicy, disabled, error }: { onSubmit?: (url: string) => void; onPreview?: ((url: string) => void) | null; onChoosePolicy?: ((candidate: PolicyCandidate) => void) | null; disabled?: boolean; error?: string }) => (
     <div data-testid="url-input">
       <input
         data-testid="url-input-field"
         disabled={disabled}
         onChange={(e) => onSubmit && onSubmit(e.target.value)}
       />
+      {onPreview && (
+        <input
+          data-testid="url-preview-field"
+          onChange={(e) => onPreview(e.target.value)}
+        />
+      )}
+      {onChoosePolicy && (
+        <button
+          data-testid="choose-policy-button"
+          onClick={() =>
+            onChoosePolicy({
+              url: "https://example.com/privacy",
+              kind: "privacy",
+              label: "Privacy Policy",
+              sources: ["footer"],
+              score: 55,
+            })
+          }
+        >
+          Choose policy
+        </button>
+      )}
       {error && <div data-testid="url-input-error">{error}</div>}
     </div>
   ),
@@ -51,7 +74,7 @@ describe("DocumentInput", () => {
       expect(screen.getByText("Analyze a Privacy Policy")).toBeInTheDocument();
       expect(
         screen.getByText(
-          "Paste a URL or upload a PDF document to get started",
+          "Paste a URL, upload a document or paste the policy text to get started",
         ),
       ).toBeInTheDocument();
     });
@@ -60,7 +83,7 @@ describe("DocumentInput", () => {
       render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
       expect(screen.getByRole("tab", { name: /URL/i })).toBeInTheDocument();
       expect(
-        screen.getByRole("tab", { name: /PDF Upload/i }),
+        screen.getByRole("tab", { name: /File Upload/i }),
       ).toBeInTheDocument();
     });
 
@@ -89,7 +112,7 @@ describe("DocumentInput", () => {
     it("should switch to file mode", () => {
       render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
 
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
       fireEvent.click(fileTab);
 
       expect(screen.getByTestId("file-upload")).toBeInTheDocument();
@@ -100,7 +123,7 @@ describe("DocumentInput", () => {
       render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
 
       const urlTab = screen.getByRole("tab", { name: /URL/i });
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
 
       expect(urlTab).toHaveAttribute("aria-selected", "true");
       expect(fileTab).toHaveAttribute("aria-selected", "false");
@@ -124,7 +147,7 @@ describe("DocumentInput", () => {
       fireEvent.change(urlInput, { target: { value: "invalid-url" } });
 
       // Switch to file mode
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
       fireEvent.click(fileTab);
 
       // Error should be cleared
@@ -135,7 +158,7 @@ describe("DocumentInput", () => {
       render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
 
       const urlTab = screen.getByRole("tab", { name: /URL/i });
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
 
       expect(urlTab.className).toContain("tab--active");
       expect(fileTab.className).not.toContain("tab--active");
@@ -237,6 +260,112 @@ describe("DocumentInput", () => {
     });
   });
 
+  describe("URL preview", () => {
+    it("should only offer a preview when onPreviewUrl is given", () => {
+      render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
+
+      expect(screen.queryByTestId("url-preview-field")).not.toBeInTheDocument();
+    });
+
+    it("should validate the URL before previewing it", () => {
+      const onPreviewUrl = vi.fn();
+      const validateUrlSpy = vi.spyOn(validation, "validateUrl");
+      validateUrlSpy.mockReturnValueOnce({
+        valid: false,
+        errors: [{ message: "Invalid URL format" }],
+      });
+
+      render(
+        <DocumentInput
+          onDocumentSelected={mockOnDocumentSelected}
+          onPreviewUrl={onPreviewUrl}
+        />,
+      );
+
+      const previewField = screen.getByTestId("url-preview-field");
+      fireEvent.change(previewField, { target: { value: "not-a-url" } });
+
+      expect(screen.getByTestId("url-input-error")).toHaveTextContent(
+        "Invalid URL format",
+      );
+      expect(onPreviewUrl).not.toHaveBeenCalled();
+
+      validateUrlSpy.mockReturnValueOnce({ valid: true, errors: [] });
+      fireEvent.change(previewField, {
+        target: { value: "https://example.com/privacy" },
+      });
+
+      expect(onPreviewUrl).toHaveBeenCalledWith("https://example.com/privacy");
+      expect(mockOnDocumentSelected).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("policy discovery", () => {
+    beforeEach(() => {
+      vi.spyOn(validation, "validateUrl").mockReturnValue({
+        valid: true,
+        errors: [],
+      });
+    });
+
+    it("should search a bare domain for its policies", () => {
+      const onDiscoverPolicies = vi.fn();
+      render(
+        <DocumentInput
+          onDocumentSelected={mockOnDocumentSelected}
+          onDiscoverPolicies={onDiscoverPolicies}
+        />,
+      );
+
+      fireEvent.change(screen.getByTestId("url-input-field"), {
+        target: { value: "example.com" },
+      });
+
+      expect(onDiscoverPolicies).toHaveBeenCalledWith("https://example.com/");
+      expect(mockOnDocumentSelected).not.toHaveBeenCalled();
+    });
+
+    it("should analyze page URLs directly", () => {
+      const onDiscoverPolicies = vi.fn();
+      render(
+        <DocumentInput
+          onDocumentSelected={mockOnDocumentSelected}
+          onDiscoverPolicies={onDiscoverPolicies}
+        />,
+      );
+
+      fireEvent.change(screen.getByTestId("url-input-field"), {
+        target: { value: "https://example.com/privacy" },
+      });
+
+      expect(onDiscoverPolicies).not.toHaveBeenCalled();
+      expect(mockOnDocumentSelected).toHaveBeenCalledWith(
+        expect.objectContaining({ source: "https://example.com/privacy" }),
+      );
+    });
+
+    it("should analyze the chosen policy and dismiss the results", () => {
+      const onDismissDiscovery = vi.fn();
+      render(
+        <DocumentInput
+          onDocumentSelected={mockOnDocumentSelected}
+          onDiscoverPolicies={vi.fn()}
+          onDismissDiscovery={onDismissDiscovery}
+        />,
+      );
+
+      fireEvent.click(screen.getByTestId("choose-policy-button"));
+
+      expect(onDismissDiscovery).toHaveBeenCalled();
+      expect(mockOnDocumentSelected).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: "url",
+          source: "https://example.com/privacy",
+        }),
+      );
+    });
+  });
+
   describe("file selection", () => {
     it("should validate and submit file", () => {
       vi.spyOn(validation, "validateFile").mockReturnValue({
@@ -247,7 +376,7 @@ describe("DocumentInput", () => {
       render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
 
       // Switch to file mode
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
       fireEvent.click(fileTab);
 
       // Select file
@@ -277,7 +406,7 @@ describe("DocumentInput", () => {
       render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
 
       // Switch to file mode
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
       fireEvent.click(fileTab);
 
       // Select file
@@ -298,7 +427,7 @@ describe("DocumentInput", () => {
 
       render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
 
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
       fireEvent.click(fileTab);
 
       const fileButton = screen.getByTestId("file-select-button");
@@ -321,7 +450,7 @@ describe("DocumentInput", () => {
       );
 
       const urlTab = screen.getByRole("tab", { name: /URL/i });
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
 
       expect(urlTab).toBeDisabled();
       expect(fileTab).toBeDisabled();
@@ -341,7 +470,7 @@ describe("DocumentInput", () => {
         <DocumentInput onDocumentSelected={mockOnDocumentSelected} />,
       );
 
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
       fireEvent.click(fileTab);
 
       rerender(
@@ -357,7 +486,7 @@ describe("DocumentInput", () => {
         <DocumentInput onDocumentSelected={mockOnDocumentSelected} disabled />,
       );
 
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
       fireEvent.click(fileTab);
 
       // Should still show URL input (mode didn't change)
@@ -385,10 +514,10 @@ describe("DocumentInput", () => {
       render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
 
       const urlTab = screen.getByRole("tab", { name: /URL/i });
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
 
       expect(urlTab).toHaveAttribute("aria-controls", "tab-url");
-      expect(fileTab).toHaveAttribute("aria-controls", "tab-pdf");
+      expect(fileTab).toHaveAttribute("aria-controls", "tab-file");
     });
 
     it("should have proper ARIA attributes for tab panels", () => {
@@ -402,11 +531,11 @@ describe("DocumentInput", () => {
     it("should update tabpanel when switching modes", () => {
       render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
 
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
       fireEvent.click(fileTab);
 
       const panel = screen.getByRole("tabpanel");
-      expect(panel).toHaveAttribute("id", "tab-pdf");
+      expect(panel).toHaveAttribute("id", "tab-file");
     });
   });
 
@@ -435,7 +564,7 @@ describe("DocumentInput", () => {
 
       render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
 
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
       fireEvent.click(fileTab);
 
       const fileButton = screen.getByTestId("file-select-button");
@@ -472,7 +601,7 @@ describe("DocumentInput", () => {
 
       render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
 
-      const fileTab = screen.getByRole("tab", { name: /PDF Upload/i });
+      const fileTab = screen.getByRole("tab", { name: /File Upload/i });
       fireEvent.click(fileTab);
 
       const fileButton = screen.getByTestId("file-select-button");
@@ -483,4 +612,214 @@ describe("DocumentInput", () => {
       expect(new Date(call.metadata.timestamp)).toBeInstanceOf(Date);
     });
   });
+
+  describe("analysis import", () => {
+    const selectImportFile = () => {
+      const file = new File(["{}"], "analysis.json", {
+        type: "application/json",
+      });
+      fireEvent.change(screen.getByLabelText("Import analysis file"), {
+        target: { files: [file] },
+      });
+      return file;
+    };
+
+    it("should not render the import control without onImportAnalysis", () => {
+      render(<DocumentInput onDocumentSelected={vi.fn()} />);
+
+      expect(
+        screen.queryByRole("button", { name: /Import a saved analysis/i })
+      ).not.toBeInTheDocument();
+    });
+
+    it("should pass the selected file to onImportAnalysis", async () => {
+      const onImportAnalysis = vi.fn().mockResolvedValue(undefined);
+      render(
+        <DocumentInput
+          onDocumentSelected={vi.fn()}
+          onImportAnalysis={onImportAnalysis}
+        />
+      );
+
+      const file = selectImportFile();
+
+      await waitFor(() => expect(onImportAnalysis).toHaveBeenCalledWith(file));
+      expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+    });
+
+    it("should show import errors", async () => {
+      const onImportAnalysis = vi
+        .fn()
+        .mockRejectedValue(new Error("This file is not valid JSON."));
+      render(
+        <DocumentInput
+          onDocumentSelected={vi.fn()}
+          onImportAnalysis={onImportAnalysis}
+        />
+      );
+
+      selectImportFile();
+
+      expect(await screen.findByRole("alert")).toHaveTextContent(
+        "This file is not valid JSON."
+      );
+    });
+  });
+
+  describe("service comparison", () => {
+    it("should only offer the compare tab when comparison is supported", () => {
+      const { rerender } = render(
+        <DocumentInput onDocumentSelected={mockOnDocumentSelected} />
+      );
+      expect(
+        screen.queryByRole("tab", { name: /Compare Services/i })
+      ).not.toBeInTheDocument();
+
+      rerender(
+        <DocumentInput
+          onDocumentSelected={mockOnDocumentSelected}
+          onCompareServices={vi.fn()}
+        />
+      );
+      expect(
+        screen.getByRole("tab", { name: /Compare Services/i })
+      ).toBeInTheDocument();
+    });
+
+    it("should show the service comparison form in the compare tab", () => {
+      render(
+        <DocumentInput
+          onDocumentSelected={mockOnDocumentSelected}
+          onCompareServices={vi.fn()}
+        />
+      );
+
+      fireEvent.click(screen.getByRole("tab", { name: /Compare Services/i }));
+
+      expect(
+        screen.getByRole("tab", { name: /Compare Services/i })
+      ).toHaveAttribute("aria-selected", "true");
+      expect(screen.getByLabelText("Service 1 policy URL")).toBeInTheDocument();
+      expect(screen.queryByTestId("url-input")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("batch analysis", () => {
+    it("should only offer the batch tab when batches are supported", () => {
+      const { rerender } = render(
+        <DocumentInput onDocumentSelected={mockOnDocumentSelected} />
+      );
+      expect(
+        screen.queryByRole("tab", { name: /Batch/i })
+      ).not.toBeInTheDocument();
+
+      rerender(
+        <DocumentInput
+          onDocumentSelected={mockOnDocumentSelected}
+          onStartBatch={vi.fn()}
+        />
+      );
+      expect(screen.getByRole("tab", { name: /Batch/i })).toBeInTheDocument();
+    });
+
+    it("should start a batch from the batch tab", () => {
+      const onStartBatch = vi.fn();
+      render(
+        <DocumentInput
+          onDocumentSelected={mockOnDocumentSelected}
+          onStartBatch={onStartBatch}
+        />
+      );
+
+      fireEvent.click(screen.getByRole("tab", { name: /Batch/i }));
+      fireEvent.change(screen.getByLabelText("Policy URLs"), {
+        target: { value: "https://a.com/privacy" },
+      });
+      fireEvent.click(screen.getByRole("button", { name: "Analyze 1 URL" }));
+
+      expect(onStartBatch).toHaveBeenCalledWith(["https://a.com/privacy"], {
+        concurrency: 2,
+        maxRetries: 2,
+      });
+      expect(screen.queryByTestId("url-input")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("pasted text", () => {
+    const policyText =
+      "We collect your email address and browsing history to personalize advertising and measure engagement.";
+
+    it("should submit pasted text with its name", () => {
+      render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
+
+      fireEvent.click(screen.getByRole("tab", { name: /Paste Text/i }));
+      fireEvent.change(screen.getByLabelText("Name (optional)"), {
+        target: { value: "Acme draft" },
+      });
+      fireEvent.change(screen.getByLabelText("Policy Text"), {
+        target: { value: policyText },
+      });
+      fireEvent.click(screen.getByRole("button", { name: "Analyze Text" }));
+
+      expect(mockOnDocumentSelected).toHaveBeenCalledWith({
+        type: "text",
+        source: policyText,
+        metadata: expect.objectContaining({
+          inputMode: "text",
+          title: "Acme draft",
+          timestamp: expect.any(String),
+        }),
+      });
+    });
+
+    it("should reject text that is too short", () => {
+      render(<DocumentInput onDocumentSelected={mockOnDocumentSelected} />);
+
+      fireEvent.click(screen.getByRole("tab", { name: /Paste Text/i }));
+      fireEvent.change(screen.getByLabelText("Policy Text"), {
+        target: { value: "Too short" },
+      });
+      fireEvent.click(screen.getByRole("button", { name: "Analyze Text" }));
+
+      expect(mockOnDocumentSelected).not.toHaveBeenCalled();
+      expect(screen.getByRole("alert")).toHaveTextContent("too short");
+    });
+  });
+
+  describe("compliance checklists", () => {
+    it("should only offer the checklists when they can be changed", () => {
+      const { rerender } = render(
+        <DocumentInput onDocumentSelected={mockOnDocumentSelected} />
+      );
+      expect(
+        screen.queryByRole("group", { name: "Compliance checklists" })
+      ).not.toBeInTheDocument();
+
+      rerender(
+        <DocumentInput
+          onDocumentSelected={mockOnDocumentSelected}
+          complianceProfiles={["gdpr"]}
+          onComplianceProfilesChange={vi.fn()}
+        />
+      );
+      expect(screen.getByRole("checkbox", { name: "GDPR" })).toBeChecked();
+      expect(screen.getByRole("checkbox", { name: "PIPEDA" })).not.toBeChecked();
+    });
+
+    it("should add and remove profiles from the selection", () => {
+      const onChange = vi.fn();
+      render(
+        <DocumentInput
+          onDocumentSelected={mockOnDocumentSelected}
+          complianceProfiles={["gdpr"]}
+          onComplianceProfilesChange={onChange}
+        />
+      );
+
+      fireEvent.click(screen.getByRole("checkbox", { name: "LGPD" }));
+      fireEvent.click(screen.getByRole("checkbox", { name: "GDPR" }));
+
+      expect(onChange.mock.calls).toEqual([[["gdpr", "lgpd"]], [[]]]);
+    });
+  });
 });
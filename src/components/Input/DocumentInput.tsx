@@ -1,14 +1,43 @@
-import { useState, useCallback, type ReactElement } from "react";
+import {
+  useState,
+  useCallback,
+  useRef,
+  type ChangeEvent,
+  type ReactElement,
+} from "react";
 import { URLInput } from "./URLInput";
 import { FileUpload } from "./FileUpload";
+import { PasteTextInput } from "./PasteTextInput";
+import { ServiceComparisonInput } from "./ServiceComparisonInput";
+import { BatchInput } from "./BatchInput";
+import { ComplianceProfileSelector } from "./ComplianceProfileSelector";
+import { AnalysisProfileSelector } from "./AnalysisProfileSelector";
 import { Card } from "../Common";
-import { validateUrl, validateFile } from "../../utils/validation";
-import type { DocumentSourceType } from "../../types";
+import { PolicyDiscovery } from "../../services/document/PolicyDiscovery";
+import {
+  validateUrl,
+  validateFile,
+  validateDocumentText,
+} from "../../utils/validation";
+import type {
+  AnalysisProfile,
+  BatchSettings,
+  ComplianceProfileId,
+  DocumentSourceType,
+  PolicyCandidate,
+  PolicyDiscoveryState,
+  UsageEstimate,
+} from "../../types";
 
 /**
  * Type of input mode
  */
-type InputMode = "url" | "file";
+type InputMode = "url" | "file" | "text";
+
+/**
+ * Active input tab
+ */
+type InputTab = InputMode | "compare" | "batch";
 
 /**
  * Document selection data passed to parent
@@ -21,6 +50,7 @@ export interface DocumentSelection {
     timestamp: string;
     fileName?: string;
     fileSize?: number;
+    title?: string;
   };
 }
 
@@ -28,8 +58,16 @@ export interface DocumentSelection {
  * Props for DocumentInput component
  */
 interface DocumentInputProps {
-  /** Callback when document is selected (url or file) */
+  /** Callback when document is selected (url, file or pasted text) */
   onDocumentSelected: (selection: DocumentSelection) => void;
+  /** Callback to review the text extracted from a URL before analysis */
+  onPreviewUrl?: ((url: string) => void) | null;
+  /** Policies found for a bare domain (see onDiscoverPolicies) */
+  policyDiscovery?: PolicyDiscoveryState | null;
+  /** Callback to find the policies of a site when a bare domain is entered */
+  onDiscoverPolicies?: ((homepage: string) => void) | null;
+  /** Callback to dismiss the discovered policies */
+  onDismissDiscovery?: (() => void) | null;
   /** Whether input is disabled */
   disabled?: boolean;
   /** Additional CSS classes */
@@ -40,6 +78,34 @@ interface DocumentInputProps {
   onClearAnalysisError?: (() => void) | null;
   /** Callback to open Tips modal */
   onTipsOpen?: (() => void) | null;
+  /** Callback to import a previously exported analysis (.json bundle) */
+  onImportAnalysis?: ((file: File) => Promise<void>) | null;
+  /** Callback to compare the policies of several services */
+  onCompareServices?: ((selections: DocumentSelection[]) => void) | null;
+  /** Callback to analyze a list of policy URLs */
+  onStartBatch?: ((urls: string[], settings: BatchSettings) => void) | null;
+  /** Progress of a saved batch that can be reopened */
+  savedBatch?: { total: number; finished: number } | null;
+  /** Callback to reopen the saved batch */
+  onOpenSavedBatch?: (() => void) | null;
+  /** Estimates the usage of analyzing pasted text, shown before submitting */
+  estimateUsage?: ((text: string) => UsageEstimate | null) | null;
+  /** Compliance checklists to run with each analysis */
+  complianceProfiles?: ComplianceProfileId[];
+  /** Callback to change the compliance checklists */
+  onComplianceProfilesChange?: ((ids: ComplianceProfileId[]) => void) | null;
+  /** Saved analysis profiles, the standard profile first */
+  analysisProfiles?: AnalysisProfile[];
+  /** Profile new analyses run with */
+  activeAnalysisProfile?: AnalysisProfile | null;
+  /** Callback to change the active analysis profile */
+  onAnalysisProfileChange?: ((id: string) => void) | null;
+  /** Saves an analysis profile, throwing if it is invalid */
+  onSaveAnalysisProfile?:
+    | ((profile: AnalysisProfile) => AnalysisProfile)
+    | null;
+  /** Deletes a saved analysis profile */
+  onDeleteAnalysisProfile?: ((id: string) => void) | null;
 }
 
 /**
@@ -47,19 +113,39 @@ interface DocumentInputProps {
  */
 export function DocumentInput({
   onDocumentSelected,
+  onPreviewUrl = null,
+  policyDiscovery = null,
+  onDiscoverPolicies = null,
+  onDismissDiscovery = null,
   disabled = false,
   className = "",
   analysisError = null,
   onClearAnalysisError = null,
   onTipsOpen = null,
+  onImportAnalysis = null,
+  onCompareServices = null,
+  onStartBatch = null,
+  savedBatch = null,
+  onOpenSavedBatch = null,
+  estimateUsage = null,
+  complianceProfiles = [],
+  onComplianceProfilesChange = null,
+  analysisProfiles = [],
+  activeAnalysisProfile = null,
+  onAnalysisProfileChange = null,
+  onSaveAnalysisProfile = null,
+  onDeleteAnalysisProfile = null,
 }: DocumentInputProps): ReactElement {
-  const [inputMode, setInputMode] = useState<InputMode>("url");
+  const [inputMode, setInputMode] = useState<InputTab>("url");
   const [error, setError] = useState<string | null>(null);
+  const [importError, setImportError] = useState<string | null>(null);
+  const [isImporting, setIsImporting] = useState<boolean>(false);
+  const importInputRef = useRef<HTMLInputElement>(null);
 
   /**
-   * Handle URL submission
+   * Validate a URL and select it for analysis
    */
-  const handleUrlSubmit = useCallback(
+  const selectUrl = useCallback(
     (url: string) => {
       setError(null);
       const validation = validateUrl(url);
@@ -81,6 +167,62 @@ export function DocumentInput({
     [onDocumentSelected],
   );
 
+  /**
+   * Handle URL submission, searching a bare domain for its policies
+   */
+  const handleUrlSubmit = useCallback(
+    (url: string) => {
+      const homepage = onDiscoverPolicies
+        ? PolicyDiscovery.getHomepage(url)
+        : null;
+
+      if (!homepage) {
+        selectUrl(url);
+        return;
+      }
+
+      setError(null);
+      const validation = validateUrl(homepage);
+
+      if (!validation.valid) {
+        setError(validation.errors.map((e) => e.message).join(", "));
+        return;
+      }
+
+      onDiscoverPolicies?.(homepage);
+    },
+    [onDiscoverPolicies, selectUrl],
+  );
+
+  /**
+   * Handle choice of a discovered policy
+   */
+  const handlePolicyChosen = useCallback(
+    (candidate: PolicyCandidate) => {
+      onDismissDiscovery?.();
+      selectUrl(candidate.url);
+    },
+    [onDismissDiscovery, selectUrl],
+  );
+
+  /**
+   * Handle a request to review a URL's extracted text
+   */
+  const handleUrlPreview = useCallback(
+    (url: string) => {
+      setError(null);
+      const validation = validateUrl(url);
+
+      if (!validation.valid) {
+        setError(validation.errors.map((e) => e.message).join(", "));
+        return;
+      }
+
+      onPreviewUrl?.(url);
+    },
+    [onPreviewUrl],
+  );
+
   /**
    * Handle file selection
    */
@@ -108,20 +250,76 @@ export function DocumentInput({
     [onDocumentSelected],
   );
 
+  /**
+   * Handle pasted policy text
+   */
+  const handleTextSubmit = useCallback(
+    (text: string, title: string) => {
+      setError(null);
+      const validation = validateDocumentText(text);
+
+      if (!validation.valid) {
+        setError(validation.errors.map((e) => e.message).join(", "));
+        return;
+      }
+
+      onDocumentSelected({
+        type: "text",
+        source: text,
+        metadata: {
+          inputMode: "text",
+          ...(title && { title }),
+          timestamp: new Date().toISOString(),
+        },
+      });
+    },
+    [onDocumentSelected],
+  );
+
+  /**
+   * Handle analysis bundle import
+   */
+  const handleImportChange = useCallback(
+    async (e: ChangeEvent<HTMLInputElement>) => {
+      const file = e.target.files?.[0];
+      // Allow selecting the same file again after an error
+      e.target.value = "";
+      if (!file || !onImportAnalysis) return;
+
+      setImportError(null);
+      setIsImporting(true);
+      try {
+        await onImportAnalysis(file);
+      } catch (err) {
+        setImportError(
+          (err instanceof Error ? err.message : null) ||
+            "Failed to import analysis",
+        );
+      } finally {
+        setIsImporting(false);
+      }
+    },
+    [onImportAnalysis],
+  );
+
   /**
    * Handle mode toggle
    */
-  const handleModeChange = useCallback((mode: InputMode) => {
-    setInputMode(mode);
-    setError(null);
-  }, []);
+  const handleModeChange = useCallback(
+    (mode: InputTab) => {
+      setInputMode(mode);
+      setError(null);
+      onDismissDiscovery?.();
+    },
+    [onDismissDiscovery],
+  );
 
   return (
     <Card className={`document-input ${className}`}>
       <div className="card__header">
         <h2 className="card__title">Analyze a Privacy Policy</h2>
         <p className="card__subtitle">
-          Paste a URL or upload a PDF document to get started
+          Paste a URL, upload a document or paste the policy text to get started
         </p>
       </div>
 
@@ -147,7 +345,7 @@ export function DocumentInput({
             type="button"
             role="tab"
             aria-selected={inputMode === "file"}
-            aria-controls="tab-pdf"
+            aria-controls="tab-file"
             className={`tab ${inputMode === "file" ? "tab--active" : ""}`}
             onClick={() => handleModeChange("file")}
             disabled={disabled}
@@ -155,8 +353,57 @@ export function DocumentInput({
             <span className="icon" aria-hidden="true">
               📄
             </span>
-            PDF Upload
+            File Upload
           </button>
+
+          <button
+            type="button"
+            role="tab"
+            aria-selected={inputMode === "text"}
+            aria-controls="tab-text"
+            className={`tab ${inputMode === "text" ? "tab--active" : ""}`}
+            onClick={() => handleModeChange("text")}
+            disabled={disabled}
+          >
+            <span className="icon" aria-hidden="true">
+              📝
+            </span>
+            Paste Text
+          </button>
+
+          {onCompareServices && (
+            <button
+              type="button"
+              role="tab"
+              aria-selected={inputMode === "compare"}
+              aria-controls="tab-compare"
+              className={`tab ${inputMode === "compare" ? "tab--active" : ""}`}
+              onClick={() => handleModeChange("compare")}
+              disabled={disabled}
+            >
+              <span className="icon" aria-hidden="true">
+                ⚖️
+              </span>
+              Compare Services
+            </button>
+          )}
+
+          {onStartBatch && (
+            <button
+              type="button"
+              role="tab"
+              aria-selected={inputMode === "batch"}
+              aria-controls="tab-batch"
+              className={`tab ${inputMode === "batch" ? "tab--active" : ""}`}
+              onClick={() => handleModeChange("batch")}
+              disabled={disabled}
+            >
+              <span className="icon" aria-hidden="true">
+                📋
+              </span>
+              Batch
+            </button>
+          )}
         </div>
 
         {/* Input panels */}
@@ -164,6 +411,10 @@ export function DocumentInput({
           <div id="tab-url" role="tabpanel" aria-labelledby="url-tab">
             <URLInput
               onSubmit={handleUrlSubmit}
+              onPreview={onPreviewUrl ? handleUrlPreview : null}
+              discovery={policyDiscovery}
+              onChoosePolicy={onDiscoverPolicies ? handlePolicyChosen : null}
+              onDismissDiscovery={onDismissDiscovery}
               disabled={disabled}
               error={error}
               onClearError={() => setError(null)}
@@ -174,7 +425,7 @@ export function DocumentInput({
         )}
 
         {inputMode === "file" && (
-          <div id="tab-pdf" role="tabpanel" aria-labelledby="file-tab">
+          <div id="tab-file" role="tabpanel" aria-labelledby="file-tab">
             <FileUpload
               onFileSelect={handleFileSelect}
               disabled={disabled}
@@ -183,6 +434,60 @@ export function DocumentInput({
           </div>
         )}
 
+        {inputMode === "text" && (
+          <div id="tab-text" role="tabpanel" aria-labelledby="text-tab">
+            <PasteTextInput
+              onSubmit={handleTextSubmit}
+              disabled={disabled}
+              error={error}
+              onClearError={() => setError(null)}
+              estimateUsage={estimateUsage}
+            />
+          </div>
+        )}
+
+        {inputMode === "compare" && onCompareServices && (
+          <div id="tab-compare" role="tabpanel" aria-labelledby="compare-tab">
+            <ServiceComparisonInput
+              onSubmit={onCompareServices}
+              disabled={disabled}
+            />
+          </div>
+        )}
+
+        {inputMode === "batch" && onStartBatch && (
+          <div id="tab-batch" role="tabpanel" aria-labelledby="batch-tab">
+            <BatchInput
+              onSubmit={onStartBatch}
+              disabled={disabled}
+              savedBatch={savedBatch}
+              onOpenSavedBatch={onOpenSavedBatch}
+            />
+          </div>
+        )}
+
+        {activeAnalysisProfile &&
+          onAnalysisProfileChange &&
+          onSaveAnalysisProfile &&
+          onDeleteAnalysisProfile && (
+            <AnalysisProfileSelector
+              profiles={analysisProfiles}
+              activeProfile={activeAnalysisProfile}
+              onSelect={onAnalysisProfileChange}
+              onSave={onSaveAnalysisProfile}
+              onDelete={onDeleteAnalysisProfile}
+              disabled={disabled}
+            />
+          )}
+
+        {onComplianceProfilesChange && (
+          <ComplianceProfileSelector
+            selected={complianceProfiles}
+            onChange={onComplianceProfilesChange}
+            disabled={disabled}
+          />
+        )}
+
         {/* Tips hint */}
         {onTipsOpen && (
           <div className="document-input__tip-hint">
@@ -202,6 +507,35 @@ export function DocumentInput({
             </span>
           </div>
         )}
+
+        {/* Import a previously exported analysis */}
+        {onImportAnalysis && (
+          <div className="document-input__import">
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,application/json"
+              className="document-input__import-input"
+              onChange={handleImportChange}
+              aria-label="Import analysis file"
+              tabIndex={-1}
+            />
+            <button
+              type="button"
+              className="tip-hint__link"
+              onClick={() => importInputRef.current?.click()}
+              disabled={disabled || isImporting}
+            >
+              <span aria-hidden="true">📥</span>{" "}
+              {isImporting ? "Importing..." : "Import a saved analysis (.json)"}
+            </button>
+            {importError && (
+              <p className="document-input__import-error" role="alert">
+                {importError}
+              </p>
+            )}
+          </div>
+        )}
       </div>
     </Card>
   );
@@ -0,0 +1,175 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { ExtractionReview } from "./ExtractionReview";
+import type { ExtractionReport, PageExtraction } from "../../types";
+
+const MAIN_TEXT = `# Privacy Policy\n\n${"We collect your email address. ".repeat(5)}`;
+const FULL_TEXT = `${MAIN_TEXT}\n\nRelated articles`;
+
+/**
+ * An extracted page with the given report overrides
+ */
+function createPage(report: Partial<ExtractionReport> = {}): PageExtraction {
+  return {
+    text: MAIN_TEXT,
+    fullText: FULL_TEXT,
+    report: {
+      method: "main-content",
+      quality: "good",
+      pageLength: FULL_TEXT.length,
+      contentLength: MAIN_TEXT.length,
+      linkDensity: 0,
+      headingCount: 1,
+      removedConsent: 1,
+      removedBoilerplate: 3,
+      warnings: [],
+      ...report,
+    },
+  };
+}
+
+describe("ExtractionReview", () => {
+  it("should show a spinner while the page is fetched", () => {
+    render(
+      <ExtractionReview
+        url="https://example.com/privacy"
+        page={null}
+        onAnalyze={vi.fn()}
+        onClose={vi.fn()}
+      />,
+    );
+
+    expect(screen.getByText("https://example.com/privacy")).toBeInTheDocument();
+    expect(
+      screen.getByRole("button", { name: "Analyze This Text" }),
+    ).toBeDisabled();
+  });
+
+  it("should show fetch errors", () => {
+    render(
+      <ExtractionReview
+        url="https://example.com/privacy"
+        page={null}
+        error="Failed to fetch URL"
+        onAnalyze={vi.fn()}
+        onClose={vi.fn()}
+      />,
+    );
+
+    expect(screen.getByRole("alert")).toHaveTextContent("Failed to fetch URL");
+  });
+
+  it("should show the extraction report", () => {
+    render(
+      <ExtractionReview
+        url="https://example.com/privacy"
+        page={createPage({
+          quality: "fair",
+          warnings: ["No section headings were found."],
+        })}
+        onAnalyze={vi.fn()}
+        onClose={vi.fn()}
+      />,
+    );
+
+    expect(screen.getByText("Check the text")).toHaveClass(
+      "extraction-review__quality--fair",
+    );
+    expect(screen.getByText("1 cookie banner removed")).toBeInTheDocument();
+    expect(
+      screen.getByText(/3 menu, navigation or related content blocks removed/),
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText(/No section headings were found/),
+    ).toBeInTheDocument();
+    expect(screen.getByLabelText(/Extracted text/)).toHaveValue(MAIN_TEXT);
+  });
+
+  it("should switch to the whole page text", () => {
+    render(
+      <ExtractionReview
+        url="https://example.com/privacy"
+        page={createPage()}
+        onAnalyze={vi.fn()}
+        onClose={vi.fn()}
+      />,
+    );
+
+    fireEvent.click(screen.getByLabelText("Whole page"));
+
+    expect(screen.getByLabelText(/Extracted text/)).toHaveValue(FULL_TEXT);
+  });
+
+  it("should not offer a choice when both texts are the same", () => {
+    const page = {
+      ...createPage({ method: "full-page" }),
+      fullText: MAIN_TEXT,
+    };
+    render(
+      <ExtractionReview
+        url="https://example.com/privacy"
+        page={page}
+        onAnalyze={vi.fn()}
+        onClose={vi.fn()}
+      />,
+    );
+
+    expect(screen.queryByLabelText("Whole page")).not.toBeInTheDocument();
+  });
+
+  it("should analyze the edited text", () => {
+    const onAnalyze = vi.fn();
+    render(
+      <ExtractionReview
+        url="https://example.com/privacy"
+        page={createPage()}
+        onAnalyze={onAnalyze}
+        onClose={vi.fn()}
+      />,
+    );
+
+    const edited = `${MAIN_TEXT}\n\nWe never sell your data.`;
+    fireEvent.change(screen.getByLabelText(/Extracted text/), {
+      target: { value: edited },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Analyze This Text" }));
+
+    expect(onAnalyze).toHaveBeenCalledWith(edited);
+  });
+
+  it("should not analyze text that is too short", () => {
+    render(
+      <ExtractionReview
+        url="https://example.com/privacy"
+        page={createPage()}
+        onAnalyze={vi.fn()}
+        onClose={vi.fn()}
+      />,
+    );
+
+    fireEvent.change(screen.getByLabelText(/Extracted text/), {
+      target: { value: "Too short" },
+    });
+
+    expect(
+      screen.getByRole("button", { name: "Analyze This Text" }),
+    ).toBeDisabled();
+  });
+
+  it("should close on escape and cancel", () => {
+    const onClose = vi.fn();
+    render(
+      <ExtractionReview
+        url="https://example.com/privacy"
+        page={createPage()}
+        onAnalyze={vi.fn()}
+        onClose={onClose}
+      />,
+    );
+
+    fireEvent.keyDown(document, { key: "Escape" });
+    fireEvent.click(screen.getByRole("button", { name: "Cancel" }));
+
+    expect(onClose).toHaveBeenCalledTimes(2);
+  });
+});
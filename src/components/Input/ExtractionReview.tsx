@@ -0,0 +1,225 @@
+import { useState, useEffect, useMemo, type ReactElement } from "react";
+import { Button, LoadingSpinner } from "../Common";
+import { UsageEstimateNote } from "./UsageEstimateNote";
+import { TEXT_PROCESSING } from "../../utils/constants";
+import type {
+  ExtractionQuality,
+  PageExtraction,
+  UsageEstimate,
+} from "../../types";
+
+/**
+ * Props for ExtractionReview component
+ */
+export interface ExtractionReviewProps {
+  /** URL of the page being reviewed */
+  url: string;
+  /** Extracted page (null while fetching) */
+  page: PageExtraction | null;
+  /** Error of the fetch */
+  error?: string | null;
+  /** Analyze the reviewed text */
+  onAnalyze: (text: string) => void;
+  onClose: () => void;
+  /** Estimates the usage of analyzing the text, shown before analyzing */
+  estimateUsage?: ((text: string) => UsageEstimate | null) | null;
+}
+
+type TextSource = "main" | "full";
+
+const QUALITY_LABELS: Record<ExtractionQuality, string> = {
+  good: "Good extraction",
+  fair: "Check the text",
+  poor: "Poor extraction",
+};
+
+/**
+ * ExtractionReview - Shows the text extracted from a policy page with a
+ * report on how it was found, and lets the user switch to the whole page
+ * text or edit it before the analysis starts
+ */
+export function ExtractionReview({
+  url,
+  page,
+  error = null,
+  onAnalyze,
+  onClose,
+  estimateUsage = null,
+}: ExtractionReviewProps): ReactElement {
+  const [source, setSource] = useState<TextSource>("main");
+  const [text, setText] = useState("");
+
+  // Start from the main content of each newly fetched page
+  useEffect(() => {
+    setSource("main");
+    setText(page?.text || "");
+  }, [page]);
+
+  // Handle escape key
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent): void => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [onClose]);
+
+  const handleSourceChange = (next: TextSource) => {
+    if (!page) return;
+    setSource(next);
+    setText(next === "main" ? page.text : page.fullText);
+  };
+
+  const report = page?.report;
+  const length = text.trim().length;
+  const estimate = useMemo(
+    () => estimateUsage?.(text) ?? null,
+    [estimateUsage, text],
+  );
+  const isSameText = page ? page.text === page.fullText : true;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal modal--extraction"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="extraction-review-title"
+      >
+        <div className="modal__header">
+          <h2 className="modal__title" id="extraction-review-title">
+            Review Extracted Text
+          </h2>
+          <button
+            type="button"
+            className="modal__close"
+            onClick={onClose}
+            aria-label="Close extraction review"
+          >
+            <span aria-hidden="true">&times;</span>
+          </button>
+        </div>
+
+        <div className="modal__body modal__body--scrollable">
+          <p className="extraction-review__url">{url}</p>
+
+          {!page && !error && (
+            <LoadingSpinner message="Fetching and extracting the page..." />
+          )}
+
+          {error && (
+            <p className="input__error" role="alert">
+              {error}
+            </p>
+          )}
+
+          {report && page && (
+            <>
+              <div className="extraction-review__summary">
+                <span
+                  className={`extraction-review__quality extraction-review__quality--${report.quality}`}
+                >
+                  {QUALITY_LABELS[report.quality]}
+                </span>
+                <ul className="extraction-review__stats">
+                  <li>
+                    {report.method === "main-content"
+                      ? `Main content: ${report.contentLength.toLocaleString()} of ${report.pageLength.toLocaleString()} characters on the page`
+                      : `Whole page: ${report.contentLength.toLocaleString()} characters`}
+                  </li>
+                  <li>
+                    {report.headingCount.toLocaleString()} section{" "}
+                    {report.headingCount === 1 ? "heading" : "headings"}
+                  </li>
+                  {report.removedConsent > 0 && (
+                    <li>
+                      {report.removedConsent} cookie{" "}
+                      {report.removedConsent === 1 ? "banner" : "banners"}{" "}
+                      removed
+                    </li>
+                  )}
+                  {report.removedBoilerplate > 0 && (
+                    <li>
+                      {report.removedBoilerplate} menu, navigation or related
+                      content{" "}
+                      {report.removedBoilerplate === 1 ? "block" : "blocks"}{" "}
+                      removed
+                    </li>
+                  )}
+                </ul>
+              </div>
+
+              {report.warnings.length > 0 && (
+                <ul className="extraction-review__warnings">
+                  {report.warnings.map((warning) => (
+                    <li key={warning}>
+                      <span aria-hidden="true">⚠</span> {warning}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {!isSameText && (
+                <fieldset className="extraction-review__source">
+                  <legend className="input-label">Text to analyze</legend>
+                  <label className="extraction-review__option">
+                    <input
+                      type="radio"
+                      name="extraction-source"
+                      checked={source === "main"}
+                      onChange={() => handleSourceChange("main")}
+                    />
+                    Main content
+                  </label>
+                  <label className="extraction-review__option">
+                    <input
+                      type="radio"
+                      name="extraction-source"
+                      checked={source === "full"}
+                      onChange={() => handleSourceChange("full")}
+                    />
+                    Whole page
+                  </label>
+                </fieldset>
+              )}
+
+              <label htmlFor="extraction-review-text" className="input-label">
+                Extracted text (you can edit it)
+              </label>
+              <textarea
+                id="extraction-review-text"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                rows={14}
+                className="input-field extraction-review__text"
+                aria-describedby="extraction-review-hint"
+              />
+              <p id="extraction-review-hint" className="input-hint">
+                {length.toLocaleString()} characters · at least{" "}
+                {TEXT_PROCESSING.MIN_DOCUMENT_LENGTH} needed
+              </p>
+              <UsageEstimateNote estimate={estimate} />
+            </>
+          )}
+        </div>
+
+        <div className="modal__footer">
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            variant="primary"
+            onClick={() => onAnalyze(text)}
+            disabled={!page || length < TEXT_PROCESSING.MIN_DOCUMENT_LENGTH}
+          >
+            Analyze This Text
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
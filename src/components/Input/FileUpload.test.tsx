@@ -18,8 +18,8 @@ vi.mock("../../utils/constants", () => ({
   FILE_CONSTRAINTS: {
     MAX_SIZE_BYTES: 10 * 1024 * 1024, // 10MB
     MAX_SIZE_MB: 10,
-    ALLOWED_TYPES: ["application/pdf"],
-    ALLOWED_EXTENSIONS: [".pdf"],
+    ALLOWED_TYPES: ["application/pdf", "text/plain"],
+    ALLOWED_EXTENSIONS: [".pdf", ".txt"],
   },
 }));
 
@@ -50,14 +50,14 @@ describe("FileUpload", () => {
 
     it("should render file input", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const fileInput = screen.getByLabelText("Choose PDF file");
+      const fileInput = screen.getByLabelText("Choose policy file");
       expect(fileInput).toBeInTheDocument();
       expect(fileInput).toHaveAttribute("type", "file");
     });
 
     it("should render prompt text", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      expect(screen.getByText(/Drop a PDF here/)).toBeInTheDocument();
+      expect(screen.getByText(/Drop a policy document here/)).toBeInTheDocument();
     });
 
     it("should render browse button", () => {
@@ -67,8 +67,8 @@ describe("FileUpload", () => {
 
     it("should render requirements hint", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      expect(screen.getByText(/PDF format only/)).toBeInTheDocument();
-      expect(screen.getByText(/Text-based PDF/)).toBeInTheDocument();
+      expect(screen.getByText(/PDF, Word \(\.docx\), HTML, Markdown or text/)).toBeInTheDocument();
+      expect(screen.getByText(/Scanned PDF pages are read/)).toBeInTheDocument();
     });
 
     it("should display max file size", () => {
@@ -80,15 +80,18 @@ describe("FileUpload", () => {
   });
 
   describe("file input", () => {
-    it("should accept PDF files", () => {
+    it("should accept the supported file types", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const input = screen.getByLabelText("Choose PDF file");
-      expect(input).toHaveAttribute("accept", ".pdf,application/pdf");
+      const input = screen.getByLabelText("Choose policy file");
+      expect(input).toHaveAttribute(
+        "accept",
+        ".pdf,.txt,application/pdf,text/plain",
+      );
     });
 
     it("should call onFileSelect when file is selected", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
       const file = new File(["content"], "test.pdf", {
         type: "application/pdf",
       });
@@ -100,7 +103,7 @@ describe("FileUpload", () => {
 
     it("should update state with selected file", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
       const file = new File(["content"], "document.pdf", {
         type: "application/pdf",
       });
@@ -112,7 +115,7 @@ describe("FileUpload", () => {
 
     it("should not call onFileSelect when no file selected", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
 
       fireEvent.change(input, { target: { files: [] } });
 
@@ -124,7 +127,7 @@ describe("FileUpload", () => {
     it("should trigger file input when clicked", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
       const browseButton = screen.getByText("browse files");
-      const fileInput = screen.getByLabelText("Choose PDF file");
+      const fileInput = screen.getByLabelText("Choose policy file");
 
       const clickSpy = vi.spyOn(fileInput, "click");
 
@@ -182,13 +185,29 @@ describe("FileUpload", () => {
       expect(mockOnFileSelect).toHaveBeenCalledWith(file);
     });
 
-    it("should only accept PDF files on drop", () => {
+    it("should accept dropped text files by extension", () => {
+      const { container } = render(
+        <FileUpload onFileSelect={mockOnFileSelect} />,
+      );
+      const dropzone = container.querySelector(".upload-zone");
+      const file = new File(["content"], "draft-policy.txt", { type: "" });
+
+      fireEvent.drop(dropzone!, {
+        dataTransfer: {
+          files: [file],
+        },
+      });
+
+      expect(mockOnFileSelect).toHaveBeenCalledWith(file);
+    });
+
+    it("should only accept supported files on drop", () => {
       const { container } = render(
         <FileUpload onFileSelect={mockOnFileSelect} />,
       );
       const dropzone = container.querySelector(".upload-zone");
-      const file = new File(["content"], "document.txt", {
-        type: "text/plain",
+      const file = new File(["content"], "setup.exe", {
+        type: "application/x-msdownload",
       });
 
       fireEvent.drop(dropzone!, {
@@ -254,7 +273,7 @@ describe("FileUpload", () => {
   describe("selected file display", () => {
     it("should show file name when selected", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
       const file = new File(["content"], "privacy-policy.pdf", {
         type: "application/pdf",
       });
@@ -266,7 +285,7 @@ describe("FileUpload", () => {
 
     it("should show file size when selected", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
       const file = new File(["content"], "test.pdf", {
         type: "application/pdf",
       });
@@ -279,7 +298,7 @@ describe("FileUpload", () => {
 
     it("should show clear button when file selected", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
       const file = new File(["content"], "test.pdf", {
         type: "application/pdf",
       });
@@ -293,7 +312,7 @@ describe("FileUpload", () => {
       const { container } = render(
         <FileUpload onFileSelect={mockOnFileSelect} />,
       );
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
       const file = new File(["content"], "test.pdf", {
         type: "application/pdf",
       });
@@ -308,7 +327,7 @@ describe("FileUpload", () => {
   describe("clear functionality", () => {
     it("should clear selected file", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
       const file = new File(["content"], "test.pdf", {
         type: "application/pdf",
       });
@@ -324,7 +343,7 @@ describe("FileUpload", () => {
 
     it("should reset file input value", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const input = screen.getByLabelText("Choose PDF file") as HTMLInputElement;
+      const input = screen.getByLabelText("Choose policy file") as HTMLInputElement;
       const file = new File(["content"], "test.pdf", {
         type: "application/pdf",
       });
@@ -339,7 +358,7 @@ describe("FileUpload", () => {
 
     it("should show upload prompt after clearing", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
       const file = new File(["content"], "test.pdf", {
         type: "application/pdf",
       });
@@ -349,14 +368,14 @@ describe("FileUpload", () => {
       const clearButton = screen.getByLabelText("Clear selected file");
       fireEvent.click(clearButton);
 
-      expect(screen.getByText(/Drop a PDF here/)).toBeInTheDocument();
+      expect(screen.getByText(/Drop a policy document here/)).toBeInTheDocument();
     });
   });
 
   describe("disabled state", () => {
     it("should disable file input when disabled", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} disabled />);
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
       expect(input).toBeDisabled();
     });
 
@@ -370,7 +389,7 @@ describe("FileUpload", () => {
 
     it("should disable clear button when disabled", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} disabled />);
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
       const file = new File(["content"], "test.pdf", {
         type: "application/pdf",
       });
@@ -471,8 +490,8 @@ describe("FileUpload", () => {
 
     it("should have aria-label on file input", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const input = screen.getByLabelText("Choose PDF file");
-      expect(input).toHaveAttribute("aria-label", "Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
+      expect(input).toHaveAttribute("aria-label", "Choose policy file");
     });
 
     it("should hide icons from screen readers", () => {
@@ -487,7 +506,7 @@ describe("FileUpload", () => {
   describe("file size formatting", () => {
     it("should format file sizes correctly", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
       const file = new File(["x".repeat(5 * 1024 * 1024)], "large.pdf", {
         type: "application/pdf",
       });
@@ -507,33 +526,33 @@ describe("FileUpload", () => {
   describe("component structure", () => {
     it("should have hidden file input", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
       expect(input.className).toContain("upload-zone__input");
     });
 
     it("should render requirements hint text", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
-      expect(screen.getByText(/PDF format only/)).toBeInTheDocument();
-      expect(screen.getByText(/scanned images not supported/)).toBeInTheDocument();
+      expect(screen.getByText(/PDF, Word \(\.docx\), HTML, Markdown or text/)).toBeInTheDocument();
+      expect(screen.getByText(/read\s+with OCR/)).toBeInTheDocument();
     });
 
     it("should switch between prompt and selected views", () => {
       render(<FileUpload onFileSelect={mockOnFileSelect} />);
 
       // Initial state - prompt
-      expect(screen.getByText(/Drop a PDF here/)).toBeInTheDocument();
+      expect(screen.getByText(/Drop a policy document here/)).toBeInTheDocument();
       expect(
         screen.queryByLabelText("Clear selected file"),
       ).not.toBeInTheDocument();
 
       // After file selection
-      const input = screen.getByLabelText("Choose PDF file");
+      const input = screen.getByLabelText("Choose policy file");
       const file = new File(["content"], "test.pdf", {
         type: "application/pdf",
       });
       fireEvent.change(input, { target: { files: [file] } });
 
-      expect(screen.queryByText(/Drop a PDF here/)).not.toBeInTheDocument();
+      expect(screen.queryByText(/Drop a policy document here/)).not.toBeInTheDocument();
       expect(screen.getByLabelText("Clear selected file")).toBeInTheDocument();
     });
   });
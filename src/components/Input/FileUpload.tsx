@@ -18,7 +18,27 @@ interface FileUploadProps {
 }
 
 /**
- * FileUpload - Component for uploading PDF privacy policy documents
+ * File types offered by the file picker
+ */
+const ACCEPTED_FILES = [
+  ...FILE_CONSTRAINTS.ALLOWED_EXTENSIONS,
+  ...FILE_CONSTRAINTS.ALLOWED_TYPES,
+].join(",");
+
+/**
+ * Whether a dropped file has a supported type or extension
+ */
+function isSupportedFile(file: File): boolean {
+  const name = file.name.toLowerCase();
+  return (
+    FILE_CONSTRAINTS.ALLOWED_TYPES.includes(file.type) ||
+    FILE_CONSTRAINTS.ALLOWED_EXTENSIONS.some((ext) => name.endsWith(ext))
+  );
+}
+
+/**
+ * FileUpload - Component for uploading privacy policy documents (PDF, Word,
+ * HTML, Markdown or plain text)
  */
 export function FileUpload({
   onFileSelect,
@@ -81,7 +101,7 @@ export function FileUpload({
       }
 
       const file = e.dataTransfer.files?.[0];
-      if (file && file.type === "application/pdf") {
+      if (file && isSupportedFile(file)) {
         setSelectedFile(file);
         onFileSelect(file);
       }
@@ -132,11 +152,11 @@ export function FileUpload({
         <input
           ref={fileInputRef}
           type="file"
-          accept=".pdf,application/pdf"
+          accept={ACCEPTED_FILES}
           onChange={handleFileChange}
           disabled={disabled}
           className="upload-zone__input"
-          aria-label="Choose PDF file"
+          aria-label="Choose policy file"
         />
 
         {!selectedFile ? (
@@ -145,7 +165,7 @@ export function FileUpload({
               📄
             </div>
             <div className="upload-zone__text">
-              Drop a PDF here, or{" "}
+              Drop a policy document here, or{" "}
               <button
                 type="button"
                 className="upload-zone__link"
@@ -195,7 +215,8 @@ export function FileUpload({
 
       {/* Requirements hint */}
       <p className="input-hint" style={{ marginTop: "var(--space-3)" }}>
-        PDF format only • Text-based PDF (scanned images not supported)
+        PDF, Word (.docx), HTML, Markdown or text • Scanned PDF pages are read
+        with OCR
       </p>
     </div>
   );
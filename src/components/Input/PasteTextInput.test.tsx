@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { PasteTextInput } from "./PasteTextInput";
+
+describe("PasteTextInput", () => {
+  it("should disable submit until text is pasted", () => {
+    render(<PasteTextInput onSubmit={vi.fn()} />);
+
+    expect(screen.getByRole("button", { name: "Analyze Text" })).toBeDisabled();
+    expect(
+      screen.getByText(/0 characters · at least 100 needed/),
+    ).toBeInTheDocument();
+  });
+
+  it("should submit the text with its trimmed name", () => {
+    const onSubmit = vi.fn();
+    render(<PasteTextInput onSubmit={onSubmit} />);
+
+    fireEvent.change(screen.getByLabelText("Name (optional)"), {
+      target: { value: "  Acme draft  " },
+    });
+    fireEvent.change(screen.getByLabelText("Policy Text"), {
+      target: { value: "We collect your email." },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Analyze Text" }));
+
+    expect(screen.getByText(/22 characters/)).toBeInTheDocument();
+    expect(onSubmit).toHaveBeenCalledWith(
+      "We collect your email.",
+      "Acme draft",
+    );
+  });
+
+  it("should show errors and clear them on edit", () => {
+    const onClearError = vi.fn();
+    render(
+      <PasteTextInput
+        onSubmit={vi.fn()}
+        error="Document is too short"
+        onClearError={onClearError}
+      />,
+    );
+
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      "Document is too short",
+    );
+    expect(screen.getByLabelText("Policy Text")).toHaveAttribute(
+      "aria-invalid",
+      "true",
+    );
+
+    fireEvent.change(screen.getByLabelText("Policy Text"), {
+      target: { value: "More text" },
+    });
+    expect(onClearError).toHaveBeenCalled();
+  });
+
+  it("should disable the inputs when disabled", () => {
+    render(<PasteTextInput onSubmit={vi.fn()} disabled />);
+
+    expect(screen.getByLabelText("Policy Text")).toBeDisabled();
+    expect(screen.getByLabelText("Name (optional)")).toBeDisabled();
+  });
+
+  it("should show the estimated usage of the pasted text", () => {
+    const estimateUsage = vi.fn((text: string) =>
+      text
+        ? {
+            requests: 6,
+            promptTokens: 12000,
+            completionTokens: 4500,
+            cost: 0.0123,
+          }
+        : null,
+    );
+    render(<PasteTextInput onSubmit={vi.fn()} estimateUsage={estimateUsage} />);
+
+    expect(screen.queryByText(/Estimated usage/)).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Policy Text"), {
+      target: { value: "We collect your email." },
+    });
+
+    expect(estimateUsage).toHaveBeenLastCalledWith("We collect your email.");
+    expect(screen.getByText(/Estimated usage/)).toHaveTextContent(
+      "Estimated usage: ~12,000 input + ~4,500 output tokens in 6 requests · about $0.01",
+    );
+  });
+});
@@ -0,0 +1,124 @@
+import {
+  useState,
+  useCallback,
+  useMemo,
+  type FormEvent,
+  type ReactElement,
+} from "react";
+import { Button } from "../Common";
+import { UsageEstimateNote } from "./UsageEstimateNote";
+import { TEXT_PROCESSING } from "../../utils/constants";
+import type { UsageEstimate } from "../../types";
+
+/**
+ * Props for PasteTextInput component
+ */
+interface PasteTextInputProps {
+  /** Callback with the pasted text and its optional name */
+  onSubmit: (text: string, title: string) => void;
+  /** Whether input is disabled */
+  disabled?: boolean;
+  /** Error message to display */
+  error?: string | null;
+  /** Callback to clear error */
+  onClearError?: (() => void) | null;
+  /** Estimates the usage of analyzing the text, shown before submitting */
+  estimateUsage?: ((text: string) => UsageEstimate | null) | null;
+  /** Additional CSS classes */
+  className?: string;
+}
+
+/**
+ * PasteTextInput - Input for policy text that is not published anywhere,
+ * such as a draft
+ */
+export function PasteTextInput({
+  onSubmit,
+  disabled = false,
+  error = null,
+  onClearError = null,
+  estimateUsage = null,
+  className = "",
+}: PasteTextInputProps): ReactElement {
+  const [text, setText] = useState("");
+  const [title, setTitle] = useState("");
+
+  const length = text.trim().length;
+  const estimate = useMemo(
+    () => estimateUsage?.(text) ?? null,
+    [estimateUsage, text],
+  );
+
+  const handleSubmit = useCallback(
+    (e: FormEvent) => {
+      e.preventDefault();
+      onSubmit(text, title.trim());
+    },
+    [text, title, onSubmit],
+  );
+
+  return (
+    <form
+      className={`paste-text-input ${className}`}
+      onSubmit={handleSubmit}
+      noValidate
+    >
+      <div className="input-group">
+        <label htmlFor="policy-text-title" className="input-label">
+          Name (optional)
+        </label>
+        <input
+          id="policy-text-title"
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="Acme privacy policy draft"
+          disabled={disabled}
+          maxLength={200}
+          className="input-field"
+        />
+      </div>
+
+      <div className="input-group">
+        <label htmlFor="policy-text-input" className="input-label">
+          Policy Text
+        </label>
+        <textarea
+          id="policy-text-input"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            onClearError?.();
+          }}
+          placeholder="Paste the full text of the privacy policy"
+          rows={12}
+          disabled={disabled}
+          aria-describedby={
+            error ? "policy-text-error" : "policy-text-input-hint"
+          }
+          aria-invalid={error ? "true" : undefined}
+          className={`input-field paste-text-input__text ${error ? "input-field--error" : ""}`}
+        />
+        <p id="policy-text-input-hint" className="input-hint">
+          {length.toLocaleString()} characters · at least{" "}
+          {TEXT_PROCESSING.MIN_DOCUMENT_LENGTH} needed
+        </p>
+        <UsageEstimateNote estimate={estimate} />
+        {error && (
+          <p id="policy-text-error" className="input__error" role="alert">
+            {error}
+          </p>
+        )}
+      </div>
+
+      <Button
+        type="submit"
+        variant="primary"
+        disabled={disabled || length === 0}
+        style={{ width: "100%" }}
+      >
+        Analyze Text
+      </Button>
+    </form>
+  );
+}
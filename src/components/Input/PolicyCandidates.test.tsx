@@ -0,0 +1,136 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import { PolicyCandidates } from "./PolicyCandidates";
+import type { PolicyCandidate, PolicyDiscoveryState } from "../../types";
+
+const PRIVACY: PolicyCandidate = {
+  url: "https://example.com/privacy",
+  kind: "privacy",
+  label: "Privacy Policy",
+  sources: ["footer", "sitemap"],
+  score: 65,
+};
+
+const PRIVACY_EU: PolicyCandidate = {
+  url: "https://example.com/eu/privacy",
+  kind: "privacy",
+  label: "EU Privacy Notice",
+  sources: ["link"],
+  score: 28,
+};
+
+const TERMS: PolicyCandidate = {
+  url: "https://example.com/terms",
+  kind: "terms",
+  label: "Terms",
+  sources: ["well-known"],
+  score: 25,
+};
+
+/**
+ * Discovery state for example.com
+ */
+function createDiscovery(
+  state: Partial<PolicyDiscoveryState> = {},
+): PolicyDiscoveryState {
+  return {
+    status: "ready",
+    homepage: "https://example.com/",
+    candidates: [PRIVACY, TERMS, PRIVACY_EU],
+    error: null,
+    ...state,
+  };
+}
+
+describe("PolicyCandidates", () => {
+  it("should show the search in progress", () => {
+    const onDismiss = vi.fn();
+    render(
+      <PolicyCandidates
+        discovery={createDiscovery({ status: "loading", candidates: [] })}
+        onChoose={vi.fn()}
+        onDismiss={onDismiss}
+      />,
+    );
+
+    expect(
+      screen.getByText("Looking for policies on example.com..."),
+    ).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Cancel search" }));
+    expect(onDismiss).toHaveBeenCalled();
+  });
+
+  it("should group candidates by kind with the best match first", () => {
+    render(
+      <PolicyCandidates
+        discovery={createDiscovery()}
+        onChoose={vi.fn()}
+        onDismiss={vi.fn()}
+      />,
+    );
+
+    const headings = screen.getAllByRole("heading", { level: 3 });
+    expect(headings.map((heading) => heading.textContent)).toEqual([
+      "Privacy Policy",
+      "Terms of Service",
+    ]);
+
+    const privacyOptions = within(
+      headings[0].parentElement as HTMLElement,
+    ).getAllByRole("button");
+    expect(privacyOptions).toHaveLength(2);
+    expect(privacyOptions[0]).toHaveTextContent("Best match");
+    expect(privacyOptions[0]).toHaveTextContent(
+      "Found in: page footer, sitemap",
+    );
+    expect(privacyOptions[1]).not.toHaveTextContent("Best match");
+  });
+
+  it("should choose a candidate", () => {
+    const onChoose = vi.fn();
+    render(
+      <PolicyCandidates
+        discovery={createDiscovery()}
+        onChoose={onChoose}
+        onDismiss={vi.fn()}
+      />,
+    );
+
+    fireEvent.click(screen.getByRole("button", { name: /EU Privacy Notice/ }));
+
+    expect(onChoose).toHaveBeenCalledWith(PRIVACY_EU);
+  });
+
+  it("should say when no policies were found", () => {
+    render(
+      <PolicyCandidates
+        discovery={createDiscovery({ candidates: [] })}
+        onChoose={vi.fn()}
+        onDismiss={vi.fn()}
+      />,
+    );
+
+    expect(
+      screen.getByText(/No policy pages were found on example.com/),
+    ).toBeInTheDocument();
+  });
+
+  it("should show search errors", () => {
+    render(
+      <PolicyCandidates
+        discovery={createDiscovery({
+          status: "error",
+          candidates: [],
+          error: "Could not load example.com: Request timeout",
+        })}
+        onChoose={vi.fn()}
+        onDismiss={vi.fn()}
+      />,
+    );
+
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      "Could not load example.com: Request timeout",
+    );
+  });
+});
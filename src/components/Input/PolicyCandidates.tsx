@@ -0,0 +1,131 @@
+import type { ReactElement } from "react";
+import { LoadingSpinner } from "../Common";
+import {
+  POLICY_KINDS,
+  POLICY_KIND_LABELS,
+} from "../../services/document/PolicyDiscovery";
+import type {
+  PolicyCandidate,
+  PolicyCandidateSource,
+  PolicyDiscoveryState,
+} from "../../types";
+
+/**
+ * Props for PolicyCandidates component
+ */
+export interface PolicyCandidatesProps {
+  /** State of the policy search */
+  discovery: PolicyDiscoveryState;
+  /** Callback when a policy is chosen for analysis */
+  onChoose: (candidate: PolicyCandidate) => void;
+  /** Callback to dismiss the results */
+  onDismiss: () => void;
+  /** Whether choosing is disabled */
+  disabled?: boolean;
+}
+
+const SOURCE_LABELS: Record<PolicyCandidateSource, string> = {
+  rel: "marked as the site's policy",
+  footer: "page footer",
+  link: "homepage link",
+  "well-known": "common policy address",
+  sitemap: "sitemap",
+};
+
+/**
+ * PolicyCandidates - Lists the policy pages found on a site, grouped by kind
+ * with the best match first, for the user to choose one to analyze
+ */
+export function PolicyCandidates({
+  discovery,
+  onChoose,
+  onDismiss,
+  disabled = false,
+}: PolicyCandidatesProps): ReactElement {
+  const { status, homepage, candidates, error } = discovery;
+  const site = homepage ? new URL(homepage).hostname : "the site";
+
+  return (
+    <section
+      className="policy-candidates"
+      aria-label="Policies found"
+      aria-live="polite"
+    >
+      {status === "loading" && (
+        <LoadingSpinner
+          size="small"
+          message={`Looking for policies on ${site}...`}
+        />
+      )}
+
+      {status === "error" && (
+        <p className="input__error" role="alert">
+          {error}
+        </p>
+      )}
+
+      {status === "ready" && candidates.length === 0 && (
+        <p className="policy-candidates__empty">
+          No policy pages were found on {site}. Enter the URL of its privacy
+          policy instead.
+        </p>
+      )}
+
+      {status === "ready" && candidates.length > 0 && (
+        <>
+          <p className="policy-candidates__title">
+            Policies found on {site}. Choose one to analyze:
+          </p>
+          {POLICY_KINDS.map((kind) => {
+            const group = candidates.filter(
+              (candidate) => candidate.kind === kind,
+            );
+            if (group.length === 0) return null;
+
+            return (
+              <div key={kind} className="policy-candidates__group">
+                <h3 className="policy-candidates__kind">
+                  {POLICY_KIND_LABELS[kind]}
+                </h3>
+                <ul className="policy-candidates__list">
+                  {group.map((candidate, index) => (
+                    <li key={candidate.url}>
+                      <button
+                        type="button"
+                        className="policy-candidates__option"
+                        onClick={() => onChoose(candidate)}
+                        disabled={disabled}
+                      >
+                        <span className="policy-candidates__label">
+                          {candidate.label}
+                          {index === 0 && (
+                            <span className="policy-candidates__best">
+                              Best match
+                            </span>
+                          )}
+                        </span>
+                        <span className="policy-candidates__url">
+                          {candidate.url}
+                        </span>
+                        <span className="policy-candidates__sources">
+                          Found in:{" "}
+                          {candidate.sources
+                            .map((source) => SOURCE_LABELS[source])
+                            .join(", ")}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+        </>
+      )}
+
+      <button type="button" className="tip-hint__link" onClick={onDismiss}>
+        {status === "loading" ? "Cancel search" : "Close"}
+      </button>
+    </section>
+  );
+}
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { ServiceComparisonInput } from "./ServiceComparisonInput";
+
+const fillUrl = (index: number, url: string) =>
+  fireEvent.change(screen.getByLabelText(`Service ${index} policy URL`), {
+    target: { value: url },
+  });
+
+describe("ServiceComparisonInput", () => {
+  it("should start with two services and allow up to five", () => {
+    render(<ServiceComparisonInput onSubmit={vi.fn()} />);
+
+    expect(screen.getByLabelText("Service 1 policy URL")).toBeInTheDocument();
+    expect(screen.getByLabelText("Service 2 policy URL")).toBeInTheDocument();
+    expect(screen.queryByLabelText("Remove Service 1")).not.toBeInTheDocument();
+
+    const addButton = screen.getByRole("button", {
+      name: "+ Add another service",
+    });
+    fireEvent.click(addButton);
+    fireEvent.click(addButton);
+    fireEvent.click(addButton);
+
+    expect(screen.getByLabelText("Service 5 policy URL")).toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: "+ Add another service" }),
+    ).not.toBeInTheDocument();
+    expect(
+      screen.getByRole("button", { name: "Compare 5 services" }),
+    ).toBeInTheDocument();
+  });
+
+  it("should remove services down to the minimum", () => {
+    render(<ServiceComparisonInput onSubmit={vi.fn()} />);
+    fireEvent.click(
+      screen.getByRole("button", { name: "+ Add another service" }),
+    );
+    fillUrl(3, "https://c.com/privacy");
+
+    fireEvent.click(screen.getByLabelText("Remove Service 3"));
+
+    expect(
+      screen.queryByLabelText("Service 3 policy URL"),
+    ).not.toBeInTheDocument();
+    expect(screen.queryByLabelText("Remove Service 1")).not.toBeInTheDocument();
+  });
+
+  it("should submit the URLs and files in order", () => {
+    const onSubmit = vi.fn();
+    render(<ServiceComparisonInput onSubmit={onSubmit} />);
+    fillUrl(1, "https://a.com/privacy");
+    fireEvent.change(screen.getByLabelText("Service 2 source type"), {
+      target: { value: "file" },
+    });
+    const file = new File(["%PDF"], "b.pdf", { type: "application/pdf" });
+    fireEvent.change(screen.getByLabelText("Service 2 policy PDF"), {
+      target: { files: [file] },
+    });
+
+    fireEvent.click(screen.getByRole("button", { name: "Compare 2 services" }));
+
+    expect(onSubmit).toHaveBeenCalledTimes(1);
+    const [selections] = onSubmit.mock.calls[0];
+    expect(selections).toHaveLength(2);
+    expect(selections[0]).toMatchObject({
+      type: "url",
+      source: "https://a.com/privacy",
+      metadata: { inputMode: "url" },
+    });
+    expect(selections[1]).toMatchObject({
+      type: "file",
+      source: file,
+      metadata: { inputMode: "file", fileName: "b.pdf" },
+    });
+  });
+
+  it("should show an error per invalid service and not submit", () => {
+    const onSubmit = vi.fn();
+    render(<ServiceComparisonInput onSubmit={onSubmit} />);
+    fillUrl(1, "https://a.com/privacy");
+    fireEvent.change(screen.getByLabelText("Service 2 source type"), {
+      target: { value: "file" },
+    });
+
+    fireEvent.click(screen.getByRole("button", { name: "Compare 2 services" }));
+
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(screen.getAllByRole("alert")).toHaveLength(1);
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      "Please choose a PDF file",
+    );
+    expect(screen.getByLabelText("Service 2 policy PDF")).toHaveAttribute(
+      "aria-invalid",
+      "true",
+    );
+  });
+
+  it("should clear a service's error once it is edited", () => {
+    render(<ServiceComparisonInput onSubmit={vi.fn()} />);
+    fillUrl(1, "https://a.com/privacy");
+    fireEvent.click(screen.getByRole("button", { name: "Compare 2 services" }));
+    expect(screen.getByRole("alert")).toBeInTheDocument();
+
+    fillUrl(2, "https://b.com/privacy");
+
+    expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+  });
+
+  it("should disable every control when disabled", () => {
+    render(<ServiceComparisonInput onSubmit={vi.fn()} disabled />);
+
+    expect(screen.getByLabelText("Service 1 policy URL")).toBeDisabled();
+    expect(screen.getByLabelText("Service 1 source type")).toBeDisabled();
+    expect(
+      screen.getByRole("button", { name: "Compare 2 services" }),
+    ).toBeDisabled();
+  });
+});
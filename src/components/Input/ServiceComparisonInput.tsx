@@ -0,0 +1,240 @@
+import {
+  useState,
+  useCallback,
+  type FormEvent,
+  type ReactElement,
+} from "react";
+import { Button } from "../Common";
+import { validateUrl, validateFile } from "../../utils/validation";
+import { SERVICE_COMPARISON } from "../../utils/constants";
+import type { DocumentSelection } from "./DocumentInput";
+
+/**
+ * One service to compare: a policy URL or an uploaded PDF
+ */
+interface ServiceRow {
+  key: number;
+  mode: "url" | "file";
+  url: string;
+  file: File | null;
+}
+
+/**
+ * Props for ServiceComparisonInput component
+ */
+interface ServiceComparisonInputProps {
+  /** Callback with the selected policies, in order */
+  onSubmit: (selections: DocumentSelection[]) => void;
+  /** Whether input is disabled */
+  disabled?: boolean;
+  /** Additional CSS classes */
+  className?: string;
+}
+
+let nextRowKey = 0;
+
+const createRow = (): ServiceRow => ({
+  key: nextRowKey++,
+  mode: "url",
+  url: "",
+  file: null,
+});
+
+/**
+ * ServiceComparisonInput - Collects 2-5 policy URLs or PDFs to compare
+ * side by side
+ */
+export function ServiceComparisonInput({
+  onSubmit,
+  disabled = false,
+  className = "",
+}: ServiceComparisonInputProps): ReactElement {
+  const [rows, setRows] = useState<ServiceRow[]>(() =>
+    Array.from({ length: SERVICE_COMPARISON.MIN_SERVICES }, createRow),
+  );
+  const [errors, setErrors] = useState<Record<number, string>>({});
+
+  const updateRow = useCallback((key: number, changes: Partial<ServiceRow>) => {
+    setRows((prev) =>
+      prev.map((row) => (row.key === key ? { ...row, ...changes } : row)),
+    );
+    setErrors((prev) => {
+      const { [key]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  const addRow = useCallback(() => {
+    setRows((prev) =>
+      prev.length < SERVICE_COMPARISON.MAX_SERVICES
+        ? [...prev, createRow()]
+        : prev,
+    );
+  }, []);
+
+  const removeRow = useCallback((key: number) => {
+    setRows((prev) => prev.filter((row) => row.key !== key));
+  }, []);
+
+  /**
+   * Validate every row and submit the selections
+   */
+  const handleSubmit = useCallback(
+    (e: FormEvent) => {
+      e.preventDefault();
+      const rowErrors: Record<number, string> = {};
+      const selections: DocumentSelection[] = [];
+      const timestamp = new Date().toISOString();
+
+      rows.forEach((row) => {
+        if (row.mode === "url") {
+          const validation = validateUrl(row.url.trim());
+          if (!validation.valid) {
+            rowErrors[row.key] = validation.errors
+              .map((err) => err.message)
+              .join(", ");
+            return;
+          }
+          selections.push({
+            type: "url",
+            source: row.url.trim(),
+            metadata: { inputMode: "url", timestamp },
+          });
+        } else {
+          if (!row.file) {
+            rowErrors[row.key] = "Please choose a PDF file";
+            return;
+          }
+          const validation = validateFile(row.file);
+          if (!validation.valid) {
+            rowErrors[row.key] = validation.errors
+              .map((err) => err.message)
+              .join(", ");
+            return;
+          }
+          selections.push({
+            type: "file",
+            source: row.file,
+            metadata: {
+              inputMode: "file",
+              fileName: row.file.name,
+              fileSize: row.file.size,
+              timestamp,
+            },
+          });
+        }
+      });
+
+      setErrors(rowErrors);
+      if (Object.keys(rowErrors).length === 0) {
+        onSubmit(selections);
+      }
+    },
+    [rows, onSubmit],
+  );
+
+  const canRemove = rows.length > SERVICE_COMPARISON.MIN_SERVICES;
+
+  return (
+    <form
+      className={`service-compare-input ${className}`}
+      onSubmit={handleSubmit}
+      noValidate
+    >
+      <p className="service-compare-input__hint">
+        Compare the privacy policies of {SERVICE_COMPARISON.MIN_SERVICES} to{" "}
+        {SERVICE_COMPARISON.MAX_SERVICES} services side by side. Each policy is
+        analyzed in turn, so this takes a few minutes.
+      </p>
+
+      <ol className="service-compare-input__list">
+        {rows.map((row, index) => {
+          const label = `Service ${index + 1}`;
+          const error = errors[row.key];
+          return (
+            <li key={row.key} className="service-compare-input__row">
+              <div className="service-compare-input__fields">
+                <span className="service-compare-input__label">{label}</span>
+                <select
+                  className="service-compare-input__mode"
+                  value={row.mode}
+                  onChange={(e) =>
+                    updateRow(row.key, {
+                      mode: e.target.value as ServiceRow["mode"],
+                    })
+                  }
+                  disabled={disabled}
+                  aria-label={`${label} source type`}
+                >
+                  <option value="url">URL</option>
+                  <option value="file">PDF</option>
+                </select>
+                {row.mode === "url" ? (
+                  <input
+                    key="url"
+                    type="url"
+                    className={`input-field service-compare-input__url ${error ? "input-field--error" : ""}`}
+                    value={row.url}
+                    onChange={(e) =>
+                      updateRow(row.key, { url: e.target.value })
+                    }
+                    placeholder="https://example.com/privacy-policy"
+                    disabled={disabled}
+                    aria-label={`${label} policy URL`}
+                    aria-invalid={!!error}
+                  />
+                ) : (
+                  <input
+                    key="file"
+                    type="file"
+                    className="service-compare-input__file"
+                    accept=".pdf,application/pdf"
+                    onChange={(e) =>
+                      updateRow(row.key, { file: e.target.files?.[0] || null })
+                    }
+                    disabled={disabled}
+                    aria-label={`${label} policy PDF`}
+                    aria-invalid={!!error}
+                  />
+                )}
+                {canRemove && (
+                  <button
+                    type="button"
+                    className="service-compare-input__remove"
+                    onClick={() => removeRow(row.key)}
+                    disabled={disabled}
+                    aria-label={`Remove ${label}`}
+                  >
+                    <span aria-hidden="true">&times;</span>
+                  </button>
+                )}
+              </div>
+              {error && (
+                <p className="input__error" role="alert">
+                  {error}
+                </p>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      <div className="service-compare-input__actions">
+        {rows.length < SERVICE_COMPARISON.MAX_SERVICES && (
+          <Button
+            type="button"
+            variant="ghost"
+            size="small"
+            onClick={addRow}
+            disabled={disabled}
+          >
+            + Add another service
+          </Button>
+        )}
+        <Button type="submit" variant="primary" disabled={disabled}>
+          Compare {rows.length} services
+        </Button>
+      </div>
+    </form>
+  );
+}
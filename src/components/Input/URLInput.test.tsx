@@ -292,6 +292,83 @@ describe('URLInput', () => {
     });
   });
 
+  describe('preview', () => {
+    it('should not show the preview link without onPreview', () => {
+      render(<URLInput onSubmit={mockOnSubmit} />);
+      expect(
+        screen.queryByRole('button', { name: /Review the extracted text/ })
+      ).not.toBeInTheDocument();
+    });
+
+    it('should preview the trimmed URL', () => {
+      const onPreview = vi.fn();
+      render(<URLInput onSubmit={mockOnSubmit} onPreview={onPreview} />);
+      const preview = screen.getByRole('button', { name: /Review the extracted text/ });
+
+      expect(preview).toBeDisabled();
+
+      fireEvent.change(screen.getByLabelText('Privacy Policy URL'), {
+        target: { value: '  https://example.com/privacy  ' },
+      });
+      fireEvent.click(preview);
+
+      expect(onPreview).toHaveBeenCalledWith('https://example.com/privacy');
+      expect(mockOnSubmit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('policy discovery', () => {
+    const discovery = {
+      status: 'ready' as const,
+      homepage: 'https://example.com/',
+      candidates: [
+        {
+          url: 'https://example.com/privacy',
+          kind: 'privacy' as const,
+          label: 'Privacy Policy',
+          sources: ['footer' as const],
+          score: 55,
+        },
+      ],
+      error: null,
+    };
+
+    it('should mention domains in the hint when discovery is available', () => {
+      render(<URLInput onSubmit={mockOnSubmit} onChoosePolicy={vi.fn()} />);
+      expect(screen.getByText(/or a domain such as example.com/)).toBeInTheDocument();
+    });
+
+    it('should list discovered policies and choose one', () => {
+      const onChoosePolicy = vi.fn();
+      const onDismissDiscovery = vi.fn();
+      render(
+        <URLInput
+          onSubmit={mockOnSubmit}
+          discovery={discovery}
+          onChoosePolicy={onChoosePolicy}
+          onDismissDiscovery={onDismissDiscovery}
+        />
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: /Privacy Policy/ }));
+      expect(onChoosePolicy).toHaveBeenCalledWith(discovery.candidates[0]);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+      expect(onDismissDiscovery).toHaveBeenCalled();
+    });
+
+    it('should not list policies while discovery is idle', () => {
+      render(
+        <URLInput
+          onSubmit={mockOnSubmit}
+          discovery={{ ...discovery, status: 'idle' }}
+          onChoosePolicy={vi.fn()}
+        />
+      );
+      expect(screen.queryByLabelText('Policies found')).not.toBeInTheDocument();
+    });
+  });
+
   describe('error display', () => {
     it('should display error message', () => {
       render(<URLInput onSubmit={mockOnSubmit} error="Invalid URL format" />);
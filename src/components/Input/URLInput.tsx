@@ -6,6 +6,8 @@ import {
   type ReactElement,
 } from "react";
 import { Button } from "../Common";
+import { PolicyCandidates } from "./PolicyCandidates";
+import type { PolicyCandidate, PolicyDiscoveryState } from "../../types";
 
 /**
  * Example privacy policy URL
@@ -21,6 +23,14 @@ interface ExampleUrl {
 interface URLInputProps {
   /** Callback when URL is submitted */
   onSubmit: (url: string) => void;
+  /** Callback to review the text extracted from the URL before analysis */
+  onPreview?: ((url: string) => void) | null;
+  /** Policies found for a bare domain, for the user to choose from */
+  discovery?: PolicyDiscoveryState | null;
+  /** Callback when a discovered policy is chosen */
+  onChoosePolicy?: ((candidate: PolicyCandidate) => void) | null;
+  /** Callback to dismiss the discovered policies */
+  onDismissDiscovery?: (() => void) | null;
   /** Whether input is disabled */
   disabled?: boolean;
   /** Error message to display */
@@ -43,6 +53,10 @@ interface URLInputProps {
  */
 export function URLInput({
   onSubmit,
+  onPreview = null,
+  discovery = null,
+  onChoosePolicy = null,
+  onDismissDiscovery = null,
   disabled = false,
   error = null,
   onClearError = null,
@@ -168,7 +182,9 @@ export function URLInput({
           className={`input-field ${error ? "input-field--error" : ""}`}
         />
         <p id="url-input-hint" className="input-hint">
-          Enter the direct URL to a privacy policy page
+          {onChoosePolicy
+            ? "Enter the URL of a privacy policy, or a domain such as example.com to find its policies"
+            : "Enter the direct URL to a privacy policy page"}
         </p>
         {error && (
           <p id="url-input-error" className="input__error" role="alert">
@@ -181,13 +197,33 @@ export function URLInput({
         type="submit"
         variant="primary"
         disabled={isDisabled || !hasValue}
-        loading={isValidating}
+        loading={isValidating || discovery?.status === "loading"}
         ariaLabel="Analyze privacy policy"
         style={{ width: "100%" }}
       >
         Analyze Policy
       </Button>
 
+      {onPreview && (
+        <button
+          type="button"
+          className="tip-hint__link url-input__preview"
+          onClick={() => onPreview(url.trim())}
+          disabled={isDisabled || !hasValue}
+        >
+          Review the extracted text before analyzing
+        </button>
+      )}
+
+      {discovery && discovery.status !== "idle" && onChoosePolicy && (
+        <PolicyCandidates
+          discovery={discovery}
+          onChoose={onChoosePolicy}
+          onDismiss={() => onDismissDiscovery?.()}
+          disabled={isDisabled}
+        />
+      )}
+
       {/* Analysis Error Display */}
       {analysisError && (
         <div className="analysis-error" role="alert">
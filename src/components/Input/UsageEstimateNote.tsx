@@ -0,0 +1,41 @@
+import type { ReactElement } from "react";
+import { formatCost, formatNumber } from "../../utils/formatting";
+import type { UsageEstimate } from "../../types";
+
+/**
+ * Props for UsageEstimateNote component
+ */
+export interface UsageEstimateNoteProps {
+  /** Estimate to show (nothing is rendered without one) */
+  estimate: UsageEstimate | null;
+  /** Element id, for aria-describedby */
+  id?: string;
+}
+
+/**
+ * Describes the cost of an estimate
+ */
+function describeCost(cost: number | null): string {
+  if (cost === null) return "cost unknown for this model";
+  if (cost === 0) return "no cost";
+  return `about ${formatCost(cost)}`;
+}
+
+/**
+ * UsageEstimateNote - Shows the expected tokens and cost of analyzing a
+ * text before the user starts the analysis
+ */
+export function UsageEstimateNote({
+  estimate,
+  id,
+}: UsageEstimateNoteProps): ReactElement | null {
+  if (!estimate) return null;
+
+  return (
+    <p id={id} className="input-hint usage-estimate">
+      Estimated usage: ~{formatNumber(estimate.promptTokens)} input + ~
+      {formatNumber(estimate.completionTokens)} output tokens in{" "}
+      {estimate.requests} requests · {describeCost(estimate.cost)}
+    </p>
+  );
+}
@@ -1,3 +1,12 @@
 export { DocumentInput } from './DocumentInput';
 export { URLInput } from './URLInput';
 export { FileUpload } from './FileUpload';
+export { ServiceComparisonInput } from './ServiceComparisonInput';
+export { BatchInput } from './BatchInput';
+export { PasteTextInput } from './PasteTextInput';
+export { ExtractionReview } from './ExtractionReview';
+export { PolicyCandidates } from './PolicyCandidates';
+export { UsageEstimateNote } from './UsageEstimateNote';
+export { ComplianceProfileSelector } from './ComplianceProfileSelector';
+export { AnalysisProfileSelector } from './AnalysisProfileSelector';
+export { AnalysisProfileEditor } from './AnalysisProfileEditor';
@@ -12,6 +12,8 @@ interface HeaderProps {
   onAboutOpen: () => void;
   /** Callback to open tips modal */
   onTipsOpen: () => void;
+  /** Callback to open the analysis history browser */
+  onHistoryOpen?: () => void;
   /** Additional CSS classes */
   className?: string;
 }
@@ -23,6 +25,7 @@ export function Header({
   onConfigOpen,
   onAboutOpen,
   onTipsOpen,
+  onHistoryOpen,
   className = "",
 }: HeaderProps): ReactElement {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
@@ -57,6 +60,18 @@ export function Header({
             Configure
           </button>
 
+          {onHistoryOpen && (
+            <button
+              type="button"
+              className="header__nav-button"
+              onClick={onHistoryOpen}
+              aria-label="Open analysis history"
+            >
+              <span aria-hidden="true">🗂️</span>
+              History
+            </button>
+          )}
+
           <button
             type="button"
             className="header__nav-button"
@@ -119,6 +134,20 @@ export function Header({
             Configure
           </button>
 
+          {onHistoryOpen && (
+            <button
+              type="button"
+              className="header__mobile-menu-item"
+              onClick={() => {
+                onHistoryOpen();
+                setMobileMenuOpen(false);
+              }}
+            >
+              <span aria-hidden="true">🗂️</span>
+              History
+            </button>
+          )}
+
           <button
             type="button"
             className="header__mobile-menu-item"
@@ -0,0 +1,57 @@
+import type { ReactElement } from "react";
+import ReactMarkdown from "react-markdown";
+import rehypeSanitize, { defaultSchema } from "rehype-sanitize";
+import type { AspectAnswer } from "../../types";
+
+/** Same sanitization as the summary: blocks javascript: links */
+const sanitizeSchema = {
+  ...defaultSchema,
+  protocols: {
+    ...defaultSchema.protocols,
+    href: ["http", "https", "mailto"],
+  },
+};
+
+export interface AspectAnswersProps {
+  aspects?: AspectAnswer[];
+  /** Name of the analysis profile that asked the questions */
+  profileName?: string;
+  className?: string;
+}
+
+/**
+ * AspectAnswers - Shows the answers to the custom questions of the analysis
+ * profile the policy was analyzed with
+ */
+export function AspectAnswers({
+  aspects = [],
+  profileName,
+  className = "",
+}: AspectAnswersProps): ReactElement {
+  return (
+    <section className={`card aspect-answers ${className}`}>
+      <div className="card__header">
+        <h2 className="card__title">
+          <span aria-hidden="true">❓</span> Custom Questions
+        </h2>
+        {profileName && (
+          <p className="card__subtitle">Asked by the {profileName} profile</p>
+        )}
+      </div>
+
+      <ul className="aspect-answers__list">
+        {aspects.map((aspect) => (
+          <li key={aspect.aspectId} className="aspect-answers__item">
+            <h3 className="aspect-answers__name">{aspect.name}</h3>
+            <p className="aspect-answers__prompt">{aspect.prompt}</p>
+            <div className="aspect-answers__answer summary-content">
+              <ReactMarkdown rehypePlugins={[[rehypeSanitize, sanitizeSchema]]}>
+                {aspect.answer || "No answer was generated."}
+              </ReactMarkdown>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,60 @@
+import type { ReactElement } from "react";
+import { CitationVerifier } from "../../services/analysis/CitationVerifier";
+import type { Citation } from "../../types";
+
+export interface CitationListProps {
+  citations?: Citation[];
+  /** Opens the source text at a verified citation (omitted without policy text) */
+  onViewCitation?: (citation: Citation) => void;
+}
+
+/**
+ * CitationList - Shows the policy passages a finding is based on. Verified
+ * quotes link to the source text; findings whose quotes could not be found
+ * in the policy are flagged.
+ */
+export function CitationList({
+  citations,
+  onViewCitation,
+}: CitationListProps): ReactElement | null {
+  if (!citations) return null;
+
+  if (CitationVerifier.isUnverified(citations)) {
+    return (
+      <p className="citations citations--unverified">
+        <span
+          className="citations__badge"
+          title="The quoted passages could not be found in the policy text"
+        >
+          <span aria-hidden="true">⚠</span> Unverified
+        </span>
+        {citations.length === 0
+          ? " No supporting passage was cited."
+          : " The cited passage was not found in the policy."}
+      </p>
+    );
+  }
+
+  return (
+    <ul className="citations" aria-label="Supporting passages">
+      {citations
+        .filter((citation) => citation.verified)
+        .map((citation, index) => (
+          <li key={index} className="citations__item">
+            {onViewCitation && citation.start !== undefined ? (
+              <button
+                type="button"
+                className="citations__quote citations__quote--link"
+                onClick={() => onViewCitation(citation)}
+                title="Show in policy text"
+              >
+                “{citation.quote}”
+              </button>
+            ) : (
+              <q className="citations__quote">{citation.quote}</q>
+            )}
+          </li>
+        ))}
+    </ul>
+  );
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import { ComplianceChecklist } from "./ComplianceChecklist";
+import type { ComplianceChecklist as ComplianceChecklistData } from "../../types";
+
+describe("ComplianceChecklist", () => {
+  const checklists: ComplianceChecklistData[] = [
+    {
+      profile: "gdpr",
+      checks: [
+        {
+          requirementId: "controller",
+          label: "Controller identity and contact details",
+          reference: "Art. 13(1)(a)",
+          status: "present",
+          evidence: "Names Example Inc. as controller.",
+          citations: [
+            { quote: "Example Inc. is the controller", verified: true, start: 0, end: 30 },
+          ],
+        },
+        {
+          requirementId: "dpo",
+          label: "Data protection officer contact",
+          reference: "Art. 13(1)(b)",
+          status: "missing",
+          evidence: "No DPO is named.",
+        },
+      ],
+    },
+    {
+      profile: "ccpa",
+      checks: [
+        {
+          requirementId: "categories-collected",
+          label: "Categories of personal information collected",
+          reference: "§ 1798.100",
+          status: "partial",
+          evidence: "Lists some categories.",
+        },
+      ],
+    },
+  ];
+
+  it("should show a card per law with the counts per status", () => {
+    render(<ComplianceChecklist checklists={checklists} />);
+
+    const gdpr = screen.getByRole("heading", { name: /GDPR Checklist/ }).closest("section")!;
+    expect(within(gdpr).getByText("1 disclosed")).toBeInTheDocument();
+    expect(within(gdpr).getByText("0 partial")).toBeInTheDocument();
+    expect(within(gdpr).getByText("1 not found")).toBeInTheDocument();
+    expect(screen.getByRole("heading", { name: /CCPA\/CPRA Checklist/ })).toBeInTheDocument();
+  });
+
+  it("should show the status, reference and evidence of each requirement", () => {
+    render(<ComplianceChecklist checklists={checklists} />);
+
+    const item = screen.getByText("Data protection officer contact").closest("li")!;
+    expect(item).toHaveClass("compliance__item--missing");
+    expect(within(item).getByText("Not found")).toBeInTheDocument();
+    expect(within(item).getByText("Art. 13(1)(b)")).toBeInTheDocument();
+    expect(within(item).getByText("No DPO is named.")).toBeInTheDocument();
+  });
+
+  it("should open verified citations in the source text", () => {
+    const onViewCitation = vi.fn();
+    render(<ComplianceChecklist checklists={checklists} onViewCitation={onViewCitation} />);
+
+    fireEvent.click(screen.getByRole("button", { name: /Example Inc. is the controller/ }));
+
+    expect(onViewCitation).toHaveBeenCalledWith(
+      checklists[0].checks[0].citations![0],
+      "Controller identity and contact details",
+    );
+  });
+});
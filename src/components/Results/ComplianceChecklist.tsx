@@ -0,0 +1,103 @@
+import type { ReactElement } from "react";
+import { CitationList } from "./CitationList";
+import { ComplianceProfiles } from "../../services/analysis/ComplianceProfiles";
+import type {
+  Citation,
+  ComplianceChecklist as ComplianceChecklistData,
+  ComplianceStatus,
+} from "../../types";
+
+const STATUS_ICONS: Record<ComplianceStatus, string> = {
+  present: "✓",
+  partial: "◐",
+  missing: "✗",
+};
+
+export interface ComplianceChecklistProps {
+  checklists?: ComplianceChecklistData[];
+  /** Opens the source text at a verified citation (omitted without policy text) */
+  onViewCitation?: (citation: Citation, title: string) => void;
+  className?: string;
+}
+
+/**
+ * ComplianceChecklist - Shows, per selected privacy law, whether the policy
+ * makes each required disclosure, with the evidence the model found
+ */
+export function ComplianceChecklist({
+  checklists = [],
+  onViewCitation,
+  className = "",
+}: ComplianceChecklistProps): ReactElement {
+  return (
+    <div className={`compliance ${className}`}>
+      {checklists.map((checklist) => {
+        const profile = ComplianceProfiles.get(checklist.profile);
+        const count = (status: ComplianceStatus) =>
+          checklist.checks.filter((check) => check.status === status).length;
+
+        return (
+          <section key={checklist.profile} className="card compliance__card">
+            <div className="card__header">
+              <h2 className="card__title">
+                <span aria-hidden="true">⚖️</span> {profile.name} Checklist
+              </h2>
+              <p className="card__subtitle">
+                {profile.law} · {profile.jurisdiction}
+              </p>
+              <p className="compliance__counts">
+                <span className="compliance__count compliance__count--present">
+                  {count("present")} disclosed
+                </span>
+                <span className="compliance__count compliance__count--partial">
+                  {count("partial")} partial
+                </span>
+                <span className="compliance__count compliance__count--missing">
+                  {count("missing")} not found
+                </span>
+              </p>
+            </div>
+
+            <ul className="compliance__list">
+              {checklist.checks.map((check) => (
+                <li
+                  key={check.requirementId}
+                  className={`compliance__item compliance__item--${check.status}`}
+                >
+                  <div className="compliance__item-header">
+                    <span
+                      className={`compliance__status compliance__status--${check.status}`}
+                    >
+                      <span aria-hidden="true">
+                        {STATUS_ICONS[check.status]}
+                      </span>{" "}
+                      {ComplianceProfiles.statusLabel(check.status)}
+                    </span>
+                    <h3 className="compliance__label">{check.label}</h3>
+                    <span className="compliance__reference">
+                      {check.reference}
+                    </span>
+                  </div>
+                  {check.evidence && (
+                    <p className="compliance__evidence">{check.evidence}</p>
+                  )}
+                  <CitationList
+                    citations={check.citations}
+                    onViewCitation={
+                      onViewCitation &&
+                      ((citation) => onViewCitation(citation, check.label))
+                    }
+                  />
+                </li>
+              ))}
+            </ul>
+          </section>
+        );
+      })}
+      <p className="compliance__disclaimer">
+        Checklists cover the disclosures each law requires in a privacy notice.
+        They are a review aid, not legal advice.
+      </p>
+    </div>
+  );
+}
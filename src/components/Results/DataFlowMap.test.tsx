@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import { DataFlowMap } from "./DataFlowMap";
+import { DataFlowExporter } from "../../services/export/DataFlowExporter";
+import type { DataFlow } from "../../types";
+
+describe("DataFlowMap", () => {
+  const flows: DataFlow[] = [
+    {
+      id: "flow-email",
+      category: "Email address",
+      sources: ["You"],
+      purposes: ["Marketing"],
+      recipients: [{ name: "Ad networks", type: "advertiser" }],
+      legalBases: ["Consent"],
+      retention: "2 years",
+      citations: [
+        { quote: "We share your email with ad networks", verified: true, start: 0, end: 36 },
+      ],
+    },
+    {
+      id: "flow-location",
+      category: "Location",
+      sources: ["Your device"],
+      purposes: ["Analytics"],
+      recipients: [{ name: "Acme Analytics", type: "analytics" }],
+      legalBases: [],
+      retention: "",
+    },
+  ];
+
+  const tableRows = () =>
+    within(screen.getByRole("table"))
+      .getAllByRole("rowheader")
+      .map((cell) => cell.textContent);
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("should draw a node per source, data category and recipient", () => {
+    render(<DataFlowMap flows={flows} />);
+
+    const diagram = screen.getByRole("group", { name: "Data flow diagram" });
+    for (const name of ["You", "Email address", "Location", "Ad networks (Advertiser)"]) {
+      expect(within(diagram).getByRole("button", { name })).toBeInTheDocument();
+    }
+    expect(screen.getByText("2 data categories")).toBeInTheDocument();
+    expect(screen.getByText("Not stated")).toBeInTheDocument();
+  });
+
+  it("should filter the table to the flows through a selected node", () => {
+    render(<DataFlowMap flows={flows} />);
+
+    const node = screen.getByRole("button", { name: "Acme Analytics (Analytics)" });
+    fireEvent.click(node);
+
+    expect(node).toHaveAttribute("aria-pressed", "true");
+    expect(tableRows()).toEqual([expect.stringContaining("Location")]);
+    expect(screen.getByText(/Showing 1 of 2 data categories/)).toBeInTheDocument();
+
+    fireEvent.keyDown(node, { key: "Enter" });
+    expect(tableRows()).toHaveLength(2);
+  });
+
+  it("should filter by search text and recipient type", () => {
+    render(<DataFlowMap flows={flows} />);
+
+    fireEvent.change(screen.getByRole("searchbox"), { target: { value: "marketing" } });
+    expect(tableRows()).toEqual([expect.stringContaining("Email address")]);
+
+    fireEvent.click(screen.getByRole("button", { name: "Clear filters" }));
+    fireEvent.change(screen.getByRole("combobox"), { target: { value: "analytics" } });
+    expect(tableRows()).toEqual([expect.stringContaining("Location")]);
+
+    fireEvent.change(screen.getByRole("searchbox"), { target: { value: "nothing" } });
+    expect(screen.getByText("No data flows match the filters.")).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Export CSV" })).toBeDisabled();
+  });
+
+  it("should export the filtered flows", () => {
+    const download = vi.spyOn(DataFlowExporter, "download").mockImplementation(() => {});
+    render(<DataFlowMap flows={flows} source="https://example.com/privacy" />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Email address" }));
+    fireEvent.click(screen.getByRole("button", { name: "Export CSV" }));
+    fireEvent.click(screen.getByRole("button", { name: "Export JSON" }));
+
+    expect(download).toHaveBeenNthCalledWith(1, [flows[0]], "csv", "https://example.com/privacy");
+    expect(download).toHaveBeenNthCalledWith(2, [flows[0]], "json", "https://example.com/privacy");
+  });
+
+  it("should open verified citations", () => {
+    const onViewCitation = vi.fn();
+    render(<DataFlowMap flows={flows} onViewCitation={onViewCitation} />);
+
+    fireEvent.click(screen.getByRole("button", { name: /We share your email/ }));
+
+    expect(onViewCitation).toHaveBeenCalledWith(flows[0].citations![0], "Email address");
+  });
+});
@@ -0,0 +1,492 @@
+import {
+  useMemo,
+  useState,
+  type KeyboardEvent,
+  type ReactElement,
+} from "react";
+import { Button } from "../Common";
+import { CitationList } from "./CitationList";
+import { DataFlowExporter } from "../../services/export/DataFlowExporter";
+import { DATA_RECIPIENT_TYPE_LABELS } from "../../utils/constants";
+import type { Citation, DataFlow, DataRecipientType } from "../../types";
+
+/** Diagram geometry in SVG user units */
+const COLUMN_WIDTH = 200;
+const COLUMN_GAP = 90;
+const NODE_HEIGHT = 28;
+const ROW_HEIGHT = 36;
+const HEADER_HEIGHT = 28;
+const MAX_LABEL_LENGTH = 26;
+
+type NodeKind = "source" | "category" | "recipient";
+
+const COLUMNS: { kind: NodeKind; title: string }[] = [
+  { kind: "source", title: "Sources" },
+  { kind: "category", title: "Data" },
+  { kind: "recipient", title: "Recipients" },
+];
+
+/**
+ * A node of the diagram: a source, a data category or a recipient
+ */
+interface DiagramNode {
+  /** Unique within its column */
+  key: string;
+  kind: NodeKind;
+  label: string;
+  /** Extra text for the tooltip, e.g. the recipient type */
+  detail?: string;
+  x: number;
+  y: number;
+}
+
+/**
+ * A link between two nodes, belonging to one data flow
+ */
+interface DiagramEdge {
+  flowId: string;
+  from: DiagramNode;
+  to: DiagramNode;
+}
+
+/**
+ * Node the data map is filtered to
+ */
+interface Selection {
+  kind: NodeKind;
+  key: string;
+  label: string;
+}
+
+const keyOf = (name: string) => name.trim().toLowerCase();
+
+/**
+ * Checks whether a flow passes through a node
+ */
+function flowTouches(flow: DataFlow, selection: Selection): boolean {
+  switch (selection.kind) {
+    case "source":
+      return flow.sources.some((source) => keyOf(source) === selection.key);
+    case "category":
+      return flow.id === selection.key;
+    case "recipient":
+      return flow.recipients.some(
+        (recipient) => keyOf(recipient.name) === selection.key,
+      );
+  }
+}
+
+/**
+ * Checks whether any field of a flow contains the search text
+ */
+function flowMatches(flow: DataFlow, query: string): boolean {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+  return [
+    flow.category,
+    flow.retention,
+    ...flow.sources,
+    ...flow.purposes,
+    ...flow.legalBases,
+    ...flow.recipients.map((recipient) => recipient.name),
+  ].some((text) => text.toLowerCase().includes(needle));
+}
+
+/**
+ * Lays out the three columns of the diagram, each centered on the tallest
+ * @param flows - Flows to draw
+ * @returns Nodes per column, edges and the diagram size
+ */
+function layoutDiagram(flows: DataFlow[]) {
+  const sources = new Map<string, DiagramNode>();
+  const categories = new Map<string, DiagramNode>();
+  const recipients = new Map<string, DiagramNode>();
+  const add = (
+    nodes: Map<string, DiagramNode>,
+    kind: NodeKind,
+    key: string,
+    label: string,
+    detail?: string,
+  ) => {
+    if (!nodes.has(key)) {
+      nodes.set(key, { key, kind, label, detail, x: 0, y: 0 });
+    }
+    return nodes.get(key)!;
+  };
+
+  const edges: DiagramEdge[] = [];
+  for (const flow of flows) {
+    const category = add(categories, "category", flow.id, flow.category);
+    for (const source of flow.sources) {
+      edges.push({
+        flowId: flow.id,
+        from: add(sources, "source", keyOf(source), source),
+        to: category,
+      });
+    }
+    for (const recipient of flow.recipients) {
+      edges.push({
+        flowId: flow.id,
+        from: category,
+        to: add(
+          recipients,
+          "recipient",
+          keyOf(recipient.name),
+          recipient.name,
+          DATA_RECIPIENT_TYPE_LABELS[recipient.type],
+        ),
+      });
+    }
+  }
+
+  const columns = [sources, categories, recipients].map((nodes) =>
+    Array.from(nodes.values()),
+  );
+  const rows = Math.max(1, ...columns.map((nodes) => nodes.length));
+  columns.forEach((nodes, column) => {
+    const offset = ((rows - nodes.length) * ROW_HEIGHT) / 2;
+    nodes.forEach((node, row) => {
+      node.x = column * (COLUMN_WIDTH + COLUMN_GAP);
+      node.y = HEADER_HEIGHT + offset + row * ROW_HEIGHT;
+    });
+  });
+
+  return {
+    nodes: columns.flat(),
+    edges,
+    width: 3 * COLUMN_WIDTH + 2 * COLUMN_GAP,
+    height: HEADER_HEIGHT + rows * ROW_HEIGHT,
+  };
+}
+
+/**
+ * Curved path from the right edge of one node to the left edge of another
+ */
+function edgePath({ from, to }: DiagramEdge): string {
+  const x1 = from.x + COLUMN_WIDTH;
+  const y1 = from.y + NODE_HEIGHT / 2;
+  const x2 = to.x;
+  const y2 = to.y + NODE_HEIGHT / 2;
+  const middle = (x1 + x2) / 2;
+  return `M ${x1} ${y1} C ${middle} ${y1}, ${middle} ${y2}, ${x2} ${y2}`;
+}
+
+const truncate = (text: string) =>
+  text.length > MAX_LABEL_LENGTH
+    ? `${text.slice(0, MAX_LABEL_LENGTH - 1)}…`
+    : text;
+
+const listOrDash = (items: string[]) =>
+  items.length > 0 ? items.join("; ") : "—";
+
+export interface DataFlowMapProps {
+  flows?: DataFlow[];
+  /** Analyzed URL or file name, included in JSON exports */
+  source?: string;
+  /** Opens the source text at a verified citation (omitted without policy text) */
+  onViewCitation?: (citation: Citation, title: string) => void;
+  className?: string;
+}
+
+/**
+ * DataFlowMap - Shows which data categories the policy says are collected,
+ * where they come from and who receives them, as a diagram and a table.
+ * Clicking a node filters the table to the flows through it; the table can
+ * also be searched, filtered by recipient type and exported.
+ */
+export function DataFlowMap({
+  flows = [],
+  source = "",
+  onViewCitation,
+  className = "",
+}: DataFlowMapProps): ReactElement {
+  const [query, setQuery] = useState("");
+  const [recipientType, setRecipientType] = useState<DataRecipientType | "">(
+    "",
+  );
+  const [selection, setSelection] = useState<Selection | null>(null);
+
+  const recipientTypes = useMemo(
+    () =>
+      (Object.keys(DATA_RECIPIENT_TYPE_LABELS) as DataRecipientType[]).filter(
+        (type) =>
+          flows.some((flow) =>
+            flow.recipients.some((recipient) => recipient.type === type),
+          ),
+      ),
+    [flows],
+  );
+
+  const visibleFlows = useMemo(
+    () =>
+      flows.filter(
+        (flow) =>
+          flowMatches(flow, query) &&
+          (!recipientType ||
+            flow.recipients.some(
+              (recipient) => recipient.type === recipientType,
+            )),
+      ),
+    [flows, query, recipientType],
+  );
+
+  const rows = useMemo(
+    () =>
+      selection
+        ? visibleFlows.filter((flow) => flowTouches(flow, selection))
+        : visibleFlows,
+    [visibleFlows, selection],
+  );
+
+  const diagram = useMemo(() => layoutDiagram(visibleFlows), [visibleFlows]);
+  const activeFlows = new Set(rows.map((flow) => flow.id));
+  const isActiveNode = (node: DiagramNode) =>
+    !selection ||
+    diagram.edges.some(
+      (edge) =>
+        activeFlows.has(edge.flowId) &&
+        (edge.from === node || edge.to === node),
+    ) ||
+    (node.kind === "category" && activeFlows.has(node.key));
+
+  const toggleNode = (node: DiagramNode) => {
+    setSelection((current) =>
+      current?.kind === node.kind && current.key === node.key
+        ? null
+        : { kind: node.kind, key: node.key, label: node.label },
+    );
+  };
+
+  const handleNodeKeyDown = (
+    event: KeyboardEvent<SVGGElement>,
+    node: DiagramNode,
+  ) => {
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      toggleNode(node);
+    }
+  };
+
+  const clearFilters = () => {
+    setQuery("");
+    setRecipientType("");
+    setSelection(null);
+  };
+
+  const isFiltered = Boolean(query.trim() || recipientType || selection);
+
+  return (
+    <section className={`card data-flows ${className}`}>
+      <div className="card__header">
+        <h2 className="card__title">
+          <span aria-hidden="true">🔀</span> Data Flows
+        </h2>
+        <p className="card__subtitle">
+          What the policy says is collected, where it comes from and who
+          receives it
+        </p>
+      </div>
+
+      <div className="data-flows__filters">
+        <label className="data-flows__filter data-flows__filter--search">
+          <span className="data-flows__filter-label">Search</span>
+          <input
+            type="search"
+            className="data-flows__input"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setSelection(null);
+            }}
+            placeholder="Data, purpose or recipient"
+          />
+        </label>
+        <label className="data-flows__filter">
+          <span className="data-flows__filter-label">Recipient type</span>
+          <select
+            className="data-flows__input"
+            value={recipientType}
+            onChange={(e) => {
+              setRecipientType(e.target.value as DataRecipientType | "");
+              setSelection(null);
+            }}
+          >
+            <option value="">All recipients</option>
+            {recipientTypes.map((type) => (
+              <option key={type} value={type}>
+                {DATA_RECIPIENT_TYPE_LABELS[type]}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {visibleFlows.length === 0 ? (
+        <p className="data-flows__empty">No data flows match the filters.</p>
+      ) : (
+        <div className="data-flows__diagram-wrapper">
+          <svg
+            className="data-flows__diagram"
+            viewBox={`0 0 ${diagram.width} ${diagram.height}`}
+            role="group"
+            aria-label="Data flow diagram"
+          >
+            {COLUMNS.map((column, index) => (
+              <text
+                key={column.kind}
+                className="data-flows__column-title"
+                x={index * (COLUMN_WIDTH + COLUMN_GAP) + COLUMN_WIDTH / 2}
+                y={HEADER_HEIGHT / 2}
+                textAnchor="middle"
+              >
+                {column.title}
+              </text>
+            ))}
+            {diagram.edges.map((edge) => {
+              const state = !selection
+                ? ""
+                : activeFlows.has(edge.flowId)
+                  ? "data-flows__edge--active"
+                  : "data-flows__edge--dimmed";
+              return (
+                <path
+                  key={`${edge.flowId}:${edge.from.kind}:${edge.from.key}:${edge.to.key}`}
+                  className={`data-flows__edge ${state}`}
+                  d={edgePath(edge)}
+                />
+              );
+            })}
+            {diagram.nodes.map((node) => {
+              const isSelected =
+                selection?.kind === node.kind && selection.key === node.key;
+              return (
+                <g
+                  key={`${node.kind}:${node.key}`}
+                  className={`data-flows__node data-flows__node--${node.kind} ${
+                    isSelected ? "data-flows__node--selected" : ""
+                  } ${isActiveNode(node) ? "" : "data-flows__node--dimmed"}`}
+                  transform={`translate(${node.x} ${node.y})`}
+                  role="button"
+                  tabIndex={0}
+                  aria-pressed={isSelected}
+                  aria-label={`${node.label}${node.detail ? ` (${node.detail})` : ""}`}
+                  onClick={() => toggleNode(node)}
+                  onKeyDown={(event) => handleNodeKeyDown(event, node)}
+                >
+                  <title>
+                    {node.detail
+                      ? `${node.label} (${node.detail})`
+                      : node.label}
+                  </title>
+                  <rect
+                    className="data-flows__node-box"
+                    width={COLUMN_WIDTH}
+                    height={NODE_HEIGHT}
+                    rx={6}
+                  />
+                  <text
+                    className="data-flows__node-label"
+                    x={10}
+                    y={NODE_HEIGHT / 2}
+                    dominantBaseline="central"
+                  >
+                    {truncate(node.label)}
+                  </text>
+                </g>
+              );
+            })}
+          </svg>
+          <p className="data-flows__hint">
+            Select a source, data category or recipient to show only the flows
+            through it.
+          </p>
+        </div>
+      )}
+
+      <div className="data-flows__toolbar">
+        <p className="data-flows__count" aria-live="polite">
+          {rows.length === flows.length
+            ? `${flows.length} data ${flows.length === 1 ? "category" : "categories"}`
+            : `Showing ${rows.length} of ${flows.length} data categories`}
+          {selection && <> through “{selection.label}”</>}
+        </p>
+        {isFiltered && (
+          <Button variant="secondary" size="small" onClick={clearFilters}>
+            Clear filters
+          </Button>
+        )}
+        <Button
+          variant="secondary"
+          size="small"
+          onClick={() => DataFlowExporter.download(rows, "json", source)}
+          disabled={rows.length === 0}
+        >
+          Export JSON
+        </Button>
+        <Button
+          variant="secondary"
+          size="small"
+          onClick={() => DataFlowExporter.download(rows, "csv", source)}
+          disabled={rows.length === 0}
+        >
+          Export CSV
+        </Button>
+      </div>
+
+      {rows.length > 0 && (
+        <div className="data-flows__table-wrapper">
+          <table className="data-flows__table">
+            <thead>
+              <tr>
+                <th scope="col">Data</th>
+                <th scope="col">Sources</th>
+                <th scope="col">Purposes</th>
+                <th scope="col">Recipients</th>
+                <th scope="col">Legal basis</th>
+                <th scope="col">Retention</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((flow) => (
+                <tr key={flow.id}>
+                  <th scope="row" className="data-flows__category">
+                    {flow.category}
+                    <CitationList
+                      citations={flow.citations}
+                      onViewCitation={
+                        onViewCitation &&
+                        ((citation) => onViewCitation(citation, flow.category))
+                      }
+                    />
+                  </th>
+                  <td>{listOrDash(flow.sources)}</td>
+                  <td>{listOrDash(flow.purposes)}</td>
+                  <td>
+                    {flow.recipients.length === 0 ? (
+                      "None stated"
+                    ) : (
+                      <ul className="data-flows__recipients">
+                        {flow.recipients.map((recipient, index) => (
+                          <li key={index}>
+                            {recipient.name}{" "}
+                            <span
+                              className={`data-flows__recipient-type data-flows__recipient-type--${recipient.type}`}
+                            >
+                              {DATA_RECIPIENT_TYPE_LABELS[recipient.type]}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
+                  <td>{listOrDash(flow.legalBases)}</td>
+                  <td>{flow.retention || "Not stated"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
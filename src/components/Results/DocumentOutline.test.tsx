@@ -0,0 +1,71 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { DocumentOutline } from "./DocumentOutline";
+import type { DocumentOutlineEntry, PrivacyRisk } from "../../types";
+
+const outline: DocumentOutlineEntry[] = [
+  { title: "Privacy Policy", level: 1, start: 0, end: 16 },
+  { title: "2. Sharing Your Data", level: 2, start: 30, end: 53 },
+  { title: "Data Retention", level: 3, start: 80, end: 98 },
+];
+
+/**
+ * Creates a risk located in the given section
+ */
+function risk(location: string): PrivacyRisk {
+  return {
+    title: "Risk",
+    description: "Description",
+    severity: "high",
+    location,
+  } as PrivacyRisk;
+}
+
+describe("DocumentOutline", () => {
+  it("should list the sections indented by level", () => {
+    render(<DocumentOutline outline={outline} onSelect={vi.fn()} />);
+
+    const items = screen.getAllByRole("listitem");
+    expect(items.map((item) => item.textContent)).toEqual([
+      "Privacy Policy",
+      "2. Sharing Your Data",
+      "Data Retention",
+    ]);
+    expect(items[0]).toHaveClass("document-outline__item--depth-0");
+    expect(items[2]).toHaveClass("document-outline__item--depth-2");
+  });
+
+  it("should select a section when clicked", () => {
+    const onSelect = vi.fn();
+    render(<DocumentOutline outline={outline} onSelect={onSelect} />);
+
+    fireEvent.click(screen.getByRole("button", { name: /Data Retention/ }));
+
+    expect(onSelect).toHaveBeenCalledWith(outline[2]);
+  });
+
+  it("should count risks against the section their location names", () => {
+    render(
+      <DocumentOutline
+        outline={outline}
+        risks={[
+          risk("Sharing your data"),
+          risk("Section 2. Sharing Your Data, third paragraph"),
+          risk("Unknown section"),
+        ]}
+        onSelect={vi.fn()}
+      />,
+    );
+
+    expect(screen.getByLabelText("2 risks")).toHaveTextContent("2");
+    expect(screen.getAllByRole("listitem")[0]).not.toHaveTextContent(/\d$/);
+  });
+
+  it("should render nothing for fewer than two sections", () => {
+    const { container } = render(
+      <DocumentOutline outline={outline.slice(0, 1)} onSelect={vi.fn()} />,
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,114 @@
+import { useMemo, type ReactElement } from "react";
+import type { DocumentOutlineEntry, PrivacyRisk } from "../../types";
+
+export interface DocumentOutlineProps {
+  /** Section headings of the policy text */
+  outline: DocumentOutlineEntry[];
+  /** Risks counted against the section named in their location */
+  risks?: PrivacyRisk[];
+  /** Opens the policy text at a section */
+  onSelect: (entry: DocumentOutlineEntry) => void;
+  className?: string;
+}
+
+/**
+ * Lowercases a heading and drops punctuation and numbering so that
+ * "3. Sharing Your Data" and "sharing your data" compare equal
+ */
+function normalizeHeading(heading: string): string {
+  return heading
+    .toLowerCase()
+    .replace(/^(section\s+)?[\divx]+(\.\d+)*\.?\s+/, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Counts the risks located in each section. A risk belongs to the section
+ * with the longest heading its location names.
+ */
+function countRisksBySection(
+  outline: DocumentOutlineEntry[],
+  risks: PrivacyRisk[] = [],
+): number[] {
+  const headings = outline.map((entry) => normalizeHeading(entry.title));
+  const counts = outline.map(() => 0);
+
+  for (const risk of risks) {
+    const location = normalizeHeading(risk.location || "");
+    if (!location) continue;
+
+    let best = -1;
+    headings.forEach((heading, index) => {
+      const matches =
+        heading === location ||
+        (heading.length >= 4 && location.includes(heading));
+      if (matches && (best < 0 || heading.length > headings[best].length)) {
+        best = index;
+      }
+    });
+    if (best >= 0) counts[best]++;
+  }
+
+  return counts;
+}
+
+/**
+ * DocumentOutline - Table of contents of the analyzed policy. Each section
+ * opens the policy text at its heading; sections the model located risks in
+ * show how many.
+ */
+export function DocumentOutline({
+  outline,
+  risks,
+  onSelect,
+  className = "",
+}: DocumentOutlineProps): ReactElement | null {
+  const riskCounts = useMemo(
+    () => countRisksBySection(outline, risks),
+    [outline, risks],
+  );
+
+  if (outline.length < 2) return null;
+
+  // Indent relative to the top heading level, at most three steps
+  const topLevel = Math.min(...outline.map((entry) => entry.level));
+
+  return (
+    <nav
+      className={`document-outline card ${className}`}
+      aria-label="Policy sections"
+    >
+      <h2 className="document-outline__title">Sections</h2>
+      <ol className="document-outline__list">
+        {outline.map((entry, index) => {
+          const depth = Math.min(entry.level - topLevel, 3);
+          const count = riskCounts[index];
+          return (
+            <li
+              key={entry.start}
+              className={`document-outline__item document-outline__item--depth-${depth}`}
+            >
+              <button
+                type="button"
+                className="document-outline__link"
+                onClick={() => onSelect(entry)}
+                title="Show in policy text"
+              >
+                <span className="document-outline__heading">{entry.title}</span>
+                {count > 0 && (
+                  <span
+                    className="document-outline__count"
+                    aria-label={`${count} ${count === 1 ? "risk" : "risks"}`}
+                  >
+                    {count}
+                  </span>
+                )}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+}
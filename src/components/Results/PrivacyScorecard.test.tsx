@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import { render, screen } from "@testing-library/react";
+import { PrivacyScorecard } from "./PrivacyScorecard";
+import type {
+  EnsembleReport,
+  PrivacyScorecard as ScorecardType,
+} from "../../types";
+
+const category = (score: number) => ({ score, weight: 0, summary: "" });
+
+const scorecard: ScorecardType = {
+  thirdPartySharing: category(5.5),
+  userRights: category(7),
+  dataCollection: category(6),
+  dataRetention: category(4),
+  purposeClarity: category(6),
+  securityMeasures: category(6),
+  policyTransparency: category(6),
+  topConcerns: [],
+  positiveAspects: [],
+};
+
+const ensemble: EnsembleReport = {
+  models: [
+    { provider: "openrouter", model: "model-a", failures: [] },
+    { provider: "anthropic", model: "model-b", failures: [] },
+  ],
+  risks: [],
+  categories: {
+    thirdPartySharing: { scores: [3, 8], spread: 5, disagreement: true },
+    dataRetention: { scores: [4, 4], spread: 0, disagreement: false },
+  },
+  disagreementThreshold: 2,
+};
+
+describe("PrivacyScorecard", () => {
+  it("should show each model's scores and flag disagreements", () => {
+    const { container } = render(
+      <PrivacyScorecard scorecard={scorecard} ensemble={ensemble} />,
+    );
+
+    expect(
+      screen.getByText(
+        /Scores are averaged across 2 models\. They differ by more than 2 points on 1 category/,
+      ),
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText(/Model scores 3, 8 \(spread 5\)/),
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText(/Model scores 4, 4 \(spread 0\)/),
+    ).toBeInTheDocument();
+    expect(screen.getAllByText("Models disagree")).toHaveLength(1);
+    expect(
+      container.querySelectorAll(".scorecard__category--disagreement"),
+    ).toHaveLength(1);
+  });
+
+  it("should show no model scores for single-model analyses", () => {
+    render(<PrivacyScorecard scorecard={scorecard} />);
+
+    expect(screen.queryByText(/averaged across/)).not.toBeInTheDocument();
+    expect(screen.queryByText(/Model scores/)).not.toBeInTheDocument();
+  });
+});
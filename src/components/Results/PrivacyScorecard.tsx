@@ -1,7 +1,15 @@
 import { useMemo } from "react";
+import { CitationList } from "./CitationList";
+import { ResponseParser } from "../../services/analysis/ResponseParser";
+import { EnsembleMerger } from "../../services/analysis/EnsembleMerger";
+import { SCORECARD_WEIGHTS } from "../../utils/constants";
 import type {
+  Citation,
+  EnsembleCategoryScores,
+  EnsembleReport,
   PrivacyScorecard as ScorecardType,
   ScorecardCategory,
+  ScorecardCategoryKey,
 } from "../../types";
 
 /**
@@ -14,12 +22,15 @@ interface PrivacyScorecardProps {
   className?: string;
   /** Callback to navigate to Take Action tab (only passed when actionable info exists) */
   onNavigateToAction?: () => void;
+  /** Opens the policy text at a cited passage */
+  onViewCitation?: (citation: Citation, title: string) => void;
+  /** Scores of each model behind the averages (ensemble analyses only) */
+  ensemble?: EnsembleReport;
 }
 
 interface CategoryConfig {
   label: string;
   icon: string;
-  weight: number;
   description: string;
 }
 
@@ -49,54 +60,47 @@ function getGradeColor(grade: string): string {
 
 /**
  * New 7-category system based on EFF, NIST, FTC, GDPR frameworks
- * Categories ordered by weight (highest to lowest)
+ * Categories ordered by default weight (highest to lowest)
  */
 const CATEGORY_CONFIG: Record<string, CategoryConfig> = {
   thirdPartySharing: {
     label: "Third-Party Sharing",
     icon: "🔗",
-    weight: 20,
     description: "Who receives your data and why",
   },
   userRights: {
     label: "User Rights & Control",
     icon: "⚙️",
-    weight: 18,
     description: "Your ability to access, delete, and control your data",
   },
   dataCollection: {
     label: "Data Collection",
     icon: "📊",
-    weight: 18,
     description: "What data is collected and whether it is necessary",
   },
   dataRetention: {
     label: "Data Retention",
     icon: "🗄️",
-    weight: 14,
     description: "How long your data is stored",
   },
   purposeClarity: {
     label: "Purpose Clarity",
     icon: "🎯",
-    weight: 12,
     description: "How clearly data uses are explained",
   },
   securityMeasures: {
     label: "Security Measures",
     icon: "🔒",
-    weight: 10,
     description: "How your data is protected",
   },
   policyTransparency: {
     label: "Policy Transparency",
     icon: "📖",
-    weight: 8,
     description: "How readable and accessible the policy is",
   },
 };
 
-// Ordered category keys (by weight, highest first)
+// Ordered category keys (by default weight, highest first)
 const CATEGORY_KEYS: (keyof Omit<
   ScorecardType,
   "overallScore" | "overallGrade" | "topConcerns" | "positiveAspects"
@@ -111,28 +115,45 @@ const CATEGORY_KEYS: (keyof Omit<
 ];
 
 interface CategoryRowProps {
-  category: string;
+  category: ScorecardCategoryKey;
   data: ScorecardCategory | undefined;
+  /** Weight of the category in the overall score, in percent */
+  weight: number;
   /** Callback for action link (only for userRights category) */
   onActionClick?: () => void;
+  onViewCitation?: (citation: Citation, title: string) => void;
+  /** Scores of the ensemble's models, when the score is their average */
+  ensembleScores?: EnsembleCategoryScores;
 }
 
 /**
  * Individual category score row component
  */
-function CategoryRow({ category, data, onActionClick }: CategoryRowProps) {
+function CategoryRow({
+  category,
+  data,
+  weight,
+  onActionClick,
+  onViewCitation,
+  ensembleScores,
+}: CategoryRowProps) {
   const config = CATEGORY_CONFIG[category];
   const score = data?.score || 5;
   const percentage = (score / 10) * 100;
+  const modelScores = ensembleScores?.scores.filter(
+    (modelScore): modelScore is number => modelScore !== null,
+  );
 
   return (
-    <div className="scorecard__category">
+    <div
+      className={`scorecard__category${ensembleScores?.disagreement ? " scorecard__category--disagreement" : ""}`}
+    >
       <div className="scorecard__category-header">
         <span className="scorecard__category-icon" aria-hidden="true">
           {config.icon}
         </span>
         <span className="scorecard__category-label">{config.label}</span>
-        <span className="scorecard__category-weight">{config.weight}%</span>
+        <span className="scorecard__category-weight">{weight}%</span>
         <span className={`scorecard__category-score ${getScoreColor(score)}`}>
           {score}/10
         </span>
@@ -148,9 +169,26 @@ function CategoryRow({ category, data, onActionClick }: CategoryRowProps) {
           aria-label={`${config.label}: ${score} out of 10`}
         />
       </div>
+      {modelScores && modelScores.length > 1 && (
+        <p className="scorecard__category-ensemble">
+          {ensembleScores!.disagreement && (
+            <span className="scorecard__disagreement">
+              <span aria-hidden="true">⚠️</span> Models disagree
+            </span>
+          )}
+          {`Model scores ${modelScores.join(", ")} (spread ${ensembleScores!.spread})`}
+        </p>
+      )}
       {data?.summary && (
         <p className="scorecard__category-summary">{data.summary}</p>
       )}
+      <CitationList
+        citations={data?.citations}
+        onViewCitation={
+          onViewCitation &&
+          ((citation) => onViewCitation(citation, config.label))
+        }
+      />
       {category === "userRights" && onActionClick && (
         <button
           type="button"
@@ -173,47 +211,33 @@ export function PrivacyScorecard({
   scorecard,
   className = "",
   onNavigateToAction,
+  onViewCitation,
+  ensemble,
 }: PrivacyScorecardProps) {
-  // Calculate overall score if not provided
+  // Recalculate from the category weights so the grade matches the exports;
+  // a scorecard without categories keeps its stored totals
   const overallScore = useMemo(() => {
-    if (scorecard?.overallScore) return scorecard.overallScore;
     if (!scorecard) return null;
-
-    let totalWeightedScore = 0;
-
-    for (const key of CATEGORY_KEYS) {
-      if (scorecard[key]) {
-        const score = scorecard[key]!.score || 5;
-        const weight = CATEGORY_CONFIG[key].weight;
-        // (score/10) * weight gives contribution to overall score
-        totalWeightedScore += (score / 10) * weight;
-      }
-    }
-
-    return Math.round(totalWeightedScore);
+    return (
+      ResponseParser.scoreScorecard(scorecard) ?? scorecard.overallScore ?? null
+    );
   }, [scorecard]);
 
-  // Calculate grade from score if not provided
-  const grade = useMemo(() => {
-    if (scorecard?.overallGrade) return scorecard.overallGrade;
-    if (!overallScore) return "C";
+  const weights = useMemo(
+    () => (scorecard ? ResponseParser.scorecardWeights(scorecard) : {}),
+    [scorecard],
+  );
 
-    // Traditional letter grade scale
-    if (overallScore >= 97) return "A+";
-    if (overallScore >= 93) return "A";
-    if (overallScore >= 90) return "A-";
-    if (overallScore >= 87) return "B+";
-    if (overallScore >= 83) return "B";
-    if (overallScore >= 80) return "B-";
-    if (overallScore >= 77) return "C+";
-    if (overallScore >= 73) return "C";
-    if (overallScore >= 70) return "C-";
-    if (overallScore >= 67) return "D+";
-    if (overallScore >= 63) return "D";
-    if (overallScore >= 60) return "D-";
-    return "F";
+  const grade = useMemo(() => {
+    if (overallScore === null) return scorecard?.overallGrade || "C";
+    return ResponseParser.scoreToGrade(overallScore);
   }, [scorecard?.overallGrade, overallScore]);
 
+  const modelCount = ensemble
+    ? EnsembleMerger.modelsAnswering(ensemble, "privacy scorecard")
+    : 0;
+  const disagreements = ensemble ? EnsembleMerger.disagreements(ensemble) : [];
+
   if (!scorecard) {
     return null;
   }
@@ -245,9 +269,18 @@ export function PrivacyScorecard({
 
       <div className="scorecard__methodology">
         <p className="scorecard__methodology-text">
-          Weights based on EFF, NIST, FTC, and GDPR privacy frameworks. Your own
-          priorities may differ—review category details below.
+          Default weights are based on EFF, NIST, FTC, and GDPR privacy
+          frameworks. Your own priorities may differ—review category details
+          below, or reweight the categories in an analysis profile.
         </p>
+        {modelCount > 1 && (
+          <p className="scorecard__methodology-text scorecard__ensemble">
+            Scores are averaged across {modelCount} models.{" "}
+            {disagreements.length > 0
+              ? `They differ by more than ${ensemble!.disagreementThreshold} points on ${disagreements.length} ${disagreements.length === 1 ? "category" : "categories"}; review ${disagreements.length === 1 ? "it" : "them"} closely.`
+              : `No category differs by more than ${ensemble!.disagreementThreshold} points.`}
+          </p>
+        )}
       </div>
 
       <div className="scorecard__categories">
@@ -256,9 +289,12 @@ export function PrivacyScorecard({
             key={category}
             category={category}
             data={scorecard[category]}
+            weight={weights[category] ?? SCORECARD_WEIGHTS[category]}
             onActionClick={
               category === "userRights" ? onNavigateToAction : undefined
             }
+            onViewCitation={onViewCitation}
+            ensembleScores={ensemble?.categories[category]}
           />
         ))}
       </div>
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { RequestLetterGenerator } from "./RequestLetterGenerator";
+import { RequestLetters } from "../../services/rights/RequestLetters";
+import type { PrivacyContact, PrivacyProcedure } from "../../types";
+
+describe("RequestLetterGenerator", () => {
+  const procedures: PrivacyProcedure[] = [
+    { right: "other", title: "Contact us", steps: ["Email us"] },
+    { right: "deletion", title: "Delete your account", steps: ["Open settings"] },
+  ];
+  const contacts: PrivacyContact[] = [
+    { type: "address", value: "1 Main St", purpose: "Mail" },
+    { type: "email", value: "privacy@acme.example", purpose: "Privacy requests" },
+  ];
+
+  const letterBody = () =>
+    (screen.getByRole("textbox", { name: "Letter" }) as HTMLTextAreaElement).value;
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("should default to the first right and email address of the policy", () => {
+    render(
+      <RequestLetterGenerator
+        procedures={procedures}
+        contacts={contacts}
+        organization="Acme"
+        defaultJurisdiction="gdpr"
+      />
+    );
+
+    expect(screen.getByRole("combobox", { name: "Request" })).toHaveValue("deletion");
+    expect(screen.getByRole("combobox", { name: "Law" })).toHaveValue("gdpr");
+    expect(screen.getByRole("combobox", { name: "Send to" })).toHaveValue(
+      "privacy@acme.example"
+    );
+    expect(screen.getByRole("textbox", { name: "Subject" })).toHaveValue(
+      "Data deletion request under GDPR"
+    );
+    expect(letterBody()).toContain("Dear Acme Privacy Team,");
+    expect(letterBody()).toContain("under Art. 17 of the General Data Protection");
+    expect(screen.getByText(/must respond within one month \(Art\. 12\(3\)\)/)).toBeInTheDocument();
+  });
+
+  it("should rewrite the letter when an option changes", () => {
+    render(<RequestLetterGenerator procedures={procedures} defaultJurisdiction="gdpr" />);
+
+    fireEvent.change(screen.getByRole("textbox", { name: "Letter" }), {
+      target: { value: "My own words" },
+    });
+    expect(letterBody()).toBe("My own words");
+
+    fireEvent.change(screen.getByRole("combobox", { name: "Law" }), {
+      target: { value: "pipeda" },
+    });
+    fireEvent.change(screen.getByRole("combobox", { name: "Request" }), {
+      target: { value: "opt-out" },
+    });
+    fireEvent.change(screen.getByRole("textbox", { name: "Your name" }), {
+      target: { value: "Alex Doe" },
+    });
+
+    expect(letterBody()).toContain("under Principle 4.3.8 of the Personal Information");
+    expect(letterBody()).toContain("Yours sincerely,\nAlex Doe");
+    expect(screen.getByText(/PIPEDA sets no response deadline for this request\./)).toBeInTheDocument();
+  });
+
+  it("should leave out legal references without a law", () => {
+    render(<RequestLetterGenerator />);
+
+    expect(screen.getByRole("combobox", { name: "Law" })).toHaveValue("");
+    expect(letterBody()).not.toContain("I make this request under");
+    expect(screen.getByRole("textbox", { name: "Subject" })).toHaveValue(
+      "Data access request"
+    );
+  });
+
+  it("should link to the edited letter in an email app", () => {
+    render(<RequestLetterGenerator contacts={contacts} />);
+
+    fireEvent.change(screen.getByRole("textbox", { name: "Subject" }), {
+      target: { value: "Edited subject" },
+    });
+
+    const href = screen.getByRole("link", { name: "Open in email app" }).getAttribute("href");
+    expect(href).toMatch(/^mailto:privacy@acme\.example\?subject=Edited%20subject&body=/);
+  });
+
+  it("should copy the letter to the clipboard", async () => {
+    const writeText = vi.fn().mockResolvedValue(undefined);
+    Object.assign(navigator, { clipboard: { writeText } });
+    render(<RequestLetterGenerator />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Copy" }));
+
+    expect(await screen.findByText("Copied to clipboard")).toBeInTheDocument();
+    expect(writeText).toHaveBeenCalledWith(
+      expect.stringMatching(/^Subject: Data access request\n\n/)
+    );
+  });
+
+  it("should download the letter as .txt or .eml", () => {
+    const download = vi.spyOn(RequestLetters, "download").mockImplementation(() => {});
+    render(<RequestLetterGenerator contacts={contacts} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Download .txt" }));
+    fireEvent.click(screen.getByRole("button", { name: "Download .eml" }));
+
+    expect(download).toHaveBeenNthCalledWith(
+      1,
+      expect.objectContaining({ to: "privacy@acme.example", subject: "Data access request" }),
+      "txt"
+    );
+    expect(download).toHaveBeenNthCalledWith(2, expect.anything(), "eml");
+  });
+});
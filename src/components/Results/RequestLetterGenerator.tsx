@@ -0,0 +1,250 @@
+import { useMemo, useState, type ReactElement } from "react";
+import { Button } from "../Common";
+import { ComplianceProfiles } from "../../services/analysis/ComplianceProfiles";
+import { RequestLetters } from "../../services/rights/RequestLetters";
+import type {
+  ComplianceProfileId,
+  PrivacyContact,
+  PrivacyProcedure,
+  PrivacyRight,
+} from "../../types";
+
+export interface RequestLetterGeneratorProps {
+  /** Procedures from the policy; the first one picks the default right */
+  procedures?: PrivacyProcedure[];
+  /** Contacts from the policy, offered as recipients */
+  contacts?: PrivacyContact[];
+  /** Organization the policy belongs to (empty if unknown) */
+  organization?: string;
+  /** Law selected by default, e.g. the first checklist of the analysis */
+  defaultJurisdiction?: ComplianceProfileId | null;
+}
+
+type CopyStatus = "idle" | "copied" | "failed";
+
+/**
+ * RequestLetterGenerator - Writes an editable access, deletion, opt-out or
+ * other privacy rights request from a template, citing the chosen law, and
+ * sends it by email or saves it as a .txt or .eml file
+ */
+export function RequestLetterGenerator({
+  procedures = [],
+  contacts = [],
+  organization = "",
+  defaultJurisdiction = null,
+}: RequestLetterGeneratorProps): ReactElement {
+  const recipients = useMemo(
+    () => RequestLetters.recipients(contacts),
+    [contacts],
+  );
+
+  const [right, setRight] = useState<PrivacyRight>(
+    () =>
+      procedures.find((procedure) => procedure.right !== "other")?.right ??
+      "access",
+  );
+  const [jurisdiction, setJurisdiction] = useState<ComplianceProfileId | null>(
+    defaultJurisdiction,
+  );
+  const [recipient, setRecipient] = useState(() => recipients[0] ?? "");
+  const [requesterName, setRequesterName] = useState("");
+  const [requesterEmail, setRequesterEmail] = useState("");
+  // Edits to the generated subject and body, dropped when an option changes
+  const [draft, setDraft] = useState<{ subject: string; body: string } | null>(
+    null,
+  );
+  const [copyStatus, setCopyStatus] = useState<CopyStatus>("idle");
+
+  const generated = useMemo(
+    () =>
+      RequestLetters.generate({
+        right,
+        jurisdiction,
+        organization,
+        recipient,
+        requesterName,
+        requesterEmail,
+        date: new Date(),
+      }),
+    [
+      right,
+      jurisdiction,
+      organization,
+      recipient,
+      requesterName,
+      requesterEmail,
+    ],
+  );
+  const letter = { ...generated, ...draft };
+
+  /**
+   * Wraps an option setter so the letter is rewritten from the template
+   */
+  const option =
+    <T,>(setter: (value: T) => void) =>
+    (value: T) => {
+      setter(value);
+      setDraft(null);
+      setCopyStatus("idle");
+    };
+
+  const editLetter = (changes: Partial<{ subject: string; body: string }>) => {
+    setDraft({ subject: letter.subject, body: letter.body, ...changes });
+    setCopyStatus("idle");
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(RequestLetters.toText(letter));
+      setCopyStatus("copied");
+    } catch (err) {
+      console.error("Failed to copy:", err);
+      setCopyStatus("failed");
+    }
+  };
+
+  const profile = jurisdiction ? ComplianceProfiles.get(jurisdiction) : null;
+  const deadline = RequestLetters.deadline(jurisdiction, right);
+
+  return (
+    <div className="request-letter">
+      <div className="request-letter__options">
+        <label className="request-letter__field">
+          <span className="request-letter__label">Request</span>
+          <select
+            className="request-letter__input"
+            value={right}
+            onChange={(e) => option(setRight)(e.target.value as PrivacyRight)}
+          >
+            {RequestLetters.rights().map((value) => (
+              <option key={value} value={value}>
+                {RequestLetters.rightLabel(value)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="request-letter__field">
+          <span className="request-letter__label">Law</span>
+          <select
+            className="request-letter__input"
+            value={jurisdiction ?? ""}
+            onChange={(e) =>
+              option(setJurisdiction)(
+                ComplianceProfiles.isProfileId(e.target.value)
+                  ? e.target.value
+                  : null,
+              )
+            }
+          >
+            <option value="">None (no legal references)</option>
+            {ComplianceProfiles.list().map((item) => (
+              <option key={item.id} value={item.id}>
+                {item.name} ({item.jurisdiction})
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="request-letter__field">
+          <span className="request-letter__label">Send to</span>
+          <input
+            type="email"
+            className="request-letter__input"
+            list="request-letter-recipients"
+            value={recipient}
+            onChange={(e) => option(setRecipient)(e.target.value)}
+            placeholder="privacy@example.com"
+          />
+          <datalist id="request-letter-recipients">
+            {recipients.map((address) => (
+              <option key={address} value={address} />
+            ))}
+          </datalist>
+        </label>
+        <label className="request-letter__field">
+          <span className="request-letter__label">Your name</span>
+          <input
+            type="text"
+            className="request-letter__input"
+            value={requesterName}
+            onChange={(e) => option(setRequesterName)(e.target.value)}
+            autoComplete="name"
+          />
+        </label>
+        <label className="request-letter__field">
+          <span className="request-letter__label">Your email address</span>
+          <input
+            type="email"
+            className="request-letter__input"
+            value={requesterEmail}
+            onChange={(e) => option(setRequesterEmail)(e.target.value)}
+            autoComplete="email"
+          />
+        </label>
+      </div>
+
+      {profile && (
+        <p className="request-letter__deadline">
+          {profile.requests.rights[right]
+            ? `Cites ${profile.name} ${profile.requests.rights[right]}. `
+            : `${profile.name} has no specific provision for this request, so the letter cites the law in general. `}
+          {deadline
+            ? `The organization must respond within ${deadline.deadline} (${deadline.deadlineReference}).`
+            : `${profile.name} sets no response deadline for this request.`}
+        </p>
+      )}
+
+      <label className="request-letter__field">
+        <span className="request-letter__label">Subject</span>
+        <input
+          type="text"
+          className="request-letter__input"
+          value={letter.subject}
+          onChange={(e) => editLetter({ subject: e.target.value })}
+        />
+      </label>
+      <label className="request-letter__field">
+        <span className="request-letter__label">Letter</span>
+        <textarea
+          className="request-letter__input request-letter__body"
+          value={letter.body}
+          onChange={(e) => editLetter({ body: e.target.value })}
+          rows={16}
+        />
+      </label>
+      <p className="request-letter__hint">
+        Fill in the bracketed parts before sending. Changing an option above
+        rewrites the letter.
+      </p>
+
+      <div className="request-letter__actions">
+        <a
+          className="btn btn--primary btn--small"
+          href={RequestLetters.mailtoUrl(letter)}
+        >
+          <span className="btn__content">Open in email app</span>
+        </a>
+        <Button variant="secondary" size="small" onClick={handleCopy}>
+          Copy
+        </Button>
+        <Button
+          variant="secondary"
+          size="small"
+          onClick={() => RequestLetters.download(letter, "txt")}
+        >
+          Download .txt
+        </Button>
+        <Button
+          variant="secondary"
+          size="small"
+          onClick={() => RequestLetters.download(letter, "eml")}
+        >
+          Download .eml
+        </Button>
+        <span className="request-letter__status" aria-live="polite">
+          {copyStatus === "copied" && "Copied to clipboard"}
+          {copyStatus === "failed" && "Could not copy the letter"}
+        </span>
+      </div>
+    </div>
+  );
+}
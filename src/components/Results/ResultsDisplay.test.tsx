@@ -1,6 +1,9 @@
 import { describe, it, expect, vi, beforeEach, type Mock } from "vitest";
-import { render, screen, fireEvent } from "@testing-library/react";
+import { render, screen, fireEvent, act, within } from "@testing-library/react";
 import { ResultsDisplay } from "./ResultsDisplay";
+import { RiskHighlights } from "./RiskHighlights";
+import { PrivacyScorecard } from "./PrivacyScorecard";
+import { makeAnalysisResult } from "../../test/fixtures/analysisResult";
 
 // Mock child components
 vi.mock("./SummaryView", () => ({
@@ -28,14 +31,15 @@ vi.mock("./PrivacyScorecard", () => ({
 }));
 
 vi.mock("../Common", () => ({
-  Button: ({ children, variant, size, onClick }: { children: React.ReactNode; variant?: string; size?: string; onClick?: () => void }) => (
-    <button onClick={onClick} data-variant={variant} data-size={size}>
+  Button: ({ children, variant, size, onClick, ariaLabel }: { children: React.ReactNode; variant?: string; size?: string; onClick?: () => void; ariaLabel?: string }) => (
+    <button onClick={onClick} data-variant={variant} data-size={size} aria-label={ariaLabel}>
       {children}
     </button>
   ),
 }));
 
-vi.mock("../../utils/formatting", () => ({
+vi.mock("../../utils/formatting", async (importOriginal) => ({
+  ...(await importOriginal<typeof import("../../utils/formatting")>()),
   formatDate: vi.fn((date: string) => "Jan 1, 2025"),
 }));
 
@@ -63,6 +67,7 @@ interface AnalysisResult {
     source: string;
     title: string;
     extractedAt: string;
+    rawText?: string;
   };
   summary: {
     brief: string;
@@ -288,6 +293,211 @@ describe("ResultsDisplay", () => {
       expect(screen.getByTestId("privacy-scorecard")).toBeInTheDocument();
     });
 
+    it("should flag pages that were read with OCR", () => {
+      render(
+        <ResultsDisplay
+          result={{
+            ...mockResult,
+            documentMetadata: { ...mockResult.documentMetadata, ocrPages: [2, 5] },
+          }}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+
+      const notice = screen.getByText(/Pages 2, 5 read with OCR/);
+      expect(notice).toHaveAttribute(
+        "title",
+        expect.stringContaining("recognition errors")
+      );
+    });
+
+    it("should not flag OCR when every page had a text layer", () => {
+      render(
+        <ResultsDisplay
+          result={mockResult}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+
+      expect(screen.queryByText(/read with OCR/)).not.toBeInTheDocument();
+    });
+
+    it("should note sections whose response needed a schema repair", () => {
+      render(
+        <ResultsDisplay
+          result={{
+            ...mockResult,
+            repairs: [
+              { section: "privacy risks", attempts: 1, resolved: true },
+              { section: "key terms", attempts: 1, resolved: false },
+            ],
+          }}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+
+      const notice = screen.getByText(/2 sections repaired/);
+      expect(notice).toHaveClass("results-meta__item--warning");
+      expect(notice).toHaveAttribute(
+        "title",
+        expect.stringContaining("did not fully fix key terms")
+      );
+    });
+
+    const cachedResult = makeAnalysisResult({
+      documentMetadata: {
+        source: "https://example.com/privacy",
+        type: "url",
+        rawText: "We collect your email address.",
+      },
+      summary: mockResult.summary,
+      cachedAt: new Date("2026-03-01T12:00:00").getTime(),
+      cachedSections: ["brief summary", "key terms"],
+    });
+
+    it("should show when sections came from the response cache", () => {
+      const onRefresh = vi.fn();
+      render(
+        <ResultsDisplay
+          result={cachedResult}
+          onNewAnalysis={mockOnNewAnalysis}
+          onRefresh={onRefresh}
+        />
+      );
+
+      const notice = screen.getByText(/Cached from/);
+      expect(notice).toHaveAttribute(
+        "title",
+        expect.stringContaining("brief summary, key terms")
+      );
+      fireEvent.click(
+        screen.getByRole("button", {
+          name: "Analyze again without cached responses",
+        })
+      );
+      expect(onRefresh).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not analyze again a bundle imported without its text", () => {
+      render(
+        <ResultsDisplay
+          result={{
+            ...cachedResult,
+            documentMetadata: { ...cachedResult.documentMetadata, rawText: "" },
+          }}
+          onNewAnalysis={mockOnNewAnalysis}
+          onRefresh={vi.fn()}
+        />
+      );
+
+      expect(screen.getByText(/Cached from/)).toBeInTheDocument();
+      expect(
+        screen.queryByRole("button", {
+          name: "Analyze again without cached responses",
+        })
+      ).not.toBeInTheDocument();
+    });
+
+    it("should not show the cache notice for a fresh analysis", () => {
+      render(
+        <ResultsDisplay
+          result={mockResult}
+          onNewAnalysis={mockOnNewAnalysis}
+          onRefresh={vi.fn()}
+        />
+      );
+
+      expect(screen.queryByText(/Cached from/)).not.toBeInTheDocument();
+    });
+
+    it("should show the tokens, cost and latency with a per-request breakdown", () => {
+      render(
+        <ResultsDisplay
+          result={{
+            ...mockResult,
+            usage: {
+              calls: [
+                {
+                  section: "brief summary",
+                  promptTokens: 1200,
+                  completionTokens: 150,
+                  cost: 0.0021,
+                  latencyMs: 2300,
+                  reported: true,
+                },
+                {
+                  section: "key terms",
+                  promptTokens: 1300,
+                  completionTokens: 400,
+                  cost: 0.0034,
+                  latencyMs: 5100,
+                  reported: true,
+                },
+              ],
+              promptTokens: 2500,
+              completionTokens: 550,
+              cost: 0.0055,
+              latencyMs: 5100,
+            },
+          }}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+
+      const usage = screen.getByText(/3,050 tokens/);
+      expect(usage).toHaveTextContent("$0.0055");
+      expect(usage).toHaveTextContent("5.1 s");
+      expect(usage).toHaveAttribute(
+        "title",
+        expect.stringContaining(
+          "key terms: 1,300 input + 400 output tokens, $0.0034, 5.1 s"
+        )
+      );
+    });
+
+    it("should mark token counts that were estimated", () => {
+      render(
+        <ResultsDisplay
+          result={{
+            ...mockResult,
+            usage: {
+              calls: [
+                {
+                  section: "brief summary",
+                  promptTokens: 1000,
+                  completionTokens: 200,
+                  latencyMs: 900,
+                  reported: false,
+                },
+              ],
+              promptTokens: 1000,
+              completionTokens: 200,
+              latencyMs: 900,
+            },
+          }}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+
+      const usage = screen.getByText(/~1,200 tokens/);
+      expect(usage).not.toHaveTextContent("$");
+      expect(usage).toHaveAttribute(
+        "title",
+        expect.stringContaining("(estimated)")
+      );
+    });
+
+    it("should not note repairs when every response matched its schema", () => {
+      render(
+        <ResultsDisplay
+          result={{ ...mockResult, repairs: [] }}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+
+      expect(screen.queryByText(/repaired/)).not.toBeInTheDocument();
+    });
+
     it("should NOT render PrivacyScorecard when scorecard absent", () => {
       render(
         <ResultsDisplay
@@ -427,6 +637,139 @@ describe("ResultsDisplay", () => {
       expect(screen.getByTestId("key-terms-glossary")).toBeInTheDocument();
     });
 
+    it("should only offer the compliance tab for results with checklists", () => {
+      const { rerender } = render(
+        <ResultsDisplay
+          result={mockResult}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+      expect(
+        screen.queryByRole("tab", { name: /Compliance/i })
+      ).not.toBeInTheDocument();
+
+      rerender(
+        <ResultsDisplay
+          result={{
+            ...mockResult,
+            compliance: [
+              {
+                profile: "gdpr",
+                checks: [
+                  {
+                    requirementId: "dpo",
+                    label: "Data protection officer contact",
+                    reference: "Art. 13(1)(b)",
+                    status: "missing",
+                    evidence: "No DPO is named.",
+                  },
+                ],
+              },
+            ],
+          }}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+      fireEvent.click(screen.getByRole("tab", { name: /Compliance/i }));
+
+      expect(
+        screen.getByRole("heading", { name: /GDPR Checklist/ })
+      ).toBeInTheDocument();
+      expect(screen.queryByTestId("summary-view")).not.toBeInTheDocument();
+    });
+
+    it("should only offer the data flows tab for results with data flows", () => {
+      const { rerender } = render(
+        <ResultsDisplay
+          result={mockResult}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+      expect(
+        screen.queryByRole("tab", { name: /Data Flows/i })
+      ).not.toBeInTheDocument();
+
+      rerender(
+        <ResultsDisplay
+          result={{
+            ...mockResult,
+            dataFlows: [
+              {
+                id: "flow-email",
+                category: "Email address",
+                sources: ["You"],
+                purposes: ["Marketing"],
+                recipients: [{ name: "Ad networks", type: "advertiser" }],
+                legalBases: [],
+                retention: "",
+              },
+            ],
+          }}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+      fireEvent.click(screen.getByRole("tab", { name: /Data Flows/i }));
+
+      expect(
+        screen.getByRole("group", { name: "Data flow diagram" })
+      ).toBeInTheDocument();
+      expect(screen.queryByTestId("summary-view")).not.toBeInTheDocument();
+    });
+
+    it("should show the answers to custom questions and hide skipped sections", () => {
+      render(
+        <ResultsDisplay
+          result={{
+            ...mockResult,
+            profile: {
+              id: "kids",
+              name: "Kids",
+              sections: ["brief summary", "privacy scorecard"],
+              aspects: [],
+              weights: {
+                thirdPartySharing: 20,
+                userRights: 18,
+                dataCollection: 18,
+                dataRetention: 14,
+                purposeClarity: 12,
+                securityMeasures: 10,
+                policyTransparency: 8,
+              },
+            },
+            aspects: [
+              {
+                aspectId: "children",
+                name: "Children",
+                prompt: "Is data of children collected?",
+                answer: "**No**, the service is for adults.",
+              },
+            ],
+          }}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+
+      expect(
+        screen.queryByRole("tab", { name: /Privacy Risks/i })
+      ).not.toBeInTheDocument();
+      expect(
+        screen.queryByRole("tab", { name: /Key Terms/i })
+      ).not.toBeInTheDocument();
+      expect(screen.getByText(/Kids profile/)).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole("tab", { name: /Questions/i }));
+
+      expect(
+        screen.getByRole("heading", { name: "Children" })
+      ).toBeInTheDocument();
+      expect(screen.getByText("No").tagName).toBe("STRONG");
+
+      fireEvent.click(screen.getByRole("tab", { name: /Full Report/i }));
+
+      expect(screen.queryByTestId("risk-highlights")).not.toBeInTheDocument();
+      expect(screen.getByText("Is data of children collected?")).toBeInTheDocument();
+    });
+
     it("should update aria-selected when switching tabs", () => {
       render(
         <ResultsDisplay
@@ -445,6 +788,89 @@ describe("ResultsDisplay", () => {
     });
   });
 
+  describe("Source Text Viewer", () => {
+    const citation = {
+      quote: "We sell data",
+      verified: true,
+      start: 8,
+      end: 20,
+    };
+
+    const openRisks = (result: AnalysisResult) => {
+      render(
+        <ResultsDisplay result={result} onNewAnalysis={mockOnNewAnalysis} />,
+      );
+      fireEvent.click(screen.getByRole("tab", { name: /Privacy Risks/i }));
+      return (RiskHighlights as Mock).mock.lastCall![0];
+    };
+
+    it("should open the policy text at a cited passage", () => {
+      const props = openRisks({
+        ...mockResult,
+        documentMetadata: {
+          ...mockResult.documentMetadata,
+          rawText: "Policy: We sell data to partners.",
+        },
+      });
+
+      act(() => props.onViewCitation(citation, "Risk 1"));
+
+      expect(screen.getByRole("dialog")).toHaveTextContent("Source: Risk 1");
+      expect(screen.getByText("We sell data").tagName).toBe("MARK");
+
+      fireEvent.click(screen.getByLabelText("Close policy text"));
+      expect(screen.queryByRole("dialog")).not.toBeInTheDocument();
+    });
+
+    it("should not link citations when the policy text was not kept", () => {
+      const props = openRisks(mockResult);
+
+      expect(props.onViewCitation).toBeUndefined();
+    });
+  });
+
+  describe("Section Outline", () => {
+    const rawText =
+      "# Privacy Policy\n\nIntro.\n\n## Sharing\n\nWe sell data to partners.";
+
+    it("should open the policy text at a section from the outline", () => {
+      render(
+        <ResultsDisplay
+          result={{
+            ...mockResult,
+            documentMetadata: { ...mockResult.documentMetadata, rawText },
+          }}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+
+      const outline = screen.getByRole("navigation", { name: "Policy sections" });
+      fireEvent.click(within(outline).getByRole("button", { name: /Sharing/ }));
+
+      expect(screen.getByRole("dialog")).toHaveTextContent("Source: Sharing");
+      expect(screen.getByText("## Sharing").tagName).toBe("MARK");
+    });
+
+    it("should not show an outline for text without headings", () => {
+      render(
+        <ResultsDisplay
+          result={{
+            ...mockResult,
+            documentMetadata: {
+              ...mockResult.documentMetadata,
+              rawText: "We sell data to partners.",
+            },
+          }}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+
+      expect(
+        screen.queryByRole("navigation", { name: "Policy sections" })
+      ).not.toBeInTheDocument();
+    });
+  });
+
   describe("User Interactions", () => {
     it("should call onNewAnalysis when New Analysis button clicked", () => {
       render(
@@ -475,6 +901,53 @@ describe("ResultsDisplay", () => {
       expect(mockOnExport).toHaveBeenCalledWith(mockResult);
     });
 
+    it("should call onExport with the chosen format from the format menu", () => {
+      render(
+        <ResultsDisplay
+          result={mockResult}
+          onNewAnalysis={mockOnNewAnalysis}
+          onExport={mockOnExport}
+        />
+      );
+
+      expect(screen.queryByRole("menu")).not.toBeInTheDocument();
+      fireEvent.click(screen.getByRole("button", { name: "Other formats" }));
+      fireEvent.click(
+        screen.getByRole("menuitem", { name: "JSON bundle with policy text" })
+      );
+
+      expect(mockOnExport).toHaveBeenCalledWith(mockResult, "json-with-text");
+      expect(screen.queryByRole("menu")).not.toBeInTheDocument();
+    });
+
+    it("should call onCompare with result when Compare button clicked", () => {
+      const mockOnCompare = vi.fn();
+      render(
+        <ResultsDisplay
+          result={mockResult}
+          onNewAnalysis={mockOnNewAnalysis}
+          onCompare={mockOnCompare}
+        />
+      );
+
+      fireEvent.click(screen.getByRole("button", { name: /Compare/i }));
+
+      expect(mockOnCompare).toHaveBeenCalledWith(mockResult);
+    });
+
+    it("should NOT render Compare button when onCompare not provided", () => {
+      render(
+        <ResultsDisplay
+          result={mockResult}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+
+      expect(
+        screen.queryByRole("button", { name: /Compare/i })
+      ).not.toBeInTheDocument();
+    });
+
     it("should copy results to clipboard when Copy button clicked", async () => {
       render(
         <ResultsDisplay
@@ -891,4 +1364,202 @@ describe("ResultsDisplay", () => {
       ).toBeInTheDocument();
     });
   });
+
+  describe("Partial failures", () => {
+    const failedResult = makeAnalysisResult({
+      documentMetadata: {
+        source: "https://example.com/privacy",
+        type: "url",
+        rawText: "We collect your email address.",
+      },
+      summary: mockResult.summary,
+      partialFailures: [
+        { section: "brief summary", error: "HTTP 503: Service Unavailable" },
+        { section: "privacy risks", error: "Request timed out" },
+      ],
+      hasPartialFailures: true,
+    });
+
+    it("should list failed sections with their errors", () => {
+      render(
+        <ResultsDisplay
+          result={failedResult}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+
+      expect(
+        screen.getByText("2 sections could not be generated")
+      ).toBeInTheDocument();
+      expect(screen.getByText("Brief summary")).toBeInTheDocument();
+      expect(
+        screen.getByText("HTTP 503: Service Unavailable")
+      ).toBeInTheDocument();
+      expect(
+        screen.queryByRole("button", { name: /Retry/ })
+      ).not.toBeInTheDocument();
+    });
+
+    it("should retry a single section or all of them", () => {
+      const onRetrySections = vi.fn();
+      render(
+        <ResultsDisplay
+          result={failedResult}
+          onNewAnalysis={mockOnNewAnalysis}
+          onRetrySections={onRetrySections}
+        />
+      );
+
+      fireEvent.click(
+        screen.getByRole("button", { name: "Retry privacy risks" })
+      );
+      fireEvent.click(screen.getByRole("button", { name: "Retry all" }));
+
+      expect(onRetrySections.mock.calls).toEqual([
+        [["privacy risks"]],
+        [["brief summary", "privacy risks"]],
+      ]);
+    });
+
+    it("should not offer retries for chunked analyses", () => {
+      render(
+        <ResultsDisplay
+          result={{ ...failedResult, chunkCount: 4 }}
+          onNewAnalysis={mockOnNewAnalysis}
+          onRetrySections={vi.fn()}
+        />
+      );
+
+      expect(
+        screen.queryByRole("button", { name: /Retry/ })
+      ).not.toBeInTheDocument();
+      expect(
+        screen.getByText(/analyzed in sections, so failed parts/)
+      ).toBeInTheDocument();
+    });
+
+    it("should not offer retries for bundles imported without their text", () => {
+      render(
+        <ResultsDisplay
+          result={{
+            ...failedResult,
+            documentMetadata: { ...failedResult.documentMetadata, rawText: "" },
+          }}
+          onNewAnalysis={mockOnNewAnalysis}
+          onRetrySections={vi.fn()}
+        />
+      );
+
+      expect(
+        screen.queryByRole("button", { name: /Retry/ })
+      ).not.toBeInTheDocument();
+      expect(
+        screen.getByText(/imported without the policy text/)
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe("Ensemble", () => {
+    const category = { score: 5, weight: 0, summary: "" };
+    const ensembleResult = makeAnalysisResult({
+      summary: mockResult.summary,
+      risks: [
+        {
+          id: "risk-0",
+          title: "Risk 1",
+          severity: "high",
+          description: "Desc 1",
+          location: "",
+        },
+        {
+          id: "risk-1",
+          title: "Risk 2",
+          severity: "medium",
+          description: "Desc 2",
+          location: "",
+        },
+      ],
+      scorecard: {
+        thirdPartySharing: category,
+        userRights: category,
+        dataCollection: category,
+        dataRetention: category,
+        purposeClarity: category,
+        securityMeasures: category,
+        policyTransparency: category,
+        topConcerns: [],
+        positiveAspects: [],
+      },
+      ensemble: {
+        models: [
+          { provider: "openrouter", model: "model-a", failures: [] },
+          {
+            provider: "anthropic",
+            model: "model-b",
+            failures: [{ section: "privacy scorecard", error: "Timed out" }],
+          },
+        ],
+        risks: [
+          { riskId: "risk-0", models: [0, 1] },
+          { riskId: "risk-1", models: [1] },
+        ],
+        categories: {
+          dataRetention: { scores: [2, 8], spread: 6, disagreement: true },
+        },
+        disagreementThreshold: 2,
+      },
+    });
+
+    it("should point reviewers to what the models disagree on", () => {
+      render(
+        <ResultsDisplay
+          result={ensembleResult}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+
+      expect(
+        screen.getByText(/Cross-checked by model-a, model-b/)
+      ).toBeInTheDocument();
+      expect(
+        screen.getByText("1 risk was found by only one model.")
+      ).toBeInTheDocument();
+      expect(
+        screen.getByText(/The models disagree on Data Retention/)
+      ).toBeInTheDocument();
+      expect(
+        screen.getByText(/model-b could not answer privacy scorecard/)
+      ).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole("button", { name: "Review risks" }));
+      expect((RiskHighlights as Mock).mock.lastCall![0].ensemble).toBe(
+        ensembleResult.ensemble
+      );
+      expect((PrivacyScorecard as Mock).mock.lastCall![0].ensemble).toBe(
+        ensembleResult.ensemble
+      );
+    });
+
+    it("should say so when the models agree", () => {
+      render(
+        <ResultsDisplay
+          result={{
+            ...ensembleResult,
+            ensemble: {
+              ...ensembleResult.ensemble!,
+              risks: [{ riskId: "risk-0", models: [0, 1] }],
+              categories: {},
+            },
+          }}
+          onNewAnalysis={mockOnNewAnalysis}
+        />
+      );
+
+      expect(
+        screen.getByText(
+          "The models agree on every risk and scorecard category."
+        )
+      ).toBeInTheDocument();
+    });
+  });
 });
@@ -4,18 +4,57 @@ import { RiskHighlights } from "./RiskHighlights";
 import { KeyTermsGlossary } from "./KeyTermsGlossary";
 import { PrivacyScorecard } from "./PrivacyScorecard";
 import { TakeAction } from "./TakeAction";
+import { ComplianceChecklist } from "./ComplianceChecklist";
+import { SourceTextViewer } from "./SourceTextViewer";
+import { DocumentOutline } from "./DocumentOutline";
+import { AspectAnswers } from "./AspectAnswers";
+import { DataFlowMap } from "./DataFlowMap";
 import { Button } from "../Common";
-import { formatDate } from "../../utils/formatting";
-import type { AnalysisResult, PrivacyRisk } from "../../types";
+import { ExportService } from "../../services/export";
+import { DocumentStructure } from "../../services/document/DocumentStructure";
+import { AnalysisProfiles } from "../../services/analysis/AnalysisProfiles";
+import { ComplianceProfiles } from "../../services/analysis/ComplianceProfiles";
+import { EnsembleMerger } from "../../services/analysis/EnsembleMerger";
+import { SCORECARD_CATEGORY_LABELS } from "../../utils/constants";
+import {
+  formatCost,
+  formatDate,
+  formatLatency,
+  formatNumber,
+} from "../../utils/formatting";
+import type {
+  AnalysisResult,
+  Citation,
+  DocumentOutlineEntry,
+  ExportFormat,
+  PrivacyRisk,
+} from "../../types";
 
 interface ResultsDisplayProps {
   result: AnalysisResult;
   onNewAnalysis: () => void;
-  onExport?: (result: AnalysisResult) => void;
+  /** Exports the result (PDF when no format is given) */
+  onExport?: (result: AnalysisResult, format?: ExportFormat) => void;
+  /** Opens compare mode against an earlier analysis of the same service */
+  onCompare?: (result: AnalysisResult) => void;
+  /** Regenerates failed sections (from `partialFailures`) of the result */
+  onRetrySections?: (sections: string[]) => void | Promise<void>;
+  /** Sections currently being regenerated */
+  retryingSections?: string[];
+  /** Analyzes the document again without reusing cached responses */
+  onRefresh?: () => void | Promise<void>;
   className?: string;
 }
 
-type ViewMode = "summary" | "risks" | "terms" | "action" | "all";
+type ViewMode =
+  | "summary"
+  | "risks"
+  | "terms"
+  | "action"
+  | "compliance"
+  | "flows"
+  | "questions"
+  | "all";
 
 interface RiskCounts {
   critical: number;
@@ -73,9 +112,18 @@ export function ResultsDisplay({
   result,
   onNewAnalysis,
   onExport,
+  onCompare,
+  onRetrySections,
+  retryingSections = [],
+  onRefresh,
   className = "",
 }: ResultsDisplayProps) {
   const [viewMode, setViewMode] = useState<ViewMode>("summary");
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [viewedCitation, setViewedCitation] = useState<{
+    citation: Citation;
+    title: string;
+  } | null>(null);
   const tabsRef = useRef<HTMLDivElement>(null);
 
   // Navigate to Take Action tab and scroll into view
@@ -87,6 +135,11 @@ export function ResultsDisplay({
     });
   }, []);
 
+  const viewCitation = useCallback((citation: Citation, title: string) => {
+    setViewedCitation({ citation, title });
+  }, []);
+  const closeCitation = useCallback(() => setViewedCitation(null), []);
+
   // Guard against missing or incomplete result data
   if (!result || !result.documentMetadata) {
     return (
@@ -113,6 +166,34 @@ export function ResultsDisplay({
     return `~${Math.round(text.split(/\s+/).length / 100) * 100 || 500} words`;
   }, [result.summary]);
 
+  /**
+   * Get the company name from the source URL's domain (empty for files)
+   */
+  const organization = useMemo(() => {
+    const source = result.documentMetadata.source || "";
+    if (!source.startsWith("http")) return "";
+    try {
+      const url = new URL(source);
+      const host = url.hostname.replace("www.", "");
+      const company = host.split(".")[0];
+      return company.charAt(0).toUpperCase() + company.slice(1);
+    } catch {
+      return "";
+    }
+  }, [result.documentMetadata.source]);
+
+  /**
+   * Law request letters cite by default: the first checklist of the
+   * analysis, or else the first one selected for new analyses
+   */
+  const requestJurisdiction = useMemo(
+    () =>
+      result.compliance?.[0]?.profile ??
+      ComplianceProfiles.loadSelection()[0] ??
+      null,
+    [result.compliance],
+  );
+
   /**
    * Get document title from source
    */
@@ -120,17 +201,12 @@ export function ResultsDisplay({
     const source = result.documentMetadata.source || "";
     // Extract domain or filename
     if (source.startsWith("http")) {
-      try {
-        const url = new URL(source);
-        const host = url.hostname.replace("www.", "");
-        const company = host.split(".")[0];
-        return `${company.charAt(0).toUpperCase() + company.slice(1)} Privacy Policy Analysis`;
-      } catch {
-        return "Privacy Policy Analysis";
-      }
+      return organization
+        ? `${organization} Privacy Policy Analysis`
+        : "Privacy Policy Analysis";
     }
     return source.replace(".pdf", "") + " Analysis";
-  }, [result.documentMetadata.source]);
+  }, [result.documentMetadata.source, organization]);
 
   /**
    * Format source for display
@@ -148,6 +224,20 @@ export function ResultsDisplay({
     return source;
   }, [result.documentMetadata.source]);
 
+  /**
+   * What reviewers of an ensemble analysis should look at closely
+   */
+  const ensembleReview = useMemo(() => {
+    if (!result.ensemble) return null;
+    return {
+      models: result.ensemble.models,
+      singleModelRisks: EnsembleMerger.singleModelRisks(result.ensemble).size,
+      disagreements: EnsembleMerger.disagreements(result.ensemble).map(
+        (key) => SCORECARD_CATEGORY_LABELS[key],
+      ),
+    };
+  }, [result.ensemble]);
+
   /**
    * Calculate risk level for tab highlighting
    */
@@ -155,6 +245,66 @@ export function ResultsDisplay({
     return calculateRiskLevel(result.risks);
   }, [result.risks]);
 
+  // Cited passages can only be shown when the policy text was kept
+  const sourceText = result.documentMetadata.rawText;
+
+  // Section headings kept by extraction; too few are not worth a sidebar
+  const outline = useMemo(() => {
+    const entries = DocumentStructure.getOutline(sourceText || "");
+    return entries.length >= 2 ? entries : [];
+  }, [sourceText]);
+
+  const viewSection = (entry: DocumentOutlineEntry) =>
+    viewCitation(
+      {
+        quote: entry.title,
+        verified: true,
+        start: entry.start,
+        end: entry.end,
+      },
+      entry.title,
+    );
+
+  // Scanned PDF pages whose text may contain recognition errors
+  const ocrPages = result.documentMetadata.ocrPages || [];
+
+  // Sections whose response had to be sent back to match its schema
+  const repairs = result.repairs || [];
+  const unresolvedRepairs = repairs.filter((repair) => !repair.resolved);
+
+  // Sections reused from an earlier analysis of the same text
+  const cachedSections = result.cachedSections || [];
+
+  // Tokens, cost and latency of the requests, with a breakdown per request
+  const usage = result.usage;
+  const hasEstimatedUsage = !!usage?.calls.some((call) => !call.reported);
+  const usageBreakdown = usage?.calls
+    .map(
+      (call) =>
+        `${call.section}: ${formatNumber(call.promptTokens)} input + ${formatNumber(call.completionTokens)} output tokens` +
+        (call.cost !== undefined ? `, ${formatCost(call.cost)}` : "") +
+        `, ${formatLatency(call.latencyMs)}${call.reported ? "" : " (estimated)"}`,
+    )
+    .join("\n");
+
+  // Sections the analysis profile left out are hidden rather than shown empty
+  const profile = result.profile;
+  const skippedSections = profile
+    ? AnalysisProfiles.skippedSections(profile)
+    : [];
+  const showRisks = !skippedSections.includes("privacy risks");
+  const showKeyTerms = !skippedSections.includes("key terms");
+  const aspects = result.aspects || [];
+  const dataFlows = result.dataFlows || [];
+
+  // Sections that failed; map-reduce results cannot regenerate single
+  // sections, and results imported without their text have nothing to send
+  const partialFailures = result.partialFailures || [];
+  const hasSourceText = !!sourceText?.trim();
+  const canRetrySections =
+    !!onRetrySections && result.chunkCount === undefined && hasSourceText;
+  const isRetrying = retryingSections.length > 0;
+
   /**
    * Copy results to clipboard
    */
@@ -196,6 +346,73 @@ ${result.keyTerms?.map((t) => `- ${t.term}: ${t.definition}`).join("\n") || "No
             <span className="results-meta__item">
               <span aria-hidden="true">📊</span> {wordCount}
             </span>
+            {result.chunkCount && result.chunkCount > 1 && (
+              <span className="results-meta__item">
+                <span aria-hidden="true">🧩</span> Analyzed in{" "}
+                {result.chunkCount} sections
+              </span>
+            )}
+            {ocrPages.length > 0 && (
+              <span
+                className="results-meta__item results-meta__item--warning"
+                title="These pages are scanned images without a text layer. Their text was recognized with OCR, so quotes from them may contain recognition errors."
+              >
+                <span aria-hidden="true">🔍</span>{" "}
+                {ocrPages.length === 1 ? "Page" : "Pages"}{" "}
+                {ocrPages.join(", ")} read with OCR
+              </span>
+            )}
+            {repairs.length > 0 && (
+              <span
+                className={`results-meta__item${unresolvedRepairs.length > 0 ? " results-meta__item--warning" : ""}`}
+                title={`The model's response for ${repairs.map((repair) => repair.section).join(", ")} did not match the expected format and was sent back for repair.${unresolvedRepairs.length > 0 ? ` The repair did not fully fix ${unresolvedRepairs.map((repair) => repair.section).join(", ")}, so some findings may be missing.` : ""}`}
+              >
+                <span aria-hidden="true">🔧</span> {repairs.length}{" "}
+                {repairs.length === 1 ? "section" : "sections"} repaired
+              </span>
+            )}
+            {result.cachedAt !== undefined && cachedSections.length > 0 && (
+              <span
+                className="results-meta__item"
+                title={`Reused from an earlier analysis of the same text with the same prompts and model: ${cachedSections.join(", ")}`}
+              >
+                <span aria-hidden="true">⚡</span> Cached from{" "}
+                {formatDate(new Date(result.cachedAt))}
+                {onRefresh && hasSourceText && (
+                  <Button
+                    variant="ghost"
+                    size="small"
+                    onClick={() => onRefresh()}
+                    ariaLabel="Analyze again without cached responses"
+                  >
+                    Refresh
+                  </Button>
+                )}
+              </span>
+            )}
+            {profile && !AnalysisProfiles.isStandard(profile.id) && (
+              <span
+                className="results-meta__item"
+                title={
+                  skippedSections.length > 0
+                    ? `Left out: ${skippedSections.join(", ")}`
+                    : undefined
+                }
+              >
+                <span aria-hidden="true">🎛️</span> {profile.name} profile
+              </span>
+            )}
+            {usage && (
+              <span className="results-meta__item" title={usageBreakdown}>
+                <span aria-hidden="true">🪙</span>{" "}
+                {hasEstimatedUsage ? "~" : ""}
+                {formatNumber(usage.promptTokens + usage.completionTokens)}{" "}
+                tokens
+                {usage.cost !== undefined &&
+                  ` · ${formatCost(usage.cost)}`} ·{" "}
+                {formatLatency(usage.latencyMs)}
+              </span>
+            )}
           </div>
         </div>
 
@@ -204,12 +421,53 @@ ${result.keyTerms?.map((t) => `- ${t.term}: ${t.definition}`).join("\n") || "No
             <span aria-hidden="true">📋</span> Copy
           </Button>
           {onExport && (
+            <div className="results-actions__export">
+              <Button
+                variant="ghost"
+                size="small"
+                onClick={() => onExport(result)}
+              >
+                <span aria-hidden="true">💾</span> Export
+              </Button>
+              <Button
+                variant="ghost"
+                size="small"
+                onClick={() => setShowExportMenu((open) => !open)}
+                ariaLabel="Other formats"
+                aria-expanded={showExportMenu}
+              >
+                <span aria-hidden="true">▾</span>
+              </Button>
+              {showExportMenu && (
+                <ul className="results-actions__menu" role="menu">
+                  {ExportService.list()
+                    .filter(({ format }) => format !== "pdf")
+                    .map(({ format, label }) => (
+                      <li key={format} role="none">
+                        <button
+                          type="button"
+                          role="menuitem"
+                          className="results-actions__menu-item"
+                          onClick={() => {
+                            setShowExportMenu(false);
+                            onExport(result, format);
+                          }}
+                        >
+                          {label}
+                        </button>
+                      </li>
+                    ))}
+                </ul>
+              )}
+            </div>
+          )}
+          {onCompare && (
             <Button
               variant="ghost"
               size="small"
-              onClick={() => onExport(result)}
+              onClick={() => onCompare(result)}
             >
-              <span aria-hidden="true">💾</span> Export
+              <span aria-hidden="true">🔀</span> Compare
             </Button>
           )}
           <Button variant="primary" size="small" onClick={onNewAnalysis}>
@@ -218,10 +476,132 @@ ${result.keyTerms?.map((t) => `- ${t.term}: ${t.definition}`).join("\n") || "No
         </div>
       </div>
 
+      {/* Sections that failed during analysis */}
+      {partialFailures.length > 0 && (
+        <div className="results-failures" role="status">
+          <div className="results-failures__header">
+            <p className="results-failures__title">
+              <span aria-hidden="true">⚠️</span>{" "}
+              {partialFailures.length === 1
+                ? "1 section could not be generated"
+                : `${partialFailures.length} sections could not be generated`}
+            </p>
+            {canRetrySections && partialFailures.length > 1 && (
+              <Button
+                variant="secondary"
+                size="small"
+                onClick={() =>
+                  onRetrySections!(
+                    partialFailures.map((failure) => failure.section),
+                  )
+                }
+                disabled={isRetrying}
+              >
+                Retry all
+              </Button>
+            )}
+          </div>
+          <ul className="results-failures__list">
+            {partialFailures.map((failure) => (
+              <li key={failure.section} className="results-failures__item">
+                <span className="results-failures__section">
+                  {failure.section.charAt(0).toUpperCase() +
+                    failure.section.slice(1)}
+                </span>
+                <span className="results-failures__error">{failure.error}</span>
+                {canRetrySections && (
+                  <Button
+                    variant="ghost"
+                    size="small"
+                    onClick={() => onRetrySections!([failure.section])}
+                    disabled={isRetrying}
+                    loading={retryingSections.includes(failure.section)}
+                    ariaLabel={`Retry ${failure.section}`}
+                  >
+                    {retryingSections.includes(failure.section)
+                      ? "Retrying..."
+                      : "Retry"}
+                  </Button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {!canRetrySections && result.chunkCount !== undefined && (
+            <p className="results-failures__note">
+              This document was analyzed in sections, so failed parts can only
+              be regenerated by running the analysis again.
+            </p>
+          )}
+          {!canRetrySections &&
+            result.chunkCount === undefined &&
+            !hasSourceText && (
+              <p className="results-failures__note">
+                This analysis was imported without the policy text, so failed
+                parts cannot be regenerated.
+              </p>
+            )}
+        </div>
+      )}
+
+      {/* Where the models of an ensemble analysis disagreed */}
+      {ensembleReview && (
+        <div className="results-ensemble" role="note">
+          <p className="results-ensemble__title">
+            <span aria-hidden="true">🧮</span> Cross-checked by{" "}
+            {ensembleReview.models.map((model) => model.model).join(", ")}
+          </p>
+          <ul className="results-ensemble__list">
+            {ensembleReview.singleModelRisks > 0 && (
+              <li className="results-ensemble__item">
+                {ensembleReview.singleModelRisks === 1
+                  ? "1 risk was found by only one model."
+                  : `${ensembleReview.singleModelRisks} risks were found by only one model.`}
+                {showRisks && (
+                  <Button
+                    variant="ghost"
+                    size="small"
+                    onClick={() => setViewMode("risks")}
+                  >
+                    Review risks
+                  </Button>
+                )}
+              </li>
+            )}
+            {ensembleReview.disagreements.length > 0 && (
+              <li className="results-ensemble__item">
+                {`The models disagree on ${ensembleReview.disagreements.join(", ")}.`}
+              </li>
+            )}
+            {ensembleReview.singleModelRisks === 0 &&
+              ensembleReview.disagreements.length === 0 && (
+                <li className="results-ensemble__item">
+                  The models agree on every risk and scorecard category.
+                </li>
+              )}
+            {/* The primary model's failures are listed with the others above */}
+            {ensembleReview.models
+              .slice(1)
+              .filter((model) => model.failures.length > 0)
+              .map((model, index) => (
+                <li
+                  key={index}
+                  className="results-ensemble__item results-ensemble__item--failed"
+                >
+                  {`${model.model} could not answer ${model.failures
+                    .map((failure) => failure.section)
+                    .join(" or ")}: ${model.failures[0].error}`}
+                </li>
+              ))}
+          </ul>
+        </div>
+      )}
+
       {/* Privacy Scorecard - prominently displayed */}
       {result.scorecard && (
         <PrivacyScorecard
           scorecard={result.scorecard}
+          ensemble={result.ensemble}
+          onViewCitation={sourceText ? viewCitation : undefined}
           onNavigateToAction={
             result.privacyRights?.hasActionableInfo
               ? navigateToAction
@@ -246,40 +626,44 @@ ${result.keyTerms?.map((t) => `- ${t.term}: ${t.definition}`).join("\n") || "No
         >
           Summary
         </button>
-        <button
-          type="button"
-          role="tab"
-          aria-selected={viewMode === "risks"}
-          className={`tab ${viewMode === "risks" ? "tab--active" : ""} ${riskLevel.level !== "none" ? `tab--risk-${riskLevel.level}` : ""}`}
-          onClick={() => setViewMode("risks")}
-        >
-          {riskLevel.level !== "none" && (
-            <span
-              className={`tab__risk-indicator tab__risk-indicator--${riskLevel.level}`}
-              aria-hidden="true"
-            />
-          )}
-          Privacy Risks
-          {result.risks?.length > 0 && (
-            <span
-              className={`tab__count ${riskLevel.level !== "none" ? `tab__count--${riskLevel.level}` : ""}`}
-            >
-              {result.risks.length}
-            </span>
-          )}
-        </button>
-        <button
-          type="button"
-          role="tab"
-          aria-selected={viewMode === "terms"}
-          className={`tab ${viewMode === "terms" ? "tab--active" : ""}`}
-          onClick={() => setViewMode("terms")}
-        >
-          Key Terms
-          {result.keyTerms?.length > 0 && (
-            <span className="tab__count">{result.keyTerms.length}</span>
-          )}
-        </button>
+        {showRisks && (
+          <button
+            type="button"
+            role="tab"
+            aria-selected={viewMode === "risks"}
+            className={`tab ${viewMode === "risks" ? "tab--active" : ""} ${riskLevel.level !== "none" ? `tab--risk-${riskLevel.level}` : ""}`}
+            onClick={() => setViewMode("risks")}
+          >
+            {riskLevel.level !== "none" && (
+              <span
+                className={`tab__risk-indicator tab__risk-indicator--${riskLevel.level}`}
+                aria-hidden="true"
+              />
+            )}
+            Privacy Risks
+            {result.risks?.length > 0 && (
+              <span
+                className={`tab__count ${riskLevel.level !== "none" ? `tab__count--${riskLevel.level}` : ""}`}
+              >
+                {result.risks.length}
+              </span>
+            )}
+          </button>
+        )}
+        {showKeyTerms && (
+          <button
+            type="button"
+            role="tab"
+            aria-selected={viewMode === "terms"}
+            className={`tab ${viewMode === "terms" ? "tab--active" : ""}`}
+            onClick={() => setViewMode("terms")}
+          >
+            Key Terms
+            {result.keyTerms?.length > 0 && (
+              <span className="tab__count">{result.keyTerms.length}</span>
+            )}
+          </button>
+        )}
         {result.privacyRights?.hasActionableInfo && (
           <button
             type="button"
@@ -291,6 +675,42 @@ ${result.keyTerms?.map((t) => `- ${t.term}: ${t.definition}`).join("\n") || "No
             Take Action
           </button>
         )}
+        {result.compliance && result.compliance.length > 0 && (
+          <button
+            type="button"
+            role="tab"
+            aria-selected={viewMode === "compliance"}
+            className={`tab ${viewMode === "compliance" ? "tab--active" : ""}`}
+            onClick={() => setViewMode("compliance")}
+          >
+            Compliance
+            <span className="tab__count">{result.compliance.length}</span>
+          </button>
+        )}
+        {dataFlows.length > 0 && (
+          <button
+            type="button"
+            role="tab"
+            aria-selected={viewMode === "flows"}
+            className={`tab ${viewMode === "flows" ? "tab--active" : ""}`}
+            onClick={() => setViewMode("flows")}
+          >
+            Data Flows
+            <span className="tab__count">{dataFlows.length}</span>
+          </button>
+        )}
+        {aspects.length > 0 && (
+          <button
+            type="button"
+            role="tab"
+            aria-selected={viewMode === "questions"}
+            className={`tab ${viewMode === "questions" ? "tab--active" : ""}`}
+            onClick={() => setViewMode("questions")}
+          >
+            Questions
+            <span className="tab__count">{aspects.length}</span>
+          </button>
+        )}
         <button
           type="button"
           role="tab"
@@ -302,25 +722,77 @@ ${result.keyTerms?.map((t) => `- ${t.term}: ${t.definition}`).join("\n") || "No
         </button>
       </div>
 
-      {/* Content panels */}
-      <div className="results-display__content">
-        {(viewMode === "summary" || viewMode === "all") && (
-          <SummaryView summary={result.summary} />
-        )}
-
-        {(viewMode === "risks" || viewMode === "all") && (
-          <RiskHighlights risks={result.risks} />
-        )}
+      <div
+        className={`results-display__body ${outline.length > 0 ? "results-display__body--with-outline" : ""}`}
+      >
+        {/* Content panels */}
+        <div className="results-display__content">
+          {(viewMode === "summary" || viewMode === "all") && (
+            <SummaryView summary={result.summary} />
+          )}
 
-        {(viewMode === "terms" || viewMode === "all") && (
-          <KeyTermsGlossary keyTerms={result.keyTerms} />
-        )}
+          {(viewMode === "risks" || viewMode === "all") && showRisks && (
+            <RiskHighlights
+              risks={result.risks}
+              ensemble={result.ensemble}
+              onViewCitation={sourceText ? viewCitation : undefined}
+            />
+          )}
 
-        {(viewMode === "action" || viewMode === "all") &&
-          result.privacyRights?.hasActionableInfo && (
-            <TakeAction privacyRights={result.privacyRights} />
+          {(viewMode === "terms" || viewMode === "all") && showKeyTerms && (
+            <KeyTermsGlossary keyTerms={result.keyTerms} />
           )}
+
+          {(viewMode === "action" || viewMode === "all") &&
+            result.privacyRights?.hasActionableInfo && (
+              <TakeAction
+                privacyRights={result.privacyRights}
+                organization={organization}
+                defaultJurisdiction={requestJurisdiction}
+              />
+            )}
+
+          {(viewMode === "compliance" || viewMode === "all") &&
+            result.compliance &&
+            result.compliance.length > 0 && (
+              <ComplianceChecklist
+                checklists={result.compliance}
+                onViewCitation={sourceText ? viewCitation : undefined}
+              />
+            )}
+
+          {(viewMode === "flows" || viewMode === "all") &&
+            dataFlows.length > 0 && (
+              <DataFlowMap
+                flows={dataFlows}
+                source={result.documentMetadata.source}
+                onViewCitation={sourceText ? viewCitation : undefined}
+              />
+            )}
+
+          {(viewMode === "questions" || viewMode === "all") &&
+            aspects.length > 0 && (
+              <AspectAnswers aspects={aspects} profileName={profile?.name} />
+            )}
+        </div>
+
+        {outline.length > 0 && (
+          <DocumentOutline
+            outline={outline}
+            risks={result.risks}
+            onSelect={viewSection}
+          />
+        )}
       </div>
+
+      {viewedCitation && sourceText && (
+        <SourceTextViewer
+          text={sourceText}
+          citation={viewedCitation.citation}
+          title={viewedCitation.title}
+          onClose={closeCitation}
+        />
+      )}
     </div>
   );
 }
@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import { render, screen, fireEvent } from "@testing-library/react";
 import { RiskHighlights } from "./RiskHighlights";
+import type { EnsembleReport } from "../../types";
 
 vi.mock("react-markdown", () => ({
   default: ({ children }: { children: React.ReactNode }) => (
@@ -559,4 +560,120 @@ describe("RiskHighlights", () => {
       ).toBeInTheDocument();
     });
   });
+
+  describe("Citations", () => {
+    const citedRisk = {
+      id: "risk-1",
+      title: "Data Sold",
+      severity: "high",
+      description: "Sells data to advertisers",
+      location: "Section 4",
+    };
+
+    it("should open the source text from a verified quote", () => {
+      const onViewCitation = vi.fn();
+      const citation = {
+        quote: "We sell your data to advertisers.",
+        verified: true,
+        start: 10,
+        end: 43,
+      };
+      render(
+        <RiskHighlights
+          risks={[{ ...citedRisk, citations: [citation] }] as any}
+          onViewCitation={onViewCitation}
+        />,
+      );
+
+      fireEvent.click(
+        screen.getByRole("button", { name: /We sell your data/ }),
+      );
+
+      expect(onViewCitation).toHaveBeenCalledWith(citation, "Data Sold");
+    });
+
+    it("should flag risks whose quotes were not found", () => {
+      render(
+        <RiskHighlights
+          risks={
+            [
+              {
+                ...citedRisk,
+                citations: [{ quote: "Invented passage", verified: false }],
+              },
+            ] as any
+          }
+        />,
+      );
+
+      expect(screen.getByText("Unverified")).toBeInTheDocument();
+      expect(screen.queryByText(/Invented passage/)).not.toBeInTheDocument();
+    });
+
+    it("should not flag risks from analyses without citations", () => {
+      render(<RiskHighlights risks={[citedRisk] as any} />);
+
+      expect(screen.queryByText("Unverified")).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Ensemble", () => {
+    const ensemble: EnsembleReport = {
+      models: [
+        { provider: "openrouter", model: "model-a", failures: [] },
+        { provider: "openrouter", model: "model-b", failures: [] },
+        { provider: "anthropic", model: "model-c", failures: [] },
+      ],
+      risks: [
+        { riskId: "risk-1", models: [0, 1, 2] },
+        { riskId: "risk-2", models: [1] },
+        { riskId: "risk-3", models: [0, 2] },
+      ],
+      categories: {},
+      disagreementThreshold: 2,
+    };
+
+    it("should highlight risks only one model found", () => {
+      const { container } = render(
+        <RiskHighlights risks={mockRisks as any} ensemble={ensemble} />,
+      );
+
+      expect(
+        screen.getByText(
+          "Cross-checked by 3 models. 1 risk was found by only one model; review it closely.",
+        ),
+      ).toBeInTheDocument();
+      expect(screen.getByText("Found only by model-b")).toBeInTheDocument();
+      expect(screen.getByText("Found by 3 of 3 models")).toBeInTheDocument();
+      expect(screen.getByText("Found by 2 of 3 models")).toBeInTheDocument();
+      expect(
+        container.querySelectorAll(".risk-item--single-model"),
+      ).toHaveLength(1);
+    });
+
+    it("should not compare models when only one answered", () => {
+      const { container } = render(
+        <RiskHighlights
+          risks={mockRisks as any}
+          ensemble={{
+            ...ensemble,
+            models: ensemble.models.map((model, index) =>
+              index === 0
+                ? model
+                : {
+                    ...model,
+                    failures: [{ section: "privacy risks", error: "Timeout" }],
+                  },
+            ),
+          }}
+        />,
+      );
+
+      expect(screen.queryByText(/Cross-checked/)).not.toBeInTheDocument();
+      expect(screen.queryByText(/^Found/)).not.toBeInTheDocument();
+      expect(
+        container.querySelector(".risk-item--single-model"),
+      ).not.toBeInTheDocument();
+    });
+  });
 });
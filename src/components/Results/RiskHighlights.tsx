@@ -1,7 +1,9 @@
 import { useMemo, useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 import rehypeSanitize, { defaultSchema } from 'rehype-sanitize';
-import type { PrivacyRisk } from '../../types';
+import { CitationList } from './CitationList';
+import { EnsembleMerger } from '../../services/analysis/EnsembleMerger';
+import type { Citation, EnsembleReport, PrivacyRisk } from '../../types';
 
 /** Custom sanitization schema - blocks javascript: links */
 const sanitizeSchema = {
@@ -47,15 +49,29 @@ const SEVERITY_CONFIG: Record<string, SeverityConfig> = {
 interface RiskHighlightsProps {
   risks?: PrivacyRisk[];
   className?: string;
+  /** Opens the policy text at a cited passage */
+  onViewCitation?: (citation: Citation, title: string) => void;
+  /** Which models found each risk (ensemble analyses only) */
+  ensemble?: EnsembleReport;
 }
 
 /**
  * RiskHighlights - Component for displaying privacy risks with severity levels
  * Matches mockup design with colored left borders and expandable details
  */
-export function RiskHighlights({ risks = [], className = '' }: RiskHighlightsProps) {
+export function RiskHighlights({ risks = [], className = '', onViewCitation, ensemble }: RiskHighlightsProps) {
   const [expandedRisks, setExpandedRisks] = useState<Set<number>>(new Set());
 
+  const singleModelRisks = useMemo(
+    () => (ensemble ? EnsembleMerger.singleModelRisks(ensemble) : new Set<string>()),
+    [ensemble]
+  );
+  const agreement = useMemo(
+    () => new Map(ensemble?.risks.map(entry => [entry.riskId, entry.models])),
+    [ensemble]
+  );
+  const modelCount = ensemble ? EnsembleMerger.modelsAnswering(ensemble, 'privacy risks') : 0;
+
   // Ensure risks is always an array
   const safeRisks = Array.isArray(risks) ? risks : [];
 
@@ -112,17 +128,26 @@ export function RiskHighlights({ risks = [], className = '' }: RiskHighlightsPro
           <span aria-hidden="true">🚨</span> Privacy Risks Identified
         </h2>
         <p className="card__subtitle">Potential concerns ranked by severity</p>
+        {modelCount > 1 && (
+          <p className="risk-highlights__ensemble">
+            Cross-checked by {modelCount} models.
+            {singleModelRisks.size > 0 &&
+              ` ${singleModelRisks.size} ${singleModelRisks.size === 1 ? 'risk was' : 'risks were'} found by only one model; review ${singleModelRisks.size === 1 ? 'it' : 'them'} closely.`}
+          </p>
+        )}
       </div>
 
       <div className="risk-list">
         {sortedRisks.map((risk, index) => {
           const config = SEVERITY_CONFIG[risk.severity] || SEVERITY_CONFIG.medium;
           const isExpanded = expandedRisks.has(index);
+          const models = agreement.get(risk.id);
+          const singleModel = singleModelRisks.has(risk.id);
 
           return (
             <div
               key={index}
-              className={`risk-item risk-item--${risk.severity}`}
+              className={`risk-item risk-item--${risk.severity}${singleModel ? ' risk-item--single-model' : ''}`}
               style={{ '--risk-color': config.color } as React.CSSProperties}
             >
               <div className="risk-item__header">
@@ -138,10 +163,25 @@ export function RiskHighlights({ risks = [], className = '' }: RiskHighlightsPro
                 </span>
               </div>
 
+              {modelCount > 1 && models && (
+                <p className={`risk-item__consensus${singleModel ? ' risk-item__consensus--single' : ''}`}>
+                  {singleModel
+                    ? `Found only by ${ensemble!.models[models[0]].model}`
+                    : `Found by ${models.length} of ${modelCount} models`}
+                </p>
+              )}
+
               <p className="risk-item__description">
                 {risk.description}
               </p>
 
+              <CitationList
+                citations={risk.citations}
+                onViewCitation={
+                  onViewCitation && ((citation) => onViewCitation(citation, risk.title))
+                }
+              />
+
               {risk.recommendation && (
                 <button
                   type="button"
@@ -0,0 +1,67 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { SourceTextViewer } from "./SourceTextViewer";
+
+const TEXT = "Intro text. We sell your data to advertisers. Closing text.";
+const citation = {
+  quote: "We sell your data to advertisers.",
+  verified: true,
+  start: 12,
+  end: 45,
+};
+
+describe("SourceTextViewer", () => {
+  it("should highlight the cited passage within the policy text", () => {
+    const { container } = render(
+      <SourceTextViewer
+        text={TEXT}
+        citation={citation}
+        title="Data Sold"
+        onClose={vi.fn()}
+      />,
+    );
+
+    expect(screen.getByRole("dialog")).toHaveTextContent("Source: Data Sold");
+    expect(container.querySelector("mark")).toHaveTextContent(
+      "We sell your data to advertisers.",
+    );
+    expect(container.querySelector(".source-viewer__text")).toHaveTextContent(
+      TEXT,
+    );
+  });
+
+  it("should scroll the passage into view", () => {
+    const original = Element.prototype.scrollIntoView;
+    const scrollIntoView = vi.fn();
+    Element.prototype.scrollIntoView = scrollIntoView;
+
+    render(
+      <SourceTextViewer
+        text={TEXT}
+        citation={citation}
+        title="Data Sold"
+        onClose={vi.fn()}
+      />,
+    );
+
+    expect(scrollIntoView).toHaveBeenCalledWith({ block: "center" });
+    Element.prototype.scrollIntoView = original;
+  });
+
+  it("should close on Escape and on the close button", () => {
+    const onClose = vi.fn();
+    render(
+      <SourceTextViewer
+        text={TEXT}
+        citation={citation}
+        title="Data Sold"
+        onClose={onClose}
+      />,
+    );
+
+    fireEvent.keyDown(document, { key: "Escape" });
+    fireEvent.click(screen.getByLabelText("Close policy text"));
+
+    expect(onClose).toHaveBeenCalledTimes(2);
+  });
+});
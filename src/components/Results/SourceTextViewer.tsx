@@ -0,0 +1,86 @@
+import { useEffect, useRef, type ReactElement } from "react";
+import { Button } from "../Common";
+import type { Citation } from "../../types";
+
+export interface SourceTextViewerProps {
+  /** Original policy text */
+  text: string;
+  /** Verified citation to highlight */
+  citation: Citation;
+  /** Finding the citation supports, shown in the title */
+  title: string;
+  onClose: () => void;
+}
+
+/**
+ * SourceTextViewer - Shows the policy text with a cited passage highlighted
+ * and scrolled into view
+ */
+export function SourceTextViewer({
+  text,
+  citation,
+  title,
+  onClose,
+}: SourceTextViewerProps): ReactElement {
+  const markRef = useRef<HTMLElement>(null);
+  const start = Math.max(0, Math.min(citation.start ?? 0, text.length));
+  const end = Math.max(start, Math.min(citation.end ?? start, text.length));
+
+  useEffect(() => {
+    markRef.current?.scrollIntoView?.({ block: "center" });
+  }, [start, end]);
+
+  // Handle escape key
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent): void => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [onClose]);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal modal--source"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="source-viewer-title"
+      >
+        <div className="modal__header">
+          <h2 className="modal__title" id="source-viewer-title">
+            Source: {title}
+          </h2>
+          <button
+            type="button"
+            className="modal__close"
+            onClick={onClose}
+            aria-label="Close policy text"
+          >
+            <span aria-hidden="true">&times;</span>
+          </button>
+        </div>
+
+        <div className="modal__body modal__body--scrollable">
+          <div className="source-viewer__text">
+            {text.slice(0, start)}
+            <mark ref={markRef} className="source-viewer__highlight">
+              {text.slice(start, end)}
+            </mark>
+            {text.slice(end)}
+          </div>
+        </div>
+
+        <div className="modal__footer">
+          <Button variant="primary" onClick={onClose}>
+            Close
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
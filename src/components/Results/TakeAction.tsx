@@ -1,5 +1,7 @@
 import { useState } from "react";
+import { RequestLetterGenerator } from "./RequestLetterGenerator";
 import type {
+  ComplianceProfileId,
   PrivacyRightsInfo,
   PrivacyLink,
   PrivacyContact,
@@ -9,6 +11,10 @@ import { isSafeUrl, isSafeEmail } from "../../utils/validation";
 
 interface TakeActionProps {
   privacyRights?: PrivacyRightsInfo | null;
+  /** Organization the policy belongs to, addressed in request letters */
+  organization?: string;
+  /** Law request letters cite by default */
+  defaultJurisdiction?: ComplianceProfileId | null;
   className?: string;
 }
 
@@ -155,10 +161,12 @@ function ProcedureCard({ procedure }: ProcedureCardProps) {
 /**
  * TakeAction - Component for displaying actionable privacy rights information
  * Helps users exercise their data privacy rights with direct links,
- * contact information, and step-by-step procedures
+ * contact information, step-by-step procedures and request letters
  */
 export function TakeAction({
   privacyRights,
+  organization = "",
+  defaultJurisdiction = null,
   className = "",
 }: TakeActionProps) {
   // Handle null/undefined or no actionable info
@@ -332,13 +340,27 @@ export function TakeAction({
         </section>
       )}
 
+      {/* Request Letter Section */}
+      <section className="take-action__section">
+        <h3 className="take-action__section-title">
+          <span aria-hidden="true">✉️</span> Write a Request
+        </h3>
+        <RequestLetterGenerator
+          procedures={procedures}
+          contacts={contacts}
+          organization={organization}
+          defaultJurisdiction={defaultJurisdiction}
+        />
+      </section>
+
       {/* Disclaimer */}
       <div className="take-action__disclaimer">
         <span aria-hidden="true">ℹ️</span>
         <p>
           This information was extracted from the privacy policy. If you need
           additional help, contact the service directly or check their help
-          center for more privacy resources.
+          center for more privacy resources. Request letters are templates,
+          not legal advice.
         </p>
       </div>
     </div>
@@ -4,3 +4,8 @@ export { RiskHighlights } from './RiskHighlights';
 export { KeyTermsGlossary } from './KeyTermsGlossary';
 export { PrivacyScorecard } from './PrivacyScorecard';
 export { TakeAction } from './TakeAction';
+export { DocumentOutline } from './DocumentOutline';
+export { ComplianceChecklist } from './ComplianceChecklist';
+export { AspectAnswers } from './AspectAnswers';
+export { DataFlowMap } from './DataFlowMap';
+export { RequestLetterGenerator } from './RequestLetterGenerator';
@@ -5,3 +5,6 @@ export * from './Config';
 export * from './Results';
 export * from './Analysis';
 export * from './Layout';
+export * from './Comparison';
+export * from './History';
+export * from './Batch';
@@ -8,10 +8,13 @@ import {
 } from "@testing-library/react";
 import { AnalysisProvider, useAnalysis } from "./AnalysisContext";
 import { ANALYSIS_STATUS } from "../utils/constants";
+import { HistoryStore } from "../services/history";
 
-// Mock storage utilities
-vi.mock("../utils/storage", () => ({
-  saveAnalysisToHistory: vi.fn(),
+// Mock history persistence
+vi.mock("../services/history", () => ({
+  HistoryStore: {
+    save: vi.fn().mockResolvedValue({}),
+  },
 }));
 
 // Test component to access context
@@ -37,6 +40,12 @@ function TestComponent() {
     setError,
     resetAnalysis,
     clearResults,
+    setCancelled,
+    isCancelled,
+    streamingSummary,
+    updateStreamingSummary,
+    restoreResult,
+    historyVersion,
   } = useAnalysis();
 
   return (
@@ -54,6 +63,11 @@ function TestComponent() {
       <div data-testid="is-analyzing">{isAnalyzing ? "true" : "false"}</div>
       <div data-testid="is-completed">{isCompleted ? "true" : "false"}</div>
       <div data-testid="is-error">{isError ? "true" : "false"}</div>
+      <div data-testid="is-cancelled">{isCancelled ? "true" : "false"}</div>
+      <div data-testid="history-version">{historyVersion}</div>
+      <div data-testid="streaming-brief">
+        {streamingSummary.brief || "none"}
+      </div>
 
       <button
         onClick={() =>
@@ -75,6 +89,17 @@ function TestComponent() {
       <button onClick={() => setError("Test error")}>Set Error</button>
       <button onClick={resetAnalysis}>Reset</button>
       <button onClick={clearResults}>Clear Results</button>
+      <button onClick={setCancelled}>Cancel</button>
+      <button onClick={() => updateStreamingSummary("brief", "Partial text")}>
+        Stream Summary
+      </button>
+      <button
+        onClick={() =>
+          restoreResult({ id: "past", summary: { brief: "Past summary" } })
+        }
+      >
+        Restore Result
+      </button>
     </div>
   );
 }
@@ -457,6 +482,134 @@ describe("AnalysisContext", () => {
     });
   });
 
+  describe("cancellation", () => {
+    it("should move to the cancelled state and keep the document", async () => {
+      render(
+        <AnalysisProvider>
+          <TestComponent />
+        </AnalysisProvider>,
+      );
+
+      await act(async () => {
+        fireEvent.click(screen.getByText("Set Document"));
+      });
+      await act(async () => {
+        fireEvent.click(screen.getByText("Start Analysis"));
+      });
+      await act(async () => {
+        fireEvent.click(screen.getByText("Update Progress"));
+      });
+      await act(async () => {
+        fireEvent.click(screen.getByText("Cancel"));
+      });
+
+      expect(screen.getByTestId("status")).toHaveTextContent(
+        ANALYSIS_STATUS.CANCELLED,
+      );
+      expect(screen.getByTestId("is-cancelled")).toHaveTextContent("true");
+      expect(screen.getByTestId("progress")).toHaveTextContent("0");
+      expect(screen.getByTestId("current-step")).toHaveTextContent("none");
+      expect(screen.getByTestId("error")).toHaveTextContent("none");
+      expect(screen.getByTestId("document")).toHaveTextContent(
+        "Test privacy policy",
+      );
+    });
+
+    it("should allow a cancelled analysis to be started again", async () => {
+      render(
+        <AnalysisProvider>
+          <TestComponent />
+        </AnalysisProvider>,
+      );
+
+      await act(async () => {
+        fireEvent.click(screen.getByText("Cancel"));
+      });
+      await act(async () => {
+        fireEvent.click(screen.getByText("Start Analysis"));
+      });
+
+      expect(screen.getByTestId("status")).toHaveTextContent(
+        ANALYSIS_STATUS.EXTRACTING,
+      );
+      expect(screen.getByTestId("is-cancelled")).toHaveTextContent("false");
+    });
+  });
+
+  describe("history", () => {
+    it("should save completed analyses and bump the history version", async () => {
+      render(
+        <AnalysisProvider>
+          <TestComponent />
+        </AnalysisProvider>,
+      );
+
+      await act(async () => {
+        fireEvent.click(screen.getByText("Complete Analysis"));
+      });
+
+      expect(HistoryStore.save).toHaveBeenCalledWith(
+        expect.objectContaining({ summary: { brief: "Test summary" } }),
+      );
+      await waitFor(() => {
+        expect(screen.getByTestId("history-version")).toHaveTextContent("1");
+      });
+    });
+
+    it("should restore a past result without saving it again", async () => {
+      render(
+        <AnalysisProvider>
+          <TestComponent />
+        </AnalysisProvider>,
+      );
+
+      await act(async () => {
+        fireEvent.click(screen.getByText("Restore Result"));
+      });
+
+      expect(screen.getByTestId("status")).toHaveTextContent(
+        ANALYSIS_STATUS.COMPLETED,
+      );
+      expect(screen.getByTestId("has-result")).toHaveTextContent("true");
+      expect(HistoryStore.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("streaming summary", () => {
+    it("should store streamed section text", async () => {
+      render(
+        <AnalysisProvider>
+          <TestComponent />
+        </AnalysisProvider>,
+      );
+
+      await act(async () => {
+        fireEvent.click(screen.getByText("Stream Summary"));
+      });
+
+      expect(screen.getByTestId("streaming-brief")).toHaveTextContent(
+        "Partial text",
+      );
+    });
+
+    it("should clear streamed text when analysis completes", async () => {
+      render(
+        <AnalysisProvider>
+          <TestComponent />
+        </AnalysisProvider>,
+      );
+
+      await act(async () => {
+        fireEvent.click(screen.getByText("Stream Summary"));
+      });
+      await act(async () => {
+        fireEvent.click(screen.getByText("Complete Analysis"));
+      });
+
+      expect(screen.getByTestId("streaming-brief")).toHaveTextContent("none");
+    });
+  });
+
   describe("computed properties", () => {
     it("should correctly compute isIdle", () => {
       render(
@@ -13,11 +13,13 @@ import {
 } from "react";
 import { ANALYSIS_STATUS } from "../utils/constants.js";
 import { generateId } from "../utils/helpers.js";
-import { saveAnalysisToHistory } from "../utils/storage.js";
+import { HistoryStore } from "../services/history/index.js";
 import type {
   DocumentInput,
   AnalysisResult,
   AnalysisStatus,
+  AnalysisSummary,
+  SummaryType,
 } from "../types/index.js";
 
 /**
@@ -36,6 +38,10 @@ interface InternalAnalysisState {
  */
 interface AnalysisStateValues extends InternalAnalysisState {
   document: DocumentInput | null;
+  /** Summary text received so far while the analysis streams in */
+  streamingSummary: Partial<AnalysisSummary>;
+  /** Incremented whenever an analysis is saved to history */
+  historyVersion: number;
 }
 
 /**
@@ -45,9 +51,12 @@ interface AnalysisActions {
   setDocumentInput: (doc: DocumentInput) => void;
   startAnalysis: () => void;
   updateProgress: (progress: number, currentStep: string) => void;
+  updateStreamingSummary: (section: SummaryType, content: string) => void;
   setAnalyzing: () => void;
   completeAnalysis: (result: AnalysisResult) => void;
+  restoreResult: (result: AnalysisResult) => void;
   setError: (error: string) => void;
+  setCancelled: () => void;
   resetAnalysis: () => void;
   clearResults: () => void;
   clearError: () => void;
@@ -62,6 +71,7 @@ interface AnalysisComputed {
   isAnalyzing: boolean;
   isCompleted: boolean;
   isError: boolean;
+  isCancelled: boolean;
   hasResult: boolean;
 }
 
@@ -100,12 +110,17 @@ export function AnalysisProvider({ children }: AnalysisProviderProps) {
   });
 
   const [document, setDocument] = useState<DocumentInput | null>(null);
+  const [streamingSummary, setStreamingSummary] = useState<
+    Partial<AnalysisSummary>
+  >({});
+  const [historyVersion, setHistoryVersion] = useState(0);
 
   /**
    * Sets the document to be analyzed
    */
   const setDocumentInput = useCallback((doc: DocumentInput) => {
     setDocument(doc);
+    setStreamingSummary({});
     setState((prev) => ({
       ...prev,
       status: ANALYSIS_STATUS.IDLE,
@@ -120,6 +135,7 @@ export function AnalysisProvider({ children }: AnalysisProviderProps) {
    * Starts the analysis process
    */
   const startAnalysis = useCallback(() => {
+    setStreamingSummary({});
     setState((prev) => ({
       ...prev,
       status: ANALYSIS_STATUS.EXTRACTING,
@@ -143,6 +159,16 @@ export function AnalysisProvider({ children }: AnalysisProviderProps) {
     [],
   );
 
+  /**
+   * Updates the partial text of a summary as it streams in
+   */
+  const updateStreamingSummary = useCallback(
+    (section: SummaryType, content: string) => {
+      setStreamingSummary((prev) => ({ ...prev, [section]: content }));
+    },
+    [],
+  );
+
   /**
    * Sets status to analyzing
    */
@@ -165,6 +191,7 @@ export function AnalysisProvider({ children }: AnalysisProviderProps) {
       timestamp: result.timestamp || new Date(),
     };
 
+    setStreamingSummary({});
     setState({
       status: ANALYSIS_STATUS.COMPLETED,
       result: completeResult,
@@ -174,13 +201,33 @@ export function AnalysisProvider({ children }: AnalysisProviderProps) {
     });
 
     // Save to history
-    saveAnalysisToHistory(completeResult);
+    HistoryStore.save(completeResult)
+      .then(() => setHistoryVersion((version) => version + 1))
+      .catch((error) => {
+        console.error("Failed to save analysis to history:", error);
+      });
+  }, []);
+
+  /**
+   * Shows a past analysis from history without re-saving it
+   */
+  const restoreResult = useCallback((result: AnalysisResult) => {
+    setDocument(null);
+    setStreamingSummary({});
+    setState({
+      status: ANALYSIS_STATUS.COMPLETED,
+      result,
+      error: null,
+      progress: 100,
+      currentStep: "Analysis complete",
+    });
   }, []);
 
   /**
    * Sets error state
    */
   const setError = useCallback((error: string) => {
+    setStreamingSummary({});
     setState((prev) => ({
       ...prev,
       status: ANALYSIS_STATUS.ERROR,
@@ -190,10 +237,25 @@ export function AnalysisProvider({ children }: AnalysisProviderProps) {
     }));
   }, []);
 
+  /**
+   * Sets cancelled state, keeping the document so the analysis can be retried
+   */
+  const setCancelled = useCallback(() => {
+    setStreamingSummary({});
+    setState((prev) => ({
+      ...prev,
+      status: ANALYSIS_STATUS.CANCELLED,
+      error: null,
+      progress: 0,
+      currentStep: null,
+    }));
+  }, []);
+
   /**
    * Resets analysis state
    */
   const resetAnalysis = useCallback(() => {
+    setStreamingSummary({});
     setState({
       status: ANALYSIS_STATUS.IDLE,
       result: null,
@@ -208,6 +270,7 @@ export function AnalysisProvider({ children }: AnalysisProviderProps) {
    * Clears current results but keeps document
    */
   const clearResults = useCallback(() => {
+    setStreamingSummary({});
     setState((prev) => ({
       ...prev,
       status: ANALYSIS_STATUS.IDLE,
@@ -222,6 +285,7 @@ export function AnalysisProvider({ children }: AnalysisProviderProps) {
    * Clears error state but keeps document for retry
    */
   const clearError = useCallback(() => {
+    setStreamingSummary({});
     setState((prev) => ({
       ...prev,
       status: ANALYSIS_STATUS.IDLE,
@@ -240,15 +304,20 @@ export function AnalysisProvider({ children }: AnalysisProviderProps) {
       progress: state.progress,
       currentStep: state.currentStep,
       document,
+      streamingSummary,
+      historyVersion,
     };
 
     const actions: AnalysisActions = {
       setDocumentInput,
       startAnalysis,
       updateProgress,
+      updateStreamingSummary,
       setAnalyzing,
       completeAnalysis,
+      restoreResult,
       setError,
+      setCancelled,
       resetAnalysis,
       clearResults,
       clearError,
@@ -260,6 +329,7 @@ export function AnalysisProvider({ children }: AnalysisProviderProps) {
       isAnalyzing: state.status === ANALYSIS_STATUS.ANALYZING,
       isCompleted: state.status === ANALYSIS_STATUS.COMPLETED,
       isError: state.status === ANALYSIS_STATUS.ERROR,
+      isCancelled: state.status === ANALYSIS_STATUS.CANCELLED,
       hasResult: state.result !== null,
     };
 
@@ -277,12 +347,17 @@ export function AnalysisProvider({ children }: AnalysisProviderProps) {
   }, [
     state,
     document,
+    streamingSummary,
+    historyVersion,
     setDocumentInput,
     startAnalysis,
     updateProgress,
+    updateStreamingSummary,
     setAnalyzing,
     completeAnalysis,
+    restoreResult,
     setError,
+    setCancelled,
     resetAnalysis,
     clearResults,
     clearError,
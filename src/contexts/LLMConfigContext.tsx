@@ -164,6 +164,22 @@ export function LLMConfigProvider({ children }: LLMConfigProviderProps) {
         maxTokens: 4096,
         temperature: 0.7,
       },
+      "openai-compatible": {
+        baseUrl: "http://localhost:8000/v1",
+        model: "", // Chosen from the server's model list
+        apiKey: "",
+        maxTokens: 4096,
+        temperature: 0.7,
+        contextWindow: null, // Auto-detect from the model list
+      },
+      anthropic: {
+        baseUrl: "https://api.anthropic.com/v1",
+        model: "claude-sonnet-4-5",
+        apiKey: "",
+        maxTokens: 16000,
+        temperature: 0.7,
+        contextWindow: null,
+      },
     };
 
     setConfig((prev) => ({
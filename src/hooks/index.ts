@@ -9,6 +9,43 @@ export { useLLMProvider, __resetRateLimiter } from "./useLLMProvider";
 export type { UseLLMProviderReturn } from "./useLLMProvider";
 
 export { useAnalysisOrchestrator } from "./useAnalysisOrchestrator";
-export type { UseAnalysisOrchestratorReturn } from "./useAnalysisOrchestrator";
+export type {
+  UseAnalysisOrchestratorReturn,
+  ServiceProgressCallback,
+  BatchRunCallbacks,
+} from "./useAnalysisOrchestrator";
 
 export { useTurnstile } from "./useTurnstile";
+
+export { useAnalysisHistory } from "./useAnalysisHistory";
+export type { UseAnalysisHistoryReturn } from "./useAnalysisHistory";
+
+export { useServiceComparison } from "./useServiceComparison";
+export type {
+  UseServiceComparisonReturn,
+  ServiceComparisonStatus,
+  ServiceProgress,
+} from "./useServiceComparison";
+
+export { useBatchAnalysis } from "./useBatchAnalysis";
+export type {
+  UseBatchAnalysisReturn,
+  BatchStatus,
+} from "./useBatchAnalysis";
+
+export { useExtractionReview } from "./useExtractionReview";
+export type {
+  UseExtractionReviewReturn,
+  ExtractionReviewStatus,
+} from "./useExtractionReview";
+
+export { usePolicyDiscovery } from "./usePolicyDiscovery";
+export type { UsePolicyDiscoveryReturn } from "./usePolicyDiscovery";
+
+export { useUsageEstimate } from "./useUsageEstimate";
+export type { UseUsageEstimateReturn } from "./useUsageEstimate";
+
+export { useComplianceProfiles } from "./useComplianceProfiles";
+export type { UseComplianceProfilesReturn } from "./useComplianceProfiles";
+export { useAnalysisProfiles } from "./useAnalysisProfiles";
+export type { UseAnalysisProfilesReturn } from "./useAnalysisProfiles";
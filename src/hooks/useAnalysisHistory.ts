@@ -0,0 +1,120 @@
+/**
+ * @file Analysis history hook
+ * @description Hook for listing, loading and deleting past analyses
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { HistoryStore } from "../services/history";
+import { useAnalysis } from "../contexts/AnalysisContext.jsx";
+import type { AnalysisResult, HistoryEntry } from "../types";
+
+/**
+ * Return type for useAnalysisHistory hook
+ */
+export interface UseAnalysisHistoryReturn {
+  /** Stored analyses, newest first */
+  entries: HistoryEntry[];
+  /** Whether history is being loaded */
+  isLoading: boolean;
+  /** Current error message, if any */
+  error: string | null;
+  /** Whether the browser supports persistent history */
+  isSupported: boolean;
+  /** Reload entries from storage */
+  refresh: () => void;
+  /** Load a full analysis by ID */
+  load: (id: string) => Promise<AnalysisResult | null>;
+  /** Load several full analyses by ID */
+  loadMany: (ids: string[]) => Promise<AnalysisResult[]>;
+  /** Delete a single analysis */
+  remove: (id: string) => Promise<void>;
+  /** Delete all analyses */
+  clear: () => Promise<void>;
+}
+
+/**
+ * Hook for the persistent analysis history. Migrates the legacy
+ * localStorage history on first use and reloads whenever a new analysis
+ * is saved.
+ * @returns History entries and actions
+ */
+export function useAnalysisHistory(): UseAnalysisHistoryReturn {
+  const { historyVersion } = useAnalysis();
+  const isSupported = HistoryStore.isSupported();
+  const [entries, setEntries] = useState<HistoryEntry[]>([]);
+  const [isLoading, setIsLoading] = useState<boolean>(isSupported);
+  const [error, setError] = useState<string | null>(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!isSupported) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+
+    (async () => {
+      try {
+        await HistoryStore.migrateFromLocalStorage().catch((err) => {
+          // Keep the legacy entries for a later attempt, show what we have
+          console.error("Failed to migrate analysis history:", err);
+        });
+        const list = await HistoryStore.list();
+        if (!cancelled) {
+          setEntries(list);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(
+            (err instanceof Error ? err.message : null) ||
+              "Failed to load history",
+          );
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isSupported, historyVersion, reloadKey]);
+
+  const refresh = useCallback(() => {
+    setReloadKey((key) => key + 1);
+  }, []);
+
+  const load = useCallback(
+    (id: string) => HistoryStore.get(id),
+    [],
+  );
+
+  const loadMany = useCallback(
+    (ids: string[]) => HistoryStore.getMany(ids),
+    [],
+  );
+
+  const remove = useCallback(async (id: string): Promise<void> => {
+    await HistoryStore.delete(id);
+    setEntries((prev) => prev.filter((entry) => entry.id !== id));
+  }, []);
+
+  const clear = useCallback(async (): Promise<void> => {
+    await HistoryStore.clear();
+    setEntries([]);
+  }, []);
+
+  return {
+    entries,
+    isLoading,
+    error,
+    isSupported,
+    refresh,
+    load,
+    loadMany,
+    remove,
+    clear,
+  };
+}
@@ -3,15 +3,51 @@
  * @description Orchestrates the full analysis process, delegating to PolicyAnalyzer
  */
 
-import React, { useCallback, useRef, useEffect } from "react";
+import React, { useCallback, useRef, useEffect, useState } from "react";
 import { useAnalysis } from "../contexts/AnalysisContext.jsx";
 import { useDocumentExtractor } from "./useDocumentExtractor";
 import { useLLMProvider } from "./useLLMProvider";
 import { useTurnstile } from "./useTurnstile";
 import { PolicyAnalyzer } from "../services/analysis/PolicyAnalyzer";
+import { ServiceComparer } from "../services/analysis/ServiceComparer";
+import { UsageTracker } from "../services/analysis/UsageTracker";
+import { ComplianceProfiles } from "../services/analysis/ComplianceProfiles";
+import { AnalysisProfiles } from "../services/analysis/AnalysisProfiles";
+import { BatchQueue } from "../services/batch/BatchQueue";
+import { TextFileExtractor } from "../services/document/TextFileExtractor";
+import type {
+  AnalyzeOptions,
+  SectionRetryResult,
+} from "../services/analysis/PolicyAnalyzer";
 import { HostedFreeTierProvider } from "../services/llm/HostedFreeTierProvider";
-import { TURNSTILE_SITE_KEY, FREE_TIER_ENABLED } from "../utils/constants";
-import type { LLMConfig, DocumentInput, AnalysisResult } from "../types";
+import { LLMProviderFactory } from "../services/llm/LLMProviderFactory";
+import {
+  TURNSTILE_SITE_KEY,
+  FREE_TIER_ENABLED,
+  TEXT_PROCESSING,
+  SERVICE_COMPARISON,
+  USAGE_CONFIG,
+} from "../utils/constants";
+import { isAbortError } from "../utils/helpers";
+import { getFileFormat, validateDocumentText } from "../utils/validation";
+import type {
+  LLMConfig,
+  DocumentInput,
+  AnalysisResult,
+  AnalysisSummary,
+  BatchItem,
+  BatchSettings,
+  AspectAnswer,
+  ComplianceChecklist,
+  DocumentExtraction,
+  EnsembleReport,
+  OCRProgress,
+  PolicyComparison,
+  ServiceAnalysisOutcome,
+  ServiceComparison,
+  ServiceComparisonRun,
+  SummaryType,
+} from "../types";
 
 /**
  * Extended LLM config with optional contextWindow
@@ -28,16 +64,115 @@ interface ContextWindowValidation {
   error?: string;
   contextLength?: number;
   estimatedTokens?: number;
+  /** Whether the document must be analyzed in chunks (map-reduce) */
+  requiresChunking?: boolean;
+  /** Maximum chunk size in characters when chunking is required */
+  chunkSize?: number;
+}
+
+/**
+ * Result of PolicyAnalyzer.analyze(), before it is transformed into an
+ * AnalysisResult
+ */
+type PolicyAnalyzerOutput = Awaited<ReturnType<PolicyAnalyzer["analyze"]>>;
+
+/**
+ * Options for analyzing the text of one document in an analysis session
+ */
+interface DocumentAnalysisOptions {
+  signal: AbortSignal;
+  /** Progress callback, from the context window check to the end */
+  onProgress?: (progress: number, message: string) => void;
+  /** Called once the document fits the model, before it is analyzed */
+  onAnalyzing?: () => void;
+  /** Progress message when the analysis starts (unless chunked) */
+  analyzingMessage?: string;
+  onSectionUpdate?: AnalyzeOptions["onSectionUpdate"];
+  /** Ignore cached responses */
+  refreshCache?: boolean;
+}
+
+/**
+ * Analysis work sharing one analyzer and Turnstile token
+ */
+interface AnalysisSession {
+  /** Analyzer of the session, created (consuming the token) on first call */
+  getAnalyzer: () => Promise<PolicyAnalyzer>;
+  /** Checks the text fits the model's context window, then analyzes it */
+  analyze: (
+    rawText: string,
+    options: DocumentAnalysisOptions,
+  ) => Promise<PolicyAnalyzerOutput>;
+}
+
+/**
+ * Reports the progress of one document of a multi-service comparison
+ */
+export type ServiceProgressCallback = (
+  index: number,
+  progress: number,
+  step: string,
+) => void;
+
+/**
+ * Callbacks of a batch run
+ */
+export interface BatchRunCallbacks {
+  /** Called with the new state of an item whenever it changes */
+  onItemChange?: (item: BatchItem) => void;
+  /** Called with each finished analysis before its item is marked done */
+  onResult?: (result: AnalysisResult) => Promise<void>;
 }
 
 /**
  * Return type for useAnalysisOrchestrator hook
  */
 export interface UseAnalysisOrchestratorReturn {
-  /** Analyze a document from URL */
-  analyzeUrl: (url: string) => Promise<void>;
-  /** Analyze a PDF file */
-  analyzePdf: (file: File) => Promise<void>;
+  /** Analyze a document from URL, or text reviewed from it without fetching again */
+  analyzeUrl: (url: string, reviewedText?: string) => Promise<void>;
+  /** Analyze an uploaded PDF, Word, HTML, Markdown or text file */
+  analyzeFile: (file: File) => Promise<void>;
+  /** Analyze pasted policy text, optionally named by `title` */
+  analyzeText: (text: string, title?: string) => Promise<void>;
+  /** Cancel the running analysis, aborting all in-flight requests */
+  cancelAnalysis: () => void;
+  /**
+   * Regenerate sections listed in the result's partial failures, keeping the
+   * rest of the analysis. Only single-pass (not chunked) results can be retried.
+   */
+  retryFailedSections: (sections: string[]) => Promise<void>;
+  /** Sections currently being regenerated by retryFailedSections() */
+  retryingSections: string[];
+  /**
+   * Analyze the current result's text again without reusing cached
+   * responses. Cancelled by cancelAnalysis().
+   */
+  refreshAnalysis: () => Promise<void>;
+  /** Explain what changed between two analyses of the same service */
+  summarizePolicyChanges: (comparison: PolicyComparison) => Promise<string>;
+  /**
+   * Analyze the policies of 2-5 services one after another and recommend
+   * the most privacy-respecting one. Cancelled by cancelServiceComparison().
+   */
+  analyzeServices: (
+    documents: DocumentInput[],
+    onProgress?: ServiceProgressCallback,
+  ) => Promise<ServiceComparisonRun>;
+  /** Cancel the running service comparison */
+  cancelServiceComparison: () => void;
+  /** Recommend the most privacy-respecting service of a comparison */
+  recommendService: (comparison: ServiceComparison) => Promise<string>;
+  /**
+   * Analyze the pending URLs of a batch queue with limited concurrency and
+   * retries. Paused by cancelBatch().
+   */
+  analyzeBatch: (
+    items: BatchItem[],
+    settings: BatchSettings,
+    callbacks?: BatchRunCallbacks,
+  ) => Promise<BatchItem[]>;
+  /** Pause the running batch; interrupted items stay pending */
+  cancelBatch: () => void;
   /** Unified analysis entry point */
   startAnalysis: (
     documentInput: DocumentInput,
@@ -59,12 +194,18 @@ export interface UseAnalysisOrchestratorReturn {
   setDocumentInput: (doc: DocumentInput) => void;
   /** Update progress */
   updateProgress: (progress: number, currentStep: string) => void;
+  /** Summary text received so far while the analysis streams in */
+  streamingSummary: Partial<AnalysisSummary>;
+  /** Update streamed summary text */
+  updateStreamingSummary: (section: SummaryType, content: string) => void;
   /** Set status to analyzing */
   setAnalyzing: () => void;
   /** Complete analysis with results */
   completeAnalysis: (result: AnalysisResult) => void;
   /** Set error state */
   setError: (error: string) => void;
+  /** Set cancelled state */
+  setCancelled: () => void;
   /** Reset analysis state */
   resetAnalysis: () => void;
   /** Clear results but keep document */
@@ -81,6 +222,8 @@ export interface UseAnalysisOrchestratorReturn {
   isCompleted: boolean;
   /** Whether status is error */
   isError: boolean;
+  /** Whether the analysis was cancelled */
+  isCancelled: boolean;
   /** Whether there is a result */
   hasResult: boolean;
   /** Turnstile component for hosted-free provider (render in DOM when using hosted-free) */
@@ -97,12 +240,19 @@ const DEFAULT_CONTEXT_WINDOWS: Record<string, number> = {
   lmstudio: 8192, // Conservative default for LM Studio
 };
 
-// Rough estimate: ~4 characters per token (varies by model/language)
-const CHARS_PER_TOKEN = 4;
-
 // Reserve tokens for prompts and response (the prompts + expected output)
 const RESERVED_TOKENS = 8000;
 
+// Approximate size of the chunk extraction prompt instructions
+const CHUNK_PROMPT_OVERHEAD_TOKENS = 1500;
+
+// Minimum interval between streamed summary renders
+const STREAM_RENDER_INTERVAL_MS = 150;
+
+// Error while the hosted-free Turnstile token is not available yet
+const VERIFICATION_PENDING_MESSAGE =
+  "Verification in progress. Please wait a moment and try again.";
+
 /**
  * Fetches model context length from OpenRouter API
  * @param modelId - Model ID (e.g., "anthropic/claude-3.5-sonnet")
@@ -141,8 +291,7 @@ async function validateContextWindow(
   text: string,
   config: ExtendedLLMConfig,
 ): Promise<ContextWindowValidation> {
-  const charCount = text.length;
-  const estimatedTokens = Math.ceil(charCount / CHARS_PER_TOKEN);
+  const estimatedTokens = UsageTracker.estimateTokens(text);
 
   let contextLength: number | null = null;
 
@@ -160,6 +309,13 @@ async function validateContextWindow(
       config.model,
       config.apiKey,
     );
+  } else if (
+    config.provider === "openai-compatible" ||
+    config.provider === "anthropic"
+  ) {
+    // Detect from the provider's model listing (null when not reported)
+    contextLength =
+      await LLMProviderFactory.createProvider(config).getContextWindow();
   } else if (config.provider === "ollama" || config.provider === "lmstudio") {
     // For local providers, use conservative defaults
     contextLength = DEFAULT_CONTEXT_WINDOWS[config.provider];
@@ -174,6 +330,26 @@ async function validateContextWindow(
   const availableTokens = contextLength - RESERVED_TOKENS;
 
   if (estimatedTokens > availableTokens) {
+    // Fall back to map-reduce analysis when a useful chunk still fits:
+    // context minus expected output (at most half the window) minus prompt
+    const responseTokens = Math.min(
+      config.maxTokens || RESERVED_TOKENS,
+      Math.floor(contextLength / 2),
+    );
+    const chunkTokens =
+      contextLength - responseTokens - CHUNK_PROMPT_OVERHEAD_TOKENS;
+    const chunkSize = chunkTokens * USAGE_CONFIG.CHARS_PER_TOKEN;
+
+    if (chunkSize >= TEXT_PROCESSING.MIN_CHUNK_SIZE) {
+      return {
+        valid: true,
+        contextLength,
+        estimatedTokens,
+        requiresChunking: true,
+        chunkSize,
+      };
+    }
+
     const modelName = config.model || config.provider;
     const contextK = Math.round(contextLength / 1000);
     const estimatedK = Math.round(estimatedTokens / 1000);
@@ -200,6 +376,222 @@ async function validateContextWindow(
   return { valid: true, contextLength, estimatedTokens };
 }
 
+/**
+ * Builds PolicyAnalyzer options from a context window validation result, the
+ * saved choice of compliance checklists and the active analysis profile
+ * @param validation - Context window validation result
+ * @returns Analyze options (chunked mode when the document is too large)
+ */
+function getAnalyzeOptions(
+  validation: ContextWindowValidation,
+): AnalyzeOptions {
+  const complianceProfiles = ComplianceProfiles.loadSelection();
+  const profile = AnalysisProfiles.getActive();
+  if (validation.requiresChunking) {
+    return {
+      mode: "chunked",
+      chunkSize: validation.chunkSize,
+      complianceProfiles,
+      profile,
+    };
+  }
+  return { mode: "single", complianceProfiles, profile };
+}
+
+/**
+ * Transforms a PolicyAnalyzer result into the orchestrator's result format
+ * @param analysisResult - Result of PolicyAnalyzer.analyze()
+ * @param documentMetadata - Metadata of the analyzed document
+ * @returns Analysis result
+ */
+function toAnalysisResult(
+  analysisResult: PolicyAnalyzerOutput,
+  documentMetadata: AnalysisResult["documentMetadata"],
+): AnalysisResult {
+  return {
+    id: analysisResult.id,
+    documentMetadata,
+    summary: {
+      brief: analysisResult.summaries[0].content,
+      detailed: analysisResult.summaries[1].content,
+      full: analysisResult.summaries[2].content,
+    },
+    risks: analysisResult.risks,
+    keyTerms: analysisResult.keyTerms,
+    scorecard: analysisResult.scorecard,
+    privacyRights: analysisResult.privacyRights,
+    compliance: analysisResult.compliance,
+    dataFlows: analysisResult.dataFlows,
+    aspects: analysisResult.aspects,
+    profile: analysisResult.profile,
+    timestamp: analysisResult.timestamp,
+    llmConfig: analysisResult.llmConfig,
+    partialFailures: analysisResult.partialFailures || [],
+    hasPartialFailures: analysisResult.hasPartialFailures || false,
+    chunkCount: analysisResult.chunkCount,
+    repairs: analysisResult.repairs,
+    cachedAt: analysisResult.cachedAt,
+    cachedSections: analysisResult.cachedSections,
+    usage: analysisResult.usage,
+    ensemble: analysisResult.ensemble,
+  };
+}
+
+/**
+ * Drops the parts of an ensemble report describing risks or a scorecard
+ * that a retry replaced with the primary model's alone
+ * @param ensemble - Ensemble report of the result, if any
+ * @param retried - Output of PolicyAnalyzer.retrySections()
+ * @returns Report of what is still merged, or undefined if nothing is
+ */
+function retainEnsemble(
+  ensemble: EnsembleReport | undefined,
+  retried: SectionRetryResult,
+): EnsembleReport | undefined {
+  if (!ensemble) return undefined;
+  const report: EnsembleReport = {
+    ...ensemble,
+    ...(retried.risks && { risks: [] }),
+    ...(retried.scorecard !== undefined && { categories: {} }),
+  };
+  return report.risks.length > 0 || Object.keys(report.categories).length > 0
+    ? report
+    : undefined;
+}
+
+/**
+ * Merges regenerated sections into an analysis result
+ * @param result - Result with partial failures
+ * @param sections - Sections that were retried
+ * @param retried - Output of PolicyAnalyzer.retrySections()
+ * @returns Result with the regenerated sections, updated failures, repairs
+ * and usage
+ */
+function mergeRetriedSections(
+  result: AnalysisResult,
+  sections: string[],
+  retried: SectionRetryResult,
+): AnalysisResult {
+  const partialFailures = [
+    ...result.partialFailures.filter(
+      (failure) => !sections.includes(failure.section),
+    ),
+    ...retried.partialFailures,
+  ];
+  const repairs = [
+    ...(result.repairs ?? []).filter(
+      (repair) => !sections.includes(repair.section),
+    ),
+    ...retried.repairs,
+  ];
+
+  return {
+    ...result,
+    summary: { ...result.summary, ...retried.summaries },
+    ...(retried.risks && { risks: retried.risks }),
+    ...(retried.keyTerms && { keyTerms: retried.keyTerms }),
+    ...(retried.scorecard !== undefined && { scorecard: retried.scorecard }),
+    ...(retried.privacyRights !== undefined && {
+      privacyRights: retried.privacyRights,
+    }),
+    ...(retried.dataFlows && { dataFlows: retried.dataFlows }),
+    ...(retried.compliance && {
+      compliance: mergeChecklists(result.compliance, retried.compliance),
+    }),
+    ...(retried.aspects && {
+      aspects: mergeAspects(result, retried.aspects),
+    }),
+    partialFailures,
+    hasPartialFailures: partialFailures.length > 0,
+    repairs,
+    usage: UsageTracker.merge(result.usage, retried.usage),
+    ensemble: retainEnsemble(result.ensemble, retried),
+  };
+}
+
+/**
+ * Adds regenerated checklists to those of a result, replacing any of the
+ * same profile
+ * @param checklists - Checklists of the result, if any
+ * @param retried - Regenerated checklists
+ * @returns Checklists in profile order
+ */
+function mergeChecklists(
+  checklists: ComplianceChecklist[] = [],
+  retried: ComplianceChecklist[],
+): ComplianceChecklist[] {
+  const order = ComplianceProfiles.list().map((profile) => profile.id);
+  return [
+    ...checklists.filter(
+      (checklist) =>
+        !retried.some((added) => added.profile === checklist.profile),
+    ),
+    ...retried,
+  ].sort((a, b) => order.indexOf(a.profile) - order.indexOf(b.profile));
+}
+
+/**
+ * Adds regenerated aspect answers to those of a result, replacing any of the
+ * same aspect
+ * @param result - Result the answers belong to
+ * @param retried - Regenerated answers
+ * @returns Answers in the order of the result's profile
+ */
+function mergeAspects(
+  result: AnalysisResult,
+  retried: AspectAnswer[],
+): AspectAnswer[] {
+  const order = (result.profile?.aspects ?? []).map((aspect) => aspect.id);
+  return [
+    ...(result.aspects ?? []).filter(
+      (answer) => !retried.some((added) => added.aspectId === answer.aspectId),
+    ),
+    ...retried,
+  ].sort((a, b) => order.indexOf(a.aspectId) - order.indexOf(b.aspectId));
+}
+
+/**
+ * Document metadata of an uploaded file
+ * @param file - Uploaded file
+ * @param extraction - Extracted text and the pages that were OCR'd
+ * @returns Metadata for the analysis result
+ */
+function toFileMetadata(
+  file: File,
+  { text, ocrPages }: DocumentExtraction,
+): AnalysisResult["documentMetadata"] {
+  return {
+    source: file.name,
+    type: getFileFormat(file) === "pdf" ? "pdf" : "file",
+    file: { name: file.name, size: file.size, type: file.type },
+    rawText: text,
+    ...(ocrPages.length > 0 && { ocrPages }),
+  };
+}
+
+/**
+ * Progress while scanned PDF pages are recognized, spread over the
+ * extraction phase (5-30%)
+ * @param ocr - OCR progress
+ * @returns Overall progress and message
+ */
+function getOcrProgress(ocr: OCRProgress): [number, string] {
+  const done = (ocr.current - 1 + ocr.progress) / ocr.total;
+  return [
+    5 + Math.round(done * 25),
+    `Reading scanned page ${ocr.page} with OCR (${ocr.current} of ${ocr.total})...`,
+  ];
+}
+
+/**
+ * Progress message while an uploaded file is read
+ */
+function getReadingMessage(file: File): string {
+  return getFileFormat(file) === "pdf"
+    ? "Reading PDF file..."
+    : "Reading document...";
+}
+
 /**
  * Hook for orchestrating document analysis
  * Handles document extraction, state management, and error handling
@@ -233,6 +625,7 @@ export function useAnalysisOrchestrator(): UseAnalysisOrchestratorReturn {
    * Creates a PolicyAnalyzer instance with proper provider setup
    * For hosted-free, creates provider manually, obtains session token,
    * checks and caches tier status, and configures the provider for parallel API calls.
+   * Every provider is wrapped in the configured retry policy and fallback chain.
    */
   const createAnalyzer = useCallback(async (): Promise<PolicyAnalyzer> => {
     if (isHostedFree) {
@@ -250,12 +643,99 @@ export function useAnalysisOrchestrator(): UseAnalysisOrchestratorReturn {
       // This commits us to one tier (paid-central or free) for all 7 parallel requests
       await provider.checkAndCacheStatus();
 
-      return new PolicyAnalyzer(llm.config, provider);
+      return new PolicyAnalyzer(
+        llm.config,
+        LLMProviderFactory.createWithFallbacks(llm.config, provider),
+      );
     }
-    // For other providers, let PolicyAnalyzer create the provider
-    return new PolicyAnalyzer(llm.config);
+    // Wrap other providers in the retry policy and fallback chain
+    return new PolicyAnalyzer(
+      llm.config,
+      LLMProviderFactory.createWithFallbacks(llm.config),
+    );
   }, [isHostedFree, llm.config, turnstileToken]);
 
+  /**
+   * Runs analysis work in one Turnstile session: checks the token first,
+   * creates the analyzer when the work first needs it and refreshes the
+   * consumed token once the work ends, however it ends
+   * @param work - Work to run in the session
+   * @returns Result of the work
+   * @throws Error if the Turnstile token is not available yet
+   */
+  const withAnalysisSession = useCallback(
+    async <T>(work: (session: AnalysisSession) => Promise<T>): Promise<T> => {
+      // For hosted-free provider, ensure Turnstile token is available
+      if (isHostedFree && !turnstileToken) {
+        throw new Error(VERIFICATION_PENDING_MESSAGE);
+      }
+
+      let analyzer = null as Promise<PolicyAnalyzer> | null;
+      const getAnalyzer = (): Promise<PolicyAnalyzer> =>
+        (analyzer ??= createAnalyzer());
+
+      const analyze = async (
+        rawText: string,
+        {
+          signal,
+          onProgress,
+          onAnalyzing,
+          analyzingMessage = "Analyzing policy with AI...",
+          onSectionUpdate,
+          refreshCache,
+        }: DocumentAnalysisOptions,
+      ): Promise<PolicyAnalyzerOutput> => {
+        // Validate context window before sending to LLM
+        onProgress?.(32, "Checking model context limits...");
+        const contextValidation = await validateContextWindow(
+          rawText,
+          llm.config as ExtendedLLMConfig,
+        );
+        if (!contextValidation.valid) {
+          throw new Error(contextValidation.error);
+        }
+
+        onAnalyzing?.();
+        // Progress during LLM analysis is reported by the analyzer as
+        // responses stream in
+        onProgress?.(
+          35,
+          contextValidation.requiresChunking
+            ? "Document exceeds model context, analyzing in sections..."
+            : analyzingMessage,
+        );
+
+        return (await getAnalyzer()).analyze(
+          rawText,
+          onProgress,
+          true, // useParallel = true for Promise.allSettled
+          {
+            ...getAnalyzeOptions(contextValidation),
+            onSectionUpdate,
+            signal,
+            ...(refreshCache && { refreshCache }),
+          },
+        );
+      };
+
+      try {
+        return await work({ getAnalyzer, analyze });
+      } finally {
+        // Refresh Turnstile token after use (tokens are single-use)
+        if (isHostedFree && analyzer) {
+          refreshTurnstile();
+        }
+      }
+    },
+    [
+      isHostedFree,
+      turnstileToken,
+      createAnalyzer,
+      llm.config,
+      refreshTurnstile,
+    ],
+  );
+
   // Ref to hold simulated progress interval
   const simulatedProgressRef = useRef<ReturnType<typeof setInterval> | null>(
     null,
@@ -295,240 +775,666 @@ export function useAnalysisOrchestrator(): UseAnalysisOrchestratorReturn {
     }
   }, []);
 
+  // Streamed summary text waiting to be flushed to state (throttled)
+  const pendingSummaryRef = useRef<Partial<AnalysisSummary>>({});
+  const summaryFlushRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+  /**
+   * Buffers streamed summary text and flushes it at most every
+   * STREAM_RENDER_INTERVAL_MS to avoid re-rendering on every token
+   */
+  const handleSectionUpdate = useCallback(
+    (section: SummaryType, content: string): void => {
+      pendingSummaryRef.current[section] = content;
+      if (summaryFlushRef.current) return;
+
+      summaryFlushRef.current = setTimeout(() => {
+        summaryFlushRef.current = null;
+        const pending = pendingSummaryRef.current;
+        pendingSummaryRef.current = {};
+        (Object.keys(pending) as SummaryType[]).forEach((key) => {
+          analysis.updateStreamingSummary(key, pending[key] as string);
+        });
+      }, STREAM_RENDER_INTERVAL_MS);
+    },
+    [analysis],
+  );
+
+  /**
+   * Discard any streamed summary text that has not been rendered yet
+   */
+  const clearPendingSummary = useCallback((): void => {
+    if (summaryFlushRef.current) {
+      clearTimeout(summaryFlushRef.current);
+      summaryFlushRef.current = null;
+    }
+    pendingSummaryRef.current = {};
+  }, []);
+
+  // Controller for the analysis in flight (aborted on cancel or unmount)
+  const abortControllerRef = useRef<AbortController | null>(null);
+
+  // Controller for a section retry in flight (aborted on cancel or unmount)
+  const retryAbortControllerRef = useRef<AbortController | null>(null);
+
+  // Controller for the service comparison in flight, independent of the
+  // single analysis (aborted on its own cancel or unmount)
+  const comparisonAbortControllerRef = useRef<AbortController | null>(null);
+
+  // Controller for the batch run in flight, independent of the single
+  // analysis (aborted on pause or unmount)
+  const batchAbortControllerRef = useRef<AbortController | null>(null);
+
+  /**
+   * Starts a new cancellable run, aborting any previous one
+   * @returns Signal to pass through extraction and analysis
+   */
+  const beginCancellableRun = useCallback((): AbortSignal => {
+    abortControllerRef.current?.abort();
+    // A section retry would otherwise overwrite the new run's result
+    retryAbortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    return controller.signal;
+  }, []);
+
+  /**
+   * Cancels the running analysis. The catch handler of the run moves the
+   * context into the cancelled state once in-flight requests have stopped.
+   */
+  const cancelAnalysis = useCallback((): void => {
+    abortControllerRef.current?.abort();
+    retryAbortControllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Cancels the running service comparison
+   */
+  const cancelServiceComparison = useCallback((): void => {
+    comparisonAbortControllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Pauses the running batch
+   */
+  const cancelBatch = useCallback((): void => {
+    batchAbortControllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Puts the context into the cancelled or error state for a failed run
+   * @param err - Error thrown by the run
+   * @param signal - Signal of the run
+   * @param fallbackMessage - Message when the error has none
+   */
+  const handleRunError = useCallback(
+    (err: unknown, signal: AbortSignal, fallbackMessage: string): void => {
+      stopSimulatedProgress();
+      clearPendingSummary();
+
+      if (signal.aborted || isAbortError(err)) {
+        // A newer run replaced this one; leave its state alone
+        if (abortControllerRef.current?.signal !== signal) return;
+        analysis.setCancelled();
+        return;
+      }
+
+      analysis.setError(
+        (err instanceof Error ? err.message : null) || fallbackMessage,
+      );
+    },
+    [analysis, stopSimulatedProgress, clearPendingSummary],
+  );
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
+      abortControllerRef.current?.abort();
+      retryAbortControllerRef.current?.abort();
+      comparisonAbortControllerRef.current?.abort();
+      batchAbortControllerRef.current?.abort();
       if (simulatedProgressRef.current) {
         clearInterval(simulatedProgressRef.current);
       }
+      if (summaryFlushRef.current) {
+        clearTimeout(summaryFlushRef.current);
+      }
     };
   }, []);
 
   /**
    * Analyzes a document from URL
    * @param url - Document URL
+   * @param reviewedText - Text the user reviewed (and possibly edited) from
+   * the page; skips fetching it again
    */
   const analyzeUrl = useCallback(
-    async (url: string): Promise<void> => {
+    async (url: string, reviewedText?: string): Promise<void> => {
+      const signal = beginCancellableRun();
       try {
-        // For hosted-free provider, ensure Turnstile token is available
-        if (isHostedFree && !turnstileToken) {
-          throw new Error(
-            "Verification in progress. Please wait a moment and try again.",
-          );
-        }
-
-        // Set document input (format matches what startAnalysis expects for retry)
-        analysis.setDocumentInput({
-          type: "url",
-          source: url,
-        });
-
-        // Start analysis
-        analysis.startAnalysis();
-        analysis.updateProgress(5, "Fetching document from URL...");
-
-        // Start simulated progress during URL fetch
-        startSimulatedProgress(5, 25, "Fetching document from URL...");
-
-        // Extract text
-        const rawText = await extractor.extractFromUrl(url);
-        stopSimulatedProgress();
-
-        analysis.updateProgress(30, "Document text extracted successfully");
+        await withAnalysisSession(async ({ analyze }) => {
+          // Set document input (format matches what startAnalysis expects for retry)
+          analysis.setDocumentInput({
+            type: "url",
+            source: url,
+            ...(reviewedText !== undefined && { rawText: reviewedText }),
+          });
 
-        // Validate context window before sending to LLM
-        analysis.updateProgress(32, "Checking model context limits...");
-        const contextValidation = await validateContextWindow(
-          rawText,
-          llm.config as ExtendedLLMConfig,
-        );
-        if (!contextValidation.valid) {
-          throw new Error(contextValidation.error);
-        }
+          // Start analysis
+          analysis.startAnalysis();
 
-        // Begin LLM analysis
-        analysis.setAnalyzing();
+          let rawText: string;
+          if (reviewedText !== undefined) {
+            rawText = TextFileExtractor.normalizeText(reviewedText);
+            const textValidation = validateDocumentText(rawText);
+            if (!textValidation.valid) {
+              throw new Error(textValidation.errors[0].message);
+            }
+            analysis.updateProgress(30, "Using the reviewed page text");
+          } else {
+            analysis.updateProgress(5, "Fetching document from URL...");
 
-        // Start simulated progress during LLM analysis
-        startSimulatedProgress(35, 85, "Analyzing policy with AI...");
+            // Start simulated progress during URL fetch
+            startSimulatedProgress(5, 25, "Fetching document from URL...");
 
-        // Create analyzer with proper provider setup (handles Turnstile for hosted-free)
-        const analyzer = await createAnalyzer();
-        const analysisResult = await analyzer.analyze(
-          rawText,
-          (progress: number, message: string) => {
+            // Extract text
+            rawText = await extractor.extractFromUrl(url, signal);
             stopSimulatedProgress();
-            analysis.updateProgress(progress, message);
-          },
-          true, // useParallel = true for Promise.allSettled
-        );
-        stopSimulatedProgress();
 
-        // Refresh Turnstile token after use (tokens are single-use)
-        if (isHostedFree) {
-          refreshTurnstile();
-        }
+            analysis.updateProgress(30, "Document text extracted successfully");
+          }
 
-        // Transform PolicyAnalyzer result format to orchestrator format
-        const result: AnalysisResult = {
-          id: analysisResult.id,
-          documentMetadata: {
+          const analysisResult = await analyze(rawText, {
+            signal,
+            onProgress: analysis.updateProgress,
+            onAnalyzing: analysis.setAnalyzing,
+            onSectionUpdate: handleSectionUpdate,
+          });
+          clearPendingSummary();
+
+          // Transform PolicyAnalyzer result format to orchestrator format
+          const result = toAnalysisResult(analysisResult, {
             source: url,
             type: "url",
             rawText,
-          },
-          summary: {
-            brief: analysisResult.summaries[0].content,
-            detailed: analysisResult.summaries[1].content,
-            full: analysisResult.summaries[2].content,
-          },
-          risks: analysisResult.risks,
-          keyTerms: analysisResult.keyTerms,
-          scorecard: analysisResult.scorecard,
-          privacyRights: analysisResult.privacyRights,
-          timestamp: analysisResult.timestamp,
-          llmConfig: analysisResult.llmConfig,
-          partialFailures: analysisResult.partialFailures || [],
-          hasPartialFailures: analysisResult.hasPartialFailures || false,
-        };
-
-        // Complete analysis
-        analysis.completeAnalysis(result);
+          });
+
+          // Complete analysis
+          analysis.completeAnalysis(result);
+        });
       } catch (err) {
-        stopSimulatedProgress();
-        analysis.setError(
-          (err instanceof Error ? err.message : null) ||
-            "Failed to analyze document",
-        );
+        handleRunError(err, signal, "Failed to analyze document");
+      } finally {
+        if (abortControllerRef.current?.signal === signal) {
+          abortControllerRef.current = null;
+        }
       }
     },
     [
       analysis,
       extractor,
-      llm,
       startSimulatedProgress,
       stopSimulatedProgress,
-      createAnalyzer,
-      isHostedFree,
-      turnstileToken,
-      refreshTurnstile,
+      withAnalysisSession,
+      handleSectionUpdate,
+      clearPendingSummary,
+      beginCancellableRun,
+      handleRunError,
     ],
   );
 
   /**
-   * Analyzes a PDF file
-   * @param file - PDF file
+   * Analyzes an uploaded PDF, Word, HTML, Markdown or text file
+   * @param file - Uploaded file
    */
-  const analyzePdf = useCallback(
+  const analyzeFile = useCallback(
     async (file: File): Promise<void> => {
+      const signal = beginCancellableRun();
       try {
-        // For hosted-free provider, ensure Turnstile token is available
-        if (isHostedFree && !turnstileToken) {
-          throw new Error(
-            "Verification in progress. Please wait a moment and try again.",
-          );
-        }
+        await withAnalysisSession(async ({ analyze }) => {
+          // Set document input (format matches what startAnalysis expects for retry)
+          analysis.setDocumentInput({
+            type: "file",
+            source: file,
+          });
 
-        // Set document input (format matches what startAnalysis expects for retry)
-        analysis.setDocumentInput({
-          type: "file",
-          source: file,
-        });
+          // Start analysis
+          analysis.startAnalysis();
+          analysis.updateProgress(5, getReadingMessage(file));
 
-        // Start analysis
-        analysis.startAnalysis();
-        analysis.updateProgress(5, "Reading PDF file...");
+          // Start simulated progress during extraction
+          startSimulatedProgress(5, 25, getReadingMessage(file));
 
-        // Start simulated progress during PDF extraction
-        startSimulatedProgress(5, 25, "Reading PDF file...");
+          // Extract text; scanned pages report real progress instead
+          const extraction = await extractor.extractFromFile(
+            file,
+            signal,
+            (ocr) => {
+              stopSimulatedProgress();
+              analysis.updateProgress(...getOcrProgress(ocr));
+            },
+          );
+          const rawText = extraction.text;
+          stopSimulatedProgress();
 
-        // Extract text
-        const rawText = await extractor.extractFromPdf(file);
-        stopSimulatedProgress();
+          analysis.updateProgress(30, "Document text extracted successfully");
 
-        analysis.updateProgress(30, "PDF text extracted successfully");
+          const analysisResult = await analyze(rawText, {
+            signal,
+            onProgress: analysis.updateProgress,
+            onAnalyzing: analysis.setAnalyzing,
+            onSectionUpdate: handleSectionUpdate,
+          });
+          clearPendingSummary();
 
-        // Validate context window before sending to LLM
-        analysis.updateProgress(32, "Checking model context limits...");
-        const contextValidation = await validateContextWindow(
-          rawText,
-          llm.config as ExtendedLLMConfig,
-        );
-        if (!contextValidation.valid) {
-          throw new Error(contextValidation.error);
+          // Transform PolicyAnalyzer result format to orchestrator format
+          const result = toAnalysisResult(
+            analysisResult,
+            toFileMetadata(file, extraction),
+          );
+
+          // Complete analysis
+          analysis.completeAnalysis(result);
+        });
+      } catch (err) {
+        handleRunError(err, signal, "Failed to analyze file");
+      } finally {
+        if (abortControllerRef.current?.signal === signal) {
+          abortControllerRef.current = null;
         }
+      }
+    },
+    [
+      analysis,
+      extractor,
+      startSimulatedProgress,
+      stopSimulatedProgress,
+      withAnalysisSession,
+      handleSectionUpdate,
+      clearPendingSummary,
+      beginCancellableRun,
+      handleRunError,
+    ],
+  );
 
-        // Begin LLM analysis
-        analysis.setAnalyzing();
+  /**
+   * Analyzes pasted policy text
+   * @param text - Policy text
+   * @param title - Optional name shown as the source of the analysis
+   */
+  const analyzeText = useCallback(
+    async (text: string, title?: string): Promise<void> => {
+      const signal = beginCancellableRun();
+      try {
+        await withAnalysisSession(async ({ analyze }) => {
+          // Set document input (format matches what startAnalysis expects for retry)
+          analysis.setDocumentInput({
+            type: "text",
+            source: text,
+            metadata: { title },
+          });
 
-        // Start simulated progress during LLM analysis
-        startSimulatedProgress(35, 85, "Analyzing policy with AI...");
+          // Start analysis
+          analysis.startAnalysis();
+          analysis.updateProgress(5, "Preparing pasted text...");
 
-        // Create analyzer with proper provider setup (handles Turnstile for hosted-free)
-        const analyzer = await createAnalyzer();
-        const analysisResult = await analyzer.analyze(
-          rawText,
-          (progress: number, message: string) => {
-            stopSimulatedProgress();
-            analysis.updateProgress(progress, message);
-          },
-          true, // useParallel = true for Promise.allSettled
-        );
-        stopSimulatedProgress();
+          const rawText = TextFileExtractor.normalizeText(text);
+          const textValidation = validateDocumentText(rawText);
+          if (!textValidation.valid) {
+            throw new Error(textValidation.errors[0].message);
+          }
 
-        // Refresh Turnstile token after use (tokens are single-use)
-        if (isHostedFree) {
-          refreshTurnstile();
-        }
+          const analysisResult = await analyze(rawText, {
+            signal,
+            onProgress: analysis.updateProgress,
+            onAnalyzing: analysis.setAnalyzing,
+            onSectionUpdate: handleSectionUpdate,
+          });
+          clearPendingSummary();
 
-        // Transform PolicyAnalyzer result format to orchestrator format
-        const result: AnalysisResult = {
-          id: analysisResult.id,
-          documentMetadata: {
-            source: file.name,
-            type: "pdf",
-            file: { name: file.name, size: file.size, type: file.type },
+          // Transform PolicyAnalyzer result format to orchestrator format
+          const result = toAnalysisResult(analysisResult, {
+            source: title?.trim() || "Pasted text",
+            type: "text",
             rawText,
-          },
-          summary: {
-            brief: analysisResult.summaries[0].content,
-            detailed: analysisResult.summaries[1].content,
-            full: analysisResult.summaries[2].content,
-          },
-          risks: analysisResult.risks,
-          keyTerms: analysisResult.keyTerms,
-          scorecard: analysisResult.scorecard,
-          privacyRights: analysisResult.privacyRights,
-          timestamp: analysisResult.timestamp,
-          llmConfig: analysisResult.llmConfig,
-          partialFailures: analysisResult.partialFailures || [],
-          hasPartialFailures: analysisResult.hasPartialFailures || false,
-        };
-
-        // Complete analysis
-        analysis.completeAnalysis(result);
+          });
+
+          // Complete analysis
+          analysis.completeAnalysis(result);
+        });
       } catch (err) {
-        stopSimulatedProgress();
-        analysis.setError(
-          (err instanceof Error ? err.message : null) ||
-            "Failed to analyze PDF",
-        );
+        handleRunError(err, signal, "Failed to analyze text");
+      } finally {
+        if (abortControllerRef.current?.signal === signal) {
+          abortControllerRef.current = null;
+        }
       }
     },
     [
       analysis,
-      extractor,
-      llm,
-      startSimulatedProgress,
-      stopSimulatedProgress,
-      createAnalyzer,
-      isHostedFree,
-      turnstileToken,
-      refreshTurnstile,
+      withAnalysisSession,
+      handleSectionUpdate,
+      clearPendingSummary,
+      beginCancellableRun,
+      handleRunError,
     ],
   );
 
+  // Sections of the current result being regenerated
+  const [retryingSections, setRetryingSections] = useState<string[]>([]);
+
+  /**
+   * Regenerates failed sections of the current result without redoing the
+   * rest of the analysis. Sections that fail again stay in partialFailures
+   * with their new error.
+   * @param sections - Section names from `partialFailures`
+   */
+  const retryFailedSections = useCallback(
+    async (sections: string[]): Promise<void> => {
+      const current = analysis.result;
+      // Without the policy text the model would make the sections up
+      if (
+        !current ||
+        current.chunkCount !== undefined ||
+        !current.documentMetadata.rawText.trim() ||
+        sections.length === 0 ||
+        retryingSections.length > 0
+      ) {
+        return;
+      }
+
+      const controller = new AbortController();
+      retryAbortControllerRef.current = controller;
+      setRetryingSections(sections);
+      try {
+        const retried = await withAnalysisSession(async ({ getAnalyzer }) =>
+          (await getAnalyzer()).retrySections(
+            current.documentMetadata.rawText,
+            sections,
+            { signal: controller.signal, profile: current.profile },
+          ),
+        );
+        analysis.completeAnalysis(
+          mergeRetriedSections(current, sections, retried),
+        );
+      } catch (err) {
+        if (!isAbortError(err)) {
+          // Keep the result and report the new error on each section
+          const error = err instanceof Error ? err.message : "Unknown error";
+          analysis.completeAnalysis(
+            mergeRetriedSections(current, sections, {
+              summaries: {},
+              partialFailures: sections.map((section) => ({ section, error })),
+              repairs: [],
+            }),
+          );
+        }
+      } finally {
+        retryAbortControllerRef.current = null;
+        setRetryingSections([]);
+      }
+    },
+    [analysis, retryingSections, withAnalysisSession],
+  );
+
+  /**
+   * Analyzes the text of the current result again, ignoring the response
+   * cache, and replaces the result when done
+   */
+  const refreshAnalysis = useCallback(async (): Promise<void> => {
+    const current = analysis.result;
+    // Without the policy text the model would make the analysis up
+    if (!current || !current.documentMetadata.rawText.trim()) {
+      return;
+    }
+
+    const signal = beginCancellableRun();
+    try {
+      await withAnalysisSession(async ({ analyze }) => {
+        analysis.startAnalysis();
+
+        const analysisResult = await analyze(current.documentMetadata.rawText, {
+          signal,
+          onProgress: analysis.updateProgress,
+          onAnalyzing: analysis.setAnalyzing,
+          analyzingMessage: "Analyzing policy again with AI...",
+          onSectionUpdate: handleSectionUpdate,
+          refreshCache: true,
+        });
+        clearPendingSummary();
+
+        analysis.completeAnalysis(
+          toAnalysisResult(analysisResult, current.documentMetadata),
+        );
+      });
+    } catch (err) {
+      handleRunError(err, signal, "Failed to analyze document");
+    } finally {
+      if (abortControllerRef.current?.signal === signal) {
+        abortControllerRef.current = null;
+      }
+    }
+  }, [
+    analysis,
+    withAnalysisSession,
+    handleSectionUpdate,
+    clearPendingSummary,
+    beginCancellableRun,
+    handleRunError,
+  ]);
+
+  /**
+   * Explains what changed between two analyses using the configured model
+   * @param comparison - Comparison produced by PolicyDiffer
+   * @returns Markdown explanation of the changes
+   */
+  const summarizePolicyChanges = useCallback(
+    (comparison: PolicyComparison): Promise<string> =>
+      withAnalysisSession(async ({ getAnalyzer }) =>
+        (await getAnalyzer()).summarizeChanges(comparison),
+      ),
+    [withAnalysisSession],
+  );
+
+  /**
+   * Analyzes several services' policies one after another, without touching
+   * the single-analysis state, then recommends the most privacy-respecting
+   * one. A failed document does not stop the others.
+   * @param documents - 2-5 policy URLs or PDF files
+   * @param onProgress - Progress callback per document
+   * @returns Outcomes, comparison and recommendation
+   * @throws AbortError if the run is cancelled through cancelServiceComparison()
+   */
+  const analyzeServices = useCallback(
+    async (
+      documents: DocumentInput[],
+      onProgress?: ServiceProgressCallback,
+    ): Promise<ServiceComparisonRun> => {
+      if (
+        documents.length < SERVICE_COMPARISON.MIN_SERVICES ||
+        documents.length > SERVICE_COMPARISON.MAX_SERVICES
+      ) {
+        throw new Error(
+          `Choose between ${SERVICE_COMPARISON.MIN_SERVICES} and ${SERVICE_COMPARISON.MAX_SERVICES} policies to compare.`,
+        );
+      }
+
+      comparisonAbortControllerRef.current?.abort();
+      const controller = new AbortController();
+      comparisonAbortControllerRef.current = controller;
+      const { signal } = controller;
+      try {
+        return await withAnalysisSession(async ({ getAnalyzer, analyze }) => {
+          // One analyzer (and hosted-free session) serves the whole run
+          const analyzer = await getAnalyzer();
+          const outcomes: ServiceAnalysisOutcome[] = [];
+
+          for (const [index, document] of documents.entries()) {
+            const report = (progress: number, step: string) =>
+              onProgress?.(index, progress, step);
+            const file =
+              document.type === "file" ? (document.source as File) : null;
+
+            try {
+              report(
+                5,
+                file
+                  ? getReadingMessage(file)
+                  : "Fetching document from URL...",
+              );
+              const extraction = file
+                ? await extractor.extractFromFile(file, signal, (ocr) =>
+                    report(...getOcrProgress(ocr)),
+                  )
+                : {
+                    text: await extractor.extractFromUrl(
+                      document.source as string,
+                      signal,
+                    ),
+                    ocrPages: [],
+                  };
+              const rawText = extraction.text;
+
+              const analysisResult = await analyze(rawText, {
+                signal,
+                onProgress: report,
+              });
+
+              outcomes.push({
+                document,
+                result: toAnalysisResult(
+                  analysisResult,
+                  file
+                    ? toFileMetadata(file, extraction)
+                    : {
+                        source: document.source as string,
+                        type: "url",
+                        rawText,
+                      },
+                ),
+                error: null,
+              });
+              report(100, "Analysis complete");
+            } catch (err) {
+              if (signal.aborted || isAbortError(err)) throw err;
+              outcomes.push({
+                document,
+                result: null,
+                error:
+                  (err instanceof Error ? err.message : null) ||
+                  "Failed to analyze document",
+              });
+            }
+          }
+
+          const results = outcomes
+            .map((outcome) => outcome.result)
+            .filter((result): result is AnalysisResult => result !== null);
+          if (results.length < SERVICE_COMPARISON.MIN_SERVICES) {
+            return {
+              outcomes,
+              comparison: null,
+              recommendation: null,
+              recommendationError: null,
+            };
+          }
+
+          const comparison = ServiceComparer.compare(results);
+          try {
+            return {
+              outcomes,
+              comparison,
+              recommendation: await analyzer.recommendService(
+                comparison,
+                signal,
+              ),
+              recommendationError: null,
+            };
+          } catch (err) {
+            if (signal.aborted || isAbortError(err)) throw err;
+            return {
+              outcomes,
+              comparison,
+              recommendation: null,
+              recommendationError:
+                (err instanceof Error ? err.message : null) ||
+                "Failed to recommend a service",
+            };
+          }
+        });
+      } finally {
+        if (comparisonAbortControllerRef.current === controller) {
+          comparisonAbortControllerRef.current = null;
+        }
+      }
+    },
+    [extractor, withAnalysisSession],
+  );
+
+  /**
+   * Recommends the most privacy-respecting service using the configured model
+   * @param comparison - Comparison produced by ServiceComparer
+   * @returns Markdown recommendation
+   */
+  const recommendService = useCallback(
+    (comparison: ServiceComparison): Promise<string> =>
+      withAnalysisSession(async ({ getAnalyzer }) =>
+        (await getAnalyzer()).recommendService(comparison),
+      ),
+    [withAnalysisSession],
+  );
+
+  /**
+   * Analyzes the pending URLs of a batch queue without touching the
+   * single-analysis state. Failed URLs are retried with backoff; a URL that
+   * keeps failing does not stop the others.
+   * @param items - Queue items
+   * @param settings - Concurrency and retry settings
+   * @param callbacks - Item change and result callbacks
+   * @returns Items after the run
+   * @throws AbortError if the run is paused through cancelBatch()
+   */
+  const analyzeBatch = useCallback(
+    async (
+      items: BatchItem[],
+      settings: BatchSettings,
+      callbacks: BatchRunCallbacks = {},
+    ): Promise<BatchItem[]> => {
+      batchAbortControllerRef.current?.abort();
+      const controller = new AbortController();
+      batchAbortControllerRef.current = controller;
+      const { signal } = controller;
+      try {
+        return await withAnalysisSession(async ({ getAnalyzer, analyze }) => {
+          // One analyzer (and hosted-free session) serves the whole batch
+          await getAnalyzer();
+
+          return BatchQueue.run(items, {
+            settings,
+            signal,
+            onItemChange: callbacks.onItemChange,
+            process: async (item) => {
+              const rawText = await extractor.extractFromUrl(item.url, signal);
+              const analysisResult = await analyze(rawText, { signal });
+              const result = toAnalysisResult(analysisResult, {
+                source: item.url,
+                type: "url",
+                rawText,
+              });
+              await callbacks.onResult?.(result);
+              return BatchQueue.summarizeResult(result);
+            },
+          });
+        });
+      } finally {
+        if (batchAbortControllerRef.current === controller) {
+          batchAbortControllerRef.current = null;
+        }
+      }
+    },
+    [extractor, withAnalysisSession],
+  );
+
   /**
    * Unified analysis entry point - dispatches to appropriate handler based on document type
    * @param documentInput - Document input from DocumentInput component
@@ -540,24 +1446,43 @@ export function useAnalysisOrchestrator(): UseAnalysisOrchestratorReturn {
       _config?: LLMConfig,
     ): Promise<void> => {
       if (documentInput.type === "url") {
-        return analyzeUrl(documentInput.source as string);
+        return analyzeUrl(
+          documentInput.source as string,
+          documentInput.rawText,
+        );
       } else if (documentInput.type === "file") {
-        return analyzePdf(documentInput.source as File);
+        return analyzeFile(documentInput.source as File);
+      } else if (documentInput.type === "text") {
+        return analyzeText(
+          documentInput.source as string,
+          documentInput.metadata?.title,
+        );
       } else {
         throw new Error(
           `Unknown document type: ${(documentInput as DocumentInput).type}`,
         );
       }
     },
-    [analyzeUrl, analyzePdf],
+    [analyzeUrl, analyzeFile, analyzeText],
   );
 
   return {
     // Spread analysis context first, then override with orchestrator's functions
     ...analysis,
     analyzeUrl,
-    analyzePdf,
+    analyzeFile,
+    analyzeText,
     startAnalysis,
+    cancelAnalysis,
+    cancelServiceComparison,
+    retryFailedSections,
+    retryingSections,
+    refreshAnalysis,
+    summarizePolicyChanges,
+    analyzeServices,
+    recommendService,
+    analyzeBatch,
+    cancelBatch,
     // Turnstile integration for hosted-free provider
     TurnstileComponent,
     isTurnstileReady,
@@ -0,0 +1,73 @@
+/**
+ * @file Analysis profiles hook
+ * @description Hook for the saved analysis profiles and the one new analyses
+ * run with
+ */
+
+import { useState, useCallback } from "react";
+import { AnalysisProfiles } from "../services/analysis/AnalysisProfiles";
+import type { AnalysisProfile } from "../types";
+
+/**
+ * Return type for useAnalysisProfiles hook
+ */
+export interface UseAnalysisProfilesReturn {
+  /** All profiles, the standard profile first */
+  profiles: AnalysisProfile[];
+  /** Profile new analyses run with */
+  activeProfile: AnalysisProfile;
+  /** Makes a profile the active one */
+  setActiveProfile: (id: string) => void;
+  /**
+   * Saves a new or changed profile
+   * @throws Error with a user-facing message if the profile is invalid
+   */
+  saveProfile: (profile: AnalysisProfile) => AnalysisProfile;
+  /** Deletes a saved profile */
+  deleteProfile: (id: string) => void;
+}
+
+/**
+ * Hook for analysis profiles. The analysis reads the active profile when it
+ * starts, so changes apply to the next analysis.
+ * @returns Profiles, the active profile and functions to change them
+ */
+export function useAnalysisProfiles(): UseAnalysisProfilesReturn {
+  const [profiles, setProfiles] = useState<AnalysisProfile[]>(() =>
+    AnalysisProfiles.list(),
+  );
+  const [activeId, setActiveId] = useState<string>(() =>
+    AnalysisProfiles.loadActiveId(),
+  );
+
+  const setActiveProfile = useCallback((id: string): void => {
+    AnalysisProfiles.saveActiveId(id);
+    setActiveId(AnalysisProfiles.loadActiveId());
+  }, []);
+
+  const saveProfile = useCallback(
+    (profile: AnalysisProfile): AnalysisProfile => {
+      const saved = AnalysisProfiles.save(profile);
+      setProfiles(AnalysisProfiles.list());
+      return saved;
+    },
+    [],
+  );
+
+  const deleteProfile = useCallback((id: string): void => {
+    AnalysisProfiles.remove(id);
+    setProfiles(AnalysisProfiles.list());
+    setActiveId(AnalysisProfiles.loadActiveId());
+  }, []);
+
+  const activeProfile =
+    profiles.find((profile) => profile.id === activeId) ?? profiles[0];
+
+  return {
+    profiles,
+    activeProfile,
+    setActiveProfile,
+    saveProfile,
+    deleteProfile,
+  };
+}
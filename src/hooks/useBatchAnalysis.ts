@@ -0,0 +1,237 @@
+/**
+ * @file Batch analysis hook
+ * @description Hook for running the batch analysis queue, persisting it
+ * between page loads and exporting its results
+ */
+
+import { useState, useCallback, useRef, useEffect, useMemo } from "react";
+import { BatchQueue } from "../services/batch/BatchQueue";
+import { HistoryStore } from "../services/history";
+import { downloadFile, isAbortError } from "../utils/helpers";
+import type { BatchRunCallbacks } from "./useAnalysisOrchestrator";
+import type {
+  AnalysisResult,
+  BatchItem,
+  BatchItemStatus,
+  BatchQueueState,
+  BatchSettings,
+} from "../types";
+
+/**
+ * Status of the batch queue
+ */
+export type BatchStatus = "idle" | "running" | "paused" | "completed";
+
+/**
+ * Orchestrator functions the queue runs on
+ */
+export interface UseBatchAnalysisOptions {
+  analyzeBatch: (
+    items: BatchItem[],
+    settings: BatchSettings,
+    callbacks?: BatchRunCallbacks,
+  ) => Promise<BatchItem[]>;
+  cancelBatch: () => void;
+  /** Called after a run saved analyses to history */
+  onResultsSaved?: () => void;
+}
+
+/**
+ * Return type for useBatchAnalysis hook
+ */
+export interface UseBatchAnalysisReturn {
+  status: BatchStatus;
+  /** Queue items in input order */
+  items: BatchItem[];
+  settings: BatchSettings | null;
+  /** Number of items per status */
+  counts: Record<BatchItemStatus, number>;
+  /** Error that stopped the run */
+  error: string | null;
+  /** Whether the batch panel is shown */
+  isOpen: boolean;
+  /** Replace the queue with new URLs and start it */
+  start: (urls: string[], settings: BatchSettings) => Promise<void>;
+  /** Continue with the pending items */
+  resume: () => Promise<void>;
+  /** Pause the queue; interrupted items stay pending */
+  pause: () => void;
+  /** Queue failed items again */
+  retryFailed: () => Promise<void>;
+  /** Show the saved queue */
+  open: () => void;
+  /** Hide the queue without discarding it */
+  close: () => void;
+  /** Discard the queue */
+  clear: () => void;
+  /** Download the results table as CSV */
+  exportCsv: () => void;
+}
+
+/**
+ * Hook for analyzing many policy URLs
+ * @param options - Orchestrator functions
+ * @returns Queue state and actions
+ */
+export function useBatchAnalysis({
+  analyzeBatch,
+  cancelBatch,
+  onResultsSaved,
+}: UseBatchAnalysisOptions): UseBatchAnalysisReturn {
+  // Resume the queue of a previous visit
+  const [queue, setQueue] = useState<BatchQueueState | null>(() =>
+    BatchQueue.load(),
+  );
+  const [isOpen, setIsOpen] = useState<boolean>(
+    () => !!queue?.items.some((item) => item.status === "pending"),
+  );
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Ignore runs that finish after the queue was discarded or replaced
+  const runIdRef = useRef(0);
+
+  // Save every change so a reload picks up where the queue stopped
+  useEffect(() => {
+    if (queue) {
+      BatchQueue.save(queue);
+    } else {
+      BatchQueue.clear();
+    }
+  }, [queue]);
+
+  const run = useCallback(
+    async (state: BatchQueueState): Promise<void> => {
+      const runId = ++runIdRef.current;
+      setQueue(state);
+      setIsOpen(true);
+      setIsRunning(true);
+      setError(null);
+      let saved = 0;
+
+      const updateItems = (update: (items: BatchItem[]) => BatchItem[]) => {
+        if (runIdRef.current !== runId) return;
+        setQueue((prev) =>
+          prev ? { ...prev, items: update(prev.items) } : prev,
+        );
+      };
+
+      try {
+        const items = await analyzeBatch(state.items, state.settings, {
+          onItemChange: (changed) =>
+            updateItems((prev) =>
+              prev.map((item) => (item.id === changed.id ? changed : item)),
+            ),
+          // Keep each analysis so it can be opened from the results table
+          onResult: async (result: AnalysisResult) => {
+            try {
+              await HistoryStore.save(result);
+              saved++;
+            } catch (err) {
+              console.error("Failed to save batch analysis to history:", err);
+            }
+          },
+        });
+        updateItems(() => items);
+      } catch (err) {
+        if (runIdRef.current !== runId || isAbortError(err)) return;
+        setError(
+          (err instanceof Error ? err.message : null) ||
+            "Failed to run the batch",
+        );
+      } finally {
+        if (runIdRef.current === runId) {
+          setIsRunning(false);
+        }
+        if (saved > 0) {
+          onResultsSaved?.();
+        }
+      }
+    },
+    [analyzeBatch, onResultsSaved],
+  );
+
+  const start = useCallback(
+    (urls: string[], settings: BatchSettings): Promise<void> =>
+      run(BatchQueue.createState(urls, settings)),
+    [run],
+  );
+
+  const resume = useCallback(async (): Promise<void> => {
+    if (!queue || isRunning) return;
+    await run(queue);
+  }, [queue, isRunning, run]);
+
+  const retryFailed = useCallback(async (): Promise<void> => {
+    if (!queue || isRunning) return;
+    await run({
+      ...queue,
+      items: queue.items.map((item) =>
+        item.status === "error"
+          ? { ...item, status: "pending", attempts: 0, error: null }
+          : item,
+      ),
+    });
+  }, [queue, isRunning, run]);
+
+  const pause = useCallback((): void => {
+    cancelBatch();
+  }, [cancelBatch]);
+
+  const open = useCallback((): void => {
+    setIsOpen(true);
+  }, []);
+
+  const close = useCallback((): void => {
+    setIsOpen(false);
+  }, []);
+
+  const clear = useCallback((): void => {
+    if (isRunning) {
+      cancelBatch();
+    }
+    runIdRef.current++;
+    setQueue(null);
+    setIsRunning(false);
+    setIsOpen(false);
+    setError(null);
+  }, [isRunning, cancelBatch]);
+
+  const exportCsv = useCallback((): void => {
+    if (!queue) return;
+    downloadFile(
+      BatchQueue.toCsv(queue.items),
+      `privacy-policy-batch-${Date.now()}.csv`,
+      "text/csv;charset=utf-8",
+    );
+  }, [queue]);
+
+  const items = useMemo(() => queue?.items ?? [], [queue]);
+  const counts = useMemo(() => BatchQueue.countByStatus(items), [items]);
+
+  let status: BatchStatus = "idle";
+  if (isRunning) {
+    status = "running";
+  } else if (counts.pending > 0) {
+    status = "paused";
+  } else if (items.length > 0) {
+    status = "completed";
+  }
+
+  return {
+    status,
+    items,
+    settings: queue?.settings ?? null,
+    counts,
+    error,
+    isOpen,
+    start,
+    resume,
+    pause,
+    retryFailed,
+    open,
+    close,
+    clear,
+    exportCsv,
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * @file Compliance profiles hook
+ * @description Hook for the compliance checklists to run with each analysis,
+ * saved in the user preferences
+ */
+
+import { useState, useCallback } from "react";
+import { ComplianceProfiles } from "../services/analysis/ComplianceProfiles";
+import type { ComplianceProfileId } from "../types";
+
+/**
+ * Return type for useComplianceProfiles hook
+ */
+export interface UseComplianceProfilesReturn {
+  /** Selected profiles, in profile order */
+  profiles: ComplianceProfileId[];
+  /** Replaces and saves the selected profiles */
+  setProfiles: (ids: ComplianceProfileId[]) => void;
+}
+
+/**
+ * Hook for the selected compliance profiles. The analysis reads the saved
+ * selection when it starts, so changes apply to the next analysis.
+ * @returns Selected profiles and setter
+ */
+export function useComplianceProfiles(): UseComplianceProfilesReturn {
+  const [profiles, setProfilesState] = useState<ComplianceProfileId[]>(() =>
+    ComplianceProfiles.loadSelection(),
+  );
+
+  const setProfiles = useCallback((ids: ComplianceProfileId[]): void => {
+    const normalized = ComplianceProfiles.normalizeIds(ids);
+    ComplianceProfiles.saveSelection(normalized);
+    setProfilesState(normalized);
+  }, []);
+
+  return { profiles, setProfiles };
+}
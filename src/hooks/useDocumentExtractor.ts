@@ -1,23 +1,45 @@
 /**
  * @file Document extraction hook
- * @description Hook for extracting text from URLs and PDF files
+ * @description Hook for extracting text from URLs and uploaded PDF, Word,
+ * HTML, Markdown and plain-text files. Scanned PDF pages are read with OCR.
  */
 
 import { useState, useCallback } from "react";
 import {
+  getFileFormat,
   validateFile,
-  validateDocumentText,
   validatePdfMagicBytes,
 } from "../utils/validation";
+import { isAbortError, throwIfAborted } from "../utils/helpers";
+import type {
+  DocumentExtraction,
+  OCRProgress,
+  PageExtraction,
+} from "../types";
 
 /**
  * Return type for useDocumentExtractor hook
  */
 export interface UseDocumentExtractorReturn {
   /** Extract text content from a URL */
-  extractFromUrl: (url: string) => Promise<string>;
-  /** Extract text content from a PDF file */
-  extractFromPdf: (file: File) => Promise<string>;
+  extractFromUrl: (url: string, signal?: AbortSignal) => Promise<string>;
+  /** Extract a URL's main content and whole page text with an extraction report */
+  extractPageFromUrl: (
+    url: string,
+    signal?: AbortSignal,
+  ) => Promise<PageExtraction>;
+  /** Extract text content from a PDF file, using OCR for scanned pages */
+  extractFromPdf: (
+    file: File,
+    signal?: AbortSignal,
+    onOcrProgress?: (progress: OCRProgress) => void,
+  ) => Promise<DocumentExtraction>;
+  /** Extract text content from any supported file, detecting its format */
+  extractFromFile: (
+    file: File,
+    signal?: AbortSignal,
+    onOcrProgress?: (progress: OCRProgress) => void,
+  ) => Promise<DocumentExtraction>;
   /** Whether extraction is currently in progress */
   isExtracting: boolean;
   /** Current error message, if any */
@@ -35,106 +57,175 @@ export function useDocumentExtractor(): UseDocumentExtractorReturn {
   const [error, setError] = useState<string | null>(null);
 
   /**
-   * Extracts text from a URL
+   * Extracts the main content of a URL, with the whole page text and a
+   * report on the extraction
    * @param url - URL to fetch
-   * @returns Extracted text
+   * @param signal - Optional signal to cancel the fetch
+   * @returns Extracted page
    */
-  const extractFromUrl = useCallback(async (url: string): Promise<string> => {
-    setIsExtracting(true);
-    setError(null);
+  const extractPageFromUrl = useCallback(
+    async (url: string, signal?: AbortSignal): Promise<PageExtraction> => {
+      setIsExtracting(true);
+      setError(null);
+
+      try {
+        // Use URLFetcher service which handles CORS proxy fallback
+        const { URLFetcher } = await import("../services/document/URLFetcher");
+        const page = await URLFetcher.fetchPage(url, undefined, signal);
+
+        setIsExtracting(false);
+        return page;
+      } catch (err) {
+        setIsExtracting(false);
+        if (isAbortError(err)) {
+          throw err;
+        }
+        const errorMessage =
+          (err instanceof Error ? err.message : null) ||
+          "Failed to extract text from URL";
+        setError(errorMessage);
+        throw err;
+      }
+    },
+    [],
+  );
 
-    try {
-      // Use URLFetcher service which handles CORS proxy fallback
-      const { URLFetcher } = await import("../services/document/URLFetcher");
-      const text = await URLFetcher.fetch(url);
-
-      setIsExtracting(false);
-      return text;
-    } catch (err) {
-      const errorMessage =
-        (err instanceof Error ? err.message : null) ||
-        "Failed to extract text from URL";
-      setError(errorMessage);
-      setIsExtracting(false);
-      throw err;
-    }
-  }, []);
+  /**
+   * Extracts the main content text of a URL
+   * @param url - URL to fetch
+   * @param signal - Optional signal to cancel the fetch
+   * @returns Extracted text
+   */
+  const extractFromUrl = useCallback(
+    async (url: string, signal?: AbortSignal): Promise<string> => {
+      const page = await extractPageFromUrl(url, signal);
+      return page.text;
+    },
+    [extractPageFromUrl],
+  );
 
   /**
    * Extracts text from a PDF file
    * @param file - PDF file
-   * @returns Extracted text
+   * @param signal - Optional signal to stop extraction between pages
+   * @param onOcrProgress - Called while scanned pages are recognized
+   * @returns Extracted text and the pages that were OCR'd
    */
-  const extractFromPdf = useCallback(async (file: File): Promise<string> => {
-    setIsExtracting(true);
-    setError(null);
-
-    try {
-      // Validate file (type, size, extension)
-      const validation = validateFile(file);
-      if (!validation.valid) {
-        throw new Error(validation.errors[0].message);
+  const extractFromPdf = useCallback(
+    async (
+      file: File,
+      signal?: AbortSignal,
+      onOcrProgress?: (progress: OCRProgress) => void,
+    ): Promise<DocumentExtraction> => {
+      setIsExtracting(true);
+      setError(null);
+
+      try {
+        // Validate file (type, size, extension)
+        const validation = validateFile(file);
+        if (!validation.valid) {
+          throw new Error(validation.errors[0].message);
+        }
+
+        // Validate PDF magic bytes (file signature)
+        const magicBytesValidation = await validatePdfMagicBytes(file);
+        if (!magicBytesValidation.valid) {
+          throw new Error(magicBytesValidation.errors[0].message);
+        }
+
+        // Dynamic import of PDF.js and worker
+        const pdfjsLib = await import("pdfjs-dist");
+
+        // Import worker as raw text and create blob URL
+        const workerCode =
+          await import("pdfjs-dist/build/pdf.worker.min.mjs?raw");
+        const workerBlob = new Blob([workerCode.default], {
+          type: "application/javascript",
+        });
+        pdfjsLib.GlobalWorkerOptions.workerSrc = URL.createObjectURL(workerBlob);
+
+        // Read file as array buffer
+        const arrayBuffer = await file.arrayBuffer();
+
+        // Load PDF
+        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+        throwIfAborted(signal);
+
+        // Extract text from all pages, with OCR for pages without a text layer
+        const { PDFExtractor } =
+          await import("../services/document/PDFExtractor");
+        const extraction = await PDFExtractor.extractPages(pdf, {
+          signal,
+          onOcrProgress,
+        });
+
+        setIsExtracting(false);
+        return extraction;
+      } catch (err) {
+        if (isAbortError(err)) {
+          setIsExtracting(false);
+          throw err;
+        }
+        const errorMessage =
+          (err instanceof Error ? err.message : null) ||
+          "Failed to extract text from PDF";
+        setError(errorMessage);
+        setIsExtracting(false);
+        throw new Error(errorMessage);
       }
+    },
+    [],
+  );
 
-      // Validate PDF magic bytes (file signature)
-      const magicBytesValidation = await validatePdfMagicBytes(file);
-      if (!magicBytesValidation.valid) {
-        throw new Error(magicBytesValidation.errors[0].message);
-      }
-
-      // Dynamic import of PDF.js and worker
-      const pdfjsLib = await import("pdfjs-dist");
-
-      // Import worker as raw text and create blob URL
-      const workerCode =
-        await import("pdfjs-dist/build/pdf.worker.min.mjs?raw");
-      const workerBlob = new Blob([workerCode.default], {
-        type: "application/javascript",
-      });
-      pdfjsLib.GlobalWorkerOptions.workerSrc = URL.createObjectURL(workerBlob);
-
-      // Read file as array buffer
-      const arrayBuffer = await file.arrayBuffer();
-
-      // Load PDF
-      const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-
-      // Extract text from all pages
-      let fullText = "";
-      for (let i = 1; i <= pdf.numPages; i++) {
-        const page = await pdf.getPage(i);
-        const textContent = await page.getTextContent();
-        const pageText = textContent.items
-          .map((item) => {
-            // Type guard for TextItem which has 'str' property
-            if ("str" in item) {
-              return item.str;
-            }
-            return "";
-          })
-          .join(" ");
-        fullText += pageText + " ";
+  /**
+   * Extracts text from an uploaded PDF, DOCX, HTML, Markdown or text file
+   * @param file - Uploaded file
+   * @param signal - Optional signal to stop extraction
+   * @param onOcrProgress - Called while scanned PDF pages are recognized
+   * @returns Extracted text and the pages that were OCR'd
+   */
+  const extractFromFile = useCallback(
+    async (
+      file: File,
+      signal?: AbortSignal,
+      onOcrProgress?: (progress: OCRProgress) => void,
+    ): Promise<DocumentExtraction> => {
+      const format = getFileFormat(file);
+      if (format === "pdf") {
+        return extractFromPdf(file, signal, onOcrProgress);
       }
 
-      const cleanText = fullText.replace(/\s+/g, " ").trim();
-
-      // Validate extracted text
-      const textValidation = validateDocumentText(cleanText);
-      if (!textValidation.valid) {
-        throw new Error(textValidation.errors[0].message);
+      setIsExtracting(true);
+      setError(null);
+
+      try {
+        let text: string;
+        if (format === "docx") {
+          const { DocxExtractor } =
+            await import("../services/document/DocxExtractor");
+          text = await DocxExtractor.extract(file, signal);
+        } else {
+          const { TextFileExtractor } =
+            await import("../services/document/TextFileExtractor");
+          text = await TextFileExtractor.extract(file, signal);
+        }
+
+        setIsExtracting(false);
+        return { text, ocrPages: [] };
+      } catch (err) {
+        setIsExtracting(false);
+        if (isAbortError(err)) {
+          throw err;
+        }
+        const errorMessage =
+          (err instanceof Error ? err.message : null) ||
+          "Failed to extract text from file";
+        setError(errorMessage);
+        throw new Error(errorMessage);
       }
-
-      setIsExtracting(false);
-      return cleanText;
-    } catch (err) {
-      const errorMessage =
-        (err instanceof Error ? err.message : null) ||
-        "Failed to extract text from PDF";
-      setError(errorMessage);
-      setIsExtracting(false);
-      throw new Error(errorMessage);
-    }
-  }, []);
+    },
+    [extractFromPdf],
+  );
 
   /**
    * Clears error state
@@ -145,7 +236,9 @@ export function useDocumentExtractor(): UseDocumentExtractorReturn {
 
   return {
     extractFromUrl,
+    extractPageFromUrl,
     extractFromPdf,
+    extractFromFile,
     isExtracting,
     error,
     clearError,
@@ -0,0 +1,93 @@
+/**
+ * @file Extraction review hook
+ * @description Hook for fetching a policy page so the user can check (and
+ * correct) the extracted text before it is analyzed
+ */
+
+import { useState, useCallback, useRef, useEffect } from "react";
+import { useDocumentExtractor } from "./useDocumentExtractor";
+import { isAbortError } from "../utils/helpers";
+import type { PageExtraction } from "../types";
+
+/**
+ * Status of the review
+ */
+export type ExtractionReviewStatus = "idle" | "loading" | "ready" | "error";
+
+/**
+ * Return type for useExtractionReview hook
+ */
+export interface UseExtractionReviewReturn {
+  status: ExtractionReviewStatus;
+  /** URL being reviewed */
+  url: string | null;
+  /** Extracted page once fetched */
+  page: PageExtraction | null;
+  /** Error of the fetch */
+  error: string | null;
+  /** Fetch a URL for review */
+  open: (url: string) => Promise<void>;
+  /** Close the review, cancelling a pending fetch */
+  close: () => void;
+}
+
+/**
+ * Hook for reviewing the text extracted from a policy page
+ * @returns Review state and actions
+ */
+export function useExtractionReview(): UseExtractionReviewReturn {
+  const { extractPageFromUrl } = useDocumentExtractor();
+  const [status, setStatus] = useState<ExtractionReviewStatus>("idle");
+  const [url, setUrl] = useState<string | null>(null);
+  const [page, setPage] = useState<PageExtraction | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const abortControllerRef = useRef<AbortController | null>(null);
+
+  // Stop a pending fetch on unmount
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  const open = useCallback(
+    async (nextUrl: string): Promise<void> => {
+      abortControllerRef.current?.abort();
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+
+      setUrl(nextUrl);
+      setPage(null);
+      setError(null);
+      setStatus("loading");
+
+      try {
+        const extracted = await extractPageFromUrl(nextUrl, controller.signal);
+        if (controller.signal.aborted) return;
+        setPage(extracted);
+        setStatus("ready");
+      } catch (err) {
+        if (isAbortError(err) || controller.signal.aborted) return;
+        setError(
+          (err instanceof Error ? err.message : null) ||
+            "Failed to extract text from URL",
+        );
+        setStatus("error");
+      } finally {
+        if (abortControllerRef.current === controller) {
+          abortControllerRef.current = null;
+        }
+      }
+    },
+    [extractPageFromUrl],
+  );
+
+  const close = useCallback((): void => {
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = null;
+    setStatus("idle");
+    setUrl(null);
+    setPage(null);
+    setError(null);
+  }, []);
+
+  return { status, url, page, error, open, close };
+}
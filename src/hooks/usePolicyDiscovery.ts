@@ -0,0 +1,85 @@
+/**
+ * @file Policy discovery hook
+ * @description Hook for finding the policy pages of a site when the user
+ * enters a bare domain, so they can choose which one to analyze
+ */
+
+import { useState, useCallback, useRef, useEffect } from "react";
+import { PolicyDiscovery } from "../services/document/PolicyDiscovery";
+import { isAbortError } from "../utils/helpers";
+import type { PolicyDiscoveryState } from "../types";
+
+/**
+ * Return type for usePolicyDiscovery hook
+ */
+export interface UsePolicyDiscoveryReturn extends PolicyDiscoveryState {
+  /** Search a homepage for policy pages */
+  discover: (homepage: string) => Promise<void>;
+  /** Clear the results, cancelling a pending search */
+  reset: () => void;
+}
+
+const IDLE_STATE: PolicyDiscoveryState = {
+  status: "idle",
+  homepage: null,
+  candidates: [],
+  error: null,
+};
+
+/**
+ * Hook for discovering a site's policy pages
+ * @returns Discovery state and actions
+ */
+export function usePolicyDiscovery(): UsePolicyDiscoveryReturn {
+  const [state, setState] = useState<PolicyDiscoveryState>(IDLE_STATE);
+  const abortControllerRef = useRef<AbortController | null>(null);
+
+  // Stop a pending search on unmount
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  const discover = useCallback(async (homepage: string): Promise<void> => {
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setState({ ...IDLE_STATE, status: "loading", homepage });
+
+    try {
+      const result = await PolicyDiscovery.discover(
+        homepage,
+        controller.signal,
+      );
+      if (controller.signal.aborted) return;
+      setState({
+        status: "ready",
+        homepage,
+        candidates: result.candidates,
+        error: null,
+      });
+    } catch (err) {
+      if (isAbortError(err) || controller.signal.aborted) return;
+      setState({
+        ...IDLE_STATE,
+        status: "error",
+        homepage,
+        error:
+          (err instanceof Error ? err.message : null) ||
+          "Failed to find policies",
+      });
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+    }
+  }, []);
+
+  const reset = useCallback((): void => {
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = null;
+    setState(IDLE_STATE);
+  }, []);
+
+  return { ...state, discover, reset };
+}
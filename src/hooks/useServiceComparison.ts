@@ -0,0 +1,215 @@
+/**
+ * @file Service comparison hook
+ * @description Hook for running a side-by-side comparison of several
+ * services' policies and tracking its progress
+ */
+
+import { useState, useCallback, useRef, useEffect } from "react";
+import { HistoryStore } from "../services/history";
+import { isAbortError } from "../utils/helpers";
+import type { ServiceProgressCallback } from "./useAnalysisOrchestrator";
+import type {
+  DocumentInput,
+  ServiceAnalysisOutcome,
+  ServiceComparison,
+  ServiceComparisonRun,
+} from "../types";
+
+/**
+ * Status of a comparison run
+ */
+export type ServiceComparisonStatus =
+  | "idle"
+  | "running"
+  | "completed"
+  | "cancelled"
+  | "error";
+
+/**
+ * Progress of one service while the comparison runs
+ */
+export interface ServiceProgress {
+  document: DocumentInput;
+  progress: number;
+  step: string | null;
+}
+
+/**
+ * Orchestrator functions the comparison runs on
+ */
+export interface UseServiceComparisonOptions {
+  analyzeServices: (
+    documents: DocumentInput[],
+    onProgress?: ServiceProgressCallback,
+  ) => Promise<ServiceComparisonRun>;
+  recommendService: (comparison: ServiceComparison) => Promise<string>;
+  cancelServiceComparison: () => void;
+  /** Called after the analyses of a run were saved to history */
+  onResultsSaved?: () => void;
+}
+
+/**
+ * Return type for useServiceComparison hook
+ */
+export interface UseServiceComparisonReturn {
+  status: ServiceComparisonStatus;
+  /** Per-service progress while running */
+  progress: ServiceProgress[];
+  /** Per-service outcomes once completed */
+  outcomes: ServiceAnalysisOutcome[];
+  /** Comparison matrix (null if fewer than two analyses succeeded) */
+  comparison: ServiceComparison | null;
+  /** Model-written recommendation */
+  recommendation: string | null;
+  /** Error of the run or of the recommendation */
+  error: string | null;
+  /** Whether a recommendation is being generated again */
+  isRecommending: boolean;
+  /** Start comparing the given documents */
+  start: (documents: DocumentInput[]) => Promise<void>;
+  /** Cancel the running comparison */
+  cancel: () => void;
+  /** Generate the recommendation again after it failed */
+  retryRecommendation: () => Promise<void>;
+  /** Close the comparison */
+  reset: () => void;
+}
+
+/**
+ * Hook for comparing the policies of several services
+ * @param options - Orchestrator functions
+ * @returns Comparison state and actions
+ */
+export function useServiceComparison({
+  analyzeServices,
+  recommendService,
+  cancelServiceComparison,
+  onResultsSaved,
+}: UseServiceComparisonOptions): UseServiceComparisonReturn {
+  const [status, setStatus] = useState<ServiceComparisonStatus>("idle");
+  const [progress, setProgress] = useState<ServiceProgress[]>([]);
+  const [run, setRun] = useState<ServiceComparisonRun | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isRecommending, setIsRecommending] = useState(false);
+
+  // Ignore runs that finish after the comparison was closed or restarted
+  const runIdRef = useRef(0);
+  useEffect(() => {
+    return () => {
+      runIdRef.current++;
+    };
+  }, []);
+
+  const start = useCallback(
+    async (documents: DocumentInput[]): Promise<void> => {
+      const runId = ++runIdRef.current;
+      setStatus("running");
+      setRun(null);
+      setError(null);
+      setProgress(
+        documents.map((document) => ({ document, progress: 0, step: null })),
+      );
+
+      try {
+        const completed = await analyzeServices(
+          documents,
+          (index, value, step) => {
+            if (runIdRef.current !== runId) return;
+            setProgress((prev) =>
+              prev.map((entry, i) =>
+                i === index ? { ...entry, progress: value, step } : entry,
+              ),
+            );
+          },
+        );
+        if (runIdRef.current !== runId) return;
+
+        setRun(completed);
+        setStatus("completed");
+        if (!completed.comparison) {
+          setError(
+            "At least two policies must be analyzed successfully to compare them.",
+          );
+        } else if (completed.recommendationError) {
+          setError(completed.recommendationError);
+        }
+
+        // Keep each analysis so it can be reopened from history
+        const results = completed.outcomes.flatMap((outcome) =>
+          outcome.result ? [outcome.result] : [],
+        );
+        Promise.all(results.map((result) => HistoryStore.save(result)))
+          .then(() => onResultsSaved?.())
+          .catch((err) => {
+            console.error("Failed to save compared analyses to history:", err);
+          });
+      } catch (err) {
+        if (runIdRef.current !== runId) return;
+        if (isAbortError(err)) {
+          setStatus("cancelled");
+          return;
+        }
+        setStatus("error");
+        setError(
+          (err instanceof Error ? err.message : null) ||
+            "Failed to compare services",
+        );
+      }
+    },
+    [analyzeServices, onResultsSaved],
+  );
+
+  const retryRecommendation = useCallback(async (): Promise<void> => {
+    const comparison = run?.comparison;
+    if (!comparison) return;
+
+    const runId = runIdRef.current;
+    setIsRecommending(true);
+    setError(null);
+    try {
+      const recommendation = await recommendService(comparison);
+      if (runIdRef.current !== runId) return;
+      setRun((prev) =>
+        prev ? { ...prev, recommendation, recommendationError: null } : prev,
+      );
+    } catch (err) {
+      if (runIdRef.current !== runId) return;
+      setError(
+        (err instanceof Error ? err.message : null) ||
+          "Failed to recommend a service",
+      );
+    } finally {
+      setIsRecommending(false);
+    }
+  }, [run, recommendService]);
+
+  const cancel = useCallback((): void => {
+    cancelServiceComparison();
+  }, [cancelServiceComparison]);
+
+  const reset = useCallback((): void => {
+    if (status === "running") {
+      cancelServiceComparison();
+    }
+    runIdRef.current++;
+    setStatus("idle");
+    setProgress([]);
+    setRun(null);
+    setError(null);
+    setIsRecommending(false);
+  }, [status, cancelServiceComparison]);
+
+  return {
+    status,
+    progress,
+    outcomes: run?.outcomes ?? [],
+    comparison: run?.comparison ?? null,
+    recommendation: run?.recommendation ?? null,
+    error,
+    isRecommending,
+    start,
+    cancel,
+    retryRecommendation,
+    reset,
+  };
+}
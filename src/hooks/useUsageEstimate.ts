@@ -0,0 +1,86 @@
+/**
+ * @file Usage estimate hook
+ * @description Hook for estimating the tokens and cost of an analysis before
+ * it starts, using the price of the configured model
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { useLLMConfig } from "../contexts/LLMConfigContext.jsx";
+import { PolicyAnalyzer } from "../services/analysis/PolicyAnalyzer";
+import { LLMProviderFactory } from "../services/llm/LLMProviderFactory";
+import type {
+  AnalysisProfile,
+  ComplianceProfileId,
+  ModelPricing,
+  UsageEstimate,
+} from "../types";
+
+/** Default selection, stable across renders */
+const NO_PROFILES: ComplianceProfileId[] = [];
+
+/**
+ * Return type for useUsageEstimate hook
+ */
+export interface UseUsageEstimateReturn {
+  /** Price of the configured model (null while loading or when unknown) */
+  pricing: ModelPricing | null;
+  /** Estimates the usage of analyzing a text (null for empty text) */
+  estimateUsage: (text: string) => UsageEstimate | null;
+}
+
+/**
+ * Hook for pre-flight usage estimates. The model price is looked up again
+ * whenever the provider or model changes. Ensemble models are priced like
+ * the configured model.
+ * @param complianceProfiles - Compliance checklists that will run with the
+ * analysis, each adding a request
+ * @param profile - Analysis profile choosing the sections and custom aspects
+ * (all sections when omitted)
+ * @returns Model price and estimate function
+ */
+export function useUsageEstimate(
+  complianceProfiles: ComplianceProfileId[] = NO_PROFILES,
+  profile?: AnalysisProfile,
+): UseUsageEstimateReturn {
+  const { config } = useLLMConfig();
+  const [pricing, setPricing] = useState<ModelPricing | null>(null);
+  const { provider, model, apiKey, baseUrl } = config;
+  const ensembleModels = LLMProviderFactory.ensembleConfigs(config).length;
+
+  useEffect(() => {
+    let cancelled = false;
+    setPricing(null);
+
+    const loadPricing = async (): Promise<void> => {
+      try {
+        const price =
+          await LLMProviderFactory.createProvider(config).getPricing();
+        if (!cancelled) setPricing(price);
+      } catch {
+        // Unknown price: estimates show tokens only
+      }
+    };
+    loadPricing();
+
+    return () => {
+      cancelled = true;
+    };
+    // Only settings that change the price warrant a new lookup
+  }, [provider, model, apiKey, baseUrl]);
+
+  const estimateUsage = useCallback(
+    (text: string): UsageEstimate | null =>
+      text.trim()
+        ? PolicyAnalyzer.estimateUsage(
+            text,
+            pricing,
+            complianceProfiles,
+            profile,
+            ensembleModels,
+          )
+        : null,
+    [pricing, complianceProfiles, profile, ensembleModels],
+  );
+
+  return { pricing, estimateUsage };
+}
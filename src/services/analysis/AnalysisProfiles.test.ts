@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AnalysisProfiles } from './AnalysisProfiles.js';
+import { SCORECARD_WEIGHTS } from '../../utils/constants.js';
+import type { AnalysisProfile } from '../../types/index.js';
+
+describe('AnalysisProfiles', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should list the standard profile with every section and the default weights', () => {
+    const [standard] = AnalysisProfiles.list();
+
+    expect(standard.id).toBe('standard');
+    expect(standard.sections).toEqual(AnalysisProfiles.sections().map(section => section.name));
+    expect(standard.aspects).toEqual([]);
+    expect(standard.weights).toEqual(SCORECARD_WEIGHTS);
+  });
+
+  it('should drop unknown sections, always keep the brief summary and dedupe aspects', () => {
+    const profile = AnalysisProfiles.normalize({
+      name: '  Kids  ',
+      sections: ['privacy risks', 'unknown', 'key terms'],
+      aspects: [
+        { id: 'a1', name: 'Children', prompt: 'Is data of children collected?' },
+        { name: 'children', prompt: 'Repeated name' },
+        { name: 'No prompt', prompt: ' ' },
+      ],
+      weights: { userRights: 50, dataCollection: -3, thirdPartySharing: 'high' },
+    });
+
+    expect(profile!.name).toBe('Kids');
+    expect(profile!.sections).toEqual(['brief summary', 'privacy risks', 'key terms']);
+    expect(profile!.aspects).toEqual([{ id: 'a1', name: 'Children', prompt: 'Is data of children collected?' }]);
+    expect(profile!.weights.userRights).toBe(50);
+    expect(profile!.weights.dataCollection).toBe(SCORECARD_WEIGHTS.dataCollection);
+    expect(profile!.weights.thirdPartySharing).toBe(SCORECARD_WEIGHTS.thirdPartySharing);
+  });
+
+  it('should reject profiles without a name', () => {
+    expect(AnalysisProfiles.normalize({ name: ' ' })).toBeNull();
+    expect(AnalysisProfiles.normalize('Kids')).toBeNull();
+  });
+
+  it('should fall back to the default weights when every weight is zero', () => {
+    const zero = Object.fromEntries(Object.keys(SCORECARD_WEIGHTS).map(key => [key, 0]));
+
+    expect(AnalysisProfiles.normalizeWeights(zero)).toEqual(SCORECARD_WEIGHTS);
+  });
+
+  it('should save, replace and remove profiles', () => {
+    const saved = AnalysisProfiles.save(AnalysisProfiles.create('Kids'));
+    AnalysisProfiles.save({ ...saved, name: 'Kids apps' });
+
+    expect(AnalysisProfiles.list().map(profile => profile.name)).toEqual(['Standard', 'Kids apps']);
+    expect(AnalysisProfiles.get(saved.id).name).toBe('Kids apps');
+
+    expect(AnalysisProfiles.remove(saved.id)).toBe(true);
+    expect(AnalysisProfiles.list()).toHaveLength(1);
+    expect(AnalysisProfiles.remove(saved.id)).toBe(false);
+  });
+
+  it('should refuse invalid saves with a message', () => {
+    AnalysisProfiles.save(AnalysisProfiles.create('Kids'));
+
+    expect(() => AnalysisProfiles.save(AnalysisProfiles.create(''))).toThrow('Give the profile a name.');
+    expect(() => AnalysisProfiles.save(AnalysisProfiles.standard())).toThrow('cannot be changed');
+    expect(() => AnalysisProfiles.save(AnalysisProfiles.create('KIDS'))).toThrow('already exists');
+    expect(() => AnalysisProfiles.save(AnalysisProfiles.create('standard'))).toThrow('already exists');
+  });
+
+  it('should limit the number of saved profiles', () => {
+    for (let i = 0; i < 20; i++) {
+      AnalysisProfiles.save(AnalysisProfiles.create(`Profile ${i}`));
+    }
+
+    expect(() => AnalysisProfiles.save(AnalysisProfiles.create('One more'))).toThrow('up to 20 profiles');
+  });
+
+  it('should keep the active profile alongside other preferences', () => {
+    localStorage.setItem('ppa_user_preferences', JSON.stringify({ theme: 'dark' }));
+    const saved = AnalysisProfiles.save(AnalysisProfiles.create('Kids'));
+
+    AnalysisProfiles.saveActiveId(saved.id);
+
+    expect(AnalysisProfiles.getActive().name).toBe('Kids');
+    expect(JSON.parse(localStorage.getItem('ppa_user_preferences')!).theme).toBe('dark');
+  });
+
+  it('should fall back to the standard profile when the active one is removed', () => {
+    const saved = AnalysisProfiles.save(AnalysisProfiles.create('Kids'));
+    AnalysisProfiles.saveActiveId(saved.id);
+
+    AnalysisProfiles.remove(saved.id);
+
+    expect(AnalysisProfiles.loadActiveId()).toBe('standard');
+    AnalysisProfiles.saveActiveId('missing');
+    expect(AnalysisProfiles.getActive().id).toBe('standard');
+  });
+
+  it('should map aspect section names back to their aspect', () => {
+    const aspect = AnalysisProfiles.createAspect({ name: 'AI training', prompt: 'Is data used to train AI?' });
+    const profile = { ...AnalysisProfiles.create('AI'), aspects: [aspect] };
+    const section = AnalysisProfiles.aspectSectionName(aspect);
+
+    expect(section).toBe('AI training question');
+    expect(AnalysisProfiles.aspectFromSection(profile, section)).toEqual(aspect);
+    expect(AnalysisProfiles.aspectFromSection(profile, 'privacy risks')).toBeNull();
+  });
+
+  it('should list the sections a profile leaves out', () => {
+    const profile: AnalysisProfile = {
+      ...AnalysisProfiles.create('Lean'),
+      sections: ['brief summary', 'privacy scorecard'],
+    };
+
+    expect(AnalysisProfiles.skippedSections(profile)).toEqual([
+      'detailed summary',
+      'full analysis',
+      'privacy risks',
+      'key terms',
+      'take action',
+      'data flows',
+    ]);
+    expect(AnalysisProfiles.isRequiredSection('brief summary')).toBe(true);
+  });
+});
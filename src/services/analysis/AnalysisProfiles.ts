@@ -0,0 +1,423 @@
+/**
+ * @file Analysis Profiles
+ * @description Saved analysis profiles: which sections an analysis runs, the
+ * custom questions (aspects) it adds and how the scorecard is weighted
+ *
+ * The built-in "Standard" profile runs every section with the default
+ * weights and cannot be changed. User profiles are kept in localStorage; the
+ * active profile is remembered in the user preferences. Each custom aspect
+ * adds one analysis section, named after the aspect (e.g. "Children's data
+ * question").
+ */
+
+import {
+  getFromLocal,
+  getUserPreferences,
+  saveToLocal,
+  saveUserPreferences,
+} from "../../utils/storage.js";
+import {
+  ANALYSIS_PROFILE_LIMITS,
+  SCORECARD_WEIGHTS,
+  STORAGE_KEYS,
+} from "../../utils/constants.js";
+import { generateId } from "../../utils/helpers.js";
+import type {
+  AnalysisProfile,
+  AnalysisSectionName,
+  CustomAspect,
+  ScorecardCategoryKey,
+} from "../../types/index.js";
+
+/**
+ * Standard sections, in the order they are offered and analyzed
+ */
+const SECTIONS: ReadonlyArray<{
+  name: AnalysisSectionName;
+  label: string;
+}> = [
+  { name: "brief summary", label: "Brief summary" },
+  { name: "detailed summary", label: "Detailed summary" },
+  { name: "full analysis", label: "Full analysis" },
+  { name: "privacy risks", label: "Privacy risks" },
+  { name: "key terms", label: "Key terms" },
+  { name: "privacy scorecard", label: "Privacy scorecard" },
+  { name: "take action", label: "Take action (rights and contacts)" },
+  {
+    name: "data flows",
+    label: "Data flows (categories, purposes and recipients)",
+  },
+];
+
+/**
+ * Section every profile runs; results, history and exports lead with it
+ */
+const REQUIRED_SECTION: AnalysisSectionName = "brief summary";
+
+const STANDARD_PROFILE_ID = "standard";
+
+const ASPECT_SECTION_SUFFIX = " question";
+
+/**
+ * User preference holding the active profile ID
+ */
+const PREFERENCE_KEY = "analysisProfile";
+
+/**
+ * Starting points offered when adding a custom aspect
+ */
+const ASPECT_PRESETS: ReadonlyArray<Omit<CustomAspect, "id">> = [
+  {
+    name: "Children's data",
+    prompt:
+      "How does the policy treat data from children and teenagers? Note any minimum age, parental consent requirements or separate terms for minors.",
+  },
+  {
+    name: "AI training",
+    prompt:
+      "Is user content or personal data used to train AI or machine learning models? Can users opt out, and how?",
+  },
+  {
+    name: "Biometric data",
+    prompt:
+      "Does the service collect biometric data such as face, voice or fingerprints? How is it used, stored and deleted?",
+  },
+  {
+    name: "Location tracking",
+    prompt:
+      "Is precise or background location collected? For what purposes, and can users turn it off?",
+  },
+  {
+    name: "Data sales",
+    prompt:
+      "Is personal data sold or shared for targeted advertising? Which opt-out mechanisms are offered?",
+  },
+];
+
+const SCORECARD_KEYS = Object.keys(SCORECARD_WEIGHTS) as ScorecardCategoryKey[];
+
+/**
+ * Service for looking up, validating and saving analysis profiles
+ */
+export class AnalysisProfiles {
+  /**
+   * Standard sections, in analysis order
+   * @returns Section names and display labels
+   */
+  static sections(): ReadonlyArray<{
+    name: AnalysisSectionName;
+    label: string;
+  }> {
+    return SECTIONS;
+  }
+
+  /**
+   * Whether a section runs with every profile
+   * @param section - Section name
+   * @returns True for the brief summary
+   */
+  static isRequiredSection(section: AnalysisSectionName): boolean {
+    return section === REQUIRED_SECTION;
+  }
+
+  /**
+   * Starting points for new custom aspects
+   * @returns Aspect names and prompts
+   */
+  static aspectPresets(): ReadonlyArray<Omit<CustomAspect, "id">> {
+    return ASPECT_PRESETS;
+  }
+
+  /**
+   * The built-in profile: every section, no custom aspects, default weights
+   * @returns A copy of the standard profile
+   */
+  static standard(): AnalysisProfile {
+    return {
+      id: STANDARD_PROFILE_ID,
+      name: "Standard",
+      sections: SECTIONS.map(({ name }) => name),
+      aspects: [],
+      weights: { ...SCORECARD_WEIGHTS },
+    };
+  }
+
+  /**
+   * Checks whether a profile is the built-in one
+   * @param id - Profile ID
+   * @returns True for the standard profile
+   */
+  static isStandard(id: string): boolean {
+    return id === STANDARD_PROFILE_ID;
+  }
+
+  /**
+   * Starts a new profile from the standard settings
+   * @param name - Profile name
+   * @returns Unsaved profile
+   */
+  static create(name: string): AnalysisProfile {
+    return { ...this.standard(), id: generateId(), name };
+  }
+
+  /**
+   * Creates a custom aspect
+   * @param aspect - Name and prompt
+   * @returns Aspect with a new ID
+   */
+  static createAspect(aspect: Omit<CustomAspect, "id">): CustomAspect {
+    return { id: generateId(), ...aspect };
+  }
+
+  /**
+   * Validates a profile, e.g. from storage or an analysis file. Unknown
+   * sections are dropped and the brief summary is always added; aspects
+   * without a name or prompt, and repeated names, are dropped; invalid
+   * weights fall back to their defaults.
+   * @param raw - Raw profile
+   * @returns Valid profile, or null without a name
+   */
+  static normalize(raw: unknown): AnalysisProfile | null {
+    if (!this.isObject(raw)) return null;
+    const name = this.cleanText(
+      raw.name,
+      ANALYSIS_PROFILE_LIMITS.MAX_NAME_LENGTH,
+    );
+    if (!name) return null;
+
+    const sections = Array.isArray(raw.sections) ? raw.sections : [];
+    const aspects: CustomAspect[] = [];
+    for (const aspect of Array.isArray(raw.aspects) ? raw.aspects : []) {
+      if (!this.isObject(aspect)) continue;
+      const aspectName = this.cleanText(
+        aspect.name,
+        ANALYSIS_PROFILE_LIMITS.MAX_NAME_LENGTH,
+      );
+      const prompt = this.cleanText(
+        aspect.prompt,
+        ANALYSIS_PROFILE_LIMITS.MAX_PROMPT_LENGTH,
+      );
+      const isRepeated = aspects.some(
+        (other) => other.name.toLowerCase() === aspectName.toLowerCase(),
+      );
+      if (!aspectName || !prompt || isRepeated) continue;
+      aspects.push({
+        id: this.isId(aspect.id) ? aspect.id : generateId(),
+        name: aspectName,
+        prompt,
+      });
+    }
+
+    return {
+      id: this.isId(raw.id) ? raw.id : generateId(),
+      name,
+      sections: SECTIONS.map(({ name }) => name).filter(
+        (section) => section === REQUIRED_SECTION || sections.includes(section),
+      ),
+      aspects: aspects.slice(0, ANALYSIS_PROFILE_LIMITS.MAX_ASPECTS),
+      weights: this.normalizeWeights(raw.weights),
+    };
+  }
+
+  /**
+   * All profiles: the standard profile followed by the saved ones
+   * @returns Profiles
+   */
+  static list(): AnalysisProfile[] {
+    return [this.standard(), ...this.loadSaved()];
+  }
+
+  /**
+   * Looks up a profile
+   * @param id - Profile ID
+   * @returns The profile, or the standard profile for an unknown ID
+   */
+  static get(id: string | null | undefined): AnalysisProfile {
+    return this.list().find((profile) => profile.id === id) ?? this.standard();
+  }
+
+  /**
+   * Adds a profile or replaces the saved profile with the same ID
+   * @param profile - Profile to save
+   * @returns The saved, validated profile
+   * @throws Error if the profile has no name or its name is taken, the
+   * standard profile is changed, or the profile limit is reached
+   */
+  static save(profile: AnalysisProfile): AnalysisProfile {
+    const normalized = this.normalize(profile);
+    if (!normalized) {
+      throw new Error("Give the profile a name.");
+    }
+    if (this.isStandard(normalized.id)) {
+      throw new Error("The standard profile cannot be changed.");
+    }
+    const saved = this.loadSaved();
+    const isTaken = [this.standard(), ...saved].some(
+      (other) =>
+        other.id !== normalized.id &&
+        other.name.toLowerCase() === normalized.name.toLowerCase(),
+    );
+    if (isTaken) {
+      throw new Error(`A profile named "${normalized.name}" already exists.`);
+    }
+
+    const index = saved.findIndex((other) => other.id === normalized.id);
+    if (index === -1 && saved.length >= ANALYSIS_PROFILE_LIMITS.MAX_PROFILES) {
+      throw new Error(
+        `You can save up to ${ANALYSIS_PROFILE_LIMITS.MAX_PROFILES} profiles.`,
+      );
+    }
+    if (index === -1) {
+      saved.push(normalized);
+    } else {
+      saved[index] = normalized;
+    }
+    if (!saveToLocal(STORAGE_KEYS.ANALYSIS_PROFILES, saved)) {
+      throw new Error("The profile could not be saved.");
+    }
+    return normalized;
+  }
+
+  /**
+   * Deletes a saved profile; the standard profile becomes active if it was
+   * @param id - Profile ID
+   * @returns Success status
+   */
+  static remove(id: string): boolean {
+    const saved = this.loadSaved();
+    const remaining = saved.filter((profile) => profile.id !== id);
+    if (remaining.length === saved.length) return false;
+    if (this.loadActiveId() === id) {
+      this.saveActiveId(STANDARD_PROFILE_ID);
+    }
+    return saveToLocal(STORAGE_KEYS.ANALYSIS_PROFILES, remaining);
+  }
+
+  /**
+   * ID of the profile new analyses run with
+   * @returns Saved ID, or the standard profile's if it no longer exists
+   */
+  static loadActiveId(): string {
+    return this.get(getUserPreferences()?.[PREFERENCE_KEY] as string).id;
+  }
+
+  /**
+   * Profile new analyses run with
+   * @returns Active profile
+   */
+  static getActive(): AnalysisProfile {
+    return this.get(this.loadActiveId());
+  }
+
+  /**
+   * Saves the profile new analyses run with, keeping other preferences
+   * @param id - Profile ID
+   * @returns Success status
+   */
+  static saveActiveId(id: string): boolean {
+    return saveUserPreferences({
+      ...getUserPreferences(),
+      [PREFERENCE_KEY]: id,
+    });
+  }
+
+  /**
+   * Name of the analysis section of a custom aspect, as reported in partial
+   * failures and the usage breakdown
+   * @param aspect - Custom aspect
+   * @returns Section name, e.g. "Children's data question"
+   */
+  static aspectSectionName(aspect: CustomAspect): string {
+    return `${aspect.name}${ASPECT_SECTION_SUFFIX}`;
+  }
+
+  /**
+   * Finds the custom aspect of an analysis section
+   * @param profile - Profile the analysis ran with
+   * @param section - Section name
+   * @returns The aspect, or null if the section is not one of the profile's
+   */
+  static aspectFromSection(
+    profile: AnalysisProfile,
+    section: string,
+  ): CustomAspect | null {
+    return (
+      profile.aspects.find(
+        (aspect) => this.aspectSectionName(aspect) === section,
+      ) ?? null
+    );
+  }
+
+  /**
+   * Standard sections a profile leaves out
+   * @param profile - Analysis profile
+   * @returns Section names in analysis order
+   */
+  static skippedSections(profile: AnalysisProfile): AnalysisSectionName[] {
+    return SECTIONS.map(({ name }) => name).filter(
+      (section) => !profile.sections.includes(section),
+    );
+  }
+
+  /**
+   * Validates the scorecard weights of a profile. Weights are relative; the
+   * scorecard scales them to percentages.
+   * @param weights - Raw weight per category
+   * @returns Whole-number weights from 0 to ANALYSIS_PROFILE_LIMITS.MAX_WEIGHT
+   */
+  static normalizeWeights(
+    weights: unknown,
+  ): Record<ScorecardCategoryKey, number> {
+    const normalized = {} as Record<ScorecardCategoryKey, number>;
+    for (const key of SCORECARD_KEYS) {
+      const weight = this.isObject(weights) ? Number(weights[key]) : NaN;
+      normalized[key] =
+        Number.isFinite(weight) &&
+        weight >= 0 &&
+        weight <= ANALYSIS_PROFILE_LIMITS.MAX_WEIGHT
+          ? Math.round(weight)
+          : SCORECARD_WEIGHTS[key];
+    }
+    // Grades need at least one weighted category
+    return SCORECARD_KEYS.some((key) => normalized[key] > 0)
+      ? normalized
+      : { ...SCORECARD_WEIGHTS };
+  }
+
+  /**
+   * Loads the saved profiles, dropping any that are no longer valid
+   * @private
+   */
+  private static loadSaved(): AnalysisProfile[] {
+    const saved = getFromLocal<unknown[]>(STORAGE_KEYS.ANALYSIS_PROFILES, []);
+    if (!Array.isArray(saved)) return [];
+    return saved
+      .map((profile) => this.normalize(profile))
+      .filter(
+        (profile): profile is AnalysisProfile =>
+          profile !== null && !this.isStandard(profile.id),
+      );
+  }
+
+  /**
+   * Trims a text field and limits its length
+   * @private
+   */
+  private static cleanText(value: unknown, maxLength: number): string {
+    return typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+  }
+
+  /**
+   * @private
+   */
+  private static isId(value: unknown): value is string {
+    return typeof value === "string" && /^[\w-]{1,64}$/.test(value);
+  }
+
+  /**
+   * @private
+   */
+  private static isObject(value: unknown): value is Record<string, any> {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+}
@@ -0,0 +1,307 @@
+import { describe, it, expect } from 'vitest';
+import { ChunkMerger } from './ChunkMerger.js';
+import type {
+  ChunkExtraction,
+  ComplianceCheck,
+  ComplianceChecklist,
+  DataFlow,
+  PrivacyRisk,
+  ScorecardEvidence,
+} from '../../types';
+
+const emptyEvidence = (): ScorecardEvidence => ({
+  thirdPartySharing: [],
+  userRights: [],
+  dataCollection: [],
+  dataRetention: [],
+  purposeClarity: [],
+  securityMeasures: [],
+  policyTransparency: [],
+});
+
+const makeRisk = (overrides: Partial<PrivacyRisk> = {}): PrivacyRisk => ({
+  id: Math.random().toString(36).slice(2),
+  title: 'Data sold to advertisers',
+  description: 'Your data may be sold.',
+  severity: 'medium',
+  location: 'Section 4',
+  recommendation: '',
+  ...overrides,
+});
+
+const makeChunk = (overrides: Partial<ChunkExtraction> = {}): ChunkExtraction => ({
+  summary: 'Chunk summary',
+  risks: [],
+  keyTerms: [],
+  scorecardEvidence: emptyEvidence(),
+  privacyRights: {
+    links: [],
+    contacts: [],
+    procedures: [],
+    timeframes: [],
+    hasActionableInfo: false,
+  },
+  dataFlows: [],
+  ...overrides,
+});
+
+describe('ChunkMerger', () => {
+  describe('mergeRisks', () => {
+    it('should merge risks with the same title regardless of case and punctuation', () => {
+      const merged = ChunkMerger.mergeRisks([
+        makeRisk({ title: 'Data sold to advertisers', severity: 'medium' }),
+        makeRisk({ title: 'data sold to advertisers!', severity: 'high', location: 'Section 9' }),
+      ]);
+
+      expect(merged).toHaveLength(1);
+      expect(merged[0].severity).toBe('high');
+      expect(merged[0].location).toBe('Section 4; Section 9');
+    });
+
+    it('should merge risks with similar titles and keep the longest description', () => {
+      const merged = ChunkMerger.mergeRisks([
+        makeRisk({ title: 'Indefinite data retention', description: 'Short.' }),
+        makeRisk({
+          title: 'Indefinite retention of data',
+          description: 'Data is retained indefinitely after account closure.',
+        }),
+      ]);
+
+      expect(merged).toHaveLength(1);
+      expect(merged[0].description).toBe('Data is retained indefinitely after account closure.');
+    });
+
+    it('should keep distinct risks separate', () => {
+      const merged = ChunkMerger.mergeRisks([
+        makeRisk({ title: 'Data sold to advertisers' }),
+        makeRisk({ title: 'No breach notification' }),
+      ]);
+
+      expect(merged).toHaveLength(2);
+    });
+
+    it('should not mutate the input risks', () => {
+      const first = makeRisk({ severity: 'low' });
+      ChunkMerger.mergeRisks([first, makeRisk({ severity: 'critical' })]);
+
+      expect(first.severity).toBe('low');
+    });
+
+    it('should combine the citations of merged risks without duplicates', () => {
+      const merged = ChunkMerger.mergeRisks([
+        makeRisk({ citations: [{ quote: 'We sell data.', verified: false }] }),
+        makeRisk({
+          citations: [
+            { quote: 'We  SELL data.', verified: false },
+            { quote: 'Partners may buy data.', verified: false },
+          ],
+        }),
+        makeRisk(),
+      ]);
+
+      expect(merged[0].citations?.map((c) => c.quote)).toEqual(['We sell data.', 'Partners may buy data.']);
+    });
+  });
+
+  describe('mergeKeyTerms', () => {
+    it('should deduplicate terms case-insensitively and ignore plurals', () => {
+      const merged = ChunkMerger.mergeKeyTerms([
+        { term: 'Affiliate', definition: 'Related company' },
+        { term: 'affiliates', definition: 'Companies under common ownership or control' },
+        { term: 'Cookies', definition: 'Small files stored in your browser' },
+      ]);
+
+      expect(merged).toHaveLength(2);
+      expect(merged[0].term).toBe('Affiliate');
+      expect(merged[0].definition).toBe('Companies under common ownership or control');
+    });
+  });
+
+  describe('mergePrivacyRights', () => {
+    it('should deduplicate links, contacts and timeframes', () => {
+      const merged = ChunkMerger.mergePrivacyRights([
+        {
+          links: [{ label: 'Settings', url: 'https://example.com/settings', purpose: 'settings' }],
+          contacts: [{ type: 'email', value: 'privacy@example.com', purpose: 'Requests' }],
+          procedures: [],
+          timeframes: ['30 days'],
+          hasActionableInfo: true,
+        },
+        {
+          links: [{ label: 'Settings page', url: 'https://example.com/settings/', purpose: 'settings' }],
+          contacts: [{ type: 'email', value: 'Privacy@Example.com', purpose: 'Inquiries' }],
+          procedures: [],
+          timeframes: ['30 Days'],
+          hasActionableInfo: true,
+        },
+      ]);
+
+      expect(merged.links).toHaveLength(1);
+      expect(merged.contacts).toHaveLength(1);
+      expect(merged.timeframes).toHaveLength(1);
+      expect(merged.hasActionableInfo).toBe(true);
+    });
+
+    it('should keep the most detailed procedure for the same right', () => {
+      const merged = ChunkMerger.mergePrivacyRights([
+        {
+          links: [],
+          contacts: [],
+          procedures: [{ right: 'deletion', title: 'Delete your data', steps: ['Email us'] }],
+          timeframes: [],
+          hasActionableInfo: true,
+        },
+        {
+          links: [],
+          contacts: [],
+          procedures: [
+            { right: 'deletion', title: 'Delete Your Data', steps: ['Sign in', 'Open settings', 'Click delete'] },
+          ],
+          timeframes: [],
+          hasActionableInfo: true,
+        },
+      ]);
+
+      expect(merged.procedures).toHaveLength(1);
+      expect(merged.procedures[0].steps).toHaveLength(3);
+    });
+
+    it('should report no actionable info when nothing was found', () => {
+      const merged = ChunkMerger.mergePrivacyRights([makeChunk().privacyRights]);
+
+      expect(merged.hasActionableInfo).toBe(false);
+    });
+  });
+
+  describe('mergeComplianceChecklists', () => {
+    const makeChecklist = (...checks: Partial<ComplianceCheck>[]): ComplianceChecklist => ({
+      profile: 'gdpr',
+      checks: checks.map((check, i) => ({
+        requirementId: `req-${i}`,
+        label: `Requirement ${i}`,
+        reference: `Art. ${i}`,
+        status: 'missing',
+        evidence: 'Not mentioned.',
+        ...check,
+      })),
+    });
+
+    it('should keep the best status each requirement reached in any part', () => {
+      const merged = ChunkMerger.mergeComplianceChecklists([
+        makeChecklist({ status: 'partial', evidence: 'Vague purposes.' }, {}),
+        makeChecklist(
+          { status: 'missing' },
+          { status: 'present', evidence: 'Lists retention periods.', citations: [{ quote: 'kept 30 days', verified: false }] },
+        ),
+        makeChecklist(
+          { status: 'partial', evidence: 'Some purposes.' },
+          { status: 'present', evidence: 'Retention again.', citations: [{ quote: 'deleted after a year', verified: false }] },
+        ),
+      ]);
+
+      expect(merged!.checks[0]).toMatchObject({ status: 'partial', evidence: 'Vague purposes.' });
+      expect(merged!.checks[0].citations).toBeUndefined();
+      expect(merged!.checks[1]).toMatchObject({ status: 'present', evidence: 'Lists retention periods.' });
+      expect(merged!.checks[1].citations!.map(citation => citation.quote)).toEqual([
+        'kept 30 days',
+        'deleted after a year',
+      ]);
+    });
+
+    it('should return null without checklists', () => {
+      expect(ChunkMerger.mergeComplianceChecklists([])).toBeNull();
+    });
+  });
+
+  describe('mergeDataFlows', () => {
+    const makeFlow = (overrides: Partial<DataFlow> = {}): DataFlow => ({
+      id: Math.random().toString(36).slice(2),
+      category: 'Location data',
+      sources: ['Your device'],
+      purposes: ['Advertising'],
+      recipients: [{ name: 'Ad partners', type: 'advertiser' }],
+      legalBases: [],
+      retention: '',
+      ...overrides,
+    });
+
+    it('should combine flows of the same category and keep every detail once', () => {
+      const merged = ChunkMerger.mergeDataFlows([
+        makeFlow({ citations: [{ quote: 'We share location', verified: false }] }),
+        makeFlow({ category: 'Email address', recipients: [] }),
+        makeFlow({
+          category: 'location DATA',
+          sources: ['your device', 'Partners'],
+          recipients: [
+            { name: 'ad partners', type: 'advertiser' },
+            { name: 'Google', type: 'analytics' },
+          ],
+          legalBases: ['Consent'],
+          retention: 'Up to 13 months',
+          citations: [{ quote: 'Location is kept for 13 months', verified: false }],
+        }),
+      ]);
+
+      expect(merged.map(flow => flow.category)).toEqual(['Location data', 'Email address']);
+      expect(merged[0]).toMatchObject({
+        sources: ['Your device', 'Partners'],
+        recipients: [
+          { name: 'Ad partners', type: 'advertiser' },
+          { name: 'Google', type: 'analytics' },
+        ],
+        legalBases: ['Consent'],
+        retention: 'Up to 13 months',
+      });
+      expect(merged[0].citations).toHaveLength(2);
+    });
+  });
+
+  describe('merge', () => {
+    it('should combine findings from all chunks in document order', () => {
+      const merged = ChunkMerger.merge([
+        makeChunk({
+          summary: 'First part',
+          risks: [makeRisk()],
+          scorecardEvidence: { ...emptyEvidence(), dataCollection: ['Collects location'] },
+        }),
+        makeChunk({
+          summary: 'Second part',
+          risks: [makeRisk({ title: 'Data sold to advertisers' })],
+          scorecardEvidence: {
+            ...emptyEvidence(),
+            dataCollection: ['collects location.', 'Collects contacts'],
+          },
+        }),
+      ]);
+
+      expect(merged.summaries).toEqual(['First part', 'Second part']);
+      expect(merged.risks).toHaveLength(1);
+      expect(merged.scorecardEvidence.dataCollection).toEqual([
+        'Collects location',
+        'Collects contacts',
+      ]);
+    });
+  });
+
+  describe('buildDigest', () => {
+    it('should include summaries, evidence for every category and risks', () => {
+      const findings = ChunkMerger.merge([
+        makeChunk({
+          summary: 'Covers data sharing',
+          risks: [makeRisk({ severity: 'high' })],
+          scorecardEvidence: { ...emptyEvidence(), thirdPartySharing: ['Sells data to brokers'] },
+        }),
+      ]);
+
+      const digest = ChunkMerger.buildDigest(findings, 3);
+
+      expect(digest).toContain('analyzed in 3 parts');
+      expect(digest).toContain('Part 1: Covers data sharing');
+      expect(digest).toContain('## Third-Party Sharing');
+      expect(digest).toContain('- Sells data to brokers');
+      expect(digest).toContain('## Policy Transparency');
+      expect(digest).toContain('- Not addressed in the policy');
+      expect(digest).toContain('[high] Data sold to advertisers');
+    });
+  });
+});
@@ -0,0 +1,482 @@
+/**
+ * @file Chunk Merger
+ * @description Merges and deduplicates per-chunk findings from map-reduce analysis
+ */
+
+import type {
+  Citation,
+  ChunkExtraction,
+  ComplianceChecklist,
+  ComplianceStatus,
+  DataFlow,
+  PrivacyRisk,
+  KeyTerm,
+  RiskLevel,
+  PrivacyRightsInfo,
+  PrivacyProcedure,
+  ScorecardCategoryKey,
+  ScorecardEvidence,
+} from "../../types";
+import { SCORECARD_CATEGORY_LABELS } from "../../utils/constants";
+
+/**
+ * Combined findings across all chunks
+ */
+export interface MergedChunkFindings {
+  /** Per-chunk summaries, in document order */
+  summaries: string[];
+  /** Deduplicated risks */
+  risks: PrivacyRisk[];
+  /** Deduplicated key terms */
+  keyTerms: KeyTerm[];
+  /** Deduplicated privacy rights info */
+  privacyRights: PrivacyRightsInfo;
+  /** Deduplicated scorecard evidence per category */
+  scorecardEvidence: ScorecardEvidence;
+  /** Data flows combined per data category */
+  dataFlows: DataFlow[];
+}
+
+const SEVERITY_RANK: Record<RiskLevel, number> = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4,
+};
+
+const COMPLIANCE_RANK: Record<ComplianceStatus, number> = {
+  missing: 0,
+  partial: 1,
+  present: 2,
+};
+
+/**
+ * Words ignored when comparing risk titles
+ */
+const STOP_WORDS = new Set([
+  "the",
+  "and",
+  "for",
+  "with",
+  "your",
+  "you",
+  "are",
+  "may",
+  "can",
+  "data",
+  "information",
+]);
+
+export class ChunkMerger {
+  /**
+   * Minimum token overlap (Jaccard index) for two risk titles to be
+   * treated as the same risk
+   */
+  static readonly RISK_SIMILARITY_THRESHOLD = 0.6;
+
+  /**
+   * Merges findings from all successfully analyzed chunks
+   * @param extractions - Per-chunk findings in document order
+   * @returns Merged findings
+   */
+  static merge(extractions: ChunkExtraction[]): MergedChunkFindings {
+    return {
+      summaries: extractions.map((e) => e.summary).filter(Boolean),
+      risks: this.mergeRisks(extractions.flatMap((e) => e.risks)),
+      keyTerms: this.mergeKeyTerms(extractions.flatMap((e) => e.keyTerms)),
+      privacyRights: this.mergePrivacyRights(
+        extractions.map((e) => e.privacyRights),
+      ),
+      scorecardEvidence: this.mergeEvidence(
+        extractions.map((e) => e.scorecardEvidence),
+      ),
+      dataFlows: this.mergeDataFlows(
+        extractions.flatMap((e) => e.dataFlows ?? []),
+      ),
+    };
+  }
+
+  /**
+   * Deduplicates risks by title similarity, keeping the highest severity
+   * and the most detailed description
+   * @param risks - Risks from all chunks
+   * @returns Deduplicated risks in first-seen order
+   */
+  static mergeRisks(risks: PrivacyRisk[]): PrivacyRisk[] {
+    const merged: Array<{ risk: PrivacyRisk; tokens: Set<string> }> = [];
+
+    for (const risk of risks) {
+      const tokens = this.tokenize(risk.title);
+      const existing = merged.find((entry) =>
+        this.titlesMatch(entry.risk.title, risk.title, entry.tokens, tokens),
+      );
+
+      if (!existing) {
+        merged.push({ risk: { ...risk }, tokens });
+        continue;
+      }
+
+      const target = existing.risk;
+      if (SEVERITY_RANK[risk.severity] > SEVERITY_RANK[target.severity]) {
+        target.severity = risk.severity;
+      }
+      if (risk.description.length > target.description.length) {
+        target.description = risk.description;
+      }
+      if (
+        risk.recommendation &&
+        risk.recommendation.length > (target.recommendation?.length || 0)
+      ) {
+        target.recommendation = risk.recommendation;
+      }
+      target.location = this.joinLocations(target.location, risk.location);
+      if (risk.citations) {
+        target.citations = this.mergeCitations(target.citations, risk.citations);
+      }
+    }
+
+    return merged.map((entry) => entry.risk);
+  }
+
+  /**
+   * Checks whether two risks describe the same issue, by normalized title
+   * or title token overlap
+   * @param a - First risk
+   * @param b - Second risk
+   * @returns True if the risks match
+   */
+  static isSameRisk(a: PrivacyRisk, b: PrivacyRisk): boolean {
+    return this.titlesMatch(
+      a.title,
+      b.title,
+      this.tokenize(a.title),
+      this.tokenize(b.title),
+    );
+  }
+
+  /**
+   * Token overlap (Jaccard index) of the titles and descriptions of two
+   * risks, for matching risks worded differently by different models
+   * @param a - First risk
+   * @param b - Second risk
+   * @returns Similarity from 0 (nothing shared) to 1
+   */
+  static riskSimilarity(a: PrivacyRisk, b: PrivacyRisk): number {
+    return this.jaccard(
+      this.tokenize(`${a.title} ${a.description}`),
+      this.tokenize(`${b.title} ${b.description}`),
+    );
+  }
+
+  /**
+   * Deduplicates key terms by normalized term, keeping the longest definition
+   * @param terms - Key terms from all chunks
+   * @returns Deduplicated key terms in first-seen order
+   */
+  static mergeKeyTerms(terms: KeyTerm[]): KeyTerm[] {
+    const byTerm = new Map<string, KeyTerm>();
+
+    for (const term of terms) {
+      const key = this.normalize(term.term).replace(/s$/, "");
+      const existing = byTerm.get(key);
+
+      if (!existing) {
+        byTerm.set(key, { ...term });
+        continue;
+      }
+
+      if (term.definition.length > existing.definition.length) {
+        existing.definition = term.definition;
+      }
+      existing.location = this.joinLocations(
+        existing.location || "",
+        term.location || "",
+      );
+      if (term.citations) {
+        existing.citations = this.mergeCitations(
+          existing.citations,
+          term.citations,
+        );
+      }
+    }
+
+    return Array.from(byTerm.values());
+  }
+
+  /**
+   * Combines data flows of the same data category, keeping every source,
+   * purpose, recipient and legal basis and the most detailed retention
+   * @param flows - Data flows from all chunks
+   * @returns Combined data flows in first-seen order
+   */
+  static mergeDataFlows(flows: DataFlow[]): DataFlow[] {
+    const byCategory = new Map<string, DataFlow>();
+
+    for (const flow of flows) {
+      const key = this.normalize(flow.category).replace(/s$/, "");
+      const existing = byCategory.get(key);
+
+      if (!existing) {
+        byCategory.set(key, { ...flow });
+        continue;
+      }
+
+      const union = (a: string[], b: string[]) =>
+        this.uniqueBy([...a, ...b], (item) => this.normalize(item));
+      existing.sources = union(existing.sources, flow.sources);
+      existing.purposes = union(existing.purposes, flow.purposes);
+      existing.legalBases = union(existing.legalBases, flow.legalBases);
+      existing.recipients = this.uniqueBy(
+        [...existing.recipients, ...flow.recipients],
+        (recipient) => this.normalize(recipient.name),
+      );
+      if (flow.retention.length > existing.retention.length) {
+        existing.retention = flow.retention;
+      }
+      if (flow.citations) {
+        existing.citations = this.mergeCitations(
+          existing.citations,
+          flow.citations,
+        );
+      }
+    }
+
+    return Array.from(byCategory.values());
+  }
+
+  /**
+   * Combines the citations of two merged findings, dropping duplicate quotes
+   */
+  static mergeCitations(
+    existing: Citation[] | undefined,
+    added: Citation[],
+  ): Citation[] {
+    return this.uniqueBy([...(existing ?? []), ...added], (c) =>
+      this.normalize(c.quote),
+    );
+  }
+
+  /**
+   * Combines privacy rights info, deduplicating links, contacts,
+   * procedures and timeframes
+   * @param infos - Privacy rights info from all chunks
+   * @returns Combined privacy rights info
+   */
+  static mergePrivacyRights(infos: PrivacyRightsInfo[]): PrivacyRightsInfo {
+    const links = this.uniqueBy(
+      infos.flatMap((i) => i.links),
+      (l) => l.url.toLowerCase().replace(/\/$/, ""),
+    );
+    const contacts = this.uniqueBy(
+      infos.flatMap((i) => i.contacts),
+      (c) => `${c.type}:${c.value.toLowerCase()}`,
+    );
+    const timeframes = this.uniqueBy(
+      infos.flatMap((i) => i.timeframes),
+      (t) => this.normalize(t),
+    );
+
+    // Keep the most detailed procedure for each right/title pair
+    const proceduresByKey = new Map<string, PrivacyProcedure>();
+    for (const procedure of infos.flatMap((i) => i.procedures)) {
+      const key = `${procedure.right}:${this.normalize(procedure.title)}`;
+      const existing = proceduresByKey.get(key);
+      if (!existing || procedure.steps.length > existing.steps.length) {
+        proceduresByKey.set(key, procedure);
+      }
+    }
+    const procedures = Array.from(proceduresByKey.values());
+
+    return {
+      links,
+      contacts,
+      procedures,
+      timeframes,
+      hasActionableInfo:
+        links.length > 0 || contacts.length > 0 || procedures.length > 0,
+    };
+  }
+
+  /**
+   * Combines the checklists of one profile from all chunks. A requirement is
+   * as covered as the part of the policy that covers it best; evidence and
+   * citations come from the parts with that status.
+   * @param checklists - Checklists of the same profile, one per chunk
+   * @returns Combined checklist, or null if there are none
+   */
+  static mergeComplianceChecklists(
+    checklists: ComplianceChecklist[],
+  ): ComplianceChecklist | null {
+    if (checklists.length === 0) return null;
+
+    return {
+      profile: checklists[0].profile,
+      checks: checklists[0].checks.map((_, index) => {
+        const candidates = checklists.map(
+          (checklist) => checklist.checks[index],
+        );
+        const best = Math.max(
+          ...candidates.map((check) => COMPLIANCE_RANK[check.status]),
+        );
+        const matching = candidates.filter(
+          (check) => COMPLIANCE_RANK[check.status] === best,
+        );
+        if (!matching.some((check) => check.citations)) {
+          return matching[0];
+        }
+        return {
+          ...matching[0],
+          citations: this.mergeCitations(
+            undefined,
+            matching.flatMap((check) => check.citations ?? []),
+          ).slice(0, 3),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Combines scorecard evidence per category, dropping duplicates
+   * @param evidence - Scorecard evidence from all chunks
+   * @returns Combined evidence
+   */
+  static mergeEvidence(evidence: ScorecardEvidence[]): ScorecardEvidence {
+    const merged = {} as ScorecardEvidence;
+    for (const key of Object.keys(
+      SCORECARD_CATEGORY_LABELS,
+    ) as ScorecardCategoryKey[]) {
+      merged[key] = this.uniqueBy(
+        evidence.flatMap((e) => e[key] || []),
+        (s) => this.normalize(s),
+      );
+    }
+    return merged;
+  }
+
+  /**
+   * Builds a condensed text digest of merged findings, used as the
+   * document for the reduce-step summary and scorecard prompts
+   * @param findings - Merged findings
+   * @param totalChunks - Number of chunks the document was split into
+   * @returns Digest text
+   */
+  static buildDigest(
+    findings: MergedChunkFindings,
+    totalChunks: number,
+  ): string {
+    const parts: string[] = [
+      `This is a condensed digest of a long privacy policy that was analyzed in ${totalChunks} parts.`,
+      "",
+      "# Section Summaries",
+    ];
+
+    findings.summaries.forEach((summary, index) => {
+      parts.push(`Part ${index + 1}: ${summary}`);
+    });
+
+    parts.push("", "# Evidence by Category");
+    for (const [key, label] of Object.entries(
+      SCORECARD_CATEGORY_LABELS,
+    ) as Array<[ScorecardCategoryKey, string]>) {
+      const items = findings.scorecardEvidence[key];
+      parts.push(`## ${label}`);
+      parts.push(
+        items.length > 0
+          ? items.map((item) => `- ${item}`).join("\n")
+          : "- Not addressed in the policy",
+      );
+    }
+
+    if (findings.risks.length > 0) {
+      parts.push("", "# Identified Risks");
+      for (const risk of findings.risks) {
+        parts.push(
+          `- [${risk.severity}] ${risk.title}: ${risk.description}`,
+        );
+      }
+    }
+
+    return parts.join("\n");
+  }
+
+  /**
+   * Normalizes text for comparison
+   * @private
+   */
+  private static normalize(text: string): string {
+    return text
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Splits text into significant comparison tokens
+   * @private
+   */
+  private static tokenize(text: string): Set<string> {
+    return new Set(
+      this.normalize(text)
+        .split(" ")
+        .filter((word) => word.length > 2 && !STOP_WORDS.has(word)),
+    );
+  }
+
+  /**
+   * Jaccard similarity between two token sets
+   * @private
+   */
+  private static jaccard(a: Set<string>, b: Set<string>): number {
+    if (a.size === 0 || b.size === 0) return 0;
+    let intersection = 0;
+    for (const token of a) {
+      if (b.has(token)) intersection++;
+    }
+    return intersection / (a.size + b.size - intersection);
+  }
+
+  /**
+   * Compares risk titles using precomputed title tokens
+   * @private
+   */
+  private static titlesMatch(
+    titleA: string,
+    titleB: string,
+    tokensA: Set<string>,
+    tokensB: Set<string>,
+  ): boolean {
+    return (
+      this.normalize(titleA) === this.normalize(titleB) ||
+      this.jaccard(tokensA, tokensB) >= this.RISK_SIMILARITY_THRESHOLD
+    );
+  }
+
+  /**
+   * Joins two location strings without repeating entries
+   * @private
+   */
+  private static joinLocations(a: string, b: string): string {
+    const locations = this.uniqueBy(
+      [...a.split("; "), ...b.split("; ")].filter(
+        (loc) => loc && loc !== "General",
+      ),
+      (loc) => this.normalize(loc),
+    );
+    return locations.length > 0 ? locations.join("; ") : a || b;
+  }
+
+  /**
+   * Removes duplicates by a derived key, keeping the first occurrence
+   * @private
+   */
+  private static uniqueBy<T>(items: T[], keyFn: (item: T) => string): T[] {
+    const seen = new Set<string>();
+    return items.filter((item) => {
+      const key = keyFn(item);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import { CitationVerifier } from './CitationVerifier.js';
+import type { Citation, PrivacyScorecard } from '../../types';
+
+const POLICY = `1. Sharing
+
+We may share your  personal information with
+“advertising partners” — including data brokers...
+
+2. Retention
+
+We keep your data for as long as your account is active.`;
+
+const locate = (quote: string) =>
+  CitationVerifier.locate(quote, CitationVerifier.createIndex(POLICY));
+
+describe('CitationVerifier', () => {
+  describe('locate', () => {
+    it('should return the offsets of an exact quote', () => {
+      const quote = 'We keep your data for as long as your account is active.';
+
+      const match = locate(quote);
+
+      expect(match).toEqual({ start: POLICY.indexOf(quote), end: POLICY.indexOf(quote) + quote.length });
+    });
+
+    it('should ignore case, whitespace and typographic characters', () => {
+      const match = locate('we may share your personal information with "advertising partners" - including');
+
+      expect(match).not.toBeNull();
+      expect(POLICY.slice(match!.start, match!.end)).toBe(
+        'We may share your  personal information with\n“advertising partners” — including',
+      );
+    });
+
+    it('should match text after repeated punctuation was collapsed', () => {
+      expect(locate('including data brokers.')).not.toBeNull();
+    });
+
+    it('should match quotes that skip text with an ellipsis, in order', () => {
+      const match = locate('We may share your personal information ... data brokers');
+
+      expect(POLICY.slice(match!.start, match!.end)).toMatch(/^We may share[\s\S]*data brokers$/);
+      expect(locate('data brokers ... We may share your personal information')).toBeNull();
+    });
+
+    it('should not verify invented or very short quotes', () => {
+      expect(locate('We never share your personal information')).toBeNull();
+      expect(locate('We')).toBeNull();
+    });
+  });
+
+  describe('verifyFindings', () => {
+    it('should verify risk, key term and scorecard citations', () => {
+      const scorecard = {
+        dataRetention: {
+          score: 4,
+          weight: 14,
+          summary: 'Kept while active',
+          citations: [{ quote: 'as long as your account is active', verified: false }],
+        },
+      } as unknown as PrivacyScorecard;
+
+      const findings = CitationVerifier.verifyFindings(
+        {
+          risks: [
+            {
+              id: 'r1',
+              title: 'Sharing',
+              description: 'Shared',
+              severity: 'high',
+              location: 'Section 1',
+              citations: [
+                { quote: 'share your personal information', verified: false },
+                { quote: 'We sell your data', verified: true },
+              ],
+            },
+          ],
+          keyTerms: [{ term: 'Broker', definition: 'Buys data' }],
+          scorecard,
+        },
+        POLICY,
+      );
+
+      const [found, invented]: Citation[] = findings.risks[0].citations!;
+      expect(found).toMatchObject({ verified: true, start: expect.any(Number), end: expect.any(Number) });
+      expect(POLICY.slice(found.start, found.end)).toBe('share your  personal information');
+      expect(invented).toEqual({ quote: 'We sell your data', verified: false });
+      expect(findings.keyTerms[0]).not.toHaveProperty('citations');
+      expect(findings.scorecard!.dataRetention.citations![0].verified).toBe(true);
+    });
+
+    it('should verify data flow citations', () => {
+      const findings = CitationVerifier.verifyFindings(
+        {
+          risks: [],
+          keyTerms: [],
+          scorecard: null,
+          dataFlows: [
+            {
+              id: 'f1',
+              category: 'Personal information',
+              sources: [],
+              purposes: [],
+              recipients: [{ name: 'Data brokers', type: 'data-broker' }],
+              legalBases: [],
+              retention: '',
+              citations: [{ quote: 'including data brokers', verified: false }],
+            },
+          ],
+        },
+        POLICY,
+      );
+
+      expect(findings.dataFlows![0].citations![0].verified).toBe(true);
+    });
+
+    it('should leave findings unchanged without policy text', () => {
+      const findings = {
+        risks: [],
+        keyTerms: [{ term: 'Broker', definition: 'Buys data', citations: [{ quote: 'data brokers', verified: true }] }],
+        scorecard: null,
+      };
+
+      expect(CitationVerifier.verifyFindings(findings, '')).toBe(findings);
+    });
+  });
+
+  describe('isUnverified', () => {
+    it('should flag findings without any verified citation', () => {
+      expect(CitationVerifier.isUnverified([{ quote: 'Invented', verified: false }])).toBe(true);
+      expect(CitationVerifier.isUnverified([])).toBe(true);
+      expect(
+        CitationVerifier.isUnverified([
+          { quote: 'Invented', verified: false },
+          { quote: 'Found', verified: true },
+        ]),
+      ).toBe(false);
+    });
+
+    it('should not flag findings made before citations existed', () => {
+      expect(CitationVerifier.isUnverified(undefined)).toBe(false);
+    });
+  });
+});
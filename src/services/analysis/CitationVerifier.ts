@@ -0,0 +1,229 @@
+/**
+ * @file Citation Verifier
+ * @description Checks that quotes cited by the model appear in the policy text
+ * and records where they were found
+ *
+ * Matching ignores case, whitespace, typographic quotes and dashes, and
+ * repeated punctuation (which TextPreprocessor collapses before the text is
+ * sent to the model). Quotes may skip text with an ellipsis; the parts must
+ * then appear in order. Offsets always refer to the original text.
+ */
+
+import type {
+  Citation,
+  ComplianceChecklist,
+  DataFlow,
+  KeyTerm,
+  PrivacyRisk,
+  PrivacyScorecard,
+  ScorecardCategoryKey,
+} from "../../types/index.js";
+import { SCORECARD_CATEGORY_LABELS } from "../../utils/constants.js";
+
+/**
+ * Normalized policy text with a map back to original offsets
+ */
+export interface CitationIndex {
+  /** Normalized text */
+  text: string;
+  /** Original offset of each normalized character */
+  offsets: number[];
+}
+
+/**
+ * Findings that can carry citations
+ */
+interface CitedFindings {
+  risks: PrivacyRisk[];
+  keyTerms: KeyTerm[];
+  scorecard: PrivacyScorecard | null;
+  compliance?: ComplianceChecklist[];
+  dataFlows?: DataFlow[];
+}
+
+const TYPOGRAPHIC_CHARACTERS: Record<string, string> = {
+  "‘": "'",
+  "’": "'",
+  "‚": "'",
+  "‛": "'",
+  "′": "'",
+  "“": '"',
+  "”": '"',
+  "„": '"',
+  "‟": '"',
+  "″": '"',
+  "‐": "-",
+  "‑": "-",
+  "‒": "-",
+  "–": "-",
+  "—": "-",
+  "−": "-",
+  " ": " ",
+};
+
+/**
+ * Service for verifying cited policy passages
+ */
+export class CitationVerifier {
+  /** Shortest quote (after normalization) that can be verified */
+  static readonly MIN_QUOTE_LENGTH = 10;
+
+  /**
+   * Verifies the citations of all findings against the policy text
+   * @param findings - Analysis findings
+   * @param text - Original policy text (`documentMetadata.rawText`)
+   * @returns Findings with verified citations
+   */
+  static verifyFindings<T extends CitedFindings>(findings: T, text: string): T {
+    if (!text) return findings;
+    const index = this.createIndex(text);
+
+    let scorecard = findings.scorecard;
+    if (scorecard) {
+      scorecard = { ...scorecard };
+      for (const key of Object.keys(
+        SCORECARD_CATEGORY_LABELS,
+      ) as ScorecardCategoryKey[]) {
+        const category = scorecard[key];
+        if (category?.citations) {
+          scorecard[key] = {
+            ...category,
+            citations: this.verify(category.citations, index),
+          };
+        }
+      }
+    }
+
+    return {
+      ...findings,
+      risks: findings.risks.map((risk) =>
+        risk.citations
+          ? { ...risk, citations: this.verify(risk.citations, index) }
+          : risk,
+      ),
+      keyTerms: findings.keyTerms.map((term) =>
+        term.citations
+          ? { ...term, citations: this.verify(term.citations, index) }
+          : term,
+      ),
+      scorecard,
+      ...(findings.compliance && {
+        compliance: findings.compliance.map((checklist) => ({
+          ...checklist,
+          checks: checklist.checks.map((check) =>
+            check.citations
+              ? { ...check, citations: this.verify(check.citations, index) }
+              : check,
+          ),
+        })),
+      }),
+      ...(findings.dataFlows && {
+        dataFlows: findings.dataFlows.map((flow) =>
+          flow.citations
+            ? { ...flow, citations: this.verify(flow.citations, index) }
+            : flow,
+        ),
+      }),
+    };
+  }
+
+  /**
+   * Verifies citations against an indexed policy text
+   * @param citations - Citations to verify
+   * @param index - Index from createIndex()
+   * @returns Citations with verified flags and offsets
+   */
+  static verify(citations: Citation[], index: CitationIndex): Citation[] {
+    return citations.map((citation) => {
+      const match = this.locate(citation.quote, index);
+      return match
+        ? { quote: citation.quote, verified: true, ...match }
+        : { quote: citation.quote, verified: false };
+    });
+  }
+
+  /**
+   * Finds a quote in the policy text
+   * @param quote - Quote to find
+   * @param index - Index from createIndex()
+   * @returns Original offsets of the passage, or null if not found
+   */
+  static locate(
+    quote: string,
+    index: CitationIndex,
+  ): { start: number; end: number } | null {
+    const parts = quote
+      .split(/\.{3}|…|\[\.{3}\]/)
+      .map((part) =>
+        this.normalize(part).text.replace(/^[\s"']+|[\s"']+$/g, ""),
+      )
+      .filter(Boolean);
+
+    if (parts.join(" ").length < this.MIN_QUOTE_LENGTH) {
+      return null;
+    }
+
+    let searchFrom = 0;
+    let start = -1;
+    let end = -1;
+    for (const part of parts) {
+      const found = index.text.indexOf(part, searchFrom);
+      if (found === -1) return null;
+      if (start === -1) start = found;
+      end = found + part.length;
+      searchFrom = end;
+    }
+
+    return {
+      start: index.offsets[start],
+      end: index.offsets[end - 1] + 1,
+    };
+  }
+
+  /**
+   * Normalizes policy text for matching, keeping a map to original offsets
+   * @param text - Original policy text
+   * @returns Index for locate()
+   */
+  static createIndex(text: string): CitationIndex {
+    return this.normalize(text);
+  }
+
+  /**
+   * Checks whether a finding's citations failed verification. Findings from
+   * before citations existed (no citations field) are not flagged.
+   * @param citations - Citations of a finding
+   * @returns True if the finding has no verified citation
+   */
+  static isUnverified(citations: Citation[] | undefined): boolean {
+    return !!citations && !citations.some((citation) => citation.verified);
+  }
+
+  /**
+   * @private
+   */
+  private static normalize(text: string): CitationIndex {
+    const chars: string[] = [];
+    const offsets: number[] = [];
+
+    for (let i = 0; i < text.length; i++) {
+      let char = TYPOGRAPHIC_CHARACTERS[text[i]] ?? text[i];
+
+      if (/\s/.test(char)) {
+        // Collapse whitespace runs, never start with a space
+        if (chars.length === 0 || chars[chars.length - 1] === " ") continue;
+        char = " ";
+      } else if (/[.!?]/.test(char) && chars[chars.length - 1] === char) {
+        // Collapse repeated punctuation like TextPreprocessor does
+        continue;
+      }
+
+      for (const lower of char.toLowerCase()) {
+        chars.push(lower);
+        offsets.push(i);
+      }
+    }
+
+    return { text: chars.join(""), offsets };
+  }
+}
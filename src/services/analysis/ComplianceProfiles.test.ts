@@ -0,0 +1,49 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ComplianceProfiles } from './ComplianceProfiles.js';
+
+describe('ComplianceProfiles', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should list every profile with uniquely identified requirements', () => {
+    const profiles = ComplianceProfiles.list();
+
+    expect(profiles.map(profile => profile.id)).toEqual(['gdpr', 'ccpa', 'lgpd', 'pipeda']);
+    for (const profile of profiles) {
+      const ids = profile.requirements.map(requirement => requirement.id);
+      expect(new Set(ids).size).toBe(ids.length);
+    }
+  });
+
+  it('should give every profile a request deadline and the provisions for access requests', () => {
+    for (const profile of ComplianceProfiles.list()) {
+      expect(profile.requests.deadline).not.toBe('');
+      expect(profile.requests.deadlineReference).not.toBe('');
+      expect(profile.requests.rights.access).toBeTruthy();
+    }
+  });
+
+  it('should keep known profile IDs once each, in profile order', () => {
+    expect(ComplianceProfiles.normalizeIds(['pipeda', 'unknown', 'gdpr', 'gdpr'])).toEqual(['gdpr', 'pipeda']);
+    expect(ComplianceProfiles.normalizeIds('gdpr')).toEqual([]);
+    expect(ComplianceProfiles.isProfileId('toString')).toBe(false);
+  });
+
+  it('should map checklist section names back to their profile', () => {
+    const section = ComplianceProfiles.sectionName('ccpa');
+
+    expect(section).toBe('CCPA/CPRA checklist');
+    expect(ComplianceProfiles.fromSection(section)?.id).toBe('ccpa');
+    expect(ComplianceProfiles.fromSection('risks')).toBeNull();
+  });
+
+  it('should save the selection alongside other preferences', () => {
+    localStorage.setItem('ppa_user_preferences', JSON.stringify({ theme: 'dark' }));
+
+    ComplianceProfiles.saveSelection(['lgpd', 'gdpr']);
+
+    expect(ComplianceProfiles.loadSelection()).toEqual(['gdpr', 'lgpd']);
+    expect(JSON.parse(localStorage.getItem('ppa_user_preferences')!).theme).toBe('dark');
+  });
+});
@@ -0,0 +1,539 @@
+/**
+ * @file Compliance Profiles
+ * @description Jurisdiction profiles listing the disclosures each privacy law
+ * requires a privacy policy to make
+ *
+ * Each selected profile adds one analysis section, named after the profile
+ * (e.g. "GDPR checklist"), that rates every requirement as present, partial
+ * or missing. The lists cover notice requirements only; they are a review
+ * aid, not legal advice.
+ *
+ * Profiles also record the provisions granting each privacy right and the
+ * deadline for answering requests, which request letters cite.
+ */
+
+import {
+  getUserPreferences,
+  saveUserPreferences,
+} from "../../utils/storage.js";
+import type {
+  ComplianceProfile,
+  ComplianceProfileId,
+  ComplianceStatus,
+} from "../../types/index.js";
+
+/**
+ * Profiles in the order they are offered and analyzed
+ */
+const PROFILES: Record<ComplianceProfileId, ComplianceProfile> = {
+  gdpr: {
+    id: "gdpr",
+    name: "GDPR",
+    law: "General Data Protection Regulation (EU) 2016/679",
+    jurisdiction: "European Union and EEA",
+    requests: {
+      deadline: "one month",
+      deadlineReference: "Art. 12(3)",
+      rights: {
+        access: "Art. 15",
+        correction: "Art. 16",
+        deletion: "Art. 17",
+        portability: "Art. 20",
+        objection: "Art. 21",
+        "opt-out": "Art. 21(2)",
+      },
+    },
+    requirements: [
+      {
+        id: "controller",
+        label: "Controller identity and contact details",
+        description:
+          "Name and contact details of the controller (and its EU representative, if any)",
+        reference: "Art. 13(1)(a)",
+      },
+      {
+        id: "dpo",
+        label: "Data protection officer contact",
+        description: "Contact details of the data protection officer",
+        reference: "Art. 13(1)(b)",
+      },
+      {
+        id: "purposes",
+        label: "Purposes of processing",
+        description: "Purposes for which the personal data is processed",
+        reference: "Art. 13(1)(c)",
+      },
+      {
+        id: "legal-basis",
+        label: "Legal basis for each purpose",
+        description:
+          "Legal basis (consent, contract, legal obligation, legitimate interests, etc.) for each purpose",
+        reference: "Art. 13(1)(c)",
+      },
+      {
+        id: "legitimate-interests",
+        label: "Legitimate interests pursued",
+        description:
+          "The legitimate interests pursued, where processing relies on them",
+        reference: "Art. 13(1)(d)",
+      },
+      {
+        id: "recipients",
+        label: "Recipients of the data",
+        description: "Recipients or categories of recipients of the data",
+        reference: "Art. 13(1)(e)",
+      },
+      {
+        id: "transfers",
+        label: "International transfers and safeguards",
+        description:
+          "Transfers outside the EEA, and the adequacy decision or safeguards (e.g. standard contractual clauses) relied on",
+        reference: "Art. 13(1)(f)",
+      },
+      {
+        id: "retention",
+        label: "Retention period",
+        description:
+          "How long the data is kept, or the criteria used to decide",
+        reference: "Art. 13(2)(a)",
+      },
+      {
+        id: "rights",
+        label: "Data subject rights",
+        description:
+          "Rights of access, rectification, erasure, restriction, objection and data portability",
+        reference: "Art. 13(2)(b)",
+      },
+      {
+        id: "withdraw-consent",
+        label: "Right to withdraw consent",
+        description:
+          "Right to withdraw consent at any time, where processing is based on consent",
+        reference: "Art. 13(2)(c)",
+      },
+      {
+        id: "complaint",
+        label: "Right to complain to a supervisory authority",
+        description: "Right to lodge a complaint with a supervisory authority",
+        reference: "Art. 13(2)(d)",
+      },
+      {
+        id: "obligation",
+        label: "Whether providing data is required",
+        description:
+          "Whether providing the data is a statutory or contractual requirement, and the consequences of not providing it",
+        reference: "Art. 13(2)(e)",
+      },
+      {
+        id: "automated-decisions",
+        label: "Automated decision-making and profiling",
+        description:
+          "Any automated decision-making or profiling, its logic, significance and consequences",
+        reference: "Art. 13(2)(f)",
+      },
+      {
+        id: "sources",
+        label: "Sources of data not collected from the user",
+        description:
+          "Where data not obtained from the user comes from, and whether it came from public sources",
+        reference: "Art. 14(2)(f)",
+      },
+    ],
+  },
+  ccpa: {
+    id: "ccpa",
+    name: "CCPA/CPRA",
+    law: "California Consumer Privacy Act, as amended by the California Privacy Rights Act",
+    jurisdiction: "California, United States",
+    requests: {
+      deadline: "45 days",
+      deadlineReference: "§ 1798.130(a)(2)",
+      deadlineRights: ["access", "deletion", "correction", "portability"],
+      rights: {
+        access: "§ 1798.110",
+        deletion: "§ 1798.105",
+        correction: "§ 1798.106",
+        portability: "§ 1798.100(d)",
+        "opt-out": "§ 1798.120",
+      },
+    },
+    requirements: [
+      {
+        id: "categories-collected",
+        label: "Categories of personal information collected",
+        description:
+          "Categories of personal information collected in the preceding 12 months",
+        reference: "§ 1798.110(c)(1)",
+      },
+      {
+        id: "sources",
+        label: "Sources of personal information",
+        description:
+          "Categories of sources the personal information comes from",
+        reference: "§ 1798.110(c)(2)",
+      },
+      {
+        id: "purposes",
+        label: "Business or commercial purposes",
+        description:
+          "Business or commercial purposes for collecting, selling or sharing personal information",
+        reference: "§ 1798.110(c)(3)",
+      },
+      {
+        id: "sold-shared",
+        label: "Categories sold or shared",
+        description:
+          "Categories of personal information sold or shared for cross-context behavioral advertising, and the categories of third parties receiving them (or a statement that none is sold or shared)",
+        reference: "§ 1798.115(c)(1)",
+      },
+      {
+        id: "disclosed",
+        label: "Categories disclosed for a business purpose",
+        description:
+          "Categories of personal information disclosed for a business purpose, and to whom",
+        reference: "§ 1798.115(c)(2)",
+      },
+      {
+        id: "do-not-sell",
+        label: '"Do Not Sell or Share" opt-out',
+        description:
+          'Right to opt out of the sale or sharing of personal information, and a "Do Not Sell or Share My Personal Information" link or method (including opt-out preference signals such as Global Privacy Control)',
+        reference: "§ 1798.120, § 1798.135",
+      },
+      {
+        id: "sensitive-pi",
+        label: "Sensitive personal information",
+        description:
+          'Categories of sensitive personal information collected, and the right to limit its use ("Limit the Use of My Sensitive Personal Information")',
+        reference: "§ 1798.121",
+      },
+      {
+        id: "retention",
+        label: "Retention period per category",
+        description:
+          "How long each category of personal information is kept, or the criteria used to decide",
+        reference: "§ 1798.100(a)(3)",
+      },
+      {
+        id: "rights",
+        label: "Rights to know, delete and correct",
+        description:
+          "Rights to know, delete and correct personal information, and to access it in a portable format",
+        reference: "§ 1798.105, § 1798.106, § 1798.110",
+      },
+      {
+        id: "request-methods",
+        label: "How to submit requests",
+        description:
+          "Two or more methods for submitting requests (such as a toll-free number and a web form) and how requests are verified",
+        reference: "§ 1798.130(a)(1)",
+      },
+      {
+        id: "authorized-agent",
+        label: "Requests through an authorized agent",
+        description:
+          "How an authorized agent can make a request on the consumer's behalf",
+        reference: "Cal. Code Regs. tit. 11, § 7011",
+      },
+      {
+        id: "non-discrimination",
+        label: "Non-discrimination",
+        description:
+          "Right not to be discriminated against for exercising privacy rights, and any financial incentives offered for personal information",
+        reference: "§ 1798.125",
+      },
+      {
+        id: "minors",
+        label: "Personal information of minors",
+        description:
+          "Whether personal information of consumers under 16 is sold or shared, which requires opt-in consent",
+        reference: "§ 1798.120(c)",
+      },
+      {
+        id: "last-updated",
+        label: "Date last updated",
+        description:
+          "Date the policy was last updated (it must be updated at least every 12 months)",
+        reference: "§ 1798.130(a)(5)",
+      },
+    ],
+  },
+  lgpd: {
+    id: "lgpd",
+    name: "LGPD",
+    law: "Lei Geral de Proteção de Dados (Law No. 13,709/2018)",
+    jurisdiction: "Brazil",
+    requests: {
+      deadline: "15 days",
+      deadlineReference: "Art. 19, II",
+      deadlineRights: ["access"],
+      rights: {
+        access: "Art. 18, II",
+        correction: "Art. 18, III",
+        portability: "Art. 18, V",
+        deletion: "Art. 18, VI",
+        "opt-out": "Art. 18, IX",
+        objection: "Art. 18, § 2",
+      },
+    },
+    requirements: [
+      {
+        id: "purposes",
+        label: "Specific purposes of processing",
+        description: "Specific purposes for which the data is processed",
+        reference: "Art. 9, I",
+      },
+      {
+        id: "form-duration",
+        label: "Form and duration of processing",
+        description: "How the data is processed and for how long",
+        reference: "Art. 9, II",
+      },
+      {
+        id: "controller",
+        label: "Controller identity and contact details",
+        description: "Identity and contact information of the controller",
+        reference: "Art. 9, III-IV",
+      },
+      {
+        id: "sharing",
+        label: "Shared use of data",
+        description:
+          "Who the controller shares the data with and for what purpose",
+        reference: "Art. 9, V",
+      },
+      {
+        id: "legal-basis",
+        label: "Legal basis for processing",
+        description:
+          "Legal basis relied on (consent, legal obligation, contract, legitimate interest, etc.)",
+        reference: "Art. 7",
+      },
+      {
+        id: "rights",
+        label: "Data subject rights",
+        description:
+          "Rights of confirmation, access, correction, anonymization or deletion, portability, information about sharing, and withdrawal of consent",
+        reference: "Art. 9, VII; Art. 18",
+      },
+      {
+        id: "dpo",
+        label: "Data protection officer (encarregado)",
+        description:
+          "Identity and contact details of the data protection officer (encarregado)",
+        reference: "Art. 41, § 1",
+      },
+      {
+        id: "transfers",
+        label: "International transfers",
+        description:
+          "Transfers of data to other countries and the mechanism relied on",
+        reference: "Art. 33",
+      },
+      {
+        id: "security",
+        label: "Security measures",
+        description:
+          "Technical and administrative measures protecting the data",
+        reference: "Art. 46",
+      },
+      {
+        id: "children",
+        label: "Children's and adolescents' data",
+        description:
+          "How data of children and adolescents is processed, and parental consent for children",
+        reference: "Art. 14",
+      },
+    ],
+  },
+  pipeda: {
+    id: "pipeda",
+    name: "PIPEDA",
+    law: "Personal Information Protection and Electronic Documents Act",
+    jurisdiction: "Canada",
+    requests: {
+      deadline: "30 days",
+      deadlineReference: "s. 8(3)",
+      deadlineRights: ["access"],
+      rights: {
+        access: "Principle 4.9",
+        correction: "Principle 4.9.5",
+        "opt-out": "Principle 4.3.8",
+      },
+    },
+    requirements: [
+      {
+        id: "accountability",
+        label: "Person accountable for privacy",
+        description:
+          "Name, title or contact of the person accountable for the organization's privacy practices",
+        reference: "Principle 4.1",
+      },
+      {
+        id: "purposes",
+        label: "Purposes identified",
+        description: "Purposes for which personal information is collected",
+        reference: "Principle 4.2",
+      },
+      {
+        id: "consent",
+        label: "Consent and its withdrawal",
+        description: "How consent is obtained, and how it can be withdrawn",
+        reference: "Principle 4.3",
+      },
+      {
+        id: "collection",
+        label: "Types of information collected",
+        description: "Types of personal information collected",
+        reference: "Principle 4.4",
+      },
+      {
+        id: "disclosure",
+        label: "Use, disclosure and retention",
+        description:
+          "How personal information is used, who it is disclosed to, and how long it is kept",
+        reference: "Principle 4.5",
+      },
+      {
+        id: "third-parties",
+        label: "Transfers to service providers",
+        description:
+          "Information transferred to third parties for processing, including outside Canada",
+        reference: "Principle 4.1.3",
+      },
+      {
+        id: "safeguards",
+        label: "Security safeguards",
+        description: "Safeguards protecting personal information",
+        reference: "Principle 4.7",
+      },
+      {
+        id: "access",
+        label: "Access to personal information",
+        description:
+          "How individuals can access and correct their personal information",
+        reference: "Principle 4.9",
+      },
+      {
+        id: "complaints",
+        label: "Complaints",
+        description:
+          "How to make a complaint to the organization, and the right to complain to the Privacy Commissioner of Canada",
+        reference: "Principle 4.10",
+      },
+    ],
+  },
+};
+
+const SECTION_SUFFIX = " checklist";
+
+/**
+ * User preference holding the selected profiles
+ */
+const PREFERENCE_KEY = "complianceProfiles";
+
+/**
+ * Display labels of the check statuses
+ */
+const STATUS_LABELS: Record<ComplianceStatus, string> = {
+  present: "Disclosed",
+  partial: "Partially disclosed",
+  missing: "Not found",
+};
+
+/**
+ * Service for looking up jurisdiction profiles
+ */
+export class ComplianceProfiles {
+  /**
+   * All profiles, in the order they are offered
+   * @returns Profiles
+   */
+  static list(): ComplianceProfile[] {
+    return Object.values(PROFILES);
+  }
+
+  /**
+   * Looks up a profile
+   * @param id - Profile ID
+   * @returns The profile
+   */
+  static get(id: ComplianceProfileId): ComplianceProfile {
+    return PROFILES[id];
+  }
+
+  /**
+   * Checks whether a value is a known profile ID
+   * @param value - Value to check
+   * @returns True for a profile ID
+   */
+  static isProfileId(value: unknown): value is ComplianceProfileId {
+    return (
+      typeof value === "string" &&
+      Object.prototype.hasOwnProperty.call(PROFILES, value)
+    );
+  }
+
+  /**
+   * Keeps the known profile IDs of a list, once each and in profile order
+   * @param ids - Profile IDs, e.g. from saved preferences
+   * @returns Valid profile IDs
+   */
+  static normalizeIds(ids: unknown): ComplianceProfileId[] {
+    if (!Array.isArray(ids)) return [];
+    return (Object.keys(PROFILES) as ComplianceProfileId[]).filter((id) =>
+      ids.includes(id),
+    );
+  }
+
+  /**
+   * Name of the analysis section of a profile, as reported in partial
+   * failures and the usage breakdown
+   * @param id - Profile ID
+   * @returns Section name, e.g. "GDPR checklist"
+   */
+  static sectionName(id: ComplianceProfileId): string {
+    return `${PROFILES[id].name}${SECTION_SUFFIX}`;
+  }
+
+  /**
+   * Finds the profile of an analysis section
+   * @param section - Section name
+   * @returns The profile, or null if the section is not a checklist
+   */
+  static fromSection(section: string): ComplianceProfile | null {
+    return (
+      this.list().find((profile) => this.sectionName(profile.id) === section) ??
+      null
+    );
+  }
+
+  /**
+   * Display label of a check status
+   * @param status - Check status
+   * @returns Label, e.g. "Partially disclosed"
+   */
+  static statusLabel(status: ComplianceStatus): string {
+    return STATUS_LABELS[status];
+  }
+
+  /**
+   * Loads the profiles selected for new analyses
+   * @returns Selected profile IDs (none by default)
+   */
+  static loadSelection(): ComplianceProfileId[] {
+    return this.normalizeIds(getUserPreferences()?.[PREFERENCE_KEY]);
+  }
+
+  /**
+   * Saves the profiles selected for new analyses, keeping other preferences
+   * @param ids - Selected profile IDs
+   * @returns Success status
+   */
+  static saveSelection(ids: ComplianceProfileId[]): boolean {
+    return saveUserPreferences({
+      ...getUserPreferences(),
+      [PREFERENCE_KEY]: this.normalizeIds(ids),
+    });
+  }
+}
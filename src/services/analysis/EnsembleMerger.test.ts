@@ -0,0 +1,208 @@
+import { describe, it, expect } from 'vitest';
+import { EnsembleMerger } from './EnsembleMerger.js';
+import type { EnsembleModel, PrivacyRisk, PrivacyScorecard, ScorecardCategory } from '../../types';
+
+const makeRisk = (overrides: Partial<PrivacyRisk> = {}): PrivacyRisk => ({
+  id: Math.random().toString(36).slice(2),
+  title: 'Data sold to advertisers',
+  description: 'Your personal data may be sold to advertising partners.',
+  severity: 'medium',
+  location: 'Section 4',
+  recommendation: '',
+  ...overrides,
+});
+
+const category = (score: number): ScorecardCategory => ({ score, weight: 0, summary: `Scored ${score}` });
+
+const makeScorecard = (scores: Partial<Record<'thirdPartySharing' | 'dataRetention', number>> = {}): PrivacyScorecard => ({
+  thirdPartySharing: category(scores.thirdPartySharing ?? 5),
+  userRights: category(6),
+  dataCollection: category(6),
+  dataRetention: category(scores.dataRetention ?? 5),
+  purposeClarity: category(6),
+  securityMeasures: category(6),
+  policyTransparency: category(6),
+  topConcerns: ['Sells data'],
+  positiveAspects: [],
+});
+
+const models: EnsembleModel[] = [
+  { provider: 'openrouter', model: 'model-a', failures: [] },
+  { provider: 'openrouter', model: 'model-b', failures: [] },
+  { provider: 'anthropic', model: 'model-c', failures: [] },
+];
+
+describe('EnsembleMerger', () => {
+  describe('mergeRisks', () => {
+    it('should match risks worded differently by each model', () => {
+      const sold = makeRisk({ title: 'Data sold to advertisers' });
+      const merged = EnsembleMerger.mergeRisks([
+        [sold],
+        [
+          makeRisk({
+            title: 'Selling personal data to advertising partners',
+            description: 'The company sells personal data to advertising partners.',
+            severity: 'high',
+          }),
+        ],
+        [makeRisk({ title: 'Indefinite retention', description: 'Accounts are kept forever after closing.' })],
+      ])!;
+
+      expect(merged.risks).toHaveLength(2);
+      expect(merged.risks[0]).toMatchObject({ id: sold.id, title: 'Data sold to advertisers', severity: 'high' });
+      expect(merged.agreement).toEqual([
+        { riskId: sold.id, models: [0, 1] },
+        { riskId: merged.risks[1].id, models: [2] },
+      ]);
+    });
+
+    it('should match each risk of a model at most once', () => {
+      const merged = EnsembleMerger.mergeRisks([
+        [makeRisk()],
+        [makeRisk(), makeRisk({ description: 'Also sold to data brokers.' })],
+      ])!;
+
+      expect(merged.agreement.map(entry => entry.models)).toEqual([[0, 1], [1]]);
+    });
+
+    it('should merge differently worded risks that cite the same passage', () => {
+      const passage = { quote: 'We may share your information with partners', verified: true, start: 100, end: 140 };
+      const sells = makeRisk({ title: 'Sells data to advertisers', description: 'Your data is sold for ads.', citations: [passage] });
+      const shares = makeRisk({
+        title: 'Shares personal information with marketing partners',
+        description: 'Profiles go to marketing companies.',
+        citations: [{ ...passage, start: 120, end: 160 }],
+      });
+
+      expect(EnsembleMerger.mergeRisks([[sells], [shares]])!.agreement).toEqual([{ riskId: sells.id, models: [0, 1] }]);
+      expect(EnsembleMerger.mergeRisks([[sells], [{ ...shares, citations: [] }]])!.agreement).toHaveLength(2);
+    });
+
+    it('should prefer a shared passage over similar wording', () => {
+      const passage = { quote: 'We keep your data', verified: true, start: 0, end: 20 };
+      const retention = makeRisk({ title: 'Data kept forever', description: 'Data sold and kept.', citations: [passage] });
+      const sold = makeRisk({ title: 'Data sold to advertisers', description: 'Data sold to advertising partners.' });
+      const kept = makeRisk({ title: 'Indefinite retention', description: 'No deletion.', citations: [passage] });
+
+      const merged = EnsembleMerger.mergeRisks([[retention, sold], [kept, makeRisk()]])!;
+
+      expect(merged.agreement).toEqual([
+        { riskId: retention.id, models: [0, 1] },
+        { riskId: sold.id, models: [0, 1] },
+      ]);
+    });
+
+    it('should match the same risks whatever the order of the models', () => {
+      const risks = [
+        [makeRisk({ title: 'Location tracking', description: 'Precise location is collected.' }), makeRisk()],
+        [makeRisk(), makeRisk({ title: 'Tracks precise location', description: 'Precise location is collected always.' })],
+      ];
+
+      const forward = EnsembleMerger.mergeRisks(risks)!;
+      const backward = EnsembleMerger.mergeRisks([...risks].reverse())!;
+
+      expect(forward.agreement.map(entry => entry.models)).toEqual([[0, 1], [0, 1]]);
+      expect(backward.agreement.map(entry => entry.models)).toEqual([[0, 1], [0, 1]]);
+    });
+
+    it('should merge risks judged to be the same', () => {
+      const sells = makeRisk({ title: 'Sells data to advertisers', description: 'Your data is sold for ads.' });
+      const shares = makeRisk({ title: 'Marketing partners get profiles', description: 'Profiles go to marketing companies.' });
+
+      const merged = EnsembleMerger.mergeRisks([[sells], [shares]], [[shares.id, sells.id]])!;
+
+      expect(merged.agreement).toEqual([{ riskId: sells.id, models: [0, 1] }]);
+    });
+
+    it('should return undefined when no model gave risks', () => {
+      expect(EnsembleMerger.mergeRisks([undefined, undefined])).toBeUndefined();
+    });
+  });
+
+  describe('unmatchedRisks', () => {
+    it('should list the risks only one model found when several models have them', () => {
+      const sells = makeRisk({ title: 'Sells data to advertisers', description: 'Your data is sold for ads.' });
+      const shares = makeRisk({ title: 'Marketing partners get profiles', description: 'Profiles go to marketing companies.' });
+      const shared = makeRisk({ title: 'Indefinite retention', description: 'Accounts are kept forever.' });
+
+      expect(EnsembleMerger.unmatchedRisks([[sells, shared], [shares, { ...shared, id: 'b' }]])).toEqual([
+        { model: 0, risk: sells },
+        { model: 1, risk: shares },
+      ]);
+      expect(EnsembleMerger.unmatchedRisks([[sells], [{ ...sells, id: 'b' }, shares]])).toEqual([]);
+    });
+
+    it('should label the risks and map the judged groups back to them', () => {
+      const sells = makeRisk({ id: 'a', title: 'Sells data', citations: [{ quote: 'We sell data', verified: true }] });
+      const shares = makeRisk({ id: 'b', title: 'Shares data' });
+      const tracks = makeRisk({ id: 'c', title: 'Tracks location' });
+
+      const { digest, labels } = EnsembleMerger.buildMatchingDigest([
+        { model: 0, risk: sells },
+        { model: 1, risk: shares },
+        { model: 1, risk: tracks },
+      ]);
+
+      expect(digest).toContain('- A1: Sells data. Your personal data may be sold to advertising partners. Quote: "We sell data"');
+      expect(digest).toContain('- B2: Tracks location.');
+      expect(EnsembleMerger.equivalentRisks([['A1', 'B1', 'B2'], ['B1', 'X9']], labels)).toEqual([['a', 'b'], ['a', 'c']]);
+      expect(EnsembleMerger.equivalentRisks([['B1', 'B2']], labels)).toEqual([]);
+    });
+  });
+
+  describe('mergeScorecards', () => {
+    it('should average the scores and flag categories with a wide spread', () => {
+      const merged = EnsembleMerger.mergeScorecards(
+        [
+          makeScorecard({ thirdPartySharing: 3, dataRetention: 5 }),
+          makeScorecard({ thirdPartySharing: 8, dataRetention: 6 }),
+          null,
+        ],
+        2,
+      );
+
+      expect(merged.scorecard?.thirdPartySharing).toMatchObject({ score: 5.5, summary: 'Scored 3' });
+      expect(merged.scorecard?.dataRetention.score).toBe(5.5);
+      expect(merged.scorecard?.topConcerns).toEqual(['Sells data']);
+      expect(merged.categories.thirdPartySharing).toEqual({ scores: [3, 8, null], spread: 5, disagreement: true });
+      expect(merged.categories.dataRetention).toEqual({ scores: [5, 6, null], spread: 1, disagreement: false });
+      expect(merged.scorecard?.overallScore).toBeGreaterThan(0);
+      expect(merged.scorecard?.overallGrade).toBeTruthy();
+    });
+
+    it('should keep a missing scorecard missing', () => {
+      expect(EnsembleMerger.mergeScorecards([undefined, null], 2)).toEqual({ scorecard: null, categories: {} });
+      expect(EnsembleMerger.mergeScorecards([undefined], 2).scorecard).toBeUndefined();
+    });
+  });
+
+  describe('merge', () => {
+    it('should report what needs a closer look', () => {
+      const shared = makeRisk();
+      const { report } = EnsembleMerger.merge(
+        [
+          { risks: [shared], scorecard: makeScorecard({ dataRetention: 2 }) },
+          { risks: [makeRisk(), makeRisk({ title: 'Location tracking', description: 'Precise GPS location is collected.' })], scorecard: makeScorecard({ dataRetention: 7 }) },
+          { risks: [makeRisk()], scorecard: makeScorecard({ dataRetention: 4 }) },
+        ],
+        models,
+        2,
+      );
+
+      expect(report.disagreementThreshold).toBe(2);
+      expect(EnsembleMerger.singleModelRisks(report)).toEqual(new Set([report.risks[1].riskId]));
+      expect(report.risks[0]).toEqual({ riskId: shared.id, models: [0, 1, 2] });
+      expect(EnsembleMerger.disagreements(report)).toEqual(['dataRetention']);
+    });
+
+    it('should flag no single-model risks when only one model answered', () => {
+      const { report } = EnsembleMerger.merge(
+        [{ risks: [makeRisk()] }, {}],
+        [models[0], { ...models[1], failures: [{ section: 'privacy risks', error: 'Timed out' }] }],
+      );
+
+      expect(EnsembleMerger.modelsAnswering(report, 'privacy risks')).toBe(1);
+      expect(EnsembleMerger.singleModelRisks(report).size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,398 @@
+/**
+ * @file Ensemble Merger
+ * @description Merges the risks and scorecards several models gave for the
+ * same policy, recording which models found each risk and how far apart
+ * their category scores were
+ *
+ * Risks are matched one-to-one between models. Risks citing the same passage
+ * of the policy are the strongest match, then risks with the same title or
+ * that the main model judged to be the same (see PolicyAnalyzer), then risks
+ * sharing most of their title and description. The first model's wording is
+ * kept. Category scores are averaged, and the spread (highest minus lowest
+ * score) shows how much the models disagreed.
+ */
+
+import { ChunkMerger } from "./ChunkMerger.js";
+import { ResponseParser } from "./ResponseParser.js";
+import {
+  ENSEMBLE_CONFIG,
+  SCORECARD_CATEGORY_LABELS,
+} from "../../utils/constants.js";
+import type {
+  Citation,
+  EnsembleCategoryScores,
+  EnsembleModel,
+  EnsembleReport,
+  EnsembleRiskAgreement,
+  PrivacyRisk,
+  PrivacyScorecard,
+  RiskLevel,
+  ScorecardCategoryKey,
+} from "../../types/index.js";
+
+/**
+ * Answers of one model to the ensemble sections. A section the model did
+ * not answer (or was not asked) is left undefined.
+ */
+export interface EnsembleRun {
+  risks?: PrivacyRisk[];
+  scorecard?: PrivacyScorecard | null;
+}
+
+/**
+ * Merged answers of all models of an ensemble
+ */
+export interface MergedEnsemble {
+  /** Merged risks (undefined if no model answered) */
+  risks?: PrivacyRisk[];
+  /** Averaged scorecard (undefined if no model answered) */
+  scorecard?: PrivacyScorecard | null;
+  /** Where the models agreed and disagreed */
+  report: EnsembleReport;
+}
+
+const SEVERITY_RANK: Record<RiskLevel, number> = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4,
+};
+
+const CATEGORY_KEYS = Object.keys(
+  SCORECARD_CATEGORY_LABELS,
+) as ScorecardCategoryKey[];
+
+/**
+ * Rounds a score to one decimal
+ */
+const roundScore = (score: number): number => Math.round(score * 10) / 10;
+
+/**
+ * Checks whether two citation lists point at overlapping passages of the
+ * policy (verified citations only)
+ */
+function sharePassage(a: Citation[] = [], b: Citation[] = []): boolean {
+  return a.some(
+    (x) =>
+      x.start !== undefined &&
+      x.end !== undefined &&
+      b.some(
+        (y) =>
+          y.start !== undefined &&
+          y.end !== undefined &&
+          x.start! < y.end &&
+          y.start < x.end!,
+      ),
+  );
+}
+
+export class EnsembleMerger {
+  /**
+   * Merges the answers of the models of an ensemble
+   * @param runs - Answers of each model, the primary model first
+   * @param models - The models, in the same order
+   * @param disagreementThreshold - Score spread above which a category is
+   * flagged
+   * @param equivalent - Pairs of risk IDs judged to be the same risk
+   * @returns Merged risks and scorecard, and the agreement report
+   */
+  static merge(
+    runs: EnsembleRun[],
+    models: EnsembleModel[],
+    disagreementThreshold: number = ENSEMBLE_CONFIG.DEFAULT_DISAGREEMENT_THRESHOLD,
+    equivalent: Array<[string, string]> = [],
+  ): MergedEnsemble {
+    const risks = this.mergeRisks(
+      runs.map((run) => run.risks),
+      equivalent,
+    );
+    const scorecard = this.mergeScorecards(
+      runs.map((run) => run.scorecard),
+      disagreementThreshold,
+    );
+    return {
+      ...(risks && { risks: risks.risks }),
+      ...(scorecard.scorecard !== undefined && {
+        scorecard: scorecard.scorecard,
+      }),
+      report: {
+        models,
+        risks: risks?.agreement ?? [],
+        categories: scorecard.categories,
+        disagreementThreshold,
+      },
+    };
+  }
+
+  /**
+   * Matches the risks found by each model. Pairs of risks from different
+   * models are joined strongest match first, so the result does not depend
+   * on the order of the models, and a group never holds two risks of one
+   * model. Each group keeps the wording of its risk from the earliest model,
+   * the highest severity and all citations.
+   * @param runs - Risks of each model (undefined where the model gave none)
+   * @param equivalent - Pairs of risk IDs judged to be the same risk
+   * @returns Merged risks in first-seen order and the models behind each,
+   * or undefined if no model gave risks
+   */
+  static mergeRisks(
+    runs: (PrivacyRisk[] | undefined)[],
+    equivalent: Array<[string, string]> = [],
+  ): { risks: PrivacyRisk[]; agreement: EnsembleRiskAgreement[] } | undefined {
+    if (runs.every((risks) => risks === undefined)) return undefined;
+
+    const found = runs.flatMap((risks, model) =>
+      (risks ?? []).map((risk) => ({ risk, model })),
+    );
+    const judged = new Set(
+      equivalent.flatMap(([a, b]) => [`${a}\n${b}`, `${b}\n${a}`]),
+    );
+
+    const pairs: Array<{ a: number; b: number; score: number }> = [];
+    found.forEach((first, a) => {
+      for (let b = a + 1; b < found.length; b++) {
+        const second = found[b];
+        if (first.model === second.model) continue;
+        const score = judged.has(`${first.risk.id}\n${second.risk.id}`)
+          ? 1
+          : this.similarity(first.risk, second.risk);
+        if (score > 0) pairs.push({ a, b, score });
+      }
+    });
+    // Stable sort: equal matches are joined in the order the risks were found
+    pairs.sort((x, y) => y.score - x.score);
+
+    // Groups are numbered after their first-found risk
+    const groupOf = found.map((_, index) => index);
+    const members = found.map((_, index) => [index]);
+    for (const { a, b } of pairs) {
+      const [keep, drop] = [groupOf[a], groupOf[b]].sort((x, y) => x - y);
+      if (keep === drop) continue;
+      const models = new Set(members[keep].map((index) => found[index].model));
+      if (members[drop].some((index) => models.has(found[index].model))) {
+        continue;
+      }
+      for (const index of members[drop]) groupOf[index] = keep;
+      members[keep].push(...members[drop]);
+      members[drop] = [];
+    }
+
+    const merged = members.flatMap((group, first) => {
+      if (group.length === 0) return [];
+      const risk = { ...found[first].risk };
+      for (const index of group.slice(1)) {
+        const other = found[index].risk;
+        if (SEVERITY_RANK[other.severity] > SEVERITY_RANK[risk.severity]) {
+          risk.severity = other.severity;
+        }
+        if (other.citations) {
+          risk.citations = ChunkMerger.mergeCitations(
+            risk.citations,
+            other.citations,
+          );
+        }
+      }
+      const models = group
+        .map((index) => found[index].model)
+        .sort((x, y) => x - y);
+      return [{ risk, models }];
+    });
+
+    return {
+      risks: merged.map((entry) => entry.risk),
+      agreement: merged.map((entry) => ({
+        riskId: entry.risk.id,
+        models: entry.models,
+      })),
+    };
+  }
+
+  /**
+   * How alike two risks from different models are. Risks citing the same
+   * passage of the policy are taken to be the same risk whatever their
+   * wording; otherwise they must share enough of their title and
+   * description.
+   * @param a - First risk
+   * @param b - Second risk
+   * @returns 0 when they are different risks, otherwise a similarity above 0
+   * (1 for matching titles, above 1 for risks citing the same passage)
+   */
+  static similarity(a: PrivacyRisk, b: PrivacyRisk): number {
+    const similarity = ChunkMerger.riskSimilarity(a, b);
+    if (sharePassage(a.citations, b.citations)) {
+      // Wording only ranks risks citing the same passage
+      return 1 + similarity;
+    }
+    if (ChunkMerger.isSameRisk(a, b)) return 1;
+    return similarity >= ENSEMBLE_CONFIG.RISK_SIMILARITY_THRESHOLD
+      ? similarity
+      : 0;
+  }
+
+  /**
+   * Risks only one model found, when more than one model found such risks.
+   * They may still be the same risk worded differently, which only a
+   * reading of the risks can tell.
+   * @param runs - Risks of each model (undefined where the model gave none)
+   * @returns The risks and the model that found each
+   */
+  static unmatchedRisks(
+    runs: (PrivacyRisk[] | undefined)[],
+  ): Array<{ model: number; risk: PrivacyRisk }> {
+    const merged = this.mergeRisks(runs);
+    if (!merged) return [];
+    const unmatched = merged.agreement.flatMap((entry, index) =>
+      entry.models.length === 1
+        ? [{ model: entry.models[0], risk: merged.risks[index] }]
+        : [],
+    );
+    return new Set(unmatched.map((entry) => entry.model)).size > 1
+      ? unmatched
+      : [];
+  }
+
+  /**
+   * Lists unmatched risks for a model to compare, labelling each with its
+   * model's letter and a number (A1, B2, ...)
+   * @param risks - Risks from unmatchedRisks
+   * @returns The list and the risk ID behind each label
+   */
+  static buildMatchingDigest(
+    risks: Array<{ model: number; risk: PrivacyRisk }>,
+  ): { digest: string; labels: Map<string, string> } {
+    const labels = new Map<string, string>();
+    const counts = new Map<number, number>();
+    const lines = risks.map(({ model, risk }) => {
+      const count = (counts.get(model) ?? 0) + 1;
+      counts.set(model, count);
+      const label = `${String.fromCharCode(65 + model)}${count}`;
+      labels.set(label, risk.id);
+      const quotes = (risk.citations ?? []).map(
+        (citation) => ` Quote: "${citation.quote}"`,
+      );
+      return `- ${label}: ${risk.title}. ${risk.description}${quotes.join("")}`;
+    });
+    return { digest: lines.join("\n"), labels };
+  }
+
+  /**
+   * Turns the groups of labels a model judged to be the same risk into
+   * pairs of risk IDs. Unknown labels are ignored, and so are labels of the
+   * same model, which can never describe the same risk.
+   * @param groups - Groups of labels from the model's response
+   * @param labels - Risk ID behind each label
+   * @returns Pairs of equivalent risk IDs
+   */
+  static equivalentRisks(
+    groups: string[][],
+    labels: Map<string, string>,
+  ): Array<[string, string]> {
+    return groups.flatMap((group) => {
+      const known = [...new Set(group.map((label) => label.trim()))].filter(
+        (label) => labels.has(label),
+      );
+      const [first, ...rest] = known;
+      return rest
+        .filter((label) => label[0] !== first[0])
+        .map((label): [string, string] => [
+          labels.get(first)!,
+          labels.get(label)!,
+        ]);
+    });
+  }
+
+  /**
+   * Averages the category scores of the models' scorecards. Summaries,
+   * citations, weights and the concern lists come from the first scorecard;
+   * the overall score and grade are recalculated from the averages.
+   * @param scorecards - Scorecard of each model (null or undefined where the
+   * model gave none)
+   * @param disagreementThreshold - Score spread above which a category is
+   * flagged
+   * @returns Averaged scorecard (undefined or null if no model gave one) and
+   * the scores behind each category
+   */
+  static mergeScorecards(
+    scorecards: (PrivacyScorecard | null | undefined)[],
+    disagreementThreshold: number,
+  ): {
+    scorecard: PrivacyScorecard | null | undefined;
+    categories: EnsembleReport["categories"];
+  } {
+    const base = scorecards.find(Boolean);
+    if (!base) {
+      return {
+        scorecard: scorecards.includes(null) ? null : undefined,
+        categories: {},
+      };
+    }
+
+    const scorecard: PrivacyScorecard = { ...base };
+    const categories: EnsembleReport["categories"] = {};
+    for (const key of CATEGORY_KEYS) {
+      const scores = scorecards.map((card) => card?.[key]?.score ?? null);
+      const given = scores.filter((score): score is number => score !== null);
+      if (given.length === 0) continue;
+
+      const spread = roundScore(Math.max(...given) - Math.min(...given));
+      const entry: EnsembleCategoryScores = {
+        scores,
+        spread,
+        disagreement: spread > disagreementThreshold,
+      };
+      categories[key] = entry;
+
+      const category =
+        base[key] ?? scorecards.find((card) => card?.[key])![key];
+      scorecard[key] = {
+        ...category,
+        score: roundScore(
+          given.reduce((sum, score) => sum + score, 0) / given.length,
+        ),
+      };
+    }
+
+    const overallScore = ResponseParser.scoreScorecard(scorecard);
+    if (overallScore !== null) {
+      scorecard.overallScore = overallScore;
+      scorecard.overallGrade = ResponseParser.scoreToGrade(overallScore);
+    }
+    return { scorecard, categories };
+  }
+
+  /**
+   * Risks only one model found. Nothing is flagged when fewer than two
+   * models answered the risks section.
+   * @param report - Ensemble report
+   * @returns IDs of the risks
+   */
+  static singleModelRisks(report: EnsembleReport): Set<string> {
+    if (this.modelsAnswering(report, "privacy risks") < 2) return new Set();
+    return new Set(
+      report.risks
+        .filter((risk) => risk.models.length === 1)
+        .map((risk) => risk.riskId),
+    );
+  }
+
+  /**
+   * Number of models of an ensemble that answered a section
+   * @param report - Ensemble report
+   * @param section - "privacy risks" or "privacy scorecard"
+   * @returns Models whose answer was merged
+   */
+  static modelsAnswering(report: EnsembleReport, section: string): number {
+    return report.models.filter(
+      (model) => !model.failures.some((failure) => failure.section === section),
+    ).length;
+  }
+
+  /**
+   * Scorecard categories the models disagreed on
+   * @param report - Ensemble report
+   * @returns Keys of the flagged categories
+   */
+  static disagreements(report: EnsembleReport): ScorecardCategoryKey[] {
+    return CATEGORY_KEYS.filter((key) => report.categories[key]?.disagreement);
+  }
+}
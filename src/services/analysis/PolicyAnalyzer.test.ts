@@ -0,0 +1,1005 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { PolicyAnalyzer } from './PolicyAnalyzer.js';
+import { ResponseCache } from './ResponseCache.js';
+import { AnalysisProfiles } from './AnalysisProfiles.js';
+import { LLMProviderFactory } from '../llm/LLMProviderFactory.js';
+import type { AnalysisProfile, LLMConfig } from '../../types';
+
+const config: LLMConfig = {
+  provider: 'ollama',
+  apiKey: '',
+  model: 'llama3',
+  baseUrl: 'http://localhost:11434',
+  temperature: 0.3,
+  maxTokens: 2048,
+};
+
+const chunkResponse = (index: number) =>
+  JSON.stringify({
+    summary: `Summary of part ${index}`,
+    risks: [
+      {
+        title: 'Data sold to advertisers',
+        description: `Risk described in part ${index}`,
+        severity: index === 2 ? 'critical' : 'medium',
+        location: `Section ${index}`,
+      },
+    ],
+    keyTerms: [{ term: `Term ${index}`, definition: 'A definition' }],
+    scorecardEvidence: { dataCollection: [`Evidence ${index}`] },
+    privacyRights: {
+      links: [],
+      contacts: [{ type: 'email', value: 'privacy@example.com', purpose: 'Requests' }],
+      procedures: [],
+      timeframes: [],
+    },
+  });
+
+const scorecardResponse = JSON.stringify({
+  thirdPartySharing: { score: 4, summary: 'Sells data' },
+});
+
+/**
+ * Creates a provider mock that answers chunk prompts with chunk JSON and
+ * reduce prompts with plain text (or scorecard JSON)
+ */
+const createProvider = (failingChunks: number[] = []) => {
+  let chunkCalls = 0;
+  return {
+    complete: vi.fn(async (prompt: string) => {
+      if (prompt.includes('Chunk Findings JSON')) {
+        chunkCalls++;
+        if (failingChunks.includes(chunkCalls)) {
+          throw new Error('Model overloaded');
+        }
+        return chunkResponse(chunkCalls);
+      }
+      if (prompt.includes('privacy scorecard') || prompt.includes('"thirdPartySharing"')) {
+        return scorecardResponse;
+      }
+      return 'Reduced summary text.';
+    }),
+  };
+};
+
+/**
+ * Prompts sent to a provider mock, leaving out schema repair requests
+ */
+const analysisPrompts = (provider: { complete: ReturnType<typeof vi.fn> }) =>
+  provider.complete.mock.calls
+    .map(([prompt]) => prompt as string)
+    .filter(prompt => !prompt.includes('Corrected JSON:'));
+
+const longPolicy = Array.from(
+  { length: 12 },
+  (_, i) => `${i + 1}. Section Heading ${i + 1}\n\n${'We collect personal data for many purposes. '.repeat(12)}`,
+).join('\n\n');
+
+describe('PolicyAnalyzer', () => {
+  describe('chunked analysis', () => {
+    it('should analyze each chunk and merge the findings', async () => {
+      const provider = createProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, {
+        mode: 'chunked',
+        chunkSize: 2000,
+      });
+
+      expect(result.chunkCount).toBeGreaterThan(1);
+      expect(result.risks).toHaveLength(1);
+      expect(result.risks[0].severity).toBe('critical');
+      expect(result.keyTerms).toHaveLength(result.chunkCount!);
+      expect(result.privacyRights!.contacts).toHaveLength(1);
+      expect(result.summaries[0].content).toBe('Reduced summary text.');
+      expect(result.scorecard).not.toBeNull();
+      expect(result.hasPartialFailures).toBe(false);
+    });
+
+    it('should report per-chunk progress through the progress callback', async () => {
+      const provider = createProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+      const progress = vi.fn();
+
+      const result = await analyzer.analyze(longPolicy, progress, true, {
+        mode: 'chunked',
+        chunkSize: 2000,
+      });
+
+      const steps = progress.mock.calls.map(call => call[1]);
+      expect(steps).toContain(`Analyzing section 1 of ${result.chunkCount}...`);
+      expect(steps).toContain(
+        `Analyzing section ${result.chunkCount} of ${result.chunkCount}...`
+      );
+      expect(steps).toContain('Merging section findings...');
+    });
+
+    it('should record failed chunks as partial failures', async () => {
+      const provider = createProvider([1]);
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, {
+        mode: 'chunked',
+        chunkSize: 2000,
+      });
+
+      expect(result.hasPartialFailures).toBe(true);
+      expect(result.partialFailures[0]).toEqual({
+        section: `section 1 of ${result.chunkCount}`,
+        error: 'Model overloaded',
+      });
+    });
+
+    it('should throw when every chunk fails', async () => {
+      const provider = {
+        complete: vi.fn().mockRejectedValue(new Error('Connection refused')),
+      };
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      await expect(
+        analyzer.analyze(longPolicy, undefined, true, { mode: 'chunked', chunkSize: 2000 })
+      ).rejects.toThrow('Connection refused');
+    });
+
+    it('should fall back to single-pass analysis when the text fits in one chunk', async () => {
+      const provider = createProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, {
+        mode: 'chunked',
+        chunkSize: 100000,
+      });
+
+      expect(result.chunkCount).toBeUndefined();
+      expect(analysisPrompts(provider)).toHaveLength(8);
+    });
+  });
+
+  describe('cancellation', () => {
+    /**
+     * Provider whose requests hang until their signal is aborted
+     */
+    const createHangingProvider = () => ({
+      complete: vi.fn(
+        (_prompt: string, options: { signal?: AbortSignal } = {}) =>
+          new Promise<string>((_resolve, reject) => {
+            options.signal?.addEventListener('abort', () => {
+              const error = new Error('Analysis cancelled');
+              error.name = 'AbortError';
+              reject(error);
+            });
+          })
+      ),
+    });
+
+    it('should pass the signal to every request and reject with an AbortError', async () => {
+      const provider = createHangingProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+      const controller = new AbortController();
+
+      const analysis = analyzer.analyze(longPolicy, undefined, true, {
+        signal: controller.signal,
+      });
+      controller.abort();
+
+      await expect(analysis).rejects.toMatchObject({
+        name: 'AbortError',
+        message: 'Analysis cancelled',
+      });
+      expect(provider.complete).toHaveBeenCalledTimes(8);
+      provider.complete.mock.calls.forEach(([, options]) => {
+        expect(options?.signal).toBe(controller.signal);
+      });
+    });
+
+    it('should not send requests when already cancelled', async () => {
+      const provider = createProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        analyzer.analyze(longPolicy, undefined, true, { signal: controller.signal })
+      ).rejects.toMatchObject({ name: 'AbortError' });
+      expect(provider.complete).not.toHaveBeenCalled();
+    });
+
+    it('should stop chunked analysis instead of recording partial failures', async () => {
+      const provider = createHangingProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+      const controller = new AbortController();
+
+      const analysis = analyzer.analyze(longPolicy, undefined, true, {
+        mode: 'chunked',
+        chunkSize: 2000,
+        signal: controller.signal,
+      });
+      controller.abort();
+
+      await expect(analysis).rejects.toMatchObject({ name: 'AbortError' });
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('retrySections', () => {
+    it('should regenerate only the requested sections', async () => {
+      const provider = createProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const retried = await analyzer.retrySections(longPolicy, [
+        'privacy scorecard',
+        'brief summary',
+      ]);
+
+      expect(analysisPrompts(provider)).toHaveLength(2);
+      expect(retried.summaries).toEqual({ brief: 'Reduced summary text.' });
+      expect(retried.scorecard?.thirdPartySharing.score).toBe(4);
+      expect(retried.risks).toBeUndefined();
+      expect(retried.partialFailures).toEqual([]);
+    });
+
+    it('should report sections that fail again', async () => {
+      const provider = {
+        complete: vi.fn(async (prompt: string) => {
+          if (prompt.includes('key terms') || prompt.includes('Key Terms')) {
+            throw new Error('Model overloaded');
+          }
+          return 'Reduced summary text.';
+        }),
+      };
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const retried = await analyzer.retrySections(longPolicy, ['key terms', 'full analysis']);
+
+      expect(retried.summaries).toEqual({ full: 'Reduced summary text.' });
+      expect(retried.keyTerms).toBeUndefined();
+      expect(retried.partialFailures).toEqual([
+        { section: 'key terms', error: 'Model overloaded' },
+      ]);
+    });
+
+    it('should discard streamed text when a request is retried', async () => {
+      const provider = {
+        complete: vi.fn(async (_prompt: string, options: any) => {
+          options.onToken('Partial answer');
+          options.onRetry({ provider: 'Ollama', model: 'llama3', attempt: 2, error: new Error('HTTP 503') });
+          options.onToken('Complete answer');
+          return 'Complete answer';
+        }),
+      };
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+      const onSectionUpdate = vi.fn();
+
+      await analyzer.retrySections(longPolicy, ['brief summary'], { onSectionUpdate });
+
+      expect(onSectionUpdate.mock.calls).toEqual([
+        ['brief', 'Partial answer'],
+        ['brief', ''],
+        ['brief', 'Complete answer'],
+      ]);
+    });
+  });
+
+  describe('usage', () => {
+    it('should record the usage of each request', async () => {
+      const provider = {
+        complete: vi
+          .fn()
+          .mockImplementationOnce(async (_prompt: string, options: any) => {
+            options.onUsage({ promptTokens: 900, completionTokens: 100, cost: 0.001 });
+            return 'Reduced summary text.';
+          })
+          .mockResolvedValueOnce('Reduced summary text.'),
+      };
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const retried = await analyzer.retrySections(longPolicy, ['brief summary', 'full analysis']);
+
+      expect(retried.usage?.calls).toEqual([
+        expect.objectContaining({ section: 'brief summary', promptTokens: 900, completionTokens: 100, reported: true }),
+        expect.objectContaining({ section: 'full analysis', reported: false }),
+      ]);
+      expect(retried.usage?.cost).toBe(0.001);
+      expect(retried.usage?.promptTokens).toBeGreaterThan(900);
+    });
+
+    it('should leave out requests that failed', async () => {
+      const provider = { complete: vi.fn().mockRejectedValue(new Error('Model overloaded')) };
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const retried = await analyzer.retrySections(longPolicy, ['brief summary']);
+
+      expect(retried.usage).toBeUndefined();
+    });
+
+    it('should estimate one request per section before the analysis', () => {
+      const estimate = PolicyAnalyzer.estimateUsage(longPolicy, { promptPerToken: 0, completionPerToken: 0 });
+
+      expect(estimate.requests).toBeGreaterThan(1);
+      expect(estimate.promptTokens).toBeGreaterThan(estimate.requests * longPolicy.length / 4);
+      expect(estimate.cost).toBe(0);
+      expect(PolicyAnalyzer.estimateUsage(longPolicy, null).cost).toBeNull();
+    });
+  });
+
+  describe('compliance checklists', () => {
+    /**
+     * Provider mock that answers checklist prompts with the given status for
+     * every requirement it is asked about
+     */
+    const createChecklistProvider = (status: (prompt: string) => string) => {
+      const provider = createProvider();
+      const complete = provider.complete.getMockImplementation()!;
+      provider.complete.mockImplementation(async (prompt: string) => {
+        if (!prompt.includes('Checklist JSON:')) return complete(prompt);
+        const ids = [...prompt.matchAll(/^- ([a-z-]+): /gm)].map(match => match[1]);
+        return JSON.stringify({
+          requirements: ids.map(id => ({ id, status: status(prompt), evidence: `Evidence for ${id}`, quotes: [] })),
+        });
+      });
+      return provider;
+    };
+
+    it('should add a checklist per selected profile', async () => {
+      const provider = createChecklistProvider(() => 'partial');
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, {
+        complianceProfiles: ['gdpr', 'pipeda'],
+      });
+
+      expect(analysisPrompts(provider)).toHaveLength(10);
+      expect(result.compliance!.map(checklist => checklist.profile)).toEqual(['gdpr', 'pipeda']);
+      expect(result.compliance![1].checks.every(check => check.status === 'partial')).toBe(true);
+    });
+
+    it('should leave checklists out unless a profile is selected', async () => {
+      const provider = createChecklistProvider(() => 'present');
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy);
+
+      expect(result.compliance).toBeUndefined();
+    });
+
+    it('should check each chunk and keep the best status of each requirement', async () => {
+      const provider = createChecklistProvider(prompt => (prompt.includes('part 2 of') ? 'present' : 'missing'));
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, {
+        mode: 'chunked',
+        chunkSize: 2000,
+        complianceProfiles: ['lgpd'],
+      });
+
+      const checklistPrompts = analysisPrompts(provider).filter(prompt => prompt.includes('Checklist JSON:'));
+      expect(checklistPrompts).toHaveLength(result.chunkCount!);
+      expect(result.compliance).toHaveLength(1);
+      expect(result.compliance![0].checks.every(check => check.status === 'present')).toBe(true);
+    });
+
+    it('should report a failed checklist as a partial failure and retry it', async () => {
+      const provider = createChecklistProvider(() => 'present');
+      const complete = provider.complete.getMockImplementation()!;
+      provider.complete.mockImplementation(async (prompt: string) => {
+        if (prompt.includes('CCPA/CPRA Checklist JSON:')) throw new Error('Model overloaded');
+        return complete(prompt);
+      });
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, { complianceProfiles: ['ccpa'] });
+
+      expect(result.compliance).toBeUndefined();
+      expect(result.partialFailures).toEqual([{ section: 'CCPA/CPRA checklist', error: 'Model overloaded' }]);
+
+      provider.complete.mockImplementation(complete);
+      const retried = await analyzer.retrySections(longPolicy, ['CCPA/CPRA checklist']);
+
+      expect(retried.compliance!.map(checklist => checklist.profile)).toEqual(['ccpa']);
+      expect(retried.partialFailures).toEqual([]);
+    });
+
+    it('should count a request per checklist in the estimate', () => {
+      const without = PolicyAnalyzer.estimateUsage(longPolicy, null);
+      const withChecklists = PolicyAnalyzer.estimateUsage(longPolicy, null, ['gdpr', 'ccpa']);
+
+      expect(withChecklists.requests).toBe(without.requests + 2);
+    });
+  });
+
+  describe('data flows', () => {
+    const flow = (category: string, recipient: string) => ({
+      category,
+      sources: ['You'],
+      purposes: ['Advertising'],
+      recipients: [{ name: recipient, type: 'advertiser' }],
+      legalBases: [],
+      retention: '',
+      quotes: ['We collect personal data for many purposes.'],
+    });
+
+    it('should map the data flows and verify their quotes', async () => {
+      const provider = createProvider();
+      const complete = provider.complete.getMockImplementation()!;
+      provider.complete.mockImplementation(async (prompt: string) =>
+        prompt.includes('Data Flows JSON:')
+          ? JSON.stringify({ dataFlows: [flow('Location data', 'Ad partners')] })
+          : complete(prompt)
+      );
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy);
+
+      expect(result.dataFlows).toHaveLength(1);
+      expect(result.dataFlows![0].recipients).toEqual([{ name: 'Ad partners', type: 'advertiser' }]);
+      expect(result.dataFlows![0].citations![0].verified).toBe(true);
+    });
+
+    it('should merge the data flows of all chunks by category', async () => {
+      const provider = createProvider();
+      const complete = provider.complete.getMockImplementation()!;
+      let chunk = 0;
+      provider.complete.mockImplementation(async (prompt: string) => {
+        if (!prompt.includes('Chunk Findings JSON')) return complete(prompt);
+        chunk++;
+        return JSON.stringify({
+          ...JSON.parse(await complete(prompt)),
+          dataFlows: [flow('Location data', `Partner ${chunk}`)],
+        });
+      });
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, {
+        mode: 'chunked',
+        chunkSize: 2000,
+      });
+
+      expect(result.dataFlows).toHaveLength(1);
+      expect(result.dataFlows![0].recipients).toHaveLength(result.chunkCount!);
+    });
+
+    it('should not map data flows when the profile leaves them out', async () => {
+      const provider = createProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+      const profile: AnalysisProfile = {
+        ...AnalysisProfiles.create('No flows'),
+        sections: ['brief summary', 'privacy risks'],
+      };
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, { profile });
+
+      expect(analysisPrompts(provider).some(prompt => prompt.includes('Data Flows JSON:'))).toBe(false);
+      expect(result.dataFlows).toBeUndefined();
+    });
+  });
+
+  describe('analysis profiles', () => {
+    const aspect = { id: 'ai', name: 'AI training', prompt: 'Is my data used to train AI models?' };
+    const profile: AnalysisProfile = {
+      ...AnalysisProfiles.create('Lean'),
+      sections: ['brief summary', 'privacy scorecard'],
+      aspects: [aspect],
+    };
+
+    /**
+     * Provider mock that answers custom questions with a markdown answer
+     */
+    const createAspectProvider = () => {
+      const provider = createProvider();
+      const complete = provider.complete.getMockImplementation()!;
+      provider.complete.mockImplementation(async (prompt: string) =>
+        prompt.includes('Question (AI training)') ? 'No, the policy rules it out.' : complete(prompt),
+      );
+      return provider;
+    };
+
+    it('should only request the sections of the profile and answer its questions', async () => {
+      const provider = createAspectProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, { profile });
+
+      expect(analysisPrompts(provider)).toHaveLength(3);
+      expect(result.risks).toEqual([]);
+      expect(result.keyTerms).toEqual([]);
+      expect(result.privacyRights).toBeNull();
+      expect(result.scorecard).not.toBeNull();
+      expect(result.aspects).toEqual([
+        { aspectId: 'ai', name: 'AI training', prompt: aspect.prompt, answer: 'No, the policy rules it out.' },
+      ]);
+      expect(result.profile).toEqual(profile);
+    });
+
+    it('should request the same sections of the profile when analyzing sequentially', async () => {
+      const provider = createProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+      const scoresOnly: AnalysisProfile = { ...AnalysisProfiles.create('Scores only'), sections: ['privacy scorecard'] };
+
+      const result = await analyzer.analyze(longPolicy, undefined, false, { profile: scoresOnly });
+
+      expect(analysisPrompts(provider)).toHaveLength(1);
+      expect(analysisPrompts(provider)[0]).toContain('evaluating a privacy policy');
+      expect(result.summaries[0].content).toBe('');
+      expect(result.scorecard).not.toBeNull();
+    });
+
+    it('should apply the profile weights to the scorecard', async () => {
+      const weights = { ...profile.weights, thirdPartySharing: 0 };
+      const analyzer = PolicyAnalyzer.withProvider(createAspectProvider() as any, config);
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, { profile: { ...profile, weights } });
+
+      expect(result.scorecard!.thirdPartySharing.weight).toBe(0);
+      expect(result.scorecard!.userRights.weight).toBeGreaterThan(profile.weights.userRights);
+    });
+
+    it('should answer questions from the digest of a chunked analysis', async () => {
+      const provider = createAspectProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, { mode: 'chunked', chunkSize: 2000, profile });
+
+      const aspectPrompts = analysisPrompts(provider).filter(prompt => prompt.includes('Question (AI training)'));
+      expect(aspectPrompts).toHaveLength(1);
+      expect(aspectPrompts[0]).toContain('Summary of part 1');
+      expect(result.risks).toEqual([]);
+      expect(result.aspects![0].answer).toBe('No, the policy rules it out.');
+    });
+
+    it('should report a failed question as a partial failure and retry it', async () => {
+      const provider = createAspectProvider();
+      const complete = provider.complete.getMockImplementation()!;
+      provider.complete.mockImplementation(async (prompt: string) => {
+        if (prompt.includes('Question (AI training)')) throw new Error('Model overloaded');
+        return complete(prompt);
+      });
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, { profile });
+
+      expect(result.aspects).toBeUndefined();
+      expect(result.partialFailures).toEqual([{ section: 'AI training question', error: 'Model overloaded' }]);
+
+      provider.complete.mockImplementation(async (prompt: string) =>
+        prompt.includes('Question (AI training)') ? 'Retried answer' : complete(prompt),
+      );
+      const retried = await analyzer.retrySections(longPolicy, ['AI training question'], { profile });
+
+      expect(retried.aspects![0].answer).toBe('Retried answer');
+      expect(retried.partialFailures).toEqual([]);
+    });
+
+    it('should count the requests of the profile in the estimate', () => {
+      const standard = PolicyAnalyzer.estimateUsage(longPolicy, null);
+      const lean = PolicyAnalyzer.estimateUsage(longPolicy, null, [], profile);
+
+      expect(lean.requests).toBe(3);
+      expect(lean.requests).toBeLessThan(standard.requests);
+    });
+  });
+
+  describe('schema repair', () => {
+    const validRisks = JSON.stringify({
+      risks: [
+        {
+          title: 'Data sold to advertisers',
+          description: 'Your data is sold',
+          severity: 'high',
+          location: 'Sharing',
+          recommendation: 'Opt out',
+          quotes: [],
+        },
+      ],
+    });
+
+    it('should send the schema with structured requests', async () => {
+      const provider = { complete: vi.fn().mockResolvedValue(validRisks) };
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const retried = await analyzer.retrySections(longPolicy, ['privacy risks']);
+
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      expect(provider.complete.mock.calls[0][1].responseSchema.name).toBe('privacy_risks');
+      expect(retried.risks).toHaveLength(1);
+      expect(retried.repairs).toEqual([]);
+    });
+
+    it('should repair a response that does not match its schema', async () => {
+      const provider = {
+        complete: vi.fn(async (prompt: string) =>
+          prompt.includes('Corrected JSON:')
+            ? validRisks
+            : JSON.stringify({ risks: [{ title: 'Data sold to advertisers', severity: 'severe' }] }),
+        ),
+      };
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const retried = await analyzer.retrySections(longPolicy, ['privacy risks']);
+
+      const repairPrompt = provider.complete.mock.calls[1][0];
+      expect(repairPrompt).toContain('$.risks[0].severity: must be one of');
+      expect(repairPrompt).toContain('$.risks[0]: missing required property "description"');
+      expect(retried.risks![0].severity).toBe('high');
+      expect(retried.repairs).toEqual([
+        { section: 'privacy risks', attempts: 1, resolved: true },
+      ]);
+    });
+
+    it('should keep the original response when the repair is no better', async () => {
+      const provider = {
+        complete: vi.fn(async (prompt: string) =>
+          prompt.includes('Corrected JSON:')
+            ? 'I cannot help with that.'
+            : JSON.stringify({ risks: [{ title: 'Data sold to advertisers', description: 'Sold', severity: 'high' }] }),
+        ),
+      };
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const retried = await analyzer.retrySections(longPolicy, ['privacy risks']);
+
+      expect(retried.risks).toHaveLength(1);
+      expect(retried.repairs).toEqual([
+        { section: 'privacy risks', attempts: 1, resolved: false },
+      ]);
+    });
+
+    it('should record repairs of parallel analysis sections', async () => {
+      const provider = {
+        complete: vi.fn(async (prompt: string) => {
+          if (prompt.includes('Corrected JSON:')) return '{"keyTerms": []}';
+          if (prompt.includes('Key Terms JSON')) return '[]';
+          if (prompt.includes('Privacy Risks JSON')) return validRisks;
+          return 'Summary text.';
+        }),
+      };
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+      const progress = vi.fn();
+
+      const result = await analyzer.analyze(longPolicy, progress);
+
+      expect(result.repairs).toContainEqual({ section: 'key terms', attempts: 1, resolved: true });
+      expect(result.repairs.map(repair => repair.section)).not.toContain('privacy risks');
+      expect(progress.mock.calls.map(call => call[1])).toContainEqual(
+        expect.stringMatching(/^Repairing .*key terms/),
+      );
+    });
+
+    it('should stop repairing when the analysis is cancelled', async () => {
+      const controller = new AbortController();
+      const provider = {
+        complete: vi.fn(async (prompt: string) => {
+          if (prompt.includes('Corrected JSON:')) {
+            controller.abort();
+            throw Object.assign(new Error('Aborted'), { name: 'AbortError' });
+          }
+          return 'not json';
+        }),
+      };
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      await expect(
+        analyzer.retrySections(longPolicy, ['key terms'], { signal: controller.signal }),
+      ).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
+  describe('response cache', () => {
+    const validTerms = JSON.stringify({
+      keyTerms: [{ term: 'Affiliates', definition: 'Related companies', location: 'Sharing', quotes: [] }],
+    });
+
+    const useCache = (entry: Awaited<ReturnType<typeof ResponseCache.get>>) => {
+      vi.spyOn(ResponseCache, 'isSupported').mockReturnValue(true);
+      vi.spyOn(ResponseCache, 'get').mockResolvedValue(entry);
+      return vi.spyOn(ResponseCache, 'put').mockResolvedValue();
+    };
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should only request sections that are not cached', async () => {
+      useCache({
+        key: 'abc',
+        createdAt: 1700000000000,
+        sections: {
+          'brief summary': 'Cached brief.',
+          'key terms': validTerms,
+        },
+        repairs: [{ section: 'key terms', attempts: 1, resolved: true }],
+      });
+      const provider = createProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy);
+
+      expect(analysisPrompts(provider)).toHaveLength(6);
+      expect(analysisPrompts(provider).some(prompt => prompt.includes('Key Terms JSON'))).toBe(false);
+      expect(result.summaries[0].content).toBe('Cached brief.');
+      expect(result.keyTerms.map(term => term.term)).toEqual(['Affiliates']);
+      expect(result.cachedAt).toBe(1700000000000);
+      expect(result.cachedSections).toEqual(['brief summary', 'key terms']);
+      expect(result.repairs).toContainEqual({ section: 'key terms', attempts: 1, resolved: true });
+    });
+
+    it('should cache new responses that match their schema', async () => {
+      const put = useCache(null);
+      const provider = {
+        complete: vi.fn(async (prompt: string) => {
+          if (prompt.includes('Key Terms JSON')) return validTerms;
+          if (prompt.includes('Provide a brief summary')) throw new Error('Model overloaded');
+          return 'not json';
+        }),
+      };
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy);
+
+      const [key, sections] = put.mock.calls[0];
+      expect(key).toMatch(/^[0-9a-f]{64}$/);
+      expect(sections['key terms']).toBe(validTerms);
+      expect(sections).not.toHaveProperty('brief summary');
+      expect(sections).not.toHaveProperty('privacy risks');
+      expect(result.cachedAt).toBeUndefined();
+    });
+
+    it('should ignore the cache when asked to refresh', async () => {
+      useCache({
+        key: 'abc',
+        createdAt: 1700000000000,
+        sections: { 'brief summary': 'Cached brief.' },
+        repairs: [],
+      });
+      const provider = createProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, { refreshCache: true });
+
+      expect(ResponseCache.get).not.toHaveBeenCalled();
+      expect(analysisPrompts(provider)).toHaveLength(8);
+      expect(result.summaries[0].content).toBe('Reduced summary text.');
+      expect(result.cachedAt).toBeUndefined();
+    });
+
+    it('should analyze as usual when the cache cannot be read', async () => {
+      vi.spyOn(ResponseCache, 'isSupported').mockReturnValue(true);
+      vi.spyOn(ResponseCache, 'get').mockRejectedValue(new Error('Database blocked'));
+      vi.spyOn(ResponseCache, 'put').mockRejectedValue(new Error('Database blocked'));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const provider = createProvider();
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+
+      const result = await analyzer.analyze(longPolicy);
+
+      expect(analysisPrompts(provider)).toHaveLength(8);
+      expect(result.hasPartialFailures).toBe(false);
+    });
+  });
+
+  describe('ensemble', () => {
+    const ensembleConfig: LLMConfig = {
+      ...config,
+      ensemble: {
+        enabled: true,
+        models: [
+          { provider: 'openrouter', model: 'model-b', baseUrl: 'https://openrouter.ai/api/v1', apiKey: 'sk-or-test' },
+          { provider: 'anthropic', model: 'model-c', baseUrl: 'https://api.anthropic.com/v1', apiKey: 'sk-ant-test' },
+        ],
+        disagreementThreshold: 2,
+      },
+    };
+    const oneModelConfig: LLMConfig = {
+      ...ensembleConfig,
+      ensemble: { ...ensembleConfig.ensemble!, models: ensembleConfig.ensemble!.models.slice(0, 1) },
+    };
+
+    /**
+     * Provider mock answering the risks and scorecard with the given risk
+     * titles and third-party sharing score
+     */
+    const createModelProvider = (titles: string[], score: number, matches: string[][] = []) => ({
+      complete: vi.fn(async (_prompt: string, options: any) => {
+        switch (options?.responseSchema?.name) {
+          case 'risk_matches':
+            return JSON.stringify({ matches });
+          case 'privacy_risks':
+            return JSON.stringify({
+              risks: titles.map(title => ({ title, description: `${title}.`, severity: 'medium', location: 'General' })),
+            });
+          case 'privacy_scorecard':
+            return JSON.stringify({ thirdPartySharing: { score, summary: 'Sharing' } });
+          default:
+            return 'Reduced summary text.';
+        }
+      }),
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should cross-check the risks and scorecard with the other models', async () => {
+      const primary = createModelProvider(['Data sold to advertisers'], 2);
+      const others = [
+        createModelProvider(['Data sold to advertisers', 'Location tracking'], 8),
+        createModelProvider(['Data sold to advertisers'], 5),
+      ];
+      const createWithFallbacks = vi
+        .spyOn(LLMProviderFactory, 'createWithFallbacks')
+        .mockReturnValueOnce(others[0] as any)
+        .mockReturnValueOnce(others[1] as any);
+      const analyzer = PolicyAnalyzer.withProvider(primary as any, ensembleConfig);
+      const progress = vi.fn();
+
+      const result = await analyzer.analyze(longPolicy, progress, true, { profile: AnalysisProfiles.standard() });
+
+      expect(createWithFallbacks.mock.calls.map(([memberConfig]) => memberConfig.model)).toEqual(['model-b', 'model-c']);
+      expect(analysisPrompts(others[0])).toHaveLength(2);
+      expect(progress).toHaveBeenCalledWith(95, expect.stringContaining('with 2 more models'));
+      expect(result.risks.map(risk => risk.title)).toEqual(['Data sold to advertisers', 'Location tracking']);
+      expect(result.ensemble?.models.map(model => model.model)).toEqual(['llama3', 'model-b', 'model-c']);
+      expect(result.ensemble?.risks.map(entry => entry.models)).toEqual([[0, 1, 2], [1]]);
+      expect(result.scorecard?.thirdPartySharing.score).toBe(5);
+      expect(result.ensemble?.categories.thirdPartySharing).toMatchObject({ scores: [2, 8, 5], spread: 6, disagreement: true });
+      expect(result.usage?.calls.map(call => call.section)).toContain('privacy risks (model-b)');
+    });
+
+    it('should ask the main model to match risks worded differently', async () => {
+      const primary = createModelProvider(['Sells data to advertisers', 'Keeps data forever'], 4, [['A1', 'B1']]);
+      const other = createModelProvider(['Marketing partners receive profiles', 'Tracks location'], 4);
+      vi.spyOn(LLMProviderFactory, 'createWithFallbacks').mockReturnValue(other as any);
+      const analyzer = PolicyAnalyzer.withProvider(primary as any, oneModelConfig);
+
+      const result = await analyzer.analyze(longPolicy);
+
+      const [prompt] = primary.complete.mock.calls.find(([, options]) => options?.responseSchema?.name === 'risk_matches')!;
+      expect(prompt).toContain('- A1: Sells data to advertisers.');
+      expect(prompt).toContain('- B2: Tracks location.');
+      expect(result.risks.map(risk => risk.title)).toEqual(['Sells data to advertisers', 'Keeps data forever', 'Tracks location']);
+      expect(result.ensemble?.risks.map(entry => entry.models)).toEqual([[0, 1], [0], [1]]);
+      expect(result.usage?.calls.map(call => call.section)).toContain('risk matching');
+    });
+
+    it('should match risks on their wording alone when the matching request fails', async () => {
+      const primary = createModelProvider(['Sells data to advertisers'], 4);
+      primary.complete.mockImplementation(async (_prompt: string, options: any) => {
+        if (options?.responseSchema?.name === 'risk_matches') throw new Error('Rate limited');
+        return options?.responseSchema?.name === 'privacy_risks'
+          ? JSON.stringify({ risks: [{ title: 'Sells data to advertisers', description: 'Sold.', severity: 'medium', location: '' }] })
+          : 'Reduced summary text.';
+      });
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(LLMProviderFactory, 'createWithFallbacks').mockReturnValue(
+        createModelProvider(['Marketing partners receive profiles'], 4) as any,
+      );
+      const analyzer = PolicyAnalyzer.withProvider(primary as any, oneModelConfig);
+
+      const result = await analyzer.analyze(longPolicy);
+
+      expect(result.hasPartialFailures).toBe(false);
+      expect(result.ensemble?.risks.map(entry => entry.models)).toEqual([[0], [1]]);
+    });
+
+    it('should report a model that fails without failing the analysis', async () => {
+      const failing = { complete: vi.fn().mockRejectedValue(new Error('Invalid API key')) };
+      vi.spyOn(LLMProviderFactory, 'createWithFallbacks').mockReturnValue(failing as any);
+      const analyzer = PolicyAnalyzer.withProvider(
+        createModelProvider(['Data sold to advertisers'], 4) as any,
+        oneModelConfig,
+      );
+
+      const result = await analyzer.analyze(longPolicy);
+
+      expect(result.hasPartialFailures).toBe(false);
+      expect(result.scorecard?.thirdPartySharing.score).toBe(4);
+      expect(result.ensemble?.models[1].failures).toEqual([
+        { section: 'privacy risks', error: 'Invalid API key' },
+        { section: 'privacy scorecard', error: 'Invalid API key' },
+      ]);
+    });
+
+    it('should only cross-check the sections of the profile', async () => {
+      const other = createModelProvider([], 6);
+      vi.spyOn(LLMProviderFactory, 'createWithFallbacks').mockReturnValue(other as any);
+      const analyzer = PolicyAnalyzer.withProvider(createModelProvider([], 4) as any, oneModelConfig);
+
+      const result = await analyzer.analyze(longPolicy, undefined, true, {
+        profile: { ...AnalysisProfiles.create('Lean'), sections: ['brief summary', 'privacy scorecard'] },
+      });
+
+      expect(analysisPrompts(other)).toEqual([expect.stringContaining('Rate the privacy policy')]);
+      expect(result.scorecard?.thirdPartySharing.score).toBe(5);
+    });
+
+    it('should not run without other models', async () => {
+      const createWithFallbacks = vi.spyOn(LLMProviderFactory, 'createWithFallbacks');
+      const analyzer = PolicyAnalyzer.withProvider(createModelProvider([], 4) as any, config);
+
+      const result = await analyzer.analyze(longPolicy);
+
+      expect(createWithFallbacks).not.toHaveBeenCalled();
+      expect(result.ensemble).toBeUndefined();
+    });
+
+    it('should count the other models and the risk matching in the estimate', () => {
+      const single = PolicyAnalyzer.estimateUsage(longPolicy, null);
+      const ensemble = PolicyAnalyzer.estimateUsage(longPolicy, null, [], undefined, 2);
+
+      expect(ensemble.requests).toBe(single.requests + 5);
+    });
+  });
+
+  describe('summarizeChanges', () => {
+    it('should send the change digest to the provider and clean the response', async () => {
+      const provider = {
+        complete: vi.fn(async () => "Here's what changed:\n## Overview\nThe policy now sells data."),
+      };
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+      const controller = new AbortController();
+
+      const summary = await analyzer.summarizeChanges(
+        {
+          previousId: 'a',
+          currentId: 'b',
+          clauses: [{ type: 'added', text: 'We sell your data.' }],
+          hasText: true,
+          addedRisks: [],
+          removedRisks: [],
+          severityChanges: [],
+          scorecardDeltas: [],
+          overallScoreDelta: null,
+        },
+        controller.signal,
+      );
+
+      expect(summary).toBe('## Overview\nThe policy now sells data.');
+      const [prompt, options] = provider.complete.mock.calls[0] as unknown as [string, { signal: AbortSignal }];
+      expect(prompt).toContain('Added: "We sell your data."');
+      expect(options.signal).toBe(controller.signal);
+    });
+  });
+
+  describe('recommendService', () => {
+    it('should send the comparison digest to the provider and clean the response', async () => {
+      const provider = {
+        complete: vi.fn(async () => "Here's my recommendation:\n## Recommendation\nChoose b.com."),
+      };
+      const analyzer = PolicyAnalyzer.withProvider(provider as any, config);
+      const controller = new AbortController();
+      const categoryScores = {
+        thirdPartySharing: null,
+        userRights: null,
+        dataCollection: null,
+        dataRetention: null,
+        purposeClarity: null,
+        securityMeasures: null,
+        policyTransparency: null,
+      };
+
+      const recommendation = await analyzer.recommendService(
+        {
+          services: ['a.com', 'b.com'].map((name) => ({
+            id: name,
+            name,
+            source: `https://${name}/privacy`,
+            overallScore: null,
+            overallGrade: null,
+            categoryScores,
+            criticalRisks: name === 'a.com' ? 2 : 0,
+            highRisks: 0,
+            topRisks: [],
+            rightsCoverage: { rights: [], links: 0, contacts: 0 },
+          })),
+          leaders: {} as any,
+        },
+        controller.signal,
+      );
+
+      expect(recommendation).toBe('## Recommendation\nChoose b.com.');
+      const [prompt, options] = provider.complete.mock.calls[0] as unknown as [string, { signal: AbortSignal }];
+      expect(prompt).toContain('# a.com');
+      expect(prompt).toContain('Critical risks: 2');
+      expect(options.signal).toBe(controller.signal);
+    });
+  });
+});
@@ -6,16 +6,271 @@
 import { LLMProviderFactory } from "../llm/LLMProviderFactory.js";
 import { PromptTemplates } from "./PromptTemplates.js";
 import { ResponseParser } from "./ResponseParser.js";
+import { ChunkMerger } from "./ChunkMerger.js";
+import { PolicyDiffer } from "./PolicyDiffer.js";
+import { CitationVerifier } from "./CitationVerifier.js";
+import { ServiceComparer } from "./ServiceComparer.js";
+import { RESPONSE_SCHEMAS } from "./ResponseSchemas.js";
+import { ResponseCache } from "./ResponseCache.js";
+import { UsageTracker } from "./UsageTracker.js";
+import { EnsembleMerger } from "./EnsembleMerger.js";
+import { ComplianceProfiles } from "./ComplianceProfiles.js";
+import { AnalysisProfiles } from "./AnalysisProfiles.js";
+import type { StructuredResponse } from "./ResponseSchemas.js";
 import { TextPreprocessor } from "../document/TextPreprocessor.js";
-import { generateId } from "../../utils/helpers.js";
+import {
+  generateId,
+  isAbortError,
+  throwIfAborted,
+} from "../../utils/helpers.js";
+import {
+  ENSEMBLE_CONFIG,
+  SCHEMA_REPAIR_CONFIG,
+} from "../../utils/constants.js";
 import type {
   LLMConfig,
+  AnalysisProfile,
   AnalysisResult,
+  AnalysisSectionName,
+  AspectAnswer,
+  CustomAspect,
+  PrivacyRisk,
   PrivacyScorecard,
   PrivacyRightsInfo,
   PartialFailure,
+  SectionRepair,
+  ResponseCacheEntry,
+  AnalysisUsage,
+  ModelPricing,
+  UsageEstimate,
+  ChunkExtraction,
+  ComplianceChecklist,
+  ComplianceProfileId,
+  DataFlow,
+  EnsembleModel,
+  EnsembleReport,
+  PolicyComparison,
+  ServiceComparison,
+  SummaryType,
 } from "../../types";
 
+/**
+ * Callback receiving the accumulated text of a summary as it streams in
+ */
+export type SectionUpdateCallback = (
+  section: SummaryType,
+  content: string,
+) => void;
+
+/**
+ * Options controlling how a document is analyzed
+ */
+export interface AnalyzeOptions {
+  /**
+   * "single" sends the whole document in each prompt; "chunked" runs
+   * map-reduce analysis for documents that exceed the context window
+   */
+  mode?: "single" | "chunked";
+  /** Maximum chunk size in characters (chunked mode only) */
+  chunkSize?: number;
+  /** Receives partial summary text while responses stream in */
+  onSectionUpdate?: SectionUpdateCallback;
+  /** Cancels the analysis, aborting all in-flight LLM requests */
+  signal?: AbortSignal;
+  /**
+   * Ignores cached responses of an earlier analysis of the same text; the
+   * new responses replace them in the cache
+   */
+  refreshCache?: boolean;
+  /** Jurisdiction profiles to produce compliance checklists for */
+  complianceProfiles?: ComplianceProfileId[];
+  /**
+   * Analysis profile choosing the sections to run, the custom aspects to
+   * ask about and the scorecard weights (all sections and the default
+   * weights when omitted)
+   */
+  profile?: AnalysisProfile;
+}
+
+/**
+ * A single LLM request within a streamed batch
+ */
+interface StreamedRequest {
+  /** Section name (used for progress estimates) */
+  section: string;
+  /** Prompt to send */
+  prompt: string;
+  /** Summary type to stream to the UI, if this request produces one */
+  summaryType?: SummaryType;
+  /** Schema the response must match, if it is structured */
+  schema?: StructuredResponse;
+  /** Whether the response may be cached (defaults to true) */
+  cacheable?: boolean;
+}
+
+/**
+ * Approximate response lengths in characters, used to turn streamed
+ * output into progress. Unknown sections fall back to 3000.
+ */
+const EXPECTED_RESPONSE_CHARS: Record<string, number> = {
+  "brief summary": 800,
+  "detailed summary": 4000,
+  "full analysis": 9000,
+  "privacy risks": 4000,
+  "key terms": 3000,
+  "privacy scorecard": 2500,
+  "take action": 2500,
+  "data flows": 4000,
+};
+
+/**
+ * A section produced by parallel analysis
+ */
+interface AnalysisSection {
+  /** Builds the section's prompt from the policy text */
+  prompt: (text: string) => string;
+  /** Summary type to stream to the UI, if this section produces one */
+  summaryType?: SummaryType;
+  /** Schema the section's response must match, if it is structured */
+  schema?: StructuredResponse;
+  /** Whether the response may be cached (defaults to true) */
+  cacheable?: boolean;
+}
+
+/**
+ * Sections requested by parallel analysis, in request order. Section names
+ * are the ones reported in partial failures, so a failed section can be
+ * regenerated on its own.
+ */
+const PARALLEL_SECTIONS: Record<string, AnalysisSection> = {
+  "brief summary": {
+    prompt: (text) => PromptTemplates.briefSummary(text),
+    summaryType: "brief",
+  },
+  "detailed summary": {
+    prompt: (text) => PromptTemplates.detailedSummary(text),
+    summaryType: "detailed",
+  },
+  "full analysis": {
+    prompt: (text) => PromptTemplates.fullAnalysis(text),
+    summaryType: "full",
+  },
+  "privacy risks": {
+    prompt: (text) => PromptTemplates.privacyRisks(text),
+    schema: "risks",
+  },
+  "key terms": {
+    prompt: (text) => PromptTemplates.keyTerms(text),
+    schema: "keyTerms",
+  },
+  "privacy scorecard": {
+    prompt: (text) => PromptTemplates.privacyScorecard(text),
+    schema: "scorecard",
+  },
+  "take action": {
+    prompt: (text) => PromptTemplates.exercisePrivacyRights(text),
+    schema: "privacyRights",
+  },
+  "data flows": {
+    prompt: (text) => PromptTemplates.dataFlows(text),
+    schema: "dataFlows",
+  },
+};
+
+/**
+ * Finds a parallel analysis section by name, including the checklist
+ * sections of jurisdiction profiles and the custom aspects of an analysis
+ * profile. Aspect answers are not cached: an aspect's question can change
+ * while its name, and so its section name, stays the same.
+ * @param name - Section name
+ * @param profile - Analysis profile the aspects belong to
+ * @returns The section, or undefined for an unknown name
+ */
+const getSection = (
+  name: string,
+  profile?: AnalysisProfile,
+): AnalysisSection | undefined => {
+  if (name in PARALLEL_SECTIONS) {
+    return PARALLEL_SECTIONS[name];
+  }
+  const complianceProfile = ComplianceProfiles.fromSection(name);
+  if (complianceProfile) {
+    return {
+      prompt: (text) =>
+        PromptTemplates.complianceChecklist(text, complianceProfile),
+      schema: "compliance",
+    };
+  }
+  const aspect = profile && AnalysisProfiles.aspectFromSection(profile, name);
+  return aspect
+    ? {
+        prompt: (text) => PromptTemplates.customAspect(text, aspect),
+        cacheable: false,
+      }
+    : undefined;
+};
+
+/**
+ * Names of the sections requested by parallel analysis: the fixed sections
+ * the analysis profile runs, a checklist per jurisdiction profile and a
+ * section per custom aspect
+ * @param complianceProfiles - Selected jurisdiction profiles
+ * @param profile - Analysis profile (all fixed sections when omitted)
+ * @returns Section names in request order
+ */
+const getSectionNames = (
+  complianceProfiles: ComplianceProfileId[] = [],
+  profile?: AnalysisProfile,
+): string[] => [
+  ...Object.keys(PARALLEL_SECTIONS).filter(
+    (section) =>
+      !profile || profile.sections.includes(section as AnalysisSectionName),
+  ),
+  ...complianceProfiles.map((id) => ComplianceProfiles.sectionName(id)),
+  ...(profile?.aspects ?? []).map((aspect) =>
+    AnalysisProfiles.aspectSectionName(aspect),
+  ),
+];
+
+/**
+ * Checks whether an analysis profile runs a fixed section
+ */
+const runsSection = (
+  section: AnalysisSectionName,
+  profile?: AnalysisProfile,
+): boolean => !profile || profile.sections.includes(section);
+
+/**
+ * Ranks a response by its validation errors, lower is better. A response
+ * that is not JSON at all ranks below any that is.
+ */
+const errorRank = (errors: string[]): number =>
+  errors.includes(ResponseParser.INVALID_JSON_ERROR) ? Infinity : errors.length;
+
+/**
+ * Sections regenerated by PolicyAnalyzer.retrySections. Only the sections
+ * that succeeded this time are set.
+ */
+export interface SectionRetryResult {
+  /** Regenerated summaries by type */
+  summaries: Partial<Record<SummaryType, string>>;
+  risks?: AnalysisResult["risks"];
+  keyTerms?: AnalysisResult["keyTerms"];
+  scorecard?: PrivacyScorecard | null;
+  privacyRights?: PrivacyRightsInfo | null;
+  dataFlows?: DataFlow[];
+  /** Regenerated compliance checklists */
+  compliance?: ComplianceChecklist[];
+  /** Regenerated answers to custom aspects */
+  aspects?: AspectAnswer[];
+  /** Sections that failed again */
+  partialFailures: PartialFailure[];
+  /** Regenerated sections that needed a schema repair */
+  repairs: SectionRepair[];
+  /** Usage of the retry requests */
+  usage?: AnalysisUsage;
+}
+
 /**
  * Internal result structure before transformation
  */
@@ -30,12 +285,41 @@ interface PolicyAnalyzerResult {
   keyTerms: AnalysisResult["keyTerms"];
   scorecard: PrivacyScorecard | null;
   privacyRights: PrivacyRightsInfo | null;
+  compliance?: ComplianceChecklist[];
+  dataFlows?: DataFlow[];
+  aspects?: AspectAnswer[];
+  profile?: AnalysisProfile;
   timestamp: Date;
   llmConfig: LLMConfig;
   partialFailures: PartialFailure[];
   hasPartialFailures: boolean;
+  chunkCount?: number;
+  repairs: SectionRepair[];
+  cachedAt?: number;
+  cachedSections?: string[];
+  usage?: AnalysisUsage;
+  ensemble?: EnsembleReport;
 }
 
+/**
+ * Sections cross-checked with the other models in ensemble mode
+ */
+const ENSEMBLE_SECTIONS: AnalysisSectionName[] = [
+  "privacy risks",
+  "privacy scorecard",
+];
+
+/**
+ * Usage label of the request matching risks worded differently by the
+ * models of an ensemble
+ */
+const RISK_MATCHING_SECTION = "risk matching";
+
+/**
+ * Expected length of the risk matching response, a short list of labels
+ */
+const RISK_MATCHING_RESPONSE_CHARS = 200;
+
 export class PolicyAnalyzer {
   private provider: ReturnType<typeof LLMProviderFactory.createProvider>;
   private config: LLMConfig;
@@ -65,118 +349,615 @@ export class PolicyAnalyzer {
     return new PolicyAnalyzer(config, provider);
   }
 
+  /**
+   * Estimates the usage of analyzing a text in a single pass, before any
+   * request is sent. Cached responses are not taken into account.
+   * @param text - Policy text
+   * @param pricing - Model price, or null when unknown
+   * @param complianceProfiles - Jurisdiction profiles to check against
+   * @param profile - Analysis profile (all sections when omitted)
+   * @param ensembleModels - Other models of an ensemble, each running the
+   * risks and scorecard again (priced like the primary model), plus the
+   * request matching their risks
+   * @returns Estimated requests, tokens and cost
+   */
+  static estimateUsage(
+    text: string,
+    pricing: ModelPricing | null,
+    complianceProfiles: ComplianceProfileId[] = [],
+    profile?: AnalysisProfile,
+    ensembleModels: number = 0,
+  ): UsageEstimate {
+    const truncatedText = TextPreprocessor.truncate(
+      TextPreprocessor.preprocess(text),
+    );
+    const ensembleSections = ENSEMBLE_SECTIONS.filter((section) =>
+      runsSection(section, profile),
+    );
+    const sections = [
+      ...getSectionNames(complianceProfiles, profile),
+      ...Array.from({ length: ensembleModels }, () => ensembleSections).flat(),
+    ];
+    const prompts = sections.map((section) =>
+      getSection(section, profile)!.prompt(truncatedText),
+    );
+    const responseChars = sections.map(
+      (section) => EXPECTED_RESPONSE_CHARS[section] || 3000,
+    );
+    // Matching risks worded differently takes at most one more request,
+    // listing every model's risks
+    if (ensembleModels > 0 && ensembleSections.includes("privacy risks")) {
+      prompts.push(
+        PromptTemplates.riskMatching(
+          "x".repeat(
+            (ensembleModels + 1) * EXPECTED_RESPONSE_CHARS["privacy risks"],
+          ),
+        ),
+      );
+      responseChars.push(RISK_MATCHING_RESPONSE_CHARS);
+    }
+    return UsageTracker.estimate(prompts, responseChars, pricing);
+  }
+
   /**
    * Analyzes a privacy policy document
    * @param text - Policy text
    * @param progressCallback - Progress callback
    * @param useParallel - Whether to use parallel analysis
+   * @param options - Analysis mode options
    * @returns Analysis result (internal format, transformed by orchestrator)
+   * @throws AbortError if the analysis is cancelled through `options.signal`
    */
   async analyze(
     text: string,
     progressCallback?: (progress: number, step: string) => void,
     useParallel: boolean = true,
+    options: AnalyzeOptions = {},
   ): Promise<PolicyAnalyzerResult> {
     // Preprocess text
     const processedText = TextPreprocessor.preprocess(text);
     const truncatedText = TextPreprocessor.truncate(processedText);
 
+    let result: PolicyAnalyzerResult | null = null;
     try {
-      if (useParallel) {
-        return await this._analyzeParallel(truncatedText, progressCallback);
-      } else {
-        return await this._analyzeSequential(truncatedText, progressCallback);
+      throwIfAborted(options.signal);
+
+      if (options.mode === "chunked") {
+        // Chunk the raw text so paragraph breaks can guide section boundaries
+        const chunks = TextPreprocessor.chunkBySections(
+          TextPreprocessor.truncate(text),
+          options.chunkSize,
+        );
+        if (chunks.length > 1) {
+          result = await this._analyzeChunked(
+            chunks,
+            progressCallback,
+            options.onSectionUpdate,
+            options.signal,
+            options.complianceProfiles,
+            options.profile,
+          );
+        }
+      }
+
+      if (!result && useParallel) {
+        result = await this._analyzeParallel(
+          truncatedText,
+          progressCallback,
+          options.onSectionUpdate,
+          options.signal,
+          options.refreshCache,
+          options.complianceProfiles,
+          options.profile,
+        );
+      } else if (!result) {
+        result = await this._analyzeSequential(
+          truncatedText,
+          progressCallback,
+          options.onSectionUpdate,
+          options.signal,
+          options.complianceProfiles,
+          options.profile,
+        );
       }
     } catch (error: unknown) {
+      // Cancellation is not a failure; let callers tell them apart
+      if (isAbortError(error)) {
+        throw error;
+      }
       const message = error instanceof Error ? error.message : "Unknown error";
       throw new Error(`Analysis failed: ${message}`);
     }
+
+    if (options.profile) {
+      result.profile = options.profile;
+    }
+
+    // Check cited passages against the original (unprocessed) text so the
+    // offsets can be used to highlight it
+    const verified = CitationVerifier.verifyFindings(result, text);
+    // Chunked analyses see only digests of the policy, which the other
+    // models could not be compared against
+    return verified.chunkCount === undefined
+      ? this._crossCheck(text, verified, progressCallback, options)
+      : verified;
   }
 
   /**
-   * Parallel analysis with Promise.allSettled for graceful degradation
+   * Regenerates sections that failed during parallel analysis, leaving the
+   * rest of the analysis untouched
+   * @param text - Policy text (`documentMetadata.rawText`)
+   * @param sections - Names of the failed sections (from `partialFailures`)
+   * @param options - Streaming and cancellation options, and the analysis
+   * profile the result was produced with (needed for custom aspects and
+   * scorecard weights)
+   * @returns The regenerated sections and any that failed again
+   * @throws AbortError if the retry is cancelled through `options.signal`
+   */
+  async retrySections(
+    text: string,
+    sections: string[],
+    options: Pick<
+      AnalyzeOptions,
+      "onSectionUpdate" | "signal" | "profile"
+    > = {},
+  ): Promise<SectionRetryResult> {
+    const { profile } = options;
+    const sectionNames = getSectionNames(
+      ComplianceProfiles.list().map(({ id }) => id),
+      profile && { ...profile, sections: AnalysisProfiles.standard().sections },
+    ).filter((section) => sections.includes(section));
+    const truncatedText = TextPreprocessor.truncate(
+      TextPreprocessor.preprocess(text),
+    );
+
+    throwIfAborted(options.signal);
+    const usage = new UsageTracker();
+    const requests = this._buildSectionRequests(
+      sectionNames,
+      truncatedText,
+      profile,
+    );
+    const results = await this._completeAllStreaming(
+      requests,
+      usage,
+      [0, 100],
+      () => "",
+      undefined,
+      options.onSectionUpdate,
+      options.signal,
+    );
+    throwIfAborted(options.signal);
+    const repairs = await this._repairResponses(
+      requests,
+      results,
+      usage,
+      options.signal,
+    );
+    await this._cacheResponses(
+      await this._getCacheKey(truncatedText),
+      requests,
+      results,
+      repairs,
+    );
+
+    const retried: SectionRetryResult = {
+      summaries: {},
+      partialFailures: [],
+      repairs,
+      usage: usage.getUsage(),
+    };
+    results.forEach((result, index) => {
+      const section = sectionNames[index];
+      if (result.status === "rejected") {
+        retried.partialFailures.push({
+          section,
+          error: result.reason?.message || "Unknown error",
+        });
+        return;
+      }
+      const { summaryType } = getSection(section, profile)!;
+      if (summaryType) {
+        retried.summaries[summaryType] = ResponseParser.cleanResponse(
+          result.value,
+        );
+      } else if (section === "privacy risks") {
+        retried.risks = ResponseParser.parseRisks(result.value);
+      } else if (section === "key terms") {
+        retried.keyTerms = ResponseParser.parseKeyTerms(result.value);
+      } else if (section === "privacy scorecard") {
+        retried.scorecard = ResponseParser.parseScorecard(
+          result.value,
+          profile?.weights,
+        );
+      } else if (section === "take action") {
+        retried.privacyRights = ResponseParser.parsePrivacyRights(
+          result.value,
+        );
+      } else if (section === "data flows") {
+        retried.dataFlows = ResponseParser.parseDataFlows(result.value);
+      }
+    });
+    const compliance = this._parseCompliance(sectionNames, results);
+    if (compliance.length > 0) {
+      retried.compliance = compliance;
+    }
+    const aspects = this._parseAspects(sectionNames, results, profile);
+    if (aspects.length > 0) {
+      retried.aspects = aspects;
+    }
+
+    const verified = CitationVerifier.verifyFindings(
+      {
+        risks: retried.risks ?? [],
+        keyTerms: retried.keyTerms ?? [],
+        scorecard: retried.scorecard ?? null,
+        compliance: retried.compliance,
+        dataFlows: retried.dataFlows,
+      },
+      text,
+    );
+    if (retried.risks) retried.risks = verified.risks;
+    if (retried.keyTerms) retried.keyTerms = verified.keyTerms;
+    if (retried.scorecard) retried.scorecard = verified.scorecard;
+    if (retried.compliance) retried.compliance = verified.compliance;
+    if (retried.dataFlows) retried.dataFlows = verified.dataFlows;
+
+    return retried;
+  }
+
+  /**
+   * Ensemble mode: runs the risks and scorecard sections on the other
+   * configured models and merges their answers into the result. A model that
+   * fails is recorded in the report and left out of the merge.
+   * @param text - Policy text
+   * @param result - Verified result of the primary model
+   * @returns The result with merged risks and scorecard and the ensemble
+   * report, or unchanged when ensemble mode is off
+   * @throws AbortError if the analysis is cancelled through `options.signal`
+   * @private
+   */
+  private async _crossCheck(
+    text: string,
+    result: PolicyAnalyzerResult,
+    progressCallback: ((progress: number, step: string) => void) | undefined,
+    options: AnalyzeOptions,
+  ): Promise<PolicyAnalyzerResult> {
+    const configs = LLMProviderFactory.ensembleConfigs(this.config);
+    const sections = ENSEMBLE_SECTIONS.filter((section) =>
+      runsSection(section, options.profile),
+    );
+    if (configs.length === 0 || sections.length === 0) {
+      return result;
+    }
+
+    progressCallback?.(
+      95,
+      `Cross-checking ${sections.join(" and ")} with ${configs.length} more ${configs.length === 1 ? "model" : "models"}...`,
+    );
+    const runs = await Promise.all(
+      configs.map(async (config): Promise<SectionRetryResult> => {
+        try {
+          return await new PolicyAnalyzer(
+            config,
+            LLMProviderFactory.createWithFallbacks(config),
+          ).retrySections(text, sections, {
+            signal: options.signal,
+            profile: options.profile,
+          });
+        } catch (error: unknown) {
+          if (isAbortError(error)) {
+            throw error;
+          }
+          const message =
+            error instanceof Error ? error.message : "Unknown error";
+          return {
+            summaries: {},
+            partialFailures: sections.map((section) => ({
+              section,
+              error: message,
+            })),
+            repairs: [],
+          };
+        }
+      }),
+    );
+    throwIfAborted(options.signal);
+
+    const primaryFailures = result.partialFailures.filter((failure) =>
+      sections.includes(failure.section as AnalysisSectionName),
+    );
+    const answered = (
+      failures: PartialFailure[],
+      section: AnalysisSectionName,
+    ) =>
+      sections.includes(section) &&
+      !failures.some((failure) => failure.section === section);
+    const models: EnsembleModel[] = [
+      {
+        provider: this.config.provider,
+        model: this.config.model,
+        failures: primaryFailures,
+      },
+      ...configs.map((config, index) => ({
+        provider: config.provider,
+        model: config.model,
+        failures: runs[index].partialFailures,
+      })),
+    ];
+    const ensembleRuns = [
+      {
+        ...(answered(primaryFailures, "privacy risks") && {
+          risks: result.risks,
+        }),
+        ...(answered(primaryFailures, "privacy scorecard") && {
+          scorecard: result.scorecard,
+        }),
+      },
+      ...runs.map((run) => ({ risks: run.risks, scorecard: run.scorecard })),
+    ];
+    const matching = new UsageTracker();
+    const equivalent = await this._judgeRiskMatches(
+      ensembleRuns.map((run) => run.risks),
+      matching,
+      options.signal,
+    );
+    const merged = EnsembleMerger.merge(
+      ensembleRuns,
+      models,
+      this.config.ensemble?.disagreementThreshold ??
+        ENSEMBLE_CONFIG.DEFAULT_DISAGREEMENT_THRESHOLD,
+      equivalent,
+    );
+
+    // Attribute the other models' requests to them; they ran side by side
+    // after the primary analysis
+    const label = (section: string, index: number) =>
+      `${section} (${configs[index].model})`;
+    const memberUsage = runs.flatMap((run, index) =>
+      run.usage
+        ? [
+            UsageTracker.summarize(
+              run.usage.calls.map((call) => ({
+                ...call,
+                section: label(call.section, index),
+              })),
+              run.usage.latencyMs,
+            ),
+          ]
+        : [],
+    );
+    const usage = UsageTracker.merge(
+      UsageTracker.merge(
+        result.usage,
+        memberUsage.length > 0
+          ? UsageTracker.summarize(
+              memberUsage.flatMap((added) => added.calls),
+              Math.max(...memberUsage.map((added) => added.latencyMs)),
+            )
+          : undefined,
+      ),
+      matching.getUsage(),
+    );
+
+    return {
+      ...result,
+      ...(merged.risks && { risks: merged.risks }),
+      ...(merged.scorecard !== undefined && { scorecard: merged.scorecard }),
+      repairs: [
+        ...result.repairs,
+        ...runs.flatMap((run, index) =>
+          run.repairs.map((repair) => ({
+            ...repair,
+            section: label(repair.section, index),
+          })),
+        ),
+      ],
+      ...(usage && { usage }),
+      ensemble: merged.report,
+    };
+  }
+
+  /**
+   * Asks the main model which of the risks only one model found describe
+   * the same risk in different words. Nothing is sent when at most one model
+   * has such risks; if the request fails, risks are matched on their cited
+   * passages and wording alone.
+   * @param runs - Risks of each model of the ensemble, the main model first
+   * @param usage - Records the usage of the request
+   * @param signal - Aborts the request
+   * @returns Pairs of risk IDs judged to be the same risk
+   * @private
+   */
+  private async _judgeRiskMatches(
+    runs: (PrivacyRisk[] | undefined)[],
+    usage: UsageTracker,
+    signal?: AbortSignal,
+  ): Promise<Array<[string, string]>> {
+    const unmatched = EnsembleMerger.unmatchedRisks(runs);
+    if (unmatched.length === 0) {
+      return [];
+    }
+    const { digest, labels } = EnsembleMerger.buildMatchingDigest(unmatched);
+    const prompt = PromptTemplates.riskMatching(digest);
+    try {
+      const response = await usage.track(
+        RISK_MATCHING_SECTION,
+        prompt,
+        (onUsage) =>
+          this.provider.complete(prompt, {
+            signal,
+            onUsage,
+            responseSchema: RESPONSE_SCHEMAS.riskMatches,
+          }),
+      );
+      return EnsembleMerger.equivalentRisks(
+        ResponseParser.parseRiskMatches(response),
+        labels,
+      );
+    } catch (error: unknown) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      console.warn("Could not match differently worded risks:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Parallel analysis with Promise.allSettled for graceful degradation.
+   * Sections cached by an earlier analysis of the same text are reused
+   * unless `refreshCache` is set.
    * @private
    */
   private async _analyzeParallel(
     truncatedText: string,
     progressCallback?: (progress: number, step: string) => void,
+    onSectionUpdate?: SectionUpdateCallback,
+    signal?: AbortSignal,
+    refreshCache = false,
+    complianceProfiles: ComplianceProfileId[] = [],
+    profile?: AnalysisProfile,
   ): Promise<PolicyAnalyzerResult> {
-    if (progressCallback) {
-      progressCallback(40, "Analyzing policy in parallel...");
-    }
-
-    // Create all prompts
-    const briefPrompt = PromptTemplates.briefSummary(truncatedText);
-    const detailedPrompt = PromptTemplates.detailedSummary(truncatedText);
-    const fullPrompt = PromptTemplates.fullAnalysis(truncatedText);
-    const risksPrompt = PromptTemplates.privacyRisks(truncatedText);
-    const termsPrompt = PromptTemplates.keyTerms(truncatedText);
-    const scorecardPrompt = PromptTemplates.privacyScorecard(truncatedText);
-    const privacyRightsPrompt =
-      PromptTemplates.exercisePrivacyRights(truncatedText);
-
-    // Execute all requests in parallel with graceful degradation
-    const results = await Promise.allSettled([
-      this.provider.complete(briefPrompt),
-      this.provider.complete(detailedPrompt),
-      this.provider.complete(fullPrompt),
-      this.provider.complete(risksPrompt),
-      this.provider.complete(termsPrompt),
-      this.provider.complete(scorecardPrompt),
-      this.provider.complete(privacyRightsPrompt),
-    ]);
+    const sectionNames = getSectionNames(complianceProfiles, profile);
+    // Without IndexedDB there is nothing to look up, so requests start at once
+    let cacheKey: string | null = null;
+    let cached: ResponseCacheEntry | null = null;
+    if (ResponseCache.isSupported()) {
+      cacheKey = await this._getCacheKey(truncatedText);
+      if (cacheKey && !refreshCache) {
+        cached = await this._readCache(cacheKey);
+      }
+      throwIfAborted(signal);
+    }
+    const cachedSections = sectionNames.filter(
+      (section) =>
+        cached?.sections[section] !== undefined &&
+        getSection(section, profile)!.cacheable !== false,
+    );
+    const pendingSections = sectionNames.filter(
+      (section) => !cachedSections.includes(section),
+    );
 
     if (progressCallback) {
-      progressCallback(90, "Processing results...");
+      progressCallback(
+        40,
+        cachedSections.length > 0
+          ? `Reusing ${cachedSections.length} cached sections...`
+          : "Analyzing policy in parallel...",
+      );
     }
 
-    // Process results with graceful degradation
-    const briefSummary =
-      results[0].status === "fulfilled"
-        ? ResponseParser.cleanResponse(results[0].value)
-        : "Brief summary unavailable due to an error.";
-
-    const detailedSummary =
-      results[1].status === "fulfilled"
-        ? ResponseParser.cleanResponse(results[1].value)
-        : "Detailed summary unavailable due to an error.";
-
-    const fullAnalysis =
-      results[2].status === "fulfilled"
-        ? ResponseParser.cleanResponse(results[2].value)
-        : "Full analysis unavailable due to an error.";
-
-    const risks =
-      results[3].status === "fulfilled"
-        ? ResponseParser.parseRisks(results[3].value)
-        : [];
+    // Execute the remaining requests in parallel with graceful degradation
+    const usage = new UsageTracker();
+    const requests = this._buildSectionRequests(
+      pendingSections,
+      truncatedText,
+      profile,
+    );
+    const pendingResults = await this._completeAllStreaming(
+      requests,
+      usage,
+      [40, 90],
+      (completed, total) =>
+        `Analyzing policy (${completed} of ${total} sections complete)...`,
+      progressCallback,
+      onSectionUpdate,
+      signal,
+    );
+    throwIfAborted(signal);
+    const newRepairs = await this._repairResponses(
+      requests,
+      pendingResults,
+      usage,
+      signal,
+      (sections) =>
+        progressCallback?.(90, `Repairing ${sections.join(", ")}...`),
+    );
+    await this._cacheResponses(cacheKey, requests, pendingResults, newRepairs);
 
-    const keyTerms =
-      results[4].status === "fulfilled"
-        ? ResponseParser.parseKeyTerms(results[4].value)
-        : [];
+    const results = sectionNames.map(
+      (section): PromiseSettledResult<string> =>
+        cachedSections.includes(section)
+          ? { status: "fulfilled", value: cached!.sections[section] }
+          : pendingResults[pendingSections.indexOf(section)],
+    );
+    const repairs = [
+      ...(cached?.repairs ?? []).filter((repair) =>
+        cachedSections.includes(repair.section),
+      ),
+      ...newRepairs,
+    ];
 
-    const scorecard =
-      results[5].status === "fulfilled"
-        ? ResponseParser.parseScorecard(results[5].value)
-        : null;
+    if (progressCallback) {
+      progressCallback(90, "Processing results...");
+    }
 
-    const privacyRights =
-      results[6].status === "fulfilled"
-        ? ResponseParser.parsePrivacyRights(results[6].value)
-        : null;
+    // Process results with graceful degradation; sections the profile
+    // leaves out stay empty
+    const resultOf = (section: AnalysisSectionName) =>
+      results[sectionNames.indexOf(section)] as
+        | PromiseSettledResult<string>
+        | undefined;
+    const summaryOf = (section: AnalysisSectionName, unavailable: string) => {
+      const result = resultOf(section);
+      if (!result) return "";
+      return result.status === "fulfilled"
+        ? ResponseParser.cleanResponse(result.value)
+        : unavailable;
+    };
+    const parsed = <T>(
+      section: AnalysisSectionName,
+      parse: (response: string) => T,
+      fallback: T,
+    ): T => {
+      const result = resultOf(section);
+      return result?.status === "fulfilled" ? parse(result.value) : fallback;
+    };
 
-    // Track partial failures
-    const partialFailures: PartialFailure[] = [];
-    const sectionNames = [
+    const briefSummary = summaryOf(
       "brief summary",
+      "Brief summary unavailable due to an error.",
+    );
+    const detailedSummary = summaryOf(
       "detailed summary",
+      "Detailed summary unavailable due to an error.",
+    );
+    const fullAnalysis = summaryOf(
       "full analysis",
+      "Full analysis unavailable due to an error.",
+    );
+    const risks = parsed(
       "privacy risks",
+      (response) => ResponseParser.parseRisks(response),
+      [],
+    );
+    const keyTerms = parsed(
       "key terms",
+      (response) => ResponseParser.parseKeyTerms(response),
+      [],
+    );
+    const scorecard = parsed(
       "privacy scorecard",
+      (response) => ResponseParser.parseScorecard(response, profile?.weights),
+      null,
+    );
+    const privacyRights = parsed(
       "take action",
-    ];
+      (response) => ResponseParser.parsePrivacyRights(response),
+      null,
+    );
+    const dataFlows = parsed(
+      "data flows",
+      (response) => ResponseParser.parseDataFlows(response),
+      [],
+    );
+
+    const compliance = this._parseCompliance(sectionNames, results);
+    const aspects = this._parseAspects(sectionNames, results, profile);
+
+    // Track partial failures
+    const partialFailures: PartialFailure[] = [];
     results.forEach((result, index) => {
       if (result.status === "rejected") {
         partialFailures.push({
@@ -210,10 +991,285 @@ export class PolicyAnalyzer {
       keyTerms,
       scorecard,
       privacyRights,
+      ...(compliance.length > 0 && { compliance }),
+      ...(dataFlows.length > 0 && { dataFlows }),
+      ...(aspects.length > 0 && { aspects }),
       timestamp: new Date(),
       llmConfig: this.config,
       partialFailures,
       hasPartialFailures: partialFailures.length > 0,
+      repairs,
+      usage: usage.getUsage(),
+      ...(cached &&
+        cachedSections.length > 0 && {
+          cachedAt: cached.createdAt,
+          cachedSections,
+        }),
+    };
+  }
+
+  /**
+   * Map-reduce analysis for documents that exceed the context window.
+   * Each chunk is analyzed sequentially for risks, terms, scorecard evidence,
+   * rights info and data flows; the merged findings are then condensed into a digest
+   * that drives the summary and scorecard prompts. Compliance checklists
+   * need the policy's own wording, so they are requested per chunk and
+   * merged instead. Custom aspects are answered from the digest.
+   * @private
+   */
+  private async _analyzeChunked(
+    chunks: string[],
+    progressCallback?: (progress: number, step: string) => void,
+    onSectionUpdate?: SectionUpdateCallback,
+    signal?: AbortSignal,
+    complianceProfiles: ComplianceProfileId[] = [],
+    profile?: AnalysisProfile,
+  ): Promise<PolicyAnalyzerResult> {
+    const totalChunks = chunks.length;
+    const extractions: ChunkExtraction[] = [];
+    const partialFailures: PartialFailure[] = [];
+    const usage = new UsageTracker();
+    const chunkChecklists = new Map<ComplianceProfileId, ComplianceChecklist[]>(
+      complianceProfiles.map((id) => [id, []]),
+    );
+
+    // Map: extract findings from each chunk (sequential to suit local models)
+    for (let i = 0; i < totalChunks; i++) {
+      throwIfAborted(signal);
+      const step = `Analyzing section ${i + 1} of ${totalChunks}...`;
+      const rangeStart = 35 + Math.round((i / totalChunks) * 45);
+      const rangeEnd = 35 + Math.round(((i + 1) / totalChunks) * 45);
+      if (progressCallback) {
+        progressCallback(rangeStart, step);
+      }
+
+      try {
+        const [settled] = await this._completeAllStreaming(
+          [
+            {
+              section: `section ${i + 1} of ${totalChunks}`,
+              prompt: PromptTemplates.chunkExtraction(chunks[i], i, totalChunks),
+            },
+          ],
+          usage,
+          [rangeStart, rangeEnd],
+          () => step,
+          progressCallback,
+          undefined,
+          signal,
+        );
+        if (settled.status === "rejected") {
+          throw settled.reason;
+        }
+        const response = settled.value;
+        const extraction = ResponseParser.parseChunkExtraction(response);
+        if (!extraction) {
+          throw new Error("Could not parse findings for this section");
+        }
+        extractions.push(extraction);
+      } catch (error: unknown) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+        partialFailures.push({
+          section: `section ${i + 1} of ${totalChunks}`,
+          error: error instanceof Error ? error.message : "Unknown error",
+        });
+      }
+
+      for (const [id, checklists] of chunkChecklists) {
+        const profile = ComplianceProfiles.get(id);
+        const section = `${ComplianceProfiles.sectionName(id)}, section ${i + 1} of ${totalChunks}`;
+        const [settled] = await this._completeAllStreaming(
+          [
+            {
+              section,
+              prompt: PromptTemplates.complianceChecklist(chunks[i], profile, {
+                index: i,
+                total: totalChunks,
+              }),
+            },
+          ],
+          usage,
+          [rangeEnd, rangeEnd],
+          () => step,
+          progressCallback,
+          undefined,
+          signal,
+        );
+        throwIfAborted(signal);
+        const checklist =
+          settled.status === "fulfilled"
+            ? ResponseParser.parseComplianceChecklist(settled.value, profile)
+            : null;
+        if (checklist) {
+          checklists.push(checklist);
+        } else {
+          partialFailures.push({
+            section,
+            error:
+              settled.status === "rejected"
+                ? settled.reason?.message || "Unknown error"
+                : "Could not parse the checklist for this section",
+          });
+        }
+      }
+    }
+
+    if (extractions.length === 0) {
+      throw new Error(
+        `All ${totalChunks} sections failed: ${partialFailures[0]?.error || "Unknown error"}`,
+      );
+    }
+    const compliance = Array.from(chunkChecklists.values()).flatMap(
+      (checklists) => ChunkMerger.mergeComplianceChecklists(checklists) ?? [],
+    );
+
+    // Reduce: merge findings and summarize the digest
+    if (progressCallback) {
+      progressCallback(82, "Merging section findings...");
+    }
+    const merged = ChunkMerger.merge(extractions);
+    const digest = TextPreprocessor.truncate(
+      ChunkMerger.buildDigest(merged, totalChunks),
+      Math.max(...chunks.map((chunk) => chunk.length)),
+    );
+
+    if (progressCallback) {
+      progressCallback(85, "Summarizing merged findings...");
+    }
+    const summaryRequests: StreamedRequest[] = [
+      {
+        section: "brief summary",
+        prompt: PromptTemplates.briefSummary(digest),
+        summaryType: "brief",
+      },
+      {
+        section: "detailed summary",
+        prompt: PromptTemplates.detailedSummary(digest),
+        summaryType: "detailed",
+      },
+      {
+        section: "full analysis",
+        prompt: PromptTemplates.fullAnalysis(digest),
+        summaryType: "full",
+      },
+      {
+        section: "privacy scorecard",
+        prompt: PromptTemplates.privacyScorecard(digest),
+        schema: "scorecard",
+      },
+    ];
+    const reduceRequests = summaryRequests.filter(({ section }) =>
+      runsSection(section as AnalysisSectionName, profile),
+    );
+    for (const aspect of profile?.aspects ?? []) {
+      reduceRequests.push({
+        section: AnalysisProfiles.aspectSectionName(aspect),
+        prompt: PromptTemplates.customAspect(digest, aspect),
+      });
+    }
+    const results = await this._completeAllStreaming(
+      reduceRequests,
+      usage,
+      [85, 90],
+      () => "Summarizing merged findings...",
+      progressCallback,
+      onSectionUpdate,
+      signal,
+    );
+    throwIfAborted(signal);
+    const repairs = await this._repairResponses(
+      reduceRequests,
+      results,
+      usage,
+      signal,
+      (sections) =>
+        progressCallback?.(90, `Repairing ${sections.join(", ")}...`),
+    );
+
+    if (progressCallback) {
+      progressCallback(90, "Processing results...");
+    }
+
+    const reduceSections = reduceRequests.map(({ section }) => section);
+    const resultOf = (section: AnalysisSectionName) =>
+      results[reduceSections.indexOf(section)] as
+        | PromiseSettledResult<string>
+        | undefined;
+    const summaryOf = (section: AnalysisSectionName, unavailable: string) => {
+      const result = resultOf(section);
+      if (!result) return "";
+      return result.status === "fulfilled"
+        ? ResponseParser.cleanResponse(result.value)
+        : unavailable;
+    };
+
+    const briefSummary = summaryOf(
+      "brief summary",
+      "Brief summary unavailable due to an error.",
+    );
+    const detailedSummary = summaryOf(
+      "detailed summary",
+      "Detailed summary unavailable due to an error.",
+    );
+    const fullAnalysis = summaryOf(
+      "full analysis",
+      "Full analysis unavailable due to an error.",
+    );
+    const scorecardResult = resultOf("privacy scorecard");
+    const scorecard =
+      scorecardResult?.status === "fulfilled"
+        ? ResponseParser.parseScorecard(scorecardResult.value, profile?.weights)
+        : null;
+    const aspects = this._parseAspects(reduceSections, results, profile);
+    results.forEach((result, index) => {
+      if (result.status === "rejected") {
+        partialFailures.push({
+          section: reduceRequests[index].section,
+          error: result.reason?.message || "Unknown error",
+        });
+      }
+    });
+
+    return {
+      id: generateId(),
+      summaries: [
+        {
+          type: "brief",
+          content: briefSummary,
+          keyPoints: ResponseParser.extractKeyPoints(briefSummary),
+        },
+        {
+          type: "detailed",
+          content: detailedSummary,
+          keyPoints: ResponseParser.extractKeyPoints(detailedSummary),
+        },
+        {
+          type: "full",
+          content: fullAnalysis,
+          keyPoints: ResponseParser.extractKeyPoints(fullAnalysis),
+        },
+      ],
+      // Every chunk extraction gathers all findings; keep only the sections
+      // the profile selected
+      risks: runsSection("privacy risks", profile) ? merged.risks : [],
+      keyTerms: runsSection("key terms", profile) ? merged.keyTerms : [],
+      scorecard,
+      privacyRights: runsSection("take action", profile)
+        ? merged.privacyRights
+        : null,
+      ...(compliance.length > 0 && { compliance }),
+      ...(runsSection("data flows", profile) &&
+        merged.dataFlows.length > 0 && { dataFlows: merged.dataFlows }),
+      ...(aspects.length > 0 && { aspects }),
+      timestamp: new Date(),
+      llmConfig: this.config,
+      partialFailures,
+      hasPartialFailures: partialFailures.length > 0,
+      chunkCount: totalChunks,
+      repairs,
+      usage: usage.getUsage(),
     };
   }
 
@@ -224,66 +1280,196 @@ export class PolicyAnalyzer {
   private async _analyzeSequential(
     truncatedText: string,
     progressCallback?: (progress: number, step: string) => void,
+    onSectionUpdate?: SectionUpdateCallback,
+    signal?: AbortSignal,
+    complianceProfiles: ComplianceProfileId[] = [],
+    profile?: AnalysisProfile,
   ): Promise<PolicyAnalyzerResult> {
+    const repairs: SectionRepair[] = [];
+    const usage = new UsageTracker();
+
     // Generate brief summary
-    if (progressCallback) {
-      progressCallback(35, "Generating brief summary...");
+    let briefSummary = "";
+    if (runsSection("brief summary", profile)) {
+      if (progressCallback) {
+        progressCallback(35, "Generating brief summary...");
+      }
+      const briefPrompt = PromptTemplates.briefSummary(truncatedText);
+      const briefResponse = await this._completeStreaming(
+        briefPrompt,
+        "brief summary",
+        "brief",
+        usage,
+        onSectionUpdate,
+        signal,
+      );
+      briefSummary = ResponseParser.cleanResponse(briefResponse);
     }
-    const briefPrompt = PromptTemplates.briefSummary(truncatedText);
-    const briefResponse = await this.provider.complete(briefPrompt);
-    const briefSummary = ResponseParser.cleanResponse(briefResponse);
 
     // Generate detailed summary
-    if (progressCallback) {
-      progressCallback(45, "Generating detailed summary...");
+    let detailedSummary = "";
+    if (runsSection("detailed summary", profile)) {
+      if (progressCallback) {
+        progressCallback(45, "Generating detailed summary...");
+      }
+      const detailedPrompt = PromptTemplates.detailedSummary(truncatedText);
+      const detailedResponse = await this._completeStreaming(
+        detailedPrompt,
+        "detailed summary",
+        "detailed",
+        usage,
+        onSectionUpdate,
+        signal,
+      );
+      detailedSummary = ResponseParser.cleanResponse(detailedResponse);
     }
-    const detailedPrompt = PromptTemplates.detailedSummary(truncatedText);
-    const detailedResponse = await this.provider.complete(detailedPrompt);
-    const detailedSummary = ResponseParser.cleanResponse(detailedResponse);
 
     // Generate full analysis
-    if (progressCallback) {
-      progressCallback(55, "Generating comprehensive analysis...");
+    let fullAnalysis = "";
+    if (runsSection("full analysis", profile)) {
+      if (progressCallback) {
+        progressCallback(55, "Generating comprehensive analysis...");
+      }
+      const fullPrompt = PromptTemplates.fullAnalysis(truncatedText);
+      const fullResponse = await this._completeStreaming(
+        fullPrompt,
+        "full analysis",
+        "full",
+        usage,
+        onSectionUpdate,
+        signal,
+      );
+      fullAnalysis = ResponseParser.cleanResponse(fullResponse);
     }
-    const fullPrompt = PromptTemplates.fullAnalysis(truncatedText);
-    const fullResponse = await this.provider.complete(fullPrompt);
-    const fullAnalysis = ResponseParser.cleanResponse(fullResponse);
 
     // Identify privacy risks
-    if (progressCallback) {
-      progressCallback(68, "Identifying privacy risks...");
+    let risks: AnalysisResult["risks"] = [];
+    if (runsSection("privacy risks", profile)) {
+      if (progressCallback) {
+        progressCallback(68, "Identifying privacy risks...");
+      }
+      const risksPrompt = PromptTemplates.privacyRisks(truncatedText);
+      const risksResponse = await this._completeStructured(
+        risksPrompt,
+        "privacy risks",
+        "risks",
+        repairs,
+        usage,
+        signal,
+      );
+      risks = ResponseParser.parseRisks(risksResponse);
     }
-    const risksPrompt = PromptTemplates.privacyRisks(truncatedText);
-    const risksResponse = await this.provider.complete(risksPrompt);
-    const risks = ResponseParser.parseRisks(risksResponse);
 
     // Extract key terms
-    if (progressCallback) {
-      progressCallback(78, "Extracting key terms...");
+    let keyTerms: AnalysisResult["keyTerms"] = [];
+    if (runsSection("key terms", profile)) {
+      if (progressCallback) {
+        progressCallback(78, "Extracting key terms...");
+      }
+      const termsPrompt = PromptTemplates.keyTerms(truncatedText);
+      const termsResponse = await this._completeStructured(
+        termsPrompt,
+        "key terms",
+        "keyTerms",
+        repairs,
+        usage,
+        signal,
+      );
+      keyTerms = ResponseParser.parseKeyTerms(termsResponse);
     }
-    const termsPrompt = PromptTemplates.keyTerms(truncatedText);
-    const termsResponse = await this.provider.complete(termsPrompt);
-    const keyTerms = ResponseParser.parseKeyTerms(termsResponse);
 
     // Generate privacy scorecard
-    if (progressCallback) {
-      progressCallback(82, "Calculating privacy scorecard...");
+    let scorecard: PrivacyScorecard | null = null;
+    if (runsSection("privacy scorecard", profile)) {
+      if (progressCallback) {
+        progressCallback(82, "Calculating privacy scorecard...");
+      }
+      const scorecardPrompt = PromptTemplates.privacyScorecard(truncatedText);
+      const scorecardResponse = await this._completeStructured(
+        scorecardPrompt,
+        "privacy scorecard",
+        "scorecard",
+        repairs,
+        usage,
+        signal,
+      );
+      scorecard = ResponseParser.parseScorecard(
+        scorecardResponse,
+        profile?.weights,
+      );
     }
-    const scorecardPrompt = PromptTemplates.privacyScorecard(truncatedText);
-    const scorecardResponse = await this.provider.complete(scorecardPrompt);
-    const scorecard = ResponseParser.parseScorecard(scorecardResponse);
 
     // Extract actionable privacy rights info
-    if (progressCallback) {
-      progressCallback(92, "Extracting actionable rights info...");
+    let privacyRights: PrivacyRightsInfo | null = null;
+    if (runsSection("take action", profile)) {
+      if (progressCallback) {
+        progressCallback(92, "Extracting actionable rights info...");
+      }
+      const privacyRightsPrompt =
+        PromptTemplates.exercisePrivacyRights(truncatedText);
+      const privacyRightsResponse = await this._completeStructured(
+        privacyRightsPrompt,
+        "take action",
+        "privacyRights",
+        repairs,
+        usage,
+        signal,
+      );
+      privacyRights = ResponseParser.parsePrivacyRights(privacyRightsResponse);
+    }
+
+    // Map the data flows
+    let dataFlows: DataFlow[] = [];
+    if (runsSection("data flows", profile)) {
+      if (progressCallback) {
+        progressCallback(94, "Mapping data flows...");
+      }
+      const dataFlowsResponse = await this._completeStructured(
+        PromptTemplates.dataFlows(truncatedText),
+        "data flows",
+        "dataFlows",
+        repairs,
+        usage,
+        signal,
+      );
+      dataFlows = ResponseParser.parseDataFlows(dataFlowsResponse);
+    }
+
+    // Check the disclosures required by each selected law
+    const compliance: ComplianceChecklist[] = [];
+    for (const id of complianceProfiles) {
+      const profile = ComplianceProfiles.get(id);
+      if (progressCallback) {
+        progressCallback(95, `Checking ${profile.name} compliance...`);
+      }
+      const checklistResponse = await this._completeStructured(
+        PromptTemplates.complianceChecklist(truncatedText, profile),
+        ComplianceProfiles.sectionName(id),
+        "compliance",
+        repairs,
+        usage,
+        signal,
+      );
+      const checklist = ResponseParser.parseComplianceChecklist(
+        checklistResponse,
+        profile,
+      );
+      if (checklist) compliance.push(checklist);
+    }
+
+    // Answer the profile's custom aspects
+    const aspects: AspectAnswer[] = [];
+    for (const aspect of profile?.aspects ?? []) {
+      if (progressCallback) {
+        progressCallback(97, `Answering "${aspect.name}"...`);
+      }
+      const section = AnalysisProfiles.aspectSectionName(aspect);
+      const prompt = PromptTemplates.customAspect(truncatedText, aspect);
+      const response = await usage.track(section, prompt, (onUsage) =>
+        this.provider.complete(prompt, { signal, onUsage }),
+      );
+      aspects.push(this._toAspectAnswer(aspect, response));
     }
-    const privacyRightsPrompt =
-      PromptTemplates.exercisePrivacyRights(truncatedText);
-    const privacyRightsResponse =
-      await this.provider.complete(privacyRightsPrompt);
-    const privacyRights = ResponseParser.parsePrivacyRights(
-      privacyRightsResponse,
-    );
 
     // Build result
     return {
@@ -309,22 +1495,502 @@ export class PolicyAnalyzer {
       keyTerms,
       scorecard,
       privacyRights,
+      ...(compliance.length > 0 && { compliance }),
+      ...(dataFlows.length > 0 && { dataFlows }),
+      ...(aspects.length > 0 && { aspects }),
       timestamp: new Date(),
       llmConfig: this.config,
       partialFailures: [],
       hasPartialFailures: false,
+      repairs,
+      usage: usage.getUsage(),
+    };
+  }
+
+  /**
+   * Sends a single prompt, streaming the accumulated text to the UI
+   * @private
+   */
+  private _completeStreaming(
+    prompt: string,
+    section: string,
+    summaryType: SummaryType,
+    usage: UsageTracker,
+    onSectionUpdate?: SectionUpdateCallback,
+    signal?: AbortSignal,
+  ): Promise<string> {
+    if (!onSectionUpdate) {
+      return usage.track(section, prompt, (onUsage) =>
+        this.provider.complete(prompt, { signal, onUsage }),
+      );
+    }
+    let content = "";
+    return usage.track(section, prompt, (onUsage) =>
+      this.provider.complete(prompt, {
+        signal,
+        onUsage,
+        onToken: (token: string) => {
+          content += token;
+          onSectionUpdate(summaryType, content);
+        },
+        // Discard text streamed by a failed attempt
+        onRetry: () => {
+          content = "";
+          onSectionUpdate(summaryType, content);
+        },
+      }),
+    );
+  }
+
+  /**
+   * Builds the requests for parallel analysis sections
+   * @param sections - Section names from getSectionNames()
+   * @param text - Truncated policy text
+   * @param profile - Analysis profile the custom aspects belong to
+   * @returns Requests in the given order
+   * @private
+   */
+  private _buildSectionRequests(
+    sections: string[],
+    text: string,
+    profile?: AnalysisProfile,
+  ): StreamedRequest[] {
+    return sections.map((section) => {
+      const { prompt, summaryType, schema, cacheable } = getSection(
+        section,
+        profile,
+      )!;
+      return { section, prompt: prompt(text), summaryType, schema, cacheable };
+    });
+  }
+
+  /**
+   * Collects the answers to custom aspects among section results
+   * @param sections - Section names, in result order
+   * @param results - Settled responses
+   * @param profile - Analysis profile the aspects belong to
+   * @returns Answers of the aspect sections that succeeded
+   * @private
+   */
+  private _parseAspects(
+    sections: string[],
+    results: PromiseSettledResult<string>[],
+    profile?: AnalysisProfile,
+  ): AspectAnswer[] {
+    if (!profile) return [];
+    return sections.flatMap((section, index) => {
+      const aspect = AnalysisProfiles.aspectFromSection(profile, section);
+      const result = results[index];
+      if (!aspect || result.status !== "fulfilled") return [];
+      return [this._toAspectAnswer(aspect, result.value)];
+    });
+  }
+
+  /**
+   * Builds the answer to a custom aspect from its response
+   * @private
+   */
+  private _toAspectAnswer(
+    aspect: CustomAspect,
+    response: string,
+  ): AspectAnswer {
+    return {
+      aspectId: aspect.id,
+      name: aspect.name,
+      prompt: aspect.prompt,
+      answer: ResponseParser.cleanResponse(response),
+    };
+  }
+
+  /**
+   * Parses the checklist responses among section results
+   * @param sections - Section names, in result order
+   * @param results - Settled responses
+   * @returns Checklists of the sections that succeeded and could be parsed
+   * @private
+   */
+  private _parseCompliance(
+    sections: string[],
+    results: PromiseSettledResult<string>[],
+  ): ComplianceChecklist[] {
+    return sections.flatMap((section, index) => {
+      const profile = ComplianceProfiles.fromSection(section);
+      const result = results[index];
+      if (!profile || result.status !== "fulfilled") return [];
+      const checklist = ResponseParser.parseComplianceChecklist(
+        result.value,
+        profile,
+      );
+      return checklist ? [checklist] : [];
+    });
+  }
+
+  /**
+   * Sends a structured prompt, repairing the response if it does not match
+   * its schema
+   * @param prompt - Prompt to send
+   * @param section - Section name (reported in repairs)
+   * @param schema - Schema the response must match
+   * @param repairs - Receives the repair made, if any
+   * @param usage - Records the usage of the request and any repair
+   * @param signal - Aborts the request
+   * @returns The response, or its repaired version
+   * @private
+   */
+  private async _completeStructured(
+    prompt: string,
+    section: string,
+    schema: StructuredResponse,
+    repairs: SectionRepair[],
+    usage: UsageTracker,
+    signal?: AbortSignal,
+  ): Promise<string> {
+    const response = await usage.track(section, prompt, (onUsage) =>
+      this.provider.complete(prompt, {
+        signal,
+        onUsage,
+        responseSchema: RESPONSE_SCHEMAS[schema],
+      }),
+    );
+    const errors = ResponseParser.validateResponse(
+      response,
+      RESPONSE_SCHEMAS[schema].schema,
+    );
+    if (errors.length === 0) {
+      return response;
+    }
+    const repaired = await this._repairResponse(
+      section,
+      schema,
+      response,
+      errors,
+      usage,
+      signal,
+    );
+    repairs.push(repaired.repair);
+    return repaired.response;
+  }
+
+  /**
+   * Response cache key of a text analyzed with this analyzer's model settings
+   * @param text - Preprocessed policy text
+   * @returns The key, or null when responses cannot be cached
+   * @private
+   */
+  private async _getCacheKey(text: string): Promise<string | null> {
+    if (!ResponseCache.isSupported()) {
+      return null;
+    }
+    try {
+      return await ResponseCache.createKey(text, this.config);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Loads cached responses; a cache that cannot be read is treated as empty
+   * @private
+   */
+  private async _readCache(key: string): Promise<ResponseCacheEntry | null> {
+    try {
+      return await ResponseCache.get(key);
+    } catch (error) {
+      console.warn("Could not read cached responses:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Caches the successful responses of a batch. Responses whose repair did
+   * not make them match their schema are left out, so the next analysis
+   * asks for them again.
+   * @param key - Cache key, or null when responses cannot be cached
+   * @param requests - Requests of the batch
+   * @param results - Settled results in request order
+   * @param repairs - Repairs made to the batch's responses
+   * @private
+   */
+  private async _cacheResponses(
+    key: string | null,
+    requests: StreamedRequest[],
+    results: PromiseSettledResult<string>[],
+    repairs: SectionRepair[],
+  ): Promise<void> {
+    if (!key) {
+      return;
+    }
+    const unresolved = repairs
+      .filter((repair) => !repair.resolved)
+      .map((repair) => repair.section);
+    const sections: Record<string, string> = {};
+    requests.forEach(({ section, cacheable }, index) => {
+      const result = results[index];
+      if (
+        result.status === "fulfilled" &&
+        cacheable !== false &&
+        !unresolved.includes(section)
+      ) {
+        sections[section] = result.value;
+      }
+    });
+    if (Object.keys(sections).length === 0) {
+      return;
+    }
+
+    try {
+      await ResponseCache.put(
+        key,
+        sections,
+        repairs.filter((repair) => repair.resolved),
+      );
+    } catch (error) {
+      console.warn("Could not cache responses:", error);
+    }
+  }
+
+  /**
+   * Validates the structured responses of a batch against their schemas and
+   * repairs the ones that do not match. Repaired responses replace the
+   * originals in `results`.
+   * @param requests - Requests of the batch
+   * @param results - Settled results in request order (updated in place)
+   * @param usage - Records the usage of the repair requests
+   * @param signal - Aborts the repair requests
+   * @param onRepair - Called with the sections that need a repair before any
+   * repair request is sent
+   * @returns Repairs made
+   * @private
+   */
+  private async _repairResponses(
+    requests: StreamedRequest[],
+    results: PromiseSettledResult<string>[],
+    usage: UsageTracker,
+    signal?: AbortSignal,
+    onRepair?: (sections: string[]) => void,
+  ): Promise<SectionRepair[]> {
+    const invalid = requests.flatMap(({ section, schema }, index) => {
+      const result = results[index];
+      if (!schema || result.status !== "fulfilled") return [];
+      const errors = ResponseParser.validateResponse(
+        result.value,
+        RESPONSE_SCHEMAS[schema].schema,
+      );
+      return errors.length > 0
+        ? [{ index, section, schema, response: result.value, errors }]
+        : [];
+    });
+    if (invalid.length === 0) {
+      return [];
+    }
+
+    onRepair?.(invalid.map(({ section }) => section));
+    return Promise.all(
+      invalid.map(async ({ index, section, schema, response, errors }) => {
+        const repaired = await this._repairResponse(
+          section,
+          schema,
+          response,
+          errors,
+          usage,
+          signal,
+        );
+        results[index] = { status: "fulfilled", value: repaired.response };
+        return repaired.repair;
+      }),
+    );
+  }
+
+  /**
+   * Sends a response that failed validation back to the model together with
+   * its errors, up to SCHEMA_REPAIR_CONFIG.MAX_ATTEMPTS times. A repair is
+   * only kept if it ranks better than the response it replaces; a failed
+   * repair request leaves the response as it was.
+   * @param section - Section name (reported in the repair)
+   * @param schema - Schema the response must match
+   * @param response - Response that failed validation
+   * @param errors - Its validation errors
+   * @param usage - Records the usage of the repair requests
+   * @param signal - Aborts the repair requests
+   * @returns The best response and the repair record
+   * @throws AbortError if the repair is cancelled through `signal`
+   * @private
+   */
+  private async _repairResponse(
+    section: string,
+    schema: StructuredResponse,
+    response: string,
+    errors: string[],
+    usage: UsageTracker,
+    signal?: AbortSignal,
+  ): Promise<{ response: string; repair: SectionRepair }> {
+    const responseSchema = RESPONSE_SCHEMAS[schema];
+    let attempts = 0;
+
+    while (errors.length > 0 && attempts < SCHEMA_REPAIR_CONFIG.MAX_ATTEMPTS) {
+      attempts++;
+      const prompt = PromptTemplates.schemaRepair(
+        response,
+        errors.slice(0, SCHEMA_REPAIR_CONFIG.MAX_ERRORS),
+        responseSchema.schema,
+      );
+      let repaired: string;
+      try {
+        repaired = await usage.track(`${section} repair`, prompt, (onUsage) =>
+          this.provider.complete(prompt, { signal, onUsage, responseSchema }),
+        );
+      } catch (error: unknown) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+        break;
+      }
+
+      const repairedErrors = ResponseParser.validateResponse(
+        repaired,
+        responseSchema.schema,
+      );
+      if (errorRank(repairedErrors) < errorRank(errors)) {
+        response = repaired;
+        errors = repairedErrors;
+      }
+    }
+
+    return {
+      response,
+      repair: { section, attempts, resolved: errors.length === 0 },
     };
   }
 
   /**
-   * Analyzes specific aspects of a policy
+   * Runs requests in parallel with graceful degradation, streaming each
+   * response so progress reflects how much output has been received
+   * @param requests - Requests to run
+   * @param usage - Records the usage of each request
+   * @param range - Progress range [start, end] covered by this batch
+   * @param describeStep - Builds the step message from completed/total counts
+   * @param progressCallback - Progress callback
+   * @param onSectionUpdate - Receives streamed summary text
+   * @param signal - Aborts all requests in the batch
+   * @returns Settled results in request order
+   * @private
+   */
+  private _completeAllStreaming(
+    requests: StreamedRequest[],
+    usage: UsageTracker,
+    range: [number, number],
+    describeStep: (completed: number, total: number) => string,
+    progressCallback?: (progress: number, step: string) => void,
+    onSectionUpdate?: SectionUpdateCallback,
+    signal?: AbortSignal,
+  ): Promise<PromiseSettledResult<string>[]> {
+    const received = requests.map(() => 0);
+    const finished = requests.map(() => false);
+    let lastProgress = -1;
+
+    // Only report when the rounded percentage moves forward
+    const report = () => {
+      if (!progressCallback) return;
+      const fraction =
+        requests.reduce((sum, { section }, i) => {
+          if (finished[i]) return sum + 1;
+          const expected = EXPECTED_RESPONSE_CHARS[section] || 3000;
+          return sum + Math.min(0.95, received[i] / expected);
+        }, 0) / requests.length;
+      const progress = Math.round(range[0] + (range[1] - range[0]) * fraction);
+      if (progress <= lastProgress) return;
+      lastProgress = progress;
+      progressCallback(
+        progress,
+        describeStep(finished.filter(Boolean).length, requests.length),
+      );
+    };
+
+    return Promise.allSettled(
+      requests.map(({ section, prompt, summaryType, schema }, i) => {
+        let content = "";
+        return usage
+          .track(section, prompt, (onUsage) =>
+            this.provider.complete(prompt, {
+              signal,
+              onUsage,
+              responseSchema: schema && RESPONSE_SCHEMAS[schema],
+              onToken: (token: string) => {
+                content += token;
+                received[i] = content.length;
+                if (summaryType && onSectionUpdate) {
+                  onSectionUpdate(summaryType, content);
+                }
+                report();
+              },
+              // Discard text streamed by a failed attempt
+              onRetry: ({ provider, attempt }) => {
+                content = "";
+                received[i] = 0;
+                if (summaryType && onSectionUpdate) {
+                  onSectionUpdate(summaryType, content);
+                }
+                progressCallback?.(
+                  Math.max(lastProgress, range[0]),
+                  attempt > 1
+                    ? `Retrying ${section}...`
+                    : `Retrying ${section} with ${provider}...`,
+                );
+              },
+            }),
+          )
+          .finally(() => {
+            finished[i] = true;
+            report();
+          });
+      }),
+    );
+  }
+
+  /**
+   * Explains what changed between two versions of a policy and why it matters
+   * @param comparison - Comparison produced by PolicyDiffer
+   * @param signal - Optional signal to cancel the request
+   * @returns Markdown explanation of the changes
+   */
+  async summarizeChanges(
+    comparison: PolicyComparison,
+    signal?: AbortSignal,
+  ): Promise<string> {
+    const prompt = PromptTemplates.policyChanges(
+      PolicyDiffer.buildChangeDigest(comparison),
+    );
+    const response = await this.provider.complete(prompt, { signal });
+    return ResponseParser.cleanResponse(response);
+  }
+
+  /**
+   * Recommends the most privacy-respecting of several services
+   * @param comparison - Comparison produced by ServiceComparer
+   * @param signal - Optional signal to cancel the request
+   * @returns Markdown recommendation
+   */
+  async recommendService(
+    comparison: ServiceComparison,
+    signal?: AbortSignal,
+  ): Promise<string> {
+    const prompt = PromptTemplates.serviceRecommendation(
+      ServiceComparer.buildDigest(comparison),
+    );
+    const response = await this.provider.complete(prompt, { signal });
+    return ResponseParser.cleanResponse(response);
+  }
+
+  /**
+   * Analyzes specific aspects of a policy, one request per aspect
    * @param text - Policy text
-   * @param aspects - Aspects to analyze (e.g., ['data_collection', 'data_sharing'])
-   * @returns Aspect-specific analysis
+   * @param aspects - Built-in aspects ('data_collection', 'data_sharing',
+   * 'user_rights') or custom aspects with their own prompt
+   * @returns Answer per aspect ID; unknown built-in aspects are skipped
    */
   async analyzeAspects(
     text: string,
-    aspects: string[],
+    aspects: (string | CustomAspect)[],
   ): Promise<Record<string, string>> {
     const processedText = TextPreprocessor.preprocess(text);
     const truncatedText = TextPreprocessor.truncate(processedText);
@@ -333,22 +1999,27 @@ export class PolicyAnalyzer {
     for (const aspect of aspects) {
       let prompt: string | undefined;
 
-      switch (aspect) {
-        case "data_collection":
-          prompt = PromptTemplates.dataCollection(truncatedText);
-          break;
-        case "data_sharing":
-          prompt = PromptTemplates.dataSharing(truncatedText);
-          break;
-        case "user_rights":
-          prompt = PromptTemplates.userRights(truncatedText);
-          break;
-        default:
-          continue;
+      if (typeof aspect !== "string") {
+        prompt = PromptTemplates.customAspect(truncatedText, aspect);
+      } else {
+        switch (aspect) {
+          case "data_collection":
+            prompt = PromptTemplates.dataCollection(truncatedText);
+            break;
+          case "data_sharing":
+            prompt = PromptTemplates.dataSharing(truncatedText);
+            break;
+          case "user_rights":
+            prompt = PromptTemplates.userRights(truncatedText);
+            break;
+          default:
+            continue;
+        }
       }
 
       const response = await this.provider.complete(prompt);
-      results[aspect] = ResponseParser.cleanResponse(response);
+      results[typeof aspect === "string" ? aspect : aspect.id] =
+        ResponseParser.cleanResponse(response);
     }
 
     return results;
@@ -0,0 +1,191 @@
+import { describe, it, expect } from 'vitest';
+import { PolicyDiffer } from './PolicyDiffer.js';
+import { makeAnalysisResult } from '../../test/fixtures/analysisResult';
+import type { AnalysisResult, PrivacyRisk, PrivacyScorecard } from '../../types';
+
+const makeRisk = (overrides: Partial<PrivacyRisk> = {}): PrivacyRisk => ({
+  id: Math.random().toString(36).slice(2),
+  title: 'Data sold to advertisers',
+  description: 'Your data may be sold.',
+  severity: 'medium',
+  location: 'Section 4',
+  recommendation: '',
+  ...overrides,
+});
+
+const makeScorecard = (
+  scores: Partial<Record<string, number>> = {},
+  overallScore = 60,
+): PrivacyScorecard => {
+  const category = (key: string) => ({ score: scores[key] ?? 5, weight: 10, summary: '' });
+  return {
+    thirdPartySharing: category('thirdPartySharing'),
+    userRights: category('userRights'),
+    dataCollection: category('dataCollection'),
+    dataRetention: category('dataRetention'),
+    purposeClarity: category('purposeClarity'),
+    securityMeasures: category('securityMeasures'),
+    policyTransparency: category('policyTransparency'),
+    topConcerns: [],
+    positiveAspects: [],
+    overallScore,
+  };
+};
+
+const makeResult = (overrides: Partial<AnalysisResult> = {}): AnalysisResult =>
+  makeAnalysisResult({ id: Math.random().toString(36).slice(2), scorecard: makeScorecard(), ...overrides });
+
+describe('PolicyDiffer', () => {
+  describe('splitClauses', () => {
+    it('should split text into sentences and lines', () => {
+      expect(
+        PolicyDiffer.splitClauses('1. Introduction\nWe collect data. We share it with partners.\n\nContact us.'),
+      ).toEqual(['1. Introduction', 'We collect data.', 'We share it with partners.', 'Contact us.']);
+    });
+  });
+
+  describe('diffClauses', () => {
+    it('should report added and removed clauses', () => {
+      const changes = PolicyDiffer.diffClauses(
+        'We collect your email. We keep logs for 30 days.',
+        'We collect your email. We sell your data to brokers. ',
+      );
+
+      expect(changes).toEqual([
+        { type: 'unchanged', text: 'We collect your email.' },
+        { type: 'removed', text: 'We keep logs for 30 days.' },
+        { type: 'added', text: 'We sell your data to brokers.' },
+      ]);
+    });
+
+    it('should pair similar removed and added clauses as modifications', () => {
+      const changes = PolicyDiffer.diffClauses(
+        'We retain your personal data for 30 days after account deletion.',
+        'We retain your personal data for 3 years after account deletion.',
+      );
+
+      expect(changes).toEqual([
+        {
+          type: 'modified',
+          text: 'We retain your personal data for 3 years after account deletion.',
+          previousText: 'We retain your personal data for 30 days after account deletion.',
+        },
+      ]);
+    });
+
+    it('should ignore whitespace and case differences', () => {
+      const changes = PolicyDiffer.diffClauses('We  collect DATA.', 'we collect data.');
+
+      expect(changes.map((change) => change.type)).toEqual(['unchanged']);
+    });
+  });
+
+  describe('diffRisks', () => {
+    it('should detect new, resolved and re-rated risks', () => {
+      const { added, removed, severityChanges } = PolicyDiffer.diffRisks(
+        [
+          makeRisk({ title: 'Data sold to advertisers', severity: 'medium' }),
+          makeRisk({ title: 'Indefinite data retention' }),
+        ],
+        [
+          makeRisk({ title: 'Data sold to advertisers!', severity: 'high' }),
+          makeRisk({ title: 'Biometric data collection' }),
+        ],
+      );
+
+      expect(added.map((risk) => risk.title)).toEqual(['Biometric data collection']);
+      expect(removed.map((risk) => risk.title)).toEqual(['Indefinite data retention']);
+      expect(severityChanges).toHaveLength(1);
+      expect(severityChanges[0].previous.severity).toBe('medium');
+      expect(severityChanges[0].current.severity).toBe('high');
+    });
+  });
+
+  describe('diffScorecards', () => {
+    it('should compute per-category deltas', () => {
+      const deltas = PolicyDiffer.diffScorecards(
+        makeScorecard({ thirdPartySharing: 6 }),
+        makeScorecard({ thirdPartySharing: 3 }),
+      );
+
+      const sharing = deltas.find((delta) => delta.category === 'thirdPartySharing');
+      expect(sharing).toMatchObject({ label: 'Third-Party Sharing', previousScore: 6, currentScore: 3, delta: -3 });
+      expect(deltas).toHaveLength(7);
+    });
+
+    it('should report null deltas when a scorecard is missing', () => {
+      const deltas = PolicyDiffer.diffScorecards(undefined, makeScorecard());
+
+      expect(deltas.every((delta) => delta.delta === null)).toBe(true);
+    });
+  });
+
+  describe('compare', () => {
+    it('should combine clause, risk and score changes', () => {
+      const previous = makeResult({
+        documentMetadata: { source: 'https://example.com/privacy', type: 'url', rawText: 'We never sell data.' },
+        scorecard: makeScorecard({}, 70),
+      });
+      const current = makeResult({
+        documentMetadata: { source: 'https://example.com/privacy', type: 'url', rawText: 'We may sell data.' },
+        risks: [makeRisk()],
+        scorecard: makeScorecard({}, 55),
+      });
+
+      const comparison = PolicyDiffer.compare(previous, current);
+
+      expect(comparison.previousId).toBe(previous.id);
+      expect(comparison.currentId).toBe(current.id);
+      expect(comparison.hasText).toBe(true);
+      expect(comparison.clauses.length).toBeGreaterThan(0);
+      expect(comparison.addedRisks).toHaveLength(1);
+      expect(comparison.overallScoreDelta).toBe(-15);
+    });
+
+    it('should skip the clause diff when policy text is missing', () => {
+      const comparison = PolicyDiffer.compare(
+        makeResult(),
+        makeResult({ documentMetadata: { source: 'x', type: 'url', rawText: 'Text.' } }),
+      );
+
+      expect(comparison.hasText).toBe(false);
+      expect(comparison.clauses).toEqual([]);
+    });
+  });
+
+  describe('buildChangeDigest', () => {
+    it('should describe every kind of change', () => {
+      const comparison = PolicyDiffer.compare(
+        makeResult({
+          documentMetadata: { source: 'x', type: 'url', rawText: 'We keep logs for 30 days.' },
+          scorecard: makeScorecard({ dataRetention: 7 }),
+        }),
+        makeResult({
+          documentMetadata: { source: 'x', type: 'url', rawText: 'We sell your data to brokers.' },
+          risks: [makeRisk({ title: 'Data brokers', severity: 'high' })],
+          scorecard: makeScorecard({ dataRetention: 4 }),
+        }),
+      );
+
+      const digest = PolicyDiffer.buildChangeDigest(comparison);
+
+      expect(digest).toContain('# Scorecard Changes');
+      expect(digest).toContain('- Data Retention: 7 → 4 (-3)');
+      expect(digest).toContain('[HIGH] Data brokers');
+      expect(digest).toContain('# Risks No Longer Identified\n- None');
+      expect(digest).toContain('Removed: "We keep logs for 30 days."');
+      expect(digest).toContain('Added: "We sell your data to brokers."');
+    });
+
+    it('should truncate long digests', () => {
+      const comparison = PolicyDiffer.compare(
+        makeResult({ documentMetadata: { source: 'x', type: 'url', rawText: 'Old.' } }),
+        makeResult({
+          documentMetadata: { source: 'x', type: 'url', rawText: 'New clause number one. '.repeat(200) },
+        }),
+      );
+
+      expect(PolicyDiffer.buildChangeDigest(comparison, 500).length).toBeLessThanOrEqual(520);
+    });
+  });
+});
@@ -0,0 +1,439 @@
+/**
+ * @file Policy Differ
+ * @description Compares two analyses of the same service: clause-level text
+ * diff, risk changes and scorecard deltas
+ */
+
+import { ChunkMerger } from "./ChunkMerger.js";
+import { TextPreprocessor } from "../document/TextPreprocessor.js";
+import { SCORECARD_CATEGORY_LABELS } from "../../utils/constants.js";
+import type {
+  AnalysisResult,
+  ClauseChange,
+  PolicyComparison,
+  PrivacyRisk,
+  PrivacyScorecard,
+  RiskSeverityChange,
+  ScorecardCategoryKey,
+  ScorecardDelta,
+} from "../../types";
+
+/**
+ * Largest LCS table (clauses × clauses) computed before falling back to
+ * treating the changed region as a wholesale replacement
+ */
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Maximum length of the change digest sent to the model
+ */
+const MAX_DIGEST_LENGTH = 60000;
+
+export class PolicyDiffer {
+  /**
+   * Minimum word overlap (Jaccard index) for a removed and an added clause
+   * to be reported as one reworded clause
+   */
+  static readonly CLAUSE_SIMILARITY_THRESHOLD = 0.5;
+
+  /**
+   * Compares an earlier and a later analysis
+   * @param previous - Earlier analysis
+   * @param current - Later analysis
+   * @returns Comparison of the two analyses
+   */
+  static compare(
+    previous: AnalysisResult,
+    current: AnalysisResult,
+  ): PolicyComparison {
+    const previousText = previous.documentMetadata?.rawText || "";
+    const currentText = current.documentMetadata?.rawText || "";
+    const hasText = previousText.length > 0 && currentText.length > 0;
+    const risks = this.diffRisks(previous.risks || [], current.risks || []);
+    const overallPrevious = previous.scorecard?.overallScore;
+    const overallCurrent = current.scorecard?.overallScore;
+
+    return {
+      previousId: previous.id,
+      currentId: current.id,
+      clauses: hasText ? this.diffClauses(previousText, currentText) : [],
+      hasText,
+      addedRisks: risks.added,
+      removedRisks: risks.removed,
+      severityChanges: risks.severityChanges,
+      scorecardDeltas: this.diffScorecards(
+        previous.scorecard,
+        current.scorecard,
+      ),
+      overallScoreDelta:
+        typeof overallPrevious === "number" &&
+        typeof overallCurrent === "number"
+          ? overallCurrent - overallPrevious
+          : null,
+    };
+  }
+
+  /**
+   * Diffs two policy texts clause by clause (longest common subsequence),
+   * pairing removed and added clauses with similar wording as modifications
+   * @param previousText - Earlier policy text
+   * @param currentText - Later policy text
+   * @returns Clause changes in document order
+   */
+  static diffClauses(previousText: string, currentText: string): ClauseChange[] {
+    const before = this.splitClauses(previousText);
+    const after = this.splitClauses(currentText);
+    const beforeKeys = before.map((clause) => this.normalize(clause));
+    const afterKeys = after.map((clause) => this.normalize(clause));
+
+    // Trim the common prefix and suffix so the LCS table stays small
+    let start = 0;
+    while (
+      start < before.length &&
+      start < after.length &&
+      beforeKeys[start] === afterKeys[start]
+    ) {
+      start++;
+    }
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (
+      endBefore > start &&
+      endAfter > start &&
+      beforeKeys[endBefore - 1] === afterKeys[endAfter - 1]
+    ) {
+      endBefore--;
+      endAfter--;
+    }
+
+    const unchanged = (text: string): ClauseChange => ({
+      type: "unchanged",
+      text,
+    });
+
+    return this.pairModifications([
+      ...before.slice(0, start).map(unchanged),
+      ...this.diffRange(
+        before.slice(start, endBefore),
+        after.slice(start, endAfter),
+        beforeKeys.slice(start, endBefore),
+        afterKeys.slice(start, endAfter),
+      ),
+      ...before.slice(endBefore).map(unchanged),
+    ]);
+  }
+
+  /**
+   * Splits policy text into clauses (sentences and headings)
+   * @param text - Policy text
+   * @returns Non-empty clauses in document order
+   */
+  static splitClauses(text: string): string[] {
+    return text
+      .split(/\n+/)
+      .flatMap((block) =>
+        block.split(/(?<=[^\d\s][.!?])\s+(?=["“(]?[A-Z0-9])/),
+      )
+      .map((clause) => clause.replace(/\s+/g, " ").trim())
+      .filter((clause) => clause.length > 0);
+  }
+
+  /**
+   * Matches risks between versions by title similarity
+   * @param previous - Risks in the earlier analysis
+   * @param current - Risks in the later analysis
+   * @returns Added and removed risks, and matched risks whose severity changed
+   */
+  static diffRisks(
+    previous: PrivacyRisk[],
+    current: PrivacyRisk[],
+  ): {
+    added: PrivacyRisk[];
+    removed: PrivacyRisk[];
+    severityChanges: RiskSeverityChange[];
+  } {
+    const unmatched = [...previous];
+    const added: PrivacyRisk[] = [];
+    const severityChanges: RiskSeverityChange[] = [];
+
+    for (const risk of current) {
+      const index = unmatched.findIndex((candidate) =>
+        ChunkMerger.isSameRisk(candidate, risk),
+      );
+      if (index === -1) {
+        added.push(risk);
+        continue;
+      }
+      const [match] = unmatched.splice(index, 1);
+      if (match.severity !== risk.severity) {
+        severityChanges.push({ previous: match, current: risk });
+      }
+    }
+
+    return { added, removed: unmatched, severityChanges };
+  }
+
+  /**
+   * Computes per-category score changes
+   * @param previous - Earlier scorecard
+   * @param current - Later scorecard
+   * @returns One delta per category, in weight order
+   */
+  static diffScorecards(
+    previous: PrivacyScorecard | null | undefined,
+    current: PrivacyScorecard | null | undefined,
+  ): ScorecardDelta[] {
+    return (
+      Object.entries(SCORECARD_CATEGORY_LABELS) as Array<
+        [ScorecardCategoryKey, string]
+      >
+    ).map(([category, label]) => {
+      const previousScore = this.getScore(previous, category);
+      const currentScore = this.getScore(current, category);
+      return {
+        category,
+        label,
+        previousScore,
+        currentScore,
+        delta:
+          previousScore !== null && currentScore !== null
+            ? currentScore - previousScore
+            : null,
+      };
+    });
+  }
+
+  /**
+   * Builds a text digest of the comparison for the change summary prompt
+   * @param comparison - Policy comparison
+   * @param maxLength - Maximum digest length in characters
+   * @returns Digest text
+   */
+  static buildChangeDigest(
+    comparison: PolicyComparison,
+    maxLength: number = MAX_DIGEST_LENGTH,
+  ): string {
+    const parts: string[] = ["# Scorecard Changes"];
+    const scored = comparison.scorecardDeltas.filter(
+      (delta) => delta.delta !== null,
+    );
+    if (scored.length === 0) {
+      parts.push("- No scorecard available for both versions");
+    }
+    scored.forEach(({ label, previousScore, currentScore, delta }) => {
+      const sign = delta! > 0 ? "+" : "";
+      parts.push(
+        `- ${label}: ${previousScore} → ${currentScore} (${sign}${delta})`,
+      );
+    });
+
+    const formatRisk = (risk: PrivacyRisk) =>
+      `- [${risk.severity.toUpperCase()}] ${risk.title}: ${risk.description}`;
+
+    parts.push("", "# New Risks");
+    parts.push(
+      comparison.addedRisks.length > 0
+        ? comparison.addedRisks.map(formatRisk).join("\n")
+        : "- None",
+    );
+
+    parts.push("", "# Risks No Longer Identified");
+    parts.push(
+      comparison.removedRisks.length > 0
+        ? comparison.removedRisks.map(formatRisk).join("\n")
+        : "- None",
+    );
+
+    if (comparison.severityChanges.length > 0) {
+      parts.push("", "# Risk Severity Changes");
+      comparison.severityChanges.forEach(({ previous, current }) => {
+        parts.push(
+          `- ${current.title}: ${previous.severity} → ${current.severity}`,
+        );
+      });
+    }
+
+    parts.push("", "# Policy Text Changes");
+    const changes = comparison.clauses.filter(
+      (clause) => clause.type !== "unchanged",
+    );
+    if (!comparison.hasText) {
+      parts.push("- Policy text unavailable for one of the versions");
+    } else if (changes.length === 0) {
+      parts.push("- No wording changes");
+    }
+    changes.forEach((clause) => {
+      if (clause.type === "added") {
+        parts.push(`Added: "${clause.text}"`);
+      } else if (clause.type === "removed") {
+        parts.push(`Removed: "${clause.text}"`);
+      } else {
+        parts.push(
+          `Changed: "${clause.previousText}"\n  Now reads: "${clause.text}"`,
+        );
+      }
+    });
+
+    return TextPreprocessor.truncate(parts.join("\n"), maxLength);
+  }
+
+  /**
+   * Diffs the changed middle region of two clause lists
+   * @private
+   */
+  private static diffRange(
+    before: string[],
+    after: string[],
+    beforeKeys: string[],
+    afterKeys: string[],
+  ): ClauseChange[] {
+    const removed = (text: string): ClauseChange => ({ type: "removed", text });
+    const added = (text: string): ClauseChange => ({ type: "added", text });
+
+    const rows = before.length + 1;
+    const cols = after.length + 1;
+    if (rows * cols > MAX_DIFF_CELLS) {
+      return [...before.map(removed), ...after.map(added)];
+    }
+
+    // lcs[i * cols + j] = LCS length of before[i:] and after[j:]
+    const lcs = new Uint32Array(rows * cols);
+    for (let i = before.length - 1; i >= 0; i--) {
+      for (let j = after.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] =
+          beforeKeys[i] === afterKeys[j]
+            ? lcs[(i + 1) * cols + j + 1] + 1
+            : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+
+    const changes: ClauseChange[] = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length && j < after.length) {
+      if (beforeKeys[i] === afterKeys[j]) {
+        changes.push({ type: "unchanged", text: after[j] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+        changes.push(removed(before[i++]));
+      } else {
+        changes.push(added(after[j++]));
+      }
+    }
+    changes.push(...before.slice(i).map(removed), ...after.slice(j).map(added));
+    return changes;
+  }
+
+  /**
+   * Within each run of changes, reports a removed clause and a similar
+   * added clause as a single modified clause
+   * @private
+   */
+  private static pairModifications(changes: ClauseChange[]): ClauseChange[] {
+    const result: ClauseChange[] = [];
+    let runStart = 0;
+
+    while (runStart < changes.length) {
+      if (changes[runStart].type === "unchanged") {
+        result.push(changes[runStart++]);
+        continue;
+      }
+
+      let runEnd = runStart;
+      while (runEnd < changes.length && changes[runEnd].type !== "unchanged") {
+        runEnd++;
+      }
+      const run = changes.slice(runStart, runEnd);
+      const addedTokens = run.map((change) =>
+        change.type === "added" ? this.tokenize(change.text) : null,
+      );
+      const pairedAdded = new Set<number>();
+      const pairs = new Map<number, number>();
+
+      run.forEach((change, index) => {
+        if (change.type !== "removed") return;
+        const tokens = this.tokenize(change.text);
+        let best = -1;
+        let bestScore = this.CLAUSE_SIMILARITY_THRESHOLD;
+        addedTokens.forEach((candidate, candidateIndex) => {
+          if (!candidate || pairedAdded.has(candidateIndex)) return;
+          const score = this.jaccard(tokens, candidate);
+          if (score >= bestScore) {
+            best = candidateIndex;
+            bestScore = score;
+          }
+        });
+        if (best !== -1) {
+          pairedAdded.add(best);
+          pairs.set(index, best);
+        }
+      });
+
+      run.forEach((change, index) => {
+        if (pairedAdded.has(index)) return;
+        const pair = pairs.get(index);
+        if (pair === undefined) {
+          result.push(change);
+        } else {
+          result.push({
+            type: "modified",
+            text: run[pair].text,
+            previousText: change.text,
+          });
+        }
+      });
+
+      runStart = runEnd;
+    }
+
+    return result;
+  }
+
+  /**
+   * Reads a category score, or null if unavailable
+   * @private
+   */
+  private static getScore(
+    scorecard: PrivacyScorecard | null | undefined,
+    category: ScorecardCategoryKey,
+  ): number | null {
+    const score = scorecard?.[category]?.score;
+    return typeof score === "number" ? score : null;
+  }
+
+  /**
+   * Normalizes a clause for equality checks
+   * @private
+   */
+  private static normalize(text: string): string {
+    return text.toLowerCase().replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Splits a clause into a set of significant lowercase words
+   * @private
+   */
+  private static tokenize(text: string): Set<string> {
+    return new Set(
+      text
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, " ")
+        .split(/\s+/)
+        .filter((word) => word.length > 2),
+    );
+  }
+
+  /**
+   * Jaccard similarity between two token sets
+   * @private
+   */
+  private static jaccard(a: Set<string>, b: Set<string>): number {
+    if (a.size === 0 || b.size === 0) return 0;
+    let intersection = 0;
+    for (const token of a) {
+      if (b.has(token)) intersection++;
+    }
+    return intersection / (a.size + b.size - intersection);
+  }
+}
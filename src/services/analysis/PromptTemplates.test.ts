@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import { PromptTemplates } from './PromptTemplates.js';
+import { ComplianceProfiles } from './ComplianceProfiles.js';
 
 describe('PromptTemplates', () => {
   describe('briefSummary', () => {
@@ -133,7 +134,7 @@ describe('PromptTemplates', () => {
     it('should include JSON structure requirements', () => {
       const result = PromptTemplates.privacyRisks('test');
 
-      expect(result).toContain('JSON array');
+      expect(result).toContain('JSON object');
       expect(result).toContain('title');
       expect(result).toContain('description');
       expect(result).toContain('severity');
@@ -149,6 +150,34 @@ describe('PromptTemplates', () => {
       expect(result).toContain('high');
       expect(result).toContain('critical');
     });
+
+    it('should ask for the section heading as the location', () => {
+      const result = PromptTemplates.privacyRisks('# Sharing\n\nWe sell data.');
+
+      expect(result).toContain('The heading of the section this appears in');
+    });
+  });
+
+  describe('policyChanges', () => {
+    it('should wrap the change digest in document tags', () => {
+      const result = PromptTemplates.policyChanges('# New Risks\n- [HIGH] Data brokers');
+
+      expect(result).toContain('IMPORTANT SECURITY INSTRUCTION');
+      expect(result).toContain('<document>\n# New Risks');
+      expect(result).toContain('## Changes That Matter Most');
+      expect(result).toContain('## Bottom Line');
+    });
+  });
+
+  describe('serviceRecommendation', () => {
+    it('should wrap the comparison digest in document tags', () => {
+      const result = PromptTemplates.serviceRecommendation('# example.com\n- Overall: B (80/100)');
+
+      expect(result).toContain('IMPORTANT SECURITY INSTRUCTION');
+      expect(result).toContain('<document>\n# example.com');
+      expect(result).toContain('## Recommendation');
+      expect(result).toContain('## Trade-offs');
+    });
   });
 
   describe('keyTerms', () => {
@@ -190,13 +219,32 @@ describe('PromptTemplates', () => {
     it('should include JSON structure requirements', () => {
       const result = PromptTemplates.keyTerms('test');
 
-      expect(result).toContain('JSON array');
+      expect(result).toContain('JSON object');
       expect(result).toContain('term');
       expect(result).toContain('definition');
       expect(result).toContain('location');
     });
   });
 
+  describe('customAspect', () => {
+    const aspect = { id: 'a1', name: 'AI training', prompt: 'Is my data used to train AI models?' };
+
+    it('should ask the question outside the document tags', () => {
+      const result = PromptTemplates.customAspect('policy text', aspect);
+
+      expect(result).toContain('Question (AI training): Is my data used to train AI models?');
+      expect(result.indexOf('Question (')).toBeLessThan(result.indexOf('<document>'));
+      expect(result).toContain('<document>\npolicy text\n</document>');
+    });
+
+    it('should include security instruction', () => {
+      const result = PromptTemplates.customAspect('test', aspect);
+
+      expect(result).toContain('IMPORTANT SECURITY INSTRUCTION');
+      expect(result).toContain('does not address the question');
+    });
+  });
+
   describe('dataCollection', () => {
     it('should return a string containing the input text', () => {
       const testText = 'This is a sample privacy policy text.';
@@ -286,6 +334,30 @@ describe('PromptTemplates', () => {
     });
   });
 
+  describe('dataFlows', () => {
+    it('should wrap the policy in document tags after the security instruction', () => {
+      const result = PromptTemplates.dataFlows('We share location data with partners.');
+
+      expect(result).toContain('<document>\nWe share location data with partners.\n</document>');
+      expect(result.indexOf('IMPORTANT SECURITY INSTRUCTION')).toBeLessThan(result.indexOf('<document>'));
+    });
+
+    it('should ask for every data flow field and recipient type', () => {
+      const result = PromptTemplates.dataFlows('test');
+
+      ['"category"', '"sources"', '"purposes"', '"recipients"', '"legalBases"', '"retention"', '"quotes"'].forEach(
+        field => expect(result).toContain(field)
+      );
+      expect(result).toContain('data-broker');
+      expect(result).toContain('business-transfer');
+      expect(result.trim().endsWith('Data Flows JSON:')).toBe(true);
+    });
+
+    it('should ask for data flows in chunk extractions', () => {
+      expect(PromptTemplates.chunkExtraction('test', 0, 2)).toContain('"dataFlows"');
+    });
+  });
+
   describe('userRights', () => {
     it('should return a string containing the input text', () => {
       const testText = 'This is a sample privacy policy text.';
@@ -402,6 +474,77 @@ describe('PromptTemplates', () => {
     });
   });
 
+  describe('chunkExtraction', () => {
+    it('should wrap chunk content in document tags with security instruction', () => {
+      const testText = 'Section 3. We share data with partners.';
+      const result = PromptTemplates.chunkExtraction(testText, 0, 3);
+
+      expect(result).toContain('<document>');
+      expect(result).toContain(testText);
+      expect(result).toContain('</document>');
+      expect(result).toContain('IMPORTANT SECURITY INSTRUCTION');
+      expect(result.indexOf('IMPORTANT SECURITY INSTRUCTION')).toBeLessThan(
+        result.indexOf('<document>')
+      );
+    });
+
+    it('should state the chunk position using one-based numbering', () => {
+      const result = PromptTemplates.chunkExtraction('test', 1, 4);
+
+      expect(result).toContain('part 2 of 4');
+    });
+
+    it('should request every extraction field and scorecard category', () => {
+      const result = PromptTemplates.chunkExtraction('test', 0, 2);
+
+      expect(result).toContain('"summary"');
+      expect(result).toContain('"risks"');
+      expect(result).toContain('"keyTerms"');
+      expect(result).toContain('"scorecardEvidence"');
+      expect(result).toContain('"privacyRights"');
+      [
+        'thirdPartySharing',
+        'userRights',
+        'dataCollection',
+        'dataRetention',
+        'purposeClarity',
+        'securityMeasures',
+        'policyTransparency',
+      ].forEach(category => {
+        expect(result).toContain(category);
+      });
+    });
+  });
+
+  describe('complianceChecklist', () => {
+    const profile = ComplianceProfiles.get('gdpr');
+
+    it('should list every requirement of the profile with its reference', () => {
+      const result = PromptTemplates.complianceChecklist('test', profile);
+
+      expect(result).toContain(profile.law);
+      for (const requirement of profile.requirements) {
+        expect(result).toContain(`- ${requirement.id}: ${requirement.description} (${requirement.reference})`);
+      }
+      expect(result).toContain('"requirements"');
+      expect(result.trim().endsWith('GDPR Checklist JSON:')).toBe(true);
+    });
+
+    it('should keep the document inside tags after the security instruction', () => {
+      const result = PromptTemplates.complianceChecklist('We sell data.', profile);
+
+      expect(result).toContain('<document>\nWe sell data.\n</document>');
+      expect(result.indexOf('IMPORTANT SECURITY INSTRUCTION')).toBeLessThan(result.indexOf('<document>'));
+    });
+
+    it('should limit the judgement to the given part of the policy', () => {
+      expect(PromptTemplates.complianceChecklist('test', profile, { index: 1, total: 3 })).toContain(
+        'part 2 of 3',
+      );
+      expect(PromptTemplates.complianceChecklist('test', profile)).toContain('Judge the policy as a whole.');
+    });
+  });
+
   describe('Special Characters and Edge Cases', () => {
     it('should handle special characters in input text', () => {
       const testText = 'Text with <special> & "quotes" and \'apostrophes\'';
@@ -574,5 +717,27 @@ describe('PromptTemplates', () => {
         expect(securityIndex).toBeLessThan(documentIndex);
       });
     });
+
+    it('should explain the document structure markup to every analysis prompt', () => {
+      const methods = [
+        PromptTemplates.briefSummary,
+        PromptTemplates.detailedSummary,
+        PromptTemplates.privacyRisks,
+        PromptTemplates.keyTerms,
+        PromptTemplates.dataCollection,
+        PromptTemplates.dataSharing,
+        PromptTemplates.userRights,
+        PromptTemplates.exercisePrivacyRights,
+        PromptTemplates.fullAnalysis,
+        PromptTemplates.privacyScorecard,
+      ];
+
+      methods.forEach(method => {
+        const result = method('test');
+
+        expect(result).toContain('lines starting with "#" are section headings');
+        expect(result.indexOf('section headings')).toBeLessThan(result.indexOf('<document>\n'));
+      });
+    });
   });
 });
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ResponseCache } from './ResponseCache.js';
+import { PromptTemplates } from './PromptTemplates.js';
+import type { LLMConfig, ResponseCacheEntry } from '../../types';
+
+const settings: Pick<LLMConfig, 'provider' | 'model' | 'temperature'> = {
+  provider: 'ollama',
+  model: 'llama3',
+  temperature: 0.3,
+};
+
+describe('ResponseCache', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('createKey', () => {
+    it('should give the same text and settings the same key', async () => {
+      const key = await ResponseCache.createKey('We collect your email.', settings);
+
+      expect(key).toMatch(/^[0-9a-f]{64}$/);
+      expect(await ResponseCache.createKey('We collect your email.', { ...settings })).toBe(key);
+    });
+
+    it('should change the key when the text, model or temperature changes', async () => {
+      const key = await ResponseCache.createKey('We collect your email.', settings);
+
+      expect(await ResponseCache.createKey('We collect your phone number.', settings)).not.toBe(key);
+      expect(await ResponseCache.createKey('We collect your email.', { ...settings, model: 'mistral' })).not.toBe(key);
+      expect(await ResponseCache.createKey('We collect your email.', { ...settings, temperature: 0.7 })).not.toBe(key);
+    });
+
+    it('should change the key when the prompt version changes', async () => {
+      const key = await ResponseCache.createKey('We collect your email.', settings);
+      vi.spyOn(PromptTemplates, 'VERSION', 'get').mockReturnValue(PromptTemplates.VERSION + 1);
+
+      expect(await ResponseCache.createKey('We collect your email.', settings)).not.toBe(key);
+    });
+  });
+
+  describe('mergeEntry', () => {
+    const existing: ResponseCacheEntry = {
+      key: 'abc',
+      createdAt: Date.now() - 1000,
+      sections: { 'brief summary': 'Old brief', 'key terms': '{"keyTerms": []}' },
+      repairs: [{ section: 'key terms', attempts: 1, resolved: true }],
+    };
+
+    it('should add new sections to an existing entry', () => {
+      const merged = ResponseCache.mergeEntry('abc', existing, { 'key terms': '{"keyTerms": [1]}', 'take action': '{}' }, []);
+
+      expect(merged.createdAt).toBe(existing.createdAt);
+      expect(merged.sections).toEqual({
+        'brief summary': 'Old brief',
+        'key terms': '{"keyTerms": [1]}',
+        'take action': '{}',
+      });
+      expect(merged.repairs).toEqual([]);
+    });
+
+    it('should start over when the existing entry has expired', () => {
+      const expired = { ...existing, createdAt: Date.now() - 31 * 24 * 60 * 60 * 1000 };
+
+      const merged = ResponseCache.mergeEntry('abc', expired, { 'take action': '{}' }, []);
+
+      expect(merged.sections).toEqual({ 'take action': '{}' });
+      expect(merged.createdAt).toBeGreaterThan(expired.createdAt);
+    });
+  });
+});
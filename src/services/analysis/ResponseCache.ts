@@ -0,0 +1,231 @@
+/**
+ * @file Response Cache
+ * @description Caches section responses in IndexedDB, keyed on a hash of the
+ * analyzed text, the prompt version and the model settings
+ *
+ * Re-analyzing an unchanged policy with the same prompts and model reuses the
+ * cached responses instead of sending the same requests again. Changing the
+ * text, the prompt version, the provider, the model or the temperature gives
+ * a different key, so stale responses are never reused.
+ */
+
+import { RESPONSE_CACHE_CONFIG } from "../../utils/constants.js";
+import { PromptTemplates } from "./PromptTemplates.js";
+import type {
+  LLMConfig,
+  ResponseCacheEntry,
+  SectionRepair,
+} from "../../types/index.js";
+
+const RESPONSES_STORE = "responses";
+
+/**
+ * Service for the IndexedDB-backed response cache
+ */
+export class ResponseCache {
+  private static dbPromise: Promise<IDBDatabase> | null = null;
+
+  /**
+   * Checks whether responses can be cached
+   * @returns True if IndexedDB and SHA-256 hashing are available
+   */
+  static isSupported(): boolean {
+    return (
+      typeof indexedDB !== "undefined" &&
+      typeof crypto !== "undefined" &&
+      !!crypto.subtle
+    );
+  }
+
+  /**
+   * Builds the cache key of an analysis
+   * @param text - Preprocessed policy text sent to the model
+   * @param config - Model settings the responses depend on
+   * @returns Hex-encoded SHA-256 hash
+   */
+  static async createKey(
+    text: string,
+    config: Pick<LLMConfig, "provider" | "model" | "temperature">,
+  ): Promise<string> {
+    const material = JSON.stringify([
+      PromptTemplates.VERSION,
+      config.provider,
+      config.model,
+      config.temperature,
+      text,
+    ]);
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(material),
+    );
+    return Array.from(new Uint8Array(digest), (byte) =>
+      byte.toString(16).padStart(2, "0"),
+    ).join("");
+  }
+
+  /**
+   * Loads a cache entry
+   * @param key - Cache key from createKey()
+   * @returns The entry, or null if there is none or it has expired
+   */
+  static async get(key: string): Promise<ResponseCacheEntry | null> {
+    const db = await this.open();
+    const tx = db.transaction(RESPONSES_STORE, "readonly");
+    const entry = await this.request<ResponseCacheEntry | undefined>(
+      tx.objectStore(RESPONSES_STORE).get(key),
+    );
+    return entry && !this.isExpired(entry) ? entry : null;
+  }
+
+  /**
+   * Adds section responses to a cache entry, creating it if needed, and
+   * evicts the oldest entries beyond RESPONSE_CACHE_CONFIG.MAX_ENTRIES
+   * @param key - Cache key from createKey()
+   * @param sections - Raw responses by section name
+   * @param repairs - Schema repairs made to these responses
+   */
+  static async put(
+    key: string,
+    sections: Record<string, string>,
+    repairs: SectionRepair[],
+  ): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction(RESPONSES_STORE, "readwrite");
+    const store = tx.objectStore(RESPONSES_STORE);
+    const done = this.complete(tx);
+
+    const existing = await this.request<ResponseCacheEntry | undefined>(
+      store.get(key),
+    );
+    store.put(this.mergeEntry(key, existing, sections, repairs));
+
+    const count = await this.request(store.count());
+    let overLimit = count - RESPONSE_CACHE_CONFIG.MAX_ENTRIES;
+    if (overLimit > 0) {
+      await new Promise<void>((resolve, reject) => {
+        const cursorRequest = store.index("createdAt").openCursor();
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor || overLimit <= 0) {
+            resolve();
+            return;
+          }
+          if ((cursor.value as ResponseCacheEntry).key !== key) {
+            cursor.delete();
+            overLimit--;
+          }
+          cursor.continue();
+        };
+      });
+    }
+
+    await done;
+  }
+
+  /**
+   * Deletes all cached responses
+   */
+  static async clear(): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction(RESPONSES_STORE, "readwrite");
+    tx.objectStore(RESPONSES_STORE).clear();
+    await this.complete(tx);
+  }
+
+  /**
+   * Combines new section responses with an existing entry. New responses
+   * replace cached ones for the same section; an expired entry starts over.
+   * @param key - Cache key
+   * @param existing - Stored entry, if any
+   * @param sections - New responses by section name
+   * @param repairs - Schema repairs made to the new responses
+   * @returns Entry to store
+   */
+  static mergeEntry(
+    key: string,
+    existing: ResponseCacheEntry | undefined,
+    sections: Record<string, string>,
+    repairs: SectionRepair[],
+  ): ResponseCacheEntry {
+    if (!existing || this.isExpired(existing)) {
+      return { key, createdAt: Date.now(), sections, repairs };
+    }
+    return {
+      key,
+      createdAt: existing.createdAt,
+      sections: { ...existing.sections, ...sections },
+      repairs: [
+        ...existing.repairs.filter((repair) => !(repair.section in sections)),
+        ...repairs,
+      ],
+    };
+  }
+
+  /**
+   * @private
+   */
+  private static isExpired(entry: ResponseCacheEntry): boolean {
+    return Date.now() - entry.createdAt > RESPONSE_CACHE_CONFIG.MAX_AGE_MS;
+  }
+
+  /**
+   * Opens (and on first use creates) the cache database
+   * @private
+   */
+  private static open(): Promise<IDBDatabase> {
+    if (!this.isSupported()) {
+      return Promise.reject(
+        new Error("IndexedDB is not available in this browser"),
+      );
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise<IDBDatabase>((resolve, reject) => {
+        const request = indexedDB.open(
+          RESPONSE_CACHE_CONFIG.DB_NAME,
+          RESPONSE_CACHE_CONFIG.DB_VERSION,
+        );
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(RESPONSES_STORE)) {
+            const responses = db.createObjectStore(RESPONSES_STORE, {
+              keyPath: "key",
+            });
+            responses.createIndex("createdAt", "createdAt");
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Wraps an IDBRequest in a promise
+   * @private
+   */
+  private static request<T>(request: IDBRequest<T>): Promise<T> {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Resolves when a transaction commits
+   * @private
+   */
+  private static complete(tx: IDBTransaction): Promise<void> {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
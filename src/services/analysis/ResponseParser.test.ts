@@ -1,5 +1,7 @@
 import { describe, it, expect } from 'vitest';
 import { ResponseParser } from './ResponseParser.js';
+import { RESPONSE_SCHEMAS } from './ResponseSchemas.js';
+import { ComplianceProfiles } from './ComplianceProfiles.js';
 
 describe('ResponseParser', () => {
   describe('parsePrivacyRights', () => {
@@ -468,4 +470,301 @@ describe('ResponseParser', () => {
       expect(result!.links).toHaveLength(1);
     });
   });
+
+  describe('parseChunkExtraction', () => {
+    const validChunk = {
+      summary: '  Describes data sharing with advertisers.  ',
+      risks: [
+        { title: 'Ad sharing', description: 'Data shared with ad networks', severity: 'severe' },
+        { title: 'Missing description', severity: 'high' },
+      ],
+      keyTerms: [{ term: 'Affiliates', definition: 'Companies under common control' }],
+      scorecardEvidence: {
+        thirdPartySharing: ['Shares data with advertisers', '', 42],
+        dataRetention: 'not an array',
+      },
+      privacyRights: {
+        links: [{ label: 'Opt out', url: 'https://example.com/opt-out', purpose: 'opt-out' }],
+        contacts: [],
+        procedures: [],
+        timeframes: [],
+      },
+    };
+
+    it('should parse and normalize all sections of a chunk', () => {
+      const result = ResponseParser.parseChunkExtraction(JSON.stringify(validChunk));
+
+      expect(result).not.toBeNull();
+      expect(result!.summary).toBe('Describes data sharing with advertisers.');
+      expect(result!.risks).toHaveLength(1);
+      expect(result!.risks[0].severity).toBe('critical');
+      expect(result!.risks[0].id).toBeTruthy();
+      expect(result!.keyTerms).toHaveLength(1);
+      expect(result!.privacyRights.links).toHaveLength(1);
+      expect(result!.privacyRights.hasActionableInfo).toBe(true);
+    });
+
+    it('should fill every scorecard category with an evidence array', () => {
+      const result = ResponseParser.parseChunkExtraction(JSON.stringify(validChunk));
+
+      expect(result!.scorecardEvidence.thirdPartySharing).toEqual([
+        'Shares data with advertisers',
+      ]);
+      expect(result!.scorecardEvidence.dataRetention).toEqual([]);
+      expect(result!.scorecardEvidence.policyTransparency).toEqual([]);
+    });
+
+    it('should default missing sections to empty values', () => {
+      const result = ResponseParser.parseChunkExtraction('{"summary": "Only a summary"}');
+
+      expect(result).not.toBeNull();
+      expect(result!.risks).toEqual([]);
+      expect(result!.keyTerms).toEqual([]);
+      expect(result!.privacyRights.hasActionableInfo).toBe(false);
+    });
+
+    it('should extract JSON from markdown code blocks', () => {
+      const response = '```json\n' + JSON.stringify(validChunk) + '\n```';
+
+      const result = ResponseParser.parseChunkExtraction(response);
+
+      expect(result).not.toBeNull();
+      expect(result!.risks).toHaveLength(1);
+    });
+
+    it('should return null when no JSON object found', () => {
+      expect(ResponseParser.parseChunkExtraction('no findings here')).toBeNull();
+    });
+  });
+
+  describe('parseRisks and parseKeyTerms', () => {
+    it('should read the list from its wrapping object', () => {
+      const risks = ResponseParser.parseRisks(
+        'Here you go: {"risks": [{"title": "Ad sharing", "description": "Shared", "severity": "high"}]}'
+      );
+      const terms = ResponseParser.parseKeyTerms(
+        '```json\n{"keyTerms": [{"term": "Affiliates", "definition": "Related companies"}]}\n```'
+      );
+
+      expect(risks.map(risk => risk.title)).toEqual(['Ad sharing']);
+      expect(terms.map(term => term.term)).toEqual(['Affiliates']);
+    });
+
+    it('should still accept a bare JSON array', () => {
+      const risks = ResponseParser.parseRisks(
+        '[{"title": "Ad sharing", "description": "Shared", "severity": "high"}]'
+      );
+
+      expect(risks).toHaveLength(1);
+    });
+  });
+
+  describe('parseComplianceChecklist', () => {
+    const profile = ComplianceProfiles.get('pipeda');
+
+    it('should return a check per requirement in profile order', () => {
+      const checklist = ResponseParser.parseComplianceChecklist(
+        '{"requirements": [' +
+          '{"id": "safeguards", "status": "Partial", "evidence": "Mentions reasonable security.", "quotes": ["reasonable measures"]},' +
+          '{"id": "accountability", "status": "present", "evidence": "Names a privacy officer.", "quotes": []},' +
+          '{"id": "made-up", "status": "present", "evidence": "Not a requirement."}' +
+          ']}',
+        profile,
+      );
+
+      expect(checklist!.profile).toBe('pipeda');
+      expect(checklist!.checks.map(check => check.requirementId)).toEqual(
+        profile.requirements.map(requirement => requirement.id),
+      );
+      const safeguards = checklist!.checks.find(check => check.requirementId === 'safeguards')!;
+      expect(safeguards).toMatchObject({
+        status: 'partial',
+        evidence: 'Mentions reasonable security.',
+        citations: [{ quote: 'reasonable measures', verified: false }],
+      });
+      expect(safeguards.label).toBe(profile.requirements.find(r => r.id === 'safeguards')!.label);
+    });
+
+    it('should report unassessed requirements and unknown statuses as missing', () => {
+      const checklist = ResponseParser.parseComplianceChecklist(
+        '{"requirements": [{"id": "accountability", "status": "compliant", "evidence": "Unclear."}]}',
+        profile,
+      );
+
+      expect(checklist!.checks.find(check => check.requirementId === 'accountability')).toMatchObject({
+        status: 'missing',
+        evidence: 'Unclear.',
+      });
+      expect(checklist!.checks.find(check => check.requirementId === 'safeguards')).toMatchObject({
+        status: 'missing',
+        evidence: 'Not assessed.',
+      });
+    });
+
+    it('should return null for a response without a requirements list', () => {
+      expect(ResponseParser.parseComplianceChecklist('I cannot assess this policy.', profile)).toBeNull();
+    });
+  });
+
+  describe('parseRiskMatches', () => {
+    it('should keep groups of two or more labels', () => {
+      expect(
+        ResponseParser.parseRiskMatches('```json\n{"matches": [[" A1 ", "B2"], ["C1"], "A2", ["B1", 3, "C3"]]}\n```'),
+      ).toEqual([
+        ['A1', 'B2'],
+        ['B1', 'C3'],
+      ]);
+      expect(ResponseParser.parseRiskMatches('No matches here')).toEqual([]);
+    });
+  });
+
+  describe('parseDataFlows', () => {
+    it('should normalize flows, recipients and recipient types', () => {
+      const flows = ResponseParser.parseDataFlows(
+        '```json\n{"dataFlows": [' +
+          '{"category": " Location data ", "sources": ["Your device", ""], "purposes": ["Ads"], ' +
+          '"recipients": [{"name": "Google", "type": "Analytics"}, {"name": "Ad partners", "type": "ad network"}, "Data brokers", {"type": "other"}], ' +
+          '"legalBases": ["Consent"], "retention": "13 months", "quotes": ["We share location"]},' +
+          '{"sources": ["You"]}' +
+          ']}\n```'
+      );
+
+      expect(flows).toHaveLength(1);
+      expect(flows[0]).toMatchObject({
+        category: 'Location data',
+        sources: ['Your device'],
+        purposes: ['Ads'],
+        recipients: [
+          { name: 'Google', type: 'analytics' },
+          { name: 'Ad partners', type: 'other' },
+          { name: 'Data brokers', type: 'other' },
+        ],
+        legalBases: ['Consent'],
+        retention: '13 months',
+        citations: [{ quote: 'We share location', verified: false }],
+      });
+      expect(flows[0].id).toBeTruthy();
+    });
+
+    it('should default missing lists and retention to empty values', () => {
+      const [flow] = ResponseParser.normalizeDataFlows([{ category: 'Email address', retention: 30 }]);
+
+      expect(flow).toMatchObject({ sources: [], purposes: [], recipients: [], legalBases: [], retention: '' });
+      expect(flow.citations).toBeUndefined();
+    });
+
+    it('should return an empty list for a response without data flows', () => {
+      expect(ResponseParser.parseDataFlows('The policy does not say.')).toEqual([]);
+      expect(ResponseParser.normalizeDataFlows('not a list')).toEqual([]);
+    });
+
+    it('should read data flows from chunk extractions', () => {
+      const result = ResponseParser.parseChunkExtraction(
+        JSON.stringify({ summary: 'Sharing', dataFlows: [{ category: 'Contacts', recipients: ['Affiliates'] }] })
+      );
+
+      expect(result!.dataFlows.map(flow => flow.category)).toEqual(['Contacts']);
+      expect(ResponseParser.parseChunkExtraction('{"summary": "Only a summary"}')!.dataFlows).toEqual([]);
+    });
+  });
+
+  describe('validateResponse', () => {
+    const schema = RESPONSE_SCHEMAS.keyTerms.schema;
+
+    it('should accept a response that matches the schema', () => {
+      const response = '```json\n{"keyTerms": [{"term": "Affiliates", "definition": "Related companies", "location": "Sharing", "quotes": []}]}\n```';
+
+      expect(ResponseParser.validateResponse(response, schema)).toEqual([]);
+    });
+
+    it('should report where the response differs from the schema', () => {
+      const response = '{"keyTerms": [{"term": "Affiliates", "definition": 42, "location": "Sharing"}]}';
+
+      expect(ResponseParser.validateResponse(response, schema)).toEqual([
+        '$.keyTerms[0]: missing required property "quotes"',
+        '$.keyTerms[0].definition: expected string, got number',
+      ]);
+    });
+
+    it('should report responses that are not JSON', () => {
+      expect(ResponseParser.validateResponse('Sorry, I cannot do that.', schema)).toEqual([
+        ResponseParser.INVALID_JSON_ERROR,
+      ]);
+    });
+  });
+
+  describe('scorecard weights', () => {
+    const raw = {
+      thirdPartySharing: { score: 2, weight: 90, summary: 'Sold to brokers' },
+      userRights: { score: 10, summary: 'Full rights' },
+    };
+
+    it('should scale relative weights to percentages', () => {
+      const weights = ResponseParser.normalizeWeights({ thirdPartySharing: 3, userRights: 1, dataCollection: 0 });
+
+      expect(weights.thirdPartySharing).toBe(Math.round((3 / 48) * 100));
+      expect(weights.dataCollection).toBe(0);
+      expect(weights.dataRetention).toBe(Math.round((14 / 48) * 100));
+    });
+
+    it('should ignore the weights the model returns and apply the given ones', () => {
+      const standard = ResponseParser.normalizeScorecard(raw)!;
+      const weighted = ResponseParser.normalizeScorecard(raw, { thirdPartySharing: 0, userRights: 100 })!;
+
+      expect(standard.thirdPartySharing.weight).toBe(20);
+      expect(weighted.thirdPartySharing.weight).toBe(0);
+      expect(weighted.overallScore).toBeGreaterThan(standard.overallScore!);
+      expect(weighted.overallGrade).toBe(ResponseParser.scoreToGrade(weighted.overallScore!));
+    });
+
+    it('should score a scorecard with the weights stored on its categories', () => {
+      expect(
+        ResponseParser.scoreScorecard({
+          thirdPartySharing: { score: 2, weight: 75, summary: '' },
+          userRights: { score: 10, weight: 25, summary: '' },
+        }),
+      ).toBe(40);
+      expect(ResponseParser.scoreScorecard({})).toBeNull();
+    });
+  });
+
+  describe('normalizeCitations', () => {
+    it('should read the quotes of risks, key terms and scorecard categories', () => {
+      const [risk] = ResponseParser.normalizeRisks([
+        { title: 'Ad sharing', description: 'Shared', severity: 'high', quotes: ['  We share data.  ', '', 7] },
+      ]);
+      const [term] = ResponseParser.normalizeKeyTerms([
+        { term: 'Affiliates', definition: 'Related companies', quotes: ['Our affiliates'] },
+      ]);
+      const scorecard = ResponseParser.normalizeScorecard({
+        userRights: { score: 6, summary: 'Basic rights', quotes: ['You may request deletion.'] },
+      });
+
+      expect(risk.citations).toEqual([{ quote: 'We share data.', verified: false }]);
+      expect(term.citations).toEqual([{ quote: 'Our affiliates', verified: false }]);
+      expect(scorecard!.userRights.citations).toEqual([
+        { quote: 'You may request deletion.', verified: false },
+      ]);
+    });
+
+    it('should keep saved verified flags but drop offsets', () => {
+      expect(
+        ResponseParser.normalizeCitations([{ quote: 'We share data.', verified: true, start: 4, end: 18 }]),
+      ).toEqual([{ quote: 'We share data.', verified: true }]);
+    });
+
+    it('should cap the number and length of quotes', () => {
+      const citations = ResponseParser.normalizeCitations(['a', 'b', 'c', 'd', 'x'.repeat(600)]);
+
+      expect(citations).toHaveLength(3);
+      expect(ResponseParser.normalizeCitations(['x'.repeat(600)])![0].quote).toHaveLength(500);
+    });
+
+    it('should leave findings without quotes uncited', () => {
+      const [risk] = ResponseParser.normalizeRisks([{ title: 'Ad sharing', description: 'Shared', severity: 'high' }]);
+
+      expect(ResponseParser.normalizeCitations('not an array')).toBeUndefined();
+      expect(risk).not.toHaveProperty('citations');
+    });
+  });
 });
@@ -4,7 +4,11 @@
  */
 
 import { generateId } from "../../utils/helpers.js";
+import { SCORECARD_WEIGHTS } from "../../utils/constants.js";
+import { SchemaValidator } from "./SchemaValidator.js";
 import type {
+  Citation,
+  JsonSchema,
   PrivacyRisk,
   KeyTerm,
   RiskLevel,
@@ -14,6 +18,15 @@ import type {
   PrivacyLink,
   PrivacyContact,
   PrivacyProcedure,
+  ChunkExtraction,
+  ComplianceChecklist,
+  ComplianceProfile,
+  ComplianceStatus,
+  DataFlow,
+  DataRecipient,
+  DataRecipientType,
+  ScorecardCategoryKey,
+  ScorecardEvidence,
 } from "../../types";
 
 export class ResponseParser {
@@ -157,6 +170,41 @@ export class ResponseParser {
     return null;
   }
 
+  /**
+   * Extracts a list from a response that wraps it in an object under `key`
+   * (the structure the prompts ask for), falling back to a bare JSON array
+   * @param text - Response text (already cleaned of markdown code blocks)
+   * @param key - Property holding the list
+   * @returns Parsed list or null if extraction fails
+   */
+  private static extractJsonList<T>(text: string, key: string): T[] | null {
+    const wrapper = this.extractJsonObject<Record<string, unknown>>(text);
+    if (wrapper && Array.isArray(wrapper[key])) {
+      return wrapper[key] as T[];
+    }
+    return this.extractJsonArray<T>(text);
+  }
+
+  /**
+   * Validation error reported for a response that contains no JSON
+   */
+  static readonly INVALID_JSON_ERROR = "$: response is not valid JSON";
+
+  /**
+   * Validates a structured response against its JSON Schema
+   * @param responseText - Raw LLM response
+   * @param schema - Schema the response must match
+   * @returns Validation errors (empty when the response is valid)
+   */
+  static validateResponse(responseText: string, schema: JsonSchema): string[] {
+    const cleanedText = this.cleanMarkdownCodeBlocks(responseText);
+    const parsed = this.extractJsonObject<unknown>(cleanedText);
+    if (parsed === null) {
+      return [this.INVALID_JSON_ERROR];
+    }
+    return SchemaValidator.validate(parsed, schema);
+  }
+
   /**
    * Cleans response text by removing markdown code blocks
    * @param text - Raw response text
@@ -186,34 +234,15 @@ export class ResponseParser {
    */
   static parseRisks(responseText: string): PrivacyRisk[] {
     try {
-      // Clean markdown and robustly extract JSON array from response
+      // Clean markdown and robustly extract the list from the response
       const cleanedText = this.cleanMarkdownCodeBlocks(responseText);
-      const risks = this.extractJsonArray<any>(cleanedText);
+      const risks = this.extractJsonList<any>(cleanedText, "risks");
 
       if (!risks) {
         return [];
       }
 
-      // Validate and transform (with array length limit)
-      return risks
-        .slice(0, this.MAX_ARRAY_ITEMS)
-        .filter((risk: any) => risk.title && risk.description && risk.severity)
-        .map((risk: any) => ({
-          id: generateId(),
-          title: String(risk.title).trim().slice(0, this.MAX_FIELD_LENGTH),
-          description: String(risk.description)
-            .trim()
-            .slice(0, this.MAX_FIELD_LENGTH),
-          severity: this.normalizeSeverity(risk.severity),
-          location: (risk.location?.trim() || "General").slice(
-            0,
-            this.MAX_FIELD_LENGTH,
-          ),
-          recommendation: (risk.recommendation?.trim() || "").slice(
-            0,
-            this.MAX_FIELD_LENGTH,
-          ),
-        }));
+      return this.normalizeRisks(risks);
     } catch (error) {
       console.error("Failed to parse risks:", error);
       return [];
@@ -227,40 +256,127 @@ export class ResponseParser {
    */
   static parseKeyTerms(responseText: string): KeyTerm[] {
     try {
-      // Clean markdown and robustly extract JSON array from response
+      // Clean markdown and robustly extract the list from the response
       const cleanedText = this.cleanMarkdownCodeBlocks(responseText);
-      const terms = this.extractJsonArray<any>(cleanedText);
+      const terms = this.extractJsonList<any>(cleanedText, "keyTerms");
 
       if (!terms) {
         return [];
       }
 
-      // Validate and transform (with array length limit)
-      return terms
-        .slice(0, this.MAX_ARRAY_ITEMS)
-        .filter((term: any) => term.term && term.definition)
-        .map((term: any) => ({
-          term: String(term.term).trim().slice(0, this.MAX_FIELD_LENGTH),
-          definition: String(term.definition)
-            .trim()
-            .slice(0, this.MAX_FIELD_LENGTH),
-          location: (term.location?.trim() || "General").slice(
-            0,
-            this.MAX_FIELD_LENGTH,
-          ),
-        }));
+      return this.normalizeKeyTerms(terms);
     } catch (error) {
       console.error("Failed to parse key terms:", error);
       return [];
     }
   }
 
+  /**
+   * Validates and normalizes raw risk objects (with array length limit)
+   * @param risks - Raw risk objects from a parsed response
+   * @returns Normalized risks
+   */
+  static normalizeRisks(risks: any[]): PrivacyRisk[] {
+    return risks
+      .slice(0, this.MAX_ARRAY_ITEMS)
+      .filter(
+        (risk: any) => risk && risk.title && risk.description && risk.severity,
+      )
+      .map((risk: any) => ({
+        id: generateId(),
+        title: String(risk.title).trim().slice(0, this.MAX_FIELD_LENGTH),
+        description: String(risk.description)
+          .trim()
+          .slice(0, this.MAX_FIELD_LENGTH),
+        severity: this.normalizeSeverity(String(risk.severity)),
+        location: (String(risk.location ?? "").trim() || "General").slice(
+          0,
+          this.MAX_FIELD_LENGTH,
+        ),
+        recommendation: String(risk.recommendation ?? "")
+          .trim()
+          .slice(0, this.MAX_FIELD_LENGTH),
+        ...this.citationsField(risk),
+      }));
+  }
+
+  /**
+   * Validates and normalizes raw key term objects (with array length limit)
+   * @param terms - Raw key term objects from a parsed response
+   * @returns Normalized key terms
+   */
+  static normalizeKeyTerms(terms: any[]): KeyTerm[] {
+    return terms
+      .slice(0, this.MAX_ARRAY_ITEMS)
+      .filter((term: any) => term && term.term && term.definition)
+      .map((term: any) => ({
+        term: String(term.term).trim().slice(0, this.MAX_FIELD_LENGTH),
+        definition: String(term.definition)
+          .trim()
+          .slice(0, this.MAX_FIELD_LENGTH),
+        location: (String(term.location ?? "").trim() || "General").slice(
+          0,
+          this.MAX_FIELD_LENGTH,
+        ),
+        ...this.citationsField(term),
+      }));
+  }
+
+  /**
+   * Maximum citations kept per finding, and maximum quote length
+   */
+  private static readonly MAX_CITATIONS = 3;
+  private static readonly MAX_QUOTE_LENGTH = 500;
+
+  /**
+   * Validates and normalizes raw citations. Accepts the prompt's `quotes`
+   * strings as well as saved `{ quote, verified }` objects; offsets are
+   * dropped because they are only trusted from CitationVerifier.
+   * @param raw - Raw quotes or citations
+   * @returns Normalized citations, or undefined if none were given
+   */
+  static normalizeCitations(raw: unknown): Citation[] | undefined {
+    if (!Array.isArray(raw)) return undefined;
+
+    const citations: Citation[] = [];
+    for (const item of raw) {
+      const quote = typeof item === "string" ? item : item?.quote;
+      if (typeof quote !== "string" || !quote.trim()) continue;
+      citations.push({
+        quote: quote.trim().slice(0, this.MAX_QUOTE_LENGTH),
+        verified: item?.verified === true,
+      });
+      if (citations.length >= this.MAX_CITATIONS) break;
+    }
+    return citations;
+  }
+
+  /**
+   * Builds the optional citations field of a raw finding
+   * @private
+   */
+  private static citationsField(raw: any): { citations?: Citation[] } {
+    const citations = this.normalizeCitations(raw.citations ?? raw.quotes);
+    return citations ? { citations } : {};
+  }
+
+  /**
+   * 7-category scorecard system, in default weight order
+   */
+  private static readonly SCORECARD_KEYS = Object.keys(
+    SCORECARD_WEIGHTS,
+  ) as ScorecardCategoryKey[];
+
   /**
    * Parse privacy scorecard JSON from LLM response
    * @param responseText - Raw LLM response
+   * @param weights - Category weights (defaults to SCORECARD_WEIGHTS)
    * @returns Parsed scorecard or null
    */
-  static parseScorecard(responseText: string): PrivacyScorecard | null {
+  static parseScorecard(
+    responseText: string,
+    weights?: Partial<Record<ScorecardCategoryKey, number>>,
+  ): PrivacyScorecard | null {
     try {
       // Clean the response - remove markdown code blocks if present
       const cleanedText = this.cleanMarkdownCodeBlocks(responseText);
@@ -273,63 +389,77 @@ export class ResponseParser {
         return null;
       }
 
-      // New 7-category system with weights (total = 100%)
-      const categories: Array<{
-        key: keyof Omit<
-          PrivacyScorecard,
-          "topConcerns" | "positiveAspects" | "overallScore" | "overallGrade"
-        >;
-        weight: number;
-      }> = [
-        { key: "thirdPartySharing", weight: 20 },
-        { key: "userRights", weight: 18 },
-        { key: "dataCollection", weight: 18 },
-        { key: "dataRetention", weight: 14 },
-        { key: "purposeClarity", weight: 12 },
-        { key: "securityMeasures", weight: 10 },
-        { key: "policyTransparency", weight: 8 },
-      ];
-
-      // Validate and normalize each category
-      for (const { key, weight } of categories) {
-        if (!scorecard[key]) {
-          scorecard[key] = { score: 5, weight, summary: "Unable to assess" };
-        }
+      return this.normalizeScorecard(scorecard, weights);
+    } catch (error) {
+      console.error("Failed to parse scorecard:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Validates and normalizes a raw scorecard object: clamps scores, applies
+   * the category weights and recomputes the overall score and grade. Weights
+   * the model puts in its response are ignored.
+   * @param raw - Raw scorecard object from a parsed response or import
+   * @param weights - Category weights (defaults to SCORECARD_WEIGHTS)
+   * @returns Normalized scorecard or null if the input is not an object
+   */
+  static normalizeScorecard(
+    raw: any,
+    weights?: Partial<Record<ScorecardCategoryKey, number>>,
+  ): PrivacyScorecard | null {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      return null;
+    }
+
+    const scorecard = {} as PrivacyScorecard;
+    const categoryWeights = this.normalizeWeights(weights);
+
+    // Validate and normalize each category
+    for (const key of this.SCORECARD_KEYS) {
+      const category = raw[key];
+      const weight = categoryWeights[key];
+      if (!category || typeof category !== "object") {
+        scorecard[key] = { score: 5, weight, summary: "Unable to assess" };
+        continue;
+      }
+      scorecard[key] = {
         // Ensure score is within 1-10 bounds
-        scorecard[key].score = Math.max(
-          1,
-          Math.min(10, Number(scorecard[key].score) || 5),
-        );
+        score: Math.max(1, Math.min(10, Number(category.score) || 5)),
         // Ensure weight is set correctly
-        scorecard[key].weight = weight;
-      }
+        weight,
+        summary:
+          typeof category.summary === "string"
+            ? category.summary.trim().slice(0, this.MAX_FIELD_LENGTH)
+            : "",
+        ...this.citationsField(category),
+      };
+    }
 
-      // Calculate weighted overall score (0-100)
-      let totalWeightedScore = 0;
-      for (const { key } of categories) {
-        const catData = scorecard[key];
-        // Each category contributes: (score/10) * weight
-        // e.g., score of 8 with weight 20 = 0.8 * 20 = 16 points
-        totalWeightedScore += (catData.score / 10) * catData.weight;
-      }
+    scorecard.overallScore = this.scoreScorecard(scorecard) ?? 0;
 
-      // Round to nearest integer for overall score (0-100)
-      scorecard.overallScore = Math.round(totalWeightedScore);
+    // Convert overall score to traditional letter grade
+    scorecard.overallGrade = ResponseParser.scoreToGrade(
+      scorecard.overallScore,
+    );
 
-      // Convert overall score to traditional letter grade
-      scorecard.overallGrade = ResponseParser.scoreToGrade(
-        scorecard.overallScore,
-      );
+    // Ensure arrays exist
+    scorecard.topConcerns = this.normalizeStringList(raw.topConcerns);
+    scorecard.positiveAspects = this.normalizeStringList(raw.positiveAspects);
 
-      // Ensure arrays exist
-      scorecard.topConcerns = scorecard.topConcerns || [];
-      scorecard.positiveAspects = scorecard.positiveAspects || [];
+    return scorecard;
+  }
 
-      return scorecard;
-    } catch (error) {
-      console.error("Failed to parse scorecard:", error);
-      return null;
-    }
+  /**
+   * Keeps the non-empty strings of a raw array (with length limits)
+   * @private
+   */
+  private static normalizeStringList(items: unknown): string[] {
+    if (!Array.isArray(items)) return [];
+    return items
+      .slice(0, this.MAX_ARRAY_ITEMS)
+      .filter((item): item is string => typeof item === "string" && !!item.trim())
+      .map((item) => item.trim().slice(0, this.MAX_FIELD_LENGTH));
   }
 
   /**
@@ -398,139 +528,499 @@ export class ResponseParser {
         return null;
       }
 
-      // Validate and normalize links (with length limits)
-      const links: PrivacyLink[] = [];
-      if (Array.isArray(parsed.links)) {
-        for (const link of parsed.links.slice(
-          0,
-          this.PRIVACY_RIGHTS_LIMITS.MAX_ITEMS_PER_ARRAY,
-        )) {
-          if (link && typeof link.url === "string" && link.url.trim()) {
-            // Only allow http/https URLs within length limit
-            const url = link.url
-              .trim()
-              .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_URL_LENGTH);
-            if (url.startsWith("http://") || url.startsWith("https://")) {
-              links.push({
-                label: String(link.label || "Privacy Link")
-                  .trim()
-                  .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_LABEL_LENGTH),
-                url: url,
-                purpose: this.VALID_LINK_PURPOSES.includes(link.purpose)
-                  ? link.purpose
-                  : "other",
-              });
-            }
-          }
+      return this.normalizePrivacyRights(parsed);
+    } catch (error) {
+      console.error("Failed to parse privacy rights:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Valid compliance statuses
+   */
+  private static readonly VALID_COMPLIANCE_STATUSES: readonly ComplianceStatus[] =
+    ["present", "partial", "missing"];
+
+  /**
+   * Parses a compliance checklist from LLM response
+   * @param responseText - Raw LLM response
+   * @param profile - Jurisdiction profile the checklist was requested for
+   * @returns Checklist with a check per requirement, or null if parsing fails
+   */
+  static parseComplianceChecklist(
+    responseText: string,
+    profile: ComplianceProfile,
+  ): ComplianceChecklist | null {
+    try {
+      const cleanedText = this.cleanMarkdownCodeBlocks(responseText);
+      const requirements = this.extractJsonList<any>(
+        cleanedText,
+        "requirements",
+      );
+
+      if (!requirements) {
+        console.error("No valid JSON found in compliance checklist response");
+        return null;
+      }
+
+      return this.normalizeComplianceChecklist(requirements, profile);
+    } catch (error) {
+      console.error("Failed to parse compliance checklist:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Validates raw checks against a profile. Accepts the prompt's `id` and
+   * `quotes` fields as well as saved `requirementId` and `citations`; labels
+   * and references always come from the profile. Requirements without a
+   * check are reported as missing.
+   * @param checks - Raw checks
+   * @param profile - Jurisdiction profile
+   * @returns Checklist with a check per requirement, in profile order
+   */
+  static normalizeComplianceChecklist(
+    checks: unknown,
+    profile: ComplianceProfile,
+  ): ComplianceChecklist {
+    const byId = new Map<string, any>();
+    if (Array.isArray(checks)) {
+      for (const check of checks.slice(0, this.MAX_ARRAY_ITEMS)) {
+        const id = check?.requirementId ?? check?.id;
+        if (typeof id === "string" && !byId.has(id.trim())) {
+          byId.set(id.trim(), check);
         }
       }
+    }
 
-      // Validate and normalize contacts (with length limits)
-      const contacts: PrivacyContact[] = [];
-      if (Array.isArray(parsed.contacts)) {
-        for (const contact of parsed.contacts.slice(
-          0,
-          this.PRIVACY_RIGHTS_LIMITS.MAX_ITEMS_PER_ARRAY,
-        )) {
-          if (
-            contact &&
-            typeof contact.value === "string" &&
-            contact.value.trim()
-          ) {
-            contacts.push({
-              type: this.VALID_CONTACT_TYPES.includes(contact.type)
-                ? contact.type
-                : "email",
-              value: String(contact.value)
+    return {
+      profile: profile.id,
+      checks: profile.requirements.map((requirement) => {
+        const check = byId.get(requirement.id);
+        const status = String(check?.status ?? "").toLowerCase();
+        return {
+          requirementId: requirement.id,
+          label: requirement.label,
+          reference: requirement.reference,
+          status: this.VALID_COMPLIANCE_STATUSES.includes(
+            status as ComplianceStatus,
+          )
+            ? (status as ComplianceStatus)
+            : "missing",
+          evidence: check
+            ? String(check.evidence ?? "")
                 .trim()
-                .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_VALUE_LENGTH),
-              purpose: String(contact.purpose || "Privacy inquiries")
+                .slice(0, this.MAX_FIELD_LENGTH)
+            : "Not assessed.",
+          ...(check && this.citationsField(check)),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Valid data recipient types
+   */
+  private static readonly VALID_RECIPIENT_TYPES: readonly DataRecipientType[] =
+    [
+      "service-provider",
+      "advertiser",
+      "analytics",
+      "affiliate",
+      "data-broker",
+      "social-media",
+      "government",
+      "business-transfer",
+      "public",
+      "other",
+    ];
+
+  /**
+   * Maximum sources, purposes, recipients or legal bases kept per data flow
+   */
+  private static readonly MAX_FLOW_ITEMS = 20;
+
+  /**
+   * Parses data flows from LLM response
+   * @param responseText - LLM response
+   * @returns Parsed data flows
+   */
+  static parseDataFlows(responseText: string): DataFlow[] {
+    try {
+      const cleanedText = this.cleanMarkdownCodeBlocks(responseText);
+      const flows = this.extractJsonList<any>(cleanedText, "dataFlows");
+
+      if (!flows) {
+        return [];
+      }
+
+      return this.normalizeDataFlows(flows);
+    } catch (error) {
+      console.error("Failed to parse data flows:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Parses the groups of risk labels a model judged to describe the same
+   * risk (see PromptTemplates.riskMatching)
+   * @param responseText - LLM response
+   * @returns Groups of two or more labels
+   */
+  static parseRiskMatches(responseText: string): string[][] {
+    try {
+      const cleanedText = this.cleanMarkdownCodeBlocks(responseText);
+      const matches = this.extractJsonList<unknown>(cleanedText, "matches");
+
+      return (matches ?? [])
+        .slice(0, this.MAX_ARRAY_ITEMS)
+        .filter((group): group is unknown[] => Array.isArray(group))
+        .map((group) =>
+          group
+            .filter((label): label is string => typeof label === "string")
+            .map((label) => label.trim().slice(0, 10)),
+        )
+        .filter((group) => group.length > 1);
+    } catch (error) {
+      console.error("Failed to parse risk matches:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Validates and normalizes raw data flow objects (with length limits).
+   * Recipients may be `{ name, type }` objects or plain names; unknown
+   * recipient types become "other".
+   * @param flows - Raw data flow objects
+   * @returns Normalized data flows
+   */
+  static normalizeDataFlows(flows: unknown): DataFlow[] {
+    if (!Array.isArray(flows)) return [];
+
+    const list = (items: unknown) =>
+      this.normalizeStringList(items).slice(0, this.MAX_FLOW_ITEMS);
+
+    return flows
+      .slice(0, this.MAX_ARRAY_ITEMS)
+      .filter(
+        (flow: any) =>
+          flow && typeof flow.category === "string" && flow.category.trim(),
+      )
+      .map((flow: any) => {
+        const recipients: DataRecipient[] = [];
+        if (Array.isArray(flow.recipients)) {
+          for (const raw of flow.recipients) {
+            const name = typeof raw === "string" ? raw : raw?.name;
+            if (typeof name !== "string" || !name.trim()) continue;
+            const type = String(raw?.type ?? "")
+              .trim()
+              .toLowerCase()
+              .replace(/[\s_]+/g, "-");
+            recipients.push({
+              name: name
                 .trim()
                 .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_LABEL_LENGTH),
+              type: this.VALID_RECIPIENT_TYPES.includes(
+                type as DataRecipientType,
+              )
+                ? (type as DataRecipientType)
+                : "other",
             });
+            if (recipients.length >= this.MAX_FLOW_ITEMS) break;
           }
         }
+
+        return {
+          id: generateId(),
+          category: flow.category
+            .trim()
+            .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_LABEL_LENGTH),
+          sources: list(flow.sources),
+          purposes: list(flow.purposes),
+          recipients,
+          legalBases: list(flow.legalBases),
+          retention:
+            typeof flow.retention === "string"
+              ? flow.retention.trim().slice(0, this.MAX_FIELD_LENGTH)
+              : "",
+          ...this.citationsField(flow),
+        };
+      });
+  }
+
+  /**
+   * Maximum evidence statements kept per scorecard category per chunk
+   */
+  private static readonly MAX_EVIDENCE_ITEMS = 10;
+
+  /**
+   * Parse per-chunk findings from a map-reduce extraction response
+   * @param responseText - Raw LLM response
+   * @returns Parsed chunk findings or null if parsing fails
+   */
+  static parseChunkExtraction(responseText: string): ChunkExtraction | null {
+    try {
+      const cleanedText = this.cleanMarkdownCodeBlocks(responseText);
+      const parsed = this.extractJsonObject<any>(cleanedText);
+
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        console.error("No valid JSON object found in chunk extraction response");
+        return null;
       }
 
-      // Validate and normalize procedures (with length limits)
-      const procedures: PrivacyProcedure[] = [];
-      if (Array.isArray(parsed.procedures)) {
-        for (const proc of parsed.procedures.slice(
-          0,
-          this.PRIVACY_RIGHTS_LIMITS.MAX_ITEMS_PER_ARRAY,
-        )) {
-          if (proc && Array.isArray(proc.steps) && proc.steps.length > 0) {
-            const steps = proc.steps
-              .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_ITEMS_PER_ARRAY)
-              .filter((s: unknown) => typeof s === "string" && s.trim())
-              .map((s: string) =>
-                s.trim().slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_STEP_LENGTH),
-              );
-
-            if (steps.length > 0) {
-              const procedure: PrivacyProcedure = {
-                right: this.VALID_RIGHTS.includes(proc.right)
-                  ? proc.right
-                  : "other",
-                title: String(proc.title || "Privacy Procedure")
-                  .trim()
-                  .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_LABEL_LENGTH),
-                steps: steps,
-              };
-
-              // Add requirements if present (with limits)
-              if (
-                Array.isArray(proc.requirements) &&
-                proc.requirements.length > 0
-              ) {
-                procedure.requirements = proc.requirements
-                  .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_ITEMS_PER_ARRAY)
-                  .filter((r: unknown) => typeof r === "string" && r.trim())
-                  .map((r: string) =>
-                    r
-                      .trim()
-                      .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_STEP_LENGTH),
-                  );
-              }
-
-              procedures.push(procedure);
-            }
+      const scorecardEvidence = {} as ScorecardEvidence;
+      for (const key of this.SCORECARD_KEYS) {
+        const items = parsed.scorecardEvidence?.[key];
+        scorecardEvidence[key] = Array.isArray(items)
+          ? items
+              .slice(0, this.MAX_EVIDENCE_ITEMS)
+              .filter((e: unknown) => typeof e === "string" && e.trim())
+              .map((e: string) =>
+                e.trim().slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_STEP_LENGTH),
+              )
+          : [];
+      }
+
+      return {
+        summary:
+          typeof parsed.summary === "string"
+            ? parsed.summary.trim().slice(0, this.MAX_FIELD_LENGTH)
+            : "",
+        risks: Array.isArray(parsed.risks)
+          ? this.normalizeRisks(parsed.risks)
+          : [],
+        keyTerms: Array.isArray(parsed.keyTerms)
+          ? this.normalizeKeyTerms(parsed.keyTerms)
+          : [],
+        scorecardEvidence,
+        privacyRights: this.normalizePrivacyRights(parsed.privacyRights || {}),
+        dataFlows: this.normalizeDataFlows(parsed.dataFlows),
+      };
+    } catch (error) {
+      console.error("Failed to parse chunk extraction:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Validates and normalizes a raw privacy rights object (with length limits)
+   * @param parsed - Raw privacy rights object from a parsed response
+   * @returns Normalized privacy rights info
+   */
+  static normalizePrivacyRights(parsed: any): PrivacyRightsInfo {
+    // Validate and normalize links (with length limits)
+    const links: PrivacyLink[] = [];
+    if (Array.isArray(parsed.links)) {
+      for (const link of parsed.links.slice(
+        0,
+        this.PRIVACY_RIGHTS_LIMITS.MAX_ITEMS_PER_ARRAY,
+      )) {
+        if (link && typeof link.url === "string" && link.url.trim()) {
+          // Only allow http/https URLs within length limit
+          const url = link.url
+            .trim()
+            .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_URL_LENGTH);
+          if (url.startsWith("http://") || url.startsWith("https://")) {
+            links.push({
+              label: String(link.label || "Privacy Link")
+                .trim()
+                .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_LABEL_LENGTH),
+              url: url,
+              purpose: this.VALID_LINK_PURPOSES.includes(link.purpose)
+                ? link.purpose
+                : "other",
+            });
           }
         }
       }
+    }
 
-      // Validate and normalize timeframes (with length limits)
-      const timeframes: string[] = [];
-      if (Array.isArray(parsed.timeframes)) {
-        for (const tf of parsed.timeframes.slice(
-          0,
-          this.PRIVACY_RIGHTS_LIMITS.MAX_ITEMS_PER_ARRAY,
-        )) {
-          if (typeof tf === "string" && tf.trim()) {
-            timeframes.push(
-              tf
-                .trim()
-                .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_TIMEFRAME_LENGTH),
+    // Validate and normalize contacts (with length limits)
+    const contacts: PrivacyContact[] = [];
+    if (Array.isArray(parsed.contacts)) {
+      for (const contact of parsed.contacts.slice(
+        0,
+        this.PRIVACY_RIGHTS_LIMITS.MAX_ITEMS_PER_ARRAY,
+      )) {
+        if (
+          contact &&
+          typeof contact.value === "string" &&
+          contact.value.trim()
+        ) {
+          contacts.push({
+            type: this.VALID_CONTACT_TYPES.includes(contact.type)
+              ? contact.type
+              : "email",
+            value: String(contact.value)
+              .trim()
+              .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_VALUE_LENGTH),
+            purpose: String(contact.purpose || "Privacy inquiries")
+              .trim()
+              .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_LABEL_LENGTH),
+          });
+        }
+      }
+    }
+
+    // Validate and normalize procedures (with length limits)
+    const procedures: PrivacyProcedure[] = [];
+    if (Array.isArray(parsed.procedures)) {
+      for (const proc of parsed.procedures.slice(
+        0,
+        this.PRIVACY_RIGHTS_LIMITS.MAX_ITEMS_PER_ARRAY,
+      )) {
+        if (proc && Array.isArray(proc.steps) && proc.steps.length > 0) {
+          const steps = proc.steps
+            .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_ITEMS_PER_ARRAY)
+            .filter((s: unknown) => typeof s === "string" && s.trim())
+            .map((s: string) =>
+              s.trim().slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_STEP_LENGTH),
             );
+
+          if (steps.length > 0) {
+            const procedure: PrivacyProcedure = {
+              right: this.VALID_RIGHTS.includes(proc.right)
+                ? proc.right
+                : "other",
+              title: String(proc.title || "Privacy Procedure")
+                .trim()
+                .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_LABEL_LENGTH),
+              steps: steps,
+            };
+
+            // Add requirements if present (with limits)
+            if (
+              Array.isArray(proc.requirements) &&
+              proc.requirements.length > 0
+            ) {
+              procedure.requirements = proc.requirements
+                .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_ITEMS_PER_ARRAY)
+                .filter((r: unknown) => typeof r === "string" && r.trim())
+                .map((r: string) =>
+                  r
+                    .trim()
+                    .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_STEP_LENGTH),
+                );
+            }
+
+            procedures.push(procedure);
           }
         }
       }
+    }
+
+    // Validate and normalize timeframes (with length limits)
+    const timeframes: string[] = [];
+    if (Array.isArray(parsed.timeframes)) {
+      for (const tf of parsed.timeframes.slice(
+        0,
+        this.PRIVACY_RIGHTS_LIMITS.MAX_ITEMS_PER_ARRAY,
+      )) {
+        if (typeof tf === "string" && tf.trim()) {
+          timeframes.push(
+            tf
+              .trim()
+              .slice(0, this.PRIVACY_RIGHTS_LIMITS.MAX_TIMEFRAME_LENGTH),
+          );
+        }
+      }
+    }
 
-      // Determine if we have actionable info
-      const hasActionableInfo =
-        links.length > 0 || contacts.length > 0 || procedures.length > 0;
+    // Determine if we have actionable info
+    const hasActionableInfo =
+      links.length > 0 || contacts.length > 0 || procedures.length > 0;
 
-      return {
-        links,
-        contacts,
-        procedures,
-        timeframes,
-        hasActionableInfo,
-      };
-    } catch (error) {
-      console.error("Failed to parse privacy rights:", error);
-      return null;
+    return {
+      links,
+      contacts,
+      procedures,
+      timeframes,
+      hasActionableInfo,
+    };
+  }
+
+  /**
+   * Validates scorecard category weights and scales them to percentages.
+   * Missing or invalid weights fall back to their default; if no category
+   * keeps any weight, all defaults are used.
+   * @param weights - Relative weight per category
+   * @returns Weight per category in percent (total of about 100)
+   */
+  static normalizeWeights(
+    weights?: Partial<Record<ScorecardCategoryKey, unknown>> | null,
+  ): Record<ScorecardCategoryKey, number> {
+    const relative = {} as Record<ScorecardCategoryKey, number>;
+    for (const key of this.SCORECARD_KEYS) {
+      const weight = Number(weights?.[key]);
+      relative[key] =
+        weights?.[key] !== undefined && Number.isFinite(weight) && weight >= 0
+          ? weight
+          : SCORECARD_WEIGHTS[key];
+    }
+    const total = this.SCORECARD_KEYS.reduce(
+      (sum, key) => sum + relative[key],
+      0,
+    );
+    if (total === 0) {
+      return { ...SCORECARD_WEIGHTS };
+    }
+
+    const percentages = {} as Record<ScorecardCategoryKey, number>;
+    for (const key of this.SCORECARD_KEYS) {
+      percentages[key] = Math.round((relative[key] / total) * 100);
+    }
+    return percentages;
+  }
+
+  /**
+   * Weights of the categories a scorecard has, as stored with each category.
+   * Invalid weights fall back to their defaults, and scorecards whose weights
+   * are all zero (saved before weights were stored) get the default weights.
+   * @param scorecard - Scorecard, possibly with categories missing
+   * @returns Weight per category present in the scorecard
+   */
+  static scorecardWeights(
+    scorecard: Partial<PrivacyScorecard>,
+  ): Partial<Record<ScorecardCategoryKey, number>> {
+    const weights: Partial<Record<ScorecardCategoryKey, number>> = {};
+    for (const key of this.SCORECARD_KEYS) {
+      const category = scorecard[key];
+      if (!category || typeof category !== "object") continue;
+      weights[key] =
+        Number.isFinite(category.weight) && category.weight >= 0
+          ? category.weight
+          : SCORECARD_WEIGHTS[key];
+    }
+    const keys = Object.keys(weights) as ScorecardCategoryKey[];
+    if (keys.every((key) => weights[key] === 0)) {
+      for (const key of keys) {
+        weights[key] = SCORECARD_WEIGHTS[key];
+      }
+    }
+    return weights;
+  }
+
+  /**
+   * Calculates the overall score (0-100) from the categories of a scorecard,
+   * using the weight stored with each category. Used wherever a grade is
+   * shown so the app and every export agree.
+   * @param scorecard - Scorecard, possibly with categories missing
+   * @returns Weighted score, or null if the scorecard has no categories
+   */
+  static scoreScorecard(scorecard: Partial<PrivacyScorecard>): number | null {
+    const weights = this.scorecardWeights(scorecard);
+    let totalWeight = 0;
+    let totalWeightedScore = 0;
+    for (const key of Object.keys(weights) as ScorecardCategoryKey[]) {
+      const weight = weights[key]!;
+      // Each category contributes (score/10) * weight, e.g. a score of 8
+      // with weight 20 = 0.8 * 20 = 16 points out of 20
+      totalWeight += weight;
+      totalWeightedScore += ((scorecard[key]!.score || 5) / 10) * weight;
     }
+    return totalWeight > 0
+      ? Math.round((totalWeightedScore / totalWeight) * 100)
+      : null;
   }
 
   /**
@@ -0,0 +1,225 @@
+/**
+ * @file Response Schemas
+ * @description JSON Schemas of the structured analysis responses
+ *
+ * The schemas mirror the structures the prompts ask for. Every property is
+ * required and additionalProperties is false, as providers' strict structured
+ * output modes demand; optional content is expressed as empty strings or
+ * arrays.
+ */
+
+import type { JsonSchema, ResponseSchema } from "../../types/index.js";
+
+/**
+ * Analysis responses that are validated against a schema
+ */
+export type StructuredResponse =
+  | "risks"
+  | "keyTerms"
+  | "scorecard"
+  | "privacyRights"
+  | "compliance"
+  | "dataFlows"
+  | "riskMatches";
+
+/**
+ * Object schema with every property required
+ */
+const object = (properties: Record<string, JsonSchema>): JsonSchema => ({
+  type: "object",
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false,
+});
+
+const string = (description?: string): JsonSchema => ({
+  type: "string",
+  ...(description && { description }),
+});
+
+const stringList = (description?: string): JsonSchema => ({
+  type: "array",
+  items: { type: "string" },
+  ...(description && { description }),
+});
+
+const quotes = stringList(
+  "1-3 short passages copied word for word from the document",
+);
+
+const scorecardCategory = object({
+  score: { type: "number", minimum: 1, maximum: 10 },
+  weight: { type: "number" },
+  summary: string("1-2 sentence assessment"),
+  quotes,
+});
+
+/**
+ * Schemas of the structured analysis responses
+ */
+export const RESPONSE_SCHEMAS: Record<StructuredResponse, ResponseSchema> = {
+  risks: {
+    name: "privacy_risks",
+    schema: object({
+      risks: {
+        type: "array",
+        items: object({
+          title: string(),
+          description: string(),
+          severity: {
+            type: "string",
+            enum: ["low", "medium", "high", "critical"],
+          },
+          location: string("Heading of the section, copied from the document"),
+          recommendation: string(),
+          quotes,
+        }),
+      },
+    }),
+  },
+  keyTerms: {
+    name: "key_terms",
+    schema: object({
+      keyTerms: {
+        type: "array",
+        items: object({
+          term: string(),
+          definition: string(),
+          location: string("Heading of the section, copied from the document"),
+          quotes,
+        }),
+      },
+    }),
+  },
+  scorecard: {
+    name: "privacy_scorecard",
+    schema: object({
+      thirdPartySharing: scorecardCategory,
+      userRights: scorecardCategory,
+      dataCollection: scorecardCategory,
+      dataRetention: scorecardCategory,
+      purposeClarity: scorecardCategory,
+      securityMeasures: scorecardCategory,
+      policyTransparency: scorecardCategory,
+      topConcerns: stringList(),
+      positiveAspects: stringList(),
+    }),
+  },
+  privacyRights: {
+    name: "privacy_rights",
+    schema: object({
+      links: {
+        type: "array",
+        items: object({
+          label: string(),
+          url: string(),
+          purpose: {
+            type: "string",
+            enum: [
+              "settings",
+              "data-request",
+              "opt-out",
+              "deletion",
+              "general",
+              "other",
+            ],
+          },
+        }),
+      },
+      contacts: {
+        type: "array",
+        items: object({
+          type: {
+            type: "string",
+            enum: ["email", "address", "phone", "form", "dpo"],
+          },
+          value: string(),
+          purpose: string(),
+        }),
+      },
+      procedures: {
+        type: "array",
+        items: object({
+          right: {
+            type: "string",
+            enum: [
+              "access",
+              "deletion",
+              "portability",
+              "opt-out",
+              "correction",
+              "objection",
+              "other",
+            ],
+          },
+          title: string(),
+          steps: stringList(),
+          requirements: stringList(),
+        }),
+      },
+      timeframes: stringList(),
+    }),
+  },
+  compliance: {
+    name: "compliance_checklist",
+    schema: object({
+      requirements: {
+        type: "array",
+        items: object({
+          id: string("Requirement ID from the checklist"),
+          status: { type: "string", enum: ["present", "partial", "missing"] },
+          evidence: string(
+            "What the policy says about the requirement, or what it lacks",
+          ),
+          quotes,
+        }),
+      },
+    }),
+  },
+  dataFlows: {
+    name: "data_flows",
+    schema: object({
+      dataFlows: {
+        type: "array",
+        items: object({
+          category: string("Category of personal data"),
+          sources: stringList("Where the data comes from"),
+          purposes: stringList("Why the data is processed"),
+          recipients: {
+            type: "array",
+            items: object({
+              name: string("Named third party, or the kind of recipient"),
+              type: {
+                type: "string",
+                enum: [
+                  "service-provider",
+                  "advertiser",
+                  "analytics",
+                  "affiliate",
+                  "data-broker",
+                  "social-media",
+                  "government",
+                  "business-transfer",
+                  "public",
+                  "other",
+                ],
+              },
+            }),
+          },
+          legalBases: stringList("Legal bases stated for the processing"),
+          retention: string("Retention period, or empty if not stated"),
+          quotes,
+        }),
+      },
+    }),
+  },
+  riskMatches: {
+    name: "risk_matches",
+    schema: object({
+      matches: {
+        type: "array",
+        items: stringList("Labels of risks describing the same concern"),
+      },
+    }),
+  },
+};
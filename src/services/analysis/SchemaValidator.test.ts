@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { SchemaValidator } from './SchemaValidator.js';
+import { RESPONSE_SCHEMAS } from './ResponseSchemas.js';
+import type { JsonSchema } from '../../types';
+
+const category = { score: 6, weight: 15, summary: 'Basic rights', quotes: [] };
+
+const scorecard = {
+  thirdPartySharing: category,
+  userRights: category,
+  dataCollection: category,
+  dataRetention: category,
+  purposeClarity: category,
+  securityMeasures: category,
+  policyTransparency: category,
+  topConcerns: ['Data is sold'],
+  positiveAspects: [],
+};
+
+describe('SchemaValidator', () => {
+  it('should accept values that match the schema', () => {
+    expect(SchemaValidator.validate(scorecard, RESPONSE_SCHEMAS.scorecard.schema)).toEqual([]);
+  });
+
+  it('should report the path of each error', () => {
+    const errors = SchemaValidator.validate(
+      {
+        ...scorecard,
+        userRights: { ...category, score: 12 },
+        dataRetention: 'unclear',
+        topConcerns: [1],
+      },
+      RESPONSE_SCHEMAS.scorecard.schema,
+    );
+
+    expect(errors).toEqual([
+      '$.userRights.score: must be at most 10',
+      '$.dataRetention: expected object, got string',
+      '$.topConcerns[0]: expected string, got number',
+    ]);
+  });
+
+  it('should check enums and missing properties', () => {
+    const errors = SchemaValidator.validate(
+      { links: [], contacts: [{ type: 'fax', value: '555-0100', purpose: '' }], procedures: [] },
+      RESPONSE_SCHEMAS.privacyRights.schema,
+    );
+
+    expect(errors).toEqual([
+      '$: missing required property "timeframes"',
+      '$.contacts[0].type: must be one of "email", "address", "phone", "form", "dpo"',
+    ]);
+  });
+
+  it('should tell arrays, null and integers apart', () => {
+    const schema: JsonSchema = {
+      type: 'object',
+      properties: {
+        list: { type: 'object' },
+        count: { type: 'integer' },
+        items: { type: 'array', maxItems: 1 },
+      },
+    };
+
+    expect(SchemaValidator.validate({ list: [], count: 1.5, items: [1, 2] }, schema)).toEqual([
+      '$.list: expected object, got array',
+      '$.count: expected integer, got number',
+      '$.items: must have at most 1 items',
+    ]);
+    expect(SchemaValidator.validate(null, schema)).toEqual(['$: expected object, got null']);
+  });
+
+  it('should check data flow recipient types', () => {
+    const flow = {
+      category: 'Location data',
+      sources: ['Your device'],
+      purposes: ['Advertising'],
+      recipients: [{ name: 'Ad partners', type: 'ad-network' }],
+      legalBases: [],
+      retention: '',
+      quotes: [],
+    };
+
+    expect(SchemaValidator.validate({ dataFlows: [flow] }, RESPONSE_SCHEMAS.dataFlows.schema)).toEqual([
+      expect.stringMatching(/^\$\.dataFlows\[0\]\.recipients\[0\]\.type: must be one of "service-provider"/),
+    ]);
+  });
+
+  it('should ignore properties the schema does not list', () => {
+    expect(
+      SchemaValidator.validate({ keyTerms: [], note: 'extra' }, RESPONSE_SCHEMAS.keyTerms.schema),
+    ).toEqual([]);
+  });
+});
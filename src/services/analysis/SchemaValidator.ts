@@ -0,0 +1,109 @@
+/**
+ * @file Schema Validator
+ * @description Validates parsed LLM responses against the JSON Schema subset
+ * used by ResponseSchemas
+ *
+ * Supports type, properties, required, items, enum, minimum, maximum and
+ * maxItems. additionalProperties is not enforced: extra fields are ignored by
+ * the parsers, so they are no reason to ask the model for a repair.
+ */
+
+import type { JsonSchema } from "../../types/index.js";
+
+/**
+ * Service for validating values against a JSON Schema
+ */
+export class SchemaValidator {
+  /**
+   * Validates a value against a schema
+   * @param value - Parsed JSON value
+   * @param schema - Schema to validate against
+   * @param path - Path of the value, used in error messages
+   * @returns Validation errors (empty when the value is valid)
+   */
+  static validate(value: unknown, schema: JsonSchema, path = "$"): string[] {
+    if (schema.type && !this.hasType(value, schema.type)) {
+      return [`${path}: expected ${schema.type}, got ${this.describe(value)}`];
+    }
+
+    const errors: string[] = [];
+
+    if (schema.enum && !schema.enum.includes(value as string)) {
+      errors.push(
+        `${path}: must be one of ${schema.enum.map((option) => `"${option}"`).join(", ")}`,
+      );
+    }
+
+    if (typeof value === "number") {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: must be at most ${schema.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path}: must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(
+            ...this.validate(item, schema.items!, `${path}[${index}]`),
+          );
+        });
+      }
+    } else if (value && typeof value === "object") {
+      const object = value as Record<string, unknown>;
+      for (const key of schema.required ?? []) {
+        if (!(key in object)) {
+          errors.push(`${path}: missing required property "${key}"`);
+        }
+      }
+      for (const [key, propertySchema] of Object.entries(
+        schema.properties ?? {},
+      )) {
+        if (key in object) {
+          errors.push(
+            ...this.validate(object[key], propertySchema, `${path}.${key}`),
+          );
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Checks a value against a JSON Schema type
+   * @private
+   */
+  private static hasType(
+    value: unknown,
+    type: NonNullable<JsonSchema["type"]>,
+  ): boolean {
+    switch (type) {
+      case "object":
+        return !!value && typeof value === "object" && !Array.isArray(value);
+      case "array":
+        return Array.isArray(value);
+      case "integer":
+        return Number.isInteger(value);
+      case "number":
+        return typeof value === "number" && Number.isFinite(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Describes the JSON type of a value for error messages
+   * @private
+   */
+  private static describe(value: unknown): string {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+  }
+}
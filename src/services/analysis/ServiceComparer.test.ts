@@ -0,0 +1,179 @@
+import { describe, it, expect } from 'vitest';
+import { ServiceComparer } from './ServiceComparer.js';
+import { makeAnalysisResult } from '../../test/fixtures/analysisResult';
+import type {
+  AnalysisResult,
+  PrivacyProcedure,
+  PrivacyRisk,
+  PrivacyRightsInfo,
+  PrivacyScorecard,
+} from '../../types';
+
+const makeRisk = (severity: PrivacyRisk['severity'], title = 'Data sold'): PrivacyRisk => ({
+  id: Math.random().toString(36).slice(2),
+  title,
+  description: '',
+  severity,
+  location: 'Section 4',
+});
+
+const makeScorecard = (
+  scores: Partial<Record<string, number>> = {},
+  overallScore = 60,
+): PrivacyScorecard => {
+  const category = (key: string) => ({ score: scores[key] ?? 5, weight: 10, summary: '' });
+  return {
+    thirdPartySharing: category('thirdPartySharing'),
+    userRights: category('userRights'),
+    dataCollection: category('dataCollection'),
+    dataRetention: category('dataRetention'),
+    purposeClarity: category('purposeClarity'),
+    securityMeasures: category('securityMeasures'),
+    policyTransparency: category('policyTransparency'),
+    topConcerns: [],
+    positiveAspects: [],
+    overallScore,
+    overallGrade: overallScore >= 80 ? 'B' : 'D',
+  };
+};
+
+const makeRights = (rights: PrivacyProcedure['right'][]): PrivacyRightsInfo => ({
+  links: [{ label: 'Settings', url: 'https://example.com/settings', purpose: 'settings' }],
+  contacts: [],
+  procedures: rights.map((right) => ({ right, title: right, steps: [] })),
+  timeframes: [],
+  hasActionableInfo: true,
+});
+
+const makeResult = (id: string, source: string, overrides: Partial<AnalysisResult> = {}): AnalysisResult =>
+  makeAnalysisResult({
+    id,
+    documentMetadata: { source, type: 'url', rawText: '' },
+    scorecard: makeScorecard(),
+    ...overrides,
+  });
+
+describe('ServiceComparer', () => {
+  describe('getServiceName', () => {
+    it('should use the domain of a URL without www', () => {
+      expect(ServiceComparer.getServiceName(makeResult('a', 'https://www.example.com/legal/privacy'))).toBe(
+        'example.com',
+      );
+    });
+
+    it('should use the file name without its extension', () => {
+      expect(ServiceComparer.getServiceName(makeResult('a', 'Acme Privacy.pdf'))).toBe('Acme Privacy');
+      expect(ServiceComparer.getServiceName(makeResult('a', ''))).toBe('Unknown service');
+    });
+  });
+
+  describe('compare', () => {
+    it('should build one column per service', () => {
+      const comparison = ServiceComparer.compare([
+        makeResult('a', 'https://a.com/privacy', {
+          scorecard: makeScorecard({ thirdPartySharing: 3 }, 55),
+          risks: [makeRisk('critical', 'Sells data'), makeRisk('high', 'Tracks you'), makeRisk('low')],
+          privacyRights: makeRights(['access', 'deletion', 'other']),
+        }),
+        makeResult('b', 'https://b.com/privacy', { scorecard: undefined }),
+      ]);
+
+      const [a, b] = comparison.services;
+      expect(a).toMatchObject({
+        id: 'a',
+        name: 'a.com',
+        overallScore: 55,
+        overallGrade: 'D',
+        criticalRisks: 1,
+        highRisks: 1,
+        topRisks: ['Sells data', 'Tracks you'],
+        rightsCoverage: { rights: ['access', 'deletion'], links: 1, contacts: 0 },
+      });
+      expect(a.categoryScores.thirdPartySharing).toBe(3);
+      expect(b.overallScore).toBeNull();
+      expect(b.categoryScores.thirdPartySharing).toBeNull();
+      expect(b.rightsCoverage).toEqual({ rights: [], links: 0, contacts: 0 });
+    });
+
+    it('should tell apart services with the same name', () => {
+      const comparison = ServiceComparer.compare([
+        makeResult('a', 'https://example.com/privacy'),
+        makeResult('b', 'https://example.com/privacy-2024'),
+      ]);
+
+      expect(comparison.services.map((service) => service.name)).toEqual(['example.com', 'example.com (2)']);
+    });
+
+    it('should mark the best service of each row', () => {
+      const comparison = ServiceComparer.compare([
+        makeResult('a', 'https://a.com', {
+          scorecard: makeScorecard({ dataRetention: 8 }, 85),
+          risks: [makeRisk('high')],
+          privacyRights: makeRights(['access']),
+        }),
+        makeResult('b', 'https://b.com', {
+          scorecard: makeScorecard({ dataRetention: 8 }, 60),
+          risks: [makeRisk('critical')],
+          privacyRights: makeRights(['access', 'deletion']),
+        }),
+        makeResult('c', 'https://c.com', {
+          scorecard: makeScorecard({ dataRetention: 2 }, 40),
+          risks: [makeRisk('high'), makeRisk('high')],
+        }),
+      ]);
+
+      expect(comparison.leaders.overall).toEqual(['a']);
+      expect(comparison.leaders.dataRetention).toEqual(['a', 'b']);
+      expect(comparison.leaders.risks).toEqual(['a']);
+      expect(comparison.leaders.rights).toEqual(['b']);
+    });
+
+    it('should not mark a leader when all services are equal or unscored', () => {
+      const comparison = ServiceComparer.compare([
+        makeResult('a', 'https://a.com', { scorecard: undefined }),
+        makeResult('b', 'https://b.com'),
+        makeResult('c', 'https://c.com'),
+      ]);
+
+      expect(comparison.leaders.userRights).toEqual([]);
+      expect(comparison.leaders.risks).toEqual([]);
+
+      const single = ServiceComparer.compare([
+        makeResult('a', 'https://a.com', { scorecard: undefined }),
+        makeResult('b', 'https://b.com'),
+      ]);
+      expect(single.leaders.overall).toEqual([]);
+    });
+  });
+
+  describe('buildDigest', () => {
+    it('should summarize each service', () => {
+      const comparison = ServiceComparer.compare([
+        makeResult('a', 'https://a.com', {
+          scorecard: makeScorecard({}, 85),
+          risks: [makeRisk('critical', 'Sells data')],
+          privacyRights: makeRights(['deletion']),
+        }),
+        makeResult('b', 'https://b.com', { scorecard: undefined }),
+      ]);
+
+      const digest = ServiceComparer.buildDigest(comparison);
+
+      expect(digest).toContain('# a.com\n- Overall: B (85/100)');
+      expect(digest).toContain('- Third-Party Sharing: 5/10');
+      expect(digest).toContain('- Critical risks: 1, high risks: 0');
+      expect(digest).toContain('- Most serious risks: Sells data');
+      expect(digest).toContain('- Rights with documented procedures: deletion');
+      expect(digest).toContain('# b.com\n- Overall: no scorecard available');
+    });
+
+    it('should truncate long digests', () => {
+      const comparison = ServiceComparer.compare([
+        makeResult('a', 'https://a.com'),
+        makeResult('b', 'https://b.com'),
+      ]);
+
+      expect(ServiceComparer.buildDigest(comparison, 100).length).toBeLessThanOrEqual(130);
+    });
+  });
+});
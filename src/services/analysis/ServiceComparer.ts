@@ -0,0 +1,207 @@
+/**
+ * @file Service Comparer
+ * @description Builds a side-by-side comparison matrix of the policies of
+ * different services: scorecard categories, grades, serious risks and
+ * rights coverage
+ */
+
+import { TextPreprocessor } from "../document/TextPreprocessor.js";
+import { SCORECARD_CATEGORY_LABELS } from "../../utils/constants.js";
+import type {
+  AnalysisResult,
+  RightsCoverage,
+  ScorecardCategoryKey,
+  ServiceComparison,
+  ServiceComparisonEntry,
+} from "../../types";
+
+/**
+ * Maximum length of the comparison digest sent to the model
+ */
+const MAX_DIGEST_LENGTH = 30000;
+
+/**
+ * Maximum number of serious risk titles listed per service
+ */
+const MAX_TOP_RISKS = 5;
+
+const CATEGORY_KEYS = Object.keys(
+  SCORECARD_CATEGORY_LABELS,
+) as ScorecardCategoryKey[];
+
+export class ServiceComparer {
+  /**
+   * Compares analyses of different services
+   * @param results - One analysis per service, in display order
+   * @returns Comparison matrix
+   */
+  static compare(results: AnalysisResult[]): ServiceComparison {
+    const names = new Map<string, number>();
+    const services = results.map((result) => {
+      // Tell apart services that would otherwise get the same name
+      let name = this.getServiceName(result);
+      const count = (names.get(name) || 0) + 1;
+      names.set(name, count);
+      if (count > 1) name = `${name} (${count})`;
+      return this.buildEntry(result, name);
+    });
+
+    const leaders = {} as ServiceComparison["leaders"];
+    for (const key of CATEGORY_KEYS) {
+      leaders[key] = this.findLeaders(
+        services,
+        (service) => service.categoryScores[key],
+      );
+    }
+    leaders.overall = this.findLeaders(
+      services,
+      (service) => service.overallScore,
+    );
+    // Fewest critical risks first, then fewest high risks
+    leaders.risks = this.findLeaders(
+      services,
+      (service) => -(service.criticalRisks * 1000 + service.highRisks),
+    );
+    leaders.rights = this.findLeaders(
+      services,
+      (service) => service.rightsCoverage.rights.length,
+    );
+
+    return { services, leaders };
+  }
+
+  /**
+   * Derives a short service name from the policy source: the domain of a
+   * URL or the name of an uploaded file without its extension
+   * @param result - Analysis of the service
+   * @returns Service name
+   */
+  static getServiceName(result: AnalysisResult): string {
+    const source = result.documentMetadata?.source || "";
+    if (/^https?:\/\//i.test(source)) {
+      try {
+        return new URL(source).hostname.replace(/^www\./, "");
+      } catch {
+        // Fall through to the raw source
+      }
+    }
+    return source.replace(/\.[a-z0-9]{2,5}$/i, "") || "Unknown service";
+  }
+
+  /**
+   * Builds the digest the recommendation prompt is based on
+   * @param comparison - Comparison from compare()
+   * @param maxLength - Maximum digest length
+   * @returns Markdown digest
+   */
+  static buildDigest(
+    comparison: ServiceComparison,
+    maxLength: number = MAX_DIGEST_LENGTH,
+  ): string {
+    const parts: string[] = [];
+
+    comparison.services.forEach((service) => {
+      parts.push(`# ${service.name}`);
+      parts.push(
+        service.overallScore === null
+          ? "- Overall: no scorecard available"
+          : `- Overall: ${service.overallGrade} (${service.overallScore}/100)`,
+      );
+      CATEGORY_KEYS.forEach((key) => {
+        const score = service.categoryScores[key];
+        if (score !== null) {
+          parts.push(`- ${SCORECARD_CATEGORY_LABELS[key]}: ${score}/10`);
+        }
+      });
+      parts.push(
+        `- Critical risks: ${service.criticalRisks}, high risks: ${service.highRisks}`,
+      );
+      if (service.topRisks.length > 0) {
+        parts.push(`- Most serious risks: ${service.topRisks.join("; ")}`);
+      }
+      const { rights, links, contacts } = service.rightsCoverage;
+      parts.push(
+        `- Rights with documented procedures: ${rights.length > 0 ? rights.join(", ") : "none"}`,
+      );
+      parts.push(`- Privacy links: ${links}, privacy contacts: ${contacts}`);
+      parts.push("");
+    });
+
+    return TextPreprocessor.truncate(parts.join("\n").trim(), maxLength);
+  }
+
+  /**
+   * Builds one service's column
+   * @private
+   */
+  private static buildEntry(
+    result: AnalysisResult,
+    name: string,
+  ): ServiceComparisonEntry {
+    const scorecard = result.scorecard;
+    const risks = result.risks || [];
+    const serious = [
+      ...risks.filter((risk) => risk.severity === "critical"),
+      ...risks.filter((risk) => risk.severity === "high"),
+    ];
+
+    const categoryScores = {} as ServiceComparisonEntry["categoryScores"];
+    for (const key of CATEGORY_KEYS) {
+      categoryScores[key] = scorecard?.[key]?.score ?? null;
+    }
+
+    return {
+      id: result.id,
+      name,
+      source: result.documentMetadata?.source || "",
+      overallScore: scorecard?.overallScore ?? null,
+      overallGrade: scorecard?.overallGrade ?? null,
+      categoryScores,
+      criticalRisks: risks.filter((risk) => risk.severity === "critical")
+        .length,
+      highRisks: risks.filter((risk) => risk.severity === "high").length,
+      topRisks: serious.slice(0, MAX_TOP_RISKS).map((risk) => risk.title),
+      rightsCoverage: this.getRightsCoverage(result),
+    };
+  }
+
+  /**
+   * Summarizes the privacy rights info of an analysis
+   * @private
+   */
+  private static getRightsCoverage(result: AnalysisResult): RightsCoverage {
+    const info = result.privacyRights;
+    const rights = Array.from(
+      new Set(
+        (info?.procedures || [])
+          .map((procedure) => procedure.right)
+          .filter((right) => right !== "other"),
+      ),
+    );
+    return {
+      rights,
+      links: info?.links.length || 0,
+      contacts: info?.contacts.length || 0,
+    };
+  }
+
+  /**
+   * IDs of the services with the highest value (services without a value
+   * never lead; nobody leads when all values are equal)
+   * @private
+   */
+  private static findLeaders(
+    services: ServiceComparisonEntry[],
+    getValue: (service: ServiceComparisonEntry) => number | null,
+  ): string[] {
+    const values = services.map(getValue);
+    const scored = values.filter((value): value is number => value !== null);
+    if (scored.length < 2) return [];
+
+    const best = Math.max(...scored);
+    if (scored.every((value) => value === best)) return [];
+    return services
+      .filter((_, index) => values[index] === best)
+      .map((service) => service.id);
+  }
+}
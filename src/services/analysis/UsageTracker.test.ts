@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { UsageTracker } from './UsageTracker.js';
+
+describe('UsageTracker', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('track', () => {
+    it('should record the usage the provider reports', async () => {
+      vi.spyOn(Date, 'now').mockReturnValueOnce(1000).mockReturnValueOnce(3500);
+      const tracker = new UsageTracker();
+
+      const response = await tracker.track('brief summary', 'prompt', async (onUsage) => {
+        onUsage({ promptTokens: 1200, completionTokens: 150, cost: 0.002 });
+        return 'summary';
+      });
+
+      expect(response).toBe('summary');
+      expect(tracker.getUsage()).toEqual({
+        calls: [
+          { section: 'brief summary', promptTokens: 1200, completionTokens: 150, cost: 0.002, latencyMs: 2500, reported: true },
+        ],
+        promptTokens: 1200,
+        completionTokens: 150,
+        cost: 0.002,
+        latencyMs: 2500,
+      });
+    });
+
+    it('should estimate the tokens when the provider reports none', async () => {
+      const tracker = new UsageTracker();
+
+      await tracker.track('key terms', 'x'.repeat(400), async () => 'y'.repeat(41));
+
+      const usage = tracker.getUsage();
+      expect(usage?.calls[0]).toMatchObject({ promptTokens: 100, completionTokens: 11, reported: false });
+      expect(usage?.cost).toBeUndefined();
+    });
+
+    it('should not record failed requests', async () => {
+      const tracker = new UsageTracker();
+
+      await expect(
+        tracker.track('risks', 'prompt', async () => {
+          throw new Error('Timed out');
+        }),
+      ).rejects.toThrow('Timed out');
+      expect(tracker.getUsage()).toBeUndefined();
+    });
+
+    it('should measure the wall-clock time of overlapping requests', async () => {
+      vi.spyOn(Date, 'now')
+        .mockReturnValueOnce(1000)
+        .mockReturnValueOnce(1500)
+        .mockReturnValueOnce(4000)
+        .mockReturnValueOnce(5000);
+      const tracker = new UsageTracker();
+
+      await Promise.all([
+        tracker.track('brief summary', 'a', async () => 'a'),
+        tracker.track('risks', 'b', async () => 'b'),
+      ]);
+
+      expect(tracker.getUsage()?.latencyMs).toBe(4000);
+    });
+  });
+
+  describe('merge', () => {
+    it('should combine the calls and add up the latencies', () => {
+      const first = UsageTracker.summarize(
+        [{ section: 'risks', promptTokens: 100, completionTokens: 10, latencyMs: 1000, reported: false }],
+        1000,
+      );
+      const second = UsageTracker.summarize(
+        [{ section: 'key terms', promptTokens: 50, completionTokens: 5, cost: 0.01, latencyMs: 500, reported: true }],
+        500,
+      );
+
+      const merged = UsageTracker.merge(first, second);
+
+      expect(merged?.calls).toHaveLength(2);
+      expect(merged).toMatchObject({ promptTokens: 150, completionTokens: 15, cost: 0.01, latencyMs: 1500 });
+      expect(UsageTracker.merge(undefined, second)).toBe(second);
+      expect(UsageTracker.merge(first, undefined)).toBe(first);
+    });
+  });
+
+  describe('estimate', () => {
+    it('should price the estimated tokens', () => {
+      const estimate = UsageTracker.estimate(['x'.repeat(4000), 'x'.repeat(2000)], [400, 400], {
+        promptPerToken: 0.000001,
+        completionPerToken: 0.000002,
+      });
+
+      expect(estimate).toEqual({ requests: 2, promptTokens: 1500, completionTokens: 200, cost: expect.closeTo(0.0019, 8) });
+    });
+
+    it('should leave the cost unknown without a price', () => {
+      expect(UsageTracker.estimate(['prompt'], [40], null).cost).toBeNull();
+    });
+  });
+});
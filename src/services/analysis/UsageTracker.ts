@@ -0,0 +1,170 @@
+/**
+ * @file Usage Tracker
+ * @description Records the tokens, cost and latency of the LLM requests made
+ * by one analysis, and estimates them before an analysis starts
+ *
+ * Token counts come from the provider when it reports them. Providers that
+ * do not (or requests that fail to include them) are estimated from the text
+ * length with USAGE_CONFIG.CHARS_PER_TOKEN, and marked as not reported.
+ */
+
+import { USAGE_CONFIG } from "../../utils/constants.js";
+import type {
+  AnalysisUsage,
+  ModelPricing,
+  SectionUsage,
+  TokenUsage,
+  UsageEstimate,
+} from "../../types/index.js";
+
+/**
+ * Sends one request, passing on the usage the provider reports
+ */
+export type TrackedRequest = (
+  onUsage: (usage: TokenUsage) => void,
+) => Promise<string>;
+
+/**
+ * Collects the usage of one analysis. Create a tracker per run: analyzers
+ * are shared between runs, trackers are not.
+ */
+export class UsageTracker {
+  private calls: SectionUsage[] = [];
+  private startedAt: number | null = null;
+  private finishedAt: number | null = null;
+
+  /**
+   * Sends a request and records its usage once it succeeds. Failed requests
+   * are not recorded.
+   * @param section - Section name shown in the breakdown
+   * @param prompt - Prompt sent, used to estimate unreported prompt tokens
+   * @param request - Sends the request
+   * @returns The response
+   */
+  async track(
+    section: string,
+    prompt: string,
+    request: TrackedRequest,
+  ): Promise<string> {
+    const startedAt = Date.now();
+    this.startedAt = Math.min(this.startedAt ?? startedAt, startedAt);
+    let reported: TokenUsage | null = null;
+
+    const response = await request((usage) => {
+      reported = usage;
+    });
+
+    const finishedAt = Date.now();
+    this.finishedAt = Math.max(this.finishedAt ?? finishedAt, finishedAt);
+    const usage: TokenUsage = reported ?? {
+      promptTokens: UsageTracker.estimateTokens(prompt),
+      completionTokens: UsageTracker.estimateTokens(response),
+    };
+    this.calls.push({
+      section,
+      ...usage,
+      latencyMs: finishedAt - startedAt,
+      reported: reported !== null,
+    });
+    return response;
+  }
+
+  /**
+   * Usage of the requests tracked so far
+   * @returns Calls and totals, or undefined when no request succeeded
+   */
+  getUsage(): AnalysisUsage | undefined {
+    if (this.calls.length === 0) {
+      return undefined;
+    }
+    return UsageTracker.summarize(
+      this.calls,
+      (this.finishedAt ?? 0) - (this.startedAt ?? 0),
+    );
+  }
+
+  /**
+   * Totals a list of calls
+   * @param calls - Section calls
+   * @param latencyMs - Wall-clock time of the calls (parallel calls overlap,
+   * so this is not the sum of their latencies)
+   * @returns Calls and totals; the cost is set only if some call reported one
+   */
+  static summarize(calls: SectionUsage[], latencyMs: number): AnalysisUsage {
+    const costs = calls.flatMap((call) =>
+      call.cost === undefined ? [] : [call.cost],
+    );
+    return {
+      calls,
+      promptTokens: calls.reduce((sum, call) => sum + call.promptTokens, 0),
+      completionTokens: calls.reduce(
+        (sum, call) => sum + call.completionTokens,
+        0,
+      ),
+      ...(costs.length > 0 && {
+        cost: costs.reduce((sum, cost) => sum + cost, 0),
+      }),
+      latencyMs,
+    };
+  }
+
+  /**
+   * Combines the usage of an analysis with that of a later run on the same
+   * result (e.g. retried sections)
+   * @param usage - Usage so far, if any
+   * @param added - Usage of the later run, if any
+   * @returns Combined usage; latencies add up since the runs did not overlap
+   */
+  static merge(
+    usage: AnalysisUsage | undefined,
+    added: AnalysisUsage | undefined,
+  ): AnalysisUsage | undefined {
+    if (!usage || !added) {
+      return usage ?? added;
+    }
+    return this.summarize(
+      [...usage.calls, ...added.calls],
+      usage.latencyMs + added.latencyMs,
+    );
+  }
+
+  /**
+   * Estimates the usage of a set of requests
+   * @param prompts - Prompts that will be sent
+   * @param expectedResponseChars - Expected length of each response
+   * @param pricing - Model price, or null when unknown
+   * @returns Estimated tokens, and cost when the price is known
+   */
+  static estimate(
+    prompts: string[],
+    expectedResponseChars: number[],
+    pricing: ModelPricing | null,
+  ): UsageEstimate {
+    const promptTokens = prompts.reduce(
+      (sum, prompt) => sum + this.estimateTokens(prompt),
+      0,
+    );
+    const completionTokens = expectedResponseChars.reduce(
+      (sum, chars) => sum + Math.ceil(chars / USAGE_CONFIG.CHARS_PER_TOKEN),
+      0,
+    );
+    return {
+      requests: prompts.length,
+      promptTokens,
+      completionTokens,
+      cost: pricing
+        ? promptTokens * pricing.promptPerToken +
+          completionTokens * pricing.completionPerToken
+        : null,
+    };
+  }
+
+  /**
+   * Estimates the tokens of a text from its length
+   * @param text - Text
+   * @returns Approximate token count
+   */
+  static estimateTokens(text: string): number {
+    return Math.ceil(text.length / USAGE_CONFIG.CHARS_PER_TOKEN);
+  }
+}
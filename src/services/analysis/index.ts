@@ -5,3 +5,6 @@
 export { PolicyAnalyzer } from './PolicyAnalyzer.js';
 export { PromptTemplates } from './PromptTemplates.js';
 export { ResponseParser } from './ResponseParser.js';
+export { ChunkMerger } from './ChunkMerger.js';
+export { PolicyDiffer } from './PolicyDiffer.js';
+export { ServiceComparer } from './ServiceComparer.js';
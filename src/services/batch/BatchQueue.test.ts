@@ -0,0 +1,308 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { BatchQueue, type BatchItemResult } from './BatchQueue.js';
+import { STORAGE_KEYS } from '../../utils/constants.js';
+import type { AnalysisResult, BatchItem } from '../../types';
+
+const RESULT: BatchItemResult = {
+  resultId: 'result-1',
+  overallScore: 72,
+  overallGrade: 'C',
+  criticalRisks: 0,
+  highRisks: 2,
+};
+
+const createItems = (...urls: string[]): BatchItem[] =>
+  BatchQueue.createState(urls).items;
+
+describe('BatchQueue', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('parseUrls', () => {
+    it('should read one URL per line, adding https:// to bare domains', () => {
+      const parsed = BatchQueue.parseUrls(
+        'https://a.com/privacy\n\n  b.com/legal/privacy  \r\nhttp://c.org/policy',
+      );
+
+      expect(parsed.urls).toEqual([
+        'https://a.com/privacy',
+        'https://b.com/legal/privacy',
+        'http://c.org/policy',
+      ]);
+      expect(parsed.invalid).toEqual([]);
+      expect(parsed.duplicates).toBe(0);
+    });
+
+    it('should read CSV files, skipping headers and quotes', () => {
+      const parsed = BatchQueue.parseUrls(
+        'service,url\r\n"Acme","https://acme.com/privacy"\r\nGlobex;globex.com/privacy\r\n',
+      );
+
+      expect(parsed.urls).toEqual(['https://acme.com/privacy', 'https://globex.com/privacy']);
+    });
+
+    it('should skip duplicates and report invalid URLs', () => {
+      const parsed = BatchQueue.parseUrls(
+        'https://a.com/privacy\nftp://files.example.com/privacy\nhttps://a.com/privacy',
+      );
+
+      expect(parsed.urls).toEqual(['https://a.com/privacy']);
+      expect(parsed.invalid).toEqual(['ftp://files.example.com/privacy']);
+      expect(parsed.duplicates).toBe(1);
+    });
+
+    it('should return nothing for empty input', () => {
+      expect(BatchQueue.parseUrls('')).toEqual({ urls: [], invalid: [], duplicates: 0 });
+    });
+  });
+
+  describe('createState', () => {
+    it('should create pending items with clamped settings', () => {
+      const state = BatchQueue.createState(['https://a.com/privacy'], {
+        concurrency: 20,
+        maxRetries: -1,
+      });
+
+      expect(state.items).toHaveLength(1);
+      expect(state.items[0]).toMatchObject({
+        url: 'https://a.com/privacy',
+        status: 'pending',
+        attempts: 0,
+        resultId: null,
+      });
+      expect(state.settings).toEqual({ concurrency: 5, maxRetries: 0 });
+    });
+
+    it('should use default settings', () => {
+      expect(BatchQueue.createState([]).settings).toEqual({ concurrency: 2, maxRetries: 2 });
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should double the delay for every retry up to the maximum', () => {
+      expect(BatchQueue.getRetryDelay(1, 1000)).toBe(1000);
+      expect(BatchQueue.getRetryDelay(2, 1000)).toBe(2000);
+      expect(BatchQueue.getRetryDelay(3, 1000)).toBe(4000);
+      expect(BatchQueue.getRetryDelay(10, 1000)).toBe(30000);
+    });
+  });
+
+  describe('summarizeResult', () => {
+    it('should count critical and high risks', () => {
+      const summary = BatchQueue.summarizeResult({
+        id: 'abc',
+        scorecard: { overallScore: 40, overallGrade: 'D' },
+        risks: [{ severity: 'critical' }, { severity: 'high' }, { severity: 'high' }, { severity: 'low' }],
+      } as unknown as AnalysisResult);
+
+      expect(summary).toEqual({
+        resultId: 'abc',
+        overallScore: 40,
+        overallGrade: 'D',
+        criticalRisks: 1,
+        highRisks: 2,
+      });
+    });
+
+    it('should handle results without a scorecard', () => {
+      const summary = BatchQueue.summarizeResult({ id: 'abc', risks: [] } as unknown as AnalysisResult);
+
+      expect(summary.overallScore).toBeNull();
+      expect(summary.overallGrade).toBeNull();
+    });
+  });
+
+  describe('run', () => {
+    it('should analyze every item without exceeding the concurrency', async () => {
+      let active = 0;
+      let maxActive = 0;
+      const process = vi.fn(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active--;
+        return RESULT;
+      });
+
+      const items = await BatchQueue.run(createItems('https://a.com', 'https://b.com', 'https://c.com'), {
+        settings: { concurrency: 2, maxRetries: 0 },
+        process,
+      });
+
+      expect(process).toHaveBeenCalledTimes(3);
+      expect(maxActive).toBe(2);
+      expect(items.every((item) => item.status === 'done')).toBe(true);
+      expect(items[0]).toMatchObject({ ...RESULT, attempts: 1, error: null });
+    });
+
+    it('should skip items that are not pending', async () => {
+      const [done, pending] = createItems('https://a.com', 'https://b.com');
+      const process = vi.fn().mockResolvedValue(RESULT);
+
+      await BatchQueue.run([{ ...done, status: 'done' }, pending], {
+        settings: { concurrency: 2, maxRetries: 0 },
+        process,
+      });
+
+      expect(process).toHaveBeenCalledTimes(1);
+      expect(process.mock.calls[0][0].url).toBe('https://b.com');
+    });
+
+    it('should retry failed items before succeeding', async () => {
+      const process = vi.fn().mockRejectedValueOnce(new Error('Timeout')).mockResolvedValueOnce(RESULT);
+      const onItemChange = vi.fn();
+
+      const [item] = await BatchQueue.run(createItems('https://a.com'), {
+        settings: { concurrency: 1, maxRetries: 2 },
+        process,
+        onItemChange,
+        retryDelayMs: 0,
+      });
+
+      expect(item).toMatchObject({ status: 'done', attempts: 2, error: null });
+      expect(onItemChange.mock.calls.map(([changed]) => changed.status)).toEqual([
+        'running',
+        'retrying',
+        'running',
+        'done',
+      ]);
+      expect(onItemChange.mock.calls[1][0].error).toBe('Timeout');
+    });
+
+    it('should mark items as failed once the retries are used up', async () => {
+      const process = vi.fn().mockRejectedValue(new Error('Not found'));
+
+      const [item] = await BatchQueue.run(createItems('https://a.com'), {
+        settings: { concurrency: 1, maxRetries: 1 },
+        process,
+        retryDelayMs: 0,
+      });
+
+      expect(process).toHaveBeenCalledTimes(2);
+      expect(item).toMatchObject({ status: 'error', attempts: 2, error: 'Not found' });
+    });
+
+    it('should put interrupted items back to pending when paused', async () => {
+      const controller = new AbortController();
+      const onItemChange = vi.fn();
+      const process = vi.fn(
+        (_item: BatchItem, signal?: AbortSignal) =>
+          new Promise<BatchItemResult>((_resolve, reject) => {
+            signal?.addEventListener('abort', () => {
+              const error = new Error('Cancelled');
+              error.name = 'AbortError';
+              reject(error);
+            });
+          }),
+      );
+
+      const run = BatchQueue.run(createItems('https://a.com', 'https://b.com'), {
+        settings: { concurrency: 1, maxRetries: 2 },
+        process,
+        onItemChange,
+        signal: controller.signal,
+      });
+      controller.abort();
+
+      await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+      expect(process).toHaveBeenCalledTimes(1);
+      expect(onItemChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({ url: 'https://a.com', status: 'pending', attempts: 0 }),
+      );
+    });
+
+    it('should stop waiting for a retry when paused', async () => {
+      const controller = new AbortController();
+      const onItemChange = vi.fn((item: BatchItem) => {
+        if (item.status === 'retrying') controller.abort();
+      });
+
+      await expect(
+        BatchQueue.run(createItems('https://a.com'), {
+          settings: { concurrency: 1, maxRetries: 2 },
+          process: vi.fn().mockRejectedValue(new Error('Timeout')),
+          onItemChange,
+          signal: controller.signal,
+          retryDelayMs: 60000,
+        }),
+      ).rejects.toMatchObject({ name: 'AbortError' });
+      expect(onItemChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({ status: 'pending', attempts: 1, retryAt: null }),
+      );
+    });
+  });
+
+  describe('countByStatus', () => {
+    it('should count items per status', () => {
+      const [a, b, c] = createItems('https://a.com', 'https://b.com', 'https://c.com');
+
+      expect(BatchQueue.countByStatus([a, { ...b, status: 'done' }, { ...c, status: 'error' }])).toEqual({
+        pending: 1,
+        running: 0,
+        retrying: 0,
+        done: 1,
+        error: 1,
+      });
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should render the results table', () => {
+      const [a, b] = createItems('https://a.com/privacy', 'https://b.com/privacy');
+
+      const csv = BatchQueue.toCsv([
+        { ...a, ...RESULT, status: 'done', attempts: 1 },
+        { ...b, status: 'error', attempts: 3, error: 'Not found' },
+      ]);
+
+      expect(csv.split('\r\n')).toEqual([
+        '"URL","Status","Grade","Score","Critical Risks","High Risks","Attempts","Error"',
+        '"https://a.com/privacy","Done","C","72","0","2","1",""',
+        '"https://b.com/privacy","Failed","","","","","3","Not found"',
+        '',
+      ]);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should save and load the queue', () => {
+      const state = BatchQueue.createState(['https://a.com'], { concurrency: 3, maxRetries: 1 });
+
+      BatchQueue.save(state);
+
+      expect(BatchQueue.load()).toEqual(state);
+    });
+
+    it('should resume interrupted items as pending', () => {
+      const state = BatchQueue.createState(['https://a.com', 'https://b.com', 'https://c.com']);
+      state.items[0] = { ...state.items[0], status: 'running', attempts: 1 };
+      state.items[1] = { ...state.items[1], status: 'retrying', attempts: 1, retryAt: new Date().toISOString() };
+      state.items[2] = { ...state.items[2], ...RESULT, status: 'done', attempts: 1 };
+      BatchQueue.save(state);
+
+      const loaded = BatchQueue.load();
+
+      expect(loaded?.items.map((item) => item.status)).toEqual(['pending', 'pending', 'done']);
+      expect(loaded?.items[1].retryAt).toBeNull();
+      // Only the attempt the reload interrupted is given back
+      expect(loaded?.items.map((item) => item.attempts)).toEqual([0, 1, 1]);
+    });
+
+    it('should ignore missing or outdated queues', () => {
+      expect(BatchQueue.load()).toBeNull();
+
+      localStorage.setItem(STORAGE_KEYS.BATCH_QUEUE, JSON.stringify({ version: 99, items: [] }));
+
+      expect(BatchQueue.load()).toBeNull();
+    });
+
+    it('should clear the saved queue', () => {
+      BatchQueue.save(BatchQueue.createState(['https://a.com']));
+
+      BatchQueue.clear();
+
+      expect(BatchQueue.load()).toBeNull();
+    });
+  });
+});
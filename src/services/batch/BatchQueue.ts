@@ -0,0 +1,441 @@
+/**
+ * @file Batch Queue
+ * @description Queue for analyzing many policy URLs: parses pasted or
+ * uploaded URL lists, runs the queue with limited concurrency and retry with
+ * exponential backoff, and persists it so a page reload resumes the queue
+ * instead of restarting it
+ */
+
+import { CsvExporter } from "../export/CsvExporter.js";
+import { validateUrl } from "../../utils/validation.js";
+import { BATCH_CONFIG, STORAGE_KEYS } from "../../utils/constants.js";
+import {
+  clamp,
+  createAbortError,
+  generateId,
+  isAbortError,
+} from "../../utils/helpers.js";
+import {
+  getFromLocal,
+  removeFromLocal,
+  saveToLocal,
+} from "../../utils/storage.js";
+import type {
+  AnalysisResult,
+  BatchItem,
+  BatchItemStatus,
+  BatchQueueState,
+  BatchSettings,
+} from "../../types";
+
+/**
+ * Version of the persisted queue format
+ */
+const QUEUE_VERSION = 1;
+
+const STATUS_LABELS: Record<BatchItemStatus, string> = {
+  pending: "Pending",
+  running: "Analyzing",
+  retrying: "Waiting to retry",
+  done: "Done",
+  error: "Failed",
+};
+
+/**
+ * URLs found in a pasted or uploaded list
+ */
+export interface ParsedUrlList {
+  /** Valid, unique URLs in list order */
+  urls: string[];
+  /** Entries that look like URLs but are not valid */
+  invalid: string[];
+  /** Number of URLs listed more than once */
+  duplicates: number;
+}
+
+/**
+ * Fields stored on an item once its analysis is done
+ */
+export type BatchItemResult = Pick<
+  BatchItem,
+  "resultId" | "overallScore" | "overallGrade" | "criticalRisks" | "highRisks"
+>;
+
+/**
+ * Options for running the queue
+ */
+export interface BatchRunOptions {
+  settings: BatchSettings;
+  /** Analyzes one item */
+  process: (item: BatchItem, signal?: AbortSignal) => Promise<BatchItemResult>;
+  /** Called with the new state of an item whenever it changes */
+  onItemChange?: (item: BatchItem) => void;
+  /** Pauses the queue; interrupted items go back to pending */
+  signal?: AbortSignal;
+  /** Delay before the first retry (doubled for every further retry) */
+  retryDelayMs?: number;
+}
+
+export class BatchQueue {
+  /**
+   * Extracts policy URLs from pasted text or an uploaded text/CSV file.
+   * Entries are separated by line breaks, commas, semicolons or tabs; bare
+   * domains get https://, other words (such as CSV headers) are skipped.
+   * @param text - URL list
+   * @returns Valid, invalid and duplicate entries
+   */
+  static parseUrls(text: string): ParsedUrlList {
+    const urls: string[] = [];
+    const invalid: string[] = [];
+    const seen = new Set<string>();
+    let duplicates = 0;
+
+    for (const raw of (text || "").split(/[\r\n,;\t]+/)) {
+      const entry = raw
+        .trim()
+        .replace(/^["']+|["']+$/g, "")
+        .trim();
+      if (!entry) continue;
+
+      let candidate: string;
+      if (/^[a-z][a-z0-9+.-]*:\/\//i.test(entry)) {
+        candidate = entry;
+      } else if (/^[\w-]+(\.[\w-]+)+(\/\S*)?$/.test(entry)) {
+        candidate = `https://${entry}`;
+      } else {
+        continue;
+      }
+
+      if (!validateUrl(candidate).valid) {
+        invalid.push(entry);
+        continue;
+      }
+      if (seen.has(candidate)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(candidate);
+      urls.push(candidate);
+    }
+
+    return { urls, invalid, duplicates };
+  }
+
+  /**
+   * Creates a new queue
+   * @param urls - URLs to analyze, in order
+   * @param settings - Run settings
+   * @returns Queue state with every item pending
+   */
+  static createState(
+    urls: string[],
+    settings: Partial<BatchSettings> = {},
+  ): BatchQueueState {
+    return {
+      version: QUEUE_VERSION,
+      items: urls.map((url) => ({
+        id: generateId(),
+        url,
+        status: "pending",
+        attempts: 0,
+        error: null,
+        retryAt: null,
+        resultId: null,
+        overallScore: null,
+        overallGrade: null,
+        criticalRisks: null,
+        highRisks: null,
+      })),
+      settings: this.normalizeSettings(settings),
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Clamps run settings to the supported range
+   * @param settings - Requested settings
+   * @returns Settings with defaults for missing values
+   */
+  static normalizeSettings(
+    settings: Partial<BatchSettings> = {},
+  ): BatchSettings {
+    const concurrency = Number(settings.concurrency);
+    const maxRetries = Number(settings.maxRetries);
+    return {
+      concurrency: Number.isFinite(concurrency)
+        ? clamp(Math.round(concurrency), 1, BATCH_CONFIG.MAX_CONCURRENCY)
+        : BATCH_CONFIG.DEFAULT_CONCURRENCY,
+      maxRetries: Number.isFinite(maxRetries)
+        ? clamp(Math.round(maxRetries), 0, BATCH_CONFIG.MAX_RETRIES)
+        : BATCH_CONFIG.DEFAULT_MAX_RETRIES,
+    };
+  }
+
+  /**
+   * Delay before retrying an item (exponential backoff)
+   * @param attempt - Number of failed attempts so far (1 for the first retry)
+   * @param baseDelay - Delay before the first retry
+   * @returns Delay in milliseconds
+   */
+  static getRetryDelay(
+    attempt: number,
+    baseDelay: number = BATCH_CONFIG.RETRY_BASE_DELAY_MS,
+  ): number {
+    return Math.min(
+      baseDelay * 2 ** Math.max(attempt - 1, 0),
+      BATCH_CONFIG.RETRY_MAX_DELAY_MS,
+    );
+  }
+
+  /**
+   * Summary fields of a finished analysis for the results table
+   * @param result - Analysis result
+   * @returns Fields to store on the item
+   */
+  static summarizeResult(result: AnalysisResult): BatchItemResult {
+    const risks = result.risks || [];
+    return {
+      resultId: result.id,
+      overallScore: result.scorecard?.overallScore ?? null,
+      overallGrade: result.scorecard?.overallGrade ?? null,
+      criticalRisks: risks.filter((risk) => risk.severity === "critical")
+        .length,
+      highRisks: risks.filter((risk) => risk.severity === "high").length,
+    };
+  }
+
+  /**
+   * Analyzes every pending item, at most settings.concurrency at a time.
+   * Failed items are retried with exponential backoff up to
+   * settings.maxRetries times before they are marked as failed.
+   * @param items - Queue items (not modified)
+   * @param options - Run options
+   * @returns Items after the run
+   * @throws AbortError if the run is paused through the signal
+   */
+  static async run(
+    items: BatchItem[],
+    options: BatchRunOptions,
+  ): Promise<BatchItem[]> {
+    const { settings, process, onItemChange, signal } = options;
+    const retryDelayMs =
+      options.retryDelayMs ?? BATCH_CONFIG.RETRY_BASE_DELAY_MS;
+    const queue = items.map((item) => ({ ...item }));
+    const pending = queue.flatMap((item, index) =>
+      item.status === "pending" ? [index] : [],
+    );
+
+    const update = (index: number, changes: Partial<BatchItem>) => {
+      queue[index] = { ...queue[index], ...changes };
+      onItemChange?.(queue[index]);
+    };
+
+    const runItem = async (index: number): Promise<void> => {
+      for (;;) {
+        update(index, {
+          status: "running",
+          attempts: queue[index].attempts + 1,
+          retryAt: null,
+        });
+
+        let message: string;
+        try {
+          const result = await process(queue[index], signal);
+          update(index, { ...result, status: "done", error: null });
+          return;
+        } catch (err) {
+          if (signal?.aborted || isAbortError(err)) {
+            // The interrupted attempt does not count against the retries
+            update(index, {
+              status: "pending",
+              attempts: queue[index].attempts - 1,
+            });
+            throw createAbortError();
+          }
+          message =
+            (err instanceof Error ? err.message : null) ||
+            "Failed to analyze policy";
+        }
+
+        if (queue[index].attempts > settings.maxRetries) {
+          update(index, { status: "error", error: message });
+          return;
+        }
+
+        const wait = this.getRetryDelay(queue[index].attempts, retryDelayMs);
+        update(index, {
+          status: "retrying",
+          error: message,
+          retryAt: new Date(Date.now() + wait).toISOString(),
+        });
+        try {
+          await this.wait(wait, signal);
+        } catch (err) {
+          update(index, { status: "pending", retryAt: null });
+          throw err;
+        }
+      }
+    };
+
+    const worker = async (): Promise<void> => {
+      while (pending.length > 0) {
+        if (signal?.aborted) throw createAbortError();
+        await runItem(pending.shift()!);
+      }
+    };
+
+    const workers = Array.from(
+      { length: Math.min(settings.concurrency, pending.length) },
+      worker,
+    );
+    // Let every worker settle so interrupted items are reset before returning
+    const outcomes = await Promise.allSettled(workers);
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+    const failure = outcomes.find(
+      (outcome): outcome is PromiseRejectedResult =>
+        outcome.status === "rejected",
+    );
+    if (failure) {
+      throw failure.reason;
+    }
+
+    return queue;
+  }
+
+  /**
+   * Counts items per status
+   * @param items - Queue items
+   * @returns Number of items per status
+   */
+  static countByStatus(items: BatchItem[]): Record<BatchItemStatus, number> {
+    const counts: Record<BatchItemStatus, number> = {
+      pending: 0,
+      running: 0,
+      retrying: 0,
+      done: 0,
+      error: 0,
+    };
+    items.forEach((item) => counts[item.status]++);
+    return counts;
+  }
+
+  /**
+   * Label for an item status
+   * @param status - Item status
+   * @returns Human-readable label
+   */
+  static getStatusLabel(status: BatchItemStatus): string {
+    return STATUS_LABELS[status];
+  }
+
+  /**
+   * Renders the results table as CSV
+   * @param items - Queue items
+   * @returns CSV text with a header row
+   */
+  static toCsv(items: BatchItem[]): string {
+    const format = (value: number | string | null) =>
+      value === null ? "" : String(value);
+
+    return CsvExporter.renderRows([
+      [
+        "URL",
+        "Status",
+        "Grade",
+        "Score",
+        "Critical Risks",
+        "High Risks",
+        "Attempts",
+        "Error",
+      ],
+      ...items.map((item) => [
+        item.url,
+        this.getStatusLabel(item.status),
+        format(item.overallGrade),
+        format(item.overallScore),
+        format(item.criticalRisks),
+        format(item.highRisks),
+        String(item.attempts),
+        item.status === "done" ? "" : item.error || "",
+      ]),
+    ]);
+  }
+
+  /**
+   * Saves the queue so it survives a page reload
+   * @param state - Queue state
+   * @returns Success status
+   */
+  static save(state: BatchQueueState): boolean {
+    return saveToLocal(STORAGE_KEYS.BATCH_QUEUE, state);
+  }
+
+  /**
+   * Loads the saved queue. Items that were running when the page was closed
+   * are pending again.
+   * @returns Queue state, or null if there is no valid saved queue
+   */
+  static load(): BatchQueueState | null {
+    const state = getFromLocal<BatchQueueState>(STORAGE_KEYS.BATCH_QUEUE);
+    if (
+      !state ||
+      state.version !== QUEUE_VERSION ||
+      !Array.isArray(state.items) ||
+      state.items.length === 0
+    ) {
+      return null;
+    }
+
+    return {
+      ...state,
+      items: state.items.map((item) => {
+        // A reload interrupts the running attempt like a pause does, so it
+        // does not count against the retries (a retrying item's did fail)
+        if (item.status === "running") {
+          return {
+            ...item,
+            status: "pending",
+            attempts: Math.max(0, item.attempts - 1),
+            retryAt: null,
+          };
+        }
+        return item.status === "retrying"
+          ? { ...item, status: "pending", retryAt: null }
+          : item;
+      }),
+      settings: this.normalizeSettings(state.settings),
+    };
+  }
+
+  /**
+   * Removes the saved queue
+   * @returns Success status
+   */
+  static clear(): boolean {
+    return removeFromLocal(STORAGE_KEYS.BATCH_QUEUE);
+  }
+
+  /**
+   * Waits before a retry, stopping early when the queue is paused
+   * @private
+   */
+  private static wait(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+}
@@ -0,0 +1,6 @@
+/**
+ * @file Batch services barrel export
+ */
+
+export { BatchQueue } from './BatchQueue.js';
+export type { BatchItemResult, BatchRunOptions, ParsedUrlList } from './BatchQueue.js';
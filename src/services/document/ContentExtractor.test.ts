@@ -0,0 +1,176 @@
+/**
+ * @file ContentExtractor Tests
+ * @description Tests for main-content extraction from policy pages
+ */
+
+import { describe, it, expect } from "vitest";
+import { ContentExtractor } from "./ContentExtractor.js";
+
+const PARAGRAPH =
+  "We collect personal information such as your name, email address and device identifiers, and we share it with service providers, advertisers and analytics partners. ";
+
+/**
+ * A section of policy prose
+ */
+function section(heading: string, paragraphs = 3): string {
+  return `<h2>${heading}</h2>${`<p>${PARAGRAPH}</p>`.repeat(paragraphs)}`;
+}
+
+/**
+ * A page with the given content between typical page furniture
+ */
+function page(content: string, extra = ""): string {
+  return `<html><body>
+    <header><a href="/">Home</a><a href="/shop">Shop</a></header>
+    <nav><ul><li><a href="/a">Products and services for everyone</a></li></ul></nav>
+    ${content}
+    ${extra}
+    <footer><p>Copyright Example Inc. All rights reserved worldwide.</p></footer>
+  </body></html>`;
+}
+
+describe("ContentExtractor", () => {
+  describe("extract", () => {
+    it("should keep the main content and drop navigation and related links", () => {
+      const { text, report } = ContentExtractor.extract(
+        page(
+          `<main><h1>Privacy Policy</h1>${section("Information We Collect")}</main>`,
+          `<div class="related-articles"><h3>Read next</h3><p><a href="/x">How we build trust with our customers every day</a></p></div>`,
+        ),
+      );
+
+      expect(
+        text.startsWith("# Privacy Policy\n\n## Information We Collect"),
+      ).toBe(true);
+      expect(text).not.toContain("Read next");
+      expect(text).not.toContain("Products and services");
+      expect(text).not.toContain("Copyright");
+      expect(report.method).toBe("main-content");
+      expect(report.removedBoilerplate).toBeGreaterThanOrEqual(3);
+    });
+
+    it("should pick the container with the most prose", () => {
+      const { text } = ContentExtractor.extract(
+        page(
+          `<div class="layout">
+            <div class="promo-strip"><p>Sign up today and save on your first order with us.</p></div>
+            <div class="legal-text">${section("Sharing", 5)}</div>
+          </div>`,
+        ),
+      );
+
+      expect(text).toContain("## Sharing");
+      expect(text).not.toContain("Sign up today");
+    });
+
+    it("should gather sibling sections of a policy split into parts", () => {
+      const { text } = ContentExtractor.extract(
+        page(
+          `<div id="wrapper">
+            <h1>Privacy Policy</h1>
+            <section>${section("Collection", 4)}</section>
+            <section>${section("Sharing", 2)}</section>
+            <section>${section("Retention", 2)}</section>
+          </div>`,
+        ),
+      );
+
+      expect(text).toContain("# Privacy Policy");
+      expect(text).toContain("## Collection");
+      expect(text).toContain("## Sharing");
+      expect(text).toContain("## Retention");
+    });
+
+    it("should use the whole page when it has no prose blocks", () => {
+      const { text, fullText, report } = ContentExtractor.extract(
+        `<body><div>${PARAGRAPH.repeat(5)}</div></body>`,
+      );
+
+      expect(text).toBe(fullText);
+      expect(report.method).toBe("full-page");
+      expect(report.warnings).toContainEqual(
+        expect.stringContaining("whole page"),
+      );
+    });
+
+    it("should report the whole page text without navigation", () => {
+      const { fullText } = ContentExtractor.extract(
+        page(
+          `<main>${section("Cookies")}</main>`,
+          `<div class="share-buttons"><p>Share this policy with your friends and family today.</p></div>`,
+        ),
+      );
+
+      expect(fullText).toContain("Share this policy");
+      expect(fullText).not.toContain("Products and services");
+    });
+  });
+
+  describe("removeConsentManagers", () => {
+    it("should remove known consent managers and cookie banners", () => {
+      const { text, report } = ContentExtractor.extract(
+        page(
+          `<main><h1>Privacy Policy</h1>${section("Cookies")}</main>`,
+          `<div id="onetrust-consent-sdk"><p>We value your privacy. Accept all cookies or manage your preferences.</p></div>
+           <div class="site-cookie-banner"><p>This site uses cookies. By continuing you agree to our use of cookies.</p></div>`,
+        ),
+      );
+
+      expect(text).not.toContain("Accept all cookies");
+      expect(text).not.toContain("By continuing");
+      expect(report.removedConsent).toBe(2);
+    });
+
+    it("should keep long content named after cookies", () => {
+      const body = new DOMParser().parseFromString(
+        `<div class="cookie-notice">${PARAGRAPH.repeat(30)}</div>`,
+        "text/html",
+      ).body;
+
+      expect(ContentExtractor.removeConsentManagers(body)).toBe(0);
+      expect(body.textContent).toContain("We collect personal information");
+    });
+  });
+
+  describe("report", () => {
+    it("should rate a well-structured policy as good", () => {
+      const { report } = ContentExtractor.extract(
+        page(
+          `<main><h1>Privacy Policy</h1>${section("Collection")}${section("Sharing")}</main>`,
+        ),
+      );
+
+      expect(report.quality).toBe("good");
+      expect(report.warnings).toEqual([]);
+      expect(report.headingCount).toBe(3);
+      expect(report.contentLength).toBeGreaterThan(500);
+    });
+
+    it("should rate text that is not a policy as poor", () => {
+      const recipe =
+        "Whisk the eggs with sugar, then fold in the flour, butter and a pinch of salt until smooth. ";
+      const { report } = ContentExtractor.extract(
+        `<body><article><h1>Cake</h1><p>${recipe.repeat(4)}</p><p>${recipe.repeat(4)}</p></article></body>`,
+      );
+
+      expect(report.quality).toBe("poor");
+      expect(report.warnings).toContainEqual(
+        expect.stringContaining("may not be a privacy policy"),
+      );
+    });
+
+    it("should warn when most of the page text was left out", () => {
+      const { report } = ContentExtractor.extract(
+        `<body>
+          <div class="content">${section("Summary", 4)}</div>
+          <div><div>${PARAGRAPH.repeat(20)}</div></div>
+        </body>`,
+      );
+
+      expect(report.quality).toBe("fair");
+      expect(report.warnings).toContainEqual(
+        expect.stringMatching(/Only \d+% of the page text was kept/),
+      );
+    });
+  });
+});
@@ -0,0 +1,460 @@
+/**
+ * @file Content Extractor Service
+ * @description Finds the policy text on a fetched web page. Cookie consent
+ * managers, navigation and "related content" blocks are removed, and the
+ * main content block is chosen by scoring containers on how much prose they
+ * hold (the approach of Mozilla's Readability). The result comes with a
+ * report the user can check before the text is analyzed.
+ */
+
+import { DocumentStructure } from "./DocumentStructure.js";
+import { CONTENT_EXTRACTION } from "../../utils/constants.js";
+import type {
+  ExtractionQuality,
+  ExtractionReport,
+  PageExtraction,
+} from "../../types/index.js";
+
+/** Elements that never hold policy text */
+const NON_CONTENT_SELECTORS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "iframe",
+  "svg",
+  "canvas",
+  "select",
+];
+
+/** Page furniture around the content */
+const BOILERPLATE_SELECTORS = [
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  "dialog",
+  '[role="navigation"]',
+  '[role="banner"]',
+  '[role="contentinfo"]',
+  '[role="complementary"]',
+  '[role="search"]',
+  '[role="dialog"]',
+  '[role="alertdialog"]',
+];
+
+/**
+ * Containers of known consent management platforms. Cookie declarations
+ * that some of them render into the policy itself (OneTrust's
+ * #ot-sdk-cookie-policy, Cookiebot's #CookieDeclaration) are content and
+ * are not listed.
+ */
+const CONSENT_SELECTORS = [
+  "#onetrust-consent-sdk",
+  "#onetrust-banner-sdk",
+  "#onetrust-pc-sdk",
+  "#CybotCookiebotDialog",
+  "#usercentrics-root",
+  "#usercentrics-cmp-ui",
+  "#didomi-host",
+  "#qc-cmp2-container",
+  "#truste-consent-track",
+  "#consent_blackbar",
+  ".truste_box_overlay",
+  '[id^="sp_message_container"]',
+  "#iubenda-cs-banner",
+  ".osano-cm-window",
+  ".cc-window",
+  ".cc-banner",
+  "#cmpbox",
+  "#cmpbox2",
+  "#cookiescript_injected",
+  "#cookie-law-info-bar",
+  ".cky-consent-container",
+  "#cmplz-cookiebanner-container",
+  ".cmplz-cookiebanner",
+  "#BorlabsCookieBox",
+  "#moove_gdpr_cookie_modal",
+  "#moove_gdpr_cookie_info_bar",
+  "#termly-code-snippet-support",
+  "#hs-eu-cookie-confirmation",
+  "#CookieConsent",
+  "#cookie-notice",
+  "#gdpr-cookie-message",
+];
+
+/** Names of home-grown consent banners */
+const CONSENT_NAME_PATTERN =
+  /(cookie|consent|gdpr)[-_]?(banner|bar|notice|notification|popup|modal|dialog|overlay|wall|box|prompt|manager)/i;
+
+/** Names of blocks that are rarely content (Readability's "unlikely candidates") */
+const UNLIKELY_PATTERN =
+  /breadcrumb|combx|comment|community|disqus|menu|mega-?nav|related|recommend|remark|replies|rss|share|sharing|social|shoutbox|sidebar|skyscraper|sponsor|newsletter|subscribe|signup|promo|advert|pagination|pager|popup|skip-?link|toolbar|widget/i;
+
+/** Names that rescue an unlikely-looking block */
+const MAYBE_CONTENT_PATTERN =
+  /article|body|column|content|main|policy|privacy|legal|notice|terms/i;
+
+const POSITIVE_PATTERN =
+  /article|body|content|entry|main|page|post|text|prose|policy|privacy|legal|terms/i;
+
+const NEGATIVE_PATTERN =
+  /hidden|banner|comment|footer|footnote|masthead|media|meta|promo|related|share|sidebar|sponsor|shopping|tags|widget|menu|nav/i;
+
+/** Text blocks whose length and commas score their containers */
+const SCORED_SELECTOR = "p, pre, td, li, dd, blockquote";
+
+/** Words that appear in practically every privacy policy */
+const POLICY_PATTERN =
+  /personal (data|information)|privacy|cookies?\b|third[- ]part(y|ies)/i;
+
+/**
+ * Collapses whitespace to single spaces
+ */
+function normalize(text: string | null): string {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Class and id of an element, for name-based heuristics
+ */
+function getName(element: Element): string {
+  return `${element.getAttribute("class") || ""} ${element.id}`;
+}
+
+export class ContentExtractor {
+  /**
+   * Extracts the policy text of an HTML page
+   * @param html - HTML content
+   * @returns Main content, the whole page text and an extraction report
+   */
+  static extract(html: string): PageExtraction {
+    const doc = new DOMParser().parseFromString(html, "text/html");
+    const body = doc.body;
+
+    this.removeAll(body, NON_CONTENT_SELECTORS);
+    const removedConsent = this.removeConsentManagers(body);
+    let removedBoilerplate = this.removeAll(body, BOILERPLATE_SELECTORS);
+
+    const fullText = this.toText(body);
+
+    removedBoilerplate += this.removeUnlikelyBlocks(body);
+    const main = this.findMainContent(body);
+    let text = main ? this.toText(main) : "";
+    let method: ExtractionReport["method"] = "main-content";
+
+    // Too little prose to tell content from furniture: keep everything
+    if (
+      !main ||
+      (text.length < CONTENT_EXTRACTION.MIN_CONTENT_LENGTH &&
+        fullText.length > text.length * 2)
+    ) {
+      text = fullText;
+      method = "full-page";
+    }
+
+    const report = this.createReport({
+      text,
+      method,
+      pageLength: fullText.length,
+      linkDensity:
+        main && method === "main-content"
+          ? this.getLinkDensity(main)
+          : this.getLinkDensity(body),
+      removedConsent,
+      removedBoilerplate,
+    });
+
+    return { text, fullText, report };
+  }
+
+  /**
+   * Removes the banners and dialogs of cookie consent managers
+   * @param root - Element to clean
+   * @returns Number of elements removed
+   */
+  static removeConsentManagers(root: Element): number {
+    let removed = this.removeAll(root, CONSENT_SELECTORS);
+
+    for (const element of Array.from(root.querySelectorAll("[id], [class]"))) {
+      if (!element.isConnected || element === root) continue;
+      const label = element.getAttribute("aria-label") || "";
+      const named =
+        CONSENT_NAME_PATTERN.test(getName(element)) ||
+        (/cookie|consent/i.test(label) &&
+          /dialog|region|alertdialog/.test(element.getAttribute("role") || ""));
+      // A long element named after cookies is the cookie policy itself
+      if (
+        named &&
+        normalize(element.textContent).length <=
+          CONTENT_EXTRACTION.MAX_CONSENT_LENGTH
+      ) {
+        element.remove();
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Finds the element that holds the main content of a page
+   * @param root - Page body with consent banners and navigation removed
+   * @returns Best-scoring container, or null when the page has no prose
+   */
+  static findMainContent(root: Element): Element | null {
+    const scores = this.scoreCandidates(root);
+
+    let top: Element | null = null;
+    let topScore = 0;
+    for (const [element, score] of scores) {
+      const finalScore = score * (1 - this.getLinkDensity(element));
+      scores.set(element, finalScore);
+      if (finalScore > topScore) {
+        top = element;
+        topScore = finalScore;
+      }
+    }
+    if (!top || top === root) return top;
+
+    // Policies are often split over sibling sections that each score well;
+    // gather the siblings that belong to the content
+    const parent = top.parentElement;
+    if (!parent) return top;
+
+    const threshold = Math.max(10, topScore * 0.2);
+    const siblings = Array.from(parent.children);
+    const included = siblings.filter(
+      (sibling) =>
+        sibling === top ||
+        (scores.get(sibling) || 0) >= threshold ||
+        this.isContentParagraph(sibling),
+    );
+    // Keep the heading that introduces an included block
+    const withHeadings = siblings.filter(
+      (sibling, index) =>
+        included.includes(sibling) ||
+        (/^h[1-6]$/.test(sibling.localName) &&
+          included.includes(siblings[index + 1])),
+    );
+
+    if (withHeadings.length === 1) return top;
+
+    const container = root.ownerDocument.createElement("div");
+    for (const sibling of withHeadings) {
+      container.appendChild(sibling.cloneNode(true));
+    }
+    return container;
+  }
+
+  /**
+   * Removes elements matching any of the selectors
+   * @private
+   */
+  private static removeAll(root: Element, selectors: string[]): number {
+    const elements = root.querySelectorAll(selectors.join(","));
+    let removed = 0;
+    elements.forEach((element) => {
+      // Nested matches go with their ancestor
+      if (element.isConnected) {
+        element.remove();
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Removes blocks whose class or id marks them as menus, sharing widgets,
+   * related links and the like
+   * @private
+   */
+  private static removeUnlikelyBlocks(root: Element): number {
+    let removed = 0;
+    for (const element of Array.from(root.querySelectorAll("[id], [class]"))) {
+      if (!element.isConnected) continue;
+      if (["body", "main", "article", "a"].includes(element.localName)) {
+        continue;
+      }
+      const name = getName(element);
+      if (UNLIKELY_PATTERN.test(name) && !MAYBE_CONTENT_PATTERN.test(name)) {
+        element.remove();
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Scores the containers of text blocks: each block adds points for its
+   * length and commas to its parent, and fewer to more distant ancestors
+   * @private
+   */
+  private static scoreCandidates(root: Element): Map<Element, number> {
+    const scores = new Map<Element, number>();
+
+    for (const block of Array.from(root.querySelectorAll(SCORED_SELECTOR))) {
+      const text = normalize(block.textContent);
+      if (text.length < CONTENT_EXTRACTION.MIN_PARAGRAPH_LENGTH) continue;
+
+      const points =
+        1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+
+      let ancestor = block.parentElement;
+      for (let level = 0; ancestor && level < 5; level++) {
+        if (!scores.has(ancestor)) {
+          scores.set(ancestor, this.getInitialScore(ancestor));
+        }
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(ancestor, scores.get(ancestor)! + points / divider);
+        if (ancestor === root) break;
+        ancestor = ancestor.parentElement;
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Score of a container before its text is counted, from its tag and name
+   * @private
+   */
+  private static getInitialScore(element: Element): number {
+    let score = 0;
+    switch (element.localName) {
+      case "main":
+      case "article":
+        score += 10;
+        break;
+      case "div":
+      case "section":
+        score += 5;
+        break;
+      case "pre":
+      case "td":
+      case "blockquote":
+        score += 3;
+        break;
+      case "ol":
+      case "ul":
+      case "dl":
+      case "dd":
+      case "li":
+        score -= 3;
+        break;
+    }
+    if (element.getAttribute("role") === "main") score += 10;
+
+    const name = getName(element);
+    if (POSITIVE_PATTERN.test(name)) score += 25;
+    if (NEGATIVE_PATTERN.test(name)) score -= 25;
+    return score;
+  }
+
+  /**
+   * Whether a sibling of the main content is a paragraph of prose
+   * @private
+   */
+  private static isContentParagraph(element: Element): boolean {
+    if (element.localName !== "p") return false;
+    const length = normalize(element.textContent).length;
+    return length > 80 && this.getLinkDensity(element) < 0.25;
+  }
+
+  /**
+   * Share of an element's text that is link text
+   * @private
+   */
+  private static getLinkDensity(element: Element): number {
+    const length = normalize(element.textContent).length;
+    if (length === 0) return 0;
+    const linkLength = Array.from(element.querySelectorAll("a")).reduce(
+      (sum, link) => sum + normalize(link.textContent).length,
+      0,
+    );
+    return Math.min(linkLength / length, 1);
+  }
+
+  /**
+   * Structured text of an element
+   * @private
+   */
+  private static toText(element: Element): string {
+    return DocumentStructure.toText(DocumentStructure.fromHtml(element));
+  }
+
+  /**
+   * Rates the extraction and lists what the user should check
+   * @private
+   */
+  private static createReport({
+    text,
+    method,
+    pageLength,
+    linkDensity,
+    removedConsent,
+    removedBoilerplate,
+  }: Omit<
+    ExtractionReport,
+    "quality" | "contentLength" | "headingCount" | "warnings"
+  > & { text: string }): ExtractionReport {
+    const headingCount = DocumentStructure.getOutline(text).length;
+    const warnings: string[] = [];
+    let quality: ExtractionQuality = "good";
+    const flag = (level: ExtractionQuality, warning: string) => {
+      warnings.push(warning);
+      if (level === "poor" || quality === "good") quality = level;
+    };
+
+    if (text.length < CONTENT_EXTRACTION.MIN_CONTENT_LENGTH) {
+      flag(
+        "poor",
+        "Very little text was found. The page may load the policy with JavaScript; try pasting the text instead.",
+      );
+    }
+    if (text && !POLICY_PATTERN.test(text)) {
+      flag(
+        "poor",
+        "The text does not mention personal data, privacy or cookies. It may not be a privacy policy.",
+      );
+    }
+    if (method === "full-page") {
+      flag(
+        "fair",
+        "No main content block was found, so the whole page is used. It may include menus or other page text.",
+      );
+    } else if (
+      pageLength > 0 &&
+      text.length / pageLength < CONTENT_EXTRACTION.LOW_CONTENT_RATIO
+    ) {
+      flag(
+        "fair",
+        `Only ${Math.round((text.length / pageLength) * 100)}% of the page text was kept. Check that no sections of the policy are missing.`,
+      );
+    }
+    if (linkDensity > CONTENT_EXTRACTION.HIGH_LINK_DENSITY) {
+      flag(
+        "fair",
+        "Much of the text is links, so it may include menus or link lists.",
+      );
+    }
+    if (headingCount === 0 && text.length > 0) {
+      flag(
+        "fair",
+        "No section headings were found, so findings cannot name the section they come from.",
+      );
+    }
+
+    return {
+      method,
+      quality,
+      pageLength,
+      contentLength: text.length,
+      linkDensity: Math.round(linkDensity * 100) / 100,
+      headingCount,
+      removedConsent,
+      removedBoilerplate,
+      warnings,
+    };
+  }
+}
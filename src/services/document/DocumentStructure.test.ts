@@ -0,0 +1,264 @@
+/**
+ * @file DocumentStructure Tests
+ * @description Tests for building and serializing the structured document model
+ */
+
+import { describe, it, expect } from "vitest";
+import { DocumentStructure, type PDFTextLine } from "./DocumentStructure.js";
+
+/**
+ * Parses HTML and returns its body
+ */
+function body(html: string): HTMLElement {
+  return new DOMParser().parseFromString(html, "text/html").body;
+}
+
+/**
+ * A PDF line on page 1
+ */
+function line(text: string, fontSize: number, y: number): PDFTextLine {
+  return { text, fontSize, y, page: 1 };
+}
+
+describe("DocumentStructure", () => {
+  describe("fromHtml", () => {
+    it("should read headings and paragraphs", () => {
+      const blocks = DocumentStructure.fromHtml(
+        body(
+          "<h1>Privacy  Policy</h1><div><h3>Cookies</h3><p>We use\n cookies.</p></div>",
+        ),
+      );
+
+      expect(blocks).toEqual([
+        { type: "heading", level: 1, text: "Privacy Policy" },
+        { type: "heading", level: 3, text: "Cookies" },
+        { type: "paragraph", text: "We use cookies." },
+      ]);
+    });
+
+    it("should read ARIA headings", () => {
+      const blocks = DocumentStructure.fromHtml(
+        body('<div role="heading" aria-level="2">Your Rights</div>'),
+      );
+
+      expect(blocks).toEqual([
+        { type: "heading", level: 2, text: "Your Rights" },
+      ]);
+    });
+
+    it("should keep inline elements within their paragraph", () => {
+      const blocks = DocumentStructure.fromHtml(
+        body(
+          "<div>Contact <a href='#'>our DPO</a> at <b>dpo@example.com</b>.</div>",
+        ),
+      );
+
+      expect(blocks).toEqual([
+        { type: "paragraph", text: "Contact our DPO at dpo@example.com." },
+      ]);
+    });
+
+    it("should split paragraphs on consecutive line breaks", () => {
+      const blocks = DocumentStructure.fromHtml(
+        body("<div>First paragraph.<br><br>Second paragraph.</div>"),
+      );
+
+      expect(blocks).toEqual([
+        { type: "paragraph", text: "First paragraph." },
+        { type: "paragraph", text: "Second paragraph." },
+      ]);
+    });
+
+    it("should read ordered and unordered lists, flattening nested lists", () => {
+      const blocks = DocumentStructure.fromHtml(
+        body(
+          "<ol><li>Access</li><li>Deletion</li></ol>" +
+            "<ul><li>Email<ul><li>Work email</li></ul></li></ul>",
+        ),
+      );
+
+      expect(blocks).toEqual([
+        { type: "list", ordered: true, items: ["Access", "Deletion"] },
+        { type: "list", ordered: false, items: ["Email", "Work email"] },
+      ]);
+    });
+
+    it("should read data tables with their caption", () => {
+      const blocks = DocumentStructure.fromHtml(
+        body(
+          "<table><caption>Retention</caption><tr><th>Data</th><th>Kept for</th></tr><tr><td>Logs</td><td>90 days</td></tr></table>",
+        ),
+      );
+
+      expect(blocks).toEqual([
+        { type: "paragraph", text: "Retention" },
+        {
+          type: "table",
+          rows: [
+            ["Data", "Kept for"],
+            ["Logs", "90 days"],
+          ],
+        },
+      ]);
+    });
+
+    it("should treat single-column layout tables as containers", () => {
+      const blocks = DocumentStructure.fromHtml(
+        body(
+          "<table><tr><td><h2>Sharing</h2><p>We share data.</p></td></tr></table>",
+        ),
+      );
+
+      expect(blocks).toEqual([
+        { type: "heading", level: 2, text: "Sharing" },
+        { type: "paragraph", text: "We share data." },
+      ]);
+    });
+  });
+
+  describe("fromPdfLines", () => {
+    it("should rank headings by font size", () => {
+      const blocks = DocumentStructure.fromPdfLines([
+        line("Privacy Policy", 20, 700),
+        line("Body text of the policy.", 10, 670),
+        line("Cookies", 14, 640),
+        line("More body text.", 10, 620),
+      ]);
+
+      expect(blocks).toEqual([
+        { type: "heading", level: 1, text: "Privacy Policy" },
+        { type: "paragraph", text: "Body text of the policy." },
+        { type: "heading", level: 2, text: "Cookies" },
+        { type: "paragraph", text: "More body text." },
+      ]);
+    });
+
+    it("should merge wrapped lines and split paragraphs on large gaps", () => {
+      const blocks = DocumentStructure.fromPdfLines([
+        line("We collect your infor-", 10, 700),
+        line("mation when you sign up.", 10, 688),
+        line("We keep it for a year.", 10, 660),
+      ]);
+
+      expect(blocks).toEqual([
+        {
+          type: "paragraph",
+          text: "We collect your information when you sign up.",
+        },
+        { type: "paragraph", text: "We keep it for a year." },
+      ]);
+    });
+
+    it("should merge headings that wrap over several lines", () => {
+      const blocks = DocumentStructure.fromPdfLines([
+        line("How We Share Your", 16, 700),
+        line("Personal Information", 16, 682),
+        line("We share data with advertising and analytics partners.", 10, 660),
+      ]);
+
+      expect(blocks[0]).toEqual({
+        type: "heading",
+        level: 1,
+        text: "How We Share Your Personal Information",
+      });
+    });
+
+    it("should read bulleted lines as list items", () => {
+      const blocks = DocumentStructure.fromPdfLines([
+        line("We collect:", 10, 700),
+        line("• Your email", 10, 688),
+        line("• Your location, when", 10, 676),
+        line("you allow it", 10, 664),
+      ]);
+
+      expect(blocks).toEqual([
+        { type: "paragraph", text: "We collect:" },
+        {
+          type: "list",
+          ordered: false,
+          items: ["Your email", "Your location, when you allow it"],
+        },
+      ]);
+    });
+
+    it("should start a new paragraph on each page and on forced breaks", () => {
+      const blocks = DocumentStructure.fromPdfLines([
+        line("End of page one.", 10, 100),
+        { text: "Start of page two.", fontSize: 10, y: 700, page: 2 },
+        {
+          text: "Recognized text.",
+          fontSize: 0,
+          y: 0,
+          page: 3,
+          breakBefore: true,
+        },
+      ]);
+
+      expect(blocks).toHaveLength(3);
+    });
+
+    it("should not find headings without font sizes", () => {
+      const blocks = DocumentStructure.fromPdfLines([
+        { text: "Privacy Policy", fontSize: 0, y: 0, page: 1 },
+        { text: "We collect data.", fontSize: 0, y: 0, page: 1 },
+      ]);
+
+      expect(blocks.every((block) => block.type !== "heading")).toBe(true);
+    });
+  });
+
+  describe("toText", () => {
+    it("should serialize blocks as Markdown-style text", () => {
+      const text = DocumentStructure.toText([
+        { type: "heading", level: 2, text: "Your  Rights" },
+        { type: "paragraph", text: "You can ask us to:" },
+        { type: "list", ordered: true, items: ["Access", "Delete"] },
+        {
+          type: "table",
+          rows: [
+            ["Right", "Deadline"],
+            ["Access | copy", "30 days"],
+          ],
+        },
+      ]);
+
+      expect(text).toBe(
+        "## Your Rights\n\n" +
+          "You can ask us to:\n\n" +
+          "1. Access\n2. Delete\n\n" +
+          "| Right | Deadline |\n| --- | --- |\n| Access / copy | 30 days |",
+      );
+    });
+
+    it("should skip empty blocks", () => {
+      const text = DocumentStructure.toText([
+        { type: "paragraph", text: "  " },
+        { type: "list", ordered: false, items: [] },
+        { type: "paragraph", text: "Kept" },
+      ]);
+
+      expect(text).toBe("Kept");
+    });
+  });
+
+  describe("getOutline", () => {
+    it("should list headings with their offsets", () => {
+      const text = "# Privacy Policy\n\nIntro.\n\n## Sharing ##\n\nWe share.";
+
+      const outline = DocumentStructure.getOutline(text);
+
+      expect(outline).toEqual([
+        { title: "Privacy Policy", level: 1, start: 0, end: 16 },
+        { title: "Sharing", level: 2, start: 26, end: 39 },
+      ]);
+      expect(text.slice(outline[1].start, outline[1].end)).toBe(
+        "## Sharing ##",
+      );
+    });
+
+    it("should ignore hashes that are not headings", () => {
+      expect(DocumentStructure.getOutline("#hashtag\n\nIssue #12")).toEqual([]);
+      expect(DocumentStructure.getOutline("")).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,476 @@
+/**
+ * @file Document Structure Service
+ * @description Builds a structured model of a policy (headings, paragraphs,
+ * lists and tables) from HTML or positioned PDF text, and serializes it to
+ * the Markdown-style text that is stored as `rawText`, sent to the model and
+ * used for the table of contents
+ */
+
+import type { DocumentBlock, DocumentOutlineEntry } from "../../types/index.js";
+
+/**
+ * A line of text on a PDF page
+ */
+export interface PDFTextLine {
+  text: string;
+  /** Font size in PDF units; 0 when unknown (never treated as a heading) */
+  fontSize: number;
+  /** Baseline position, measured up from the bottom of the page */
+  y: number;
+  /** 1-based page number */
+  page: number;
+  /** Starts a new paragraph regardless of spacing (e.g. OCR paragraphs) */
+  breakBefore?: boolean;
+}
+
+/** Lines this much larger than the body text are headings */
+const HEADING_SIZE_RATIO = 1.15;
+
+/** Longer lines are body text set in a large font, not headings */
+const MAX_HEADING_LENGTH = 150;
+
+/** Vertical gaps larger than this many font sizes separate paragraphs */
+const PARAGRAPH_GAP_RATIO = 1.6;
+
+/** Bullet glyphs that start a PDF list item */
+const BULLET_PATTERN = /^[•◦▪▫‣●○■□–·*]\s*/;
+
+const HEADING_LEVELS: Record<string, number> = {
+  h1: 1,
+  h2: 2,
+  h3: 3,
+  h4: 4,
+  h5: 5,
+  h6: 6,
+};
+
+/** Elements whose content is a single paragraph */
+const PARAGRAPH_TAGS = new Set([
+  "p",
+  "pre",
+  "address",
+  "dt",
+  "dd",
+  "figcaption",
+  "caption",
+  "summary",
+  "legend",
+]);
+
+/** Elements that never flow inline */
+const BLOCK_TAGS = new Set([
+  ...Object.keys(HEADING_LEVELS),
+  ...PARAGRAPH_TAGS,
+  "ul",
+  "ol",
+  "li",
+  "dl",
+  "table",
+  "thead",
+  "tbody",
+  "tfoot",
+  "tr",
+  "td",
+  "th",
+  "hr",
+  "div",
+  "section",
+  "article",
+  "main",
+  "body",
+  "form",
+  "fieldset",
+  "details",
+  "figure",
+  "blockquote",
+  "center",
+  "header",
+  "footer",
+  "nav",
+  "aside",
+]);
+
+const BLOCK_SELECTOR = Array.from(BLOCK_TAGS).join(",");
+
+/**
+ * Collapses whitespace to single spaces
+ */
+function normalize(text: string): string {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Rounds a font size to half points so sizes with rendering noise compare
+ * equal
+ */
+function roundSize(size: number): number {
+  return Math.round(size * 2) / 2;
+}
+
+/**
+ * Joins wrapped lines, removing hyphens that split a word
+ */
+function joinLines(lines: string[]): string {
+  return lines.reduce((text, line) =>
+    /\p{Ll}-$/u.test(text) && /^\p{Ll}/u.test(line)
+      ? text.slice(0, -1) + line
+      : `${text} ${line}`,
+  );
+}
+
+export class DocumentStructure {
+  /**
+   * Builds the structure of an HTML document
+   * @param root - Element holding the policy (usually `document.body`)
+   * @returns Document blocks in reading order
+   */
+  static fromHtml(root: Element): DocumentBlock[] {
+    const blocks: DocumentBlock[] = [];
+    this.walkHtml(root, blocks);
+    return blocks;
+  }
+
+  /**
+   * Builds the structure of a PDF from its text lines. Headings are lines
+   * set noticeably larger than the body text; the largest heading size
+   * becomes level 1. Paragraphs are separated by vertical gaps.
+   * @param lines - Text lines in reading order
+   * @returns Document blocks in reading order
+   */
+  static fromPdfLines(lines: PDFTextLine[]): DocumentBlock[] {
+    const bodySize = this.getBodyFontSize(lines);
+    const isHeading = (line: PDFTextLine) =>
+      bodySize > 0 &&
+      line.fontSize >= bodySize * HEADING_SIZE_RATIO &&
+      normalize(line.text).length <= MAX_HEADING_LENGTH &&
+      /\p{L}/u.test(line.text);
+
+    const headingSizes = Array.from(
+      new Set(lines.filter(isHeading).map((line) => roundSize(line.fontSize))),
+    ).sort((a, b) => b - a);
+    const levelOf = (line: PDFTextLine) =>
+      Math.min(headingSizes.indexOf(roundSize(line.fontSize)) + 1, 6);
+
+    const blocks: DocumentBlock[] = [];
+    let paragraph: string[] = [];
+    let listItems: string[][] = [];
+    let previous: PDFTextLine | null = null;
+    let previousWasHeading = false;
+
+    const flush = () => {
+      if (paragraph.length > 0) {
+        blocks.push({ type: "paragraph", text: joinLines(paragraph) });
+      }
+      if (listItems.length > 0) {
+        blocks.push({
+          type: "list",
+          ordered: false,
+          items: listItems.map(joinLines),
+        });
+      }
+      paragraph = [];
+      listItems = [];
+    };
+
+    for (const line of lines) {
+      const text = normalize(line.text);
+      if (!text) continue;
+
+      const isBreak =
+        !previous ||
+        !!line.breakBefore ||
+        line.page !== previous.page ||
+        this.isParagraphGap(previous, line);
+      previous = line;
+
+      if (isHeading(line)) {
+        const last = blocks[blocks.length - 1];
+        // Long headings wrap over several lines of the same size
+        if (
+          previousWasHeading &&
+          !isBreak &&
+          last?.type === "heading" &&
+          last.level === levelOf(line)
+        ) {
+          last.text = `${last.text} ${text}`;
+        } else {
+          flush();
+          blocks.push({ type: "heading", level: levelOf(line), text });
+        }
+        previousWasHeading = true;
+        continue;
+      }
+      previousWasHeading = false;
+
+      const bullet = text.match(BULLET_PATTERN);
+      if (bullet) {
+        if (paragraph.length > 0) flush();
+        listItems.push([text.slice(bullet[0].length)]);
+      } else if (!isBreak && listItems.length > 0) {
+        // Wrapped line of a list item
+        listItems[listItems.length - 1].push(text);
+      } else if (!isBreak && paragraph.length > 0) {
+        paragraph.push(text);
+      } else {
+        flush();
+        paragraph.push(text);
+      }
+    }
+    flush();
+
+    return blocks;
+  }
+
+  /**
+   * Serializes blocks to Markdown-style text: `#` headings, `-` or numbered
+   * list items and `|` table rows, with a blank line between blocks
+   * @param blocks - Document blocks
+   * @returns Structured text
+   */
+  static toText(blocks: DocumentBlock[]): string {
+    return blocks
+      .map((block) => {
+        switch (block.type) {
+          case "heading":
+            return `${"#".repeat(block.level)} ${normalize(block.text)}`;
+          case "paragraph":
+            return normalize(block.text);
+          case "list":
+            return block.items
+              .map(normalize)
+              .filter(Boolean)
+              .map((item, i) =>
+                block.ordered ? `${i + 1}. ${item}` : `- ${item}`,
+              )
+              .join("\n");
+          case "table": {
+            const rows = block.rows.map(
+              (row) =>
+                `| ${row.map((cell) => normalize(cell).replace(/\|/g, "/")).join(" | ")} |`,
+            );
+            if (rows.length > 1) {
+              const columns = block.rows[0].length;
+              rows.splice(1, 0, `|${" --- |".repeat(columns)}`);
+            }
+            return rows.join("\n");
+          }
+        }
+      })
+      .filter(Boolean)
+      .join("\n\n");
+  }
+
+  /**
+   * Lists the section headings of structured text
+   * @param text - Text produced by toText() (or any Markdown)
+   * @returns Headings with their offsets in `text`
+   */
+  static getOutline(text: string): DocumentOutlineEntry[] {
+    if (!text) return [];
+
+    const outline: DocumentOutlineEntry[] = [];
+    for (const match of text.matchAll(/^(#{1,6})[ \t]+(.+?)[ \t#]*$/gm)) {
+      const title = normalize(match[2]);
+      if (!title) continue;
+      outline.push({
+        title,
+        level: match[1].length,
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+    return outline;
+  }
+
+  /**
+   * Adds the blocks of an element's children, gathering inline content
+   * into paragraphs
+   * @private
+   */
+  private static walkHtml(container: Element, blocks: DocumentBlock[]): void {
+    let inline = "";
+    const flushInline = () => {
+      // Consecutive <br>s separate paragraphs in older markup
+      for (const part of inline.split(/\n[ \t]*\n/)) {
+        const text = normalize(part);
+        if (text) blocks.push({ type: "paragraph", text });
+      }
+      inline = "";
+    };
+
+    for (const node of Array.from(container.childNodes)) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        inline += (node.textContent || "").replace(/\s+/g, " ");
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+      const element = node as Element;
+      const tag = element.localName;
+      const role = element.getAttribute("role");
+
+      if (!BLOCK_TAGS.has(tag) && role !== "heading") {
+        if (tag === "br") {
+          inline += "\n";
+          continue;
+        }
+        if (!element.querySelector(BLOCK_SELECTOR)) {
+          inline += this.getInlineText(element);
+          continue;
+        }
+      }
+      flushInline();
+
+      if (HEADING_LEVELS[tag] || role === "heading") {
+        const text = normalize(this.getInlineText(element));
+        const level =
+          HEADING_LEVELS[tag] ||
+          Math.min(
+            Math.max(Number(element.getAttribute("aria-level")) || 2, 1),
+            6,
+          );
+        if (text) blocks.push({ type: "heading", level, text });
+      } else if (PARAGRAPH_TAGS.has(tag)) {
+        const text = normalize(this.getInlineText(element));
+        if (text) blocks.push({ type: "paragraph", text });
+      } else if (tag === "ul" || tag === "ol") {
+        const items = this.getListItems(element);
+        if (items.length > 0) {
+          blocks.push({ type: "list", ordered: tag === "ol", items });
+        }
+      } else if (tag === "table" && this.isDataTable(element)) {
+        const caption = element.querySelector(":scope > caption");
+        const text = caption ? normalize(this.getInlineText(caption)) : "";
+        if (text) blocks.push({ type: "paragraph", text });
+        const rows = this.getTableRows(element);
+        if (rows.length > 0) blocks.push({ type: "table", rows });
+      } else if (tag !== "hr") {
+        this.walkHtml(element, blocks);
+      }
+    }
+    flushInline();
+  }
+
+  /**
+   * Text of an element with `<br>` kept as line breaks and block children
+   * separated by spaces
+   * @private
+   */
+  private static getInlineText(node: Node): string {
+    let text = "";
+    for (const child of Array.from(node.childNodes)) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        text += (child.textContent || "").replace(/\s+/g, " ");
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        const tag = (child as Element).localName;
+        if (tag === "br") {
+          text += "\n";
+        } else if (BLOCK_TAGS.has(tag)) {
+          text += ` ${this.getInlineText(child)} `;
+        } else {
+          text += this.getInlineText(child);
+        }
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Items of a list; nested lists are flattened into the same list
+   * @private
+   */
+  private static getListItems(list: Element): string[] {
+    const items: string[] = [];
+    for (const child of Array.from(list.children)) {
+      if (child.localName === "ul" || child.localName === "ol") {
+        items.push(...this.getListItems(child));
+        continue;
+      }
+      if (child.localName !== "li") continue;
+
+      // Item text without its nested lists
+      const nested: Element[] = [];
+      let text = "";
+      for (const node of Array.from(child.childNodes)) {
+        const tag = (node as Element).localName;
+        if (tag === "ul" || tag === "ol") {
+          nested.push(node as Element);
+        } else if (node.nodeType === Node.TEXT_NODE) {
+          text += node.textContent || "";
+        } else if (BLOCK_TAGS.has(tag)) {
+          text += ` ${this.getInlineText(node)} `;
+        } else {
+          text += this.getInlineText(node);
+        }
+      }
+      const item = normalize(text);
+      if (item) items.push(item);
+      nested.forEach((sublist) => items.push(...this.getListItems(sublist)));
+    }
+    return items;
+  }
+
+  /**
+   * Whether a table holds data rather than page layout
+   * @private
+   */
+  private static isDataTable(table: Element): boolean {
+    if (table.querySelector("table, h1, h2, h3, h4, h5, h6")) {
+      return false;
+    }
+    const rows = Array.from((table as HTMLTableElement).rows || []);
+    return rows.some((row) => row.cells.length > 1);
+  }
+
+  /**
+   * Cell texts of each non-empty row of a table
+   * @private
+   */
+  private static getTableRows(table: Element): string[][] {
+    return Array.from((table as HTMLTableElement).rows || [])
+      .map((row) =>
+        Array.from(row.cells).map((cell) =>
+          normalize(this.getInlineText(cell)),
+        ),
+      )
+      .filter((row) => row.some(Boolean));
+  }
+
+  /**
+   * Font size used by most characters of the document
+   * @private
+   */
+  private static getBodyFontSize(lines: PDFTextLine[]): number {
+    const characters = new Map<number, number>();
+    for (const line of lines) {
+      if (line.fontSize <= 0) continue;
+      const size = roundSize(line.fontSize);
+      characters.set(size, (characters.get(size) || 0) + line.text.length);
+    }
+
+    let bodySize = 0;
+    let most = 0;
+    for (const [size, count] of characters) {
+      if (count > most) {
+        bodySize = size;
+        most = count;
+      }
+    }
+    return bodySize;
+  }
+
+  /**
+   * Whether the space above a line is larger than normal line spacing, or
+   * the line starts a new column
+   * @private
+   */
+  private static isParagraphGap(
+    previous: PDFTextLine,
+    line: PDFTextLine,
+  ): boolean {
+    const size = Math.max(previous.fontSize, line.fontSize);
+    if (size <= 0) return false;
+    const gap = previous.y - line.y;
+    return gap < 0 || gap > size * PARAGRAPH_GAP_RATIO;
+  }
+}
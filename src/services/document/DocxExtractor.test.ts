@@ -0,0 +1,183 @@
+/**
+ * @file DocxExtractor Tests
+ * @description Tests for Word document text extraction
+ */
+
+import { describe, it, expect } from "vitest";
+import { zipSync, strToU8 as encode } from "fflate";
+import { DocxExtractor } from "./DocxExtractor.js";
+
+// TextEncoder output comes from another realm in jsdom; copy it so fflate
+// sees a Uint8Array
+const strToU8 = (text: string) => new Uint8Array(encode(text));
+
+const W_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+const SENTENCE =
+  "We collect your email address and browsing history to personalize advertising. ";
+
+/**
+ * Wraps paragraphs in a WordprocessingML document body
+ */
+function documentXml(body: string): string {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document xmlns:w="${W_NS}"><w:body>${body}</w:body></w:document>`;
+}
+
+/**
+ * Creates a File whose content can be read in jsdom
+ */
+function createFile(bytes: Uint8Array, name = "policy.docx"): File {
+  const file = new File([], name, {
+    type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  });
+  Object.defineProperties(file, {
+    size: { value: bytes.length },
+    arrayBuffer: { value: () => Promise.resolve(bytes.slice().buffer) },
+    slice: {
+      value: (start: number, end: number) => ({
+        arrayBuffer: () => Promise.resolve(bytes.slice(start, end).buffer),
+      }),
+    },
+  });
+  return file;
+}
+
+/**
+ * Creates a DOCX archive with the given document body
+ */
+function createDocx(body: string): File {
+  return createFile(
+    zipSync({
+      "[Content_Types].xml": strToU8("<Types/>"),
+      "word/document.xml": strToU8(documentXml(body)),
+    }),
+  );
+}
+
+describe("DocxExtractor", () => {
+  describe("extractTextFromXml", () => {
+    it("should separate paragraphs with a blank line", () => {
+      const text = DocxExtractor.extractTextFromXml(
+        documentXml(
+          "<w:p><w:r><w:t>Privacy Policy</w:t></w:r></w:p>" +
+            '<w:p><w:r><w:t xml:space="preserve">We collect </w:t></w:r><w:r><w:t>your email.</w:t></w:r></w:p>',
+        ),
+      );
+
+      expect(text).toBe("Privacy Policy\n\nWe collect your email.");
+    });
+
+    it("should keep tabs and line breaks as whitespace", () => {
+      const text = DocxExtractor.extractTextFromXml(
+        documentXml(
+          "<w:p><w:r><w:t>Name</w:t><w:tab/><w:t>Purpose</w:t><w:br/><w:t>Email</w:t></w:r></w:p>",
+        ),
+      );
+
+      expect(text).toBe("Name Purpose Email");
+    });
+
+    it("should skip deleted revisions and empty paragraphs", () => {
+      const text = DocxExtractor.extractTextFromXml(
+        documentXml(
+          "<w:p><w:del><w:r><w:delText>old text</w:delText></w:r></w:del><w:r><w:t>new text</w:t></w:r></w:p><w:p/>",
+        ),
+      );
+
+      expect(text).toBe("new text");
+    });
+
+    it("should read table cells as table rows", () => {
+      const text = DocxExtractor.extractTextFromXml(
+        documentXml(
+          "<w:tbl><w:tr><w:tc><w:p><w:r><w:t>Cookie</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>1 year</w:t></w:r></w:p></w:tc></w:tr></w:tbl>",
+        ),
+      );
+
+      expect(text).toBe("| Cookie | 1 year |");
+    });
+
+    it("should mark paragraphs with heading styles as headings", () => {
+      const text = DocxExtractor.extractTextFromXml(
+        documentXml(
+          '<w:p><w:pPr><w:pStyle w:val="Title"/></w:pPr><w:r><w:t>Privacy Policy</w:t></w:r></w:p>' +
+            '<w:p><w:pPr><w:pStyle w:val="Heading2"/></w:pPr><w:r><w:t>Data We Collect</w:t></w:r></w:p>' +
+            '<w:p><w:pPr><w:outlineLvl w:val="2"/></w:pPr><w:r><w:t>Cookies</w:t></w:r></w:p>' +
+            "<w:p><w:r><w:t>We use cookies.</w:t></w:r></w:p>",
+        ),
+      );
+
+      expect(text).toBe(
+        "# Privacy Policy\n\n## Data We Collect\n\n### Cookies\n\nWe use cookies.",
+      );
+    });
+
+    it("should group numbered paragraphs into a list", () => {
+      const item = (text: string) =>
+        `<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+      const text = DocxExtractor.extractTextFromXml(
+        documentXml(
+          "<w:p><w:r><w:t>We collect:</w:t></w:r></w:p>" +
+            item("Your email") +
+            item("Your location"),
+        ),
+      );
+
+      expect(text).toBe("We collect:\n\n- Your email\n- Your location");
+    });
+
+    it("should reject malformed XML", () => {
+      expect(() => DocxExtractor.extractTextFromXml("<w:document>")).toThrow(
+        "damaged",
+      );
+    });
+  });
+
+  describe("extract", () => {
+    it("should extract the text of a DOCX file", async () => {
+      const file = createDocx(
+        `<w:p><w:r><w:t>Privacy Policy</w:t></w:r></w:p><w:p><w:r><w:t>${SENTENCE.repeat(3)}</w:t></w:r></w:p>`,
+      );
+
+      const text = await DocxExtractor.extract(file);
+
+      expect(text.startsWith("Privacy Policy\n\nWe collect your email")).toBe(
+        true,
+      );
+    });
+
+    it("should reject files that are not ZIP archives", async () => {
+      const file = createFile(strToU8(SENTENCE.repeat(3)));
+
+      await expect(DocxExtractor.extract(file)).rejects.toThrow(
+        "Word document",
+      );
+    });
+
+    it("should reject archives without a document body", async () => {
+      const file = createFile(zipSync({ "readme.txt": strToU8("hello") }));
+
+      await expect(DocxExtractor.extract(file)).rejects.toThrow(
+        "no document body found",
+      );
+    });
+
+    it("should reject documents with too little text", async () => {
+      const file = createDocx("<w:p><w:r><w:t>Short</w:t></w:r></w:p>");
+
+      await expect(DocxExtractor.extract(file)).rejects.toThrow("too short");
+    });
+
+    it("should stop when cancelled", async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const file = createDocx(
+        `<w:p><w:r><w:t>${SENTENCE.repeat(3)}</w:t></w:r></w:p>`,
+      );
+
+      await expect(
+        DocxExtractor.extract(file, controller.signal),
+      ).rejects.toMatchObject({ name: "AbortError" });
+    });
+  });
+});
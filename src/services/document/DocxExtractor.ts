@@ -0,0 +1,237 @@
+/**
+ * @file DOCX Extractor Service
+ * @description Service for extracting text from Word (.docx) documents. A
+ * DOCX file is a ZIP archive; the body text is in word/document.xml.
+ */
+
+import { unzipSync, strFromU8 } from "fflate";
+import {
+  validateFile,
+  validateFileSignature,
+  validateDocumentText,
+} from "../../utils/validation.js";
+import { throwIfAborted } from "../../utils/helpers.js";
+import { DocumentStructure } from "./DocumentStructure.js";
+import type { DocumentBlock } from "../../types/index.js";
+
+/**
+ * Archive entry holding the document body
+ */
+const DOCUMENT_ENTRY = "word/document.xml";
+
+/**
+ * Largest uncompressed document body accepted (guards against ZIP bombs)
+ */
+const MAX_DOCUMENT_XML_BYTES = 50 * 1024 * 1024;
+
+/**
+ * First child element with the given local name
+ */
+function findChild(
+  parent: Element | undefined,
+  localName: string,
+): Element | undefined {
+  return parent
+    ? Array.from(parent.children).find((child) => child.localName === localName)
+    : undefined;
+}
+
+/**
+ * Value of an element's `w:val` attribute
+ */
+function getVal(element: Element | undefined): string | undefined {
+  return element
+    ? Array.from(element.attributes).find((attr) => attr.localName === "val")
+        ?.value
+    : undefined;
+}
+
+export class DocxExtractor {
+  /**
+   * Extracts text from a DOCX file, keeping headings, lists and tables
+   * @param file - DOCX file
+   * @param signal - Optional signal to stop before parsing
+   * @returns Extracted text
+   * @throws AbortError if cancelled through `signal`
+   */
+  static async extract(file: File, signal?: AbortSignal): Promise<string> {
+    const validation = validateFile(file);
+    if (!validation.valid) {
+      throw new Error(validation.errors[0].message);
+    }
+
+    const signature = await validateFileSignature(file);
+    if (!signature.valid) {
+      throw new Error(signature.errors[0].message);
+    }
+
+    const data = new Uint8Array(await file.arrayBuffer());
+    throwIfAborted(signal);
+
+    const xml = this.readDocumentXml(data);
+    throwIfAborted(signal);
+
+    const text = this.extractTextFromXml(xml);
+    const textValidation = validateDocumentText(text);
+    if (!textValidation.valid) {
+      throw new Error(textValidation.errors[0].message);
+    }
+
+    return text;
+  }
+
+  /**
+   * Extracts the paragraphs of a WordprocessingML document body. Heading
+   * styles, list paragraphs and tables are kept as Markdown-style structure.
+   * @param xml - Content of word/document.xml
+   * @returns Structured text
+   */
+  static extractTextFromXml(xml: string): string {
+    const doc = new DOMParser().parseFromString(xml, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length > 0) {
+      throw new Error("The Word document is damaged and cannot be read.");
+    }
+
+    const blocks: DocumentBlock[] = [];
+
+    const walk = (node: Element) => {
+      for (const child of Array.from(node.children)) {
+        switch (child.localName) {
+          case "p":
+            this.addParagraph(child, blocks);
+            break;
+          case "tbl": {
+            const rows = this.getTableRows(child);
+            if (rows.some((row) => row.length > 1)) {
+              blocks.push({ type: "table", rows });
+            } else {
+              walk(child);
+            }
+            break;
+          }
+          // Text boxes repeat their content in a fallback for old readers
+          case "Fallback":
+            break;
+          default:
+            walk(child);
+        }
+      }
+    };
+    walk(doc.documentElement);
+
+    return DocumentStructure.toText(blocks);
+  }
+
+  /**
+   * Adds a paragraph as a heading, list item or plain paragraph
+   * @private
+   */
+  private static addParagraph(paragraph: Element, blocks: DocumentBlock[]) {
+    const text = this.getText(paragraph).trim();
+    if (!text) return;
+
+    const properties = findChild(paragraph, "pPr");
+    const style = getVal(findChild(properties, "pStyle")) || "";
+    const outlineLevel = Number(getVal(findChild(properties, "outlineLvl")));
+    const headingMatch = style.match(/^heading\s?(\d)$/i);
+    const level = headingMatch
+      ? Number(headingMatch[1])
+      : /^title$/i.test(style)
+        ? 1
+        : Number.isInteger(outlineLevel) && outlineLevel < 6
+          ? outlineLevel + 1
+          : 0;
+
+    if (level > 0) {
+      blocks.push({ type: "heading", level: Math.min(level, 6), text });
+      return;
+    }
+
+    if (findChild(properties, "numPr")) {
+      const last = blocks[blocks.length - 1];
+      if (last?.type === "list") {
+        last.items.push(text);
+      } else {
+        blocks.push({ type: "list", ordered: false, items: [text] });
+      }
+      return;
+    }
+
+    blocks.push({ type: "paragraph", text });
+  }
+
+  /**
+   * Cell texts of each non-empty table row
+   * @private
+   */
+  private static getTableRows(table: Element): string[][] {
+    return Array.from(table.children)
+      .filter((row) => row.localName === "tr")
+      .map((row) =>
+        Array.from(row.children)
+          .filter((cell) => cell.localName === "tc")
+          .map((cell) => this.getText(cell).replace(/\s+/g, " ").trim()),
+      )
+      .filter((row) => row.some(Boolean));
+  }
+
+  /**
+   * Text of the runs in an element; tabs, line breaks and nested
+   * paragraphs become spaces
+   * @private
+   */
+  private static getText(node: Element): string {
+    let text = "";
+    for (const child of Array.from(node.children)) {
+      switch (child.localName) {
+        case "t":
+          text += child.textContent || "";
+          break;
+        case "tab":
+        case "br":
+        case "cr":
+          text += " ";
+          break;
+        case "Fallback":
+          break;
+        case "p":
+          text += ` ${this.getText(child)} `;
+          break;
+        default:
+          text += this.getText(child);
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Unzips the document body
+   * @private
+   */
+  private static readDocumentXml(data: Uint8Array): string {
+    let entries: Record<string, Uint8Array>;
+    let tooLarge = false;
+    try {
+      entries = unzipSync(data, {
+        filter: (entry) => {
+          if (entry.name !== DOCUMENT_ENTRY) return false;
+          tooLarge = entry.originalSize > MAX_DOCUMENT_XML_BYTES;
+          return !tooLarge;
+        },
+      });
+    } catch {
+      throw new Error("The Word document is damaged and cannot be read.");
+    }
+
+    if (tooLarge) {
+      throw new Error("The Word document is too large to process.");
+    }
+    const body = entries[DOCUMENT_ENTRY];
+    if (!body) {
+      throw new Error(
+        "File does not appear to be a Word document (no document body found)",
+      );
+    }
+    return strFromU8(body);
+  }
+}
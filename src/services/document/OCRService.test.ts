@@ -0,0 +1,189 @@
+/**
+ * @file OCRService Tests
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import type { PDFDocumentProxy } from "pdfjs-dist";
+import { OCRService } from "./OCRService";
+import { ERROR_CODES, ERROR_MESSAGES } from "../../utils/constants";
+import type { OCRProgress } from "../../types";
+
+const tesseract = vi.hoisted(() => ({
+  createWorker: vi.fn(),
+  recognize: vi.fn(),
+  terminate: vi.fn(),
+}));
+
+vi.mock("tesseract.js", () => ({ createWorker: tesseract.createWorker }));
+
+/**
+ * Creates a PDF whose pages render without drawing anything
+ */
+function createPdf(numPages: number) {
+  const render = vi.fn(() => ({ promise: Promise.resolve() }));
+  const getPage = vi.fn(async () => ({
+    getViewport: ({ scale }: { scale: number }) => ({
+      width: 100 * scale,
+      height: 150 * scale,
+    }),
+    render,
+    cleanup: vi.fn(),
+  }));
+  return {
+    pdf: { numPages, getPage } as unknown as PDFDocumentProxy,
+    getPage,
+    render,
+  };
+}
+
+describe("OCRService", () => {
+  let logger: ((message: { status: string; progress: number }) => void) | null;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    logger = null;
+    tesseract.terminate.mockResolvedValue({});
+    tesseract.recognize.mockImplementation(async () => {
+      logger?.({ status: "recognizing text", progress: 0.5 });
+      return { data: { text: "Recognized text" } };
+    });
+    tesseract.createWorker.mockImplementation(
+      async (
+        _langs: string,
+        _oem: unknown,
+        options: { logger: typeof logger },
+      ) => {
+        logger = options.logger;
+        return {
+          recognize: tesseract.recognize,
+          terminate: tesseract.terminate,
+        };
+      },
+    );
+  });
+
+  it("should not start a worker when no pages need OCR", async () => {
+    const { pdf } = createPdf(2);
+
+    const texts = await OCRService.recognizePages(pdf, []);
+
+    expect(texts.size).toBe(0);
+    expect(tesseract.createWorker).not.toHaveBeenCalled();
+  });
+
+  it("should render and recognize each requested page", async () => {
+    const { pdf, getPage, render } = createPdf(4);
+    tesseract.recognize
+      .mockResolvedValueOnce({ data: { text: "Page two" } })
+      .mockResolvedValueOnce({ data: { text: "Page four" } });
+
+    const texts = await OCRService.recognizePages(pdf, [2, 4]);
+
+    expect(texts).toEqual(
+      new Map([
+        [2, "Page two"],
+        [4, "Page four"],
+      ]),
+    );
+    expect(getPage.mock.calls).toEqual([[2], [4]]);
+    expect(render).toHaveBeenCalledTimes(2);
+    expect(tesseract.createWorker).toHaveBeenCalledWith(
+      "eng",
+      undefined,
+      expect.any(Object),
+    );
+    expect(tesseract.terminate).toHaveBeenCalledTimes(1);
+  });
+
+  it("should render pages at OCR resolution", async () => {
+    const { pdf } = createPdf(1);
+
+    await OCRService.recognizePages(pdf, [1]);
+
+    const canvas = tesseract.recognize.mock.calls[0][0] as HTMLCanvasElement;
+    expect(canvas.tagName).toBe("CANVAS");
+    // Released once the page has been recognized
+    expect(canvas.width).toBe(0);
+  });
+
+  it("should load the worker, core and language data from the app", async () => {
+    const { pdf } = createPdf(1);
+
+    await OCRService.recognizePages(pdf, [1]);
+
+    const options = tesseract.createWorker.mock.calls[0][2];
+    expect(options.workerPath).toMatch(/worker\.min\.js$/);
+    expect(options.corePath).toMatch(/tesseract-core-(simd-)?lstm\.wasm\.js$/);
+    expect(options.langPath).toMatch(/\/4\.0\.0_best_int$/);
+    for (const path of [
+      options.workerPath,
+      options.corePath,
+      options.langPath,
+    ]) {
+      expect(path.startsWith(window.location.origin)).toBe(true);
+    }
+  });
+
+  it("should report progress for each page", async () => {
+    const { pdf } = createPdf(3);
+    const updates: OCRProgress[] = [];
+
+    await OCRService.recognizePages(pdf, [1, 3], {
+      onProgress: (progress) => updates.push(progress),
+    });
+
+    expect(updates).toContainEqual({
+      page: 1,
+      current: 1,
+      total: 2,
+      progress: 0.5,
+    });
+    expect(updates).toContainEqual({
+      page: 3,
+      current: 2,
+      total: 2,
+      progress: 0.5,
+    });
+    expect(updates[updates.length - 1]).toEqual({
+      page: 3,
+      current: 2,
+      total: 2,
+      progress: 1,
+    });
+  });
+
+  it("should throw a readable error when recognition fails", async () => {
+    const { pdf } = createPdf(1);
+    tesseract.recognize.mockRejectedValue(new Error("wasm trap"));
+
+    await expect(OCRService.recognizePages(pdf, [1])).rejects.toThrow(
+      ERROR_MESSAGES[ERROR_CODES.OCR_FAILED],
+    );
+    expect(tesseract.terminate).toHaveBeenCalled();
+  });
+
+  it("should throw a readable error when the worker cannot start", async () => {
+    const { pdf } = createPdf(1);
+    tesseract.createWorker.mockRejectedValue(new Error("Failed to fetch"));
+
+    await expect(OCRService.recognizePages(pdf, [1])).rejects.toThrow(
+      ERROR_MESSAGES[ERROR_CODES.OCR_FAILED],
+    );
+  });
+
+  it("should terminate the worker and stop when aborted", async () => {
+    const { pdf, getPage } = createPdf(3);
+    const controller = new AbortController();
+    tesseract.recognize.mockImplementation(async () => {
+      controller.abort();
+      throw new Error("Worker terminated");
+    });
+
+    await expect(
+      OCRService.recognizePages(pdf, [1, 2, 3], { signal: controller.signal }),
+    ).rejects.toMatchObject({ name: "AbortError" });
+    expect(getPage).toHaveBeenCalledTimes(1);
+    expect(tesseract.terminate).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * @file OCR Service
+ * @description Recognizes the text of PDF pages that have no text layer
+ * (scanned or image-only pages). Pages are rendered with pdf.js and read by
+ * Tesseract, which runs in a web worker so the page stays responsive.
+ *
+ * The Tesseract worker, WebAssembly core and language data are bundled with
+ * the app rather than loaded from a CDN, so OCR only runs code and data
+ * installed from the lockfile.
+ */
+
+import type { PDFDocumentProxy } from "pdfjs-dist";
+import workerUrl from "tesseract.js/dist/worker.min.js?url";
+import coreUrl from "tesseract.js-core/tesseract-core-lstm.wasm.js?url";
+import simdCoreUrl from "tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url";
+import languageUrl from "@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url";
+import type { OCRProgress } from "../../types/index.js";
+import { ERROR_CODES, ERROR_MESSAGES, PDF_OCR } from "../../utils/constants.js";
+import { throwIfAborted } from "../../utils/helpers.js";
+
+/**
+ * Options for OCRService.recognizePages
+ */
+export interface OCROptions {
+  /** Signal to stop recognition; terminates the worker */
+  signal?: AbortSignal;
+  /** Called as each page is recognized */
+  onProgress?: (progress: OCRProgress) => void;
+}
+
+/**
+ * Smallest WebAssembly module using a SIMD instruction, to check whether the
+ * browser can run the faster SIMD build of the Tesseract core
+ */
+const SIMD_PROBE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8,
+  0, 65, 0, 253, 15, 253, 98, 11,
+]);
+
+/**
+ * Resolves a bundled asset URL against the page; the worker starts from a
+ * blob URL and cannot resolve paths relative to the page itself
+ */
+const absoluteUrl = (url: string): string =>
+  new URL(url, window.location.href).href;
+
+/**
+ * Worker options pointing Tesseract at the bundled files. The language data
+ * is fetched by file name from its directory, which the build keeps unhashed.
+ */
+function workerPaths() {
+  const language = absoluteUrl(languageUrl);
+  return {
+    workerPath: absoluteUrl(workerUrl),
+    corePath: absoluteUrl(
+      WebAssembly.validate(SIMD_PROBE) ? simdCoreUrl : coreUrl,
+    ),
+    langPath: language.slice(0, language.lastIndexOf("/")),
+  };
+}
+
+export class OCRService {
+  /**
+   * Recognizes the text of PDF pages
+   * @param pdf - Loaded PDF document
+   * @param pageNumbers - 1-based numbers of the pages to recognize
+   * @param options - Cancellation signal and progress callback
+   * @returns Recognized text by page number
+   * @throws AbortError if cancelled through `signal`
+   */
+  static async recognizePages(
+    pdf: PDFDocumentProxy,
+    pageNumbers: number[],
+    { signal, onProgress }: OCROptions = {},
+  ): Promise<Map<number, string>> {
+    const texts = new Map<number, string>();
+    if (pageNumbers.length === 0) {
+      return texts;
+    }
+
+    let current = 0;
+    const report = (progress: number) =>
+      onProgress?.({
+        page: pageNumbers[current],
+        current: current + 1,
+        total: pageNumbers.length,
+        progress,
+      });
+
+    report(0);
+    const { createWorker } = await import("tesseract.js");
+    const worker = await createWorker(PDF_OCR.LANGUAGE, undefined, {
+      ...workerPaths(),
+      logger: (message) => {
+        if (message.status === "recognizing text") {
+          report(message.progress);
+        }
+      },
+    }).catch(() => {
+      throw new Error(ERROR_MESSAGES[ERROR_CODES.OCR_FAILED]);
+    });
+
+    // Terminating the worker also rejects the page being recognized
+    let terminated = false;
+    const terminate = () => {
+      if (!terminated) {
+        terminated = true;
+        worker.terminate().catch(() => {});
+      }
+    };
+    signal?.addEventListener("abort", terminate);
+
+    try {
+      for (; current < pageNumbers.length; current++) {
+        throwIfAborted(signal);
+        report(0);
+
+        const canvas = await this.renderPage(pdf, pageNumbers[current]);
+        try {
+          const { data } = await worker.recognize(canvas);
+          texts.set(pageNumbers[current], data.text);
+        } finally {
+          // Release the bitmap memory right away on long documents
+          canvas.width = 0;
+          canvas.height = 0;
+        }
+
+        report(1);
+      }
+      return texts;
+    } catch (err) {
+      throwIfAborted(signal);
+      console.error("OCR failed:", err);
+      throw new Error(ERROR_MESSAGES[ERROR_CODES.OCR_FAILED]);
+    } finally {
+      signal?.removeEventListener("abort", terminate);
+      terminate();
+    }
+  }
+
+  /**
+   * Renders a PDF page to a canvas at OCR resolution
+   * @param pdf - Loaded PDF document
+   * @param pageNumber - 1-based page number
+   * @returns Canvas with the rendered page
+   */
+  private static async renderPage(
+    pdf: PDFDocumentProxy,
+    pageNumber: number,
+  ): Promise<HTMLCanvasElement> {
+    const page = await pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: PDF_OCR.RENDER_SCALE });
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+
+    await page.render({ canvas, viewport }).promise;
+    page.cleanup();
+    return canvas;
+  }
+}
@@ -12,6 +12,33 @@ vi.mock("pdfjs-dist", () => ({
   getDocument: vi.fn(),
 }));
 
+// Scanned pages are read by Tesseract; recognition returns nothing unless a
+// test says otherwise
+const tesseract = vi.hoisted(() => ({
+  recognize: vi.fn(),
+}));
+
+vi.mock("tesseract.js", () => ({
+  createWorker: vi.fn(async () => ({
+    recognize: tesseract.recognize,
+    terminate: vi.fn().mockResolvedValue({}),
+  })),
+}));
+
+/**
+ * Creates a mock PDF page with the given text layer that can be rendered
+ */
+function createMockPage(text: string) {
+  return {
+    getTextContent: vi.fn().mockResolvedValue({
+      items: text ? [{ str: text }] : [],
+    }),
+    getViewport: vi.fn(() => ({ width: 200, height: 300 })),
+    render: vi.fn(() => ({ promise: Promise.resolve() })),
+    cleanup: vi.fn(),
+  };
+}
+
 /**
  * Creates a mock File with arrayBuffer method
  */
@@ -37,6 +64,7 @@ describe("PDFExtractor", () => {
 
   beforeEach(() => {
     vi.clearAllMocks();
+    tesseract.recognize.mockResolvedValue({ data: { text: "" } });
 
     // Store original fetch
     originalFetch = global.fetch;
@@ -290,14 +318,27 @@ describe("PDFExtractor", () => {
       expect(result).not.toMatch(/\s{3,}/);
     });
 
-    it("should throw error for empty extracted text", async () => {
+    it("should keep headings and paragraphs from font sizes and line gaps", async () => {
+      // transform is [scaleX, skewY, skewX, scaleY, x, y]
+      const line = (str: string, size: number, y: number) => ({
+        str,
+        transform: [size, 0, 0, size, 72, y],
+        hasEOL: true,
+      });
       const { getDocument } = await import("pdfjs-dist");
       (getDocument as ReturnType<typeof vi.fn>).mockReturnValue({
         promise: Promise.resolve({
           numPages: 1,
           getPage: vi.fn().mockResolvedValue({
             getTextContent: vi.fn().mockResolvedValue({
-              items: [],
+              items: [
+                line("Privacy Policy", 18, 700),
+                line("We collect your email address and", 10, 676),
+                line("browsing history to personalize ads.", 10, 664),
+                line("Sharing", 14, 636),
+                { str: "We share data with", transform: [10, 0, 0, 10, 72, 612] },
+                { str: "advertising partners.", transform: [10, 0, 0, 10, 160, 612] },
+              ],
             }),
           }),
         }),
@@ -309,6 +350,31 @@ describe("PDFExtractor", () => {
         "application/pdf",
       );
 
+      const result = await PDFExtractor.extract(mockFile);
+
+      expect(result).toBe(
+        "# Privacy Policy\n\n" +
+          "We collect your email address and browsing history to personalize ads.\n\n" +
+          "## Sharing\n\n" +
+          "We share data with advertising partners.",
+      );
+    });
+
+    it("should throw error when neither text layer nor OCR finds text", async () => {
+      const { getDocument } = await import("pdfjs-dist");
+      (getDocument as ReturnType<typeof vi.fn>).mockReturnValue({
+        promise: Promise.resolve({
+          numPages: 1,
+          getPage: vi.fn().mockResolvedValue(createMockPage("")),
+        }),
+      });
+
+      const mockFile = createMockFile(
+        "mock pdf",
+        "test.pdf",
+        "application/pdf",
+      );
+
       await expect(PDFExtractor.extract(mockFile)).rejects.toThrow();
     });
 
@@ -317,11 +383,7 @@ describe("PDFExtractor", () => {
       (getDocument as ReturnType<typeof vi.fn>).mockReturnValue({
         promise: Promise.resolve({
           numPages: 1,
-          getPage: vi.fn().mockResolvedValue({
-            getTextContent: vi.fn().mockResolvedValue({
-              items: [{ str: "Hi" }],
-            }),
-          }),
+          getPage: vi.fn().mockResolvedValue(createMockPage("Hi")),
         }),
       });
 
@@ -335,6 +397,144 @@ describe("PDFExtractor", () => {
     });
   });
 
+  describe("OCR fallback", () => {
+    const scannedText =
+      "We collect your name, email address and device identifiers to provide the service and share them with advertising partners.";
+
+    it("should OCR only the pages without a text layer", async () => {
+      const { getDocument } = await import("pdfjs-dist");
+      const pages = [
+        createMockPage(
+          "Page 1: This privacy policy explains what information we collect",
+        ),
+        createMockPage(""),
+      ];
+      (getDocument as ReturnType<typeof vi.fn>).mockReturnValue({
+        promise: Promise.resolve({
+          numPages: 2,
+          getPage: vi.fn(async (pageNum: number) => pages[pageNum - 1]),
+        }),
+      });
+      tesseract.recognize.mockResolvedValue({ data: { text: scannedText } });
+
+      const result = await PDFExtractor.extractWithMetadata(
+        createMockFile("mock pdf", "scan.pdf", "application/pdf"),
+      );
+
+      expect(result.text).toContain("Page 1");
+      expect(result.text).toContain("advertising partners");
+      expect(result.ocrPages).toEqual([2]);
+      expect(pages[0].render).not.toHaveBeenCalled();
+      expect(pages[1].render).toHaveBeenCalledTimes(1);
+    });
+
+    it("should treat pages with only a few stray characters as image-only", async () => {
+      const { getDocument } = await import("pdfjs-dist");
+      const page = createMockPage("- 3 -");
+      (getDocument as ReturnType<typeof vi.fn>).mockReturnValue({
+        promise: Promise.resolve({ numPages: 1, getPage: vi.fn(async () => page) }),
+      });
+      tesseract.recognize.mockResolvedValue({ data: { text: scannedText } });
+
+      const result = await PDFExtractor.extractWithMetadata(
+        createMockFile("mock pdf", "scan.pdf", "application/pdf"),
+      );
+
+      expect(result.text).toBe(scannedText);
+      expect(result.ocrPages).toEqual([1]);
+    });
+
+    it("should not report blank pages as OCR'd", async () => {
+      const { getDocument } = await import("pdfjs-dist");
+      const pages = [
+        createMockPage(
+          "This is a sample privacy policy document with enough text to pass validation requirements for minimum length",
+        ),
+        createMockPage(""),
+      ];
+      (getDocument as ReturnType<typeof vi.fn>).mockReturnValue({
+        promise: Promise.resolve({
+          numPages: 2,
+          getPage: vi.fn(async (pageNum: number) => pages[pageNum - 1]),
+        }),
+      });
+
+      const result = await PDFExtractor.extractWithMetadata(
+        createMockFile("mock pdf", "test.pdf", "application/pdf"),
+      );
+
+      expect(result.ocrPages).toEqual([]);
+    });
+
+    it("should report OCR progress", async () => {
+      const { getDocument } = await import("pdfjs-dist");
+      const page = createMockPage("");
+      (getDocument as ReturnType<typeof vi.fn>).mockReturnValue({
+        promise: Promise.resolve({ numPages: 1, getPage: vi.fn(async () => page) }),
+      });
+      tesseract.recognize.mockResolvedValue({ data: { text: scannedText } });
+      const onOcrProgress = vi.fn();
+
+      await PDFExtractor.extractWithMetadata(
+        createMockFile("mock pdf", "scan.pdf", "application/pdf"),
+        { onOcrProgress },
+      );
+
+      expect(onOcrProgress).toHaveBeenLastCalledWith({
+        page: 1,
+        current: 1,
+        total: 1,
+        progress: 1,
+      });
+    });
+
+    it("should explain OCR failures", async () => {
+      const { getDocument } = await import("pdfjs-dist");
+      const page = createMockPage("");
+      (getDocument as ReturnType<typeof vi.fn>).mockReturnValue({
+        promise: Promise.resolve({ numPages: 1, getPage: vi.fn(async () => page) }),
+      });
+      tesseract.recognize.mockRejectedValue(new Error("out of memory"));
+      vi.spyOn(console, "error").mockImplementation(() => {});
+
+      await expect(
+        PDFExtractor.extract(
+          createMockFile("mock pdf", "scan.pdf", "application/pdf"),
+        ),
+      ).rejects.toThrow(/text recognition/);
+    });
+  });
+
+  describe("cancellation", () => {
+    it("should stop reading pages once the signal is aborted", async () => {
+      const { getDocument } = await import("pdfjs-dist");
+      const controller = new AbortController();
+      const mockGetPage = vi.fn().mockImplementation(async () => {
+        controller.abort();
+        return {
+          getTextContent: vi.fn().mockResolvedValue({
+            items: [{ str: "Page text for a privacy policy document" }],
+          }),
+        };
+      });
+
+      (getDocument as ReturnType<typeof vi.fn>).mockReturnValue({
+        promise: Promise.resolve({ numPages: 3, getPage: mockGetPage }),
+      });
+
+      const mockFile = createMockFile(
+        "mock pdf",
+        "test.pdf",
+        "application/pdf",
+      );
+
+      await expect(
+        PDFExtractor.extract(mockFile, controller.signal),
+      ).rejects.toMatchObject({ name: "AbortError" });
+      expect(mockGetPage).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe("getMetadata", () => {
     it("should return metadata from PDF", async () => {
       const { getDocument } = await import("pdfjs-dist");
@@ -1,10 +1,16 @@
 /**
  * @file PDF Extractor Service
- * @description Service for extracting text from PDF files
+ * @description Service for extracting text from PDF files, with an OCR
+ * fallback for scanned pages
  */
 
+import type { PDFDocumentProxy } from 'pdfjs-dist';
+import { DocumentStructure, type PDFTextLine } from './DocumentStructure.js';
+import { OCRService } from './OCRService.js';
 import { validateFile, validateDocumentText } from '../../utils/validation.js';
-import { ERROR_CODES, ERROR_MESSAGES } from '../../utils/constants.js';
+import { ERROR_CODES, ERROR_MESSAGES, PDF_OCR } from '../../utils/constants.js';
+import { isAbortError, throwIfAborted } from '../../utils/helpers.js';
+import type { DocumentExtraction, OCRProgress } from '../../types/index.js';
 
 /**
  * PDF.js worker configuration with SRI verification
@@ -59,13 +65,41 @@ interface PDFMetadata {
   metadata: any;
 }
 
+/**
+ * Options for PDF text extraction
+ */
+export interface PDFExtractOptions {
+  /** Signal to stop extraction between pages */
+  signal?: AbortSignal;
+  /** Called while image-only pages are recognized with OCR */
+  onOcrProgress?: (progress: OCRProgress) => void;
+}
+
 export class PDFExtractor {
   /**
    * Extracts text from a PDF file
    * @param file - PDF file
+   * @param signal - Optional signal to stop extraction between pages
    * @returns Extracted text
+   * @throws AbortError if cancelled through `signal`
+   */
+  static async extract(file: File, signal?: AbortSignal): Promise<string> {
+    const { text } = await this.extractWithMetadata(file, { signal });
+    return text;
+  }
+
+  /**
+   * Extracts text from a PDF file, falling back to OCR for pages without a
+   * text layer
+   * @param file - PDF file
+   * @param options - Cancellation signal and OCR progress callback
+   * @returns Extracted text and the pages that were OCR'd
+   * @throws AbortError if cancelled through `options.signal`
    */
-  static async extract(file: File): Promise<string> {
+  static async extractWithMetadata(
+    file: File,
+    options: PDFExtractOptions = {}
+  ): Promise<DocumentExtraction> {
     // Validate file
     const validation = validateFile(file);
     if (!validation.valid) {
@@ -85,42 +119,131 @@ export class PDFExtractor {
       // Load PDF document
       const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
       const pdf = await loadingTask.promise;
+      throwIfAborted(options.signal);
 
-      // Extract text from all pages
-      let fullText = '';
+      return await this.extractPages(pdf, options);
 
-      for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-        const page = await pdf.getPage(pageNum);
-        const textContent = await page.getTextContent();
+    } catch (err: any) {
+      if (isAbortError(err)) {
+        throw err;
+      }
+      if (err.message.includes('Invalid PDF')) {
+        throw new Error(ERROR_MESSAGES[ERROR_CODES.PDF_EXTRACTION_FAILED]);
+      }
+      throw new Error(err.message || ERROR_MESSAGES[ERROR_CODES.PDF_EXTRACTION_FAILED]);
+    }
+  }
 
-        // Combine text items with proper spacing
-        const pageText = textContent.items
-          .map((item: any) => item.str)
-          .join(' ');
+  /**
+   * Extracts the text of every page of a loaded PDF, keeping headings (set
+   * in a larger font), paragraphs and bulleted lists. Pages with (almost) no
+   * text layer are usually scans; they are rendered and read with OCR.
+   * @param pdf - Loaded PDF document
+   * @param options - Cancellation signal and OCR progress callback
+   * @returns Extracted text and the pages that were OCR'd
+   * @throws AbortError if cancelled through `options.signal`
+   */
+  static async extractPages(
+    pdf: PDFDocumentProxy,
+    { signal, onOcrProgress }: PDFExtractOptions = {}
+  ): Promise<DocumentExtraction> {
+    const pageLines: PDFTextLine[][] = [];
+    const imageOnlyPages: number[] = [];
 
-        fullText += pageText + '\n\n';
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      throwIfAborted(signal);
+      const page = await pdf.getPage(pageNum);
+      const textContent = await page.getTextContent();
+
+      const lines = this.groupIntoLines(textContent.items, pageNum);
+      pageLines.push(lines);
+
+      const characters = lines.reduce(
+        (count, line) => count + line.text.replace(/\s/g, '').length,
+        0
+      );
+      if (characters < PDF_OCR.MIN_PAGE_TEXT_LENGTH) {
+        imageOnlyPages.push(pageNum);
+      }
+    }
+
+    const ocrPages: number[] = [];
+    if (imageOnlyPages.length > 0) {
+      const recognized = await OCRService.recognizePages(pdf, imageOnlyPages, {
+        signal,
+        onProgress: onOcrProgress,
+      });
+      for (const [pageNum, text] of recognized) {
+        // Blank pages stay blank and are not reported as OCR'd
+        if (text.trim()) {
+          // OCR output has no font sizes; keep its paragraphs
+          pageLines[pageNum - 1] = text
+            .split(/\n\s*\n/)
+            .map((paragraph) => ({
+              text: paragraph,
+              fontSize: 0,
+              y: 0,
+              page: pageNum,
+              breakBefore: true,
+            }));
+          ocrPages.push(pageNum);
+        }
       }
+    }
+
+    const cleanText = DocumentStructure.toText(
+      DocumentStructure.fromPdfLines(pageLines.flat())
+    );
+
+    // Validate extracted text
+    const textValidation = validateDocumentText(cleanText);
+    if (!textValidation.valid) {
+      throw new Error(textValidation.errors[0].message);
+    }
 
-      // Clean up text
-      const cleanText = fullText
-        .replace(/\s+/g, ' ')
-        .replace(/\n\s*\n/g, '\n\n')
-        .trim();
+    return { text: cleanText, ocrPages };
+  }
 
-      // Validate extracted text
-      const textValidation = validateDocumentText(cleanText);
-      if (!textValidation.valid) {
-        throw new Error(textValidation.errors[0].message);
+  /**
+   * Groups the text items of a page into lines with their font size and
+   * vertical position
+   * @param items - Items from `page.getTextContent()`
+   * @param page - 1-based page number
+   * @returns Lines in content order
+   * @private
+   */
+  private static groupIntoLines(items: any[], page: number): PDFTextLine[] {
+    const lines: PDFTextLine[] = [];
+    let current: PDFTextLine | null = null;
+    let endsLine = false;
+
+    for (const item of items) {
+      // Marked-content items carry no text
+      if (typeof item.str !== 'string') continue;
+      if (!item.str.trim()) {
+        endsLine = endsLine || !!item.hasEOL;
+        continue;
       }
 
-      return cleanText;
+      // transform is [scaleX, skewY, skewX, scaleY, x, y]
+      const [, , skewX = 0, scaleY = 0, , y = 0] = item.transform || [];
+      const fontSize = Math.hypot(skewX, scaleY);
+      const sameLine =
+        current !== null &&
+        !endsLine &&
+        Math.abs(current.y - y) <= Math.max(current.fontSize, fontSize) / 2;
 
-    } catch (err: any) {
-      if (err.message.includes('Invalid PDF')) {
-        throw new Error(ERROR_MESSAGES[ERROR_CODES.PDF_EXTRACTION_FAILED]);
+      if (current && sameLine) {
+        current.text += ' ' + item.str;
+        current.fontSize = Math.max(current.fontSize, fontSize);
+      } else {
+        current = { text: item.str, fontSize, y, page };
+        lines.push(current);
       }
-      throw new Error(err.message || ERROR_MESSAGES[ERROR_CODES.PDF_EXTRACTION_FAILED]);
+      endsLine = !!item.hasEOL;
     }
+
+    return lines;
   }
 
   /**
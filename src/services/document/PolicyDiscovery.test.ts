@@ -0,0 +1,259 @@
+/**
+ * @file PolicyDiscovery Tests
+ * @description Tests for finding a site's policy pages from its homepage
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { PolicyDiscovery } from "./PolicyDiscovery";
+import { URLFetcher } from "./URLFetcher";
+
+const HOMEPAGE = "https://www.example.com/";
+
+/**
+ * Serves the given pages from URLFetcher.fetchRaw; other URLs fail with 404
+ */
+function serve(pages: Record<string, string>) {
+  return vi
+    .spyOn(URLFetcher, "fetchRaw")
+    .mockImplementation(async (url: string) => {
+      if (url in pages) return pages[url];
+      throw new Error("HTTP 404: Not Found");
+    });
+}
+
+describe("PolicyDiscovery", () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("getHomepage", () => {
+    it("should turn bare domains into homepage URLs", () => {
+      expect(PolicyDiscovery.getHomepage("example.com")).toBe(
+        "https://example.com/",
+      );
+      expect(PolicyDiscovery.getHomepage(" www.example.co.uk/ ")).toBe(
+        "https://www.example.co.uk/",
+      );
+      expect(PolicyDiscovery.getHomepage("http://example.com")).toBe(
+        "http://example.com/",
+      );
+    });
+
+    it("should return null for specific pages and other input", () => {
+      expect(
+        PolicyDiscovery.getHomepage("https://example.com/privacy"),
+      ).toBeNull();
+      expect(PolicyDiscovery.getHomepage("example.com/?page=1")).toBeNull();
+      expect(PolicyDiscovery.getHomepage("localhost")).toBeNull();
+      expect(PolicyDiscovery.getHomepage("mailto:dpo@example.com")).toBeNull();
+      expect(PolicyDiscovery.getHomepage("ftp://example.com")).toBeNull();
+      expect(PolicyDiscovery.getHomepage("")).toBeNull();
+    });
+  });
+
+  describe("findLinks", () => {
+    it("should find rel links, footer links and other policy links", () => {
+      const links = PolicyDiscovery.findLinks(
+        `<html><head><link rel="privacy-policy" href="/legal/privacy"></head><body>
+          <main><a href="/blog/privacy-tips">Five privacy tips</a></main>
+          <div class="site-footer">
+            <a href="/legal/terms">Terms of Service</a>
+            <a href="/cookies#top">Cookie Policy</a>
+            <a href="#" onclick="openPrefs()">Cookie settings</a>
+            <a href="/do-not-sell">Your Privacy Choices</a>
+            <a href="mailto:privacy@example.com">Privacy team</a>
+          </div>
+        </body></html>`,
+        HOMEPAGE,
+      );
+
+      expect(links).toEqual([
+        {
+          url: "https://www.example.com/legal/privacy",
+          kind: "privacy",
+          label: "Privacy Policy",
+          source: "rel",
+        },
+        {
+          url: "https://www.example.com/blog/privacy-tips",
+          kind: "privacy",
+          label: "Five privacy tips",
+          source: "link",
+        },
+        {
+          url: "https://www.example.com/legal/terms",
+          kind: "terms",
+          label: "Terms of Service",
+          source: "footer",
+        },
+        {
+          url: "https://www.example.com/cookies",
+          kind: "cookies",
+          label: "Cookie Policy",
+          source: "footer",
+        },
+      ]);
+    });
+
+    it("should classify links without policy text by their path", () => {
+      const links = PolicyDiscovery.findLinks(
+        `<footer><a href="https://example.com/tos">Legal</a><a href="/about">About us</a></footer>`,
+        HOMEPAGE,
+      );
+
+      expect(links).toEqual([
+        {
+          url: "https://example.com/tos",
+          kind: "terms",
+          label: "Legal",
+          source: "footer",
+        },
+      ]);
+    });
+  });
+
+  describe("parseSitemap", () => {
+    it("should read pages and child sitemaps", () => {
+      const { pages, sitemaps } = PolicyDiscovery.parseSitemap(
+        `<?xml version="1.0"?>
+        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+          <url><loc> https://example.com/privacy </loc></url>
+        </urlset>`,
+      );
+      const index = PolicyDiscovery.parseSitemap(
+        `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+          <sitemap><loc>https://example.com/page-sitemap.xml</loc></sitemap>
+        </sitemapindex>`,
+      );
+
+      expect(pages).toEqual(["https://example.com/privacy"]);
+      expect(sitemaps).toEqual([]);
+      expect(index.sitemaps).toEqual(["https://example.com/page-sitemap.xml"]);
+    });
+  });
+
+  describe("discover", () => {
+    it("should rank the policies found on the homepage and in the sitemap", async () => {
+      serve({
+        [HOMEPAGE]: `<body>
+          <p>Protected by reCAPTCHA: <a href="https://policies.google.com/privacy">Privacy Policy</a></p>
+          <footer>
+            <a href="/privacy-policy">Privacy Policy</a>
+            <a href="/terms">Terms</a>
+          </footer>
+        </body>`,
+        "https://www.example.com/robots.txt":
+          "User-agent: *\nSitemap: https://www.example.com/sitemap_index.xml",
+        "https://www.example.com/sitemap_index.xml": `<sitemapindex>
+            <sitemap><loc>https://www.example.com/post-sitemap.xml</loc></sitemap>
+            <sitemap><loc>https://www.example.com/page-sitemap.xml</loc></sitemap>
+          </sitemapindex>`,
+        "https://www.example.com/page-sitemap.xml": `<urlset>
+            <url><loc>https://www.example.com/privacy-policy/</loc></url>
+            <url><loc>https://www.example.com/cookie-policy</loc></url>
+            <url><loc>https://www.example.com/pricing</loc></url>
+          </urlset>`,
+      });
+
+      const { homepage, candidates } = await PolicyDiscovery.discover(HOMEPAGE);
+
+      expect(homepage).toBe(HOMEPAGE);
+      expect(
+        candidates.map(({ url, kind, sources }) => ({ url, kind, sources })),
+      ).toEqual([
+        {
+          url: "https://www.example.com/privacy-policy",
+          kind: "privacy",
+          sources: ["footer", "sitemap"],
+        },
+        {
+          url: "https://www.example.com/terms",
+          kind: "terms",
+          sources: ["footer"],
+        },
+        {
+          url: "https://www.example.com/cookie-policy",
+          kind: "cookies",
+          sources: ["sitemap"],
+        },
+        {
+          url: "https://policies.google.com/privacy",
+          kind: "privacy",
+          sources: ["link"],
+        },
+      ]);
+    });
+
+    it("should try well-known paths for policies it has no link for", async () => {
+      const fetchRaw = serve({
+        [HOMEPAGE]: `<footer><a href="/privacy">Privacy</a></footer>`,
+        "https://www.example.com/terms-of-service":
+          "<title>Terms of Service | Example</title>",
+        // Sites that serve their homepage for every path don't match
+        "https://www.example.com/terms": "<title>Example</title>",
+      });
+
+      const { candidates } = await PolicyDiscovery.discover(HOMEPAGE);
+
+      expect(candidates.map((candidate) => candidate.url)).toEqual([
+        "https://www.example.com/privacy",
+        "https://www.example.com/terms-of-service",
+      ]);
+      expect(candidates[1]).toMatchObject({
+        kind: "terms",
+        label: "Terms of Service",
+        sources: ["well-known"],
+      });
+      expect(fetchRaw).not.toHaveBeenCalledWith(
+        "https://www.example.com/privacy-policy",
+        undefined,
+      );
+      expect(fetchRaw).toHaveBeenCalledWith(
+        "https://www.example.com/sitemap.xml",
+        undefined,
+      );
+    });
+
+    it("should offer at most three candidates of each kind", async () => {
+      serve({
+        [HOMEPAGE]: `<footer>${["us", "eu", "uk", "ca", "au"]
+          .map((region) => `<a href="/${region}/privacy">Privacy</a>`)
+          .join("")}</footer>`,
+      });
+
+      const { candidates } = await PolicyDiscovery.discover(HOMEPAGE);
+
+      expect(
+        candidates.filter((candidate) => candidate.kind === "privacy"),
+      ).toHaveLength(3);
+    });
+
+    it("should fail when the site cannot be reached", async () => {
+      serve({});
+
+      await expect(PolicyDiscovery.discover(HOMEPAGE)).rejects.toThrow(
+        "Could not load www.example.com: HTTP 404: Not Found",
+      );
+    });
+
+    it("should return no candidates for a site without policies", async () => {
+      serve({ [HOMEPAGE]: "<body><a href='/shop'>Shop</a></body>" });
+
+      const { candidates } = await PolicyDiscovery.discover(HOMEPAGE);
+
+      expect(candidates).toEqual([]);
+    });
+
+    it("should stop when cancelled", async () => {
+      const controller = new AbortController();
+      vi.spyOn(URLFetcher, "fetchRaw").mockImplementation(async () => {
+        controller.abort();
+        throw new Error("aborted");
+      });
+
+      await expect(
+        PolicyDiscovery.discover(HOMEPAGE, controller.signal),
+      ).rejects.toMatchObject({ name: "AbortError" });
+    });
+  });
+});
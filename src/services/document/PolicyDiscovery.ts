@@ -0,0 +1,580 @@
+/**
+ * @file Policy Discovery Service
+ * @description Finds the privacy policy, terms of service and cookie policy
+ * pages of a site from the links on its homepage, well-known paths and its
+ * sitemap, so users can start from a bare domain
+ */
+
+import { URLFetcher } from "./URLFetcher.js";
+import { POLICY_DISCOVERY } from "../../utils/constants.js";
+import { throwIfAborted } from "../../utils/helpers.js";
+import type {
+  PolicyCandidate,
+  PolicyCandidateSource,
+  PolicyDiscoveryResult,
+  PolicyKind,
+} from "../../types/index.js";
+
+/**
+ * Kinds of policy, in the order they are offered
+ */
+export const POLICY_KINDS: PolicyKind[] = ["privacy", "terms", "cookies"];
+
+/**
+ * Name of each kind of policy
+ */
+export const POLICY_KIND_LABELS: Record<PolicyKind, string> = {
+  privacy: "Privacy Policy",
+  terms: "Terms of Service",
+  cookies: "Cookie Policy",
+};
+
+/**
+ * Link text of each kind of policy, in a few common languages
+ */
+const TEXT_PATTERNS: Record<PolicyKind, RegExp> = {
+  privacy:
+    /privacy|data protection|datenschutz|confidentialit|privacidad|privacit|privacybeleid/i,
+  terms:
+    /\bterms\b|conditions|user agreement|nutzungsbedingungen|\bagb\b|condiciones|gebruiksvoorwaarden/i,
+  cookies: /cookie/i,
+};
+
+/**
+ * Link text that names a policy exactly
+ */
+const TITLE_PATTERNS: Record<PolicyKind, RegExp> = {
+  privacy: /^(global |online )?privacy (policy|notice|statement)$/i,
+  terms: /^terms (of (service|use)|(and|&) conditions)$/i,
+  cookies: /^cookies? (policy|notice|statement)$/i,
+};
+
+/**
+ * Last path segment of each kind of policy page
+ */
+const SLUG_PATTERNS: Record<PolicyKind, RegExp> = {
+  privacy:
+    /^((global|online)[-_])?(privacy([-_](policy|notice|statement))?|datenschutz(erklaerung)?)(\.html?|\.php)?$/i,
+  terms:
+    /^(terms|tos)([-_](of[-_](service|use)|and[-_]conditions|conditions))?(\.html?|\.php)?$/i,
+  cookies: /^cookies?([-_](policy|notice|statement))?(\.html?|\.php)?$/i,
+};
+
+/**
+ * Links to settings and opt-outs rather than to a policy
+ */
+const EXCLUDED_TEXT_PATTERN =
+  /settings|preferences|manage|choices|do not sell|opt[\s-]?out|consent/i;
+
+/**
+ * Ancestors whose id or class marks the page footer
+ */
+const FOOTER_NAME_PATTERN = /footer/i;
+
+/**
+ * Common paths of each kind of policy, tried when the homepage has no link
+ */
+const WELL_KNOWN_PATHS: Record<PolicyKind, string[]> = {
+  privacy: ["/privacy", "/privacy-policy", "/legal/privacy"],
+  terms: ["/terms", "/terms-of-service", "/legal/terms"],
+  cookies: ["/cookie-policy", "/cookies"],
+};
+
+/**
+ * Sitemaps in a sitemap index that are likely to list legal pages
+ */
+const LIKELY_SITEMAP_PATTERN = /page|legal|policy|static|misc/i;
+
+/**
+ * Score of each place a candidate was found: a link the site marks as its
+ * policy outranks footer links, which outrank links found anywhere else
+ */
+const SOURCE_SCORES: Record<PolicyCandidateSource, number> = {
+  rel: 50,
+  footer: 30,
+  link: 20,
+  "well-known": 15,
+  sitemap: 10,
+};
+
+/**
+ * Candidate found in one place, before candidates are merged and ranked
+ */
+export interface FoundLink {
+  url: string;
+  kind: PolicyKind;
+  label: string;
+  source: PolicyCandidateSource;
+}
+
+export class PolicyDiscovery {
+  /**
+   * Gets the homepage URL when the input is a bare domain or a homepage
+   * rather than the URL of a page on the site
+   * @param input - Domain (example.com) or URL typed by the user
+   * @returns Homepage URL, or null when the input points to a specific page
+   */
+  static getHomepage(input: string): string | null {
+    const trimmed = input.trim();
+    if (!trimmed) return null;
+
+    const withProtocol = /^[a-z][a-z\d+.-]*:\/\//i.test(trimmed)
+      ? trimmed
+      : `https://${trimmed}`;
+
+    let url: URL;
+    try {
+      url = new URL(withProtocol);
+    } catch {
+      return null;
+    }
+
+    if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+    if (url.username || url.password || !url.hostname.includes(".")) {
+      return null;
+    }
+    if (url.pathname !== "/" || url.search) return null;
+
+    return `${url.origin}/`;
+  }
+
+  /**
+   * Finds the policy pages of a site
+   * @param homepage - Homepage URL (see getHomepage)
+   * @param signal - Optional signal to cancel all pending requests
+   * @returns Candidates ranked best first, at most a few of each kind
+   * @throws Error if the homepage could not be loaded and nothing was found
+   * @throws AbortError if cancelled through `signal`
+   */
+  static async discover(
+    homepage: string,
+    signal?: AbortSignal,
+  ): Promise<PolicyDiscoveryResult> {
+    const found: FoundLink[] = [];
+
+    const [page, sitemapUrls] = await Promise.allSettled([
+      URLFetcher.fetchRaw(homepage, signal),
+      this.readSitemaps(homepage, signal),
+    ]);
+    throwIfAborted(signal);
+
+    if (page.status === "fulfilled") {
+      found.push(...this.findLinks(page.value, homepage));
+    }
+    if (sitemapUrls.status === "fulfilled") {
+      found.push(...this.findSitemapLinks(sitemapUrls.value, homepage));
+    }
+
+    // Try common paths only for the kinds no link was found for
+    const missing = POLICY_KINDS.filter(
+      (kind) => !found.some((link) => link.kind === kind),
+    );
+    const probes = await Promise.allSettled(
+      missing.flatMap((kind) =>
+        WELL_KNOWN_PATHS[kind].map((path) =>
+          this.probe(new URL(path, homepage).href, kind, signal),
+        ),
+      ),
+    );
+    throwIfAborted(signal);
+
+    for (const probe of probes) {
+      if (probe.status === "fulfilled" && probe.value) {
+        found.push(probe.value);
+      }
+    }
+
+    if (found.length === 0 && page.status === "rejected") {
+      const reason =
+        page.reason instanceof Error ? page.reason.message : "Unknown error";
+      throw new Error(
+        `Could not load ${new URL(homepage).hostname}: ${reason}`,
+      );
+    }
+
+    return { homepage, candidates: this.rank(found, homepage) };
+  }
+
+  /**
+   * Finds policy links on a page: links marked rel="privacy-policy" or
+   * rel="terms-of-service", and links whose text or path names a policy
+   * @param html - Page HTML
+   * @param pageUrl - URL of the page, to resolve relative links
+   * @returns Links found
+   */
+  static findLinks(html: string, pageUrl: string): FoundLink[] {
+    const doc = new DOMParser().parseFromString(html, "text/html");
+    const baseHref = doc.querySelector("base[href]")?.getAttribute("href");
+    const base = (baseHref && this.resolveUrl(baseHref, pageUrl)) || pageUrl;
+    const links: FoundLink[] = [];
+
+    for (const element of Array.from(
+      doc.querySelectorAll("a[href], link[href]"),
+    )) {
+      const url = this.resolveUrl(element.getAttribute("href") || "", base);
+      if (!url || this.isHomepage(url, pageUrl)) continue;
+
+      const rel = (element.getAttribute("rel") || "")
+        .toLowerCase()
+        .split(/\s+/);
+      const label = this.getLabel(element);
+      let kind: PolicyKind | null;
+      let source: PolicyCandidateSource;
+
+      if (rel.includes("privacy-policy")) {
+        kind = "privacy";
+        source = "rel";
+      } else if (rel.includes("terms-of-service")) {
+        kind = "terms";
+        source = "rel";
+      } else if (element.localName === "a") {
+        kind = this.classify(label, url);
+        source = this.isInFooter(element) ? "footer" : "link";
+      } else {
+        continue;
+      }
+
+      if (kind) {
+        links.push({
+          url,
+          kind,
+          label: label || POLICY_KIND_LABELS[kind],
+          source,
+        });
+      }
+    }
+
+    return links;
+  }
+
+  /**
+   * Reads the page and child sitemap URLs listed in a sitemap
+   * @param xml - Sitemap or sitemap index XML
+   * @returns Page URLs and child sitemap URLs
+   */
+  static parseSitemap(xml: string): { pages: string[]; sitemaps: string[] } {
+    const doc = new DOMParser().parseFromString(xml, "application/xml");
+    const pages: string[] = [];
+    const sitemaps: string[] = [];
+
+    for (const loc of Array.from(doc.getElementsByTagName("loc"))) {
+      const url = loc.textContent?.trim();
+      if (!url) continue;
+
+      const parent = loc.parentElement?.localName;
+      if (parent === "sitemap") {
+        sitemaps.push(url);
+      } else if (parent === "url") {
+        pages.push(url);
+      }
+    }
+
+    return { pages, sitemaps };
+  }
+
+  /**
+   * Reads the site's sitemaps, starting from those listed in robots.txt
+   * @param homepage - Homepage URL
+   * @param signal - Optional signal to cancel all pending requests
+   * @returns Page URLs listed in the sitemaps
+   * @private
+   */
+  private static async readSitemaps(
+    homepage: string,
+    signal?: AbortSignal,
+  ): Promise<string[]> {
+    let robots = "";
+    try {
+      robots = await URLFetcher.fetchRaw(
+        new URL("/robots.txt", homepage).href,
+        signal,
+      );
+    } catch {
+      throwIfAborted(signal);
+    }
+
+    const queue = Array.from(robots.matchAll(/^\s*sitemap:\s*(\S+)/gim)).map(
+      (match) => match[1],
+    );
+    if (queue.length === 0) {
+      queue.push(new URL("/sitemap.xml", homepage).href);
+    }
+
+    const pages: string[] = [];
+    for (let read = 0; read < POLICY_DISCOVERY.MAX_SITEMAPS; read++) {
+      const sitemapUrl = queue.shift();
+      if (!sitemapUrl) break;
+      // Compressed sitemaps can't be read in the browser
+      if (/\.gz$/i.test(sitemapUrl)) continue;
+
+      let xml: string;
+      try {
+        xml = await URLFetcher.fetchRaw(sitemapUrl, signal);
+      } catch {
+        throwIfAborted(signal);
+        continue;
+      }
+
+      const sitemap = this.parseSitemap(xml);
+      pages.push(...sitemap.pages);
+      queue.push(
+        ...sitemap.sitemaps.sort(
+          (a, b) =>
+            Number(LIKELY_SITEMAP_PATTERN.test(b)) -
+            Number(LIKELY_SITEMAP_PATTERN.test(a)),
+        ),
+      );
+    }
+
+    return pages;
+  }
+
+  /**
+   * Picks the sitemap entries of the site whose path names a policy
+   * @param urls - Page URLs from the sitemaps
+   * @param homepage - Homepage URL
+   * @returns Links found
+   * @private
+   */
+  private static findSitemapLinks(
+    urls: string[],
+    homepage: string,
+  ): FoundLink[] {
+    const links: FoundLink[] = [];
+
+    for (const entry of urls) {
+      const url = this.resolveUrl(entry, homepage);
+      if (!url || !this.isSameSite(url, homepage)) continue;
+
+      const kind = this.classifySlug(url);
+      if (kind) {
+        links.push({
+          url,
+          kind,
+          label: POLICY_KIND_LABELS[kind],
+          source: "sitemap",
+        });
+      }
+    }
+
+    return links;
+  }
+
+  /**
+   * Checks whether a well-known path exists and is a policy page
+   * @param url - URL to try
+   * @param kind - Kind of policy expected at the path
+   * @param signal - Optional signal to cancel all pending requests
+   * @returns Link, or null when the page is something else
+   * @private
+   */
+  private static async probe(
+    url: string,
+    kind: PolicyKind,
+    signal?: AbortSignal,
+  ): Promise<FoundLink | null> {
+    const html = await URLFetcher.fetchRaw(url, signal);
+    const doc = new DOMParser().parseFromString(html, "text/html");
+
+    // Sites that answer every path with their homepage aren't a match
+    const title = `${doc.title} ${doc.querySelector("h1")?.textContent || ""}`;
+    if (!TEXT_PATTERNS[kind].test(title)) return null;
+
+    return {
+      url,
+      kind,
+      label: POLICY_KIND_LABELS[kind],
+      source: "well-known",
+    };
+  }
+
+  /**
+   * Merges the links found for the same page and ranks them
+   * @param found - Links found
+   * @param homepage - Homepage URL
+   * @returns Candidates ranked best first, at most a few of each kind
+   * @private
+   */
+  private static rank(found: FoundLink[], homepage: string): PolicyCandidate[] {
+    const candidates = new Map<string, PolicyCandidate>();
+
+    for (const link of found) {
+      const key = `${link.kind} ${link.url.replace(/\/$/, "")}`;
+      const existing = candidates.get(key);
+
+      if (!existing) {
+        candidates.set(key, {
+          url: link.url,
+          kind: link.kind,
+          label: link.label,
+          sources: [link.source],
+          score: 0,
+        });
+        continue;
+      }
+
+      if (!existing.sources.includes(link.source)) {
+        existing.sources.push(link.source);
+      }
+      if (existing.label === POLICY_KIND_LABELS[existing.kind]) {
+        existing.label = link.label;
+      }
+    }
+
+    const ranked = Array.from(candidates.values())
+      .map((candidate) => ({
+        ...candidate,
+        score: this.score(candidate, homepage),
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    return ranked.filter(
+      (candidate) =>
+        ranked
+          .filter((other) => other.kind === candidate.kind)
+          .indexOf(candidate) < POLICY_DISCOVERY.MAX_CANDIDATES_PER_KIND,
+    );
+  }
+
+  /**
+   * Scores a candidate from where it was found, how well its text and path
+   * name the policy and whether it is on the same site
+   * @param candidate - Merged candidate
+   * @param homepage - Homepage URL
+   * @returns Score (higher is a better match)
+   * @private
+   */
+  private static score(candidate: PolicyCandidate, homepage: string): number {
+    const url = new URL(candidate.url);
+    let score = candidate.sources.reduce(
+      (total, source) => total + SOURCE_SCORES[source],
+      0,
+    );
+
+    if (TITLE_PATTERNS[candidate.kind].test(candidate.label)) score += 15;
+    if (this.classifySlug(candidate.url) === candidate.kind) score += 10;
+    // Footers often link to third-party policies (such as reCAPTCHA's)
+    if (!this.isSameSite(candidate.url, homepage)) score -= 25;
+    if (url.search) score -= 5;
+
+    const depth = url.pathname.split("/").filter(Boolean).length;
+    score -= Math.max(0, depth - 1) * 2;
+
+    return score;
+  }
+
+  /**
+   * Gets the kind of policy a link points to from its text, or from its
+   * path when the text doesn't say
+   * @param label - Link text
+   * @param url - Link URL
+   * @returns Kind, or null when the link is not a policy
+   * @private
+   */
+  private static classify(label: string, url: string): PolicyKind | null {
+    if (label) {
+      if (EXCLUDED_TEXT_PATTERN.test(label)) return null;
+
+      // Long link text is a sentence mentioning a policy, not its name
+      if (label.length <= POLICY_DISCOVERY.MAX_LABEL_LENGTH) {
+        const kind = POLICY_KINDS.find((k) => TEXT_PATTERNS[k].test(label));
+        if (kind) return kind;
+      }
+    }
+
+    return this.classifySlug(url);
+  }
+
+  /**
+   * Gets the kind of policy from the last segment of a URL path
+   * @param url - Page URL
+   * @returns Kind, or null when the path doesn't name a policy
+   * @private
+   */
+  private static classifySlug(url: string): PolicyKind | null {
+    const slug = new URL(url).pathname.split("/").filter(Boolean).pop();
+    if (!slug) return null;
+
+    return POLICY_KINDS.find((kind) => SLUG_PATTERNS[kind].test(slug)) || null;
+  }
+
+  /**
+   * Gets the text of a link, falling back to its title or ARIA label
+   * @private
+   */
+  private static getLabel(element: Element): string {
+    const text = (
+      element.textContent ||
+      element.getAttribute("aria-label") ||
+      element.getAttribute("title") ||
+      ""
+    )
+      .replace(/\s+/g, " ")
+      .trim();
+
+    return text.length > POLICY_DISCOVERY.MAX_LABEL_LENGTH
+      ? `${text.slice(0, POLICY_DISCOVERY.MAX_LABEL_LENGTH - 1)}…`
+      : text;
+  }
+
+  /**
+   * Checks whether an element is in the page footer
+   * @private
+   */
+  private static isInFooter(element: Element): boolean {
+    for (
+      let current: Element | null = element;
+      current;
+      current = current.parentElement
+    ) {
+      if (
+        current.localName === "footer" ||
+        current.getAttribute("role") === "contentinfo" ||
+        FOOTER_NAME_PATTERN.test(current.id) ||
+        FOOTER_NAME_PATTERN.test(current.getAttribute("class") || "")
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Resolves a link to an absolute http(s) URL without its fragment
+   * @private
+   */
+  private static resolveUrl(href: string, base: string): string | null {
+    try {
+      const url = new URL(href, base);
+      if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+      url.hash = "";
+      return url.href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether a URL is the homepage itself
+   * @private
+   */
+  private static isHomepage(url: string, homepage: string): boolean {
+    const target = new URL(url);
+    return (
+      target.origin === new URL(homepage).origin &&
+      target.pathname === "/" &&
+      !target.search
+    );
+  }
+
+  /**
+   * Checks whether a URL is on the homepage's site or one of its subdomains
+   * (policies.example.com for www.example.com)
+   * @private
+   */
+  private static isSameSite(url: string, homepage: string): boolean {
+    const host = new URL(url).hostname;
+    const site = new URL(homepage).hostname.replace(/^www\./, "");
+    return host === site || host.endsWith(`.${site}`);
+  }
+}
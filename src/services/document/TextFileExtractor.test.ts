@@ -0,0 +1,108 @@
+/**
+ * @file TextFileExtractor Tests
+ * @description Tests for HTML, Markdown and plain-text extraction
+ */
+
+import { describe, it, expect } from "vitest";
+import { TextFileExtractor } from "./TextFileExtractor.js";
+
+const SENTENCE =
+  "We collect your email address and browsing history to personalize advertising. ";
+
+/**
+ * Creates a File whose content can be read in jsdom
+ */
+function createFile(content: string, name: string, type = ""): File {
+  const bytes = new TextEncoder().encode(content);
+  const file = new File([], name, { type });
+  Object.defineProperties(file, {
+    size: { value: bytes.length },
+    text: { value: () => Promise.resolve(content) },
+    slice: {
+      value: (start: number, end: number) => ({
+        arrayBuffer: () => Promise.resolve(bytes.slice(start, end).buffer),
+      }),
+    },
+  });
+  return file;
+}
+
+describe("TextFileExtractor", () => {
+  describe("extract", () => {
+    it("should extract the body text of HTML files", async () => {
+      const file = createFile(
+        `<html><head><style>p{}</style></head><body><nav>Home</nav><h1>Privacy Policy</h1><p>${SENTENCE.repeat(2)}</p><script>track()</script></body></html>`,
+        "policy.html",
+        "text/html",
+      );
+
+      const text = await TextFileExtractor.extract(file);
+
+      expect(text).toContain("Privacy Policy");
+      expect(text).toContain(SENTENCE.trim());
+      expect(text).not.toContain("Home");
+      expect(text).not.toContain("track()");
+    });
+
+    it("should strip Markdown syntax but keep headings", async () => {
+      const file = createFile(
+        `# Privacy Policy\n\n${SENTENCE}**Opt out** at [our settings](https://example.com/settings).`,
+        "policy.md",
+      );
+
+      const text = await TextFileExtractor.extract(file);
+
+      expect(text).toBe(
+        `# Privacy Policy\n\n${SENTENCE}Opt out at our settings (https://example.com/settings).`,
+      );
+    });
+
+    it("should normalize plain text", async () => {
+      const file = createFile(
+        `Privacy   Policy\r\n\r\n\r\n\r\n${SENTENCE.repeat(2)}  `,
+        "policy.txt",
+        "text/plain",
+      );
+
+      const text = await TextFileExtractor.extract(file);
+
+      expect(text).toBe(`Privacy Policy\n\n${SENTENCE.repeat(2).trim()}`);
+    });
+
+    it("should reject binary content", async () => {
+      const file = createFile(`%PDF-1.7 ${SENTENCE}`, "policy.txt");
+
+      await expect(TextFileExtractor.extract(file)).rejects.toThrow(
+        "binary content",
+      );
+    });
+
+    it("should reject documents with too little text", async () => {
+      const file = createFile("Privacy Policy", "policy.txt");
+
+      await expect(TextFileExtractor.extract(file)).rejects.toThrow(
+        "too short",
+      );
+    });
+  });
+
+  describe("extractTextFromMarkdown", () => {
+    it("should remove front matter, comments, images and rules", () => {
+      const text = TextFileExtractor.extractTextFromMarkdown(
+        "---\ntitle: Policy\n---\n<!-- draft -->\n![Logo](logo.png)\n\n---\n\n> Effective `2025-01-01`",
+      );
+
+      expect(text).toBe("Logo\n\nEffective 2025-01-01");
+    });
+
+    it("should normalize headings and bullets", () => {
+      const text = TextFileExtractor.extractTextFromMarkdown(
+        "Privacy Policy\n==============\n\nSharing\n-------\n\n###   Partners ###\n\n* Advertisers\n+ Analytics",
+      );
+
+      expect(text).toBe(
+        "# Privacy Policy\n\n## Sharing\n\n### Partners\n\n- Advertisers\n- Analytics",
+      );
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * @file Text File Extractor Service
+ * @description Service for extracting text from HTML, Markdown and plain-text
+ * files, and for cleaning up pasted policy text
+ */
+
+import { URLFetcher } from "./URLFetcher.js";
+import {
+  getFileFormat,
+  validateFile,
+  validateFileSignature,
+  validateDocumentText,
+} from "../../utils/validation.js";
+import { throwIfAborted } from "../../utils/helpers.js";
+
+export class TextFileExtractor {
+  /**
+   * Extracts text from an HTML, Markdown or plain-text file
+   * @param file - Uploaded file
+   * @param signal - Optional signal to stop before parsing
+   * @returns Extracted text
+   * @throws AbortError if cancelled through `signal`
+   */
+  static async extract(file: File, signal?: AbortSignal): Promise<string> {
+    const validation = validateFile(file);
+    if (!validation.valid) {
+      throw new Error(validation.errors[0].message);
+    }
+
+    const signature = await validateFileSignature(file);
+    if (!signature.valid) {
+      throw new Error(signature.errors[0].message);
+    }
+
+    const content = await file.text();
+    throwIfAborted(signal);
+
+    let text: string;
+    switch (getFileFormat(file)) {
+      case "html":
+        text = URLFetcher.extractTextFromHtml(content);
+        break;
+      case "markdown":
+        text = this.extractTextFromMarkdown(content);
+        break;
+      default:
+        text = this.normalizeText(content);
+    }
+
+    const textValidation = validateDocumentText(text);
+    if (!textValidation.valid) {
+      throw new Error(textValidation.errors[0].message);
+    }
+
+    return text;
+  }
+
+  /**
+   * Strips Markdown syntax, keeping link targets (opt-out and contact links
+   * matter for the analysis). Headings, lists and tables stay in the
+   * Markdown form the rest of the app uses for document structure.
+   * @param markdown - Markdown source
+   * @returns Structured text
+   */
+  static extractTextFromMarkdown(markdown: string): string {
+    const text = markdown
+      .replace(/\r\n?/g, "\n")
+      // Front matter and HTML comments
+      .replace(/^---\n[\s\S]*?\n---\n/, "")
+      .replace(/<!--[\s\S]*?-->/g, "")
+      // Images keep their description, links their target
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, "$1 ($2)")
+      // Headings in one form, underlined headings become ATX headings
+      .replace(/^ {0,3}(#{1,6})[ \t]+(.+?)[ \t#]*$/gm, "$1 $2")
+      .replace(/^(?! {0,3}[-*+#>|])(.*\S.*)\n {0,3}=+ *$/gm, "# $1")
+      .replace(/^(?! {0,3}[-*+#>|])(.*\S.*)\n {0,3}-+ *$/gm, "## $1")
+      // Bullets in one form
+      .replace(/^ *[*+][ \t]+/gm, "- ")
+      // Quotes, code fences and emphasis
+      .replace(/^ {0,3}>\s?/gm, "")
+      .replace(/^ {0,3}(```|~~~).*$/gm, "")
+      .replace(/(\*\*|__)(.+?)\1/g, "$2")
+      .replace(/`([^`]+)`/g, "$1")
+      // Horizontal rules
+      .replace(/^ {0,3}([-*_])( *\1){2,} *$/gm, "");
+
+    return this.normalizeText(text);
+  }
+
+  /**
+   * Normalizes line endings and whitespace while keeping paragraph breaks
+   * @param text - Raw text
+   * @returns Cleaned text
+   */
+  static normalizeText(text: string): string {
+    return (text || "")
+      .replace(/\r\n?/g, "\n")
+      .replace(/[^\S\n]+/g, " ")
+      .replace(/ *\n */g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+}
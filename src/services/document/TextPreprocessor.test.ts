@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { TextPreprocessor } from './TextPreprocessor.js';
+
+const paragraph = (label: string, sentences: number) =>
+  Array.from({ length: sentences }, (_, i) => `${label} sentence number ${i + 1} about personal data.`).join(' ');
+
+describe('TextPreprocessor', () => {
+  describe('preprocess', () => {
+    it('should collapse whitespace within lines but keep line breaks', () => {
+      const text = TextPreprocessor.preprocess('# Privacy  Policy \r\n\n\n\n- Email\t address\n- Location!!!');
+
+      expect(text).toBe('# Privacy Policy\n\n- Email address\n- Location!');
+    });
+  });
+
+  describe('chunkText', () => {
+    it('should include the final partial chunk', () => {
+      const chunks = TextPreprocessor.chunkText('a'.repeat(2500), 1000, 0);
+
+      expect(chunks.map(chunk => chunk.length)).toEqual([1000, 1000, 500]);
+    });
+
+    it('should overlap consecutive chunks', () => {
+      const chunks = TextPreprocessor.chunkText('abcdefghij', 4, 1);
+
+      expect(chunks).toEqual(['abcd', 'defg', 'ghij']);
+    });
+  });
+
+  describe('chunkBySections', () => {
+    it('should return an empty array for empty input', () => {
+      expect(TextPreprocessor.chunkBySections('', 1000)).toEqual([]);
+      expect(TextPreprocessor.chunkBySections('   ', 1000)).toEqual([]);
+    });
+
+    it('should return a single preprocessed chunk when text fits', () => {
+      const chunks = TextPreprocessor.chunkBySections('Short   policy\n\ntext.', 1000);
+
+      expect(chunks).toEqual(['Short policy\n\ntext.']);
+    });
+
+    it('should keep every chunk, overlap included, within the size limit', () => {
+      const text = Array.from({ length: 20 }, (_, i) => paragraph(`P${i}`, 5)).join('\n\n');
+      const chunks = TextPreprocessor.chunkBySections(text, 1000, 100);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => {
+        expect(chunk.length).toBeLessThanOrEqual(1000);
+      });
+    });
+
+    it('should keep hard-split chunks with overlap within the size limit', () => {
+      const chunks = TextPreprocessor.chunkBySections(`Intro.\n\n${'x'.repeat(2500)}`, 1000, 400);
+
+      expect(chunks.length).toBeGreaterThan(2);
+      chunks.forEach(chunk => {
+        expect(chunk.length).toBeLessThanOrEqual(1000);
+      });
+    });
+
+    it('should not lose content between chunks', () => {
+      const text = Array.from({ length: 12 }, (_, i) => paragraph(`P${i}`, 4)).join('\n\n');
+      const chunks = TextPreprocessor.chunkBySections(text, 800, 0);
+
+      const words = (value: string) => value.split(/\s+/).join(' ');
+      expect(words(chunks.join(' '))).toBe(words(TextPreprocessor.preprocess(text)));
+    });
+
+    it('should start a new chunk at a section heading once the chunk is half full', () => {
+      const text = [
+        '1. Information We Collect',
+        paragraph('Collect', 14),
+        '2. How We Share Information',
+        paragraph('Share', 8),
+      ].join('\n\n');
+      const chunks = TextPreprocessor.chunkBySections(text, 1000, 0);
+
+      expect(chunks).toHaveLength(2);
+      expect(chunks[1].startsWith('2. How We Share Information')).toBe(true);
+    });
+
+    it('should split flattened text on inline numbered headings', () => {
+      const text = `1. Information We Collect ${paragraph('Collect', 14)} 2. How We Share Information ${paragraph('Share', 8)}`;
+      const chunks = TextPreprocessor.chunkBySections(text, 1000, 0);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks.some(chunk => chunk.startsWith('2. How We Share Information'))).toBe(true);
+    });
+
+    it('should prefix later chunks with overlap from the previous chunk', () => {
+      const text = Array.from({ length: 10 }, (_, i) => paragraph(`P${i}`, 4)).join('\n\n');
+      const withoutOverlap = TextPreprocessor.chunkBySections(text, 800, 0);
+      const withOverlap = TextPreprocessor.chunkBySections(text, 800, 80);
+
+      expect(withOverlap).toHaveLength(withoutOverlap.length);
+      expect(withOverlap[0]).toBe(withoutOverlap[0]);
+      expect(withOverlap[1].endsWith(withoutOverlap[1])).toBe(true);
+      expect(withOverlap[1].length).toBeGreaterThan(withoutOverlap[1].length);
+    });
+
+    it('should hard-split blocks larger than the chunk size', () => {
+      const text = 'x'.repeat(2500);
+      const chunks = TextPreprocessor.chunkBySections(text, 1000, 0);
+
+      expect(chunks.length).toBeGreaterThanOrEqual(3);
+      chunks.forEach(chunk => {
+        expect(chunk.length).toBeLessThanOrEqual(1000);
+      });
+    });
+  });
+});
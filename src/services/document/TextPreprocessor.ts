@@ -7,7 +7,9 @@ import { TEXT_PROCESSING } from "../../utils/constants.js";
 
 export class TextPreprocessor {
   /**
-   * Preprocesses extracted text for LLM analysis
+   * Preprocesses extracted text for LLM analysis. Line breaks are kept so
+   * the Markdown-style headings, lists and tables of the extracted
+   * document reach the model.
    * @param text - Raw text to preprocess
    * @returns Preprocessed text
    */
@@ -16,13 +18,14 @@ export class TextPreprocessor {
       return "";
     }
 
-    let processed = text;
+    let processed = text.replace(/\r\n?/g, "\n");
 
-    // Normalize whitespace
-    processed = processed.replace(/\s+/g, " ");
+    // Normalize whitespace within lines
+    processed = processed.replace(/[^\S\n]+/g, " ");
+    processed = processed.replace(/ ?\n ?/g, "\n");
 
     // Normalize line breaks
-    processed = processed.replace(/\n\s*\n\s*\n+/g, "\n\n");
+    processed = processed.replace(/\n{3,}/g, "\n\n");
 
     // Remove excessive punctuation
     processed = processed.replace(/([.!?])\1+/g, "$1");
@@ -56,18 +59,139 @@ export class TextPreprocessor {
 
       chunks.push(chunkText);
 
-      // Move to next chunk with overlap
-      startIndex = endIndex - overlap;
-
-      // Prevent infinite loop
-      if (startIndex + chunkSize >= text.length) {
+      if (endIndex === text.length) {
         break;
       }
+
+      // Move to next chunk with overlap (always advance to prevent infinite loop)
+      startIndex = Math.max(endIndex - overlap, startIndex + 1);
     }
 
     return chunks;
   }
 
+  /**
+   * Chunks text along section boundaries for map-reduce analysis.
+   * Paragraphs and numbered/uppercase headings are kept together where
+   * possible; a new chunk is started at a heading once the current chunk
+   * is at least half full. Oversized blocks fall back to chunkText.
+   * @param text - Text to chunk
+   * @param maxChunkSize - Maximum chunk size in characters, overlap included
+   * @param overlap - Characters of trailing context carried into the next
+   * chunk (at most a quarter of the chunk size)
+   * @returns Array of text chunks
+   */
+  static chunkBySections(
+    text: string,
+    maxChunkSize: number = TEXT_PROCESSING.CHUNK_SIZE,
+    overlap: number = TEXT_PROCESSING.CHUNK_OVERLAP,
+  ): string[] {
+    if (!text || !text.trim()) return [];
+
+    const trimmed = text.trim();
+    if (trimmed.length <= maxChunkSize) {
+      return [this.preprocess(trimmed)];
+    }
+
+    // The carried context and the space joining it come out of each chunk's
+    // budget, so no chunk outgrows the size the context window allows
+    const carried = Math.max(0, Math.min(overlap, Math.floor(maxChunkSize / 4)));
+    const budget = carried > 0 ? maxChunkSize - carried - 1 : maxChunkSize;
+
+    const blocks = this.splitIntoBlocks(trimmed);
+    const chunks: string[] = [];
+    let current = "";
+
+    const flush = () => {
+      const chunk = this.preprocess(current);
+      if (chunk) {
+        chunks.push(chunk);
+      }
+      current = "";
+    };
+
+    for (const block of blocks) {
+      // Blocks that cannot fit in any chunk are hard-split
+      if (block.length > budget) {
+        if (current) flush();
+        chunks.push(
+          ...this.chunkText(block, budget, Math.min(carried, budget / 4)).map(
+            (piece) => this.preprocess(piece),
+          ),
+        );
+        continue;
+      }
+
+      const wouldOverflow = current.length + block.length + 1 > budget;
+      const startsSection =
+        this.isSectionHeading(block) && current.length >= budget / 2;
+
+      if (current && (wouldOverflow || startsSection)) {
+        flush();
+      }
+
+      current = current ? `${current}\n\n${block}` : block;
+    }
+
+    if (current) flush();
+
+    if (carried === 0 || chunks.length < 2) {
+      return chunks;
+    }
+
+    // Carry trailing context of each chunk into the next one
+    return chunks.map((chunk, index) => {
+      if (index === 0) return chunk;
+      const previous = chunks[index - 1];
+      let tail = previous.slice(-carried);
+      const firstSpace = tail.indexOf(" ");
+      if (firstSpace > 0 && firstSpace < tail.length - 1) {
+        tail = tail.slice(firstSpace + 1);
+      }
+      return `${tail} ${chunk}`;
+    });
+  }
+
+  /**
+   * Splits text into paragraph/sentence blocks, starting a new block at
+   * anything that looks like a section heading
+   * @param text - Text to split
+   * @returns Array of blocks
+   * @private
+   */
+  private static splitIntoBlocks(text: string): string[] {
+    // Prefer explicit paragraph breaks when the source preserved them
+    const paragraphs = text
+      .split(/\n\s*\n/)
+      .map((p) => p.trim())
+      .filter(Boolean);
+    if (paragraphs.length > 1) {
+      return paragraphs;
+    }
+
+    // Flattened text: split on sentence ends and inline numbered headings
+    return text
+      .split(/(?<=[^\d\s][.!?])\s+(?=[A-Z0-9])|\s+(?=\d{1,2}(?:\.\d{1,2})*\.?\s+[A-Z][a-z])/)
+      .map((s) => s.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Heuristic check for a block that opens a new policy section
+   * @param block - Block of text
+   * @returns True if the block starts with a heading
+   * @private
+   */
+  private static isSectionHeading(block: string): boolean {
+    const firstLine = block.split("\n")[0].trim();
+    if (/^(\d{1,2}(\.\d{1,2})*\.?|[IVX]{1,5}\.|#{1,4})\s+\S/.test(firstLine)) {
+      return true;
+    }
+    const leading = firstLine.slice(0, 60);
+    const letters = leading.replace(/[^A-Za-z]/g, "");
+    return letters.length >= 6 && letters === letters.toUpperCase();
+  }
+
   /**
    * Extracts sentences from text
    * @param text - Text to extract sentences from
@@ -3,12 +3,15 @@
  * @description Service for fetching and extracting text from URLs
  */
 
+import { ContentExtractor } from "./ContentExtractor.js";
 import { validateUrl, validateDocumentText } from "../../utils/validation.js";
 import {
   CORS_PROXIES,
   ERROR_CODES,
   ERROR_MESSAGES,
 } from "../../utils/constants.js";
+import { createAbortError, throwIfAborted } from "../../utils/helpers.js";
+import type { PageExtraction } from "../../types/index.js";
 
 /**
  * Known CORS-blocked domains that should skip direct fetch
@@ -44,9 +47,33 @@ export class URLFetcher {
    * Fetches and extracts text from a URL
    * @param url - URL to fetch
    * @param maxRedirects - Maximum number of redirects to follow
+   * @param signal - Optional signal to cancel all pending requests
    * @returns Extracted text
+   * @throws AbortError if cancelled through `signal`
    */
-  static async fetch(url: string, maxRedirects: number = 3): Promise<string> {
+  static async fetch(
+    url: string,
+    maxRedirects: number = 3,
+    signal?: AbortSignal,
+  ): Promise<string> {
+    const page = await this.fetchPage(url, maxRedirects, signal);
+    return page.text;
+  }
+
+  /**
+   * Fetches a URL and extracts its main content, along with the whole page
+   * text and a report on the extraction for the user to review
+   * @param url - URL to fetch
+   * @param maxRedirects - Maximum number of redirects to follow
+   * @param signal - Optional signal to cancel all pending requests
+   * @returns Extracted page
+   * @throws AbortError if cancelled through `signal`
+   */
+  static async fetchPage(
+    url: string,
+    maxRedirects: number = 3,
+    signal?: AbortSignal,
+  ): Promise<PageExtraction> {
     // Validate URL
     const validation = validateUrl(url);
     if (!validation.valid) {
@@ -57,9 +84,11 @@ export class URLFetcher {
     let redirectCount = 0;
 
     while (redirectCount < maxRedirects) {
+      throwIfAborted(signal);
+
       let result: FetchResult;
       try {
-        result = await this._fetchWithProxies(currentUrl);
+        result = await this._fetchWithProxies(currentUrl, signal);
       } catch (err) {
         throw err;
       }
@@ -74,19 +103,38 @@ export class URLFetcher {
       }
 
       // No redirect, validate and return text
-      const text = this.extractTextFromHtml(result.html);
+      const page = ContentExtractor.extract(result.html);
 
-      const textValidation = validateDocumentText(text);
+      const textValidation = validateDocumentText(page.text);
       if (!textValidation.valid) {
         throw new Error(textValidation.errors[0].message);
       }
 
-      return text;
+      return page;
     }
 
     throw new Error("Too many redirects");
   }
 
+  /**
+   * Fetches the raw content of a URL (such as HTML, a sitemap or robots.txt)
+   * through the same direct and proxy requests, without extracting text
+   * @param url - URL to fetch
+   * @param signal - Optional signal to cancel all pending requests
+   * @returns Response body
+   * @throws AbortError if cancelled through `signal`
+   */
+  static async fetchRaw(url: string, signal?: AbortSignal): Promise<string> {
+    const validation = validateUrl(url);
+    if (!validation.valid) {
+      throw new Error(validation.errors[0].message);
+    }
+
+    throwIfAborted(signal);
+    const result = await this._fetchWithProxies(url, signal);
+    return result.html;
+  }
+
   /**
    * Check if a URL is from a known CORS-blocked domain
    * @param url - URL to check
@@ -108,11 +156,19 @@ export class URLFetcher {
    * Fetches URL content using parallel fetch strategy with race condition
    * Direct fetch and proxies race simultaneously for fastest response
    * @param url - URL to fetch
+   * @param signal - Optional signal to cancel all pending requests
    * @returns Fetched HTML content
    * @private
    */
-  private static async _fetchWithProxies(url: string): Promise<FetchResult> {
+  private static async _fetchWithProxies(
+    url: string,
+    signal?: AbortSignal,
+  ): Promise<FetchResult> {
     const abortController = new AbortController();
+
+    // Cancelling the caller's signal aborts every racing request
+    const onAbort = () => abortController.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
     const fetchPromises: Promise<FetchResult>[] = [];
 
     // Skip direct fetch for known CORS-blocked domains
@@ -200,12 +256,18 @@ export class URLFetcher {
 
       return { html: result.html };
     } catch (aggregateError: any) {
+      if (signal?.aborted) {
+        throw createAbortError();
+      }
+
       // All fetches failed
       const errors = aggregateError.errors || [];
       const lastError = errors[errors.length - 1];
       throw new Error(
         lastError?.message || ERROR_MESSAGES[ERROR_CODES.URL_FETCH_FAILED],
       );
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
     }
   }
 
@@ -247,45 +309,13 @@ export class URLFetcher {
   }
 
   /**
-   * Extracts text content from HTML
+   * Extracts the main content of an HTML page, keeping headings, lists and
+   * tables as Markdown-style structure
    * @param html - HTML content
    * @returns Extracted text
    */
   static extractTextFromHtml(html: string): string {
-    // Create DOM parser
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, "text/html");
-
-    // Remove unwanted elements
-    const unwantedSelectors = [
-      "script",
-      "style",
-      "noscript",
-      "iframe",
-      "nav",
-      "header",
-      "footer",
-      "aside",
-      '[role="navigation"]',
-      '[role="banner"]',
-      '[role="contentinfo"]',
-    ];
-
-    unwantedSelectors.forEach((selector) => {
-      const elements = doc.querySelectorAll(selector);
-      elements.forEach((el) => el.remove());
-    });
-
-    // Get text content from body
-    const text = doc.body.textContent || "";
-
-    // Clean up text
-    const cleanText = text
-      .replace(/\s+/g, " ")
-      .replace(/\n\s*\n/g, "\n\n")
-      .trim();
-
-    return cleanText;
+    return ContentExtractor.extract(html).text;
   }
 
   /**
@@ -2,6 +2,11 @@
  * @file Document services barrel export
  */
 
+export { ContentExtractor } from './ContentExtractor.js';
+export { DocxExtractor } from './DocxExtractor.js';
+export { OCRService } from './OCRService.js';
 export { PDFExtractor } from './PDFExtractor.js';
+export { PolicyDiscovery } from './PolicyDiscovery.js';
+export { TextFileExtractor } from './TextFileExtractor.js';
 export { TextPreprocessor } from './TextPreprocessor.js';
 export { URLFetcher } from './URLFetcher.js';
@@ -0,0 +1,377 @@
+import { describe, it, expect } from 'vitest';
+import { AnalysisBundle } from './AnalysisBundle.js';
+import { makeAnalysisResult } from '../../test/fixtures/analysisResult';
+import type { AnalysisResult } from '../../types';
+
+const category = (score: number, summary = 'Summary') => ({ score, weight: 0, summary });
+
+const makeResult = (overrides: Partial<AnalysisResult> = {}): AnalysisResult =>
+  makeAnalysisResult({
+    id: '1736937000000-abc123def',
+    documentMetadata: {
+      source: 'https://example.com/privacy',
+      type: 'url',
+      rawText: 'We collect your email address.',
+    },
+    summary: { brief: 'Brief summary', detailed: 'Detailed summary', full: 'Full summary' },
+    risks: [
+      {
+        id: 'risk-1',
+        title: 'Data sharing',
+        description: 'Shares data with advertisers',
+        severity: 'high',
+        location: 'Section 4',
+        recommendation: 'Opt out',
+      },
+    ],
+    keyTerms: [{ term: 'Personal data', definition: 'Information about you', location: 'Section 1' }],
+    scorecard: {
+      thirdPartySharing: category(3),
+      userRights: category(6),
+      dataCollection: category(5),
+      dataRetention: category(4),
+      purposeClarity: category(6),
+      securityMeasures: category(7),
+      policyTransparency: category(6),
+      topConcerns: ['Sells data'],
+      positiveAspects: ['Clear deletion process'],
+      overallScore: 50,
+      overallGrade: 'F',
+    },
+    privacyRights: {
+      links: [{ label: 'Settings', url: 'https://example.com/settings', purpose: 'settings' }],
+      contacts: [{ type: 'email', value: 'privacy@example.com', purpose: 'Privacy inquiries' }],
+      procedures: [],
+      timeframes: ['30 days'],
+      hasActionableInfo: true,
+    },
+    partialFailures: [{ section: 'keyTerms', error: 'Timed out' }],
+    hasPartialFailures: true,
+    timestamp: new Date('2026-01-15T10:29:41.000Z'),
+    llmConfig: {
+      provider: 'openrouter',
+      apiKey: 'sk-secret',
+      model: 'google/gemini-2.5-flash',
+      baseUrl: 'https://openrouter.ai/api/v1',
+      temperature: 0.3,
+      maxTokens: 4000,
+    },
+    ...overrides,
+  });
+
+/**
+ * Serializes a bundle after applying changes to its analysis object
+ */
+const bundleWith = (changes: Record<string, unknown>): string => {
+  const bundle = AnalysisBundle.create(makeResult(), { includeRawText: true });
+  return JSON.stringify({ ...bundle, analysis: { ...bundle.analysis, ...changes } });
+};
+
+describe('AnalysisBundle', () => {
+  describe('create', () => {
+    it('should include the format marker, version and model', () => {
+      const bundle = AnalysisBundle.create(makeResult());
+
+      expect(bundle.format).toBe('privacy-distiller/analysis');
+      expect(bundle.version).toBe(1);
+      expect(bundle.analysis.timestamp).toBe('2026-01-15T10:29:41.000Z');
+      expect(bundle.analysis.model).toEqual({ provider: 'openrouter', name: 'google/gemini-2.5-flash' });
+    });
+
+    it('should never include the API key', () => {
+      expect(AnalysisBundle.serialize(makeResult())).not.toContain('sk-secret');
+    });
+
+    it('should only include the policy text when requested', () => {
+      expect(AnalysisBundle.create(makeResult()).analysis.rawText).toBeUndefined();
+      expect(AnalysisBundle.create(makeResult(), { includeRawText: true }).analysis.rawText).toBe(
+        'We collect your email address.',
+      );
+    });
+  });
+
+  describe('parse', () => {
+    it('should round-trip an analysis', () => {
+      const original = makeResult();
+      const imported = AnalysisBundle.parse(AnalysisBundle.serialize(original, { includeRawText: true }));
+
+      expect(imported.id).toBe(original.id);
+      expect(imported.timestamp).toEqual(original.timestamp);
+      expect(imported.documentMetadata).toEqual(original.documentMetadata);
+      expect(imported.summary).toEqual(original.summary);
+      // Risk IDs are regenerated like those in LLM responses
+      expect(imported.risks).toEqual([{ ...original.risks[0], id: expect.any(String) }]);
+      expect(imported.keyTerms).toEqual(original.keyTerms);
+      expect(imported.privacyRights).toEqual(original.privacyRights);
+      expect(imported.partialFailures).toEqual(original.partialFailures);
+      expect(imported.hasPartialFailures).toBe(true);
+      expect(imported.scorecard?.overallScore).toBe(50);
+      expect(imported.scorecard?.overallGrade).toBe('F');
+      expect(imported.llmConfig?.apiKey).toBe('');
+      expect(imported.llmConfig?.model).toBe('google/gemini-2.5-flash');
+    });
+
+    it('should keep the pages that were read with OCR', () => {
+      const original = makeResult();
+      original.documentMetadata = { ...original.documentMetadata, type: 'pdf', ocrPages: [1, 3] };
+
+      expect(AnalysisBundle.parse(AnalysisBundle.serialize(original)).documentMetadata.ocrPages).toEqual([1, 3]);
+      expect(AnalysisBundle.parse(bundleWith({ ocrPages: [2, -1, 'x', 1.5] })).documentMetadata.ocrPages).toEqual([2]);
+      expect(AnalysisBundle.parse(bundleWith({})).documentMetadata).not.toHaveProperty('ocrPages');
+    });
+
+    it('should keep the analysis profile and the answers to its questions', () => {
+      const profile = {
+        id: 'kids',
+        name: 'Kids',
+        sections: ['brief summary', 'privacy scorecard'],
+        aspects: [{ id: 'children', name: 'Children', prompt: 'Is data of children collected?' }],
+        weights: { thirdPartySharing: 0, userRights: 50, dataCollection: 50, dataRetention: 0, purposeClarity: 0, securityMeasures: 0, policyTransparency: 0 },
+      } as AnalysisResult['profile'];
+      const aspects = [{ aspectId: 'children', name: 'Children', prompt: 'Is data of children collected?', answer: 'Not addressed.' }];
+
+      const imported = AnalysisBundle.parse(AnalysisBundle.serialize(makeResult({ profile, aspects })));
+
+      expect(imported.profile).toEqual(profile);
+      expect(imported.aspects).toEqual(aspects);
+      expect(AnalysisBundle.parse(bundleWith({ profile: { sections: [] }, aspects: [{ name: 'x' }] }))).not.toHaveProperty(
+        'profile',
+      );
+    });
+
+    it('should keep the data flows and drop invalid ones', () => {
+      const dataFlows = [
+        {
+          id: 'f1',
+          category: 'Location data',
+          sources: ['Your device'],
+          purposes: ['Advertising'],
+          recipients: [{ name: 'Ad partners', type: 'advertiser' as const }],
+          legalBases: ['Consent'],
+          retention: '13 months',
+          citations: [{ quote: 'We share location', verified: false }],
+        },
+      ];
+
+      const imported = AnalysisBundle.parse(AnalysisBundle.serialize(makeResult({ dataFlows })));
+
+      expect(imported.dataFlows).toMatchObject([{ ...dataFlows[0], id: expect.any(String) }]);
+      expect(AnalysisBundle.parse(bundleWith({ dataFlows: [{ sources: ['You'] }] }))).not.toHaveProperty('dataFlows');
+    });
+
+    it('should keep the scorecard weights of the file and grade with them', () => {
+      const weights = [40, 20, 10, 10, 10, 5, 5];
+      const original = makeResult().scorecard!;
+      const keys = ['thirdPartySharing', 'userRights', 'dataCollection', 'dataRetention', 'purposeClarity', 'securityMeasures', 'policyTransparency'] as const;
+      const scorecard = { ...original, ...Object.fromEntries(keys.map((key, i) => [key, { ...original[key], weight: weights[i] }])) };
+
+      const imported = AnalysisBundle.parse(bundleWith({ scorecard }));
+
+      expect(keys.map(key => imported.scorecard![key].weight)).toEqual(weights);
+      // (3*40 + 6*20 + 5*10 + 4*10 + 6*10 + 7*5 + 6*5) / 10
+      expect(imported.scorecard?.overallScore).toBe(46);
+    });
+
+    it('should keep the source type of uploaded documents and pasted text', () => {
+      expect(AnalysisBundle.parse(bundleWith({ sourceType: 'file' })).documentMetadata.type).toBe('file');
+      expect(AnalysisBundle.parse(bundleWith({ sourceType: 'text' })).documentMetadata.type).toBe('text');
+      expect(AnalysisBundle.parse(bundleWith({ sourceType: 'ftp' })).documentMetadata.type).toBe('url');
+    });
+
+    it('should reject invalid JSON', () => {
+      expect(() => AnalysisBundle.parse('{not json')).toThrow('not valid JSON');
+    });
+
+    it('should reject files that are not analysis bundles', () => {
+      expect(() => AnalysisBundle.parse(JSON.stringify({ summary: 'x' }))).toThrow(
+        'not a Privacy Policy Distiller analysis',
+      );
+    });
+
+    it('should reject bundles from a newer version', () => {
+      const bundle = { ...AnalysisBundle.create(makeResult()), version: 2 };
+      expect(() => AnalysisBundle.parse(JSON.stringify(bundle))).toThrow('newer version');
+    });
+
+    it('should reject bundles without a summary, timestamp or source', () => {
+      expect(() => AnalysisBundle.parse(bundleWith({ summary: { brief: '  ' } }))).toThrow('no summary');
+      expect(() => AnalysisBundle.parse(bundleWith({ timestamp: 'yesterday' }))).toThrow('invalid timestamp');
+      expect(() => AnalysisBundle.parse(bundleWith({ source: '' }))).toThrow('does not name its source');
+    });
+
+    it('should sanitize untrusted fields', () => {
+      const imported = AnalysisBundle.parse(
+        bundleWith({
+          id: '../../etc',
+          risks: [{ title: 'Risk', description: 'Desc', severity: 'apocalyptic' }, 'junk'],
+          privacyRights: {
+            links: [{ label: 'Evil', url: 'javascript:alert(1)', purpose: 'settings' }],
+          },
+          model: { provider: 'unknown-provider', name: 'model' },
+        }),
+      );
+
+      expect(imported.id).not.toBe('../../etc');
+      expect(imported.risks).toHaveLength(1);
+      expect(imported.risks[0].severity).toBe('medium');
+      expect(imported.privacyRights?.links).toEqual([]);
+      expect(imported.llmConfig?.provider).toBe('openrouter');
+    });
+
+    it('should recompute scorecard totals instead of trusting the file', () => {
+      const bundle = AnalysisBundle.create(makeResult());
+      const scorecard = {
+        ...bundle.analysis.scorecard,
+        thirdPartySharing: category(50),
+        overallScore: 100,
+        overallGrade: 'A+',
+      };
+      const imported = AnalysisBundle.parse(bundleWith({ scorecard }));
+
+      expect(imported.scorecard?.thirdPartySharing.score).toBe(10);
+      expect(imported.scorecard?.thirdPartySharing.weight).toBe(20);
+      expect(imported.scorecard?.overallScore).toBe(64);
+      expect(imported.scorecard?.overallGrade).toBe('D');
+    });
+
+    it('should check citations against the included policy text', () => {
+      const risks = [
+        {
+          ...makeResult().risks[0],
+          citations: [
+            { quote: 'We collect your email address.', verified: false },
+            { quote: 'We sell your email address.', verified: true, start: 0, end: 27 },
+          ],
+        },
+      ];
+
+      const [withText] = AnalysisBundle.parse(bundleWith({ risks })).risks;
+      const [withoutText] = AnalysisBundle.parse(bundleWith({ risks, rawText: undefined })).risks;
+
+      expect(withText.citations).toEqual([
+        { quote: 'We collect your email address.', verified: true, start: 0, end: 30 },
+        { quote: 'We sell your email address.', verified: false },
+      ]);
+      expect(withoutText.citations).toEqual([
+        { quote: 'We collect your email address.', verified: false },
+        { quote: 'We sell your email address.', verified: true },
+      ]);
+    });
+
+    it('should keep the LLM usage and recompute its totals', () => {
+      const usage = {
+        calls: [
+          { section: 'brief summary', promptTokens: 1200, completionTokens: 150, cost: 0.002, latencyMs: 2300, reported: true },
+          { section: 'key terms', promptTokens: -5, completionTokens: 400, latencyMs: 5100, reported: true },
+          'not a call',
+        ],
+        promptTokens: 999999,
+        completionTokens: 999999,
+        latencyMs: 4000,
+      };
+      const imported = AnalysisBundle.parse(bundleWith({ usage }));
+
+      expect(imported.usage).toEqual({
+        calls: [usage.calls[0]],
+        promptTokens: 1200,
+        completionTokens: 150,
+        cost: 0.002,
+        latencyMs: 4000,
+      });
+      expect(AnalysisBundle.parse(bundleWith({ usage: { calls: [] } })).usage).toBeUndefined();
+    });
+
+
+    it('should keep the checklists of known profiles and check their citations', () => {
+      const compliance = [
+        {
+          profile: 'lgpd',
+          checks: [
+            {
+              requirementId: 'purposes',
+              label: 'Edited label',
+              reference: 'Art. 1',
+              status: 'present',
+              evidence: 'Lists the purposes.',
+              citations: [{ quote: 'We collect your email address.', verified: false }],
+            },
+            { requirementId: 'sharing', status: 'compliant', evidence: 'Unclear.' },
+          ],
+        },
+        { profile: 'made-up', checks: [] },
+        { profile: 'lgpd', checks: [] },
+      ];
+
+      const imported = AnalysisBundle.parse(bundleWith({ compliance }));
+
+      expect(imported.compliance).toHaveLength(1);
+      const [checklist] = imported.compliance!;
+      const purposes = checklist.checks.find(check => check.requirementId === 'purposes')!;
+      expect(purposes.label).not.toBe('Edited label');
+      expect(purposes.citations).toEqual([
+        { quote: 'We collect your email address.', verified: true, start: 0, end: 30 },
+      ]);
+      expect(checklist.checks.find(check => check.requirementId === 'sharing')!.status).toBe('missing');
+      expect(AnalysisBundle.parse(bundleWith({})).compliance).toBeUndefined();
+    });
+
+    it('should keep the ensemble report and recompute its disagreements', () => {
+      const original = makeResult({
+        ensemble: {
+          models: [
+            { provider: 'openrouter', model: 'model-a', failures: [] },
+            { provider: 'anthropic', model: 'model-b', failures: [{ section: 'privacy scorecard', error: 'Timed out' }] },
+          ],
+          risks: [{ riskId: 'risk-1', models: [0, 1] }],
+          categories: { thirdPartySharing: { scores: [2, 7], spread: 5, disagreement: true } },
+          disagreementThreshold: 2,
+        },
+      });
+      const imported = AnalysisBundle.parse(AnalysisBundle.serialize(original));
+
+      expect(imported.ensemble?.models).toEqual(original.ensemble!.models);
+      expect(imported.ensemble?.risks).toEqual([{ riskId: imported.risks[0].id, models: [0, 1] }]);
+      expect(imported.ensemble?.categories.thirdPartySharing).toEqual({ scores: [2, 7], spread: 5, disagreement: true });
+
+      const ensemble = AnalysisBundle.create(original).analysis.ensemble!;
+      const tampered = AnalysisBundle.parse(
+        bundleWith({
+          ensemble: {
+            ...ensemble,
+            risks: [{ risk: 0, models: [0, 5, 1] }, { risk: 9, models: [0] }],
+            categories: { thirdPartySharing: { scores: [2, 40], spread: 0, disagreement: false } },
+            disagreementThreshold: 50,
+          },
+        }),
+      );
+
+      expect(tampered.ensemble?.risks).toEqual([{ riskId: tampered.risks[0].id, models: [0, 1] }]);
+      expect(tampered.ensemble?.categories.thirdPartySharing).toEqual({ scores: [2, null], spread: 0, disagreement: false });
+      expect(tampered.ensemble?.disagreementThreshold).toBe(2);
+      expect(AnalysisBundle.parse(bundleWith({ ensemble: { ...ensemble, models: [ensemble.models[0]] } })).ensemble).toBeUndefined();
+      expect(AnalysisBundle.parse(bundleWith({})).ensemble).toBeUndefined();
+    });
+  });
+
+  describe('readFile', () => {
+    it('should reject oversized files', async () => {
+      const file = new File(['{}'], 'analysis.json');
+      Object.defineProperty(file, 'size', { value: AnalysisBundle.MAX_FILE_SIZE + 1 });
+
+      await expect(AnalysisBundle.readFile(file)).rejects.toThrow('too large');
+    });
+
+    it('should parse an uploaded bundle file', async () => {
+      const json = AnalysisBundle.serialize(makeResult());
+      const file = new File([json], 'analysis.json', { type: 'application/json' });
+      // jsdom's File does not implement text()
+      if (!file.text) {
+        (file as File & { text: () => Promise<string> }).text = async () => json;
+      }
+      const imported = await AnalysisBundle.readFile(file);
+
+      expect(imported.summary.brief).toBe('Brief summary');
+      expect(imported.documentMetadata.rawText).toBe('');
+    });
+  });
+});
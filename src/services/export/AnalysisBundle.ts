@@ -0,0 +1,542 @@
+/**
+ * @file Analysis Bundle
+ * @description Versioned JSON export/import of analyses for sharing across machines
+ *
+ * The bundle format is documented in docs/ANALYSIS-BUNDLE.md. Imported files
+ * are untrusted: every field goes through the same normalizers ResponseParser
+ * applies to LLM output (length limits, array caps, enum and URL checks).
+ */
+
+import { ResponseParser } from "../analysis/ResponseParser.js";
+import { CitationVerifier } from "../analysis/CitationVerifier.js";
+import { UsageTracker } from "../analysis/UsageTracker.js";
+import { ComplianceProfiles } from "../analysis/ComplianceProfiles.js";
+import { AnalysisProfiles } from "../analysis/AnalysisProfiles.js";
+import {
+  ANALYSIS_PROFILE_LIMITS,
+  DEFAULT_LLM_CONFIG,
+  ENSEMBLE_CONFIG,
+  LLM_PROVIDERS,
+  SCORECARD_CATEGORY_LABELS,
+  TEXT_PROCESSING,
+} from "../../utils/constants.js";
+import { downloadFile, generateId } from "../../utils/helpers.js";
+import type {
+  AnalysisBundle as AnalysisBundleData,
+  AnalysisResult,
+  AnalysisSourceType,
+  AnalysisSummary,
+  AnalysisUsage,
+  AspectAnswer,
+  ComplianceChecklist,
+  EnsembleReport,
+  LLMProvider,
+  PartialFailure,
+  PrivacyRisk,
+  PrivacyScorecard,
+  ScorecardCategoryKey,
+  SectionUsage,
+} from "../../types/index.js";
+
+/**
+ * Options for creating a bundle
+ */
+export interface AnalysisBundleOptions {
+  /** Include the extracted policy text (needed for later comparisons) */
+  includeRawText?: boolean;
+}
+
+/**
+ * Service for creating and validating analysis bundles
+ */
+export class AnalysisBundle {
+  /** Identifies Privacy Policy Distiller bundles */
+  static readonly FORMAT = "privacy-distiller/analysis";
+
+  /** Current schema version */
+  static readonly VERSION = 1;
+
+  /** Largest bundle file accepted for import (bytes) */
+  static readonly MAX_FILE_SIZE = 20 * 1024 * 1024;
+
+  private static readonly MAX_SUMMARY_LENGTH = 100000;
+  private static readonly MAX_SOURCE_LENGTH = 2000;
+  private static readonly MAX_FAILURES = 20;
+  private static readonly MAX_USAGE_CALLS = 200;
+  private static readonly MAX_ASPECT_ANSWER_LENGTH = 20000;
+
+  /**
+   * Creates a bundle from an analysis result
+   * @param result - Analysis result
+   * @param options - Bundle options
+   * @returns Bundle object
+   */
+  static create(
+    result: AnalysisResult,
+    options: AnalysisBundleOptions = {},
+  ): AnalysisBundleData {
+    const metadata = result.documentMetadata;
+
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: new Date().toISOString(),
+      analysis: {
+        id: result.id,
+        timestamp: new Date(result.timestamp).toISOString(),
+        source: metadata.source,
+        sourceType: metadata.type,
+        ...(metadata.file && { file: metadata.file }),
+        ...(metadata.ocrPages?.length && { ocrPages: metadata.ocrPages }),
+        ...(options.includeRawText &&
+          metadata.rawText && { rawText: metadata.rawText }),
+        summary: result.summary,
+        risks: result.risks || [],
+        keyTerms: result.keyTerms || [],
+        scorecard: result.scorecard ?? null,
+        privacyRights: result.privacyRights ?? null,
+        ...(result.compliance?.length && { compliance: result.compliance }),
+        ...(result.dataFlows?.length && { dataFlows: result.dataFlows }),
+        ...(result.aspects?.length && { aspects: result.aspects }),
+        ...(result.profile && { profile: result.profile }),
+        partialFailures: result.partialFailures || [],
+        ...(result.chunkCount && { chunkCount: result.chunkCount }),
+        ...(result.usage && { usage: result.usage }),
+        ...(result.ensemble && {
+          ensemble: {
+            ...result.ensemble,
+            risks: result.ensemble.risks.flatMap(({ riskId, models }) => {
+              const risk = (result.risks || []).findIndex(
+                ({ id }) => id === riskId,
+              );
+              return risk === -1 ? [] : [{ risk, models }];
+            }),
+          },
+        }),
+        model: {
+          provider: result.llmConfig?.provider ?? DEFAULT_LLM_CONFIG.provider,
+          name: result.llmConfig?.model ?? "",
+        },
+      },
+    };
+  }
+
+  /**
+   * Serializes an analysis result as bundle JSON
+   * @param result - Analysis result
+   * @param options - Bundle options
+   * @returns Pretty-printed JSON
+   */
+  static serialize(
+    result: AnalysisResult,
+    options: AnalysisBundleOptions = {},
+  ): string {
+    return JSON.stringify(this.create(result, options), null, 2);
+  }
+
+  /**
+   * Downloads an analysis result as a .json bundle
+   * @param result - Analysis result
+   * @param options - Bundle options
+   */
+  static download(
+    result: AnalysisResult,
+    options: AnalysisBundleOptions = {},
+  ): void {
+    downloadFile(
+      this.serialize(result, options),
+      `privacy-policy-analysis-${Date.now()}.json`,
+      "application/json",
+    );
+  }
+
+  /**
+   * Reads and validates a bundle file
+   * @param file - Uploaded .json file
+   * @returns Analysis result ready to display
+   * @throws Error with a user-facing message if the file is not a valid bundle
+   */
+  static async readFile(file: File): Promise<AnalysisResult> {
+    if (file.size > this.MAX_FILE_SIZE) {
+      throw new Error("This file is too large to be an analysis export.");
+    }
+    return this.parse(await file.text());
+  }
+
+  /**
+   * Parses and validates bundle JSON
+   * @param text - Bundle JSON
+   * @returns Analysis result ready to display
+   * @throws Error with a user-facing message if the text is not a valid bundle
+   */
+  static parse(text: string): AnalysisResult {
+    let bundle: any;
+    try {
+      bundle = JSON.parse(text);
+    } catch {
+      throw new Error("This file is not valid JSON.");
+    }
+
+    if (!this.isObject(bundle) || bundle.format !== this.FORMAT) {
+      throw new Error("This file is not a Privacy Policy Distiller analysis.");
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+      throw new Error("This analysis file has an invalid version.");
+    }
+    if (bundle.version > this.VERSION) {
+      throw new Error(
+        "This analysis was exported by a newer version of Privacy Policy Distiller. Please update and try again.",
+      );
+    }
+
+    const analysis = bundle.analysis;
+    if (!this.isObject(analysis)) {
+      throw new Error("This analysis file has no analysis data.");
+    }
+
+    const summary = this.parseSummary(analysis.summary);
+    const timestamp = new Date(analysis.timestamp);
+    if (typeof analysis.timestamp !== "string" || isNaN(timestamp.getTime())) {
+      throw new Error("This analysis file has an invalid timestamp.");
+    }
+    if (typeof analysis.source !== "string" || !analysis.source.trim()) {
+      throw new Error("This analysis file does not name its source.");
+    }
+
+    const partialFailures = this.parsePartialFailures(analysis.partialFailures);
+    const scorecard =
+      analysis.scorecard == null
+        ? null
+        : this.parseScorecard(analysis.scorecard);
+    const privacyRights = this.isObject(analysis.privacyRights)
+      ? ResponseParser.normalizePrivacyRights(analysis.privacyRights)
+      : null;
+    const compliance = this.parseCompliance(analysis.compliance);
+    const dataFlows = ResponseParser.normalizeDataFlows(analysis.dataFlows);
+    const profile = AnalysisProfiles.normalize(analysis.profile);
+    const aspects = this.parseAspects(analysis.aspects);
+    const chunkCount = Number(analysis.chunkCount);
+    const usage = this.parseUsage(analysis.usage);
+    const ocrPages = this.parseOcrPages(analysis.ocrPages);
+    const rawText =
+      typeof analysis.rawText === "string"
+        ? analysis.rawText.slice(0, TEXT_PROCESSING.MAX_DOCUMENT_LENGTH)
+        : "";
+
+    // Citations are re-checked against the included policy text; without
+    // it the saved verified flags are kept, but nothing can be highlighted
+    const findings = CitationVerifier.verifyFindings(
+      {
+        risks: Array.isArray(analysis.risks)
+          ? ResponseParser.normalizeRisks(analysis.risks)
+          : [],
+        keyTerms: Array.isArray(analysis.keyTerms)
+          ? ResponseParser.normalizeKeyTerms(analysis.keyTerms)
+          : [],
+        scorecard,
+        ...(compliance.length > 0 && { compliance }),
+        ...(dataFlows.length > 0 && { dataFlows }),
+      },
+      rawText,
+    );
+
+    return {
+      // Keep the original ID so re-importing the same file replaces its history entry
+      id:
+        typeof analysis.id === "string" && /^[\w-]{1,64}$/.test(analysis.id)
+          ? analysis.id
+          : generateId(),
+      documentMetadata: {
+        source: analysis.source.trim().slice(0, this.MAX_SOURCE_LENGTH),
+        type: this.parseSourceType(analysis.sourceType),
+        rawText,
+        ...(this.isObject(analysis.file) && {
+          file: {
+            name: String(analysis.file.name ?? "").slice(
+              0,
+              this.MAX_SOURCE_LENGTH,
+            ),
+            size: Number(analysis.file.size) || 0,
+            type: String(analysis.file.type ?? "").slice(0, 100),
+          },
+        }),
+        ...(ocrPages.length > 0 && { ocrPages }),
+      },
+      summary,
+      ...findings,
+      privacyRights,
+      ...(aspects.length > 0 && { aspects }),
+      ...(profile && { profile }),
+      timestamp,
+      llmConfig: {
+        ...DEFAULT_LLM_CONFIG,
+        apiKey: "",
+        provider: this.parseProvider(analysis.model?.provider),
+        model:
+          typeof analysis.model?.name === "string"
+            ? analysis.model.name.slice(0, 200)
+            : "",
+      },
+      partialFailures,
+      hasPartialFailures: partialFailures.length > 0,
+      ...(Number.isInteger(chunkCount) && chunkCount > 1 && { chunkCount }),
+      ...(usage && { usage }),
+      ...this.parseEnsemble(analysis.ensemble, findings.risks),
+    };
+  }
+
+  /**
+   * Validates the layered summary (at least one level must be present)
+   * @private
+   */
+  private static parseSummary(raw: unknown): AnalysisSummary {
+    if (!this.isObject(raw)) {
+      throw new Error("This analysis file has no summary.");
+    }
+    const summary = {} as AnalysisSummary;
+    for (const level of ["brief", "detailed", "full"] as const) {
+      summary[level] =
+        typeof raw[level] === "string"
+          ? raw[level].trim().slice(0, this.MAX_SUMMARY_LENGTH)
+          : "";
+    }
+    if (!summary.brief && !summary.detailed && !summary.full) {
+      throw new Error("This analysis file has no summary.");
+    }
+    return summary;
+  }
+
+  /**
+   * @private
+   */
+  private static parsePartialFailures(raw: unknown): PartialFailure[] {
+    if (!Array.isArray(raw)) return [];
+    return raw
+      .slice(0, this.MAX_FAILURES)
+      .filter(
+        (failure) =>
+          this.isObject(failure) &&
+          typeof failure.section === "string" &&
+          typeof failure.error === "string",
+      )
+      .map((failure) => ({
+        section: failure.section.slice(0, 200),
+        error: failure.error.slice(0, 1000),
+      }));
+  }
+
+  /**
+   * Normalizes the scorecard, keeping the category weights it was graded
+   * with (an analysis profile may have reweighted the categories)
+   * @private
+   */
+  private static parseScorecard(raw: unknown): PrivacyScorecard | null {
+    const weights = this.isObject(raw)
+      ? Object.fromEntries(
+          Object.entries(raw).map(([key, category]) => [
+            key,
+            this.isObject(category) ? category.weight : undefined,
+          ]),
+        )
+      : undefined;
+    return ResponseParser.normalizeScorecard(raw, weights);
+  }
+
+  /**
+   * Keeps the answers with a name, question and answer
+   * @private
+   */
+  private static parseAspects(raw: unknown): AspectAnswer[] {
+    if (!Array.isArray(raw)) return [];
+    return raw
+      .filter(
+        (aspect) =>
+          this.isObject(aspect) &&
+          typeof aspect.name === "string" &&
+          typeof aspect.prompt === "string" &&
+          typeof aspect.answer === "string",
+      )
+      .slice(0, ANALYSIS_PROFILE_LIMITS.MAX_ASPECTS)
+      .map((aspect) => ({
+        aspectId:
+          typeof aspect.aspectId === "string" &&
+          /^[\w-]{1,64}$/.test(aspect.aspectId)
+            ? aspect.aspectId
+            : generateId(),
+        name: aspect.name.slice(0, ANALYSIS_PROFILE_LIMITS.MAX_NAME_LENGTH),
+        prompt: aspect.prompt.slice(
+          0,
+          ANALYSIS_PROFILE_LIMITS.MAX_PROMPT_LENGTH,
+        ),
+        answer: aspect.answer.slice(0, this.MAX_ASPECT_ANSWER_LENGTH),
+      }));
+  }
+
+  /**
+   * Keeps the checklists of known profiles, once each
+   * @private
+   */
+  private static parseCompliance(raw: unknown): ComplianceChecklist[] {
+    if (!Array.isArray(raw)) return [];
+    const ids = ComplianceProfiles.normalizeIds(
+      raw.map((checklist) => checklist?.profile),
+    );
+    return ids.map((id) =>
+      ResponseParser.normalizeComplianceChecklist(
+        raw.find((checklist) => checklist?.profile === id).checks,
+        ComplianceProfiles.get(id),
+      ),
+    );
+  }
+
+  /**
+   * Keeps the well-formed calls and recomputes the totals from them
+   * @private
+   */
+  private static parseUsage(raw: unknown): AnalysisUsage | undefined {
+    if (!this.isObject(raw) || !Array.isArray(raw.calls)) return undefined;
+    const isCount = (value: unknown): value is number =>
+      typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+    const calls: SectionUsage[] = raw.calls
+      .slice(0, this.MAX_USAGE_CALLS)
+      .filter(
+        (call) =>
+          this.isObject(call) &&
+          typeof call.section === "string" &&
+          isCount(call.promptTokens) &&
+          isCount(call.completionTokens) &&
+          isCount(call.latencyMs),
+      )
+      .map((call) => ({
+        section: call.section.slice(0, 200),
+        promptTokens: call.promptTokens,
+        completionTokens: call.completionTokens,
+        ...(isCount(call.cost) && { cost: call.cost }),
+        latencyMs: call.latencyMs,
+        reported: call.reported === true,
+      }));
+    if (calls.length === 0) return undefined;
+
+    return UsageTracker.summarize(
+      calls,
+      isCount(raw.latencyMs)
+        ? raw.latencyMs
+        : Math.max(...calls.map((call) => call.latencyMs)),
+    );
+  }
+
+  /**
+   * Validates the ensemble report, mapping risk indices to the IDs the
+   * imported risks were given. Spreads and flags are recalculated from the
+   * scores.
+   * @private
+   */
+  private static parseEnsemble(
+    raw: unknown,
+    risks: PrivacyRisk[],
+  ): { ensemble?: EnsembleReport } {
+    if (!this.isObject(raw) || !Array.isArray(raw.models)) return {};
+    const models = raw.models
+      .slice(0, ENSEMBLE_CONFIG.MAX_MODELS + 1)
+      .filter((model) => this.isObject(model))
+      .map((model) => ({
+        provider: this.parseProvider(model.provider),
+        model: typeof model.model === "string" ? model.model.slice(0, 200) : "",
+        failures: this.parsePartialFailures(model.failures),
+      }));
+    if (models.length < 2) return {};
+
+    const threshold = Number(raw.disagreementThreshold);
+    const disagreementThreshold =
+      threshold >= 0 && threshold <= ENSEMBLE_CONFIG.MAX_DISAGREEMENT_THRESHOLD
+        ? threshold
+        : ENSEMBLE_CONFIG.DEFAULT_DISAGREEMENT_THRESHOLD;
+    const isModel = (index: unknown): index is number =>
+      Number.isInteger(index) &&
+      (index as number) >= 0 &&
+      (index as number) < models.length;
+
+    const agreement: EnsembleReport["risks"] = [];
+    for (const entry of Array.isArray(raw.risks) ? raw.risks : []) {
+      if (!this.isObject(entry) || !Array.isArray(entry.models)) continue;
+      const risk = Number.isInteger(entry.risk) ? risks[entry.risk] : null;
+      if (!risk || agreement.some(({ riskId }) => riskId === risk.id)) continue;
+      const found = [...new Set<number>(entry.models.filter(isModel))];
+      if (found.length > 0) {
+        agreement.push({ riskId: risk.id, models: found });
+      }
+    }
+
+    const categories: EnsembleReport["categories"] = {};
+    const rawCategories = this.isObject(raw.categories) ? raw.categories : {};
+    for (const key of Object.keys(
+      SCORECARD_CATEGORY_LABELS,
+    ) as ScorecardCategoryKey[]) {
+      const category = rawCategories[key];
+      if (
+        !this.isObject(category) ||
+        !Array.isArray(category.scores) ||
+        category.scores.length !== models.length
+      ) {
+        continue;
+      }
+      const scores = category.scores.map((score: unknown) =>
+        typeof score === "number" && score >= 1 && score <= 10 ? score : null,
+      );
+      const given = scores.filter(
+        (score: number | null): score is number => score !== null,
+      );
+      if (given.length === 0) continue;
+      const spread =
+        Math.round((Math.max(...given) - Math.min(...given)) * 10) / 10;
+      categories[key] = {
+        scores,
+        spread,
+        disagreement: spread > disagreementThreshold,
+      };
+    }
+
+    return {
+      ensemble: {
+        models,
+        risks: agreement,
+        categories,
+        disagreementThreshold,
+      },
+    };
+  }
+
+  /**
+   * @private
+   */
+  private static parseOcrPages(raw: unknown): number[] {
+    if (!Array.isArray(raw)) return [];
+    return raw
+      .filter((page) => Number.isInteger(page) && page > 0)
+      .slice(0, 10000);
+  }
+
+  /**
+   * @private
+   */
+  private static parseSourceType(raw: unknown): AnalysisSourceType {
+    const known: AnalysisSourceType[] = ["url", "pdf", "file", "text"];
+    return known.find((type) => type === raw) ?? "url";
+  }
+
+  /**
+   * @private
+   */
+  private static parseProvider(raw: unknown): LLMProvider {
+    const known = Object.values(LLM_PROVIDERS).map((provider) => provider?.id);
+    return known.find((id) => id === raw) ?? DEFAULT_LLM_CONFIG.provider;
+  }
+
+  /**
+   * @private
+   */
+  private static isObject(value: unknown): value is Record<string, any> {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { CsvExporter } from './CsvExporter.js';
+import { ReportModel } from './ReportModel.js';
+import type { AnalysisResult, AnalysisUsage, ComplianceChecklist, KeyTerm, PrivacyRisk } from '../../types';
+
+const render = (
+  risks: PrivacyRisk[],
+  keyTerms: KeyTerm[] = [],
+  usage?: AnalysisUsage,
+  compliance?: ComplianceChecklist[],
+) =>
+  CsvExporter.render(
+    ReportModel.build({
+      id: 'abc',
+      documentMetadata: { source: 'https://example.com/privacy', type: 'url', rawText: '' },
+      summary: { brief: 'Brief', detailed: '', full: '' },
+      risks,
+      keyTerms,
+      timestamp: new Date('2025-03-15T12:00:00Z'),
+      usage,
+      compliance,
+    } as AnalysisResult),
+  );
+
+describe('CsvExporter', () => {
+  it('should render a header row, risks by severity and key terms', () => {
+    const csv = render(
+      [
+        { id: '1', title: 'Tracking', description: 'Uses cookies', severity: 'low', location: 'Section 2' },
+        {
+          id: '2',
+          title: 'Data sold',
+          description: 'Shared with advertisers',
+          severity: 'high',
+          location: 'Section 4',
+          recommendation: 'Opt out',
+        },
+      ],
+      [{ term: 'Cookie', definition: 'A small file', location: 'Glossary' }],
+    );
+
+    expect(csv.split('\r\n')).toEqual([
+      '"Type","Title","Severity","Location","Description","Recommendation","Input tokens","Output tokens","Cost (USD)","Latency (ms)"',
+      '"Risk","Data sold","high","Section 4","Shared with advertisers","Opt out","","","",""',
+      '"Risk","Tracking","low","Section 2","Uses cookies","","","","",""',
+      '"Key term","Cookie","","Glossary","A small file","","","","",""',
+      '',
+    ]);
+  });
+
+  it('should escape quotes and keep line breaks inside fields', () => {
+    const csv = render([
+      { id: '1', title: 'The "best" risk', description: 'Line one\nLine two', severity: 'medium', location: '' },
+    ]);
+
+    expect(csv).toContain('"Risk","The ""best"" risk","medium","","Line one\nLine two","","","","",""');
+  });
+
+  it('should neutralize values that spreadsheets would run as formulas', () => {
+    const csv = render([
+      { id: '1', title: '=HYPERLINK("https://evil.example")', description: '+1', severity: 'low', location: '@A1' },
+    ]);
+
+    expect(csv).toContain('"\'=HYPERLINK(""https://evil.example"")"');
+    expect(csv).toContain('"\'@A1"');
+    expect(csv).toContain('"\'+1"');
+  });
+
+  it('should add a row per compliance requirement with its status and reference', () => {
+    const csv = render([], [], undefined, [
+      {
+        profile: 'pipeda',
+        checks: [
+          { requirementId: 'access', label: 'Access', reference: 'Principle 4.9', status: 'partial', evidence: 'Email us.' },
+        ],
+      },
+    ]);
+
+    expect(csv).toContain('"PIPEDA requirement","Access","Partially disclosed","Principle 4.9","Email us.","","","","",""');
+  });
+
+  it('should add a row with the usage of each LLM request', () => {
+    const csv = render([], [], {
+      calls: [
+        { section: 'brief summary', promptTokens: 1200, completionTokens: 150, cost: 0.0021, latencyMs: 2300.4, reported: true },
+        { section: 'key terms', promptTokens: 1300, completionTokens: 400, latencyMs: 5100, reported: false },
+      ],
+      promptTokens: 2500,
+      completionTokens: 550,
+      cost: 0.0021,
+      latencyMs: 5100,
+    });
+
+    expect(csv).toContain('"LLM request","brief summary","","","","","1200","150","0.0021","2300"');
+    expect(csv).toContain(
+      '"LLM request","key terms","","","Token counts estimated from the text length","","1300","400","","5100"',
+    );
+  });
+});
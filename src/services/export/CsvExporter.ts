@@ -0,0 +1,112 @@
+/**
+ * @file CSV Exporter
+ * @description Renders the risks, key terms, compliance checklists and LLM
+ * usage of an analysis report as CSV for tracking in spreadsheets
+ */
+
+import type { AnalysisReport } from "../../types/index.js";
+
+const COLUMNS = [
+  "Type",
+  "Title",
+  "Severity",
+  "Location",
+  "Description",
+  "Recommendation",
+  "Input tokens",
+  "Output tokens",
+  "Cost (USD)",
+  "Latency (ms)",
+];
+
+/**
+ * Renders analysis reports as CSV
+ */
+export class CsvExporter {
+  /**
+   * Renders the report's risks, key terms, compliance requirements and LLM
+   * requests as CSV (RFC 4180). Compliance requirements give their status in
+   * the Severity column and their legal reference in the Location column.
+   * The token, cost and latency columns are only filled for LLM requests.
+   * @param report - Report sections
+   * @returns CSV text with a header row
+   */
+  static render(report: AnalysisReport): string {
+    const rows: string[][] = [
+      COLUMNS,
+      ...report.risks.map((risk) => [
+        "Risk",
+        risk.title,
+        risk.severity,
+        risk.location || "",
+        risk.description,
+        risk.recommendation || "",
+        "",
+        "",
+        "",
+        "",
+      ]),
+      ...report.keyTerms.map((term) => [
+        "Key term",
+        term.term,
+        "",
+        term.location || "",
+        term.definition,
+        "",
+        "",
+        "",
+        "",
+        "",
+      ]),
+      ...report.compliance.flatMap((checklist) =>
+        checklist.checks.map((check) => [
+          `${checklist.name} requirement`,
+          check.label,
+          check.statusLabel,
+          check.reference,
+          check.evidence,
+          "",
+          "",
+          "",
+          "",
+          "",
+        ]),
+      ),
+      ...(report.usage?.calls ?? []).map((call) => [
+        "LLM request",
+        call.section,
+        "",
+        "",
+        call.reported ? "" : "Token counts estimated from the text length",
+        "",
+        String(call.promptTokens),
+        String(call.completionTokens),
+        call.cost === undefined ? "" : String(call.cost),
+        String(Math.round(call.latencyMs)),
+      ]),
+    ];
+
+    return this.renderRows(rows);
+  }
+
+  /**
+   * Renders rows of fields as CSV (RFC 4180)
+   * @param rows - Rows of fields, starting with the header row
+   * @returns CSV text
+   */
+  static renderRows(rows: string[][]): string {
+    return rows
+      .map((row) => row.map((value) => this.escapeField(value)).join(","))
+      .join("\r\n")
+      .concat("\r\n");
+  }
+
+  /**
+   * Quotes a field, neutralizing values a spreadsheet would run as a formula
+   * @private
+   */
+  private static escapeField(value: string): string {
+    const safe = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    return `"${safe.replace(/"/g, '""')}"`;
+  }
+}
@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { DataFlowExporter } from './DataFlowExporter.js';
+import type { DataFlow } from '../../types';
+
+const flows: DataFlow[] = [
+  {
+    id: 'flow-1',
+    category: 'Email address',
+    sources: ['You', 'Partners'],
+    purposes: ['Marketing'],
+    recipients: [
+      { name: 'Ad networks', type: 'advertiser' },
+      { name: 'Acme Analytics', type: 'analytics' },
+    ],
+    legalBases: ['Consent'],
+    retention: '2 years',
+    citations: [{ quote: 'We share your email with ad networks.', verified: true, start: 0, end: 37 }],
+  },
+  {
+    id: 'flow-2',
+    category: 'Location',
+    sources: ['Your device'],
+    purposes: [],
+    recipients: [],
+    legalBases: [],
+    retention: '',
+  },
+];
+
+describe('DataFlowExporter', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should render one CSV row per data category', () => {
+    const lines = DataFlowExporter.toCsv(flows).split('\r\n');
+
+    expect(lines[0]).toBe(
+      '"Data category","Sources","Purposes","Recipients","Recipient types","Legal bases","Retention","Quotes"',
+    );
+    expect(lines[1]).toBe(
+      '"Email address","You; Partners","Marketing","Ad networks; Acme Analytics","Advertiser; Analytics","Consent","2 years","We share your email with ad networks."',
+    );
+    expect(lines[2]).toBe('"Location","Your device","","","","","",""');
+  });
+
+  it('should reduce citations to quotes in JSON', () => {
+    const parsed = JSON.parse(DataFlowExporter.toJson(flows, 'https://example.com/privacy'));
+
+    expect(parsed.source).toBe('https://example.com/privacy');
+    expect(parsed.dataFlows).toHaveLength(2);
+    expect(parsed.dataFlows[0].quotes).toEqual(['We share your email with ad networks.']);
+    expect(parsed.dataFlows[0].recipients[0]).toEqual({ name: 'Ad networks', type: 'advertiser' });
+    expect(parsed.dataFlows[1].quotes).toEqual([]);
+    expect(parsed.dataFlows[0]).not.toHaveProperty('id');
+  });
+
+  it('should download CSV with a byte order mark', async () => {
+    URL.createObjectURL = vi.fn(() => 'blob:flows');
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    DataFlowExporter.download(flows, 'csv', 'policy.pdf');
+
+    expect(click).toHaveBeenCalledTimes(1);
+    const link = click.mock.contexts[0] as HTMLAnchorElement;
+    expect(link.download).toMatch(/^privacy-policy-data-flows-\d+\.csv$/);
+    const blob = vi.mocked(URL.createObjectURL).mock.calls[0][0] as Blob;
+    expect(blob.type).toBe('text/csv;charset=utf-8');
+    // jsdom's Blob does not implement arrayBuffer()
+    const buffer = await new Promise<ArrayBuffer>((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result as ArrayBuffer);
+      reader.readAsArrayBuffer(blob);
+    });
+    const bytes = new Uint8Array(buffer);
+    expect(Array.from(bytes.slice(0, 3))).toEqual([0xef, 0xbb, 0xbf]);
+  });
+});
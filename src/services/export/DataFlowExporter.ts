@@ -0,0 +1,105 @@
+/**
+ * @file Data Flow Exporter
+ * @description Exports the data flows of an analysis, or the rows the data
+ * map is filtered to, as JSON or CSV
+ */
+
+import { downloadFile } from "../../utils/helpers.js";
+import { DATA_RECIPIENT_TYPE_LABELS } from "../../utils/constants.js";
+import { CsvExporter } from "./CsvExporter.js";
+import type { DataFlow } from "../../types/index.js";
+
+/**
+ * Formats data flows can be exported to
+ */
+export type DataFlowExportFormat = "json" | "csv";
+
+const COLUMNS = [
+  "Data category",
+  "Sources",
+  "Purposes",
+  "Recipients",
+  "Recipient types",
+  "Legal bases",
+  "Retention",
+  "Quotes",
+];
+
+/**
+ * Renders and downloads data flows
+ */
+export class DataFlowExporter {
+  /**
+   * Renders data flows as JSON. Citations are reduced to their quotes, as
+   * offsets only make sense next to the analyzed text.
+   * @param flows - Data flows
+   * @param source - Analyzed URL or file name
+   * @returns Pretty-printed JSON
+   */
+  static toJson(flows: DataFlow[], source: string): string {
+    return JSON.stringify(
+      {
+        source,
+        dataFlows: flows.map((flow) => ({
+          category: flow.category,
+          sources: flow.sources,
+          purposes: flow.purposes,
+          recipients: flow.recipients,
+          legalBases: flow.legalBases,
+          retention: flow.retention,
+          quotes: (flow.citations ?? []).map((citation) => citation.quote),
+        })),
+      },
+      null,
+      2,
+    );
+  }
+
+  /**
+   * Renders data flows as CSV, one row per data category with list fields
+   * joined by semicolons
+   * @param flows - Data flows
+   * @returns CSV text with a header row
+   */
+  static toCsv(flows: DataFlow[]): string {
+    return CsvExporter.renderRows([
+      COLUMNS,
+      ...flows.map((flow) => [
+        flow.category,
+        flow.sources.join("; "),
+        flow.purposes.join("; "),
+        flow.recipients.map((recipient) => recipient.name).join("; "),
+        flow.recipients
+          .map((recipient) => DATA_RECIPIENT_TYPE_LABELS[recipient.type])
+          .join("; "),
+        flow.legalBases.join("; "),
+        flow.retention,
+        (flow.citations ?? []).map((citation) => citation.quote).join("\n"),
+      ]),
+    ]);
+  }
+
+  /**
+   * Saves data flows as a file
+   * @param flows - Data flows
+   * @param format - File format
+   * @param source - Analyzed URL or file name
+   */
+  static download(
+    flows: DataFlow[],
+    format: DataFlowExportFormat,
+    source: string,
+  ): void {
+    const filename = `privacy-policy-data-flows-${Date.now()}.${format}`;
+    if (format === "csv") {
+      // Byte order mark so spreadsheet apps detect UTF-8
+      downloadFile(
+        `\uFEFF${this.toCsv(flows)}`,
+        filename,
+        "text/csv;charset=utf-8",
+      );
+    } else {
+      downloadFile(this.toJson(flows, source), filename, "application/json");
+    }
+  }
+}
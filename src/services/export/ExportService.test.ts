@@ -0,0 +1,53 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ExportService } from './ExportService.js';
+import { makeAnalysisResult } from '../../test/fixtures/analysisResult';
+
+const result = makeAnalysisResult({ summary: { brief: 'Brief', detailed: '', full: '' } });
+
+describe('ExportService', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should register the built-in formats with PDF first', () => {
+    expect(ExportService.list().map((exporter) => exporter.format)).toEqual([
+      'pdf',
+      'html',
+      'markdown',
+      'csv',
+      'json',
+      'json-with-text',
+    ]);
+  });
+
+  it('should download a text format as a file', async () => {
+    URL.createObjectURL = vi.fn(() => 'blob:report');
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    await ExportService.download(result, 'markdown');
+
+    expect(click).toHaveBeenCalledTimes(1);
+    const link = click.mock.contexts[0] as HTMLAnchorElement;
+    expect(link.download).toMatch(/^privacy-policy-analysis-\d+\.md$/);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:report');
+  });
+
+  it('should let new formats be registered', async () => {
+    const download = vi.fn();
+    const original = ExportService.get('csv');
+    ExportService.register({ format: 'csv', label: 'Custom CSV', download });
+
+    await ExportService.download(result, 'csv');
+
+    expect(download).toHaveBeenCalledWith(result);
+    expect(ExportService.get('csv')?.label).toBe('Custom CSV');
+    ExportService.register(original!);
+  });
+
+  it('should reject unknown formats', async () => {
+    await expect(ExportService.download(result, 'docx' as never)).rejects.toThrow(
+      'Unsupported export format: docx',
+    );
+  });
+});
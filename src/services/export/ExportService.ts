@@ -0,0 +1,171 @@
+/**
+ * @file Export Service
+ * @description Registry of export formats for analysis results
+ *
+ * Report formats (PDF, HTML, Markdown, CSV) render the shared ReportModel
+ * sections, so every format shows the same content. Additional formats can
+ * be added with ExportService.register().
+ */
+
+import { downloadFile } from "../../utils/helpers.js";
+import { AnalysisBundle } from "./AnalysisBundle.js";
+import { ReportModel } from "./ReportModel.js";
+import { PdfExporter } from "./PdfExporter.js";
+import { HtmlExporter } from "./HtmlExporter.js";
+import { MarkdownExporter } from "./MarkdownExporter.js";
+import { CsvExporter } from "./CsvExporter.js";
+import type {
+  AnalysisReport,
+  AnalysisResult,
+  ExportFormat,
+} from "../../types/index.js";
+
+/**
+ * An export format
+ */
+export interface ReportExporter {
+  format: ExportFormat;
+  /** Menu label */
+  label: string;
+  /** Renders the analysis and saves it as a file */
+  download: (result: AnalysisResult) => void | Promise<void>;
+}
+
+/**
+ * Service for exporting analyses in the registered formats
+ */
+export class ExportService {
+  private static exporters = new Map<ExportFormat, ReportExporter>();
+
+  /**
+   * Registers an export format, replacing any exporter for the same format
+   * @param exporter - Exporter to register
+   */
+  static register(exporter: ReportExporter): void {
+    this.exporters.set(exporter.format, exporter);
+  }
+
+  /**
+   * Gets the exporter for a format
+   * @param format - Export format
+   * @returns The exporter, or undefined if the format is not registered
+   */
+  static get(format: ExportFormat): ReportExporter | undefined {
+    return this.exporters.get(format);
+  }
+
+  /**
+   * Lists registered export formats in registration order
+   * @returns Registered exporters
+   */
+  static list(): ReportExporter[] {
+    return Array.from(this.exporters.values());
+  }
+
+  /**
+   * Exports an analysis
+   * @param result - Analysis result
+   * @param format - Export format
+   */
+  static async download(
+    result: AnalysisResult,
+    format: ExportFormat,
+  ): Promise<void> {
+    const exporter = this.get(format);
+    if (!exporter) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    await exporter.download(result);
+  }
+
+  /**
+   * Builds a timestamped export filename
+   * @param extension - File extension without the dot
+   * @returns Filename
+   */
+  static getFilename(extension: string): string {
+    return `privacy-policy-analysis-${Date.now()}.${extension}`;
+  }
+
+  /**
+   * Creates an exporter for a text-based report format
+   * @param format - Export format
+   * @param label - Menu label
+   * @param extension - File extension without the dot
+   * @param mimeType - MIME type of the file
+   * @param render - Renders the report as text
+   * @returns Exporter
+   */
+  static createTextExporter(
+    format: ExportFormat,
+    label: string,
+    extension: string,
+    mimeType: string,
+    render: (report: AnalysisReport) => string,
+  ): ReportExporter {
+    return {
+      format,
+      label,
+      download: (result) =>
+        downloadFile(
+          render(ReportModel.build(result)),
+          this.getFilename(extension),
+          mimeType,
+        ),
+    };
+  }
+}
+
+ExportService.register({
+  format: "pdf",
+  label: "PDF report",
+  download: (result) =>
+    PdfExporter.download(
+      ReportModel.build(result),
+      ExportService.getFilename("pdf"),
+    ),
+});
+
+ExportService.register(
+  ExportService.createTextExporter(
+    "html",
+    "HTML report",
+    "html",
+    "text/html;charset=utf-8",
+    (report) => HtmlExporter.render(report),
+  ),
+);
+
+ExportService.register(
+  ExportService.createTextExporter(
+    "markdown",
+    "Markdown report",
+    "md",
+    "text/markdown;charset=utf-8",
+    (report) => MarkdownExporter.render(report),
+  ),
+);
+
+ExportService.register(
+  ExportService.createTextExporter(
+    "csv",
+    "CSV of risks and key terms",
+    "csv",
+    "text/csv;charset=utf-8",
+    // Byte order mark so spreadsheet apps detect UTF-8
+    (report) => `\uFEFF${CsvExporter.render(report)}`,
+  ),
+);
+
+ExportService.register({
+  format: "json",
+  label: "JSON bundle",
+  download: (result) => AnalysisBundle.download(result),
+});
+
+ExportService.register({
+  format: "json-with-text",
+  label: "JSON bundle with policy text",
+  download: (result) =>
+    AnalysisBundle.download(result, { includeRawText: true }),
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import { HtmlExporter } from './HtmlExporter.js';
+import { ReportModel } from './ReportModel.js';
+import { makeAnalysisResult } from '../../test/fixtures/analysisResult';
+import type { AnalysisResult, ComplianceChecklist } from '../../types';
+
+const makeResult = (overrides: Partial<AnalysisResult> = {}): AnalysisResult =>
+  makeAnalysisResult({
+    summary: { brief: '', detailed: '', full: '## Overview\n\n- First point\n- Second point\n\nClosing text' },
+    risks: [
+      {
+        id: 'r1',
+        title: 'Data <b>sold</b>',
+        description: 'Shared with advertisers',
+        severity: 'high',
+        location: 'Section 4',
+        recommendation: 'Opt out',
+      },
+    ],
+    keyTerms: [{ term: 'Cookie', definition: 'A small file' }],
+    ...overrides,
+  });
+
+const render = (overrides: Partial<AnalysisResult> = {}) =>
+  HtmlExporter.render(ReportModel.build(makeResult(overrides)));
+
+const usage = {
+  calls: [
+    { section: 'brief summary', promptTokens: 1200, completionTokens: 150, cost: 0.0021, latencyMs: 2300, reported: true },
+    { section: 'key terms', promptTokens: 1300, completionTokens: 400, latencyMs: 5100, reported: false },
+  ],
+  promptTokens: 2500,
+  completionTokens: 550,
+  cost: 0.0021,
+  latencyMs: 5100,
+};
+
+const compliance: ComplianceChecklist[] = [
+  {
+    profile: 'gdpr',
+    checks: [
+      { requirementId: 'controller', label: 'Controller identity', reference: 'Art. 13(1)(a)', status: 'present', evidence: 'Names Example Inc.' },
+      { requirementId: 'dpo', label: 'DPO contact', reference: 'Art. 13(1)(b)', status: 'missing', evidence: 'No DPO | contact.' },
+    ],
+  },
+];
+
+describe('HtmlExporter', () => {
+  it('should render a self-contained document with inline styles', () => {
+    const html = render();
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>Example Privacy Policy Analysis</title>');
+    expect(html).toContain('<style>');
+    expect(html).not.toMatch(/<link|<script/);
+  });
+
+  it('should render summary blocks as headings, lists and paragraphs', () => {
+    const html = render();
+
+    expect(html).toContain('<h4>Overview</h4>');
+    expect(html).toContain('<ul>\n<li>First point</li>\n<li>Second point</li>\n</ul>');
+    expect(html).toContain('<p>Closing text</p>');
+  });
+
+  it('should render risks with severity, location and recommendation', () => {
+    const html = render();
+
+    expect(html).toContain('class="risk risk--high"');
+    expect(html).toContain('Higher Risk');
+    expect(html).toContain('Section 4');
+    expect(html).toContain('<strong>Recommendation:</strong> Opt out');
+    expect(html).toContain('<dt>Cookie</dt><dd>A small file</dd>');
+  });
+
+  it('should escape text and drop unsafe links', () => {
+    const html = render({
+      privacyRights: {
+        links: [
+          { label: 'Settings', url: 'https://example.com/settings', purpose: 'settings' },
+          { label: 'Evil', url: 'javascript:alert(1)', purpose: 'other' },
+        ],
+        contacts: [],
+        procedures: [],
+        timeframes: [],
+        hasActionableInfo: true,
+      },
+    });
+
+    expect(html).toContain('Data &lt;b&gt;sold&lt;/b&gt;');
+    expect(html).not.toContain('<b>sold</b>');
+    expect(html).toContain('href="https://example.com/settings"');
+    expect(html).not.toContain('javascript:');
+  });
+
+  it('should render the usage table with totals', () => {
+    const html = render({ usage });
+
+    expect(html).toContain('<h2>LLM Usage</h2>');
+    expect(html).toContain('<tr><td>key terms (estimated)</td><td class="num">1,300</td>');
+    expect(html).toContain('<tfoot>\n<tr><th>Total</th><th class="num">2,500</th><th class="num">550</th><th class="num">$0.0021</th><th class="num">5.1 s</th></tr>');
+    expect(render()).not.toContain('LLM Usage');
+  });
+
+  it('should render a table per compliance checklist', () => {
+    const html = render({ compliance });
+
+    expect(html).toContain('<h2>GDPR Compliance Checklist</h2>');
+    expect(html).toContain(
+      '<tr><td>Controller identity</td><td>Art. 13(1)(a)</td><td class="status--present">Disclosed</td><td>Names Example Inc.</td></tr>',
+    );
+    expect(render()).not.toContain('Compliance Checklist');
+  });
+
+  it('should render the data flows as a table', () => {
+    const html = render({ dataFlows: [
+      {
+        id: 'f1',
+        category: 'Location <data>',
+        sources: ['Your device'],
+        purposes: ['Ads', 'Analytics'],
+        recipients: [{ name: 'Ad | partners', type: 'advertiser' }],
+        legalBases: [],
+        retention: '13 months',
+      },
+    ] });
+
+    expect(html).toContain('<h2>Data Flows</h2>');
+    expect(html).toContain(
+      '<tr><td>Location &lt;data&gt;</td><td>Your device</td><td>Ads; Analytics</td><td>Ad | partners (Advertiser)</td><td>—</td><td>13 months</td></tr>',
+    );
+    expect(render()).not.toContain('Data Flows');
+  });
+
+  it('should render the answers to custom questions', () => {
+    const html = render({ aspects: [
+      { aspectId: 'ai', name: 'AI <training>', prompt: 'Is my data used to train AI?', answer: 'No.\n\n- Opt-out in settings' },
+    ] });
+
+    expect(html).toContain('<h2>Custom Questions</h2>\n<h3>AI &lt;training&gt;</h3>\n<p class="meta">Is my data used to train AI?</p>');
+    expect(html).toContain('<li>Opt-out in settings</li>');
+    expect(render()).not.toContain('Custom Questions');
+  });
+});
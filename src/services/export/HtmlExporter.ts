@@ -0,0 +1,392 @@
+/**
+ * @file HTML Exporter
+ * @description Renders an analysis report as a self-contained, styled HTML page
+ *
+ * All report text comes from the LLM or an imported file, so it is escaped
+ * rather than rendered as HTML, and links are limited to http(s) URLs.
+ */
+
+import { escapeHtml, sanitizeUrl } from "../../utils/sanitization.js";
+import {
+  formatCost,
+  formatLatency,
+  formatNumber,
+} from "../../utils/formatting.js";
+import type {
+  AnalysisReport,
+  PrivacyContact,
+  ReportBlock,
+  TokenUsage,
+} from "../../types/index.js";
+
+/**
+ * Inline styles so the report renders the same when opened offline
+ */
+const REPORT_STYLES = `
+  body { margin: 0; background: #f8fafc; color: #1f2937; font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+  main { max-width: 820px; margin: 0 auto; padding: 40px 24px; }
+  h1 { margin: 0 0 8px; color: #4f46e5; font-size: 1.9rem; }
+  h2 { margin: 40px 0 16px; padding-bottom: 8px; border-bottom: 1px solid #e5e7eb; color: #4f46e5; font-size: 1.35rem; }
+  h3 { margin: 24px 0 8px; font-size: 1.1rem; }
+  h4 { margin: 16px 0 4px; font-size: 1rem; }
+  a { color: #4f46e5; word-break: break-all; }
+  .meta { margin: 0; color: #6b7280; font-size: 0.9rem; }
+  .overall { display: flex; gap: 24px; align-items: baseline; margin-bottom: 16px; font-size: 1.1rem; }
+  .grade { font-size: 2.25rem; font-weight: 700; color: #4f46e5; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+  th, td { padding: 8px 10px; border-bottom: 1px solid #e5e7eb; text-align: left; vertical-align: top; }
+  th { background: #f1f5f9; }
+  tfoot th { background: none; }
+  .num { text-align: right; white-space: nowrap; }
+  .score--good { color: #15803d; font-weight: 600; }
+  .score--fair { color: #b45309; font-weight: 600; }
+  .score--poor { color: #b91c1c; font-weight: 600; }
+  .risk { margin-bottom: 16px; padding: 16px; background: #fff; border: 1px solid #e5e7eb; border-left: 4px solid #22c55e; border-radius: 8px; }
+  .risk--high, .risk--critical { border-left-color: #ef4444; }
+  .risk--medium { border-left-color: #f59e0b; }
+  .risk h3 { margin-top: 0; }
+  .badge { display: inline-block; padding: 2px 8px; border-radius: 999px; background: #f1f5f9; font-size: 0.8rem; font-weight: 600; }
+  .status--present { color: #15803d; font-weight: 600; white-space: nowrap; }
+  .status--partial { color: #b45309; font-weight: 600; white-space: nowrap; }
+  .status--missing { color: #b91c1c; font-weight: 600; white-space: nowrap; }
+  .recommendation { margin: 8px 0 0; padding: 8px 12px; background: #eef2ff; border-radius: 6px; }
+  dt { font-weight: 600; }
+  dd { margin: 0 0 12px; color: #4b5563; }
+  footer { margin-top: 48px; color: #6b7280; font-size: 0.8rem; text-align: center; }
+  @media print { body { background: #fff; } .risk { break-inside: avoid; } }
+`;
+
+/**
+ * Renders analysis reports as HTML
+ */
+export class HtmlExporter {
+  /**
+   * Renders a report as a complete HTML document
+   * @param report - Report sections
+   * @returns HTML document
+   */
+  static render(report: AnalysisReport): string {
+    const sections = [
+      this.renderScorecard(report),
+      `<h2>Policy Summary</h2>\n${this.renderBlocks(report.summary.blocks)}`,
+      this.renderRisks(report),
+      this.renderKeyTerms(report),
+      this.renderPrivacyRights(report),
+      this.renderCompliance(report),
+      this.renderDataFlows(report),
+      this.renderAspects(report),
+      this.renderUsage(report),
+    ].filter(Boolean);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<main>
+<header>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">Source: ${escapeHtml(report.source)}</p>
+<p class="meta">Analyzed: ${escapeHtml(report.analyzedAt)}</p>
+</header>
+${sections.join("\n")}
+<footer>Generated by Privacy Policy Distiller</footer>
+</main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * @private
+   */
+  private static renderScorecard(report: AnalysisReport): string {
+    const scorecard = report.scorecard;
+    if (!scorecard) return "";
+
+    const rows = scorecard.categories
+      .map((category) => {
+        const level =
+          category.score >= 7 ? "good" : category.score >= 4 ? "fair" : "poor";
+        return `<tr><td>${escapeHtml(category.label)}</td><td class="num">${category.weight}%</td><td class="num score--${level}">${category.score}/10</td><td>${escapeHtml(category.summary)}</td></tr>`;
+      })
+      .join("\n");
+
+    return [
+      "<h2>Privacy Scorecard</h2>",
+      `<div class="overall"><span class="grade">${escapeHtml(scorecard.grade)}</span><span>Privacy Score: <strong>${scorecard.score}/100</strong></span></div>`,
+      rows &&
+        `<table>\n<thead><tr><th>Category</th><th class="num">Weight</th><th class="num">Score</th><th>Summary</th></tr></thead>\n<tbody>\n${rows}\n</tbody>\n</table>`,
+      this.renderList("Key Concerns", scorecard.topConcerns),
+      this.renderList("Positive Aspects", scorecard.positiveAspects),
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  /**
+   * @private
+   */
+  private static renderRisks(report: AnalysisReport): string {
+    if (report.risks.length === 0) return "";
+
+    const risks = report.risks.map((risk) => {
+      const location = risk.location
+        ? ` <span class="meta">${escapeHtml(risk.location)}</span>`
+        : "";
+      const recommendation = risk.recommendation
+        ? `<p class="recommendation"><strong>Recommendation:</strong> ${escapeHtml(risk.recommendation)}</p>`
+        : "";
+      return `<article class="risk risk--${risk.severity.replace(/[^a-z]/g, "")}">
+<h3>${escapeHtml(risk.title)}</h3>
+<p><span class="badge">${escapeHtml(risk.severityLabel)}</span>${location}</p>
+<p>${escapeHtml(risk.description)}</p>
+${recommendation}
+</article>`;
+    });
+
+    return `<h2>Privacy Risks (${report.risks.length})</h2>\n${risks.join("\n")}`;
+  }
+
+  /**
+   * @private
+   */
+  private static renderKeyTerms(report: AnalysisReport): string {
+    if (report.keyTerms.length === 0) return "";
+
+    const terms = report.keyTerms
+      .map(
+        (term) =>
+          `<dt>${escapeHtml(term.term)}</dt><dd>${escapeHtml(term.definition)}</dd>`,
+      )
+      .join("\n");
+
+    return `<h2>Key Terms Glossary (${report.keyTerms.length})</h2>\n<dl>\n${terms}\n</dl>`;
+  }
+
+  /**
+   * @private
+   */
+  private static renderPrivacyRights(report: AnalysisReport): string {
+    const privacyRights = report.privacyRights;
+    if (!privacyRights) return "";
+
+    const links = privacyRights.links
+      .map((link) => ({ ...link, url: sanitizeUrl(link.url) }))
+      .filter((link) => link.url)
+      .map(
+        (link) =>
+          `<li><a href="${escapeHtml(link.url)}" rel="noopener noreferrer">${escapeHtml(link.label)}</a></li>`,
+      );
+
+    const contacts = privacyRights.contacts.map(
+      (contact) =>
+        `<li><strong>${this.getContactLabel(contact)}:</strong> ${escapeHtml(contact.value)}${contact.purpose ? ` (${escapeHtml(contact.purpose)})` : ""}</li>`,
+    );
+
+    const procedures = privacyRights.procedures.map((procedure) => {
+      const steps = procedure.steps
+        .map((step) => `<li>${escapeHtml(step)}</li>`)
+        .join("");
+      const requirements =
+        procedure.requirements && procedure.requirements.length > 0
+          ? `<p><em>Requirements:</em> ${escapeHtml(procedure.requirements.join("; "))}</p>`
+          : "";
+      return `<h4>${escapeHtml(procedure.title)}</h4>\n<ol>${steps}</ol>\n${requirements}`;
+    });
+
+    return [
+      "<h2>Take Action</h2>",
+      links.length > 0 && `<h3>Privacy Links</h3>\n<ul>${links.join("")}</ul>`,
+      contacts.length > 0 &&
+        `<h3>Privacy Contacts</h3>\n<ul>${contacts.join("")}</ul>`,
+      procedures.length > 0 &&
+        `<h3>How to Exercise Your Rights</h3>\n${procedures.join("\n")}`,
+      this.renderList("Response Timeframes", privacyRights.timeframes),
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  /**
+   * @private
+   */
+  private static renderCompliance(report: AnalysisReport): string {
+    return report.compliance
+      .map((checklist) => {
+        const rows = checklist.checks
+          .map(
+            (check) =>
+              `<tr><td>${escapeHtml(check.label)}</td><td>${escapeHtml(check.reference)}</td><td class="status--${check.status}">${escapeHtml(check.statusLabel)}</td><td>${escapeHtml(check.evidence)}</td></tr>`,
+          )
+          .join("\n");
+        const counts = checklist.counts;
+
+        return `<h2>${escapeHtml(checklist.name)} Compliance Checklist</h2>
+<p class="meta">${escapeHtml(checklist.law)} (${escapeHtml(checklist.jurisdiction)}) · ${counts.present} disclosed, ${counts.partial} partial, ${counts.missing} not found</p>
+<table>
+<thead><tr><th>Requirement</th><th>Reference</th><th>Status</th><th>Evidence</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+      })
+      .join("\n");
+  }
+
+  /**
+   * @private
+   */
+  private static renderDataFlows(report: AnalysisReport): string {
+    if (report.dataFlows.length === 0) return "";
+
+    const cell = (items: string[]) =>
+      items.length > 0 ? escapeHtml(items.join("; ")) : "—";
+    const rows = report.dataFlows
+      .map(
+        (flow) =>
+          `<tr><td>${escapeHtml(flow.category)}</td><td>${cell(flow.sources)}</td><td>${cell(flow.purposes)}</td><td>${cell(flow.recipientLabels)}</td><td>${cell(flow.legalBases)}</td><td>${flow.retention ? escapeHtml(flow.retention) : "Not stated"}</td></tr>`,
+      )
+      .join("\n");
+
+    return `<h2>Data Flows</h2>
+<table>
+<thead><tr><th>Data</th><th>Sources</th><th>Purposes</th><th>Recipients</th><th>Legal basis</th><th>Retention</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+  }
+
+  /**
+   * @private
+   */
+  private static renderAspects(report: AnalysisReport): string {
+    if (report.aspects.length === 0) return "";
+
+    const aspects = report.aspects.map(
+      (aspect) => `<h3>${escapeHtml(aspect.name)}</h3>
+<p class="meta">${escapeHtml(aspect.prompt)}</p>
+${this.renderBlocks(aspect.blocks)}`,
+    );
+
+    return `<h2>Custom Questions</h2>
+${aspects.join("\n")}`;
+  }
+
+  /**
+   * @private
+   */
+  private static renderUsage(report: AnalysisReport): string {
+    const usage = report.usage;
+    if (!usage) return "";
+
+    const rows = usage.calls
+      .map((call) =>
+        this.renderUsageRow(
+          "td",
+          call.reported ? call.section : `${call.section} (estimated)`,
+          call,
+          call.latencyMs,
+        ),
+      )
+      .join("\n");
+
+    return `<h2>LLM Usage</h2>
+<table>
+<thead><tr><th>Request</th><th class="num">Input tokens</th><th class="num">Output tokens</th><th class="num">Cost</th><th class="num">Latency</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+<tfoot>
+${this.renderUsageRow("th", "Total", usage, usage.latencyMs)}
+</tfoot>
+</table>`;
+  }
+
+  /**
+   * @private
+   */
+  private static renderUsageRow(
+    cell: "td" | "th",
+    label: string,
+    usage: TokenUsage,
+    latencyMs: number,
+  ): string {
+    const values = [
+      formatNumber(usage.promptTokens),
+      formatNumber(usage.completionTokens),
+      usage.cost === undefined ? "–" : formatCost(usage.cost),
+      formatLatency(latencyMs),
+    ];
+    return `<tr><${cell}>${escapeHtml(label)}</${cell}>${values.map((value) => `<${cell} class="num">${value}</${cell}>`).join("")}</tr>`;
+  }
+
+  /**
+   * Renders summary blocks, grouping consecutive list items into lists
+   * @private
+   */
+  private static renderBlocks(blocks: ReportBlock[]): string {
+    const html: string[] = [];
+    let openList: "ul" | "ol" | null = null;
+
+    const closeList = () => {
+      if (openList) {
+        html.push(`</${openList}>`);
+        openList = null;
+      }
+    };
+
+    for (const block of blocks) {
+      const content = escapeHtml(block.content);
+      if (block.type === "bullet" || block.type === "numbered") {
+        const tag = block.type === "bullet" ? "ul" : "ol";
+        if (openList !== tag) {
+          closeList();
+          html.push(`<${tag}>`);
+          openList = tag;
+        }
+        html.push(`<li>${content}</li>`);
+        continue;
+      }
+
+      closeList();
+      if (block.type === "heading") {
+        // Summary headings sit below the report's own section headings
+        const level = Math.min((block.level || 1) + 2, 6);
+        html.push(`<h${level}>${content}</h${level}>`);
+      } else {
+        html.push(`<p>${content}</p>`);
+      }
+    }
+    closeList();
+
+    return html.join("\n");
+  }
+
+  /**
+   * @private
+   */
+  private static renderList(heading: string, items: string[]): string {
+    if (items.length === 0) return "";
+    const listItems = items
+      .map((item) => `<li>${escapeHtml(item)}</li>`)
+      .join("");
+    return `<h3>${heading}</h3>\n<ul>${listItems}</ul>`;
+  }
+
+  /**
+   * @private
+   */
+  private static getContactLabel(contact: PrivacyContact): string {
+    return contact.type === "dpo"
+      ? "DPO"
+      : escapeHtml(
+          contact.type.charAt(0).toUpperCase() + contact.type.slice(1),
+        );
+  }
+}
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { MarkdownExporter } from './MarkdownExporter.js';
+import { ReportModel } from './ReportModel.js';
+import { makeAnalysisResult } from '../../test/fixtures/analysisResult';
+import type { AnalysisResult, ComplianceChecklist } from '../../types';
+
+const category = (score: number, summary: string) => ({ score, weight: 0, summary });
+
+const makeResult = (overrides: Partial<AnalysisResult> = {}): AnalysisResult =>
+  makeAnalysisResult({
+    summary: { brief: '', detailed: '', full: '## Overview\n\nThe **policy** text.' },
+    risks: [
+      {
+        id: 'r1',
+        title: 'Data sold',
+        description: 'Shared with advertisers',
+        severity: 'critical',
+        location: 'Section 4',
+        recommendation: 'Opt out',
+      },
+    ],
+    keyTerms: [{ term: 'Cookie', definition: 'A small file' }],
+    scorecard: {
+      thirdPartySharing: category(3, 'Shares | sells data'),
+      userRights: category(6, ''),
+      dataCollection: category(5, ''),
+      dataRetention: category(4, ''),
+      purposeClarity: category(6, ''),
+      securityMeasures: category(7, ''),
+      policyTransparency: category(6, ''),
+      topConcerns: ['Sells data'],
+      positiveAspects: [],
+      overallScore: 50,
+      overallGrade: 'F',
+    },
+    ...overrides,
+  });
+
+const render = (overrides: Partial<AnalysisResult> = {}) =>
+  MarkdownExporter.render(ReportModel.build(makeResult(overrides)));
+
+const usage = {
+  calls: [
+    { section: 'brief summary', promptTokens: 1200, completionTokens: 150, cost: 0.0021, latencyMs: 2300, reported: true },
+    { section: 'key terms', promptTokens: 1300, completionTokens: 400, latencyMs: 5100, reported: false },
+  ],
+  promptTokens: 2500,
+  completionTokens: 550,
+  cost: 0.0021,
+  latencyMs: 5100,
+};
+
+const compliance: ComplianceChecklist[] = [
+  {
+    profile: 'gdpr',
+    checks: [
+      { requirementId: 'controller', label: 'Controller identity', reference: 'Art. 13(1)(a)', status: 'present', evidence: 'Names Example Inc.' },
+      { requirementId: 'dpo', label: 'DPO contact', reference: 'Art. 13(1)(b)', status: 'missing', evidence: 'No DPO | contact.' },
+    ],
+  },
+];
+
+describe('MarkdownExporter', () => {
+  it('should render the title, scorecard table and summary', () => {
+    const markdown = render();
+
+    expect(markdown).toMatch(/^# Example Privacy Policy Analysis\n/);
+    expect(markdown).toContain('**Overall Grade:** F · **Privacy Score:** 50/100');
+    expect(markdown).toContain('| Category | Weight | Score | Summary |');
+    expect(markdown).toContain('| Third-Party Sharing | 20% | 3/10 | Shares \\| sells data |');
+    expect(markdown).toContain('### Key Concerns\n\n- Sells data');
+    expect(markdown).not.toContain('### Positive Aspects');
+    // The summary keeps its original markdown
+    expect(markdown).toContain('## Overview\n\nThe **policy** text.');
+  });
+
+  it('should render risks and key terms', () => {
+    const markdown = render();
+
+    expect(markdown).toContain('## Privacy Risks (1)');
+    expect(markdown).toContain('### Data sold\n\n**Severity:** Higher Risk · **Location:** Section 4');
+    expect(markdown).toContain('> **Recommendation:** Opt out');
+    expect(markdown).toContain('- **Cookie**: A small file');
+  });
+
+  it('should render privacy rights with safe links only', () => {
+    const markdown = render({
+      privacyRights: {
+        links: [
+          { label: 'Settings', url: 'https://example.com/settings', purpose: 'settings' },
+          { label: 'Evil', url: 'javascript:alert(1)', purpose: 'other' },
+        ],
+        contacts: [{ type: 'dpo', value: 'dpo@example.com', purpose: 'GDPR requests' }],
+        procedures: [{ right: 'deletion', title: 'Delete your data', steps: ['Open settings', 'Click delete'] }],
+        timeframes: ['30 days'],
+        hasActionableInfo: true,
+      },
+    });
+
+    expect(markdown).toContain('- [Settings](<https://example.com/settings>)');
+    expect(markdown).not.toContain('javascript:');
+    expect(markdown).toContain('- **DPO:** dpo@example.com (GDPR requests)');
+    expect(markdown).toContain('#### Delete your data\n\n1. Open settings\n2. Click delete');
+    expect(markdown).toContain('### Response Timeframes\n\n- 30 days');
+  });
+
+  it('should render the usage of each LLM request and the totals', () => {
+    const markdown = render({ usage });
+
+    expect(markdown).toContain('## LLM Usage');
+    expect(markdown).toContain('| brief summary | 1,200 | 150 | $0.0021 | 2.3 s |');
+    expect(markdown).toContain('| key terms (estimated) | 1,300 | 400 | – | 5.1 s |');
+    expect(markdown).toContain('| **Total** | 2,500 | 550 | $0.0021 | 5.1 s |');
+    expect(render()).not.toContain('## LLM Usage');
+  });
+
+  it('should render a table per compliance checklist', () => {
+    const markdown = render({ compliance });
+
+    expect(markdown).toContain('## GDPR Compliance Checklist');
+    expect(markdown).toContain('1 disclosed, 0 partial, 1 not found');
+    expect(markdown).toContain('| DPO contact | Art. 13(1)(b) | Not found | No DPO \\| contact. |');
+    expect(render()).not.toContain('Compliance Checklist');
+  });
+
+  it('should render the data flows as a table', () => {
+    const markdown = render({
+      dataFlows: [
+        {
+          id: 'f1',
+          category: 'Location <data>',
+          sources: ['Your device'],
+          purposes: ['Ads', 'Analytics'],
+          recipients: [{ name: 'Ad | partners', type: 'advertiser' }],
+          legalBases: [],
+          retention: '13 months',
+        },
+      ],
+    });
+
+    expect(markdown).toContain('## Data Flows');
+    expect(markdown).toContain('| Location <data> | Your device | Ads; Analytics | Ad \\| partners (Advertiser) | — | 13 months |');
+    expect(render()).not.toContain('Data Flows');
+  });
+
+  it('should render the answers to custom questions', () => {
+    const markdown = render({
+      aspects: [{ aspectId: 'ai', name: 'AI training', prompt: 'Is my data used to train AI?', answer: 'No.\n\n- Opt-out in settings' }],
+    });
+
+    expect(markdown).toContain('## Custom Questions\n\n### AI training\n\n_Is my data used to train AI?_\n\nNo.\n\n- Opt-out in settings');
+    expect(render()).not.toContain('Custom Questions');
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * @file Markdown Exporter
+ * @description Renders an analysis report as GitHub-flavored Markdown for
+ * wikis and tickets
+ */
+
+import { sanitizeUrl } from "../../utils/sanitization.js";
+import {
+  formatCost,
+  formatLatency,
+  formatNumber,
+} from "../../utils/formatting.js";
+import type {
+  AnalysisReport,
+  PrivacyContact,
+  TokenUsage,
+} from "../../types/index.js";
+
+/**
+ * Renders analysis reports as Markdown
+ */
+export class MarkdownExporter {
+  /**
+   * Renders a report as Markdown
+   * @param report - Report sections
+   * @returns Markdown document
+   */
+  static render(report: AnalysisReport): string {
+    const lines: string[] = [
+      `# ${report.title}`,
+      "",
+      `**Source:** ${report.source}  `,
+      `**Analyzed:** ${report.analyzedAt}`,
+      "",
+    ];
+
+    if (report.scorecard) {
+      const scorecard = report.scorecard;
+      lines.push(
+        "## Privacy Scorecard",
+        "",
+        `**Overall Grade:** ${scorecard.grade} · **Privacy Score:** ${scorecard.score}/100`,
+        "",
+      );
+
+      if (scorecard.categories.length > 0) {
+        lines.push(
+          "| Category | Weight | Score | Summary |",
+          "| --- | ---: | ---: | --- |",
+          ...scorecard.categories.map(
+            (category) =>
+              `| ${this.escapeCell(category.label)} | ${category.weight}% | ${category.score}/10 | ${this.escapeCell(category.summary)} |`,
+          ),
+          "",
+        );
+      }
+
+      this.pushList(lines, "### Key Concerns", scorecard.topConcerns);
+      this.pushList(lines, "### Positive Aspects", scorecard.positiveAspects);
+    }
+
+    lines.push("## Policy Summary", "", report.summary.markdown.trim(), "");
+
+    if (report.risks.length > 0) {
+      lines.push(`## Privacy Risks (${report.risks.length})`, "");
+      for (const risk of report.risks) {
+        const details = [`**Severity:** ${risk.severityLabel}`];
+        if (risk.location) {
+          details.push(`**Location:** ${risk.location}`);
+        }
+        lines.push(`### ${risk.title}`, "", details.join(" · "), "");
+        if (risk.description) {
+          lines.push(risk.description, "");
+        }
+        if (risk.recommendation) {
+          lines.push(`> **Recommendation:** ${risk.recommendation}`, "");
+        }
+      }
+    }
+
+    if (report.keyTerms.length > 0) {
+      lines.push(`## Key Terms Glossary (${report.keyTerms.length})`, "");
+      for (const term of report.keyTerms) {
+        lines.push(`- **${term.term}**: ${term.definition}`);
+      }
+      lines.push("");
+    }
+
+    const privacyRights = report.privacyRights;
+    if (privacyRights) {
+      lines.push("## Take Action", "");
+
+      const links = privacyRights.links
+        .map((link) => ({ ...link, url: sanitizeUrl(link.url) }))
+        .filter((link) => link.url);
+      this.pushList(
+        lines,
+        "### Privacy Links",
+        links.map(
+          (link) => `[${link.label.replace(/[[\]]/g, "")}](<${link.url}>)`,
+        ),
+      );
+
+      this.pushList(
+        lines,
+        "### Privacy Contacts",
+        privacyRights.contacts.map(
+          (contact) =>
+            `**${this.getContactLabel(contact)}:** ${contact.value}` +
+            (contact.purpose ? ` (${contact.purpose})` : ""),
+        ),
+      );
+
+      if (privacyRights.procedures.length > 0) {
+        lines.push("### How to Exercise Your Rights", "");
+        for (const procedure of privacyRights.procedures) {
+          lines.push(
+            `#### ${procedure.title}`,
+            "",
+            ...procedure.steps.map((step, i) => `${i + 1}. ${step}`),
+            "",
+          );
+          if (procedure.requirements && procedure.requirements.length > 0) {
+            lines.push(
+              `_Requirements:_ ${procedure.requirements.join("; ")}`,
+              "",
+            );
+          }
+        }
+      }
+
+      this.pushList(lines, "### Response Timeframes", privacyRights.timeframes);
+    }
+
+    for (const checklist of report.compliance) {
+      lines.push(
+        `## ${checklist.name} Compliance Checklist`,
+        "",
+        `_${checklist.law} (${checklist.jurisdiction})_ · ${checklist.counts.present} disclosed, ${checklist.counts.partial} partial, ${checklist.counts.missing} not found`,
+        "",
+        "| Requirement | Reference | Status | Evidence |",
+        "| --- | --- | --- | --- |",
+        ...checklist.checks.map(
+          (check) =>
+            `| ${this.escapeCell(check.label)} | ${this.escapeCell(check.reference)} | ${check.statusLabel} | ${this.escapeCell(check.evidence)} |`,
+        ),
+        "",
+      );
+    }
+
+    if (report.dataFlows.length > 0) {
+      const cell = (items: string[]) =>
+        items.length > 0 ? this.escapeCell(items.join("; ")) : "—";
+      lines.push(
+        "## Data Flows",
+        "",
+        "| Data | Sources | Purposes | Recipients | Legal basis | Retention |",
+        "| --- | --- | --- | --- | --- | --- |",
+        ...report.dataFlows.map(
+          (flow) =>
+            `| ${this.escapeCell(flow.category)} | ${cell(flow.sources)} | ${cell(flow.purposes)} | ${cell(flow.recipientLabels)} | ${cell(flow.legalBases)} | ${flow.retention ? this.escapeCell(flow.retention) : "Not stated"} |`,
+        ),
+        "",
+      );
+    }
+
+    if (report.aspects.length > 0) {
+      lines.push("## Custom Questions", "");
+      for (const aspect of report.aspects) {
+        lines.push(
+          `### ${aspect.name}`,
+          "",
+          `_${aspect.prompt}_`,
+          "",
+          aspect.markdown.trim(),
+          "",
+        );
+      }
+    }
+
+    const usage = report.usage;
+    if (usage) {
+      lines.push(
+        "## LLM Usage",
+        "",
+        "| Request | Input tokens | Output tokens | Cost | Latency |",
+        "| --- | ---: | ---: | ---: | ---: |",
+        ...usage.calls.map((call) =>
+          this.usageRow(
+            call.reported ? call.section : `${call.section} (estimated)`,
+            call,
+            call.latencyMs,
+          ),
+        ),
+        this.usageRow("**Total**", usage, usage.latencyMs),
+        "",
+      );
+    }
+
+    lines.push("---", "", "_Generated by Privacy Policy Distiller_", "");
+    return lines.join("\n");
+  }
+
+  /**
+   * Adds a heading and bullet list when there are items
+   * @private
+   */
+  private static pushList(
+    lines: string[],
+    heading: string,
+    items: string[],
+  ): void {
+    if (items.length === 0) return;
+    lines.push(heading, "", ...items.map((item) => `- ${item}`), "");
+  }
+
+  /**
+   * Renders a row of the usage table
+   * @private
+   */
+  private static usageRow(
+    label: string,
+    usage: TokenUsage,
+    latencyMs: number,
+  ): string {
+    return `| ${this.escapeCell(label)} | ${formatNumber(usage.promptTokens)} | ${formatNumber(usage.completionTokens)} | ${usage.cost === undefined ? "–" : formatCost(usage.cost)} | ${formatLatency(latencyMs)} |`;
+  }
+
+  /**
+   * Escapes text for a table cell
+   * @private
+   */
+  private static escapeCell(text: string): string {
+    return text.replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+  }
+
+  /**
+   * @private
+   */
+  private static getContactLabel(contact: PrivacyContact): string {
+    return contact.type === "dpo"
+      ? "DPO"
+      : contact.type.charAt(0).toUpperCase() + contact.type.slice(1);
+  }
+}
@@ -0,0 +1,782 @@
+/**
+ * @file PDF Exporter
+ * @description Lays out an analysis report as a PDF document with jsPDF
+ */
+
+// jsPDF is dynamically imported in download to reduce initial bundle size
+
+import {
+  formatCost,
+  formatLatency,
+  formatNumber,
+} from "../../utils/formatting.js";
+import type { AnalysisReport, ReportBlock } from "../../types/index.js";
+
+type RGB = [number, number, number];
+
+/**
+ * Renders analysis reports as PDF documents
+ */
+export class PdfExporter {
+  /**
+   * Renders a report as a PDF and saves it
+   * @param report - Report sections
+   * @param filename - Name of the saved file
+   */
+  static async download(
+    report: AnalysisReport,
+    filename: string,
+  ): Promise<void> {
+    // Dynamic import jsPDF to reduce initial bundle size
+    const { jsPDF } = await import("jspdf");
+
+    const doc = new jsPDF({
+      orientation: "portrait",
+      unit: "mm",
+      format: "a4",
+    });
+
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 20;
+    const contentWidth = pageWidth - 2 * margin;
+    let y = margin;
+
+    // Colors
+    const primaryColor: RGB = [79, 70, 229]; // Indigo
+    const textColor: RGB = [31, 41, 55]; // Gray-800
+    const mutedColor: RGB = [107, 114, 128]; // Gray-500
+    const successColor: RGB = [34, 197, 94]; // Green
+    const warningColor: RGB = [245, 158, 11]; // Amber
+    const dangerColor: RGB = [239, 68, 68]; // Red
+
+    /**
+     * Add a new page if needed
+     */
+    function checkPageBreak(neededHeight = 20): void {
+      if (y + neededHeight > pageHeight - margin) {
+        doc.addPage();
+        y = margin;
+      }
+    }
+
+    /**
+     * Draw a horizontal line
+     */
+    function drawLine(): void {
+      doc.setDrawColor(229, 231, 235);
+      doc.line(margin, y, pageWidth - margin, y);
+      y += 8;
+    }
+
+    /**
+     * Render markdown blocks to PDF
+     */
+    function renderMarkdownBlocks(blocks: ReportBlock[]): void {
+      let numberedIndex = 0;
+
+      for (const block of blocks) {
+        switch (block.type) {
+          case "heading": {
+            checkPageBreak(12);
+            y += 3; // Space before heading
+            const fontSize =
+              block.level === 1 ? 14 : block.level === 2 ? 12 : 11;
+            doc.setFontSize(fontSize);
+            doc.setFont("helvetica", "bold");
+            doc.setTextColor(...primaryColor);
+            const headingLines = doc.splitTextToSize(
+              block.content,
+              contentWidth,
+            );
+            for (const line of headingLines) {
+              doc.text(line, margin, y, { align: "left" });
+              y += fontSize * 0.4;
+            }
+            y += 2; // Space after heading
+            numberedIndex = 0; // Reset numbered list
+            break;
+          }
+
+          case "paragraph": {
+            checkPageBreak(10);
+            doc.setFontSize(10);
+            doc.setFont("helvetica", "normal");
+            doc.setTextColor(...textColor);
+            const paraLines = doc.splitTextToSize(block.content, contentWidth);
+            for (const line of paraLines) {
+              checkPageBreak(5);
+              doc.text(line, margin, y, { align: "left" });
+              y += 5;
+            }
+            y += 3; // Space after paragraph
+            numberedIndex = 0; // Reset numbered list
+            break;
+          }
+
+          case "bullet": {
+            checkPageBreak(8);
+            doc.setFontSize(10);
+            doc.setFont("helvetica", "normal");
+            doc.setTextColor(...textColor);
+            const bulletLines = doc.splitTextToSize(
+              block.content,
+              contentWidth - 8,
+            );
+            doc.text("•", margin, y, { align: "left" });
+            for (let i = 0; i < bulletLines.length; i++) {
+              checkPageBreak(5);
+              doc.text(bulletLines[i], margin + 6, y, { align: "left" });
+              if (i < bulletLines.length - 1) y += 5;
+            }
+            y += 5;
+            break;
+          }
+
+          case "numbered": {
+            checkPageBreak(8);
+            numberedIndex++;
+            doc.setFontSize(10);
+            doc.setFont("helvetica", "normal");
+            doc.setTextColor(...textColor);
+            const numLines = doc.splitTextToSize(
+              block.content,
+              contentWidth - 10,
+            );
+            doc.text(`${numberedIndex}.`, margin, y, { align: "left" });
+            for (let i = 0; i < numLines.length; i++) {
+              checkPageBreak(5);
+              doc.text(numLines[i], margin + 8, y, { align: "left" });
+              if (i < numLines.length - 1) y += 5;
+            }
+            y += 5;
+            break;
+          }
+        }
+      }
+    }
+
+    // ===== HEADER =====
+    doc.setFontSize(24);
+    doc.setTextColor(...primaryColor);
+    doc.setFont("helvetica", "bold");
+    doc.text(report.title, margin, y, { align: "left" });
+    y += 10;
+
+    // Metadata
+    doc.setFontSize(10);
+    doc.setTextColor(...mutedColor);
+    doc.setFont("helvetica", "normal");
+    doc.text(`Source: ${report.source}`, margin, y, { align: "left" });
+    y += 5;
+    doc.text(`Analyzed: ${report.analyzedAt}`, margin, y, { align: "left" });
+    y += 10;
+
+    drawLine();
+
+    // ===== PRIVACY SCORECARD =====
+    const scorecard = report.scorecard;
+    if (scorecard) {
+      checkPageBreak(60);
+
+      doc.setFontSize(16);
+      doc.setTextColor(...primaryColor);
+      doc.setFont("helvetica", "bold");
+      doc.text("Privacy Scorecard", margin, y, { align: "left" });
+      y += 10;
+
+      // Overall grade and score
+      doc.setFontSize(12);
+      doc.setTextColor(...textColor);
+      doc.setFont("helvetica", "bold");
+      doc.text(`Overall Grade: ${scorecard.grade}`, margin, y, {
+        align: "left",
+      });
+      doc.text(`Privacy Score: ${scorecard.score}/100`, margin + 60, y, {
+        align: "left",
+      });
+      y += 10;
+
+      // Category scores
+      doc.setFontSize(10);
+      doc.setFont("helvetica", "normal");
+
+      for (const category of scorecard.categories) {
+        checkPageBreak(12);
+        const score = category.score;
+        const scoreColor: RGB =
+          score >= 7 ? successColor : score >= 4 ? warningColor : dangerColor;
+
+        doc.setTextColor(...textColor);
+        doc.setFont("helvetica", "bold");
+        doc.text(`${category.label} (${category.weight}%):`, margin, y, {
+          align: "left",
+        });
+
+        doc.setTextColor(...scoreColor);
+        doc.text(`${score}/10`, margin + 65, y, { align: "left" });
+        y += 5;
+
+        if (category.summary) {
+          doc.setFont("helvetica", "normal");
+          doc.setTextColor(...mutedColor);
+          const summaryLines = doc.splitTextToSize(
+            category.summary,
+            contentWidth,
+          );
+          for (const line of summaryLines) {
+            doc.text(line, margin + 4, y, { align: "left" });
+            y += 4;
+          }
+        }
+        y += 2;
+      }
+
+      // Key concerns
+      if (scorecard.topConcerns.length > 0) {
+        y += 4;
+        checkPageBreak(20);
+        doc.setTextColor(...dangerColor);
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(11);
+        doc.text("Key Concerns:", margin, y, { align: "left" });
+        y += 6;
+
+        doc.setFontSize(10);
+        doc.setFont("helvetica", "normal");
+        doc.setTextColor(...textColor);
+        for (const concern of scorecard.topConcerns.slice(0, 3)) {
+          checkPageBreak(8);
+          const lines = doc.splitTextToSize(concern, contentWidth - 8);
+          doc.text("•", margin, y, { align: "left" });
+          for (let i = 0; i < lines.length; i++) {
+            doc.text(lines[i], margin + 6, y, { align: "left" });
+            if (i < lines.length - 1) y += 5;
+          }
+          y += 6;
+        }
+      }
+
+      // Positive aspects
+      if (scorecard.positiveAspects.length > 0) {
+        y += 4;
+        checkPageBreak(20);
+        doc.setTextColor(...successColor);
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(11);
+        doc.text("Positive Aspects:", margin, y, { align: "left" });
+        y += 6;
+
+        doc.setFontSize(10);
+        doc.setFont("helvetica", "normal");
+        doc.setTextColor(...textColor);
+        for (const positive of scorecard.positiveAspects.slice(0, 3)) {
+          checkPageBreak(8);
+          const lines = doc.splitTextToSize(positive, contentWidth - 8);
+          doc.text("•", margin, y, { align: "left" });
+          for (let i = 0; i < lines.length; i++) {
+            doc.text(lines[i], margin + 6, y, { align: "left" });
+            if (i < lines.length - 1) y += 5;
+          }
+          y += 6;
+        }
+      }
+
+      y += 5;
+      drawLine();
+    }
+
+    // ===== POLICY SUMMARY =====
+    checkPageBreak(30);
+
+    doc.setFontSize(16);
+    doc.setTextColor(...primaryColor);
+    doc.setFont("helvetica", "bold");
+    doc.text("Policy Summary", margin, y, { align: "left" });
+    y += 10;
+
+    renderMarkdownBlocks(report.summary.blocks);
+
+    y += 5;
+    drawLine();
+
+    // ===== PRIVACY RISKS =====
+    if (report.risks.length > 0) {
+      checkPageBreak(30);
+
+      doc.setFontSize(16);
+      doc.setTextColor(...primaryColor);
+      doc.setFont("helvetica", "bold");
+      doc.text(`Privacy Risks (${report.risks.length})`, margin, y, {
+        align: "left",
+      });
+      y += 10;
+
+      for (const risk of report.risks) {
+        checkPageBreak(25);
+
+        const severity = risk.severity;
+        const severityColor: RGB =
+          severity === "critical" || severity === "high"
+            ? dangerColor
+            : severity === "medium"
+              ? warningColor
+              : successColor;
+
+        // Risk title
+        doc.setFontSize(11);
+        doc.setFont("helvetica", "bold");
+        doc.setTextColor(...textColor);
+        doc.text(risk.title, margin, y, { align: "left" });
+        y += 5;
+
+        // Severity label on its own line
+        doc.setFontSize(9);
+        doc.setFont("helvetica", "bold");
+        doc.setTextColor(...severityColor);
+        doc.text(`[${risk.severityLabel}]`, margin, y, { align: "left" });
+        y += 5;
+
+        // Description
+        doc.setFontSize(10);
+        doc.setFont("helvetica", "normal");
+        doc.setTextColor(...textColor);
+        const descLines = doc.splitTextToSize(risk.description, contentWidth);
+        for (const line of descLines) {
+          checkPageBreak(6);
+          doc.text(line, margin, y, { align: "left" });
+          y += 5;
+        }
+
+        y += 5;
+      }
+
+      drawLine();
+    }
+
+    // ===== KEY TERMS GLOSSARY =====
+    if (report.keyTerms.length > 0) {
+      checkPageBreak(30);
+
+      doc.setFontSize(16);
+      doc.setTextColor(...primaryColor);
+      doc.setFont("helvetica", "bold");
+      doc.text(`Key Terms Glossary (${report.keyTerms.length})`, margin, y, {
+        align: "left",
+      });
+      y += 10;
+
+      for (const term of report.keyTerms) {
+        checkPageBreak(18);
+
+        doc.setFontSize(11);
+        doc.setFont("helvetica", "bold");
+        doc.setTextColor(...textColor);
+        doc.text(term.term, margin, y, { align: "left" });
+        y += 6;
+
+        doc.setFontSize(10);
+        doc.setFont("helvetica", "normal");
+        doc.setTextColor(...mutedColor);
+        const defLines = doc.splitTextToSize(term.definition, contentWidth);
+        for (const line of defLines) {
+          checkPageBreak(6);
+          doc.text(line, margin, y, { align: "left" });
+          y += 5;
+        }
+
+        y += 4;
+      }
+    }
+
+    // ===== TAKE ACTION (Privacy Rights) =====
+    const privacyRights = report.privacyRights;
+    if (privacyRights) {
+      checkPageBreak(30);
+
+      doc.setFontSize(16);
+      doc.setTextColor(...primaryColor);
+      doc.setFont("helvetica", "bold");
+      doc.text("Take Action", margin, y, { align: "left" });
+      y += 10;
+
+      // Links section
+      if (privacyRights.links && privacyRights.links.length > 0) {
+        checkPageBreak(20);
+
+        doc.setFontSize(12);
+        doc.setFont("helvetica", "bold");
+        doc.setTextColor(...textColor);
+        doc.text("Privacy Links", margin, y, { align: "left" });
+        y += 7;
+
+        for (const link of privacyRights.links) {
+          checkPageBreak(12);
+
+          doc.setFontSize(10);
+          doc.setFont("helvetica", "bold");
+          doc.setTextColor(...textColor);
+          doc.text(`• ${link.label}`, margin + 4, y, { align: "left" });
+          y += 5;
+
+          doc.setFont("helvetica", "normal");
+          doc.setTextColor(...mutedColor);
+          const urlLines = doc.splitTextToSize(link.url, contentWidth - 8);
+          for (const line of urlLines) {
+            checkPageBreak(5);
+            doc.text(line, margin + 8, y, { align: "left" });
+            y += 5;
+          }
+          y += 2;
+        }
+        y += 4;
+      }
+
+      // Contacts section
+      if (privacyRights.contacts && privacyRights.contacts.length > 0) {
+        checkPageBreak(20);
+
+        doc.setFontSize(12);
+        doc.setFont("helvetica", "bold");
+        doc.setTextColor(...textColor);
+        doc.text("Privacy Contacts", margin, y, { align: "left" });
+        y += 7;
+
+        for (const contact of privacyRights.contacts) {
+          checkPageBreak(12);
+
+          doc.setFontSize(10);
+          doc.setFont("helvetica", "bold");
+          doc.setTextColor(...textColor);
+          const contactLabel =
+            contact.type === "dpo"
+              ? "DPO"
+              : contact.type.charAt(0).toUpperCase() + contact.type.slice(1);
+          doc.text(`• ${contactLabel}: ${contact.value}`, margin + 4, y, {
+            align: "left",
+          });
+          y += 5;
+
+          if (contact.purpose) {
+            doc.setFont("helvetica", "normal");
+            doc.setTextColor(...mutedColor);
+            const purposeLines = doc.splitTextToSize(
+              contact.purpose,
+              contentWidth - 8,
+            );
+            for (const line of purposeLines) {
+              checkPageBreak(5);
+              doc.text(line, margin + 8, y, { align: "left" });
+              y += 5;
+            }
+          }
+          y += 2;
+        }
+        y += 4;
+      }
+
+      // Procedures section
+      if (privacyRights.procedures && privacyRights.procedures.length > 0) {
+        checkPageBreak(20);
+
+        doc.setFontSize(12);
+        doc.setFont("helvetica", "bold");
+        doc.setTextColor(...textColor);
+        doc.text("How to Exercise Your Rights", margin, y, { align: "left" });
+        y += 7;
+
+        for (const procedure of privacyRights.procedures) {
+          checkPageBreak(18);
+
+          doc.setFontSize(10);
+          doc.setFont("helvetica", "bold");
+          doc.setTextColor(...textColor);
+          doc.text(procedure.title, margin + 4, y, { align: "left" });
+          y += 6;
+
+          doc.setFont("helvetica", "normal");
+          doc.setTextColor(...mutedColor);
+
+          // Numbered steps
+          for (let i = 0; i < procedure.steps.length; i++) {
+            checkPageBreak(6);
+            const stepLines = doc.splitTextToSize(
+              `${i + 1}. ${procedure.steps[i]}`,
+              contentWidth - 12,
+            );
+            for (const line of stepLines) {
+              checkPageBreak(5);
+              doc.text(line, margin + 8, y, { align: "left" });
+              y += 5;
+            }
+          }
+
+          // Requirements if any
+          if (procedure.requirements && procedure.requirements.length > 0) {
+            checkPageBreak(10);
+            doc.setFont("helvetica", "italic");
+            doc.text("Requirements:", margin + 8, y, { align: "left" });
+            y += 5;
+
+            for (const req of procedure.requirements) {
+              checkPageBreak(5);
+              const reqLines = doc.splitTextToSize(
+                `- ${req}`,
+                contentWidth - 16,
+              );
+              for (const line of reqLines) {
+                checkPageBreak(5);
+                doc.text(line, margin + 12, y, { align: "left" });
+                y += 5;
+              }
+            }
+          }
+          y += 4;
+        }
+        y += 2;
+      }
+
+      // Timeframes section
+      if (privacyRights.timeframes && privacyRights.timeframes.length > 0) {
+        checkPageBreak(20);
+
+        doc.setFontSize(12);
+        doc.setFont("helvetica", "bold");
+        doc.setTextColor(...textColor);
+        doc.text("Response Timeframes", margin, y, { align: "left" });
+        y += 7;
+
+        doc.setFontSize(10);
+        doc.setFont("helvetica", "normal");
+        doc.setTextColor(...mutedColor);
+
+        for (const timeframe of privacyRights.timeframes) {
+          checkPageBreak(6);
+          const timeframeLines = doc.splitTextToSize(
+            `• ${timeframe}`,
+            contentWidth - 4,
+          );
+          for (const line of timeframeLines) {
+            checkPageBreak(5);
+            doc.text(line, margin + 4, y, { align: "left" });
+            y += 5;
+          }
+        }
+        y += 4;
+      }
+
+      drawLine();
+    }
+
+    // ===== COMPLIANCE CHECKLISTS =====
+    for (const checklist of report.compliance) {
+      checkPageBreak(30);
+
+      doc.setFontSize(16);
+      doc.setTextColor(...primaryColor);
+      doc.setFont("helvetica", "bold");
+      doc.text(`${checklist.name} Compliance Checklist`, margin, y, {
+        align: "left",
+      });
+      y += 7;
+
+      doc.setFontSize(10);
+      doc.setFont("helvetica", "normal");
+      doc.setTextColor(...mutedColor);
+      const counts = checklist.counts;
+      const summaryLines = doc.splitTextToSize(
+        `${checklist.law} (${checklist.jurisdiction}) · ${counts.present} disclosed, ${counts.partial} partial, ${counts.missing} not found`,
+        contentWidth,
+      );
+      for (const line of summaryLines) {
+        checkPageBreak(5);
+        doc.text(line, margin, y, { align: "left" });
+        y += 5;
+      }
+      y += 4;
+
+      for (const check of checklist.checks) {
+        checkPageBreak(16);
+
+        const statusColor: RGB =
+          check.status === "present"
+            ? successColor
+            : check.status === "partial"
+              ? warningColor
+              : dangerColor;
+        doc.setFontSize(10);
+        doc.setFont("helvetica", "bold");
+        doc.setTextColor(...statusColor);
+        doc.text(check.statusLabel, pageWidth - margin, y, { align: "right" });
+        doc.setTextColor(...textColor);
+        const labelLines = doc.splitTextToSize(
+          `${check.label} (${check.reference})`,
+          contentWidth - 40,
+        );
+        for (const line of labelLines) {
+          checkPageBreak(5);
+          doc.text(line, margin, y, { align: "left" });
+          y += 5;
+        }
+
+        doc.setFont("helvetica", "normal");
+        doc.setTextColor(...mutedColor);
+        const evidenceLines = doc.splitTextToSize(
+          check.evidence,
+          contentWidth - 4,
+        );
+        for (const line of evidenceLines) {
+          checkPageBreak(5);
+          doc.text(line, margin + 4, y, { align: "left" });
+          y += 5;
+        }
+        y += 3;
+      }
+
+      drawLine();
+    }
+
+    // ===== DATA FLOWS =====
+    if (report.dataFlows.length > 0) {
+      checkPageBreak(30);
+
+      doc.setFontSize(16);
+      doc.setTextColor(...primaryColor);
+      doc.setFont("helvetica", "bold");
+      doc.text("Data Flows", margin, y, { align: "left" });
+      y += 10;
+
+      for (const flow of report.dataFlows) {
+        checkPageBreak(20);
+
+        doc.setFontSize(12);
+        doc.setFont("helvetica", "bold");
+        doc.setTextColor(...textColor);
+        doc.text(flow.category, margin, y, { align: "left" });
+        y += 6;
+
+        const details: Array<[string, string[]]> = [
+          ["Sources", flow.sources],
+          ["Purposes", flow.purposes],
+          ["Recipients", flow.recipientLabels],
+          ["Legal basis", flow.legalBases],
+          ["Retention", flow.retention ? [flow.retention] : []],
+        ];
+        doc.setFontSize(10);
+        doc.setFont("helvetica", "normal");
+        doc.setTextColor(...mutedColor);
+        for (const [label, items] of details) {
+          if (items.length === 0) continue;
+          const lines = doc.splitTextToSize(
+            `${label}: ${items.join("; ")}`,
+            contentWidth - 4,
+          );
+          for (const line of lines) {
+            checkPageBreak(5);
+            doc.text(line, margin + 4, y, { align: "left" });
+            y += 5;
+          }
+        }
+        y += 3;
+      }
+
+      drawLine();
+    }
+
+    // ===== CUSTOM QUESTIONS =====
+    if (report.aspects.length > 0) {
+      checkPageBreak(30);
+
+      doc.setFontSize(16);
+      doc.setTextColor(...primaryColor);
+      doc.setFont("helvetica", "bold");
+      doc.text("Custom Questions", margin, y, { align: "left" });
+      y += 10;
+
+      for (const aspect of report.aspects) {
+        checkPageBreak(20);
+
+        doc.setFontSize(12);
+        doc.setFont("helvetica", "bold");
+        doc.setTextColor(...textColor);
+        doc.text(aspect.name, margin, y, { align: "left" });
+        y += 6;
+
+        doc.setFontSize(10);
+        doc.setFont("helvetica", "italic");
+        doc.setTextColor(...mutedColor);
+        const promptLines = doc.splitTextToSize(aspect.prompt, contentWidth);
+        for (const line of promptLines) {
+          checkPageBreak(5);
+          doc.text(line, margin, y, { align: "left" });
+          y += 5;
+        }
+        y += 2;
+
+        renderMarkdownBlocks(aspect.blocks);
+        y += 4;
+      }
+
+      drawLine();
+    }
+
+    // ===== LLM USAGE =====
+    const usage = report.usage;
+    if (usage) {
+      checkPageBreak(30);
+
+      doc.setFontSize(16);
+      doc.setTextColor(...primaryColor);
+      doc.setFont("helvetica", "bold");
+      doc.text("LLM Usage", margin, y, { align: "left" });
+      y += 10;
+
+      const rows = [
+        ...usage.calls.map((call) => ({
+          label: call.reported ? call.section : `${call.section} (estimated)`,
+          usage: call,
+          bold: false,
+        })),
+        { label: "Total", usage, bold: true },
+      ];
+
+      doc.setFontSize(10);
+      for (const row of rows) {
+        checkPageBreak(6);
+        doc.setFont("helvetica", row.bold ? "bold" : "normal");
+        doc.setTextColor(...(row.bold ? textColor : mutedColor));
+        const cost =
+          row.usage.cost === undefined
+            ? ""
+            : ` · ${formatCost(row.usage.cost)}`;
+        doc.text(
+          `${row.label}: ${formatNumber(row.usage.promptTokens)} input / ${formatNumber(row.usage.completionTokens)} output tokens${cost} · ${formatLatency(row.usage.latencyMs)}`,
+          margin,
+          y,
+          { align: "left" },
+        );
+        y += 5;
+      }
+      y += 4;
+
+      drawLine();
+    }
+
+    // ===== FOOTER =====
+    const totalPages = doc.getNumberOfPages();
+    for (let i = 1; i <= totalPages; i++) {
+      doc.setPage(i);
+      doc.setFontSize(8);
+      doc.setTextColor(...mutedColor);
+      doc.text(
+        `Generated by Privacy Policy Distiller | Page ${i} of ${totalPages}`,
+        pageWidth / 2,
+        pageHeight - 10,
+        { align: "center" },
+      );
+    }
+
+    // Save the PDF
+    doc.save(filename);
+  }
+}
@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import { ReportModel } from './ReportModel.js';
+import { ResponseParser } from '../analysis/ResponseParser.js';
+import { makeAnalysisResult } from '../../test/fixtures/analysisResult';
+import type { AnalysisResult, ComplianceChecklist, PrivacyRisk } from '../../types';
+
+const makeResult = (overrides: Partial<AnalysisResult> = {}): AnalysisResult =>
+  makeAnalysisResult({
+    documentMetadata: { source: 'https://www.example.com/privacy', type: 'url', rawText: '' },
+    summary: { brief: 'Brief', detailed: '', full: '' },
+    ...overrides,
+  });
+
+describe('ReportModel', () => {
+  describe('build', () => {
+    it('should build the title and source from a URL', () => {
+      const report = ReportModel.build(makeResult());
+
+      expect(report.title).toBe('Example Privacy Policy Analysis');
+      expect(report.source).toBe('https://www.example.com/privacy');
+      expect(report.analyzedAt).toContain('2025');
+    });
+
+    it('should build the title from a PDF filename', () => {
+      const report = ReportModel.build(
+        makeResult({ documentMetadata: { source: 'acme-terms.pdf', type: 'pdf', rawText: '' } }),
+      );
+
+      expect(report.title).toBe('acme-terms Analysis');
+    });
+
+    it('should use the most detailed summary available', () => {
+      const report = ReportModel.build(
+        makeResult({ summary: { brief: 'Brief', detailed: '## Detail\n\nMore text', full: '' } }),
+      );
+
+      expect(report.summary.markdown).toBe('## Detail\n\nMore text');
+      expect(report.summary.blocks).toEqual([
+        { type: 'heading', level: 2, content: 'Detail' },
+        { type: 'paragraph', content: 'More text' },
+      ]);
+    });
+
+    it('should sort risks by severity and fill in defaults', () => {
+      const risks = [
+        { id: '1', title: 'Low', description: 'd', severity: 'low', location: '' },
+        { id: '2', title: '', description: 'd', severity: 'CRITICAL', location: '' },
+        { id: '3', title: 'Medium', description: 'd', severity: 'medium', location: '' },
+      ] as PrivacyRisk[];
+      const report = ReportModel.build(makeResult({ risks }));
+
+      expect(report.risks.map((risk) => risk.id)).toEqual(['2', '3', '1']);
+      expect(report.risks[0]).toMatchObject({
+        title: 'Untitled Risk',
+        severity: 'critical',
+        severityLabel: 'Higher Risk',
+      });
+      expect(report.risks[2].severityLabel).toBe('Lower Risk');
+    });
+
+    it('should calculate the overall score and grade when missing', () => {
+      const category = { score: 8, weight: 0, summary: '' };
+      const report = ReportModel.build(
+        makeResult({
+          scorecard: {
+            thirdPartySharing: category,
+            userRights: category,
+            dataCollection: category,
+            dataRetention: category,
+            purposeClarity: category,
+            securityMeasures: category,
+            policyTransparency: category,
+            topConcerns: [],
+            positiveAspects: [],
+          },
+        }),
+      );
+
+      expect(report.scorecard?.score).toBe(80);
+      expect(report.scorecard?.grade).toBe('B-');
+      expect(report.scorecard?.categories).toHaveLength(7);
+      expect(report.scorecard?.categories[0]).toMatchObject({
+        key: 'thirdPartySharing',
+        label: 'Third-Party Sharing',
+        weight: 20,
+      });
+    });
+
+    it('should grade the scorecard with the weights stored on its categories', () => {
+      const report = ReportModel.build(
+        makeResult({
+          scorecard: {
+            thirdPartySharing: { score: 2, weight: 75, summary: '' },
+            userRights: { score: 10, weight: 25, summary: '' },
+            overallScore: 90,
+            overallGrade: 'A-',
+          } as AnalysisResult['scorecard'],
+        }),
+      );
+
+      expect(report.scorecard?.score).toBe(40);
+      expect(report.scorecard?.grade).toBe(ResponseParser.scoreToGrade(40));
+      expect(report.scorecard?.categories.map(category => category.weight)).toEqual([75, 25]);
+    });
+
+    it('should parse the answers to custom questions', () => {
+      const report = ReportModel.build(
+        makeResult({ aspects: [{ aspectId: 'ai', name: 'AI training', prompt: 'Used for AI?', answer: '- Not stated' }] }),
+      );
+
+      expect(report.aspects).toEqual([
+        { name: 'AI training', prompt: 'Used for AI?', markdown: '- Not stated', blocks: [{ type: 'bullet', content: 'Not stated' }] },
+      ]);
+      expect(ReportModel.build(makeResult()).aspects).toEqual([]);
+    });
+
+    it('should label the recipients of data flows with their type', () => {
+      const report = ReportModel.build(
+        makeResult({
+          dataFlows: [
+            {
+              id: 'f1',
+              category: 'Location data',
+              sources: ['Your device'],
+              purposes: ['Advertising'],
+              recipients: [{ name: 'Google', type: 'analytics' }],
+              legalBases: [],
+              retention: '',
+            },
+          ],
+        }),
+      );
+
+      expect(report.dataFlows[0].recipientLabels).toEqual(['Google (Analytics)']);
+      expect(ReportModel.build(makeResult()).dataFlows).toEqual([]);
+    });
+
+    it('should only include privacy rights with actionable information', () => {
+      const privacyRights = { links: [], contacts: [], procedures: [], timeframes: [], hasActionableInfo: false };
+
+      expect(ReportModel.build(makeResult({ privacyRights })).privacyRights).toBeNull();
+      expect(
+        ReportModel.build(makeResult({ privacyRights: { ...privacyRights, hasActionableInfo: true } }))
+          .privacyRights,
+      ).not.toBeNull();
+    });
+  });
+
+  describe('compliance', () => {
+    const compliance: ComplianceChecklist[] = [
+      {
+        profile: 'gdpr',
+        checks: [
+          { requirementId: 'controller', label: 'Controller identity', reference: 'Art. 13(1)(a)', status: 'present', evidence: 'Names Example Inc.' },
+          { requirementId: 'dpo', label: 'DPO contact', reference: 'Art. 13(1)(b)', status: 'missing', evidence: 'No DPO | contact.' },
+        ],
+      },
+    ];
+
+    it('should name the law and count the checks per status', () => {
+      const [checklist] = ReportModel.build(makeResult({ compliance })).compliance;
+
+      expect(checklist).toMatchObject({
+        name: 'GDPR',
+        jurisdiction: 'European Union and EEA',
+        counts: { present: 1, partial: 0, missing: 1 },
+      });
+      expect(checklist.checks.map(check => check.statusLabel)).toEqual(['Disclosed', 'Not found']);
+      expect(ReportModel.build(makeResult()).compliance).toEqual([]);
+    });
+  });
+
+  describe('parseMarkdown', () => {
+    it('should parse lists and strip inline formatting', () => {
+      expect(ReportModel.parseMarkdown('- **Bold** item\n1. [Link](https://x.com)\nPlain *text*')).toEqual([
+        { type: 'bullet', content: 'Bold item' },
+        { type: 'numbered', content: 'Link' },
+        { type: 'paragraph', content: 'Plain text' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * @file Report Model
+ * @description Builds the format-independent report sections shared by the
+ * PDF, HTML, Markdown and CSV exporters
+ */
+
+import { ResponseParser } from "../analysis/ResponseParser.js";
+import { ComplianceProfiles } from "../analysis/ComplianceProfiles.js";
+import {
+  DATA_RECIPIENT_TYPE_LABELS,
+  SCORECARD_CATEGORY_LABELS,
+  SCORECARD_WEIGHTS,
+} from "../../utils/constants.js";
+import type {
+  AnalysisReport,
+  AnalysisResult,
+  AnalysisDocumentMetadata,
+  ComplianceChecklist,
+  ComplianceStatus,
+  PrivacyScorecard,
+  ReportBlock,
+  ReportCompliance,
+  ReportRisk,
+  ReportScorecardCategory,
+  RiskLevel,
+  ScorecardCategoryKey,
+} from "../../types/index.js";
+
+const CATEGORY_KEYS = Object.keys(SCORECARD_WEIGHTS) as ScorecardCategoryKey[];
+
+const SEVERITY_ORDER: Record<string, number> = {
+  critical: 0,
+  high: 1,
+  medium: 2,
+  low: 3,
+};
+
+/**
+ * Builds report sections from analysis results
+ */
+export class ReportModel {
+  /**
+   * Builds the report for an analysis
+   * @param result - Analysis result
+   * @returns Report sections
+   */
+  static build(result: AnalysisResult): AnalysisReport {
+    const summaryMarkdown =
+      result.summary?.full ||
+      result.summary?.detailed ||
+      result.summary?.brief ||
+      "No summary available.";
+
+    return {
+      title: this.getTitle(result.documentMetadata),
+      source: result.documentMetadata?.source || "Unknown source",
+      analyzedAt: this.formatDate(result.timestamp),
+      scorecard: result.scorecard
+        ? this.buildScorecard(result.scorecard)
+        : null,
+      summary: {
+        markdown: summaryMarkdown,
+        blocks: this.parseMarkdown(summaryMarkdown),
+      },
+      risks: this.buildRisks(result),
+      keyTerms: (result.keyTerms || []).map((term) => ({
+        ...term,
+        term: term.term || "Unknown Term",
+        definition: term.definition || "No definition available.",
+      })),
+      privacyRights: result.privacyRights?.hasActionableInfo
+        ? result.privacyRights
+        : null,
+      compliance: (result.compliance || []).map((checklist) =>
+        this.buildCompliance(checklist),
+      ),
+      dataFlows: (result.dataFlows || []).map((flow) => ({
+        ...flow,
+        recipientLabels: flow.recipients.map(
+          (recipient) =>
+            `${recipient.name} (${DATA_RECIPIENT_TYPE_LABELS[recipient.type] ?? "Other"})`,
+        ),
+      })),
+      aspects: (result.aspects || []).map((aspect) => ({
+        name: aspect.name,
+        prompt: aspect.prompt,
+        markdown: aspect.answer,
+        blocks: this.parseMarkdown(aspect.answer),
+      })),
+      usage: result.usage ?? null,
+    };
+  }
+
+  /**
+   * Parses markdown into structured blocks for formats without markdown support
+   * @param markdown - Markdown text
+   * @returns Heading, paragraph and list blocks
+   */
+  static parseMarkdown(markdown: string): ReportBlock[] {
+    if (!markdown) return [];
+
+    const blocks: ReportBlock[] = [];
+    let currentParagraph: string[] = [];
+
+    const flushParagraph = () => {
+      if (currentParagraph.length > 0) {
+        const text = currentParagraph.join(" ").trim();
+        if (text) {
+          blocks.push({
+            type: "paragraph",
+            content: this.cleanInlineMarkdown(text),
+          });
+        }
+        currentParagraph = [];
+      }
+    };
+
+    for (const line of markdown.split("\n")) {
+      const trimmedLine = line.trim();
+
+      // Empty line - flush paragraph
+      if (!trimmedLine) {
+        flushParagraph();
+        continue;
+      }
+
+      // Headers (## Header)
+      const headerMatch = trimmedLine.match(/^(#{1,4})\s+(.+)$/);
+      if (headerMatch) {
+        flushParagraph();
+        blocks.push({
+          type: "heading",
+          level: headerMatch[1].length,
+          content: this.cleanInlineMarkdown(headerMatch[2]),
+        });
+        continue;
+      }
+
+      // Bullet list items
+      const bulletMatch = trimmedLine.match(/^[-*+]\s+(.+)$/);
+      if (bulletMatch) {
+        flushParagraph();
+        blocks.push({
+          type: "bullet",
+          content: this.cleanInlineMarkdown(bulletMatch[1]),
+        });
+        continue;
+      }
+
+      // Numbered list items
+      const numberedMatch = trimmedLine.match(/^\d+\.\s+(.+)$/);
+      if (numberedMatch) {
+        flushParagraph();
+        blocks.push({
+          type: "numbered",
+          content: this.cleanInlineMarkdown(numberedMatch[1]),
+        });
+        continue;
+      }
+
+      // Regular text - accumulate for paragraph
+      currentParagraph.push(trimmedLine);
+    }
+
+    flushParagraph();
+    return blocks;
+  }
+
+  /**
+   * Removes inline markdown formatting from text
+   * @param text - Markdown text
+   * @returns Plain text
+   */
+  static cleanInlineMarkdown(text: string): string {
+    if (!text) return "";
+    return text
+      .replace(/\*\*([^*]+)\*\*/g, "$1") // Remove bold
+      .replace(/\*([^*]+)\*/g, "$1") // Remove italic
+      .replace(/__([^_]+)__/g, "$1") // Remove bold (underscore)
+      .replace(/_([^_]+)_/g, "$1") // Remove italic (underscore)
+      .replace(/`([^`]+)`/g, "$1") // Remove inline code
+      .replace(/\[([^\]]+)\]\([^)]+\)/g, "$1") // Remove links, keep text
+      .trim();
+  }
+
+  /**
+   * @private
+   */
+  private static buildScorecard(
+    scorecard: PrivacyScorecard,
+  ): NonNullable<AnalysisReport["scorecard"]> {
+    const weights = ResponseParser.scorecardWeights(scorecard);
+    const categories: ReportScorecardCategory[] = [];
+    for (const key of CATEGORY_KEYS) {
+      const categoryData = scorecard[key];
+      if (
+        categoryData &&
+        typeof categoryData === "object" &&
+        "score" in categoryData
+      ) {
+        categories.push({
+          key,
+          label: SCORECARD_CATEGORY_LABELS[key],
+          weight: weights[key] ?? SCORECARD_WEIGHTS[key],
+          score: categoryData.score || 5,
+          summary: categoryData.summary || "",
+        });
+      }
+    }
+
+    // Recalculate from the category weights, as the results view does
+    const score =
+      ResponseParser.scoreScorecard(scorecard) ?? scorecard.overallScore ?? 0;
+
+    return {
+      grade: ResponseParser.scoreToGrade(score),
+      score,
+      categories,
+      topConcerns: scorecard.topConcerns || [],
+      positiveAspects: scorecard.positiveAspects || [],
+    };
+  }
+
+  /**
+   * Sorts risks by severity and fills in display defaults
+   * @private
+   */
+  private static buildRisks(result: AnalysisResult): ReportRisk[] {
+    return (result.risks || [])
+      .map((risk) => {
+        const severity = (risk.severity || "low").toLowerCase() as RiskLevel;
+        return {
+          ...risk,
+          title: risk.title || "Untitled Risk",
+          description: risk.description || "",
+          severity,
+          severityLabel: this.getSeverityLabel(severity),
+        };
+      })
+      .sort(
+        (a, b) =>
+          (SEVERITY_ORDER[a.severity] ?? 3) - (SEVERITY_ORDER[b.severity] ?? 3),
+      );
+  }
+
+  /**
+   * Adds the law and status labels to a compliance checklist
+   * @private
+   */
+  private static buildCompliance(
+    checklist: ComplianceChecklist,
+  ): ReportCompliance {
+    const profile = ComplianceProfiles.get(checklist.profile);
+    const counts: Record<ComplianceStatus, number> = {
+      present: 0,
+      partial: 0,
+      missing: 0,
+    };
+    for (const check of checklist.checks) {
+      counts[check.status]++;
+    }
+
+    return {
+      name: profile.name,
+      law: profile.law,
+      jurisdiction: profile.jurisdiction,
+      counts,
+      checks: checklist.checks.map((check) => ({
+        ...check,
+        statusLabel: ComplianceProfiles.statusLabel(check.status),
+      })),
+    };
+  }
+
+  /**
+   * Get severity display label
+   * @private
+   */
+  private static getSeverityLabel(severity: string): string {
+    if (severity === "critical" || severity === "high") return "Higher Risk";
+    if (severity === "medium") return "Medium Risk";
+    return "Lower Risk";
+  }
+
+  /**
+   * Get document title from source
+   * @private
+   */
+  private static getTitle(
+    documentMetadata: AnalysisDocumentMetadata | undefined,
+  ): string {
+    const source = documentMetadata?.source || "";
+    if (source.startsWith("http")) {
+      try {
+        const url = new URL(source);
+        const host = url.hostname.replace("www.", "");
+        const company = host.split(".")[0];
+        return `${company.charAt(0).toUpperCase() + company.slice(1)} Privacy Policy Analysis`;
+      } catch {
+        return "Privacy Policy Analysis";
+      }
+    }
+    return source.replace(".pdf", "") + " Analysis";
+  }
+
+  /**
+   * Format date for display
+   * @private
+   */
+  private static formatDate(date: string | Date | undefined): string {
+    if (!date) return "Unknown date";
+    return new Date(date).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * @file Export services barrel export
+ */
+
+export { AnalysisBundle } from './AnalysisBundle.js';
+export type { AnalysisBundleOptions } from './AnalysisBundle.js';
+export { ExportService } from './ExportService.js';
+export type { ReportExporter } from './ExportService.js';
+export { ReportModel } from './ReportModel.js';
+export { PdfExporter } from './PdfExporter.js';
+export { HtmlExporter } from './HtmlExporter.js';
+export { MarkdownExporter } from './MarkdownExporter.js';
+export { CsvExporter } from './CsvExporter.js';
+export { DataFlowExporter } from './DataFlowExporter.js';
+export type { DataFlowExportFormat } from './DataFlowExporter.js';
@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { HistoryStore } from './HistoryStore.js';
+import { makeAnalysisResult } from '../../test/fixtures/analysisResult';
+import type { AnalysisResult, HistoryEntry } from '../../types';
+
+const makeEntry = (overrides: Partial<HistoryEntry> = {}): HistoryEntry => ({
+  id: Math.random().toString(36).slice(2),
+  timestamp: new Date('2025-03-15T12:00:00').getTime(),
+  source: 'https://www.example.com/privacy',
+  domain: 'example.com',
+  title: 'Example Privacy Policy',
+  grade: 'B+',
+  overallScore: 88,
+  riskCount: 3,
+  size: 1000,
+  ...overrides,
+});
+
+describe('HistoryStore', () => {
+  describe('filterEntries', () => {
+    const entries = [
+      makeEntry({ id: '1', domain: 'example.com', title: 'Example Privacy Policy', grade: 'B+' }),
+      makeEntry({
+        id: '2',
+        domain: 'acme.io',
+        title: 'Acme Privacy Policy',
+        grade: 'D',
+        timestamp: new Date('2025-01-10T12:00:00').getTime(),
+      }),
+      makeEntry({ id: '3', domain: '', source: 'terms.pdf', title: 'terms', grade: null }),
+    ];
+
+    it('should return all entries without a filter', () => {
+      expect(HistoryStore.filterEntries(entries)).toHaveLength(3);
+    });
+
+    it('should search domain, title and source case-insensitively', () => {
+      expect(HistoryStore.filterEntries(entries, { query: 'ACME' }).map((e) => e.id)).toEqual(['2']);
+      expect(HistoryStore.filterEntries(entries, { query: 'terms.pdf' }).map((e) => e.id)).toEqual(['3']);
+    });
+
+    it('should filter by grade letter', () => {
+      expect(HistoryStore.filterEntries(entries, { grades: ['B'] }).map((e) => e.id)).toEqual(['1']);
+      expect(HistoryStore.filterEntries(entries, { grades: ['A'] })).toEqual([]);
+    });
+
+    it('should filter by date range', () => {
+      const from = new Date('2025-03-01').getTime();
+      const to = new Date('2025-01-31').getTime();
+
+      expect(HistoryStore.filterEntries(entries, { from }).map((e) => e.id)).toEqual(['1', '3']);
+      expect(HistoryStore.filterEntries(entries, { to }).map((e) => e.id)).toEqual(['2']);
+    });
+  });
+
+  describe('toEntry', () => {
+    it('should derive listing fields from a result', () => {
+      const entry = HistoryStore.toEntry(
+        makeAnalysisResult({
+          documentMetadata: { source: 'https://www.example.com/privacy', type: 'url', rawText: 'Policy text' },
+          risks: [{ id: 'r', title: 'Risk', description: '', severity: 'high', location: '', recommendation: '' }],
+          scorecard: { overallScore: 91 } as AnalysisResult['scorecard'],
+        }),
+      );
+
+      expect(entry).toMatchObject({
+        id: 'abc',
+        timestamp: new Date('2025-03-15T12:00:00Z').getTime(),
+        domain: 'example.com',
+        title: 'Example Privacy Policy',
+        grade: 'A-',
+        overallScore: 91,
+        riskCount: 1,
+      });
+      expect(entry.size).toBeGreaterThan(0);
+    });
+
+    it('should accept string timestamps from the legacy history', () => {
+      const entry = HistoryStore.toEntry(
+        makeAnalysisResult({ timestamp: '2025-03-15T12:00:00.000Z' as unknown as Date }),
+      );
+
+      expect(entry.timestamp).toBe(Date.parse('2025-03-15T12:00:00.000Z'));
+    });
+
+    it('should use the filename as the title for uploads', () => {
+      const entry = HistoryStore.toEntry(
+        makeAnalysisResult({ documentMetadata: { source: 'policy.pdf', type: 'pdf', rawText: '' } }),
+      );
+
+      expect(entry.domain).toBe('');
+      expect(entry.title).toBe('policy');
+      expect(entry.grade).toBeNull();
+    });
+  });
+
+  describe('save', () => {
+    const store = HistoryStore as unknown as {
+      write: (entry: HistoryEntry, result: AnalysisResult) => Promise<void>;
+      evictIfNeeded: (entry: HistoryEntry) => Promise<void>;
+    };
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should not store API keys, custom headers or other providers', async () => {
+      const write = vi.spyOn(store, 'write').mockResolvedValue();
+      vi.spyOn(store, 'evictIfNeeded').mockResolvedValue();
+      const secret = { apiKey: 'sk-fallback', customHeaders: { Authorization: 'Bearer header-secret' } };
+
+      await HistoryStore.save(
+        makeAnalysisResult({
+          llmConfig: {
+            provider: 'openai-compatible',
+            apiKey: 'sk-primary',
+            model: 'qwen',
+            baseUrl: 'http://gpu-box:8000/v1',
+            temperature: 0.3,
+            maxTokens: 4000,
+            customHeaders: { 'X-Api-Key': 'header-secret' },
+            fallbacks: [{ provider: 'openrouter', model: 'a/b', baseUrl: 'https://openrouter.ai/api/v1', ...secret }],
+            ensemble: {
+              enabled: true,
+              models: [{ provider: 'anthropic', model: 'c', baseUrl: 'https://api.anthropic.com', ...secret }],
+              disagreementThreshold: 2,
+            },
+          },
+        }),
+      );
+
+      const stored = write.mock.calls[0][1];
+      expect(stored.llmConfig).toEqual({
+        provider: 'openai-compatible',
+        apiKey: '',
+        model: 'qwen',
+        baseUrl: 'http://gpu-box:8000/v1',
+        temperature: 0.3,
+        maxTokens: 4000,
+      });
+      expect(JSON.stringify(stored)).not.toMatch(/sk-|header-secret/);
+    });
+  });
+
+  describe('without IndexedDB', () => {
+    it('should report history as unsupported', async () => {
+      expect(HistoryStore.isSupported()).toBe(false);
+      await expect(HistoryStore.list()).rejects.toThrow('IndexedDB is not available');
+    });
+  });
+});
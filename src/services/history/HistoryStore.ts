@@ -0,0 +1,442 @@
+/**
+ * @file History Store
+ * @description Persists past analyses in IndexedDB with quota-aware eviction
+ *
+ * Two object stores are used so the history browser can list and filter
+ * entries without loading every stored policy text:
+ * - "entries": lightweight HistoryEntry records, indexed by timestamp
+ * - "results": full AnalysisResult objects keyed by id
+ */
+
+import { HISTORY_CONFIG } from "../../utils/constants.js";
+import { generateId } from "../../utils/helpers.js";
+import {
+  getAnalysisHistory,
+  clearAnalysisHistory,
+} from "../../utils/storage.js";
+import { ResponseParser } from "../analysis/ResponseParser.js";
+import type {
+  AnalysisResult,
+  HistoryEntry,
+  HistoryFilter,
+  LLMConfig,
+} from "../../types/index.js";
+
+const ENTRIES_STORE = "entries";
+const RESULTS_STORE = "results";
+
+/**
+ * Service for the IndexedDB-backed analysis history
+ */
+export class HistoryStore {
+  private static dbPromise: Promise<IDBDatabase> | null = null;
+  private static migrationPromise: Promise<number> | null = null;
+
+  /**
+   * Checks whether IndexedDB is available
+   * @returns True if history can be persisted
+   */
+  static isSupported(): boolean {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Saves an analysis, evicting the oldest entries when the entry limit or
+   * storage quota would be exceeded
+   * @param result - Analysis result to save
+   * @returns The stored history entry
+   */
+  static async save(result: AnalysisResult): Promise<HistoryEntry> {
+    const stored = this.normalizeResult(result);
+    const entry = this.toEntry(stored);
+
+    await this.evictIfNeeded(entry);
+
+    // The quota estimate is approximate - keep evicting if the write still fails
+    for (;;) {
+      try {
+        await this.write(entry, stored);
+        return entry;
+      } catch (error) {
+        if (!this.isQuotaError(error)) {
+          throw error;
+        }
+        const evicted = await this.evictOldest(
+          HISTORY_CONFIG.EVICTION_BATCH,
+          entry.id,
+        );
+        if (evicted === 0) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Lists history entries, newest first
+   * @param filter - Optional search and filter criteria
+   * @returns Matching entries
+   */
+  static async list(filter: HistoryFilter = {}): Promise<HistoryEntry[]> {
+    const db = await this.open();
+    const tx = db.transaction(ENTRIES_STORE, "readonly");
+    const entries = await this.request<HistoryEntry[]>(
+      tx.objectStore(ENTRIES_STORE).getAll(),
+    );
+    return this.filterEntries(
+      entries.sort((a, b) => b.timestamp - a.timestamp),
+      filter,
+    );
+  }
+
+  /**
+   * Loads a stored analysis
+   * @param id - Analysis ID
+   * @returns The analysis, or null if it is not in history
+   */
+  static async get(id: string): Promise<AnalysisResult | null> {
+    const db = await this.open();
+    const tx = db.transaction(RESULTS_STORE, "readonly");
+    const result = await this.request<AnalysisResult | undefined>(
+      tx.objectStore(RESULTS_STORE).get(id),
+    );
+    return result ?? null;
+  }
+
+  /**
+   * Loads several stored analyses
+   * @param ids - Analysis IDs
+   * @returns The analyses that were found, in the order requested
+   */
+  static async getMany(ids: string[]): Promise<AnalysisResult[]> {
+    const db = await this.open();
+    const tx = db.transaction(RESULTS_STORE, "readonly");
+    const store = tx.objectStore(RESULTS_STORE);
+    const results = await Promise.all(
+      ids.map((id) =>
+        this.request<AnalysisResult | undefined>(store.get(id)),
+      ),
+    );
+    return results.filter((result): result is AnalysisResult => !!result);
+  }
+
+  /**
+   * Deletes a single analysis from history
+   * @param id - Analysis ID
+   */
+  static async delete(id: string): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction([ENTRIES_STORE, RESULTS_STORE], "readwrite");
+    tx.objectStore(ENTRIES_STORE).delete(id);
+    tx.objectStore(RESULTS_STORE).delete(id);
+    await this.complete(tx);
+  }
+
+  /**
+   * Deletes all analyses from history
+   */
+  static async clear(): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction([ENTRIES_STORE, RESULTS_STORE], "readwrite");
+    tx.objectStore(ENTRIES_STORE).clear();
+    tx.objectStore(RESULTS_STORE).clear();
+    await this.complete(tx);
+  }
+
+  /**
+   * Moves the legacy localStorage history into IndexedDB (runs once per page load)
+   * @returns Number of migrated analyses
+   */
+  static migrateFromLocalStorage(): Promise<number> {
+    if (!this.migrationPromise) {
+      this.migrationPromise = (async () => {
+        const legacy = getAnalysisHistory();
+        for (const result of legacy) {
+          await this.save(result);
+        }
+        if (legacy.length > 0) {
+          clearAnalysisHistory();
+        }
+        return legacy.length;
+      })().catch((error) => {
+        // Allow a later attempt, e.g. after the user frees up storage
+        this.migrationPromise = null;
+        throw error;
+      });
+    }
+    return this.migrationPromise;
+  }
+
+  /**
+   * Applies search and filter criteria to history entries
+   * @param entries - Entries to filter
+   * @param filter - Search and filter criteria
+   * @returns Matching entries, in their original order
+   */
+  static filterEntries(
+    entries: HistoryEntry[],
+    filter: HistoryFilter = {},
+  ): HistoryEntry[] {
+    const query = filter.query?.trim().toLowerCase() || "";
+    const grades = filter.grades || [];
+
+    return entries.filter((entry) => {
+      if (
+        query &&
+        ![entry.domain, entry.title, entry.source].some((field) =>
+          field.toLowerCase().includes(query),
+        )
+      ) {
+        return false;
+      }
+      if (
+        grades.length > 0 &&
+        (!entry.grade || !grades.includes(entry.grade.charAt(0)))
+      ) {
+        return false;
+      }
+      if (filter.from !== undefined && entry.timestamp < filter.from) {
+        return false;
+      }
+      if (filter.to !== undefined && entry.timestamp > filter.to) {
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Builds the lightweight history record for an analysis
+   * @param result - Analysis result
+   * @returns History entry
+   */
+  static toEntry(result: AnalysisResult): HistoryEntry {
+    const source = result.documentMetadata?.source || "";
+    const domain = this.getDomain(source);
+    const overallScore = result.scorecard?.overallScore;
+
+    return {
+      id: result.id,
+      timestamp: new Date(result.timestamp).getTime(),
+      source,
+      domain,
+      title: this.getTitle(source, domain),
+      grade:
+        result.scorecard?.overallGrade ||
+        (typeof overallScore === "number"
+          ? ResponseParser.scoreToGrade(overallScore)
+          : null),
+      overallScore: typeof overallScore === "number" ? overallScore : null,
+      riskCount: result.risks?.length || 0,
+      size: JSON.stringify(result).length,
+    };
+  }
+
+  /**
+   * Removes the oldest entries until there is room for a new one
+   * @private
+   */
+  private static async evictIfNeeded(entry: HistoryEntry): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction(ENTRIES_STORE, "readonly");
+    const count = await this.request(tx.objectStore(ENTRIES_STORE).count());
+    const overLimit = count + 1 - HISTORY_CONFIG.MAX_ENTRIES;
+    if (overLimit > 0) {
+      await this.evictOldest(overLimit, entry.id);
+    }
+
+    if (typeof navigator === "undefined" || !navigator.storage?.estimate) {
+      return;
+    }
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    if (quota > 0 && (usage + entry.size) / quota > HISTORY_CONFIG.QUOTA_USAGE_LIMIT) {
+      await this.evictOldest(HISTORY_CONFIG.EVICTION_BATCH, entry.id);
+    }
+  }
+
+  /**
+   * Deletes the oldest entries
+   * @private
+   * @param count - Maximum number of entries to delete
+   * @param keepId - Entry that must not be evicted
+   * @returns Number of entries deleted
+   */
+  private static async evictOldest(
+    count: number,
+    keepId?: string,
+  ): Promise<number> {
+    const db = await this.open();
+    const tx = db.transaction([ENTRIES_STORE, RESULTS_STORE], "readwrite");
+    const entries = tx.objectStore(ENTRIES_STORE);
+    const results = tx.objectStore(RESULTS_STORE);
+    const done = this.complete(tx);
+    let deleted = 0;
+
+    await new Promise<void>((resolve, reject) => {
+      const cursorRequest = entries.index("timestamp").openCursor();
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || deleted >= count) {
+          resolve();
+          return;
+        }
+        const id = (cursor.value as HistoryEntry).id;
+        if (id !== keepId) {
+          cursor.delete();
+          results.delete(id);
+          deleted++;
+        }
+        cursor.continue();
+      };
+    });
+
+    await done;
+    return deleted;
+  }
+
+  /**
+   * Writes an entry and its result in one transaction
+   * @private
+   */
+  private static async write(
+    entry: HistoryEntry,
+    result: AnalysisResult,
+  ): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction([ENTRIES_STORE, RESULTS_STORE], "readwrite");
+    tx.objectStore(ENTRIES_STORE).put(entry);
+    tx.objectStore(RESULTS_STORE).put(result);
+    await this.complete(tx);
+  }
+
+  /**
+   * Opens (and on first use creates) the history database
+   * @private
+   */
+  private static open(): Promise<IDBDatabase> {
+    if (!this.isSupported()) {
+      return Promise.reject(
+        new Error("IndexedDB is not available in this browser"),
+      );
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise<IDBDatabase>((resolve, reject) => {
+        const request = indexedDB.open(
+          HISTORY_CONFIG.DB_NAME,
+          HISTORY_CONFIG.DB_VERSION,
+        );
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+            const entries = db.createObjectStore(ENTRIES_STORE, {
+              keyPath: "id",
+            });
+            entries.createIndex("timestamp", "timestamp");
+          }
+          if (!db.objectStoreNames.contains(RESULTS_STORE)) {
+            db.createObjectStore(RESULTS_STORE, { keyPath: "id" });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Wraps an IDBRequest in a promise
+   * @private
+   */
+  private static request<T>(request: IDBRequest<T>): Promise<T> {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Resolves when a transaction commits
+   * @private
+   */
+  private static complete(tx: IDBTransaction): Promise<void> {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Ensures a result has an ID and a Date timestamp (legacy entries were
+   * serialized to JSON strings) and carries no provider secrets
+   * @private
+   */
+  private static normalizeResult(result: AnalysisResult): AnalysisResult {
+    return {
+      ...result,
+      id: result.id ? String(result.id) : generateId(),
+      timestamp: result.timestamp ? new Date(result.timestamp) : new Date(),
+      ...(result.llmConfig && {
+        llmConfig: this.withoutSecrets(result.llmConfig),
+      }),
+    };
+  }
+
+  /**
+   * Keeps only the provider, model and generation settings of the config an
+   * analysis was made with. API keys, custom headers, fallbacks and ensemble
+   * models stay in sessionStorage and are never written to disk.
+   * @private
+   */
+  private static withoutSecrets(config: LLMConfig): LLMConfig {
+    return {
+      provider: config.provider,
+      apiKey: "",
+      model: config.model,
+      baseUrl: config.baseUrl,
+      temperature: config.temperature,
+      maxTokens: config.maxTokens,
+    };
+  }
+
+  /**
+   * @private
+   */
+  private static isQuotaError(error: unknown): boolean {
+    return (
+      error instanceof DOMException && error.name === "QuotaExceededError"
+    );
+  }
+
+  /**
+   * Extracts the hostname (without www.) from a URL source
+   * @private
+   */
+  private static getDomain(source: string): string {
+    if (!source.startsWith("http")) return "";
+    try {
+      return new URL(source).hostname.replace(/^www\./, "");
+    } catch {
+      return "";
+    }
+  }
+
+  /**
+   * Builds a display title from the company domain or the uploaded filename
+   * @private
+   */
+  private static getTitle(source: string, domain: string): string {
+    if (domain) {
+      const company = domain.split(".")[0];
+      return `${company.charAt(0).toUpperCase() + company.slice(1)} Privacy Policy`;
+    }
+    return source.replace(/\.pdf$/i, "") || "Untitled analysis";
+  }
+}
@@ -0,0 +1,5 @@
+/**
+ * @file History services barrel export
+ */
+
+export { HistoryStore } from './HistoryStore.js';
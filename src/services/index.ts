@@ -5,3 +5,7 @@
 export * from './llm/index.js';
 export * from './document/index.js';
 export * from './analysis/index.js';
+export * from './history/index.js';
+export * from './export/index.js';
+export * from './batch/index.js';
+export * from './rights/index.js';
@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { AnthropicProvider } from "./AnthropicProvider";
+import type { LLMConfig } from "../../types";
+
+const CONFIG: LLMConfig = {
+  provider: "anthropic",
+  apiKey: "sk-ant-test",
+  model: "claude-sonnet-4-5",
+  baseUrl: "https://api.anthropic.com/v1",
+  temperature: 1.2,
+  maxTokens: 16000,
+};
+
+const jsonResponse = (data: unknown, status = 200) =>
+  new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+describe("AnthropicProvider", () => {
+  beforeEach(() => {
+    vi.mocked(global.fetch).mockReset();
+  });
+
+  describe("validateConfig", () => {
+    it("requires an API key", () => {
+      expect(new AnthropicProvider(CONFIG).validateConfig()).toBe(true);
+      expect(
+        new AnthropicProvider({ ...CONFIG, apiKey: "" }).validateConfig(),
+      ).toBe(false);
+    });
+  });
+
+  describe("complete", () => {
+    it("calls the Messages API and joins the text blocks", async () => {
+      const fetchMock = vi.mocked(global.fetch).mockResolvedValue(
+        jsonResponse({
+          content: [
+            { type: "text", text: "Part one. " },
+            { type: "text", text: "Part two." },
+          ],
+        }),
+      );
+
+      const result = await new AnthropicProvider(CONFIG).complete("prompt");
+
+      expect(result).toBe("Part one. Part two.");
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe("https://api.anthropic.com/v1/messages");
+      expect(init!.headers).toMatchObject({
+        "x-api-key": "sk-ant-test",
+        "anthropic-version": "2023-06-01",
+        "anthropic-dangerous-direct-browser-access": "true",
+      });
+      expect(JSON.parse(init!.body as string)).toEqual({
+        model: "claude-sonnet-4-5",
+        messages: [{ role: "user", content: "prompt" }],
+        temperature: 1,
+        max_tokens: 16000,
+        stream: false,
+      });
+    });
+
+    it("streams text deltas and ignores other events", async () => {
+      vi.mocked(global.fetch).mockResolvedValue(
+        new Response(
+          [
+            "event: message_start\n",
+            'data: {"type":"message_start","message":{"content":[]}}\n\n',
+            "event: content_block_delta\n",
+            'data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Hello"}}\n\n',
+            "event: ping\n",
+            'data: {"type":"ping"}\n\n',
+            'data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":" there"}}\n\n',
+            'data: {"type":"message_stop"}\n\n',
+          ].join(""),
+          { status: 200, headers: { "Content-Type": "text/event-stream" } },
+        ),
+      );
+      const onToken = vi.fn();
+
+      const result = await new AnthropicProvider(CONFIG).complete("prompt", {
+        onToken,
+      });
+
+      expect(result).toBe("Hello there");
+      expect(onToken.mock.calls).toEqual([["Hello"], [" there"]]);
+    });
+
+    it("reports the token usage of streamed responses", async () => {
+      vi.mocked(global.fetch).mockResolvedValue(
+        new Response(
+          [
+            'data: {"type":"message_start","message":{"content":[],"usage":{"input_tokens":1200,"output_tokens":1}}}\n\n',
+            'data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Hello"}}\n\n',
+            'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":150}}\n\n',
+            'data: {"type":"message_stop"}\n\n',
+          ].join(""),
+          { status: 200, headers: { "Content-Type": "text/event-stream" } },
+        ),
+      );
+      const onUsage = vi.fn();
+
+      await new AnthropicProvider(CONFIG).complete("prompt", {
+        onToken: vi.fn(),
+        onUsage,
+      });
+
+      expect(onUsage).toHaveBeenCalledTimes(1);
+      expect(onUsage).toHaveBeenCalledWith({
+        promptTokens: 1200,
+        completionTokens: 150,
+      });
+    });
+
+    it("surfaces errors sent mid-stream", async () => {
+      vi.mocked(global.fetch).mockResolvedValue(
+        new Response(
+          'event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n',
+          { status: 200, headers: { "Content-Type": "text/event-stream" } },
+        ),
+      );
+
+      await expect(
+        new AnthropicProvider(CONFIG).complete("prompt", { onToken: vi.fn() }),
+      ).rejects.toThrow("Overloaded");
+    });
+
+    it("reports the API's error message", async () => {
+      vi.mocked(global.fetch).mockResolvedValue(
+        jsonResponse(
+          {
+            type: "error",
+            error: {
+              type: "invalid_request_error",
+              message: "max_tokens: 90000 > 64000",
+            },
+          },
+          400,
+        ),
+      );
+
+      await expect(
+        new AnthropicProvider(CONFIG).complete("prompt"),
+      ).rejects.toThrow("HTTP 400: max_tokens: 90000 > 64000");
+    });
+  });
+
+  describe("listModels", () => {
+    it("lists models by display name", async () => {
+      const fetchMock = vi.mocked(global.fetch).mockResolvedValue(
+        jsonResponse({
+          data: [
+            {
+              type: "model",
+              id: "claude-sonnet-4-5-20250929",
+              display_name: "Claude Sonnet 4.5",
+            },
+          ],
+        }),
+      );
+
+      const models = await new AnthropicProvider(CONFIG).listModels();
+
+      expect(models).toEqual([
+        {
+          id: "claude-sonnet-4-5-20250929",
+          name: "Claude Sonnet 4.5",
+          contextWindow: undefined,
+        },
+      ]);
+      expect(fetchMock.mock.calls[0][0]).toBe(
+        "https://api.anthropic.com/v1/models?limit=100",
+      );
+    });
+  });
+
+  describe("getContextWindow", () => {
+    it("falls back to the Claude context window", async () => {
+      vi.mocked(global.fetch).mockResolvedValue(jsonResponse({ data: [] }));
+
+      await expect(
+        new AnthropicProvider(CONFIG).getContextWindow(),
+      ).resolves.toBe(200000);
+    });
+  });
+});
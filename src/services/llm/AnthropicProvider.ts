@@ -0,0 +1,196 @@
+/**
+ * @file Anthropic Provider
+ * @description LLM provider for the Anthropic Messages API
+ */
+
+import { BaseLLMProvider } from './BaseLLMProvider';
+import type { CompletionOptions } from './BaseLLMProvider';
+import type { ProviderModel, TokenUsage } from '../../types';
+import { DEFAULT_CONTEXT_WINDOWS, ERROR_CODES, ERROR_MESSAGES } from '../../utils/constants';
+
+/**
+ * Messages API version sent with every request
+ */
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API provider implementation
+ */
+export class AnthropicProvider extends BaseLLMProvider {
+  getName(): string {
+    return 'Anthropic';
+  }
+
+  validateConfig(): boolean {
+    return !!(this.config.apiKey && this.config.model && this.config.baseUrl);
+  }
+
+  async complete(prompt: string, options: CompletionOptions = {}): Promise<string> {
+    if (!this.validateConfig()) {
+      throw new Error(ERROR_MESSAGES[ERROR_CODES.INVALID_API_KEY]);
+    }
+
+    const requestBody = {
+      model: this.config.model,
+      messages: [{ role: 'user', content: prompt }],
+      // The Messages API accepts temperatures from 0 to 1
+      temperature: Math.min(options.temperature ?? this.config.temperature, 1),
+      max_tokens: options.maxTokens ?? this.config.maxTokens,
+      stream: !!options.onToken,
+    };
+
+    const { controller, cleanup } = this.createRequestController(options.signal);
+
+    try {
+      const response = await fetch(`${this.getBaseUrl()}/messages`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(requestBody),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw await this.getResponseError(response);
+      }
+
+      if (options.onToken && this.isStreamingResponse(response)) {
+        const content = await this.readStream(
+          response,
+          'sse',
+          (payload) => payload.type === 'content_block_delta' ? payload.delta?.text : undefined,
+          options.onToken,
+          options.onUsage,
+        );
+        if (!content) {
+          throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_INVALID_RESPONSE]);
+        }
+        return content;
+      }
+
+      const data = await response.json();
+      const content = Array.isArray(data?.content)
+        ? data.content
+          .filter((block: any) => block.type === 'text')
+          .map((block: any) => block.text)
+          .join('')
+        : '';
+
+      if (!content) {
+        throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_INVALID_RESPONSE]);
+      }
+
+      this.reportUsage(data, options.onUsage);
+      options.onToken?.(content);
+      return content;
+
+    } catch (err) {
+      if ((err as Error).name === 'AbortError') {
+        throw this.getAbortError(options.signal);
+      }
+      throw err;
+    } finally {
+      cleanup();
+    }
+  }
+
+  /**
+   * Lists the models available to the configured API key
+   * @param signal - Optional abort signal
+   * @returns Available Claude models, newest first
+   */
+  async listModels(signal?: AbortSignal): Promise<ProviderModel[]> {
+    const response = await fetch(`${this.getBaseUrl()}/models?limit=100`, {
+      headers: this.getHeaders(),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await this.getResponseError(response);
+    }
+
+    const data = await response.json();
+    const models: any[] = Array.isArray(data?.data) ? data.data : [];
+
+    return models
+      .filter((model) => typeof model?.id === 'string')
+      .map((model) => ({
+        id: model.id,
+        name: model.display_name || model.id,
+        contextWindow: this.readContextWindow(model),
+      }));
+  }
+
+  /**
+   * Detects the context window of the configured model. Uses the models API
+   * when it reports one, otherwise the context window shared by all current
+   * Claude models.
+   * @returns Context window in tokens
+   */
+  async getContextWindow(): Promise<number | null> {
+    try {
+      const models = await this.listModels();
+      const contextWindow = models.find((model) => model.id === this.config.model)?.contextWindow;
+      if (contextWindow) return contextWindow;
+    } catch {
+      // Fall back to the known context window
+    }
+    return DEFAULT_CONTEXT_WINDOWS.anthropic;
+  }
+
+  /**
+   * Reads token counts from a response, or from the `message_start` and
+   * `message_delta` events of a stream
+   */
+  protected readUsage(payload: any): Partial<TokenUsage> | undefined {
+    const usage = payload?.usage ?? payload?.message?.usage;
+    if (!usage) return undefined;
+    return {
+      promptTokens: usage.input_tokens,
+      completionTokens: usage.output_tokens,
+    };
+  }
+
+  /**
+   * Gets the configured base URL without trailing slashes
+   */
+  private getBaseUrl(): string {
+    return this.config.baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Builds request headers. Direct browser access must be opted into
+   * explicitly, since the key is the user's own and never leaves their browser
+   * except to Anthropic.
+   */
+  private getHeaders(): Record<string, string> {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.config.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      'anthropic-dangerous-direct-browser-access': 'true',
+    };
+  }
+
+  /**
+   * Builds the error for a failed request, using the API's error message when present
+   * @param response - Failed fetch response
+   * @returns Error to throw
+   */
+  private async getResponseError(response: Response): Promise<Error> {
+    if (response.status === 401) {
+      return this.createHttpError(response, ERROR_MESSAGES[ERROR_CODES.INVALID_API_KEY]);
+    }
+    if (response.status === 429) {
+      return this.createHttpError(response, ERROR_MESSAGES[ERROR_CODES.LLM_RATE_LIMITED]);
+    }
+
+    let message = response.statusText;
+    try {
+      const data = await response.json();
+      message = data?.error?.message || message;
+    } catch {
+      // Keep the status text
+    }
+    return this.createHttpError(response, `HTTP ${response.status}: ${message}`);
+  }
+}
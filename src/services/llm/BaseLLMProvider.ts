@@ -1,4 +1,83 @@
-import type { LLMConfig } from '../../types';
+import type { LLMConfig, ModelPricing, ResponseSchema, TokenUsage } from '../../types';
+import { ANALYSIS_CONFIG, ERROR_CODES, ERROR_MESSAGES } from '../../utils/constants';
+import { createAbortError } from '../../utils/helpers';
+
+/**
+ * Callback invoked with each chunk of generated text as it streams in
+ */
+export type TokenCallback = (token: string) => void;
+
+/**
+ * A failed request that is about to be retried, possibly by a fallback provider
+ */
+export interface RetryEvent {
+  /** Name of the provider that will make the next attempt */
+  provider: string;
+  /** Model that will make the next attempt */
+  model: string;
+  /** Attempt number with this provider (1 for its first try) */
+  attempt: number;
+  /** Error of the failed attempt */
+  error: Error;
+}
+
+/**
+ * Error of a failed HTTP request, with the details that decide whether
+ * retrying it is worthwhile
+ */
+export interface LLMRequestError extends Error {
+  /** HTTP status of the response */
+  status?: number;
+  /** Wait requested by the Retry-After header, in milliseconds */
+  retryAfterMs?: number;
+}
+
+/**
+ * Options accepted by LLM completion requests
+ */
+export interface CompletionOptions {
+  /** Override the configured temperature */
+  temperature?: number;
+  /** Override the configured maximum response tokens */
+  maxTokens?: number;
+  /** Stream the response, calling this with each token as it arrives */
+  onToken?: TokenCallback;
+  /** Aborts the request when signalled (e.g. the user cancels the analysis) */
+  signal?: AbortSignal;
+  /**
+   * Called before a failed request is tried again. Text streamed by the
+   * failed attempt should be discarded.
+   */
+  onRetry?: (event: RetryEvent) => void;
+  /**
+   * JSON Schema the response must match. Providers that support structured
+   * output constrain the response to it; others rely on the prompt.
+   */
+  responseSchema?: ResponseSchema;
+  /** Called with the tokens (and cost) the provider reports for the request */
+  onUsage?: (usage: TokenUsage) => void;
+  [key: string]: unknown;
+}
+
+/**
+ * Wire format of a streaming response body
+ * - sse: OpenAI-compatible server-sent events (`data: {...}` lines)
+ * - ndjson: newline-delimited JSON objects (Ollama)
+ */
+export type StreamFormat = 'sse' | 'ndjson';
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date)
+ * @param value - Header value
+ * @returns Delay in milliseconds, or undefined when absent or invalid
+ */
+function parseRetryAfter(value: string | null | undefined): number | undefined {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
 
 /**
  * Abstract base class for LLM providers
@@ -20,10 +99,11 @@ export abstract class BaseLLMProvider {
   /**
    * Sends a completion request to the LLM
    * @param prompt - The prompt to send
-   * @param options - Additional options for the completion
-   * @returns Promise resolving to the completion text
+   * @param options - Additional options for the completion. When `onToken`
+   *   is provided the response is streamed and tokens are reported as they arrive.
+   * @returns Promise resolving to the full completion text
    */
-  abstract complete(prompt: string, options?: Record<string, unknown>): Promise<string>;
+  abstract complete(prompt: string, options?: CompletionOptions): Promise<string>;
 
   /**
    * Validates the provider configuration
@@ -36,4 +116,250 @@ export abstract class BaseLLMProvider {
    * @returns The provider name
    */
   abstract getName(): string;
+
+  /**
+   * Detects the context window of the configured model
+   * @returns Context window in tokens, or null when the provider cannot tell
+   */
+  async getContextWindow(): Promise<number | null> {
+    return null;
+  }
+
+  /**
+   * Gets the price of the configured model
+   * @returns Price per token, or null when the provider cannot tell
+   */
+  async getPricing(): Promise<ModelPricing | null> {
+    return null;
+  }
+
+  /**
+   * Reads the context window from a model listing entry. Servers report it
+   * under different names, so the known fields are tried in turn.
+   * @param model - One entry of a provider's model listing
+   * @returns Context window in tokens, or undefined when not reported
+   */
+  protected readContextWindow(model: any): number | undefined {
+    const candidates = [
+      model?.max_model_len, // vLLM
+      model?.context_length, // OpenRouter, LiteLLM, Together
+      model?.context_window, // Groq
+      model?.max_context_length, // LM Studio
+      model?.max_input_tokens, // Anthropic
+      model?.meta?.n_ctx_train, // llama.cpp
+    ];
+    return candidates.find((value) => typeof value === 'number' && value > 0);
+  }
+
+  /**
+   * Reads token usage from a response or stream event payload. The default
+   * reads the OpenAI `usage` object, including OpenRouter's `cost`.
+   * @param payload - Parsed response body or stream event
+   * @returns The fields the payload reports, or undefined when it has none
+   */
+  protected readUsage(payload: any): Partial<TokenUsage> | undefined {
+    const usage = payload?.usage;
+    if (!usage) return undefined;
+    return {
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens,
+      cost: usage.cost,
+    };
+  }
+
+  /**
+   * Reports the usage of a non-streamed response
+   * @param data - Parsed response body
+   * @param onUsage - Usage callback from the completion options
+   */
+  protected reportUsage(data: any, onUsage?: (usage: TokenUsage) => void): void {
+    const usage = this.toTokenUsage(this.readUsage(data));
+    if (usage) onUsage?.(usage);
+  }
+
+  /**
+   * Creates an abort controller for a single request. It aborts when the
+   * request times out or when the caller's signal is aborted.
+   * @param signal - Optional caller signal (e.g. user cancellation)
+   * @returns The controller and a cleanup function to call once the request settles
+   */
+  protected createRequestController(signal?: AbortSignal): {
+    controller: AbortController;
+    cleanup: () => void;
+  } {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), ANALYSIS_CONFIG.TIMEOUT_MS);
+    const onAbort = () => controller.abort();
+
+    if (signal?.aborted) {
+      controller.abort();
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return {
+      controller,
+      cleanup: () => {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+      },
+    };
+  }
+
+  /**
+   * Builds the error for a failed response, keeping its status and any
+   * Retry-After delay for the retry policy
+   * @param response - Failed fetch response
+   * @param message - Error message (defaults to the HTTP status)
+   * @returns Error to throw
+   */
+  protected createHttpError(
+    response: Response,
+    message: string = `HTTP ${response.status}: ${response.statusText}`,
+  ): LLMRequestError {
+    const error: LLMRequestError = new Error(message);
+    error.status = response.status;
+    const retryAfterMs = parseRetryAfter(response.headers?.get('retry-after'));
+    if (retryAfterMs !== undefined) {
+      error.retryAfterMs = retryAfterMs;
+    }
+    return error;
+  }
+
+  /**
+   * Builds the error for an aborted request: a cancellation when the caller
+   * aborted, otherwise a timeout
+   * @param signal - Caller signal passed to the request
+   * @returns Error to throw
+   */
+  protected getAbortError(signal?: AbortSignal): Error {
+    return signal?.aborted
+      ? createAbortError()
+      : new Error(ERROR_MESSAGES[ERROR_CODES.LLM_TIMEOUT]);
+  }
+
+  /**
+   * Checks whether a response is a streamed body rather than a single JSON document.
+   * Servers that ignore `stream: true` reply with plain JSON, which callers
+   * should handle through their normal parsing path.
+   * @param response - Fetch response
+   * @returns True if the body should be read as a stream
+   */
+  protected isStreamingResponse(response: Response): boolean {
+    const contentType = response.headers?.get('content-type') || '';
+    return contentType.includes('text/event-stream') || contentType.includes('ndjson');
+  }
+
+  /**
+   * Reads a streaming response body, reporting each token and accumulating the full text
+   * @param response - Fetch response with a streaming body
+   * @param format - Wire format of the stream
+   * @param extractToken - Extracts the token text from one parsed event payload
+   * @param onToken - Callback for each non-empty token
+   * @param onUsage - Called once the stream ends with the usage its events
+   *   reported, if any. Later events override fields of earlier ones.
+   * @returns The full concatenated completion text
+   */
+  protected async readStream(
+    response: Response,
+    format: StreamFormat,
+    extractToken: (payload: any) => string | undefined,
+    onToken: TokenCallback,
+    onUsage?: (usage: TokenUsage) => void,
+  ): Promise<string> {
+    let content = '';
+    let buffer = '';
+    const usage: Partial<TokenUsage> = {};
+
+    const handleLine = (rawLine: string): void => {
+      let line = rawLine.trim();
+      if (!line) return;
+
+      if (format === 'sse') {
+        // Ignore SSE comments (e.g. ": OPENROUTER PROCESSING") and non-data fields
+        if (!line.startsWith('data:')) return;
+        line = line.slice(5).trim();
+        if (line === '[DONE]') return;
+      }
+
+      let payload: any;
+      try {
+        payload = JSON.parse(line);
+      } catch {
+        // Skip malformed or partial events
+        return;
+      }
+
+      if (payload?.error) {
+        const message = typeof payload.error === 'string' ? payload.error : payload.error.message;
+        throw new Error(message || 'Stream error');
+      }
+
+      const token = extractToken(payload);
+      if (token) {
+        content += token;
+        onToken(token);
+      }
+
+      for (const [field, value] of Object.entries(this.readUsage(payload) ?? {})) {
+        if (typeof value === 'number') {
+          usage[field as keyof TokenUsage] = value;
+        }
+      }
+    };
+
+    const reportStreamUsage = (): void => {
+      const total = this.toTokenUsage(usage);
+      if (total) onUsage?.(total);
+    };
+
+    const processBuffer = (flush: boolean): void => {
+      const lines = buffer.split('\n');
+      buffer = flush ? '' : lines.pop() ?? '';
+      lines.forEach(handleLine);
+    };
+
+    // Fall back to reading the whole body when streams are unavailable
+    if (!response.body) {
+      buffer = await response.text();
+      processBuffer(true);
+      reportStreamUsage();
+      return content;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        processBuffer(false);
+      }
+      buffer += decoder.decode();
+      processBuffer(true);
+    } finally {
+      reader.releaseLock();
+    }
+
+    reportStreamUsage();
+    return content;
+  }
+
+  /**
+   * Completes reported usage fields, ignoring anything that is not a count
+   * @private
+   */
+  private toTokenUsage(usage: Partial<TokenUsage> | undefined): TokenUsage | undefined {
+    const { promptTokens, completionTokens, cost } = usage ?? {};
+    const isCount = (value: unknown): value is number =>
+      typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    if (!isCount(promptTokens) && !isCount(completionTokens)) return undefined;
+    return {
+      promptTokens: isCount(promptTokens) ? promptTokens : 0,
+      completionTokens: isCount(completionTokens) ? completionTokens : 0,
+      ...(isCount(cost) && { cost }),
+    };
+  }
 }
@@ -0,0 +1,260 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { FallbackChainProvider } from "./FallbackChainProvider";
+import { LLMProviderFactory } from "./LLMProviderFactory";
+import { OpenRouterProvider } from "./OpenRouterProvider";
+import type { BaseLLMProvider, LLMRequestError } from "./BaseLLMProvider";
+import type { LLMConfig } from "../../types";
+
+const CONFIG: LLMConfig = {
+  provider: "openrouter",
+  apiKey: "sk-or-test",
+  model: "openai/gpt-4.1",
+  baseUrl: "https://openrouter.ai/api/v1",
+  temperature: 0.7,
+  maxTokens: 32000,
+  retryPolicy: { maxRetries: 2, baseDelayMs: 1000 },
+};
+
+const httpError = (status: number, retryAfterMs?: number) => {
+  const error: LLMRequestError = new Error(`HTTP ${status}`);
+  error.status = status;
+  if (retryAfterMs !== undefined) error.retryAfterMs = retryAfterMs;
+  return error;
+};
+
+const mockProvider = (name: string, ...results: Array<string | Error>) => {
+  const complete = vi.fn();
+  results.forEach((result) => {
+    if (result instanceof Error) complete.mockRejectedValueOnce(result);
+    else complete.mockResolvedValueOnce(result);
+  });
+  return {
+    provider: {
+      getName: () => name,
+      complete,
+    } as unknown as BaseLLMProvider,
+    complete,
+  };
+};
+
+describe("FallbackChainProvider", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("retries with exponential backoff", async () => {
+    const primary = mockProvider(
+      "Primary",
+      httpError(503),
+      httpError(502),
+      "Answer",
+    );
+    const onRetry = vi.fn();
+    const chain = new FallbackChainProvider(CONFIG, [
+      { provider: primary.provider, config: CONFIG },
+    ]);
+
+    const result = chain.complete("prompt", { onRetry });
+    await vi.advanceTimersByTimeAsync(999);
+    expect(primary.complete).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(primary.complete).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(2000);
+
+    await expect(result).resolves.toBe("Answer");
+    expect(primary.complete).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([event]) => event.attempt)).toEqual([2, 3]);
+  });
+
+  it("waits as long as Retry-After asks", async () => {
+    const primary = mockProvider("Primary", httpError(429, 5000), "Answer");
+    const chain = new FallbackChainProvider(CONFIG, [
+      { provider: primary.provider, config: CONFIG },
+    ]);
+
+    const result = chain.complete("prompt");
+    await vi.advanceTimersByTimeAsync(4999);
+    expect(primary.complete).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+
+    await expect(result).resolves.toBe("Answer");
+  });
+
+  it("falls back to the next provider once retries run out", async () => {
+    const primary = mockProvider(
+      "Primary",
+      httpError(500),
+      httpError(500),
+      httpError(500),
+    );
+    const fallback = mockProvider("Fallback", "Fallback answer");
+    const onRetry = vi.fn();
+    const chain = new FallbackChainProvider(CONFIG, [
+      { provider: primary.provider, config: CONFIG },
+      { provider: fallback.provider, config: { ...CONFIG, model: "backup" } },
+    ]);
+
+    const result = chain.complete("prompt", { onRetry });
+    await vi.runAllTimersAsync();
+
+    await expect(result).resolves.toBe("Fallback answer");
+    expect(primary.complete).toHaveBeenCalledTimes(3);
+    expect(onRetry).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        provider: "Fallback",
+        model: "backup",
+        attempt: 1,
+      }),
+    );
+  });
+
+  it("moves on immediately for errors a retry cannot fix", async () => {
+    const primary = mockProvider("Primary", httpError(401));
+    const fallback = mockProvider("Fallback", "Fallback answer");
+    const chain = new FallbackChainProvider(CONFIG, [
+      { provider: primary.provider, config: CONFIG },
+      { provider: fallback.provider, config: CONFIG },
+    ]);
+
+    await expect(chain.complete("prompt")).resolves.toBe("Fallback answer");
+    expect(primary.complete).toHaveBeenCalledTimes(1);
+  });
+
+  it("skips to the next provider when Retry-After is too long", async () => {
+    const primary = mockProvider("Primary", httpError(429, 120000));
+    const fallback = mockProvider("Fallback", "Fallback answer");
+    const chain = new FallbackChainProvider(CONFIG, [
+      { provider: primary.provider, config: CONFIG },
+      { provider: fallback.provider, config: CONFIG },
+    ]);
+
+    await expect(chain.complete("prompt")).resolves.toBe("Fallback answer");
+    expect(primary.complete).toHaveBeenCalledTimes(1);
+  });
+
+  it("throws the last error when every provider fails", async () => {
+    const primary = mockProvider("Primary", httpError(400));
+    const fallback = mockProvider("Fallback", httpError(404));
+    const chain = new FallbackChainProvider(CONFIG, [
+      { provider: primary.provider, config: CONFIG },
+      { provider: fallback.provider, config: CONFIG },
+    ]);
+
+    await expect(chain.complete("prompt")).rejects.toThrow("HTTP 404");
+  });
+
+  it("stops waiting when the request is cancelled", async () => {
+    const primary = mockProvider("Primary", httpError(503), "Answer");
+    const controller = new AbortController();
+    const chain = new FallbackChainProvider(CONFIG, [
+      { provider: primary.provider, config: CONFIG },
+    ]);
+
+    const result = chain.complete("prompt", { signal: controller.signal });
+    const rejection = expect(result).rejects.toMatchObject({
+      name: "AbortError",
+    });
+    await vi.advanceTimersByTimeAsync(500);
+    controller.abort();
+
+    await rejection;
+    expect(primary.complete).toHaveBeenCalledTimes(1);
+  });
+
+  describe("getPolicy", () => {
+    it("fills in and clamps the retry policy", () => {
+      expect(FallbackChainProvider.getPolicy({})).toEqual({
+        maxRetries: 2,
+        baseDelayMs: 1000,
+      });
+      expect(
+        FallbackChainProvider.getPolicy({
+          retryPolicy: { maxRetries: 50, baseDelayMs: -1 },
+        }),
+      ).toEqual({ maxRetries: 5, baseDelayMs: 1000 });
+    });
+  });
+});
+
+describe("LLMProviderFactory.createWithFallbacks", () => {
+  it("builds the chain from the configured fallbacks", () => {
+    const provider = LLMProviderFactory.createWithFallbacks({
+      ...CONFIG,
+      customHeaders: { "X-Team": "privacy" },
+      fallbacks: [
+        {
+          provider: "anthropic",
+          model: "claude-haiku-4-5",
+          baseUrl: "https://api.anthropic.com/v1",
+          apiKey: "sk-ant-test",
+        },
+        { provider: "hosted-free", model: "free", baseUrl: "", apiKey: "" },
+      ],
+    });
+
+    const chain = (provider as any).chain;
+    expect(provider).toBeInstanceOf(FallbackChainProvider);
+    expect(provider.getName()).toBe("OpenRouter");
+    expect(chain).toHaveLength(2);
+    expect(chain[0].provider).toBeInstanceOf(OpenRouterProvider);
+    expect(chain[1].config).toMatchObject({
+      provider: "anthropic",
+      model: "claude-haiku-4-5",
+      temperature: 0.7,
+      customHeaders: undefined,
+    });
+  });
+});
+
+describe("LLMProviderFactory.ensembleConfigs", () => {
+  const model = {
+    provider: "anthropic" as const,
+    model: "claude-haiku-4-5",
+    baseUrl: "https://api.anthropic.com/v1",
+    apiKey: "sk-ant-test",
+  };
+
+  it("derives up to two models without fallbacks", () => {
+    const configs = LLMProviderFactory.ensembleConfigs({
+      ...CONFIG,
+      customHeaders: { "X-Team": "privacy" },
+      fallbacks: [model],
+      ensemble: {
+        enabled: true,
+        models: [
+          model,
+          { provider: "hosted-free", model: "free", baseUrl: "", apiKey: "" },
+          { ...model, model: "" },
+          { ...model, model: "claude-sonnet-4-5" },
+          { ...model, model: "claude-opus-4-1" },
+        ],
+        disagreementThreshold: 2,
+      },
+    });
+
+    expect(configs.map((config) => config.model)).toEqual([
+      "claude-haiku-4-5",
+      "claude-sonnet-4-5",
+    ]);
+    expect(configs[0]).toMatchObject({
+      provider: "anthropic",
+      temperature: 0.7,
+      customHeaders: undefined,
+      fallbacks: undefined,
+      ensemble: undefined,
+    });
+  });
+
+  it("returns no models when ensemble mode is off", () => {
+    expect(
+      LLMProviderFactory.ensembleConfigs({
+        ...CONFIG,
+        ensemble: { enabled: false, models: [model], disagreementThreshold: 2 },
+      }),
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * @file Fallback Chain Provider
+ * @description Wraps an ordered chain of providers, retrying failed requests
+ * with exponential backoff before falling back to the next provider
+ */
+
+import { BaseLLMProvider } from './BaseLLMProvider';
+import type { CompletionOptions, LLMRequestError } from './BaseLLMProvider';
+import type { LLMConfig, ModelPricing, RetryPolicy } from '../../types';
+import { ERROR_CODES, ERROR_MESSAGES, LLM_RETRY_CONFIG } from '../../utils/constants';
+import { createAbortError, isAbortError, throwIfAborted } from '../../utils/helpers';
+
+/**
+ * Client errors that another attempt cannot fix (bad request, bad key, unknown model)
+ */
+const NON_RETRYABLE_STATUSES = new Set([400, 401, 402, 403, 404, 413, 422]);
+
+/**
+ * A provider in the chain with the configuration it was created from
+ */
+export interface ChainedProvider {
+  provider: BaseLLMProvider;
+  config: LLMConfig;
+}
+
+/**
+ * Provider that tries each provider of a chain in order. Retryable failures
+ * (network errors, rate limits, server errors) are retried with exponential
+ * backoff up to the policy's limit; after that, or on errors a retry cannot
+ * fix, the next provider takes over. The last error is thrown when every
+ * provider has failed.
+ */
+export class FallbackChainProvider extends BaseLLMProvider {
+  private chain: ChainedProvider[];
+  private policy: RetryPolicy;
+
+  /**
+   * @param config - Configuration of the primary provider
+   * @param chain - Providers to try in order, the primary first
+   */
+  constructor(config: LLMConfig, chain: ChainedProvider[]) {
+    super(config);
+    this.chain = chain;
+    this.policy = FallbackChainProvider.getPolicy(config);
+  }
+
+  getName(): string {
+    return this.chain[0]?.provider.getName() ?? 'Fallback chain';
+  }
+
+  validateConfig(): boolean {
+    return this.chain.some(({ provider }) => provider.validateConfig());
+  }
+
+  async getContextWindow(): Promise<number | null> {
+    return this.chain[0]?.provider.getContextWindow() ?? null;
+  }
+
+  async getPricing(): Promise<ModelPricing | null> {
+    return this.chain[0]?.provider.getPricing() ?? null;
+  }
+
+  async complete(prompt: string, options: CompletionOptions = {}): Promise<string> {
+    let lastError: Error = new Error(ERROR_MESSAGES[ERROR_CODES.LLM_REQUEST_FAILED]);
+    let firstAttempt = true;
+
+    for (const { provider, config } of this.chain) {
+      for (let attempt = 1; attempt <= this.policy.maxRetries + 1; attempt++) {
+        throwIfAborted(options.signal);
+        if (!firstAttempt) {
+          options.onRetry?.({
+            provider: provider.getName(),
+            model: config.model,
+            attempt,
+            error: lastError,
+          });
+        }
+        firstAttempt = false;
+
+        try {
+          return await provider.complete(prompt, options);
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          lastError = err instanceof Error ? err : new Error(String(err));
+        }
+
+        if (attempt > this.policy.maxRetries || !FallbackChainProvider.isRetryable(lastError)) {
+          break;
+        }
+        const delayMs = FallbackChainProvider.getRetryDelay(lastError, attempt, this.policy);
+        if (delayMs === null) break;
+        await FallbackChainProvider.wait(delayMs, options.signal);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Retry policy of a configuration, with defaults for missing or invalid values
+   * @param config - LLM configuration
+   * @returns Complete retry policy
+   */
+  static getPolicy(config: Pick<LLMConfig, 'retryPolicy'>): RetryPolicy {
+    const { maxRetries, baseDelayMs } = config.retryPolicy ?? {};
+    return {
+      maxRetries: Number.isFinite(maxRetries)
+        ? Math.min(Math.max(Math.round(maxRetries!), 0), LLM_RETRY_CONFIG.MAX_RETRIES)
+        : LLM_RETRY_CONFIG.DEFAULT_MAX_RETRIES,
+      baseDelayMs: Number.isFinite(baseDelayMs) && baseDelayMs! >= 0
+        ? baseDelayMs!
+        : LLM_RETRY_CONFIG.DEFAULT_BASE_DELAY_MS,
+    };
+  }
+
+  /**
+   * Checks whether retrying the same provider could succeed. Timeouts are
+   * not retried: the request already waited the full timeout.
+   * @param error - Error of the failed attempt
+   * @returns True for network errors, rate limits and server errors
+   */
+  static isRetryable(error: LLMRequestError): boolean {
+    if (error.message === ERROR_MESSAGES[ERROR_CODES.LLM_TIMEOUT]) return false;
+    return !(error.status && NON_RETRYABLE_STATUSES.has(error.status));
+  }
+
+  /**
+   * Delay before retrying: the server's Retry-After when it sent one,
+   * otherwise exponential backoff
+   * @param error - Error of the failed attempt
+   * @param attempt - Number of failed attempts with this provider
+   * @param policy - Retry policy
+   * @returns Delay in milliseconds, or null when the server asked for a
+   * longer wait than is worth blocking the analysis for
+   */
+  static getRetryDelay(
+    error: LLMRequestError,
+    attempt: number,
+    policy: RetryPolicy,
+  ): number | null {
+    if (error.retryAfterMs !== undefined) {
+      return error.retryAfterMs <= LLM_RETRY_CONFIG.MAX_DELAY_MS ? error.retryAfterMs : null;
+    }
+    return Math.min(policy.baseDelayMs * 2 ** (attempt - 1), LLM_RETRY_CONFIG.MAX_DELAY_MS);
+  }
+
+  /**
+   * Waits before a retry, stopping early when the request is cancelled
+   * @private
+   */
+  private static wait(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
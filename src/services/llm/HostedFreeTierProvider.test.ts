@@ -272,4 +272,119 @@ describe("HostedFreeTierProvider", () => {
       expect(true).toBe(true);
     });
   });
+
+  describe("complete", () => {
+    const streamResponse = (events: string[]) =>
+      new Response(events.join(""), {
+        status: 200,
+        headers: { "Content-Type": "text/event-stream" },
+      });
+
+    it("requests a stream and reports tokens as they arrive", async () => {
+      const fetchMock = vi.mocked(global.fetch).mockResolvedValue(
+        streamResponse([
+          ": OPENROUTER PROCESSING\n\n",
+          'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n',
+          'data: {"choices":[{"delta":{"content":", world"}}]}\n\n',
+          "data: [DONE]\n\n",
+        ]),
+      );
+      const onToken = vi.fn();
+
+      const result = await provider.complete("prompt", { onToken });
+
+      expect(result).toBe("Hello, world");
+      expect(onToken.mock.calls).toEqual([["Hello"], [", world"]]);
+      const body = JSON.parse(fetchMock.mock.calls[0][1]!.body as string);
+      expect(body.stream).toBe(true);
+    });
+
+    it("reports token usage without the cost of the free tier", async () => {
+      vi.mocked(global.fetch).mockResolvedValue(
+        streamResponse([
+          'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n',
+          'data: {"choices":[],"usage":{"prompt_tokens":1200,"completion_tokens":150,"cost":0.002}}\n\n',
+          "data: [DONE]\n\n",
+        ]),
+      );
+      const onUsage = vi.fn();
+
+      await provider.complete("prompt", { onToken: vi.fn(), onUsage });
+
+      expect(onUsage).toHaveBeenCalledWith({
+        promptTokens: 1200,
+        completionTokens: 150,
+      });
+      expect(await provider.getPricing()).toEqual({
+        promptPerToken: 0,
+        completionPerToken: 0,
+      });
+    });
+
+    it("surfaces errors sent mid-stream", async () => {
+      vi.mocked(global.fetch).mockResolvedValue(
+        streamResponse([
+          'data: {"choices":[{"delta":{"content":"Partial"}}]}\n\n',
+          'data: {"error":{"message":"Provider disconnected"}}\n\n',
+        ]),
+      );
+
+      await expect(
+        provider.complete("prompt", { onToken: vi.fn() }),
+      ).rejects.toThrow("Provider disconnected");
+    });
+
+    it("falls back to JSON when the server does not stream", async () => {
+      vi.mocked(global.fetch).mockResolvedValue(
+        new Response(
+          JSON.stringify({ choices: [{ message: { content: "Full text" } }] }),
+          { status: 200, headers: { "Content-Type": "application/json" } },
+        ),
+      );
+      const onToken = vi.fn();
+
+      const result = await provider.complete("prompt", { onToken });
+
+      expect(result).toBe("Full text");
+      expect(onToken).toHaveBeenCalledWith("Full text");
+    });
+
+    it("aborts the request when the caller's signal is aborted", async () => {
+      vi.mocked(global.fetch).mockImplementation(
+        (_url, init) =>
+          new Promise((_resolve, reject) => {
+            init!.signal!.addEventListener("abort", () => {
+              const error = new Error("The operation was aborted");
+              error.name = "AbortError";
+              reject(error);
+            });
+          }),
+      );
+      const controller = new AbortController();
+
+      const request = provider.complete("prompt", {
+        signal: controller.signal,
+      });
+      controller.abort();
+
+      await expect(request).rejects.toMatchObject({
+        name: "AbortError",
+        message: "Analysis cancelled",
+      });
+    });
+
+    it("does not request a stream without a token callback", async () => {
+      const fetchMock = vi.mocked(global.fetch).mockResolvedValue(
+        new Response(
+          JSON.stringify({ choices: [{ message: { content: "Full text" } }] }),
+          { status: 200, headers: { "Content-Type": "application/json" } },
+        ),
+      );
+
+      await provider.complete("prompt");
+
+      const body = JSON.parse(fetchMock.mock.calls[0][1]!.body as string);
+      expect(body.stream).toBe(false);
+    });
+  });
 });
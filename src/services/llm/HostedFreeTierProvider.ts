@@ -10,10 +10,11 @@
  */
 
 import { BaseLLMProvider } from "./BaseLLMProvider";
+import type { CompletionOptions } from "./BaseLLMProvider";
+import type { ModelPricing, TokenUsage } from "../../types";
 import {
   ERROR_MESSAGES,
   ERROR_CODES,
-  ANALYSIS_CONFIG,
   FREE_TIER_WORKER_URL,
   FREE_TIER_MODEL,
 } from "../../utils/constants";
@@ -243,6 +244,26 @@ export class HostedFreeTierProvider extends BaseLLMProvider {
     return response.json();
   }
 
+  /**
+   * Requests through the free tier cost the user nothing
+   */
+  async getPricing(): Promise<ModelPricing | null> {
+    return { promptPerToken: 0, completionPerToken: 0 };
+  }
+
+  /**
+   * Reads the token counts the worker relays from OpenRouter. The cost is
+   * left out: it is paid by the free tier, not the user.
+   */
+  protected readUsage(payload: any): Partial<TokenUsage> | undefined {
+    const usage = super.readUsage(payload);
+    if (!usage) return undefined;
+    return {
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+    };
+  }
+
   validateConfig(): boolean {
     // Free tier doesn't require API key or specific config
     // Turnstile token is validated at request time
@@ -251,7 +272,7 @@ export class HostedFreeTierProvider extends BaseLLMProvider {
 
   async complete(
     prompt: string,
-    options: Record<string, unknown> = {},
+    options: CompletionOptions = {},
   ): Promise<string> {
     // Worker controls model selection based on tier (paid-central vs free)
     // We still send a model field for BYOK compatibility, but the worker
@@ -259,10 +280,9 @@ export class HostedFreeTierProvider extends BaseLLMProvider {
     const requestBody = {
       model: FREE_TIER_MODEL, // Worker overrides this for hosted free tier
       messages: [{ role: "user", content: prompt }],
-      temperature:
-        (options.temperature as number | undefined) ?? this.config.temperature,
-      max_tokens:
-        (options.maxTokens as number | undefined) ?? this.config.maxTokens,
+      temperature: options.temperature ?? this.config.temperature,
+      max_tokens: options.maxTokens ?? this.config.maxTokens,
+      stream: !!options.onToken,
     };
 
     const headers: Record<string, string> = {
@@ -282,10 +302,8 @@ export class HostedFreeTierProvider extends BaseLLMProvider {
       headers["X-User-Api-Key"] = this.userApiKey;
     }
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(
-      () => controller.abort(),
-      ANALYSIS_CONFIG.TIMEOUT_MS,
+    const { controller, cleanup } = this.createRequestController(
+      options.signal,
     );
 
     try {
@@ -296,36 +314,55 @@ export class HostedFreeTierProvider extends BaseLLMProvider {
         signal: controller.signal,
       });
 
-      clearTimeout(timeoutId);
-
       if (!response.ok) {
         // Handle specific error cases
         if (response.status === 401) {
-          throw new Error("Turnstile verification failed. Please try again.");
+          throw this.createHttpError(
+            response,
+            "Turnstile verification failed. Please try again.",
+          );
         }
         if (response.status === 429) {
           const errorData = await response.json().catch(() => ({}));
           const resetAt = errorData.reset_at || "tomorrow";
-          throw new Error(
+          throw this.createHttpError(
+            response,
             `Rate limit exceeded. Free tier resets ${resetAt}. ` +
               "To continue analyzing, switch to OpenRouter (bring your own API key) " +
               "or use a local model like Ollama or LM Studio from the provider dropdown.",
           );
         }
         if (response.status === 402) {
-          throw new Error(
+          throw this.createHttpError(
+            response,
             "Free tier budget exhausted for today. " +
               "To continue analyzing, switch to OpenRouter (bring your own API key) " +
               "or use a local model like Ollama or LM Studio from the provider dropdown.",
           );
         }
         if (response.status === 503) {
-          throw new Error(
+          throw this.createHttpError(
+            response,
             "Free tier service temporarily unavailable. " +
               "Please try again later or use your own API key.",
           );
         }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw this.createHttpError(response);
+      }
+
+      // The worker relays OpenRouter's SSE stream when streaming is requested
+      if (options.onToken && this.isStreamingResponse(response)) {
+        const content = await this.readStream(
+          response,
+          "sse",
+          (payload) => payload.choices?.[0]?.delta?.content,
+          options.onToken,
+          options.onUsage,
+        );
+        if (!content) {
+          throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_INVALID_RESPONSE]);
+        }
+        return content;
       }
 
       const data = await response.json();
@@ -334,14 +371,16 @@ export class HostedFreeTierProvider extends BaseLLMProvider {
         throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_INVALID_RESPONSE]);
       }
 
+      this.reportUsage(data, options.onUsage);
+      options.onToken?.(data.choices[0].message.content);
       return data.choices[0].message.content;
     } catch (err) {
-      clearTimeout(timeoutId);
-
       if ((err as Error).name === "AbortError") {
-        throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_TIMEOUT]);
+        throw this.getAbortError(options.signal);
       }
       throw err;
+    } finally {
+      cleanup();
     }
   }
 }
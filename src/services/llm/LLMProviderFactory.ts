@@ -3,12 +3,16 @@
  * @description Factory for creating LLM provider instances
  */
 
-import type { LLMConfig } from "../../types";
+import type { LLMConfig, LLMFallback } from "../../types";
+import { ENSEMBLE_CONFIG } from "../../utils/constants";
 import { BaseLLMProvider } from "./BaseLLMProvider";
 import { OpenRouterProvider } from "./OpenRouterProvider";
 import { OllamaProvider } from "./OllamaProvider";
 import { LMStudioProvider } from "./LMStudioProvider";
 import { HostedFreeTierProvider } from "./HostedFreeTierProvider";
+import { OpenAICompatibleProvider } from "./OpenAICompatibleProvider";
+import { AnthropicProvider } from "./AnthropicProvider";
+import { FallbackChainProvider } from "./FallbackChainProvider";
 
 /**
  * Factory class for creating LLM provider instances
@@ -29,8 +33,77 @@ export class LLMProviderFactory {
         return new OllamaProvider(config);
       case "lmstudio":
         return new LMStudioProvider(config);
+      case "openai-compatible":
+        return new OpenAICompatibleProvider(config);
+      case "anthropic":
+        return new AnthropicProvider(config);
       default:
         throw new Error(`Unknown provider: ${config.provider}`);
     }
   }
+
+  /**
+   * Creates a provider that retries failed requests according to the
+   * configuration's retry policy and then falls back to its fallback
+   * providers in order
+   * @param config - LLM configuration
+   * @param primary - Already created provider for the configuration itself
+   * @returns Provider wrapping the fallback chain
+   */
+  static createWithFallbacks(
+    config: LLMConfig,
+    primary: BaseLLMProvider = LLMProviderFactory.createProvider(config),
+  ): BaseLLMProvider {
+    const fallbackConfigs: LLMConfig[] = (config.fallbacks ?? [])
+      .filter(
+        (fallback) => fallback.provider !== "hosted-free" && fallback.model,
+      )
+      .map((fallback) => LLMProviderFactory.deriveConfig(config, fallback));
+
+    return new FallbackChainProvider(config, [
+      { provider: primary, config },
+      ...fallbackConfigs.map((fallbackConfig) => ({
+        provider: LLMProviderFactory.createProvider(fallbackConfig),
+        config: fallbackConfig,
+      })),
+    ]);
+  }
+
+  /**
+   * Configurations of the other models of an ensemble, with the primary
+   * configuration's temperature, response length and retry policy. They get
+   * no fallbacks, so each answer comes from the model it is attributed to.
+   * @param config - LLM configuration
+   * @returns Configurations of the extra models (empty when ensemble mode is
+   * off)
+   */
+  static ensembleConfigs(config: LLMConfig): LLMConfig[] {
+    if (!config.ensemble?.enabled) {
+      return [];
+    }
+    return config.ensemble.models
+      .filter((model) => model.provider !== "hosted-free" && model.model)
+      .slice(0, ENSEMBLE_CONFIG.MAX_MODELS)
+      .map((model) => LLMProviderFactory.deriveConfig(config, model));
+  }
+
+  /**
+   * Configuration for another provider/model, inheriting everything but the
+   * connection settings from a primary configuration
+   * @private
+   */
+  private static deriveConfig(
+    config: LLMConfig,
+    model: LLMFallback,
+  ): LLMConfig {
+    return {
+      ...config,
+      ...model,
+      // Never send the primary provider's headers to another server
+      customHeaders: model.customHeaders,
+      contextWindow: null,
+      fallbacks: undefined,
+      ensemble: undefined,
+    };
+  }
 }
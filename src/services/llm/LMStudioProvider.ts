@@ -4,7 +4,9 @@
  */
 
 import { BaseLLMProvider } from './BaseLLMProvider';
-import { ANALYSIS_CONFIG, ERROR_CODES, ERROR_MESSAGES } from '../../utils/constants';
+import type { CompletionOptions } from './BaseLLMProvider';
+import type { ModelPricing } from '../../types';
+import { ERROR_CODES, ERROR_MESSAGES } from '../../utils/constants';
 
 /**
  * LM Studio local provider implementation
@@ -18,7 +20,7 @@ export class LMStudioProvider extends BaseLLMProvider {
     return !!(this.config.model && this.config.baseUrl);
   }
 
-  async complete(prompt: string, options: Record<string, unknown> = {}): Promise<string> {
+  async complete(prompt: string, options: CompletionOptions = {}): Promise<string> {
     if (!this.validateConfig()) {
       throw new Error('Invalid LM Studio configuration');
     }
@@ -26,12 +28,13 @@ export class LMStudioProvider extends BaseLLMProvider {
     const requestBody = {
       model: this.config.model,
       messages: [{ role: 'user', content: prompt }],
-      temperature: (options.temperature as number | undefined) ?? this.config.temperature,
-      max_tokens: (options.maxTokens as number | undefined) ?? this.config.maxTokens,
+      temperature: options.temperature ?? this.config.temperature,
+      max_tokens: options.maxTokens ?? this.config.maxTokens,
+      stream: !!options.onToken,
+      ...(options.onToken && { stream_options: { include_usage: true } }),
     };
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), ANALYSIS_CONFIG.TIMEOUT_MS);
+    const { controller, cleanup } = this.createRequestController(options.signal);
 
     try {
       const response = await fetch(`${this.config.baseUrl}/chat/completions`, {
@@ -43,10 +46,22 @@ export class LMStudioProvider extends BaseLLMProvider {
         signal: controller.signal,
       });
 
-      clearTimeout(timeoutId);
-
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw this.createHttpError(response);
+      }
+
+      if (options.onToken && this.isStreamingResponse(response)) {
+        const content = await this.readStream(
+          response,
+          'sse',
+          (payload) => payload.choices?.[0]?.delta?.content,
+          options.onToken,
+          options.onUsage,
+        );
+        if (!content) {
+          throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_INVALID_RESPONSE]);
+        }
+        return content;
       }
 
       const data = await response.json();
@@ -55,14 +70,24 @@ export class LMStudioProvider extends BaseLLMProvider {
         throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_INVALID_RESPONSE]);
       }
 
+      this.reportUsage(data, options.onUsage);
+      options.onToken?.(data.choices[0].message.content);
       return data.choices[0].message.content;
 
     } catch (err) {
-      clearTimeout(timeoutId);
       if ((err as Error).name === 'AbortError') {
-        throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_TIMEOUT]);
+        throw this.getAbortError(options.signal);
       }
       throw err;
+    } finally {
+      cleanup();
     }
   }
+
+  /**
+   * Local models cost nothing to run
+   */
+  async getPricing(): Promise<ModelPricing | null> {
+    return { promptPerToken: 0, completionPerToken: 0 };
+  }
 }
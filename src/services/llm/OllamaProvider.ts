@@ -4,7 +4,9 @@
  */
 
 import { BaseLLMProvider } from './BaseLLMProvider';
-import { ANALYSIS_CONFIG, ERROR_CODES, ERROR_MESSAGES } from '../../utils/constants';
+import type { CompletionOptions } from './BaseLLMProvider';
+import type { ModelPricing, TokenUsage } from '../../types';
+import { ERROR_CODES, ERROR_MESSAGES } from '../../utils/constants';
 
 /**
  * Ollama local provider implementation
@@ -18,7 +20,7 @@ export class OllamaProvider extends BaseLLMProvider {
     return !!(this.config.model && this.config.baseUrl);
   }
 
-  async complete(prompt: string, options: Record<string, unknown> = {}): Promise<string> {
+  async complete(prompt: string, options: CompletionOptions = {}): Promise<string> {
     if (!this.validateConfig()) {
       throw new Error('Invalid Ollama configuration');
     }
@@ -26,16 +28,16 @@ export class OllamaProvider extends BaseLLMProvider {
     const requestBody = {
       model: this.config.model,
       prompt,
-      stream: false,
+      stream: !!options.onToken,
+      ...(options.responseSchema && { format: options.responseSchema.schema }),
       options: {
-        temperature: (options.temperature as number | undefined) ?? this.config.temperature,
-        num_predict: (options.maxTokens as number | undefined) ?? this.config.maxTokens,
+        temperature: options.temperature ?? this.config.temperature,
+        num_predict: options.maxTokens ?? this.config.maxTokens,
         num_ctx: (this.config as any).contextWindow || 8192,
       },
     };
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), ANALYSIS_CONFIG.TIMEOUT_MS);
+    const { controller, cleanup } = this.createRequestController(options.signal);
 
     try {
       const response = await fetch(`${this.config.baseUrl}/api/generate`, {
@@ -47,10 +49,22 @@ export class OllamaProvider extends BaseLLMProvider {
         signal: controller.signal,
       });
 
-      clearTimeout(timeoutId);
-
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw this.createHttpError(response);
+      }
+
+      if (options.onToken && this.isStreamingResponse(response)) {
+        const content = await this.readStream(
+          response,
+          'ndjson',
+          (payload) => payload.response,
+          options.onToken,
+          options.onUsage,
+        );
+        if (!content) {
+          throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_INVALID_RESPONSE]);
+        }
+        return content;
       }
 
       const data = await response.json();
@@ -59,14 +73,37 @@ export class OllamaProvider extends BaseLLMProvider {
         throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_INVALID_RESPONSE]);
       }
 
+      this.reportUsage(data, options.onUsage);
+      options.onToken?.(data.response);
       return data.response;
 
     } catch (err) {
-      clearTimeout(timeoutId);
       if ((err as Error).name === 'AbortError') {
-        throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_TIMEOUT]);
+        throw this.getAbortError(options.signal);
       }
       throw err;
+    } finally {
+      cleanup();
     }
   }
+
+  /**
+   * Reads the token counts Ollama reports with the final response
+   */
+  protected readUsage(payload: any): Partial<TokenUsage> | undefined {
+    if (payload?.prompt_eval_count === undefined && payload?.eval_count === undefined) {
+      return undefined;
+    }
+    return {
+      promptTokens: payload.prompt_eval_count,
+      completionTokens: payload.eval_count,
+    };
+  }
+
+  /**
+   * Local models cost nothing to run
+   */
+  async getPricing(): Promise<ModelPricing | null> {
+    return { promptPerToken: 0, completionPerToken: 0 };
+  }
 }
@@ -0,0 +1,221 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { OpenAICompatibleProvider } from "./OpenAICompatibleProvider";
+import type { LLMConfig } from "../../types";
+
+const CONFIG: LLMConfig = {
+  provider: "openai-compatible",
+  apiKey: "",
+  model: "Qwen/Qwen2.5-7B-Instruct",
+  baseUrl: "http://localhost:8000/v1/",
+  temperature: 0.7,
+  maxTokens: 4096,
+  customHeaders: { "X-Team": "privacy" },
+};
+
+const jsonResponse = (data: unknown, status = 200) =>
+  new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+describe("OpenAICompatibleProvider", () => {
+  beforeEach(() => {
+    vi.mocked(global.fetch).mockReset();
+  });
+
+  describe("complete", () => {
+    it("posts to the chat completions endpoint with custom headers", async () => {
+      const fetchMock = vi
+        .mocked(global.fetch)
+        .mockResolvedValue(
+          jsonResponse({ choices: [{ message: { content: "Summary" } }] }),
+        );
+      const provider = new OpenAICompatibleProvider(CONFIG);
+
+      const result = await provider.complete("prompt");
+
+      expect(result).toBe("Summary");
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe("http://localhost:8000/v1/chat/completions");
+      expect(init!.headers).toEqual({
+        "Content-Type": "application/json",
+        "X-Team": "privacy",
+      });
+      expect(JSON.parse(init!.body as string)).toMatchObject({
+        model: "Qwen/Qwen2.5-7B-Instruct",
+        messages: [{ role: "user", content: "prompt" }],
+        stream: false,
+      });
+    });
+
+    it("sends the API key as a Bearer token when set", async () => {
+      const fetchMock = vi
+        .mocked(global.fetch)
+        .mockResolvedValue(
+          jsonResponse({ choices: [{ message: { content: "Summary" } }] }),
+        );
+      const provider = new OpenAICompatibleProvider({
+        ...CONFIG,
+        apiKey: "sk-test",
+      });
+
+      await provider.complete("prompt");
+
+      expect(fetchMock.mock.calls[0][1]!.headers).toMatchObject({
+        Authorization: "Bearer sk-test",
+      });
+    });
+
+    it("streams tokens from server-sent events", async () => {
+      vi.mocked(global.fetch).mockResolvedValue(
+        new Response(
+          [
+            'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n',
+            'data: {"choices":[{"delta":{"content":" there"}}]}\n\n',
+            "data: [DONE]\n\n",
+          ].join(""),
+          { status: 200, headers: { "Content-Type": "text/event-stream" } },
+        ),
+      );
+      const onToken = vi.fn();
+
+      const result = await new OpenAICompatibleProvider(CONFIG).complete(
+        "prompt",
+        { onToken },
+      );
+
+      expect(result).toBe("Hello there");
+      expect(onToken.mock.calls).toEqual([["Hello"], [" there"]]);
+    });
+
+    it("reports the token usage of the response", async () => {
+      vi.mocked(global.fetch).mockResolvedValue(
+        jsonResponse({
+          choices: [{ message: { content: "Summary" } }],
+          usage: { prompt_tokens: 1200, completion_tokens: 150 },
+        }),
+      );
+      const onUsage = vi.fn();
+
+      await new OpenAICompatibleProvider(CONFIG).complete("prompt", {
+        onUsage,
+      });
+
+      expect(onUsage).toHaveBeenCalledWith({
+        promptTokens: 1200,
+        completionTokens: 150,
+      });
+    });
+
+    it("asks for the usage of streamed responses", async () => {
+      const fetchMock = vi
+        .mocked(global.fetch)
+        .mockResolvedValue(
+          new Response(
+            [
+              'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n',
+              'data: {"choices":[],"usage":{"prompt_tokens":1200,"completion_tokens":150}}\n\n',
+              "data: [DONE]\n\n",
+            ].join(""),
+            { status: 200, headers: { "Content-Type": "text/event-stream" } },
+          ),
+        );
+      const onUsage = vi.fn();
+
+      await new OpenAICompatibleProvider(CONFIG).complete("prompt", {
+        onToken: vi.fn(),
+        onUsage,
+      });
+
+      expect(
+        JSON.parse(fetchMock.mock.calls[0][1]!.body as string),
+      ).toMatchObject({
+        stream_options: { include_usage: true },
+      });
+      expect(onUsage).toHaveBeenCalledWith({
+        promptTokens: 1200,
+        completionTokens: 150,
+      });
+    });
+
+    it("has no known price", async () => {
+      expect(
+        await new OpenAICompatibleProvider(CONFIG).getPricing(),
+      ).toBeNull();
+    });
+
+    it("reports HTTP errors", async () => {
+      vi.mocked(global.fetch).mockResolvedValue(
+        new Response("", { status: 500, statusText: "Internal Server Error" }),
+      );
+
+      await expect(
+        new OpenAICompatibleProvider(CONFIG).complete("prompt"),
+      ).rejects.toThrow("HTTP 500: Internal Server Error");
+    });
+  });
+
+  describe("listModels", () => {
+    it("lists models with the context windows servers report", async () => {
+      vi.mocked(global.fetch).mockResolvedValue(
+        jsonResponse({
+          data: [
+            { id: "Qwen/Qwen2.5-7B-Instruct", max_model_len: 32768 },
+            { id: "llama", meta: { n_ctx_train: 131072 } },
+            { id: "gpt-4.1" },
+          ],
+        }),
+      );
+
+      const models = await new OpenAICompatibleProvider(CONFIG).listModels();
+
+      expect(models).toEqual([
+        {
+          id: "Qwen/Qwen2.5-7B-Instruct",
+          name: "Qwen/Qwen2.5-7B-Instruct",
+          contextWindow: 32768,
+        },
+        { id: "llama", name: "llama", contextWindow: 131072 },
+        { id: "gpt-4.1", name: "gpt-4.1", contextWindow: undefined },
+      ]);
+      expect(vi.mocked(global.fetch).mock.calls[0][0]).toBe(
+        "http://localhost:8000/v1/models",
+      );
+    });
+  });
+
+  describe("getContextWindow", () => {
+    it("detects the configured model's context window", async () => {
+      vi.mocked(global.fetch).mockResolvedValue(
+        jsonResponse({
+          data: [{ id: "Qwen/Qwen2.5-7B-Instruct", max_model_len: 32768 }],
+        }),
+      );
+
+      await expect(
+        new OpenAICompatibleProvider(CONFIG).getContextWindow(),
+      ).resolves.toBe(32768);
+    });
+
+    it("returns null when the server cannot tell", async () => {
+      vi.mocked(global.fetch).mockRejectedValue(new Error("offline"));
+
+      await expect(
+        new OpenAICompatibleProvider(CONFIG).getContextWindow(),
+      ).resolves.toBeNull();
+    });
+  });
+
+  describe("headers", () => {
+    it("parses and formats header lines", () => {
+      const headers = OpenAICompatibleProvider.parseHeaders(
+        "X-Team: privacy\n\nnot a header\nBad Name: x\nX-Token: a:b ",
+      );
+
+      expect(headers).toEqual({ "X-Team": "privacy", "X-Token": "a:b" });
+      expect(OpenAICompatibleProvider.formatHeaders(headers)).toBe(
+        "X-Team: privacy\nX-Token: a:b",
+      );
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * @file OpenAI-Compatible Provider
+ * @description LLM provider for any server implementing the OpenAI chat
+ * completions API, such as OpenAI itself, vLLM, llama.cpp or LiteLLM
+ */
+
+import { BaseLLMProvider } from './BaseLLMProvider';
+import type { CompletionOptions } from './BaseLLMProvider';
+import type { ProviderModel } from '../../types';
+import { ERROR_CODES, ERROR_MESSAGES } from '../../utils/constants';
+
+/**
+ * Header names allowed in custom headers (RFC 9110 tokens)
+ */
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * OpenAI-compatible provider implementation
+ */
+export class OpenAICompatibleProvider extends BaseLLMProvider {
+  getName(): string {
+    return 'OpenAI-Compatible';
+  }
+
+  validateConfig(): boolean {
+    return !!(this.config.model && this.config.baseUrl);
+  }
+
+  async complete(prompt: string, options: CompletionOptions = {}): Promise<string> {
+    if (!this.validateConfig()) {
+      throw new Error('Invalid OpenAI-compatible server configuration');
+    }
+
+    const requestBody = {
+      model: this.config.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: options.temperature ?? this.config.temperature,
+      max_tokens: options.maxTokens ?? this.config.maxTokens,
+      stream: !!options.onToken,
+      // Ask for token counts in the last event when streaming
+      ...(options.onToken && { stream_options: { include_usage: true } }),
+    };
+
+    const { controller, cleanup } = this.createRequestController(options.signal);
+
+    try {
+      const response = await fetch(`${this.getBaseUrl()}/chat/completions`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(requestBody),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        if (response.status === 401) {
+          throw this.createHttpError(response, ERROR_MESSAGES[ERROR_CODES.INVALID_API_KEY]);
+        }
+        if (response.status === 429) {
+          throw this.createHttpError(response, ERROR_MESSAGES[ERROR_CODES.LLM_RATE_LIMITED]);
+        }
+        throw this.createHttpError(response);
+      }
+
+      if (options.onToken && this.isStreamingResponse(response)) {
+        const content = await this.readStream(
+          response,
+          'sse',
+          (payload) => payload.choices?.[0]?.delta?.content,
+          options.onToken,
+          options.onUsage,
+        );
+        if (!content) {
+          throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_INVALID_RESPONSE]);
+        }
+        return content;
+      }
+
+      const data = await response.json();
+
+      if (!data.choices?.[0]?.message?.content) {
+        throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_INVALID_RESPONSE]);
+      }
+
+      this.reportUsage(data, options.onUsage);
+      options.onToken?.(data.choices[0].message.content);
+      return data.choices[0].message.content;
+
+    } catch (err) {
+      if ((err as Error).name === 'AbortError') {
+        throw this.getAbortError(options.signal);
+      }
+      throw err;
+    } finally {
+      cleanup();
+    }
+  }
+
+  /**
+   * Lists the models served at the configured endpoint
+   * @param signal - Optional abort signal
+   * @returns Models offered by the server
+   */
+  async listModels(signal?: AbortSignal): Promise<ProviderModel[]> {
+    const response = await fetch(`${this.getBaseUrl()}/models`, {
+      headers: this.getHeaders(),
+      signal,
+    });
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        throw this.createHttpError(response, ERROR_MESSAGES[ERROR_CODES.INVALID_API_KEY]);
+      }
+      throw this.createHttpError(response);
+    }
+
+    const data = await response.json();
+    const models: any[] = Array.isArray(data?.data) ? data.data : [];
+
+    return models
+      .filter((model) => typeof model?.id === 'string')
+      .map((model) => ({
+        id: model.id,
+        name: model.name || model.id,
+        contextWindow: this.readContextWindow(model),
+      }));
+  }
+
+  /**
+   * Detects the context window from the server's model listing. Servers
+   * that do not report it (including OpenAI) yield null.
+   * @returns Context window in tokens, or null when unknown
+   */
+  async getContextWindow(): Promise<number | null> {
+    try {
+      const models = await this.listModels();
+      return models.find((model) => model.id === this.config.model)?.contextWindow ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Parses custom headers entered one per line as `Name: value`
+   * @param text - Header lines
+   * @returns Headers by name; lines without a valid name are skipped
+   */
+  static parseHeaders(text: string): Record<string, string> {
+    const headers: Record<string, string> = {};
+
+    for (const line of text.split('\n')) {
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const name = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      if (HEADER_NAME_PATTERN.test(name)) {
+        headers[name] = value;
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Formats custom headers as `Name: value` lines for editing
+   * @param headers - Headers by name
+   * @returns Header lines
+   */
+  static formatHeaders(headers: Record<string, string> = {}): string {
+    return Object.entries(headers)
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('\n');
+  }
+
+  /**
+   * Gets the configured base URL without trailing slashes
+   */
+  private getBaseUrl(): string {
+    return this.config.baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Builds request headers: the API key as a Bearer token when set, plus
+   * any custom headers
+   */
+  private getHeaders(): Record<string, string> {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.config.apiKey && { 'Authorization': `Bearer ${this.config.apiKey}` }),
+      ...this.config.customHeaders,
+    };
+  }
+}
@@ -4,7 +4,9 @@
  */
 
 import { BaseLLMProvider } from './BaseLLMProvider';
-import { ANALYSIS_CONFIG, ERROR_CODES, ERROR_MESSAGES } from '../../utils/constants';
+import type { CompletionOptions } from './BaseLLMProvider';
+import type { ModelPricing } from '../../types';
+import { ERROR_CODES, ERROR_MESSAGES } from '../../utils/constants';
 
 /**
  * OpenRouter API provider implementation
@@ -18,7 +20,7 @@ export class OpenRouterProvider extends BaseLLMProvider {
     return !!(this.config.apiKey && this.config.model && this.config.baseUrl);
   }
 
-  async complete(prompt: string, options: Record<string, unknown> = {}): Promise<string> {
+  async complete(prompt: string, options: CompletionOptions = {}): Promise<string> {
     if (!this.validateConfig()) {
       throw new Error(ERROR_MESSAGES[ERROR_CODES.INVALID_API_KEY]);
     }
@@ -26,12 +28,20 @@ export class OpenRouterProvider extends BaseLLMProvider {
     const requestBody = {
       model: this.config.model,
       messages: [{ role: 'user', content: prompt }],
-      temperature: (options.temperature as number | undefined) ?? this.config.temperature,
-      max_tokens: (options.maxTokens as number | undefined) ?? this.config.maxTokens,
+      temperature: options.temperature ?? this.config.temperature,
+      max_tokens: options.maxTokens ?? this.config.maxTokens,
+      stream: !!options.onToken,
+      // Report tokens and cost, in the last event when streaming
+      usage: { include: true },
+      ...(options.responseSchema && {
+        response_format: {
+          type: 'json_schema',
+          json_schema: { ...options.responseSchema, strict: true },
+        },
+      }),
     };
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), ANALYSIS_CONFIG.TIMEOUT_MS);
+    const { controller, cleanup } = this.createRequestController(options.signal);
 
     try {
       const response = await fetch(`${this.config.baseUrl}/chat/completions`, {
@@ -46,13 +56,25 @@ export class OpenRouterProvider extends BaseLLMProvider {
         signal: controller.signal,
       });
 
-      clearTimeout(timeoutId);
-
       if (!response.ok) {
         if (response.status === 429) {
-          throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_RATE_LIMITED]);
+          throw this.createHttpError(response, ERROR_MESSAGES[ERROR_CODES.LLM_RATE_LIMITED]);
         }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw this.createHttpError(response);
+      }
+
+      if (options.onToken && this.isStreamingResponse(response)) {
+        const content = await this.readStream(
+          response,
+          'sse',
+          (payload) => payload.choices?.[0]?.delta?.content,
+          options.onToken,
+          options.onUsage,
+        );
+        if (!content) {
+          throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_INVALID_RESPONSE]);
+        }
+        return content;
       }
 
       const data = await response.json();
@@ -61,14 +83,41 @@ export class OpenRouterProvider extends BaseLLMProvider {
         throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_INVALID_RESPONSE]);
       }
 
+      this.reportUsage(data, options.onUsage);
+      options.onToken?.(data.choices[0].message.content);
       return data.choices[0].message.content;
 
     } catch (err) {
-      clearTimeout(timeoutId);
       if ((err as Error).name === 'AbortError') {
-        throw new Error(ERROR_MESSAGES[ERROR_CODES.LLM_TIMEOUT]);
+        throw this.getAbortError(options.signal);
       }
       throw err;
+    } finally {
+      cleanup();
+    }
+  }
+
+  /**
+   * Gets the price of the configured model from the OpenRouter model listing
+   * @returns Price per token, or null when the model or its pricing is not listed
+   */
+  async getPricing(): Promise<ModelPricing | null> {
+    try {
+      const response = await fetch(`${this.config.baseUrl}/models`, {
+        headers: { 'Authorization': `Bearer ${this.config.apiKey}` },
+      });
+      if (!response.ok) return null;
+
+      const data = await response.json();
+      const pricing = data.data?.find((model: any) => model.id === this.config.model)?.pricing;
+      const promptPerToken = Number(pricing?.prompt);
+      const completionPerToken = Number(pricing?.completion);
+      if (!Number.isFinite(promptPerToken) || !Number.isFinite(completionPerToken)) {
+        return null;
+      }
+      return { promptPerToken, completionPerToken };
+    } catch {
+      return null;
     }
   }
 }
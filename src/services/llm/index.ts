@@ -7,4 +7,7 @@ export { OpenRouterProvider } from "./OpenRouterProvider";
 export { OllamaProvider } from "./OllamaProvider";
 export { LMStudioProvider } from "./LMStudioProvider";
 export { HostedFreeTierProvider } from "./HostedFreeTierProvider";
+export { OpenAICompatibleProvider } from "./OpenAICompatibleProvider";
+export { AnthropicProvider } from "./AnthropicProvider";
+export { FallbackChainProvider } from "./FallbackChainProvider";
 export { LLMProviderFactory } from "./LLMProviderFactory";
@@ -0,0 +1,198 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { RequestLetters } from './RequestLetters.js';
+import type { RequestLetterOptions } from '../../types';
+
+const options: RequestLetterOptions = {
+  right: 'deletion',
+  jurisdiction: 'gdpr',
+  organization: 'Acme',
+  recipient: 'privacy@acme.example',
+  requesterName: 'Alex Doe',
+  requesterEmail: 'alex@example.com',
+  date: new Date('2025-03-15T12:00:00Z'),
+};
+
+describe('RequestLetters', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('recipients', () => {
+    it('should keep valid email and DPO addresses once each', () => {
+      expect(
+        RequestLetters.recipients([
+          { type: 'email', value: 'privacy@acme.example', purpose: 'Privacy requests' },
+          { type: 'dpo', value: ' dpo@acme.example ', purpose: 'DPO' },
+          { type: 'email', value: 'PRIVACY@acme.example', purpose: 'Duplicate' },
+          { type: 'email', value: 'not an email', purpose: '' },
+          { type: 'address', value: '1 Main St', purpose: '' },
+          { type: 'dpo', value: 'Jane Smith', purpose: '' },
+        ]),
+      ).toEqual(['privacy@acme.example', 'dpo@acme.example']);
+    });
+  });
+
+  describe('generate', () => {
+    it('should cite the provision and deadline of the law', () => {
+      const letter = RequestLetters.generate(options);
+
+      expect(letter.to).toBe('privacy@acme.example');
+      expect(letter.from).toBe('alex@example.com');
+      expect(letter.subject).toBe('Data deletion request under GDPR');
+      expect(letter.body).toContain('March 15, 2025');
+      expect(letter.body).toContain('Dear Acme Privacy Team,');
+      expect(letter.body).toContain(
+        'I make this request under Art. 17 of the General Data Protection Regulation (EU) 2016/679.',
+      );
+      expect(letter.body).toContain(
+        'Please respond within one month of receiving it, as Art. 12(3) of the law requires.',
+      );
+      expect(letter.body).toContain('Name: Alex Doe');
+      expect(letter.body).toMatch(/Yours sincerely,\nAlex Doe$/);
+    });
+
+    it('should only cite the deadline for the rights it applies to', () => {
+      const access = RequestLetters.generate({ ...options, right: 'access', jurisdiction: 'pipeda' });
+      const optOut = RequestLetters.generate({ ...options, right: 'opt-out', jurisdiction: 'pipeda' });
+
+      expect(access.body).toContain('within 30 days of receiving it, as s. 8(3) of the law requires');
+      expect(optOut.body).toContain('under Principle 4.3.8 of the Personal Information');
+      expect(optOut.body).not.toContain('30 days');
+      expect(optOut.body).toContain('Please respond without undue delay.');
+    });
+
+    it('should cite the law without a provision for rights it does not name', () => {
+      const letter = RequestLetters.generate({ ...options, right: 'objection', jurisdiction: 'ccpa' });
+
+      expect(letter.body).toContain(
+        'I make this request under the California Consumer Privacy Act, as amended by the California Privacy Rights Act.',
+      );
+    });
+
+    it('should leave out legal references without a jurisdiction', () => {
+      const letter = RequestLetters.generate({ ...options, jurisdiction: null });
+
+      expect(letter.subject).toBe('Data deletion request');
+      expect(letter.body).not.toContain('I make this request under');
+      expect(letter.body).toContain('Please respond without undue delay.');
+    });
+
+    it('should use placeholders for missing details', () => {
+      const letter = RequestLetters.generate({
+        ...options,
+        organization: '',
+        recipient: 'not an email',
+        requesterName: ' ',
+        requesterEmail: '',
+      });
+
+      expect(letter.to).toBe('');
+      expect(letter.from).toBe('');
+      expect(letter.body).toContain('Dear Privacy Team,');
+      expect(letter.body).toContain('Name: [Your full name]');
+      expect(letter.body).toContain('Email address: [Email address you use with the service]');
+    });
+
+    it('should have a template for every right', () => {
+      for (const right of RequestLetters.rights()) {
+        const letter = RequestLetters.generate({ ...options, right });
+        expect(letter.subject).not.toBe('');
+        expect(RequestLetters.rightLabel(right)).not.toBe('');
+      }
+    });
+  });
+
+  describe('deadline', () => {
+    it('should return the deadline of the rights it applies to', () => {
+      expect(RequestLetters.deadline('gdpr', 'objection')).toEqual({
+        deadline: 'one month',
+        deadlineReference: 'Art. 12(3)',
+      });
+      expect(RequestLetters.deadline('ccpa', 'deletion')?.deadline).toBe('45 days');
+      expect(RequestLetters.deadline('lgpd', 'deletion')).toBeNull();
+      expect(RequestLetters.deadline(null, 'access')).toBeNull();
+    });
+  });
+
+  describe('mailtoUrl', () => {
+    it('should encode the subject and body with CRLF line breaks', () => {
+      const url = RequestLetters.mailtoUrl({
+        to: 'privacy@acme.example',
+        from: '',
+        subject: 'Opt-out & more',
+        body: 'Line one\nLine two',
+      });
+
+      expect(url).toBe(
+        'mailto:privacy@acme.example?subject=Opt-out%20%26%20more&body=Line%20one%0D%0ALine%20two',
+      );
+    });
+
+    it('should leave out an invalid recipient', () => {
+      const url = RequestLetters.mailtoUrl({ to: 'a@b.com?cc=x@y.com', from: '', subject: 'S', body: 'B' });
+
+      expect(url).toBe('mailto:?subject=S&body=B');
+    });
+  });
+
+  describe('toEml', () => {
+    it('should render an unsent message', () => {
+      const eml = RequestLetters.toEml({
+        to: 'privacy@acme.example',
+        from: 'alex@example.com',
+        subject: 'Data access request',
+        body: 'Hello\nBye',
+      });
+
+      expect(eml).toBe(
+        [
+          'To: privacy@acme.example',
+          'From: alex@example.com',
+          'Subject: Data access request',
+          'X-Unsent: 1',
+          'MIME-Version: 1.0',
+          'Content-Type: text/plain; charset=UTF-8',
+          'Content-Transfer-Encoding: 8bit',
+          '',
+          'Hello',
+          'Bye',
+          '',
+        ].join('\r\n'),
+      );
+    });
+
+    it('should keep an edited subject on one header line', () => {
+      const eml = RequestLetters.toEml({
+        to: '',
+        from: '',
+        subject: 'Request\r\nBcc: someone@example.com',
+        body: 'Body',
+      });
+
+      expect(eml).toContain('Subject: Request Bcc: someone@example.com\r\n');
+      expect(eml).not.toMatch(/^Bcc:/m);
+      expect(eml).not.toContain('To:');
+    });
+
+    it('should encode a non-ASCII subject', () => {
+      const eml = RequestLetters.toEml({ to: '', from: '', subject: 'Solicitação', body: 'Corpo' });
+
+      expect(eml).toContain('Subject: =?UTF-8?B?U29saWNpdGHDp8Ojbw==?=');
+    });
+  });
+
+  describe('download', () => {
+    it('should save the letter as an email draft', () => {
+      URL.createObjectURL = vi.fn(() => 'blob:letter');
+      URL.revokeObjectURL = vi.fn();
+      const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      RequestLetters.download({ to: '', from: '', subject: 'S', body: 'B' }, 'eml');
+
+      const link = click.mock.contexts[0] as HTMLAnchorElement;
+      expect(link.download).toMatch(/^privacy-request-\d+\.eml$/);
+      const blob = vi.mocked(URL.createObjectURL).mock.calls[0][0] as Blob;
+      expect(blob.type).toBe('message/rfc822');
+    });
+  });
+});
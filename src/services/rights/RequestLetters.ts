@@ -0,0 +1,254 @@
+/**
+ * @file Request Letters
+ * @description Writes privacy rights requests (access, deletion, opt-out and
+ * so on) from templates, citing the provision and response deadline of the
+ * chosen law
+ *
+ * Letters are written locally, without an LLM call. They can be opened in an
+ * email app, copied, or saved as plain text or as an .eml draft.
+ */
+
+import { ComplianceProfiles } from "../analysis/ComplianceProfiles.js";
+import { downloadFile } from "../../utils/helpers.js";
+import { isSafeEmail } from "../../utils/validation.js";
+import type {
+  ComplianceProfileId,
+  PrivacyContact,
+  PrivacyRight,
+  RequestLetter,
+  RequestLetterOptions,
+  RightsRequestRules,
+} from "../../types/index.js";
+
+/**
+ * Formats letters can be saved in
+ */
+export type RequestLetterFormat = "txt" | "eml";
+
+/**
+ * Rights in the order they are offered, with their labels
+ */
+const RIGHT_LABELS: Record<PrivacyRight, string> = {
+  access: "Access my data",
+  deletion: "Delete my data",
+  portability: "Get a portable copy of my data",
+  "opt-out": "Opt out of sale, sharing and marketing",
+  correction: "Correct my data",
+  objection: "Object to processing",
+  other: "Other request",
+};
+
+const SUBJECTS: Record<PrivacyRight, string> = {
+  access: "Data access request",
+  deletion: "Data deletion request",
+  portability: "Data portability request",
+  "opt-out": "Opt-out request",
+  correction: "Data correction request",
+  objection: "Objection to processing",
+  other: "Privacy request",
+};
+
+/**
+ * What the user asks for, one paragraph per right
+ */
+const REQUESTS: Record<PrivacyRight, string> = {
+  access:
+    "I am writing to request a copy of the personal data you hold about me. Please also tell me why you process it, which categories of data you hold, who you have disclosed it to, how long you will keep it and where you obtained it if not from me.",
+  deletion:
+    "I am writing to request that you delete all personal data you hold about me. Please also ask any third parties you have disclosed it to, including service providers, to delete it.",
+  portability:
+    "I am writing to request a copy of the personal data I have provided to you, in a structured, commonly used and machine-readable format.",
+  "opt-out":
+    "I am writing to opt out of the sale and sharing of my personal data, including for targeted advertising, and to withdraw my consent to receiving marketing. Please stop these uses of my data and tell any third parties you have sold or shared it with.",
+  correction:
+    "I am writing to request that you correct inaccurate personal data you hold about me. The data to correct is: [describe the data and the correction].",
+  objection:
+    "I am writing to object to the processing of my personal data, including any profiling. Please stop processing it unless you can demonstrate compelling legitimate grounds that override my interests.",
+  other:
+    "I am writing to exercise my rights over the personal data you hold about me: [describe your request].",
+};
+
+const NAME_PLACEHOLDER = "[Your full name]";
+const EMAIL_PLACEHOLDER = "[Email address you use with the service]";
+
+/**
+ * Removes line breaks from a header value, so edited subjects cannot add
+ * headers to an .eml file
+ */
+const headerValue = (value: string) => value.replace(/[\r\n]+/g, " ").trim();
+
+/**
+ * Encodes a header value as an RFC 2047 encoded word if it is not ASCII
+ */
+function encodeHeader(value: string): string {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  const bytes = new TextEncoder().encode(value);
+  return `=?UTF-8?B?${btoa(String.fromCharCode(...bytes))}?=`;
+}
+
+/**
+ * Service for writing privacy rights request letters
+ */
+export class RequestLetters {
+  /**
+   * Rights a letter can be written for, in the order they are offered
+   * @returns Rights
+   */
+  static rights(): PrivacyRight[] {
+    return Object.keys(RIGHT_LABELS) as PrivacyRight[];
+  }
+
+  /**
+   * Display label of a right
+   * @param right - Right
+   * @returns Label, e.g. "Delete my data"
+   */
+  static rightLabel(right: PrivacyRight): string {
+    return RIGHT_LABELS[right];
+  }
+
+  /**
+   * Email addresses a request can be sent to, from the policy's contacts
+   * @param contacts - Contacts extracted from the policy
+   * @returns Valid addresses, once each, data protection officers included
+   */
+  static recipients(contacts: PrivacyContact[]): string[] {
+    const addresses = new Map<string, string>();
+    for (const contact of contacts) {
+      const value = contact.value.trim();
+      if (
+        (contact.type === "email" || contact.type === "dpo") &&
+        isSafeEmail(value) &&
+        !addresses.has(value.toLowerCase())
+      ) {
+        addresses.set(value.toLowerCase(), value);
+      }
+    }
+    return Array.from(addresses.values());
+  }
+
+  /**
+   * Response deadline a law sets for a request
+   * @param jurisdiction - Law, or null for none
+   * @param right - Right the request exercises
+   * @returns Deadline and the provision setting it, or null if there is none
+   */
+  static deadline(
+    jurisdiction: ComplianceProfileId | null,
+    right: PrivacyRight,
+  ): Pick<RightsRequestRules, "deadline" | "deadlineReference"> | null {
+    if (!jurisdiction) return null;
+    const { requests } = ComplianceProfiles.get(jurisdiction);
+    if (requests.deadlineRights && !requests.deadlineRights.includes(right)) {
+      return null;
+    }
+    return {
+      deadline: requests.deadline,
+      deadlineReference: requests.deadlineReference,
+    };
+  }
+
+  /**
+   * Writes a request letter. Missing details are left as bracketed
+   * placeholders for the user to fill in.
+   * @param options - Right, law, recipient and requester
+   * @returns The letter
+   */
+  static generate(options: RequestLetterOptions): RequestLetter {
+    const { right, jurisdiction, organization, requesterName, date } = options;
+    const requesterEmail = options.requesterEmail.trim();
+    const signature = requesterName.trim() || NAME_PLACEHOLDER;
+    const addressee = [organization.trim(), "Privacy Team"]
+      .filter(Boolean)
+      .join(" ");
+    const profile = jurisdiction ? ComplianceProfiles.get(jurisdiction) : null;
+
+    const reference = profile?.requests.rights[right];
+    const deadline = this.deadline(jurisdiction, right);
+    const citation = !profile
+      ? ""
+      : reference
+        ? `I make this request under ${reference} of the ${profile.law}.`
+        : `I make this request under the ${profile.law}.`;
+    const response = deadline
+      ? `Please respond within ${deadline.deadline} of receiving it, as ${deadline.deadlineReference} of the law requires.`
+      : "Please respond without undue delay.";
+
+    const body = [
+      new Intl.DateTimeFormat("en-US", { dateStyle: "long" }).format(date),
+      `Dear ${addressee},`,
+      REQUESTS[right],
+      [citation, response].filter(Boolean).join(" "),
+      [
+        "To help you find my records, my details are:",
+        `Name: ${signature}`,
+        `Email address: ${requesterEmail || EMAIL_PLACEHOLDER}`,
+      ].join("\n"),
+      "If you need more information to verify my identity, please let me know promptly and ask only for what is necessary. Please confirm that you have received this request.",
+      `Yours sincerely,\n${signature}`,
+    ].join("\n\n");
+
+    return {
+      to: isSafeEmail(options.recipient) ? options.recipient.trim() : "",
+      from: isSafeEmail(requesterEmail) ? requesterEmail : "",
+      subject: profile
+        ? `${SUBJECTS[right]} under ${profile.name}`
+        : SUBJECTS[right],
+      body,
+    };
+  }
+
+  /**
+   * Link that opens the letter as a new message in the user's email app
+   * @param letter - Letter
+   * @returns mailto: URL
+   */
+  static mailtoUrl(letter: RequestLetter): string {
+    const to = isSafeEmail(letter.to) ? letter.to.trim() : "";
+    const subject = encodeURIComponent(headerValue(letter.subject));
+    const body = encodeURIComponent(letter.body.replace(/\r?\n/g, "\r\n"));
+    return `mailto:${to}?subject=${subject}&body=${body}`;
+  }
+
+  /**
+   * Renders the letter as plain text, with the subject as a heading
+   * @param letter - Letter
+   * @returns Text
+   */
+  static toText(letter: RequestLetter): string {
+    return `Subject: ${headerValue(letter.subject)}\n\n${letter.body}\n`;
+  }
+
+  /**
+   * Renders the letter as an unsent email message (RFC 5322), which email
+   * apps open as a draft
+   * @param letter - Letter
+   * @returns Message source with CRLF line endings
+   */
+  static toEml(letter: RequestLetter): string {
+    const headers = [
+      ...(isSafeEmail(letter.to) ? [`To: ${letter.to.trim()}`] : []),
+      ...(isSafeEmail(letter.from) ? [`From: ${letter.from.trim()}`] : []),
+      `Subject: ${encodeHeader(headerValue(letter.subject))}`,
+      "X-Unsent: 1",
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=UTF-8",
+      "Content-Transfer-Encoding: 8bit",
+    ];
+    return `${headers.join("\r\n")}\r\n\r\n${letter.body.replace(/\r?\n/g, "\r\n")}\r\n`;
+  }
+
+  /**
+   * Saves the letter as a file
+   * @param letter - Letter
+   * @param format - File format
+   */
+  static download(letter: RequestLetter, format: RequestLetterFormat): void {
+    const filename = `privacy-request-${Date.now()}.${format}`;
+    if (format === "eml") {
+      downloadFile(this.toEml(letter), filename, "message/rfc822");
+    } else {
+      downloadFile(this.toText(letter), filename, "text/plain;charset=utf-8");
+    }
+  }
+}
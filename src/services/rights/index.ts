@@ -0,0 +1,6 @@
+/**
+ * @file Rights services barrel export
+ */
+
+export { RequestLetters } from './RequestLetters.js';
+export type { RequestLetterFormat } from './RequestLetters.js';
@@ -0,0 +1,36 @@
+/**
+ * Analysis result fixture for testing
+ */
+
+import type { AnalysisResult } from "../../types";
+
+/**
+ * Creates a complete analysis result with no findings
+ * @param overrides - Fields to replace
+ * @returns Analysis result
+ */
+export const makeAnalysisResult = (
+  overrides: Partial<AnalysisResult> = {},
+): AnalysisResult => ({
+  id: "abc",
+  documentMetadata: {
+    source: "https://example.com/privacy",
+    type: "url",
+    rawText: "",
+  },
+  summary: { brief: "", detailed: "", full: "" },
+  risks: [],
+  keyTerms: [],
+  timestamp: new Date("2025-03-15T12:00:00Z"),
+  llmConfig: {
+    provider: "openrouter",
+    apiKey: "",
+    model: "google/gemini-2.5-flash",
+    baseUrl: "https://openrouter.ai/api/v1",
+    temperature: 0.3,
+    maxTokens: 4000,
+  },
+  partialFailures: [],
+  hasPartialFailures: false,
+  ...overrides,
+});
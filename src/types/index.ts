@@ -6,7 +6,13 @@
 /**
  * Supported LLM providers
  */
-export type LLMProvider = "openrouter" | "ollama" | "lmstudio" | "hosted-free";
+export type LLMProvider =
+  | "openrouter"
+  | "ollama"
+  | "lmstudio"
+  | "hosted-free"
+  | "openai-compatible"
+  | "anthropic";
 
 /**
  * Configuration for LLM provider
@@ -26,12 +32,273 @@ export interface LLMConfig {
   maxTokens: number;
   /** Optional context window override (in tokens). null = auto-detect */
   contextWindow?: number | null;
+  /** Extra HTTP headers sent with every request (OpenAI-compatible servers) */
+  customHeaders?: Record<string, string>;
+  /** How failed requests are retried (defaults from LLM_RETRY_CONFIG) */
+  retryPolicy?: RetryPolicy;
+  /** Providers tried in order when this one keeps failing */
+  fallbacks?: LLMFallback[];
+  /** Other models the risks and scorecard are cross-checked with */
+  ensemble?: EnsembleConfig;
+}
+
+/**
+ * Retry policy for failed LLM requests
+ */
+export interface RetryPolicy {
+  /** Retries per provider before moving on to the next fallback */
+  maxRetries: number;
+  /** Delay before the first retry; doubled after each further retry */
+  baseDelayMs: number;
+}
+
+/**
+ * A provider/model to fall back to. Temperature and response length are
+ * taken from the primary configuration.
+ */
+export interface LLMFallback {
+  provider: LLMProvider;
+  model: string;
+  baseUrl: string;
+  apiKey: string;
+  customHeaders?: Record<string, string>;
+}
+
+/**
+ * Ensemble mode: the risks and scorecard sections also run on other models,
+ * and their answers are merged with the primary model's
+ */
+export interface EnsembleConfig {
+  /** Whether analyses run the ensemble */
+  enabled: boolean;
+  /**
+   * Models run besides the primary one (up to ENSEMBLE_CONFIG.MAX_MODELS).
+   * Temperature and response length are taken from the primary configuration.
+   */
+  models: LLMFallback[];
+  /** Score spread (highest minus lowest, out of 10) above which a category is flagged */
+  disagreementThreshold: number;
+}
+
+/**
+ * A model of an ensemble analysis
+ */
+export interface EnsembleModel {
+  provider: LLMProvider;
+  model: string;
+  /** Ensemble sections the model failed to answer */
+  failures: PartialFailure[];
+}
+
+/**
+ * Which models of an ensemble found a risk
+ */
+export interface EnsembleRiskAgreement {
+  /** ID of the merged risk */
+  riskId: string;
+  /** Indices into `EnsembleReport.models` */
+  models: number[];
+}
+
+/**
+ * How the models of an ensemble scored a scorecard category
+ */
+export interface EnsembleCategoryScores {
+  /** Score of each model, in `EnsembleReport.models` order (null if it gave none) */
+  scores: (number | null)[];
+  /** Highest minus lowest score */
+  spread: number;
+  /** Whether the spread exceeds the disagreement threshold */
+  disagreement: boolean;
+}
+
+/**
+ * Where the models of an ensemble analysis agreed and disagreed
+ */
+export interface EnsembleReport {
+  /** Models that took part, the primary model first */
+  models: EnsembleModel[];
+  /** Models behind each merged risk */
+  risks: EnsembleRiskAgreement[];
+  /** Scores of each category across the models */
+  categories: Partial<Record<ScorecardCategoryKey, EnsembleCategoryScores>>;
+  /** Spread above which a category was flagged */
+  disagreementThreshold: number;
+}
+
+/**
+ * A model offered by a provider's model listing
+ */
+export interface ProviderModel {
+  /** Model identifier to send in requests */
+  id: string;
+  /** Human-readable model name */
+  name: string;
+  /** Context window in tokens, when the provider reports it */
+  contextWindow?: number;
 }
 
 /**
  * Source type for document input
  */
-export type DocumentSourceType = "url" | "pdf" | "file";
+export type DocumentSourceType = "url" | "pdf" | "file" | "text";
+
+/**
+ * Format of an uploaded policy document
+ */
+export type FileFormat = "pdf" | "docx" | "html" | "markdown" | "text";
+
+/**
+ * Source type of an analyzed document
+ * - pdf: uploaded PDF
+ * - file: other uploaded document (Word, HTML, Markdown, text)
+ * - text: pasted text
+ */
+export type AnalysisSourceType = "url" | "pdf" | "file" | "text";
+
+/**
+ * Text extracted from an uploaded file
+ */
+export interface DocumentExtraction {
+  text: string;
+  /** 1-based numbers of PDF pages without a text layer whose text was recognized with OCR */
+  ocrPages: number[];
+}
+
+/**
+ * Block of a structured policy document
+ * - heading: section heading (level 1 is the top level)
+ * - list: bulleted or numbered list
+ * - table: rows of cells; the first row is the header
+ */
+export type DocumentBlock =
+  | { type: "heading"; level: number; text: string }
+  | { type: "paragraph"; text: string }
+  | { type: "list"; ordered: boolean; items: string[] }
+  | { type: "table"; rows: string[][] };
+
+/**
+ * Section heading in the outline (table of contents) of a policy
+ */
+export interface DocumentOutlineEntry {
+  /** Heading text */
+  title: string;
+  /** Heading level (1 is the top level) */
+  level: number;
+  /** Start offset of the heading line in `documentMetadata.rawText` */
+  start: number;
+  /** End offset of the heading line (exclusive) */
+  end: number;
+}
+
+/**
+ * How well the policy text could be separated from the rest of a web page
+ * - good: a main content block with the policy was found
+ * - fair: usable, but worth a look (see the report warnings)
+ * - poor: the text is probably not the policy or is incomplete
+ */
+export type ExtractionQuality = "good" | "fair" | "poor";
+
+/**
+ * Report on how the text of a fetched page was extracted
+ */
+export interface ExtractionReport {
+  /** Whether a main content block was used or the whole page */
+  method: "main-content" | "full-page";
+  quality: ExtractionQuality;
+  /** Characters of page text after removing consent banners and navigation */
+  pageLength: number;
+  /** Characters of the extracted text */
+  contentLength: number;
+  /** Share of the extracted text that is link text (0-1) */
+  linkDensity: number;
+  /** Section headings in the extracted text */
+  headingCount: number;
+  /** Cookie consent banners and dialogs removed */
+  removedConsent: number;
+  /** Menus, navigation, sharing and "related" blocks removed */
+  removedBoilerplate: number;
+  /** Problems the user should check before analysis */
+  warnings: string[];
+}
+
+/**
+ * Text extracted from a fetched web page
+ */
+export interface PageExtraction {
+  /** Main content of the page (analyzed by default) */
+  text: string;
+  /** Whole page without consent banners and navigation */
+  fullText: string;
+  report: ExtractionReport;
+}
+
+/**
+ * Kind of legal page that policy discovery looks for
+ */
+export type PolicyKind = "privacy" | "terms" | "cookies";
+
+/**
+ * Where a discovered policy link was found
+ * - rel: a link marked rel="privacy-policy" or rel="terms-of-service"
+ * - footer: a link in the homepage footer
+ * - link: any other link on the homepage
+ * - well-known: a common path such as /privacy that exists on the site
+ * - sitemap: an entry in the site's sitemap
+ */
+export type PolicyCandidateSource =
+  | "rel"
+  | "footer"
+  | "link"
+  | "well-known"
+  | "sitemap";
+
+/**
+ * A page that may be one of a site's policies
+ */
+export interface PolicyCandidate {
+  url: string;
+  kind: PolicyKind;
+  /** Link text, or the kind's name when there is none */
+  label: string;
+  sources: PolicyCandidateSource[];
+  /** Ranking score (higher is a better match) */
+  score: number;
+}
+
+/**
+ * Policies found on a site, best candidates first
+ */
+export interface PolicyDiscoveryResult {
+  /** Homepage the search started from */
+  homepage: string;
+  candidates: PolicyCandidate[];
+}
+
+/**
+ * State of a policy search shown to the user
+ */
+export interface PolicyDiscoveryState {
+  status: "idle" | "loading" | "ready" | "error";
+  /** Homepage being searched */
+  homepage: string | null;
+  candidates: PolicyCandidate[];
+  error: string | null;
+}
+
+/**
+ * Progress of OCR on the image-only pages of a PDF
+ */
+export interface OCRProgress {
+  /** 1-based number of the page being recognized */
+  page: number;
+  /** Position of the page among the pages that need OCR (1-based) */
+  current: number;
+  /** Number of pages that need OCR */
+  total: number;
+  /** Recognition progress of the current page (0-1) */
+  progress: number;
+}
 
 /**
  * Metadata for document input
@@ -45,8 +312,10 @@ export interface DocumentMetadata {
   mimeType?: string;
   /** Fetch timestamp */
   fetchedAt?: Date;
-  /** Input mode (url or file) */
+  /** Input mode (url, file or text) */
   inputMode?: string;
+  /** Name given to pasted text */
+  title?: string;
   /** Timestamp as ISO string */
   timestamp?: string;
 }
@@ -78,13 +347,28 @@ export type AnalysisStatus =
   | "analyzing"
   | "completed"
   | "error"
-  | "failed";
+  | "failed"
+  | "cancelled";
 
 /**
  * Severity level for privacy risks
  */
 export type RiskLevel = "low" | "medium" | "high" | "critical";
 
+/**
+ * Verbatim policy passage cited as evidence for a finding
+ */
+export interface Citation {
+  /** Quote as given by the model */
+  quote: string;
+  /** Whether the quote was found in the policy text */
+  verified: boolean;
+  /** Start offset of the passage in `documentMetadata.rawText` (verified quotes only) */
+  start?: number;
+  /** End offset of the passage (exclusive) */
+  end?: number;
+}
+
 /**
  * Identified privacy risk
  */
@@ -101,6 +385,8 @@ export interface PrivacyRisk {
   location: string;
   /** Recommendation for the user */
   recommendation?: string;
+  /** Supporting policy passages (absent for analyses made before citations) */
+  citations?: Citation[];
 }
 
 /**
@@ -113,6 +399,8 @@ export interface KeyTerm {
   definition: string;
   /** Location in the document */
   location?: string;
+  /** Supporting policy passages (absent for analyses made before citations) */
+  citations?: Citation[];
 }
 
 /**
@@ -139,6 +427,8 @@ export interface ScorecardCategory {
   score: number;
   weight: number;
   summary: string;
+  /** Supporting policy passages (absent for analyses made before citations) */
+  citations?: Citation[];
 }
 
 /**
@@ -188,19 +478,24 @@ export interface PrivacyContact {
   purpose: string;
 }
 
+/**
+ * Privacy right a user can exercise
+ */
+export type PrivacyRight =
+  | "access"
+  | "deletion"
+  | "portability"
+  | "opt-out"
+  | "correction"
+  | "objection"
+  | "other";
+
 /**
  * Step-by-step procedure for exercising a privacy right
  */
 export interface PrivacyProcedure {
   /** The right this procedure exercises */
-  right:
-    | "access"
-    | "deletion"
-    | "portability"
-    | "opt-out"
-    | "correction"
-    | "objection"
-    | "other";
+  right: PrivacyRight;
   /** Human-readable title */
   title: string;
   /** Simplified step-by-step instructions */
@@ -225,6 +520,248 @@ export interface PrivacyRightsInfo {
   hasActionableInfo: boolean;
 }
 
+/**
+ * Laws with a compliance checklist
+ */
+export type ComplianceProfileId = "gdpr" | "ccpa" | "lgpd" | "pipeda";
+
+/**
+ * A disclosure a law requires a privacy policy to make
+ */
+export interface ComplianceRequirement {
+  /** Identifier, unique within its profile */
+  id: string;
+  /** Short name shown in the checklist */
+  label: string;
+  /** What the policy must disclose, as explained to the model */
+  description: string;
+  /** Article or section of the law */
+  reference: string;
+}
+
+/**
+ * Jurisdiction profile: the disclosures one law requires
+ */
+export interface ComplianceProfile {
+  id: ComplianceProfileId;
+  /** Short name, e.g. "GDPR" */
+  name: string;
+  /** Full name of the law */
+  law: string;
+  /** Where the law applies */
+  jurisdiction: string;
+  requirements: ComplianceRequirement[];
+  /** How the law governs requests to exercise privacy rights */
+  requests: RightsRequestRules;
+}
+
+/**
+ * Statutory basis and response deadline of privacy rights requests under one
+ * law, cited in request letters
+ */
+export interface RightsRequestRules {
+  /** Time the organization has to respond, e.g. "one month" */
+  deadline: string;
+  /** Article or section setting the deadline */
+  deadlineReference: string;
+  /** Rights the deadline applies to (all rights when omitted) */
+  deadlineRights?: PrivacyRight[];
+  /** Article or section granting each right (rights the law lacks are omitted) */
+  rights: Partial<Record<PrivacyRight, string>>;
+}
+
+/**
+ * Details a privacy rights request letter is written from
+ */
+export interface RequestLetterOptions {
+  /** Right to exercise */
+  right: PrivacyRight;
+  /** Law to cite, or null for a letter without statutory references */
+  jurisdiction: ComplianceProfileId | null;
+  /** Organization the request is sent to (empty if unknown) */
+  organization: string;
+  /** Email address the request is sent to (empty if unknown) */
+  recipient: string;
+  /** Name of the person making the request */
+  requesterName: string;
+  /** Email address the person uses with the organization */
+  requesterEmail: string;
+  /** Date of the letter */
+  date: Date;
+}
+
+/**
+ * Privacy rights request, ready to send by email or post
+ */
+export interface RequestLetter {
+  /** Email address to send to (empty if unknown) */
+  to: string;
+  /** Requester's email address (empty if not given) */
+  from: string;
+  subject: string;
+  body: string;
+}
+
+/**
+ * How fully a policy makes a required disclosure
+ */
+export type ComplianceStatus = "present" | "partial" | "missing";
+
+/**
+ * Assessment of one requirement
+ */
+export interface ComplianceCheck {
+  /** Requirement ID within the profile */
+  requirementId: string;
+  label: string;
+  reference: string;
+  status: ComplianceStatus;
+  /** What the policy says about the requirement, or what it lacks */
+  evidence: string;
+  /** Policy passages the assessment is based on */
+  citations?: Citation[];
+}
+
+/**
+ * Checklist of one jurisdiction profile, with a check per requirement in
+ * the profile's order
+ */
+export interface ComplianceChecklist {
+  profile: ComplianceProfileId;
+  checks: ComplianceCheck[];
+}
+
+/**
+ * Kind of party personal data is disclosed to
+ */
+export type DataRecipientType =
+  | "service-provider"
+  | "advertiser"
+  | "analytics"
+  | "affiliate"
+  | "data-broker"
+  | "social-media"
+  | "government"
+  | "business-transfer"
+  | "public"
+  | "other";
+
+/**
+ * Party a data category is disclosed to: a named third party or, when the
+ * policy names none, a type of recipient
+ */
+export interface DataRecipient {
+  /** Company name, or a description such as "Advertising partners" */
+  name: string;
+  type: DataRecipientType;
+}
+
+/**
+ * What the policy says happens to one category of personal data
+ */
+export interface DataFlow {
+  /** Unique identifier for the flow */
+  id: string;
+  /** Data category, e.g. "Location data" */
+  category: string;
+  /** Where the data comes from, e.g. "You", "Your device", "Partners" */
+  sources: string[];
+  /** Why the data is processed */
+  purposes: string[];
+  /** Who the data is disclosed to (empty if it is not shared) */
+  recipients: DataRecipient[];
+  /** Legal bases the policy states, e.g. "Consent" */
+  legalBases: string[];
+  /** Retention period, or "" if the policy does not state one */
+  retention: string;
+  /** Supporting policy passages */
+  citations?: Citation[];
+}
+
+/**
+ * Scorecard category keys (excludes aggregate fields)
+ */
+export type ScorecardCategoryKey = keyof Omit<
+  PrivacyScorecard,
+  "topConcerns" | "positiveAspects" | "overallScore" | "overallGrade"
+>;
+
+/**
+ * Evidence gathered per scorecard category during chunked analysis
+ */
+export type ScorecardEvidence = Record<ScorecardCategoryKey, string[]>;
+
+/**
+ * Names of the standard analysis sections, as reported in partial failures
+ */
+export type AnalysisSectionName =
+  | "brief summary"
+  | "detailed summary"
+  | "full analysis"
+  | "privacy risks"
+  | "key terms"
+  | "privacy scorecard"
+  | "take action"
+  | "data flows";
+
+/**
+ * Question added to an analysis profile and answered from the policy
+ */
+export interface CustomAspect {
+  /** Identifier, unique within its profile */
+  id: string;
+  /** Short name shown with the answer, e.g. "Children's data" */
+  name: string;
+  /** Question or instructions for the model */
+  prompt: string;
+}
+
+/**
+ * Saved choice of the sections an analysis runs, extra questions to ask
+ * and how the scorecard categories are weighted
+ */
+export interface AnalysisProfile {
+  id: string;
+  name: string;
+  /** Standard sections to run, in any order (the brief summary always runs) */
+  sections: AnalysisSectionName[];
+  /** Extra questions, each answered in its own section */
+  aspects: CustomAspect[];
+  /** Relative weight of each scorecard category */
+  weights: Record<ScorecardCategoryKey, number>;
+}
+
+/**
+ * Answer to a custom aspect of an analysis profile
+ */
+export interface AspectAnswer {
+  /** Aspect ID within the profile */
+  aspectId: string;
+  name: string;
+  /** Question that was asked */
+  prompt: string;
+  /** Answer in markdown */
+  answer: string;
+}
+
+/**
+ * Findings extracted from a single chunk in map-reduce analysis
+ */
+export interface ChunkExtraction {
+  /** Short summary of the chunk's content */
+  summary: string;
+  /** Risks found in the chunk */
+  risks: PrivacyRisk[];
+  /** Key terms defined in the chunk */
+  keyTerms: KeyTerm[];
+  /** Statements relevant to each scorecard category */
+  scorecardEvidence: ScorecardEvidence;
+  /** Actionable privacy rights info found in the chunk */
+  privacyRights: PrivacyRightsInfo;
+  /** Data flows described in the chunk */
+  dataFlows: DataFlow[];
+}
+
 /**
  * Partial failure from Promise.allSettled analysis
  */
@@ -233,18 +770,165 @@ export interface PartialFailure {
   error: string;
 }
 
+/**
+ * A section whose structured response did not match its JSON Schema and was
+ * sent back to the model for repair
+ */
+export interface SectionRepair {
+  section: string;
+  /** Repair requests made */
+  attempts: number;
+  /** Whether the final response matched the schema */
+  resolved: boolean;
+}
+
+/**
+ * JSON Schema subset used to describe and validate structured LLM responses
+ */
+export interface JsonSchema {
+  type?: "object" | "array" | "string" | "number" | "integer" | "boolean";
+  description?: string;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  additionalProperties?: boolean;
+  items?: JsonSchema;
+  enum?: string[];
+  minimum?: number;
+  maximum?: number;
+  maxItems?: number;
+}
+
+/**
+ * Named JSON Schema a structured LLM response must match. Sent to providers
+ * that can constrain their output to it.
+ */
+export interface ResponseSchema {
+  /** Schema name (letters, digits, "_" and "-") */
+  name: string;
+  schema: JsonSchema;
+}
+
+/**
+ * Tokens used by one LLM request, and its cost when the provider reports it
+ */
+export interface TokenUsage {
+  promptTokens: number;
+  completionTokens: number;
+  /** Cost in USD (reported by OpenRouter) */
+  cost?: number;
+}
+
+/**
+ * Usage of one section request of an analysis
+ */
+export interface SectionUsage extends TokenUsage {
+  /** Section name; schema repairs are recorded as "<section> repair" */
+  section: string;
+  /** Time until the response was complete, in milliseconds */
+  latencyMs: number;
+  /**
+   * Whether the token counts were reported by the provider. Counts the
+   * provider did not report are estimated from the text length.
+   */
+  reported: boolean;
+}
+
+/**
+ * Usage of an analysis: every section request and their totals
+ */
+export interface AnalysisUsage {
+  calls: SectionUsage[];
+  promptTokens: number;
+  completionTokens: number;
+  /** Total cost in USD (set only when the provider reported costs) */
+  cost?: number;
+  /** Wall-clock time of the LLM requests, in milliseconds */
+  latencyMs: number;
+}
+
+/**
+ * Price of a model in USD per token
+ */
+export interface ModelPricing {
+  promptPerToken: number;
+  completionPerToken: number;
+}
+
+/**
+ * Expected usage of analyzing a text, shown before the analysis starts
+ */
+export interface UsageEstimate {
+  /** Number of LLM requests */
+  requests: number;
+  promptTokens: number;
+  completionTokens: number;
+  /** Expected cost in USD, or null when the model's pricing is unknown */
+  cost: number | null;
+}
+
+/**
+ * Section responses of an analysis, stored so the same text analyzed again
+ * with the same prompts and model does not cost new LLM calls
+ */
+export interface ResponseCacheEntry {
+  /** Hash of the prompt version, provider, model, temperature and text */
+  key: string;
+  /** When the first response was cached (ms since epoch) */
+  createdAt: number;
+  /** Raw responses by section name */
+  sections: Record<string, string>;
+  /** Schema repairs made to the cached responses */
+  repairs: SectionRepair[];
+}
+
+/**
+ * Lightweight history record used for listing and filtering past analyses
+ */
+export interface HistoryEntry {
+  id: string;
+  /** Analysis time in milliseconds since epoch */
+  timestamp: number;
+  /** URL or filename that was analyzed */
+  source: string;
+  /** Hostname for URL sources, empty for uploads */
+  domain: string;
+  title: string;
+  /** Letter grade from the scorecard, if one was produced */
+  grade: string | null;
+  overallScore: number | null;
+  riskCount: number;
+  /** Approximate stored size in bytes */
+  size: number;
+}
+
+/**
+ * Filters for the history browser
+ */
+export interface HistoryFilter {
+  /** Matched against domain, title and source */
+  query?: string;
+  /** Grade letters to include (e.g. ["A", "B"]); empty means all */
+  grades?: string[];
+  /** Inclusive lower bound in milliseconds since epoch */
+  from?: number;
+  /** Inclusive upper bound in milliseconds since epoch */
+  to?: number;
+}
+
 /**
  * Document metadata in analysis result
  */
 export interface AnalysisDocumentMetadata {
   source: string;
-  type: "url" | "pdf";
+  type: AnalysisSourceType;
   rawText: string;
   file?: {
     name: string;
     size: number;
     type: string;
   };
+  /** PDF pages whose text was recognized with OCR and may contain errors */
+  ocrPages?: number[];
 }
 
 /**
@@ -274,6 +958,14 @@ export interface AnalysisResult {
   scorecard?: PrivacyScorecard | null;
   /** Actionable privacy rights info (null if unavailable) */
   privacyRights?: PrivacyRightsInfo | null;
+  /** Compliance checklists of the jurisdiction profiles that were selected */
+  compliance?: ComplianceChecklist[];
+  /** Who receives each category of personal data, and why */
+  dataFlows?: DataFlow[];
+  /** Answers to the custom aspects of the analysis profile */
+  aspects?: AspectAnswer[];
+  /** Analysis profile the analysis ran with (absent for older analyses) */
+  profile?: AnalysisProfile;
   /** When the analysis was completed */
   timestamp: Date;
   /** LLM configuration used */
@@ -282,6 +974,380 @@ export interface AnalysisResult {
   partialFailures: PartialFailure[];
   /** Whether there were any partial failures */
   hasPartialFailures: boolean;
+  /** Number of chunks analyzed (set only for map-reduce analysis) */
+  chunkCount?: number;
+  /** Sections whose structured response needed a schema repair */
+  repairs?: SectionRepair[];
+  /**
+   * When the cached section responses reused by this analysis were
+   * generated (ms since epoch; set only when the response cache was used)
+   */
+  cachedAt?: number;
+  /** Sections whose response came from the response cache */
+  cachedSections?: string[];
+  /** Tokens, cost and latency of the LLM requests made by this analysis */
+  usage?: AnalysisUsage;
+  /**
+   * How the models agreed on the risks and scorecard (set only when the
+   * analysis ran in ensemble mode)
+   */
+  ensemble?: EnsembleReport;
+}
+
+/**
+ * Formats an analysis can be exported to
+ * - pdf/html/markdown: formatted reports
+ * - csv: spreadsheet of risks and key terms
+ * - json: portable analysis bundle
+ * - json-with-text: bundle including the extracted policy text
+ */
+export type ExportFormat =
+  | "pdf"
+  | "html"
+  | "markdown"
+  | "csv"
+  | "json"
+  | "json-with-text";
+
+/**
+ * Block of summary text parsed from markdown
+ */
+export interface ReportBlock {
+  type: "heading" | "paragraph" | "bullet" | "numbered";
+  /** Text with inline markdown removed */
+  content: string;
+  /** Heading level (1-4) */
+  level?: number;
+}
+
+/**
+ * Scorecard category as shown in reports
+ */
+export interface ReportScorecardCategory {
+  key: ScorecardCategoryKey;
+  label: string;
+  /** Weight in percent */
+  weight: number;
+  /** Score from 1 to 10 */
+  score: number;
+  summary: string;
+}
+
+/**
+ * Privacy risk as shown in reports
+ */
+export interface ReportRisk extends PrivacyRisk {
+  /** Display label, e.g. "Higher Risk" */
+  severityLabel: string;
+}
+
+/**
+ * Compliance checklist as shown in reports
+ */
+export interface ReportCompliance {
+  /** Short name of the law, e.g. "GDPR" */
+  name: string;
+  /** Full name of the law */
+  law: string;
+  jurisdiction: string;
+  /** Number of requirements per status */
+  counts: Record<ComplianceStatus, number>;
+  checks: (ComplianceCheck & {
+    /** Display label, e.g. "Partially disclosed" */
+    statusLabel: string;
+  })[];
+}
+
+/**
+ * Data flow as shown in reports
+ */
+export interface ReportDataFlow extends DataFlow {
+  /** Recipients with their type, e.g. "Google (Analytics)" */
+  recipientLabels: string[];
+}
+
+/**
+ * Answer to a custom aspect as shown in reports
+ */
+export interface ReportAspect {
+  name: string;
+  /** Question that was asked */
+  prompt: string;
+  /** Answer in markdown */
+  markdown: string;
+  /** Answer parsed into blocks for formats without markdown support */
+  blocks: ReportBlock[];
+}
+
+/**
+ * Format-independent sections of an analysis report, shared by all exporters
+ */
+export interface AnalysisReport {
+  title: string;
+  source: string;
+  /** Formatted analysis date */
+  analyzedAt: string;
+  scorecard: {
+    grade: string;
+    score: number;
+    categories: ReportScorecardCategory[];
+    topConcerns: string[];
+    positiveAspects: string[];
+  } | null;
+  summary: {
+    /** Most detailed summary available */
+    markdown: string;
+    blocks: ReportBlock[];
+  };
+  /** Risks sorted from most to least severe */
+  risks: ReportRisk[];
+  keyTerms: KeyTerm[];
+  /** Present only when the policy has actionable rights information */
+  privacyRights: PrivacyRightsInfo | null;
+  /** Compliance checklists (empty when none were requested) */
+  compliance: ReportCompliance[];
+  /** Data flows (empty when none were extracted) */
+  dataFlows: ReportDataFlow[];
+  /** Answers to custom aspects (empty when the profile has none) */
+  aspects: ReportAspect[];
+  /** LLM usage of the analysis (null for results without usage data) */
+  usage: AnalysisUsage | null;
+}
+
+/**
+ * Portable, versioned JSON export of an analysis (see docs/ANALYSIS-BUNDLE.md)
+ */
+export interface AnalysisBundle {
+  /** Always "privacy-distiller/analysis" */
+  format: string;
+  /** Schema version */
+  version: number;
+  /** ISO 8601 export time */
+  exportedAt: string;
+  analysis: {
+    id: string;
+    /** ISO 8601 analysis time */
+    timestamp: string;
+    source: string;
+    sourceType: AnalysisSourceType;
+    file?: AnalysisDocumentMetadata["file"];
+    ocrPages?: number[];
+    /** Extracted policy text (only when exported with includeRawText) */
+    rawText?: string;
+    summary: AnalysisSummary;
+    risks: PrivacyRisk[];
+    keyTerms: KeyTerm[];
+    scorecard: PrivacyScorecard | null;
+    privacyRights: PrivacyRightsInfo | null;
+    /** Compliance checklists, if any were requested */
+    compliance?: ComplianceChecklist[];
+    /** Data flows, if they were extracted */
+    dataFlows?: DataFlow[];
+    /** Answers to the custom aspects of the analysis profile */
+    aspects?: AspectAnswer[];
+    /** Analysis profile the analysis ran with */
+    profile?: AnalysisProfile;
+    partialFailures: PartialFailure[];
+    chunkCount?: number;
+    /** Tokens, cost and latency of the analysis requests */
+    usage?: AnalysisUsage;
+    /**
+     * Ensemble report; risks are referred to by their index in `risks`,
+     * since risk IDs are not kept
+     */
+    ensemble?: Omit<EnsembleReport, "risks"> & {
+      risks: Array<{ risk: number; models: number[] }>;
+    };
+    /** Model that produced the analysis (never includes API keys) */
+    model: {
+      provider: LLMProvider;
+      name: string;
+    };
+  };
+}
+
+/**
+ * A clause in a policy-version diff
+ * - added/removed: present in only one version
+ * - modified: reworded clause (`previousText` holds the earlier wording)
+ */
+export interface ClauseChange {
+  type: "added" | "removed" | "modified" | "unchanged";
+  /** Clause text (the later wording for modified clauses) */
+  text: string;
+  /** Earlier wording of a modified clause */
+  previousText?: string;
+}
+
+/**
+ * A risk whose severity differs between two policy versions
+ */
+export interface RiskSeverityChange {
+  previous: PrivacyRisk;
+  current: PrivacyRisk;
+}
+
+/**
+ * Score change for one scorecard category between two policy versions
+ */
+export interface ScorecardDelta {
+  category: ScorecardCategoryKey;
+  label: string;
+  /** Earlier score (null if unavailable) */
+  previousScore: number | null;
+  /** Later score (null if unavailable) */
+  currentScore: number | null;
+  /** currentScore - previousScore (null if either is unavailable) */
+  delta: number | null;
+}
+
+/**
+ * Differences between two analyses of the same service
+ */
+export interface PolicyComparison {
+  /** Earlier analysis ID */
+  previousId: string;
+  /** Later analysis ID */
+  currentId: string;
+  /** Clause-by-clause diff (empty when either policy text is missing) */
+  clauses: ClauseChange[];
+  /** Whether both analyses kept their policy text */
+  hasText: boolean;
+  /** Risks only present in the later analysis */
+  addedRisks: PrivacyRisk[];
+  /** Risks only present in the earlier analysis */
+  removedRisks: PrivacyRisk[];
+  /** Risks present in both with a different severity */
+  severityChanges: RiskSeverityChange[];
+  /** Per-category scorecard changes */
+  scorecardDeltas: ScorecardDelta[];
+  /** Overall score change (null if either scorecard lacks one) */
+  overallScoreDelta: number | null;
+}
+
+/**
+ * How well a policy explains exercising privacy rights
+ */
+export interface RightsCoverage {
+  /** Rights with a documented procedure */
+  rights: PrivacyProcedure["right"][];
+  /** Number of links to privacy settings or request forms */
+  links: number;
+  /** Number of privacy contacts */
+  contacts: number;
+}
+
+/**
+ * One service's column in a multi-service comparison
+ */
+export interface ServiceComparisonEntry {
+  /** Analysis ID */
+  id: string;
+  /** Service name (domain or file name) */
+  name: string;
+  /** Policy URL or file name */
+  source: string;
+  /** Overall score (null without a scorecard) */
+  overallScore: number | null;
+  /** Overall grade (null without a scorecard) */
+  overallGrade: string | null;
+  /** Score per scorecard category (null without a scorecard) */
+  categoryScores: Record<ScorecardCategoryKey, number | null>;
+  /** Number of critical risks */
+  criticalRisks: number;
+  /** Number of high risks */
+  highRisks: number;
+  /** Titles of the critical and high risks, most severe first */
+  topRisks: string[];
+  /** Rights coverage from the privacy rights info */
+  rightsCoverage: RightsCoverage;
+}
+
+/**
+ * Side-by-side comparison of the policies of several services
+ */
+export interface ServiceComparison {
+  /** Compared services, in input order */
+  services: ServiceComparisonEntry[];
+  /** IDs of the best services per matrix row (ties share a row) */
+  leaders: Record<ScorecardCategoryKey | "overall" | "risks" | "rights", string[]>;
+}
+
+/**
+ * Outcome of analyzing one service's policy in a multi-service comparison
+ */
+export interface ServiceAnalysisOutcome {
+  /** Document that was analyzed */
+  document: DocumentInput;
+  /** Analysis result (null if the analysis failed) */
+  result: AnalysisResult | null;
+  /** Error message if the analysis failed */
+  error: string | null;
+}
+
+/**
+ * Result of a multi-service comparison run
+ */
+export interface ServiceComparisonRun {
+  /** One outcome per document, in input order */
+  outcomes: ServiceAnalysisOutcome[];
+  /** Comparison of the successful analyses (null if fewer than two succeeded) */
+  comparison: ServiceComparison | null;
+  /** Model-written recommendation (null if not generated) */
+  recommendation: string | null;
+  /** Error message if the recommendation failed */
+  recommendationError: string | null;
+}
+
+/**
+ * Status of one URL in the batch analysis queue
+ */
+export type BatchItemStatus =
+  | "pending"
+  | "running"
+  | "retrying"
+  | "done"
+  | "error";
+
+/**
+ * One URL in the batch analysis queue
+ */
+export interface BatchItem {
+  id: string;
+  url: string;
+  status: BatchItemStatus;
+  /** Number of analysis attempts made so far */
+  attempts: number;
+  /** Error message of the last failed attempt */
+  error: string | null;
+  /** When the next attempt starts (ISO timestamp, while retrying) */
+  retryAt: string | null;
+  /** ID of the analysis saved to history once done */
+  resultId: string | null;
+  overallScore: number | null;
+  overallGrade: string | null;
+  criticalRisks: number | null;
+  highRisks: number | null;
+}
+
+/**
+ * User-configurable batch run settings
+ */
+export interface BatchSettings {
+  /** Number of URLs analyzed at the same time */
+  concurrency: number;
+  /** Additional attempts after a failed analysis */
+  maxRetries: number;
+}
+
+/**
+ * Batch queue as persisted between page loads
+ */
+export interface BatchQueueState {
+  version: number;
+  items: BatchItem[];
+  settings: BatchSettings;
+  createdAt: string;
 }
 
 /**
@@ -2,13 +2,19 @@
  * @file Application constants
  */
 
-import type { LLMProvider } from "../types";
+import type {
+  DataRecipientType,
+  LLMProvider,
+  ScorecardCategoryKey,
+} from "../types";
 
 interface ProviderConfig {
   id: LLMProvider;
   name: string;
   baseUrl: string;
   requiresApiKey: boolean;
+  /** Whether an API key can be entered even though it is not required */
+  acceptsApiKey?: boolean;
   defaultModels: string[];
 }
 
@@ -17,6 +23,8 @@ interface LLMProviders {
   OLLAMA: ProviderConfig;
   LMSTUDIO: ProviderConfig;
   HOSTED_FREE: ProviderConfig;
+  OPENAI_COMPATIBLE: ProviderConfig;
+  ANTHROPIC: ProviderConfig;
   [key: string]: ProviderConfig | undefined;
 }
 
@@ -44,6 +52,8 @@ interface FileConstraints {
   ALLOWED_TYPES: string[];
   ALLOWED_EXTENSIONS: string[];
   PDF_MAGIC_BYTES: number[];
+  ZIP_MAGIC_BYTES: number[];
+  SNIFF_BYTES: number;
 }
 
 interface URLConstraints {
@@ -58,6 +68,7 @@ interface TextProcessing {
   MIN_DOCUMENT_LENGTH: number;
   CHUNK_SIZE: number;
   CHUNK_OVERLAP: number;
+  MIN_CHUNK_SIZE: number;
 }
 
 interface AnalysisConfig {
@@ -66,6 +77,24 @@ interface AnalysisConfig {
   RETRY_DELAY_MS: number;
 }
 
+interface HistoryConfig {
+  DB_NAME: string;
+  DB_VERSION: number;
+  MAX_ENTRIES: number;
+  QUOTA_USAGE_LIMIT: number;
+  EVICTION_BATCH: number;
+}
+
+interface BatchConfig {
+  MAX_ITEMS: number;
+  DEFAULT_CONCURRENCY: number;
+  MAX_CONCURRENCY: number;
+  DEFAULT_MAX_RETRIES: number;
+  MAX_RETRIES: number;
+  RETRY_BASE_DELAY_MS: number;
+  RETRY_MAX_DELAY_MS: number;
+}
+
 interface RiskLevelConfig {
   value: string;
   label: string;
@@ -87,6 +116,7 @@ interface AnalysisStatusConstants {
   COMPLETED: "completed";
   ERROR: "error";
   FAILED: "failed";
+  CANCELLED: "cancelled";
 }
 
 interface SummaryTypeConfig {
@@ -106,6 +136,8 @@ interface StorageKeys {
   LLM_CONFIG_TIMESTAMP: string;
   ANALYSIS_HISTORY: string;
   USER_PREFERENCES: string;
+  BATCH_QUEUE: string;
+  ANALYSIS_PROFILES: string;
 }
 
 interface ErrorCodes {
@@ -114,6 +146,7 @@ interface ErrorCodes {
   FILE_TOO_LARGE: string;
   INVALID_API_KEY: string;
   PDF_EXTRACTION_FAILED: string;
+  OCR_FAILED: string;
   URL_FETCH_FAILED: string;
   DOCUMENT_TOO_LONG: string;
   DOCUMENT_TOO_SHORT: string;
@@ -170,6 +203,21 @@ export const LLM_PROVIDERS: LLMProviders = {
     requiresApiKey: false,
     defaultModels: ["local-model"],
   },
+  OPENAI_COMPATIBLE: {
+    id: "openai-compatible",
+    name: "OpenAI-Compatible",
+    baseUrl: "http://localhost:8000/v1", // vLLM default; llama.cpp uses :8080
+    requiresApiKey: false,
+    acceptsApiKey: true, // Sent as a Bearer token when set
+    defaultModels: [],
+  },
+  ANTHROPIC: {
+    id: "anthropic",
+    name: "Anthropic",
+    baseUrl: "https://api.anthropic.com/v1",
+    requiresApiKey: true,
+    defaultModels: ["claude-sonnet-4-5", "claude-haiku-4-5", "claude-opus-4-1"],
+  },
 };
 
 // Default LLM configuration
@@ -187,6 +235,7 @@ export const DEFAULT_LLM_CONFIG: DefaultLLMConfig = {
 export const DEFAULT_CONTEXT_WINDOWS: DefaultContextWindows = {
   ollama: 8192,
   lmstudio: 8192,
+  anthropic: 200000, // All current Claude models
 };
 
 // Default max response tokens for local providers
@@ -194,15 +243,34 @@ export const DEFAULT_MAX_TOKENS: DefaultMaxTokens = {
   ollama: 4096,
   lmstudio: 4096,
   openrouter: 32000,
+  "openai-compatible": 4096,
+  anthropic: 16000,
 };
 
 // File upload constraints
 export const FILE_CONSTRAINTS: FileConstraints = {
   MAX_SIZE_BYTES: 10 * 1024 * 1024, // 10MB
   MAX_SIZE_MB: 10,
-  ALLOWED_TYPES: ["application/pdf"],
-  ALLOWED_EXTENSIONS: [".pdf"],
+  ALLOWED_TYPES: [
+    "application/pdf",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "text/html",
+    "text/markdown",
+    "text/x-markdown",
+    "text/plain",
+  ],
+  ALLOWED_EXTENSIONS: [
+    ".pdf",
+    ".docx",
+    ".html",
+    ".htm",
+    ".md",
+    ".markdown",
+    ".txt",
+  ],
   PDF_MAGIC_BYTES: [0x25, 0x50, 0x44, 0x46, 0x2d], // %PDF- signature
+  ZIP_MAGIC_BYTES: [0x50, 0x4b, 0x03, 0x04], // PK\x03\x04 (DOCX is a ZIP archive)
+  SNIFF_BYTES: 4096, // bytes read to check the content of text formats
 };
 
 // URL validation
@@ -234,8 +302,120 @@ export const TEXT_PROCESSING: TextProcessing = {
   MIN_DOCUMENT_LENGTH: 100,
   CHUNK_SIZE: 4000, // characters per chunk for LLM processing
   CHUNK_OVERLAP: 200, // overlap between chunks
+  MIN_CHUNK_SIZE: 2000, // smallest chunk worth sending in map-reduce mode
 };
 
+// Human-readable scorecard category labels, in weight order
+export const SCORECARD_CATEGORY_LABELS: Record<ScorecardCategoryKey, string> = {
+  thirdPartySharing: "Third-Party Sharing",
+  userRights: "User Rights & Control",
+  dataCollection: "Data Collection",
+  dataRetention: "Data Retention",
+  purposeClarity: "Purpose Clarity",
+  securityMeasures: "Security Measures",
+  policyTransparency: "Policy Transparency",
+};
+
+// Default scorecard category weights in percent (based on EFF, NIST, FTC and
+// GDPR frameworks); analysis profiles can reweight them
+export const SCORECARD_WEIGHTS: Record<ScorecardCategoryKey, number> = {
+  thirdPartySharing: 20,
+  userRights: 18,
+  dataCollection: 18,
+  dataRetention: 14,
+  purposeClarity: 12,
+  securityMeasures: 10,
+  policyTransparency: 8,
+};
+
+// Human-readable data recipient types, in the order the data map lists them
+export const DATA_RECIPIENT_TYPE_LABELS: Record<DataRecipientType, string> = {
+  "service-provider": "Service provider",
+  advertiser: "Advertiser",
+  analytics: "Analytics",
+  affiliate: "Affiliate",
+  "data-broker": "Data broker",
+  "social-media": "Social media",
+  government: "Government",
+  "business-transfer": "Business transfer",
+  public: "Public",
+  other: "Other",
+};
+
+// User-defined analysis profiles
+export const ANALYSIS_PROFILE_LIMITS = {
+  MAX_PROFILES: 20,
+  MAX_ASPECTS: 8, // custom questions per profile
+  MAX_NAME_LENGTH: 60,
+  MAX_PROMPT_LENGTH: 1000,
+  MAX_WEIGHT: 100,
+} as const;
+
+// Number of services that can be compared side by side
+export const SERVICE_COMPARISON = {
+  MIN_SERVICES: 2,
+  MAX_SERVICES: 5,
+} as const;
+
+// OCR fallback for PDF pages without a text layer (scanned documents)
+export const PDF_OCR = {
+  MIN_PAGE_TEXT_LENGTH: 20, // non-whitespace characters below which a page is treated as image-only
+  RENDER_SCALE: 2, // ~144 DPI, enough for Tesseract to read body text
+  LANGUAGE: "eng", // bundled from @tesseract.js-data/eng in OCRService
+} as const;
+
+// Main-content extraction from fetched policy pages
+export const CONTENT_EXTRACTION = {
+  MIN_PARAGRAPH_LENGTH: 25, // characters for a text block to count towards its container's score
+  MIN_CONTENT_LENGTH: 500, // characters of main content below which the whole page is used
+  LOW_CONTENT_RATIO: 0.25, // share of the page text below which the main content may be missing sections
+  HIGH_LINK_DENSITY: 0.3, // share of link text above which the text probably includes menus
+  MAX_CONSENT_LENGTH: 3000, // characters; longer elements matched by name are content, not banners
+} as const;
+
+// Policy discovery from a bare domain
+export const POLICY_DISCOVERY = {
+  MAX_CANDIDATES_PER_KIND: 3, // candidates offered for each kind of policy
+  MAX_SITEMAPS: 3, // sitemaps read, including those listed in a sitemap index
+  MAX_LABEL_LENGTH: 80, // characters of link text kept as a candidate's label
+} as const;
+
+// Retries and fallbacks for failed LLM requests during analysis
+export const LLM_RETRY_CONFIG = {
+  DEFAULT_MAX_RETRIES: 2, // retries per provider before falling back
+  MAX_RETRIES: 5,
+  DEFAULT_BASE_DELAY_MS: 1000, // doubled after each retry
+  MAX_DELAY_MS: 30000, // longest backoff, and longest Retry-After honoured
+  MAX_FALLBACKS: 3,
+} as const;
+
+// Ensemble mode: the risks and scorecard cross-checked with other models
+export const ENSEMBLE_CONFIG = {
+  MAX_MODELS: 2, // models run besides the primary one
+  DEFAULT_DISAGREEMENT_THRESHOLD: 2, // score spread (out of 10) flagged as a disagreement
+  MAX_DISAGREEMENT_THRESHOLD: 9,
+  RISK_SIMILARITY_THRESHOLD: 0.3, // title and description token overlap of the same risk
+} as const;
+
+// Repair round-trips for structured responses that do not match their schema
+export const SCHEMA_REPAIR_CONFIG = {
+  MAX_ATTEMPTS: 1, // repair requests per section
+  MAX_ERRORS: 10, // validation errors sent back to the model
+} as const;
+
+// Local cache of section responses, reused when the same text is analyzed again
+export const RESPONSE_CACHE_CONFIG = {
+  DB_NAME: "ppa_response_cache",
+  DB_VERSION: 1,
+  MAX_ENTRIES: 100, // oldest entries are evicted beyond this
+  MAX_AGE_MS: 30 * 24 * 60 * 60 * 1000, // entries older than 30 days are ignored
+} as const;
+
+// Token, cost and latency accounting
+export const USAGE_CONFIG = {
+  CHARS_PER_TOKEN: 4, // rough estimate; varies by model and language
+} as const;
+
 // Analysis configuration
 export const ANALYSIS_CONFIG: AnalysisConfig = {
   TIMEOUT_MS: 600000, // 10 minutes - local models may need longer for large documents
@@ -279,6 +459,7 @@ export const ANALYSIS_STATUS: AnalysisStatusConstants = {
   COMPLETED: "completed",
   ERROR: "error",
   FAILED: "failed",
+  CANCELLED: "cancelled",
 } as const;
 
 // Summary types
@@ -306,6 +487,28 @@ export const STORAGE_KEYS: StorageKeys = {
   LLM_CONFIG_TIMESTAMP: "ppa_llm_config_timestamp",
   ANALYSIS_HISTORY: "ppa_analysis_history",
   USER_PREFERENCES: "ppa_user_preferences",
+  BATCH_QUEUE: "ppa_batch_queue",
+  ANALYSIS_PROFILES: "ppa_analysis_profiles",
+};
+
+// IndexedDB analysis history
+export const HISTORY_CONFIG: HistoryConfig = {
+  DB_NAME: "ppa_history",
+  DB_VERSION: 1,
+  MAX_ENTRIES: 200,
+  QUOTA_USAGE_LIMIT: 0.8, // evict oldest entries above 80% of the origin quota
+  EVICTION_BATCH: 5, // entries removed per eviction pass
+};
+
+// Batch analysis queue
+export const BATCH_CONFIG: BatchConfig = {
+  MAX_ITEMS: 100,
+  DEFAULT_CONCURRENCY: 2,
+  MAX_CONCURRENCY: 5,
+  DEFAULT_MAX_RETRIES: 2,
+  MAX_RETRIES: 5,
+  RETRY_BASE_DELAY_MS: 2000, // doubled after every failed attempt
+  RETRY_MAX_DELAY_MS: 30000,
 };
 
 // Security: API key timeout (60 minutes of inactivity)
@@ -321,6 +524,7 @@ export const ERROR_CODES: ErrorCodes = {
 
   // Extraction errors
   PDF_EXTRACTION_FAILED: "PDF_EXTRACTION_FAILED",
+  OCR_FAILED: "OCR_FAILED",
   URL_FETCH_FAILED: "URL_FETCH_FAILED",
   DOCUMENT_TOO_LONG: "DOCUMENT_TOO_LONG",
   DOCUMENT_TOO_SHORT: "DOCUMENT_TOO_SHORT",
@@ -340,11 +544,14 @@ export const ERROR_CODES: ErrorCodes = {
 export const ERROR_MESSAGES: ErrorMessages = {
   [ERROR_CODES.INVALID_URL]:
     "Please enter a valid URL starting with http:// or https://",
-  [ERROR_CODES.INVALID_FILE_TYPE]: "Please upload a PDF file",
+  [ERROR_CODES.INVALID_FILE_TYPE]:
+    "Please upload a PDF, Word (.docx), HTML, Markdown or text file",
   [ERROR_CODES.FILE_TOO_LARGE]: `File size must be less than ${FILE_CONSTRAINTS.MAX_SIZE_MB}MB`,
   [ERROR_CODES.INVALID_API_KEY]: "Please enter a valid API key",
   [ERROR_CODES.PDF_EXTRACTION_FAILED]:
     "Failed to extract text from PDF. The file may be corrupted or image-based.",
+  [ERROR_CODES.OCR_FAILED]:
+    "Failed to read the scanned pages of this PDF with text recognition. Please try again or upload a text-based PDF.",
   [ERROR_CODES.URL_FETCH_FAILED]:
     "Failed to fetch document from URL. Please check the URL and try again.",
   [ERROR_CODES.DOCUMENT_TOO_LONG]: "Document is too long to process",
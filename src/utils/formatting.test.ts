@@ -4,6 +4,8 @@ import {
   formatDate,
   formatRelativeTime,
   formatDuration,
+  formatLatency,
+  formatCost,
   formatNumber,
   formatPercentage,
   truncateText,
@@ -128,6 +130,31 @@ describe("formatting utils", () => {
     });
   });
 
+  describe("formatLatency", () => {
+    it("should show milliseconds below a second", () => {
+      expect(formatLatency(849.6)).toBe("850 ms");
+    });
+
+    it("should show seconds with one decimal", () => {
+      expect(formatLatency(12350)).toBe("12.3 s");
+    });
+  });
+
+  describe("formatCost", () => {
+    it("should format dollars and cents", () => {
+      expect(formatCost(1.237)).toBe("$1.24");
+    });
+
+    it("should keep fractions of a cent visible", () => {
+      expect(formatCost(0.00314)).toBe("$0.0031");
+    });
+
+    it("should handle zero and invalid amounts", () => {
+      expect(formatCost(0)).toBe("$0.00");
+      expect(formatCost(NaN)).toBe("$0.00");
+    });
+  });
+
   describe("formatNumber", () => {
     it("should format with commas", () => {
       expect(formatNumber(1000)).toBe("1,000");
@@ -163,6 +163,35 @@ export function formatDuration(ms: number): string {
   return `${seconds}s`;
 }
 
+/**
+ * Formats a request latency, with sub-second precision
+ * @param ms - Latency in milliseconds
+ * @returns Formatted latency (e.g. "850 ms", "12.4 s")
+ */
+export function formatLatency(ms: number): string {
+  if (typeof ms !== 'number' || ms < 0) {
+    return '0 ms';
+  }
+
+  if (ms < 1000) {
+    return `${Math.round(ms)} ms`;
+  }
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Formats an amount in US dollars, keeping fractions of a cent visible
+ * @param usd - Amount in USD
+ * @returns Formatted amount (e.g. "$1.24", "$0.0031")
+ */
+export function formatCost(usd: number): string {
+  if (typeof usd !== 'number' || !Number.isFinite(usd) || usd <= 0) {
+    return '$0.00';
+  }
+
+  return `$${usd.toFixed(usd < 0.01 ? 4 : 2)}`;
+}
+
 /**
  * Capitalizes the first letter of a string
  * @param text - Text to capitalize
@@ -17,6 +17,9 @@ import {
   get,
   isEmpty,
   clamp,
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
 } from "./helpers";
 
 describe("helpers", () => {
@@ -585,4 +588,29 @@ describe("helpers", () => {
       expect(clamp(-15, -10, -5)).toBe(-10);
     });
   });
+
+  describe("abort helpers", () => {
+    it("should create errors recognised as aborts", () => {
+      const error = createAbortError();
+      expect(error.name).toBe("AbortError");
+      expect(isAbortError(error)).toBe(true);
+    });
+
+    it("should not treat other errors as aborts", () => {
+      expect(isAbortError(new Error("Network error"))).toBe(false);
+      expect(isAbortError("AbortError")).toBe(false);
+      expect(isAbortError(null)).toBe(false);
+    });
+
+    it("should throw only when the signal is aborted", () => {
+      const controller = new AbortController();
+      expect(() => throwIfAborted(controller.signal)).not.toThrow();
+      expect(() => throwIfAborted(undefined)).not.toThrow();
+
+      controller.abort();
+      expect(() => throwIfAborted(controller.signal)).toThrow(
+        "Analysis cancelled",
+      );
+    });
+  });
 });
@@ -236,3 +236,48 @@ export function isEmpty(value: unknown): boolean {
 export function clamp(value: number, min: number, max: number): number {
   return Math.min(Math.max(value, min), max);
 }
+
+/**
+ * Creates the error thrown when an operation is cancelled through an AbortSignal
+ */
+export function createAbortError(): Error {
+  const error = new Error('Analysis cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Checks whether an error was caused by an aborted operation
+ */
+export function isAbortError(err: unknown): boolean {
+  return err instanceof Error && err.name === 'AbortError';
+}
+
+/**
+ * Throws an AbortError if the signal has been aborted
+ */
+export function throwIfAborted(signal?: AbortSignal): void {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+}
+
+/**
+ * Saves content as a file through a temporary download link
+ */
+export function downloadFile(
+  content: string | Blob,
+  filename: string,
+  mimeType = 'text/plain',
+): void {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
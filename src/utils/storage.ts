@@ -206,7 +206,9 @@ export function removeLLMConfig(): boolean {
 }
 
 /**
- * Saves analysis to history in localStorage
+ * Saves analysis to the legacy localStorage history
+ * @deprecated History is stored in IndexedDB by HistoryStore; this list is
+ * only read once to migrate it
  * @param result - Analysis result to save
  * @returns Success status
  */
@@ -225,7 +227,7 @@ export function saveAnalysisToHistory(result: AnalysisResult): boolean {
 }
 
 /**
- * Retrieves analysis history from localStorage
+ * Retrieves the legacy analysis history from localStorage
  * @returns Array of analysis results
  */
 export function getAnalysisHistory(): AnalysisResult[] {
@@ -233,7 +235,7 @@ export function getAnalysisHistory(): AnalysisResult[] {
 }
 
 /**
- * Clears analysis history from localStorage
+ * Clears the legacy analysis history from localStorage
  * @returns Success status
  */
 export function clearAnalysisHistory(): boolean {
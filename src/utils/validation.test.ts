@@ -2,6 +2,8 @@ import { describe, it, expect } from "vitest";
 import {
   validateUrl,
   validateFile,
+  validateFileSignature,
+  getFileFormat,
   validateDocumentText,
   validateApiKey,
   validateLLMConfig,
@@ -88,12 +90,25 @@ describe("validation utils", () => {
       expect(result.errors[0].message).toContain("File size must be less than");
     });
 
-    it("should reject non-PDF files", () => {
-      const file = new File(["content"], "doc.txt", { type: "text/plain" });
+    it("should accept Word, HTML, Markdown and text files", () => {
+      const files = [
+        new File(["content"], "policy.docx", { type: "" }),
+        new File(["content"], "policy.html", { type: "text/html" }),
+        new File(["content"], "policy.md", { type: "" }),
+        new File(["content"], "doc.txt", { type: "text/plain" }),
+      ];
+
+      files.forEach((file) => expect(validateFile(file).valid).toBe(true));
+    });
+
+    it("should reject unsupported files", () => {
+      const file = new File(["content"], "setup.exe", {
+        type: "application/x-msdownload",
+      });
 
       const result = validateFile(file);
       expect(result.valid).toBe(false);
-      expect(result.errors[0].message).toContain("PDF");
+      expect(result.errors[0].message).toContain("PDF, Word (.docx)");
     });
 
     it("should reject files with PDF extension but wrong MIME type", () => {
@@ -120,6 +135,99 @@ describe("validation utils", () => {
     });
   });
 
+  describe("getFileFormat", () => {
+    it("should detect the format from the extension", () => {
+      expect(getFileFormat(new File([""], "a.PDF"))).toBe("pdf");
+      expect(getFileFormat(new File([""], "a.docx"))).toBe("docx");
+      expect(getFileFormat(new File([""], "a.htm"))).toBe("html");
+      expect(getFileFormat(new File([""], "a.markdown"))).toBe("markdown");
+      expect(getFileFormat(new File([""], "a.txt"))).toBe("text");
+    });
+
+    it("should fall back to the MIME type", () => {
+      expect(
+        getFileFormat(new File([""], "policy", { type: "text/html" })),
+      ).toBe("html");
+      expect(
+        getFileFormat(
+          new File([""], "policy", { type: "text/plain;charset=utf-8" }),
+        ),
+      ).toBe("text");
+    });
+
+    it("should return null for unsupported files", () => {
+      expect(getFileFormat(new File([""], "a.exe"))).toBeNull();
+    });
+  });
+
+  describe("validateFileSignature", () => {
+    // jsdom files cannot be read, so serve the content directly
+    const createFile = (content: string | number[], name: string) => {
+      const bytes =
+        typeof content === "string"
+          ? new TextEncoder().encode(content)
+          : new Uint8Array(content);
+      const file = new File([], name);
+      Object.defineProperty(file, "slice", {
+        value: (start: number, end: number) => ({
+          arrayBuffer: () => Promise.resolve(bytes.slice(start, end).buffer),
+        }),
+      });
+      return file;
+    };
+
+    it("should accept files whose content matches their format", async () => {
+      const files = [
+        createFile("%PDF-1.7", "a.pdf"),
+        createFile([0x50, 0x4b, 0x03, 0x04, 0x14], "a.docx"),
+        createFile("<!DOCTYPE html><html><body>Policy</body></html>", "a.html"),
+        createFile("# Privacy Policy", "a.md"),
+        createFile("Privacy Policy", "a.txt"),
+      ];
+
+      for (const file of files) {
+        expect((await validateFileSignature(file)).valid).toBe(true);
+      }
+    });
+
+    it("should reject DOCX files that are not ZIP archives", async () => {
+      const result = await validateFileSignature(
+        createFile("Privacy Policy", "a.docx"),
+      );
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toContain("Word document");
+    });
+
+    it("should reject binary files renamed to text formats", async () => {
+      const renamedPdf = await validateFileSignature(
+        createFile("%PDF-1.7", "a.txt"),
+      );
+      const binary = await validateFileSignature(
+        createFile([0x41, 0x00, 0x42], "a.md"),
+      );
+
+      expect(renamedPdf.valid).toBe(false);
+      expect(binary.valid).toBe(false);
+      expect(binary.errors[0].message).toContain("binary content");
+    });
+
+    it("should reject HTML files without markup", async () => {
+      const result = await validateFileSignature(
+        createFile("Just some text", "a.html"),
+      );
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toContain("HTML document");
+    });
+
+    it("should reject unsupported formats", async () => {
+      const result = await validateFileSignature(createFile("MZ", "a.exe"));
+
+      expect(result.valid).toBe(false);
+    });
+  });
+
   describe("validateDocumentText", () => {
     it("should accept valid document text", () => {
       // MIN_DOCUMENT_LENGTH is 100 characters
@@ -303,6 +411,30 @@ describe("validation utils", () => {
       expect(apiKeyError.message).toContain("API key");
     });
 
+    it("should reject Anthropic without API key", () => {
+      const config = {
+        provider: "anthropic",
+        model: "claude-sonnet-4-5",
+        baseUrl: "https://api.anthropic.com/v1",
+        temperature: 0.7,
+        maxTokens: 16000,
+      };
+      const result = validateLLMConfig(config);
+      expect(result.valid).toBe(false);
+      expect(result.errors.map((e) => e.field)).toEqual(["apiKey"]);
+    });
+
+    it("should accept OpenAI-compatible servers without API key", () => {
+      const config = {
+        provider: "openai-compatible",
+        model: "Qwen/Qwen2.5-7B-Instruct",
+        baseUrl: "http://localhost:8000/v1",
+        temperature: 0.7,
+        maxTokens: 4096,
+      };
+      expect(validateLLMConfig(config).valid).toBe(true);
+    });
+
     it("should reject Ollama without baseUrl", () => {
       const config = {
         provider: "ollama",
@@ -9,7 +9,39 @@ import {
   ERROR_CODES,
   ERROR_MESSAGES,
 } from "./constants";
-import type { ValidationResult, LLMConfig } from "../types";
+import type { ValidationResult, LLMConfig, FileFormat } from "../types";
+
+/**
+ * File formats by extension
+ */
+const FORMATS_BY_EXTENSION: Record<string, FileFormat> = {
+  ".pdf": "pdf",
+  ".docx": "docx",
+  ".html": "html",
+  ".htm": "html",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".txt": "text",
+};
+
+/**
+ * File formats by MIME type, for files without a known extension
+ */
+const FORMATS_BY_MIME_TYPE: Record<string, FileFormat> = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "docx",
+  "text/html": "html",
+  "text/markdown": "markdown",
+  "text/x-markdown": "markdown",
+  "text/plain": "text",
+};
+
+/**
+ * Tags at least one of which appears near the start of an HTML document
+ */
+const HTML_TAG_PATTERN =
+  /<(!doctype\s+html|html|head|body|main|article|section|div|p|h[1-6])[\s>]/i;
 
 /**
  * Validates a URL input
@@ -142,6 +174,102 @@ export function validateFile(file: File): ValidationResult {
   return { valid: errors.length === 0, errors };
 }
 
+/**
+ * Detects the format of an uploaded file from its extension, falling back to
+ * its MIME type
+ * @param file - Uploaded file
+ * @returns File format, or null if the format is not supported
+ */
+export function getFileFormat(file: File): FileFormat | null {
+  if (!file) return null;
+
+  const name = (file.name || "").toLowerCase();
+  const extension = name.includes(".") ? name.slice(name.lastIndexOf(".")) : "";
+
+  return (
+    FORMATS_BY_EXTENSION[extension] ??
+    FORMATS_BY_MIME_TYPE[(file.type || "").split(";")[0].trim()] ??
+    null
+  );
+}
+
+/**
+ * Validates that the content of a file matches its format, like
+ * validatePdfMagicBytes does for PDFs: DOCX files must be ZIP archives,
+ * text formats must not contain binary data and HTML must contain markup
+ * @param file - File to validate
+ * @returns Promise<ValidationResult>
+ */
+export async function validateFileSignature(
+  file: File,
+): Promise<ValidationResult> {
+  const format = getFileFormat(file);
+  if (!format) {
+    return {
+      valid: false,
+      errors: [
+        {
+          field: "file",
+          message: ERROR_MESSAGES[ERROR_CODES.INVALID_FILE_TYPE],
+          code: ERROR_CODES.INVALID_FILE_TYPE,
+        },
+      ],
+    };
+  }
+
+  if (format === "pdf") {
+    return validatePdfMagicBytes(file);
+  }
+
+  const errors = [];
+  try {
+    const header = new Uint8Array(
+      await file.slice(0, FILE_CONSTRAINTS.SNIFF_BYTES).arrayBuffer(),
+    );
+    const startsWith = (signature: number[]) =>
+      signature.every((byte, index) => header[index] === byte);
+
+    if (format === "docx") {
+      if (!startsWith(FILE_CONSTRAINTS.ZIP_MAGIC_BYTES)) {
+        errors.push({
+          field: "file",
+          message:
+            "File does not appear to be a valid Word document (invalid file signature)",
+          code: ERROR_CODES.INVALID_FILE_TYPE,
+        });
+      }
+    } else if (
+      startsWith(FILE_CONSTRAINTS.PDF_MAGIC_BYTES) ||
+      startsWith(FILE_CONSTRAINTS.ZIP_MAGIC_BYTES) ||
+      header.includes(0)
+    ) {
+      // Binary files renamed to .txt, .md or .html
+      errors.push({
+        field: "file",
+        message: "File does not appear to be a text document (binary content)",
+        code: ERROR_CODES.INVALID_FILE_TYPE,
+      });
+    } else if (
+      format === "html" &&
+      !HTML_TAG_PATTERN.test(new TextDecoder().decode(header))
+    ) {
+      errors.push({
+        field: "file",
+        message: "File does not appear to be an HTML document",
+        code: ERROR_CODES.INVALID_FILE_TYPE,
+      });
+    }
+  } catch {
+    errors.push({
+      field: "file",
+      message: "Unable to read file contents",
+      code: ERROR_CODES.INVALID_FILE_TYPE,
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
 /**
  * Validates PDF file magic bytes (file signature)
  * This is an async function that reads the first bytes of the file
@@ -263,7 +391,10 @@ export function validateLLMConfig(config: LLMConfig): ValidationResult {
     });
   }
 
-  if (config.provider === "openrouter" && !config.apiKey) {
+  if (
+    (config.provider === "openrouter" || config.provider === "anthropic") &&
+    !config.apiKey
+  ) {
     errors.push({
       field: "apiKey",
       message: ERROR_MESSAGES[ERROR_CODES.INVALID_API_KEY],
@@ -19,8 +19,14 @@ export default defineConfig({
           "pdf-worker": ["pdfjs-dist"],
           "react-vendor": ["react", "react-dom"],
           "pdf-export": ["jspdf"],
+          ocr: ["tesseract.js"],
           "ui-vendor": ["dompurify", "react-markdown"],
         },
+        // Tesseract loads language data by file name from a directory
+        assetFileNames: (asset) =>
+          asset.names.some((name) => name.endsWith(".traineddata.gz"))
+            ? "assets/tesseract/[name][extname]"
+            : "assets/[name]-[hash][extname]",
       },
     },
     // Strip console.log and debugger in production builds